@@ -78,7 +78,13 @@ const corsOptions = {
       'https://laraibcreative.com',
       'https://www.laraibcreative.com',
       'https://laraibcreative.studio',
-      'https://www.laraibcreative.studio'
+      'https://www.laraibcreative.studio',
+      // Hosted payment pages post the customer back to /payments/return
+      'https://payments.jazzcash.com.pk',
+      'https://sandbox.jazzcash.com.pk',
+      'https://easypay.easypaisa.com.pk',
+      'https://easypaystg.easypaisa.com.pk',
+      process.env.API_URL
     ].filter(Boolean);
 
     // If no Origin header (e.g., curl, Postman, uptime checks), allow it.
@@ -102,7 +108,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept', 'X-Device-Id'],
   maxAge: 86400 // 24 hours - cache preflight requests
 };
 
@@ -636,6 +642,9 @@ const gracefulShutdown = async (signal) => {
     return;
   }
 
+  // Stop background jobs
+  require('./src/jobs').stop();
+
   // Stop accepting new requests
   server.close(async () => {
     console.log('✅ HTTP server closed');
@@ -690,6 +699,21 @@ const startServer = async () => {
     console.warn('⚠️ Cache initialization failed, using defaults:', err.message);
   }
 
+  // Seed starting data (only when none exists)
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await require('./src/models/ShippingZone').seedDefaults();
+      await require('./src/models/ExchangeRate').seedDefaults();
+    } catch (err) {
+      console.warn('⚠️ Seeding default data failed:', err.message);
+    }
+  }
+
+  // Start background jobs
+  if (process.env.DISABLE_JOBS !== 'true') {
+    require('./src/jobs').start();
+  }
+
   // Start HTTP server
   server = app.listen(PORT, '0.0.0.0', () => {
     console.log('\n' + '='.repeat(60));
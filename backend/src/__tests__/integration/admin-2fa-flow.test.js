@@ -0,0 +1,288 @@
+/**
+ * Admin Two-Factor Authentication Flow Integration Tests
+ * Tests enforced enrolment at admin login, signing in with authenticator
+ * and backup codes, code reuse and lockout, remembered devices, backup code
+ * regeneration and recovery by a super-admin
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestOrder,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const User = require('../../models/User');
+const totp = require('../../utils/totp');
+
+const PASSWORD = 'AdminPass123!';
+const STEP = 30 * 1000;
+
+describe('Admin Two-Factor Flow', () => {
+  let adminSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  const createAdmin = (overrides = {}) => {
+    adminSequence++;
+    return createTestAdmin({ email: `2fa-admin${adminSequence}-${Date.now()}@example.com`, password: PASSWORD, ...overrides });
+  };
+
+  const adminLogin = (admin, cookie) => {
+    const req = request(app).post('/api/v1/auth/admin-login');
+    if (cookie) req.set('Cookie', cookie);
+    return req.send({ email: admin.email, password: PASSWORD });
+  };
+
+  const cookieNamed = (response, name) =>
+    (response.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${name}=`));
+
+  // Enrols with the previous time step's code so the current and next ones
+  // are still free for the test to sign in with
+  const enrol = async (admin, { rememberDevice = false } = {}) => {
+    const login = await adminLogin(admin).expect(200);
+    const { challengeToken } = login.body.data;
+
+    const setup = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .send({ challengeToken })
+      .expect(200);
+
+    const enabled = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .send({ challengeToken, code: totp.generate(setup.body.data.secret, Date.now() - STEP), rememberDevice })
+      .expect(200);
+
+    return { secret: setup.body.data.secret, enabled };
+  };
+
+  const verify = (challengeToken, body) => request(app)
+    .post('/api/v1/auth/2fa/verify')
+    .send({ challengeToken, ...body });
+
+  describe('Enrolment', () => {
+    it('should make an admin without 2FA set it up before signing in', async () => {
+      const admin = await createAdmin();
+
+      const login = await adminLogin(admin).expect(200);
+
+      expect(login.body.data.requiresTwoFactorSetup).toBe(true);
+      expect(login.body.data.challengeToken).toBeDefined();
+      expect(login.body.data.tokens).toBeUndefined();
+      expect(cookieNamed(login, 'accessToken')).toBeUndefined();
+    });
+
+    it('should return a QR code and sign in with backup codes once the first code checks out', async () => {
+      const admin = await createAdmin();
+      const login = await adminLogin(admin).expect(200);
+
+      const setup = await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .send({ challengeToken: login.body.data.challengeToken })
+        .expect(200);
+
+      expect(setup.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(setup.body.data.otpauthUrl).toContain(`secret=${setup.body.data.secret}`);
+
+      const enabled = await request(app)
+        .post('/api/v1/auth/2fa/enable')
+        .send({ challengeToken: login.body.data.challengeToken, code: totp.generate(setup.body.data.secret) })
+        .expect(200);
+
+      expect(enabled.body.data.backupCodes).toHaveLength(10);
+      expect(cookieNamed(enabled, 'accessToken')).toBeDefined();
+
+      const stored = await User.findById(admin._id).select('+twoFactor.secret');
+      expect(stored.twoFactor.enabled).toBe(true);
+      // Encrypted, not the base32 secret itself
+      expect(stored.twoFactor.secret).not.toContain(setup.body.data.secret);
+    });
+
+    it('should not accept the setup challenge once 2FA is on', async () => {
+      const admin = await createAdmin();
+      const login = await adminLogin(admin).expect(200);
+      await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .send({ challengeToken: login.body.data.challengeToken })
+        .expect(200)
+        .then(setup => request(app)
+          .post('/api/v1/auth/2fa/enable')
+          .send({ challengeToken: login.body.data.challengeToken, code: totp.generate(setup.body.data.secret) })
+          .expect(200));
+
+      await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .send({ challengeToken: login.body.data.challengeToken })
+        .expect(401);
+    });
+  });
+
+  describe('Signing in', () => {
+    it('should sign in with a code from the authenticator app, once per code', async () => {
+      const admin = await createAdmin();
+      const { secret } = await enrol(admin);
+
+      const login = await adminLogin(admin).expect(200);
+      expect(login.body.data.requiresTwoFactor).toBe(true);
+
+      const code = totp.generate(secret);
+      const response = await verify(login.body.data.challengeToken, { code }).expect(200);
+      expect(response.body.data.user.email).toBe(admin.email);
+      expect(cookieNamed(response, 'accessToken')).toBeDefined();
+
+      await verify(login.body.data.challengeToken, { code }).expect(401);
+    });
+
+    it('should require 2FA when an admin signs in through the customer login too', async () => {
+      const admin = await createAdmin();
+      await enrol(admin);
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: admin.email, password: PASSWORD })
+        .expect(200);
+
+      expect(response.body.data.requiresTwoFactor).toBe(true);
+      expect(cookieNamed(response, 'accessToken')).toBeUndefined();
+    });
+
+    it('should accept each backup code once', async () => {
+      const admin = await createAdmin();
+      const { enabled } = await enrol(admin);
+      const [backupCode] = enabled.body.data.backupCodes;
+
+      const first = await adminLogin(admin).expect(200);
+      const response = await verify(first.body.data.challengeToken, { backupCode: backupCode.toUpperCase() }).expect(200);
+      expect(response.body.data.backupCodesRemaining).toBe(9);
+
+      const second = await adminLogin(admin).expect(200);
+      await verify(second.body.data.challengeToken, { backupCode }).expect(401);
+    });
+
+    it('should lock the account after too many wrong codes', async () => {
+      const admin = await createAdmin();
+      await enrol(admin);
+      const login = await adminLogin(admin).expect(200);
+
+      for (let attempt = 1; attempt < 5; attempt++) {
+        await verify(login.body.data.challengeToken, { code: '000000' }).expect(401);
+      }
+      await verify(login.body.data.challengeToken, { code: '000000' }).expect(423);
+
+      expect((await User.findById(admin._id)).isLocked).toBe(true);
+    });
+
+    it('should not let a challenge token stand in for a session', async () => {
+      const admin = await createAdmin();
+      const login = await adminLogin(admin).expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set(getAuthHeaders(login.body.data.challengeToken))
+        .expect(401);
+
+      // Routes open to guests treat it as no sign-in
+      const order = await createTestOrder({ orderNumber: 'LC-2026-7001' });
+      await request(app)
+        .post('/api/v1/payments/checkout')
+        .set(getAuthHeaders(login.body.data.challengeToken))
+        .send({ orderNumber: order.orderNumber, provider: 'jazzcash' })
+        .expect(401);
+    });
+  });
+
+  describe('Remembered devices', () => {
+    it('should skip the code on a remembered browser until the devices are forgotten', async () => {
+      const admin = await createAdmin();
+      const { enabled } = await enrol(admin, { rememberDevice: true });
+      const trusted = cookieNamed(enabled, 'trustedDevice');
+      expect(trusted).toBeDefined();
+
+      const remembered = await adminLogin(admin, trusted.split(';')[0]).expect(200);
+      expect(remembered.body.data.requiresTwoFactor).toBeUndefined();
+      expect(remembered.body.data.user.email).toBe(admin.email);
+
+      await request(app)
+        .delete('/api/v1/auth/2fa/trusted-devices')
+        .set(getAuthHeaders(generateTestToken(admin._id, admin.role)))
+        .expect(200);
+
+      const forgotten = await adminLogin(admin, trusted.split(';')[0]).expect(200);
+      expect(forgotten.body.data.requiresTwoFactor).toBe(true);
+    });
+  });
+
+  describe('Managing 2FA', () => {
+    it('should report status and regenerate backup codes with a current code', async () => {
+      const admin = await createAdmin();
+      const { secret, enabled } = await enrol(admin);
+      const headers = getAuthHeaders(generateTestToken(admin._id, admin.role));
+
+      const status = await request(app).get('/api/v1/auth/2fa/status').set(headers).expect(200);
+      expect(status.body.data).toMatchObject({ required: true, enabled: true, backupCodesRemaining: 10 });
+
+      const regenerated = await request(app)
+        .post('/api/v1/auth/2fa/backup-codes')
+        .set(headers)
+        .send({ code: totp.generate(secret) })
+        .expect(200);
+
+      expect(regenerated.body.data.backupCodes).toHaveLength(10);
+      expect(regenerated.body.data.backupCodes).not.toContain(enabled.body.data.backupCodes[0]);
+    });
+
+    it('should let a super-admin reset another admin so they enrol again', async () => {
+      const admin = await createAdmin();
+      await enrol(admin);
+      const superAdmin = await createAdmin({ role: 'super-admin' });
+
+      await request(app)
+        .post(`/api/v1/auth/2fa/reset/${admin._id}`)
+        .set(getAuthHeaders(generateTestToken(superAdmin._id, superAdmin.role)))
+        .send({ reason: 'Lost phone' })
+        .expect(200);
+
+      const login = await adminLogin(admin).expect(200);
+      expect(login.body.data.requiresTwoFactorSetup).toBe(true);
+    });
+
+    it('should only let super-admins reset, and not themselves', async () => {
+      const admin = await createAdmin();
+      const superAdmin = await createAdmin({ role: 'super-admin' });
+
+      await request(app)
+        .post(`/api/v1/auth/2fa/reset/${superAdmin._id}`)
+        .set(getAuthHeaders(generateTestToken(admin._id, admin.role)))
+        .send({ reason: 'Lost phone' })
+        .expect(403);
+
+      const self = await request(app)
+        .post(`/api/v1/auth/2fa/reset/${superAdmin._id}`)
+        .set(getAuthHeaders(generateTestToken(superAdmin._id, superAdmin.role)))
+        .send({ reason: 'Lost phone' })
+        .expect(400);
+      expect(self.body.message).toBe('Another super-admin must reset your two-factor authentication');
+    });
+
+    it('should leave customers signing in with just a password', async () => {
+      const customer = await createTestUser({ email: `2fa-customer${Date.now()}@example.com`, password: PASSWORD });
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: customer.email, password: PASSWORD })
+        .expect(200);
+
+      expect(response.body.data.requiresTwoFactor).toBeUndefined();
+      expect(cookieNamed(response, 'accessToken')).toBeDefined();
+    });
+  });
+});
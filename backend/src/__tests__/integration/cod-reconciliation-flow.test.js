@@ -0,0 +1,269 @@
+/**
+ * COD Reconciliation Integration Tests
+ * Tests for importing courier COD remittance statements, matching them to
+ * orders, settling matched orders and the reconciliation report
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestAdmin, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+const CodRemittance = require('../../models/CodRemittance');
+
+describe('COD Reconciliation Flow', () => {
+  let admin, adminToken;
+  let orderSequence = 0;
+  let referenceSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  const createOrder = ({ tracking = {}, payment = {}, ...data } = {}) => {
+    orderSequence++;
+
+    return createTestOrder({
+      orderNumber: `LC-2026-6${String(orderSequence).padStart(3, '0')}`,
+      status: 'delivered',
+      payment: { method: 'cod', status: 'pending', amountPaid: 0, ...payment },
+      pricing: { subtotal: 4500, tax: 0, shippingCharges: 0, total: 4500 },
+      tracking: {
+        courierService: 'TCS',
+        trackingNumber: `7794${Date.now()}${orderSequence}`,
+        codAmount: 4500,
+        actualDeliveryDate: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000),
+        ...tracking
+      },
+      ...data
+    });
+  };
+
+  const statement = (rows) => [
+    'CN Number,Customer Reference,COD Amount,Status',
+    ...rows.map(([trackingNumber, amount, status = 'Delivered']) => `${trackingNumber},,"${amount}",${status}`)
+  ].join('\r\n');
+
+  const importStatement = (rows) => {
+    referenceSequence++;
+
+    return request(app)
+      .post('/api/v1/admin/cod-remittances')
+      .set(getAuthHeaders(adminToken))
+      .field('courierService', 'TCS')
+      .field('settlementReference', `TCS-PAY-${referenceSequence}`)
+      .attach('statement', Buffer.from(statement(rows)), { filename: 'remittance.csv', contentType: 'text/csv' });
+  };
+
+  const apply = (remittance, body = {}) => request(app)
+    .post(`/api/v1/admin/cod-remittances/${remittance._id}/apply`)
+    .set(getAuthHeaders(adminToken))
+    .send(body);
+
+  const lineFor = (remittance, order) =>
+    remittance.lines.find(line => line.trackingNumber === order.tracking.trackingNumber);
+
+  describe('POST /api/v1/admin/cod-remittances', () => {
+    it('should match statement lines to orders by tracking number and amount', async () => {
+      const paid = await createOrder();
+      const short = await createOrder();
+      const returned = await createOrder({ status: 'ready-dispatch' });
+      const prepaid = await createOrder({ payment: { method: 'bank-transfer', status: 'verified', amountPaid: 4500 }, tracking: { codAmount: 0 } });
+
+      const response = await importStatement([
+        [paid.tracking.trackingNumber, 'Rs. 4,500.00'],
+        [short.tracking.trackingNumber, '4000'],
+        [returned.tracking.trackingNumber, '0', 'Returned to shipper'],
+        [prepaid.tracking.trackingNumber, '0'],
+        ['000000000', '1200'],
+        [paid.tracking.trackingNumber, '4500']
+      ]).expect(201);
+
+      const { remittance } = response.body.data;
+      expect(remittance.lines.map(line => line.match)).toEqual([
+        'matched', 'short-paid', 'returned', 'not-cod', 'unmatched', 'duplicate'
+      ]);
+      expect(lineFor(remittance, short).difference).toBe(-500);
+      expect(remittance.totals.lines).toBe(6);
+      expect(remittance.totals.matched).toBe(1);
+      expect(remittance.fileName).toBe('remittance.csv');
+    });
+
+    it('should accept the statement as CSV text', async () => {
+      const order = await createOrder();
+
+      const response = await request(app)
+        .post('/api/v1/admin/cod-remittances')
+        .set(getAuthHeaders(adminToken))
+        .send({
+          courierService: 'TCS',
+          settlementReference: 'TCS-TEXT-1',
+          csv: statement([[order.tracking.trackingNumber, '4500']])
+        })
+        .expect(201);
+
+      expect(response.body.data.remittance.lines[0].match).toBe('matched');
+    });
+
+    it('should not import the same settlement twice', async () => {
+      const order = await createOrder();
+      const body = {
+        courierService: 'TCS',
+        settlementReference: 'TCS-TWICE-1',
+        csv: statement([[order.tracking.trackingNumber, '4500']])
+      };
+
+      await request(app).post('/api/v1/admin/cod-remittances').set(getAuthHeaders(adminToken)).send(body).expect(201);
+      await request(app).post('/api/v1/admin/cod-remittances').set(getAuthHeaders(adminToken)).send(body).expect(400);
+    });
+
+    it('should reject a statement without tracking and amount columns', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/cod-remittances')
+        .set(getAuthHeaders(adminToken))
+        .send({ courierService: 'TCS', settlementReference: 'TCS-BAD-1', csv: 'Name,City\nAyesha,Lahore' })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/tracking number/);
+    });
+
+    it('should require a settlement reference', async () => {
+      await request(app)
+        .post('/api/v1/admin/cod-remittances')
+        .set(getAuthHeaders(adminToken))
+        .send({ courierService: 'TCS', csv: 'CN,Amount\n1,1' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/admin/cod-remittances/:id/apply', () => {
+    it('should mark matched orders collected with the settlement reference', async () => {
+      const paid = await createOrder();
+      const short = await createOrder();
+      const { body } = await importStatement([
+        [paid.tracking.trackingNumber, '4500'],
+        [short.tracking.trackingNumber, '4000']
+      ]).expect(201);
+
+      const response = await apply(body.data.remittance).expect(200);
+
+      expect(response.body.data.applied).toHaveLength(1);
+      expect(response.body.data.remittance.status).toBe('partially-applied');
+
+      const updated = await Order.findById(paid._id);
+      expect(updated.payment.codCollected).toBe(true);
+      expect(updated.payment.codCollectedAt).toBeDefined();
+      expect(updated.payment.codSettlement.reference).toBe(body.data.remittance.settlementReference);
+      expect(updated.payment.status).toBe('verified');
+      expect(updated.payment.amountPaid).toBe(4500);
+
+      const installment = updated.payment.installments[updated.payment.installments.length - 1];
+      expect(installment.method).toBe('cod');
+      expect(installment.transactionId).toBe(body.data.remittance.settlementReference);
+
+      expect((await Order.findById(short._id)).payment.codCollected).toBe(false);
+    });
+
+    it('should settle a short-paid line when selected explicitly', async () => {
+      const short = await createOrder();
+      const { body } = await importStatement([[short.tracking.trackingNumber, '4000']]).expect(201);
+      const line = lineFor(body.data.remittance, short);
+
+      const response = await apply(body.data.remittance, { lineIds: [line._id] }).expect(200);
+
+      expect(response.body.data.remittance.status).toBe('applied');
+      const updated = await Order.findById(short._id);
+      expect(updated.payment.codCollected).toBe(true);
+      expect(updated.payment.amountPaid).toBe(4000);
+      expect(updated.payment.status).toBe('partial');
+    });
+
+    it('should not settle a line twice', async () => {
+      const order = await createOrder();
+      const { body } = await importStatement([[order.tracking.trackingNumber, '4500']]).expect(201);
+      await apply(body.data.remittance).expect(200);
+
+      const response = await apply(body.data.remittance).expect(200);
+
+      expect(response.body.data.applied).toHaveLength(0);
+      expect((await Order.findById(order._id)).payment.installments).toHaveLength(1);
+    });
+
+    it('should flag an order settled by an earlier statement as duplicate', async () => {
+      const order = await createOrder();
+      const first = await importStatement([[order.tracking.trackingNumber, '4500']]).expect(201);
+      await apply(first.body.data.remittance).expect(200);
+
+      const second = await importStatement([[order.tracking.trackingNumber, '4500']]).expect(201);
+
+      expect(second.body.data.remittance.lines[0].match).toBe('duplicate');
+    });
+  });
+
+  describe('POST /api/v1/admin/cod-remittances/mark-collected', () => {
+    it('should bulk mark COD orders collected', async () => {
+      const first = await createOrder();
+      const second = await createOrder({ status: 'dispatched' });
+      const prepaid = await createOrder({ payment: { method: 'bank-transfer', status: 'verified', amountPaid: 4500 } });
+
+      const response = await request(app)
+        .post('/api/v1/admin/cod-remittances/mark-collected')
+        .set(getAuthHeaders(adminToken))
+        .send({ orderIds: [first._id, second._id, prepaid._id], settlementReference: 'CASH-DEPOSIT-42' })
+        .expect(200);
+
+      expect(response.body.data.applied).toHaveLength(2);
+      expect(response.body.data.skipped).toHaveLength(1);
+      expect((await Order.findById(second._id)).payment.codSettlement.reference).toBe('CASH-DEPOSIT-42');
+    });
+  });
+
+  describe('GET /api/v1/admin/cod-remittances/report', () => {
+    it('should report unpaid, short-paid and returned parcels', async () => {
+      const unpaid = await createOrder();
+      const short = await createOrder();
+      const returned = await createOrder({ status: 'ready-dispatch', tracking: { courierStatus: 'returned' } });
+      await importStatement([[short.tracking.trackingNumber, '4000']]).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/admin/cod-remittances/report')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      const { unpaid: unpaidList, shortPaid, returned: returnedList, summary } = response.body.data;
+      const unpaidEntry = unpaidList.find(item => item.orderNumber === unpaid.orderNumber);
+      expect(unpaidEntry.codAmount).toBe(4500);
+      expect(unpaidEntry.daysOutstanding).toBeGreaterThanOrEqual(10);
+      expect(shortPaid.find(item => item.orderNumber === short.orderNumber).difference).toBe(-500);
+      expect(returnedList.map(item => item.orderNumber)).toContain(returned.orderNumber);
+      expect(summary.unpaidCount).toBe(unpaidList.length);
+    });
+
+    it('should download the report as CSV', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/cod-remittances/report?format=csv')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+    });
+  });
+
+  describe('GET /api/v1/admin/cod-remittances', () => {
+    it('should list imported statements without their lines', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/cod-remittances')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.pagination.total).toBe(await CodRemittance.countDocuments());
+      expect(response.body.data.remittances[0].lines).toBeUndefined();
+    });
+  });
+});
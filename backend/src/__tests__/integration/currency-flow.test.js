@@ -0,0 +1,203 @@
+/**
+ * Multi-Currency Integration Tests
+ * Tests for the admin exchange rate table, CSV rate import, orders placed in
+ * a display currency and payments settled from another currency into PKR
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestProduct,
+  createTestOrder,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const ExchangeRate = require('../../models/ExchangeRate');
+
+describe('Multi-Currency Flow', () => {
+  let admin, adminToken, customer, customerToken;
+  let orderSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    customer = await createTestUser({ email: 'currency-customer@example.com' });
+    customerToken = generateTestToken(customer._id, customer.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await ExchangeRate.deleteMany({});
+    await new ExchangeRate({ currency: 'USD', symbol: '$', name: 'US Dollar' }).setRate(280).save();
+  });
+
+  const setRate = (code, body) => request(app)
+    .put(`/api/v1/currencies/admin/${code}`)
+    .set(getAuthHeaders(adminToken))
+    .send(body);
+
+  describe('Exchange rate table', () => {
+    it('should add a currency and list it publicly', async () => {
+      const response = await setRate('eur', { rate: 300, symbol: '€', name: 'Euro' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.currency).toBe('EUR');
+      expect(response.body.data.history).toHaveLength(1);
+
+      const list = await request(app).get('/api/v1/currencies');
+
+      expect(list.status).toBe(200);
+      expect(list.body.data.currencies.map(currency => currency.currency)).toEqual(['PKR', 'EUR', 'USD']);
+    });
+
+    it('should keep rate history and hide inactive currencies', async () => {
+      await setRate('USD', { rate: 282.5 });
+      await setRate('USD', { isActive: false });
+
+      const usd = await ExchangeRate.findOne({ currency: 'USD' });
+      expect(usd.rate).toBe(282.5);
+      expect(usd.history.map(entry => entry.rate)).toEqual([280, 282.5]);
+
+      const list = await request(app).get('/api/v1/currencies');
+      expect(list.body.data.currencies.map(currency => currency.currency)).toEqual(['PKR']);
+    });
+
+    it('should reject the base currency and new currencies without a rate', async () => {
+      expect((await setRate('PKR', { rate: 1 })).status).toBe(400);
+      expect((await setRate('GBP', { symbol: '£' })).status).toBe(400);
+    });
+
+    it('should import rates from CSV and report skipped rows', async () => {
+      const csv = ['Currency,Rate (PKR),Symbol', 'USD,281.25,$', 'GBP,355,£', 'PKR,1,Rs', 'XX,5,', 'AED,abc,'].join('\n');
+
+      const response = await request(app)
+        .post('/api/v1/currencies/admin/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('file', Buffer.from(csv), { filename: 'rates.csv', contentType: 'text/csv' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.imported.map(entry => entry.currency)).toEqual(['USD', 'GBP']);
+      expect(response.body.data.skipped.map(entry => entry.line)).toEqual([4, 5, 6]);
+
+      const usd = await ExchangeRate.findOne({ currency: 'USD' });
+      expect(usd.rate).toBe(281.25);
+      expect(usd.source).toBe('import');
+    });
+
+    it('should not let customers change rates', async () => {
+      const response = await request(app)
+        .put('/api/v1/currencies/admin/USD')
+        .set(getAuthHeaders(customerToken))
+        .send({ rate: 1 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Orders in a display currency', () => {
+    it('should store PKR pricing with the locked display currency', async () => {
+      const product = await createTestProduct({ slug: `currency-product-${Date.now()}` });
+
+      const response = await request(app)
+        .post('/api/v1/orders')
+        .set(getAuthHeaders(customerToken))
+        .send({
+          items: [{ product: product._id.toString(), quantity: 1 }],
+          shippingAddress: {
+            fullName: 'Test Customer',
+            phone: '03001234567',
+            addressLine1: '123 Test Street',
+            city: 'Lahore',
+            province: 'Punjab',
+            postalCode: '54000'
+          },
+          payment: { method: 'bank-transfer' },
+          currency: 'usd'
+        });
+
+      expect(response.status).toBe(201);
+
+      const { order } = response.body.data;
+      expect(order.displayCurrency).toMatchObject({ code: 'USD', rate: 280 });
+      expect(order.displayPricing.total).toBeCloseTo(order.pricing.total / 280, 2);
+    });
+
+    it('should reject currencies that are not offered', async () => {
+      const product = await createTestProduct({ slug: `currency-product-jpy-${Date.now()}` });
+
+      const response = await request(app)
+        .post('/api/v1/orders')
+        .set(getAuthHeaders(customerToken))
+        .send({
+          items: [{ product: product._id.toString(), quantity: 1 }],
+          shippingAddress: {
+            fullName: 'Test Customer',
+            phone: '03001234567',
+            addressLine1: '123 Test Street',
+            city: 'Lahore',
+            province: 'Punjab'
+          },
+          payment: { method: 'bank-transfer' },
+          currency: 'JPY'
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should settle a payment in the order currency against the PKR balance', async () => {
+      orderSequence++;
+      const order = await createTestOrder({
+        orderNumber: `LC-2026-5${String(orderSequence).padStart(3, '0')}`,
+        customer,
+        displayCurrency: { code: 'USD', symbol: '$', decimals: 2, rate: 280 }
+      });
+
+      expect(order.displayPricing.total).toBe(Math.round((order.pricing.total / 280) * 100) / 100);
+
+      const response = await request(app)
+        .post(`/api/v1/orders/${order._id}/payments`)
+        .set(getAuthHeaders(customerToken))
+        .send({
+          amount: order.displayPricing.total,
+          currency: 'USD',
+          method: 'bank-transfer',
+          transactionId: `USD-TXN-${orderSequence}`,
+          receiptImage: { url: 'https://example.com/receipt.jpg' }
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.installment).toMatchObject({
+        amount: order.pricing.total,
+        currency: 'USD',
+        originalAmount: order.displayPricing.total,
+        exchangeRate: 280
+      });
+    });
+
+    it('should accept international shipping addresses', async () => {
+      orderSequence++;
+      const order = await createTestOrder({
+        orderNumber: `LC-2026-5${String(orderSequence).padStart(3, '0')}`,
+        shippingAddress: {
+          fullName: 'Overseas Customer',
+          phone: '+971501234567',
+          whatsapp: '+971501234567',
+          addressLine1: 'Villa 12, Street 4',
+          city: 'Dubai',
+          postalCode: 'DXB 01',
+          country: 'ae'
+        }
+      });
+
+      expect(order.shippingAddress.country).toBe('AE');
+      expect(order.shippingAddress.province).toBeUndefined();
+    });
+  });
+});
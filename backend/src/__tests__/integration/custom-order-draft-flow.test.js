@@ -0,0 +1,169 @@
+/**
+ * Custom Order Draft Integration Tests
+ * Tests for wizard autosave, resume links and draft conversion/abandonment
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const DraftOrder = require('../../models/DraftOrder');
+const Order = require('../../models/Order');
+const draftOrderService = require('../../services/draftOrderService');
+
+const wizardData = {
+  suitType: 'ready-made',
+  serviceType: 'fully-custom',
+  designIdea: 'A pastel pink lawn suit with delicate white chikankari on the neckline and sleeves.'
+};
+
+const finalStepData = {
+  fabricSource: 'customer-provides',
+  fabricDetails: 'Customer will send 3 meters of pink lawn fabric',
+  useStandardSize: true,
+  standardSize: 'M',
+  measurements: {},
+  rushOrder: false,
+  customerInfo: {
+    fullName: 'Draft Customer',
+    email: `draft${Date.now()}@example.com`,
+    phone: '03001234567'
+  }
+};
+
+describe('Custom Order Draft Flow', () => {
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await DraftOrder.deleteMany({});
+  });
+
+  describe('POST /api/v1/orders/custom/drafts', () => {
+    it('should create a guest draft with a resume link', async () => {
+      const response = await request(app)
+        .post('/api/v1/orders/custom/drafts')
+        .send({ step: 2, data: wizardData })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.draft.resumeToken).toBeDefined();
+      expect(response.body.data.draft.currentStep).toBe(2);
+      expect(response.body.data.resumeUrl).toContain(`resume=${response.body.data.draft.resumeToken}`);
+      expect(response.body.data.draft.priceBreakdown.total).toBeGreaterThan(0);
+    });
+  });
+
+  describe('PUT /api/v1/orders/custom/drafts/:token', () => {
+    it('should merge step data and resume at the saved step', async () => {
+      const draft = await draftOrderService.createDraft({ step: 2, data: wizardData });
+
+      await request(app)
+        .put(`/api/v1/orders/custom/drafts/${draft.resumeToken}`)
+        .send({ step: 5, data: { fabricSource: 'customer-provides', fabricDetails: 'Own fabric' } })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/orders/custom/drafts/${draft.resumeToken}`)
+        .expect(200);
+
+      expect(response.body.data.draft.currentStep).toBe(5);
+      expect(response.body.data.draft.formData.designIdea).toBe(wizardData.designIdea);
+      expect(response.body.data.draft.formData.fabricSource).toBe('customer-provides');
+    });
+
+    it('should return 404 for an unknown token', async () => {
+      await request(app)
+        .put('/api/v1/orders/custom/drafts/not-a-real-token')
+        .send({ step: 2, data: wizardData })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/v1/orders/custom with draftToken', () => {
+    it('should convert the draft into an order', async () => {
+      const draft = await draftOrderService.createDraft({
+        step: 6,
+        data: { ...wizardData, ...finalStepData }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/orders/custom')
+        .send({ draftToken: draft.resumeToken })
+        .expect(201);
+
+      const converted = await DraftOrder.findById(draft._id);
+      expect(converted.status).toBe('converted');
+      expect(converted.convertedToOrder.toString()).toBe(response.body.orderId);
+      expect(converted.resumeToken).toBeUndefined();
+
+      const order = await Order.findById(response.body.orderId);
+      expect(order.pricing.total).toBe(draft.priceBreakdown.total);
+    });
+
+    it('should create only one order when a draft is submitted twice at once', async () => {
+      const draft = await draftOrderService.createDraft({
+        step: 6,
+        data: { ...wizardData, ...finalStepData }
+      });
+      const ordersBefore = await Order.countDocuments();
+
+      const submit = () => request(app)
+        .post('/api/v1/orders/custom')
+        .send({ draftToken: draft.resumeToken });
+      const statuses = (await Promise.all([submit(), submit()])).map(response => response.status).sort();
+
+      expect(statuses[0]).toBe(201);
+      expect([404, 409]).toContain(statuses[1]);
+      expect(await Order.countDocuments()).toBe(ordersBefore + 1);
+    });
+
+    it('should release the draft when the order cannot be created', async () => {
+      const draft = await draftOrderService.createDraft({
+        step: 6,
+        data: { ...wizardData, ...finalStepData }
+      });
+      const create = jest.spyOn(Order, 'create').mockRejectedValueOnce(new Error('Write failed'));
+
+      try {
+        await request(app)
+          .post('/api/v1/orders/custom')
+          .send({ draftToken: draft.resumeToken })
+          .expect(500);
+      } finally {
+        create.mockRestore();
+      }
+
+      const released = await DraftOrder.findById(draft._id);
+      expect(released.status).toBe('draft');
+
+      await request(app)
+        .post('/api/v1/orders/custom')
+        .send({ draftToken: draft.resumeToken })
+        .expect(201);
+    });
+  });
+
+  describe('Abandonment', () => {
+    it('should mark idle drafts abandoned and revive them on the next save', async () => {
+      const draft = await draftOrderService.createDraft({ step: 2, data: wizardData });
+      await DraftOrder.updateOne(
+        { _id: draft._id },
+        { lastSavedAt: new Date(Date.now() - 48 * 60 * 60 * 1000) }
+      );
+
+      const result = await draftOrderService.processAbandoned();
+      expect(result.abandoned).toBe(1);
+
+      const abandoned = await DraftOrder.findById(draft._id);
+      expect(abandoned.status).toBe('abandoned');
+
+      await draftOrderService.saveStep(abandoned, 3, {});
+      expect(abandoned.status).toBe('draft');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Customer Photo Gallery Integration Tests
+ * Tests for public feeds, likes and admin moderation
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestOrder,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const CustomerPhoto = require('../../models/CustomerPhoto');
+
+describe('Customer Photo Gallery Flow', () => {
+  let admin, adminToken, customer, customerToken, order;
+
+  const createPhoto = (data = {}) => CustomerPhoto.create({
+    userId: customer._id,
+    orderId: order._id,
+    productId: order.items[0].product,
+    customerName: customer.fullName,
+    images: [{ url: 'https://example.com/customer-photo.jpg' }],
+    consentGiven: true,
+    ...data
+  });
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    customer = await createTestUser({ email: `photo${Date.now()}@example.com` });
+    customerToken = generateTestToken(customer._id, customer.role);
+    order = await createTestOrder({ customer, status: 'delivered' });
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await CustomerPhoto.deleteMany({});
+  });
+
+  describe('GET /api/v1/customer-photos/product/:productId', () => {
+    it('should only return approved photos', async () => {
+      await createPhoto({ moderationStatus: 'approved' });
+      await createPhoto({ moderationStatus: 'pending' });
+
+      const response = await request(app)
+        .get(`/api/v1/customer-photos/product/${order.items[0].product}`)
+        .expect(200);
+
+      expect(response.body.data.photos).toHaveLength(1);
+      expect(response.body.data.photos[0].likedBy).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/v1/customer-photos/:id/like', () => {
+    it('should count one like per user', async () => {
+      const photo = await createPhoto({ moderationStatus: 'approved' });
+
+      await request(app)
+        .post(`/api/v1/customer-photos/${photo._id}/like`)
+        .set(getAuthHeaders(customerToken))
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/customer-photos/${photo._id}/like`)
+        .set(getAuthHeaders(customerToken))
+        .expect(200);
+
+      expect(response.body.data.likes).toBe(1);
+      expect(response.body.data.likedByMe).toBe(true);
+    });
+
+    it('should remove a like', async () => {
+      const photo = await createPhoto({ moderationStatus: 'approved' });
+      await CustomerPhoto.addLike(photo._id, customer._id);
+
+      const response = await request(app)
+        .delete(`/api/v1/customer-photos/${photo._id}/like`)
+        .set(getAuthHeaders(customerToken))
+        .expect(200);
+
+      expect(response.body.data.likes).toBe(0);
+    });
+
+    it('should not allow liking unapproved photos', async () => {
+      const photo = await createPhoto();
+
+      await request(app)
+        .post(`/api/v1/customer-photos/${photo._id}/like`)
+        .set(getAuthHeaders(customerToken))
+        .expect(404);
+    });
+
+    it('should reject a malformed photo ID', async () => {
+      await request(app)
+        .post('/api/v1/customer-photos/not-an-id/like')
+        .set(getAuthHeaders(customerToken))
+        .expect(400);
+
+      await request(app)
+        .delete('/api/v1/customer-photos/not-an-id/like')
+        .set(getAuthHeaders(customerToken))
+        .expect(400);
+    });
+  });
+
+  describe('Admin moderation', () => {
+    it('should list pending photos in the queue', async () => {
+      await createPhoto();
+      await createPhoto({ moderationStatus: 'approved' });
+
+      const response = await request(app)
+        .get('/api/v1/customer-photos/admin/queue')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.photos).toHaveLength(1);
+      expect(response.body.data.summary.pending).toBe(1);
+      expect(response.body.data.summary.approved).toBe(1);
+    });
+
+    it('should bulk approve photos', async () => {
+      const first = await createPhoto();
+      const second = await createPhoto();
+
+      const response = await request(app)
+        .post('/api/v1/customer-photos/admin/bulk-moderate')
+        .set(getAuthHeaders(adminToken))
+        .send({ photoIds: [first._id, second._id], status: 'approved' })
+        .expect(200);
+
+      expect(response.body.data.successful).toBe(2);
+      const approved = await CustomerPhoto.countDocuments({ moderationStatus: 'approved' });
+      expect(approved).toBe(2);
+    });
+
+    it('should reject a photo with notes', async () => {
+      const photo = await createPhoto();
+
+      await request(app)
+        .put(`/api/v1/customer-photos/admin/${photo._id}/moderate`)
+        .set(getAuthHeaders(adminToken))
+        .send({ status: 'rejected', notes: 'Blurry photo' })
+        .expect(200);
+
+      const updated = await CustomerPhoto.findById(photo._id);
+      expect(updated.moderationStatus).toBe('rejected');
+      expect(updated.moderationNotes).toBe('Blurry photo');
+    });
+
+    it('should deny customers access to the queue', async () => {
+      await request(app)
+        .get('/api/v1/customer-photos/admin/queue')
+        .set(getAuthHeaders(customerToken))
+        .expect(403);
+    });
+  });
+});
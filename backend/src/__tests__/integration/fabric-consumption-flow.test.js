@@ -0,0 +1,131 @@
+/**
+ * Fabric Consumption Flow Integration Tests
+ * Tests the custom order fabric catalog, the stock check at checkout and
+ * fabric meters leaving stock when the order reaches material-arranged
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestUser, createTestAdmin, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+const FabricInventory = require('../../models/FabricInventory');
+const StockMovement = require('../../models/StockMovement');
+const fabricService = require('../../services/fabricService');
+
+describe('Fabric Consumption Flow', () => {
+  let user, token, adminToken;
+  let plentiful, scarce, hidden;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    user = await createTestUser({ email: `fabric-flow${Date.now()}@example.com` });
+    token = generateTestToken(user._id, user.role);
+    const admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+
+    const fabric = (data) => FabricInventory.create({
+      type: 'lawn',
+      color: 'Ivory',
+      metersPerSuit: 3,
+      pricing: { costPerMeter: 500, sellingPricePerMeter: 1000 },
+      ...data
+    });
+
+    plentiful = await fabric({ name: 'Ivory Lawn', stock: { quantity: 20, unit: 'meters' } });
+    scarce = await fabric({ name: 'Rose Chiffon', type: 'chiffon', autoDisable: false, stock: { quantity: 2, unit: 'meters', reorderPoint: 0 } });
+    hidden = await fabric({ name: 'Black Velvet', type: 'velvet', stock: { quantity: 1, unit: 'meters', reorderPoint: 0 } });
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  const submit = (selectedFabric) => request(app)
+    .post('/api/v1/orders/custom')
+    .set(getAuthHeaders(token))
+    .send({
+      serviceType: 'fully-custom',
+      designIdea: 'A lawn suit with a scalloped hem, pintucks on the yoke and lace trim on the sleeves',
+      fabricSource: 'lc-provides',
+      selectedFabric,
+      measurements: { shirtLength: '28', shoulderWidth: '16', bust: '36', waist: '30' },
+      customerInfo: { fullName: user.fullName, email: user.email, phone: user.phone },
+      rushOrder: false
+    });
+
+  const updateStatus = (order, status) => request(app)
+    .put(`/api/v1/admin/orders/${order._id}/status`)
+    .set(getAuthHeaders(adminToken))
+    .send({ status, notifyCustomer: false });
+
+  describe('GET /api/v1/orders/custom/fabrics', () => {
+    it('should list fabrics with stock and hide auto-disabled ones that ran out', async () => {
+      const response = await request(app)
+        .get('/api/v1/orders/custom/fabrics')
+        .expect(200);
+
+      const fabrics = response.body.data.fabrics;
+      const byName = Object.fromEntries(fabrics.map(fabric => [fabric.name, fabric]));
+
+      expect(byName['Ivory Lawn']).toMatchObject({ inStock: true, metersIncluded: 3, price: 3000 });
+      expect(byName['Rose Chiffon'].inStock).toBe(false);
+      expect(byName['Black Velvet']).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/v1/orders/custom', () => {
+    it('should link the order to the fabric and price it from inventory', async () => {
+      const response = await submit({ id: String(plentiful._id), name: 'Ivory Lawn', price: 1 }).expect(201);
+
+      expect(response.body.warnings).toEqual([]);
+
+      const order = await Order.findById(response.body.orderId);
+      const fabric = order.items[0].customDetails.fabric;
+      expect(String(fabric.inventoryItem)).toBe(String(plentiful._id));
+      expect(fabric.metersRequired).toBe(3);
+      expect(order.pricing.subtotal).toBeGreaterThanOrEqual(3000);
+    });
+
+    it('should warn when the fabric is running low', async () => {
+      const response = await submit({ id: String(scarce._id) }).expect(201);
+
+      expect(response.body.warnings).toHaveLength(1);
+      expect(response.body.warnings[0]).toContain('Rose Chiffon');
+    });
+
+    it('should reject a fabric hidden for being out of stock', async () => {
+      const response = await submit({ id: String(hidden._id) }).expect(400);
+
+      expect(response.body.message).toContain('out of stock');
+    });
+  });
+
+  describe('Material arranged', () => {
+    it('should take the meters out of stock once and record them in the ledger', async () => {
+      const submitted = await submit({ id: String(plentiful._id) }).expect(201);
+      await Order.updateOne(
+        { _id: submitted.body.orderId },
+        { status: 'payment-verified', 'payment.status': 'verified' }
+      );
+      const order = await Order.findById(submitted.body.orderId);
+
+      await updateStatus(order, 'material-arranged').expect(200);
+
+      const fabric = await FabricInventory.findById(plentiful._id);
+      expect(fabric.stock.quantity).toBe(17);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.items[0].customDetails.fabric.metersConsumed).toBe(3);
+      expect(updated.items[0].customDetails.fabric.consumedAt).toBeDefined();
+
+      const movements = await StockMovement.find({ fabric: plentiful._id, order: order._id });
+      expect(movements).toHaveLength(1);
+      expect(movements[0]).toMatchObject({ type: 'production', quantity: -3, balanceAfter: 17, unit: 'meters' });
+
+      // Running it again finds nothing left to consume
+      expect(await fabricService.consumeForOrder(order)).toEqual([]);
+      expect((await FabricInventory.findById(plentiful._id)).stock.quantity).toBe(17);
+    });
+  });
+});
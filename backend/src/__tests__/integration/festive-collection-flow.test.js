@@ -0,0 +1,142 @@
+/**
+ * Festive Collection Scheduler Integration Tests
+ * Tests for collection management and scheduled publish/unpublish
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestAdmin, createTestProduct, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const FestiveCollection = require('../../models/FestiveCollection');
+const festiveCollectionService = require('../../services/festiveCollectionService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Festive Collection Flow', () => {
+  let admin, adminToken, product;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    product = await createTestProduct();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await FestiveCollection.deleteMany({});
+  });
+
+  describe('POST /api/v1/admin/collections', () => {
+    it('should schedule a collection with a future publish date', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/collections')
+        .set(getAuthHeaders(adminToken))
+        .send({
+          name: 'Eid Collection',
+          type: 'eid',
+          publishDate: new Date(Date.now() + DAY),
+          unpublishDate: new Date(Date.now() + 10 * DAY),
+          products: [product._id]
+        })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.collection.status).toBe('scheduled');
+      expect(response.body.data.collection.products).toHaveLength(1);
+    });
+
+    it('should reject an unpublish date before the publish date', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/collections')
+        .set(getAuthHeaders(adminToken))
+        .send({
+          name: 'Broken Collection',
+          type: 'eid',
+          publishDate: new Date(Date.now() + 2 * DAY),
+          unpublishDate: new Date(Date.now() + DAY)
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject unknown products', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/collections')
+        .set(getAuthHeaders(adminToken))
+        .send({
+          name: 'Missing Products',
+          type: 'wedding-season',
+          publishDate: new Date(Date.now() + DAY),
+          unpublishDate: new Date(Date.now() + 10 * DAY),
+          products: ['507f1f77bcf86cd799439011']
+        })
+        .expect(400);
+
+      expect(response.body.invalidProducts).toContain('507f1f77bcf86cd799439011');
+    });
+  });
+
+  describe('Scheduler', () => {
+    it('should publish due collections and unpublish expired ones', async () => {
+      const due = await FestiveCollection.create({
+        name: 'Due Collection',
+        type: 'eid',
+        publishDate: new Date(Date.now() + DAY),
+        unpublishDate: new Date(Date.now() + 10 * DAY)
+      });
+      const expiring = await FestiveCollection.create({
+        name: 'Expiring Collection',
+        type: 'winter',
+        publishDate: new Date(Date.now() - 10 * DAY),
+        unpublishDate: new Date(Date.now() + DAY)
+      });
+
+      const result = await festiveCollectionService.processSchedule(new Date(Date.now() + 2 * DAY));
+
+      expect(result.published).toBe(1);
+      expect(result.unpublished).toBe(1);
+      expect((await FestiveCollection.findById(due._id)).status).toBe('published');
+      expect((await FestiveCollection.findById(expiring._id)).status).toBe('unpublished');
+    });
+
+    it('should only send the launch campaign once', async () => {
+      const collection = await FestiveCollection.create({
+        name: 'Campaign Collection',
+        type: 'eid',
+        publishDate: new Date(Date.now() - DAY),
+        unpublishDate: new Date(Date.now() + DAY),
+        emailCampaign: { enabled: true }
+      });
+
+      const first = await festiveCollectionService.sendCampaign(collection);
+      const again = await festiveCollectionService.sendCampaign(collection);
+
+      expect(first).not.toBeNull();
+      expect(again).toBeNull();
+      expect((await FestiveCollection.findById(collection._id)).emailCampaign.sentAt).toBeDefined();
+    });
+  });
+
+  describe('GET /api/v1/collections/active', () => {
+    it('should return the published collection', async () => {
+      await FestiveCollection.create({
+        name: 'Live Collection',
+        type: 'summer',
+        publishDate: new Date(Date.now() - DAY),
+        unpublishDate: new Date(Date.now() + DAY),
+        products: [product._id]
+      });
+
+      const response = await request(app)
+        .get('/api/v1/collections/active')
+        .expect(200);
+
+      expect(response.body.data.collection.name).toBe('Live Collection');
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Job Scheduler Integration Tests
+ * Tests for cron parsing, job locking, run history and admin triggers
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestUser, createTestAdmin, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const scheduler = require('../../jobs');
+const JobRun = require('../../models/JobRun');
+const JobLock = require('../../models/JobLock');
+const LoyaltyAccount = require('../../models/LoyaltyPoints');
+const { parse, getNextRun, isValid } = require('../../utils/cronParser');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Job Scheduler Flow', () => {
+  let admin, adminToken, customer, customerToken;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    customer = await createTestUser();
+    customerToken = generateTestToken(customer._id, customer.role);
+
+    scheduler.register({
+      name: 'test-failing-job',
+      schedule: '0 0 1 1 *',
+      retries: 3,
+      handler: async () => {
+        throw new Error('Something broke');
+      }
+    });
+  });
+
+  afterAll(async () => {
+    scheduler.stop();
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await JobRun.deleteMany({});
+    await JobLock.deleteMany({});
+  });
+
+  describe('Cron parser', () => {
+    const from = new Date(2026, 0, 1, 10, 7); // Thursday
+
+    it('should find the next run for step, hourly and daily schedules', () => {
+      expect(getNextRun('*/5 * * * *', from)).toEqual(new Date(2026, 0, 1, 10, 10));
+      expect(getNextRun('0 * * * *', from)).toEqual(new Date(2026, 0, 1, 11, 0));
+      expect(getNextRun('30 2 * * *', from)).toEqual(new Date(2026, 0, 2, 2, 30));
+    });
+
+    it('should honour day-of-week ranges and lists', () => {
+      expect(getNextRun('0 9 * * 1-5', new Date(2026, 0, 2, 10, 0))).toEqual(new Date(2026, 0, 5, 9, 0));
+      expect(getNextRun('30 9 1,15 * *', from)).toEqual(new Date(2026, 0, 15, 9, 30));
+    });
+
+    it('should always return a time after the starting point', () => {
+      expect(getNextRun('7 10 * * *', from)).toEqual(new Date(2026, 0, 2, 10, 7));
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(isValid('61 * * * *')).toBe(false);
+      expect(isValid('* * *')).toBe(false);
+      expect(isValid('*/0 * * * *')).toBe(false);
+      expect(() => parse('5-1 * * * *')).toThrow();
+    });
+  });
+
+  describe('GET /api/v1/admin/jobs', () => {
+    it('should list registered jobs with their next run', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/jobs')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      const names = response.body.data.jobs.map(job => job.name);
+      expect(names).toEqual(expect.arrayContaining([
+        'festive-collections',
+        'draft-abandonment',
+        'blog-publishing',
+        'alert-checks',
+        'loyalty-expiry',
+        'overdue-reminders'
+      ]));
+
+      const job = response.body.data.jobs.find(entry => entry.name === 'loyalty-expiry');
+      expect(job.schedule).toBe('30 2 * * *');
+      expect(new Date(job.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not allow customers', async () => {
+      await request(app)
+        .get('/api/v1/admin/jobs')
+        .set(getAuthHeaders(customerToken))
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/v1/admin/jobs/:name/run', () => {
+    it('should run a job and record the result', async () => {
+      const account = await LoyaltyAccount.create({
+        userId: customer._id,
+        currentBalance: 300,
+        totalPointsEarned: 300,
+        transactions: [
+          { type: 'earned', points: 200, value: 200, source: 'order', expiresAt: new Date(Date.now() - DAY) },
+          { type: 'earned', points: 100, value: 100, source: 'order', expiresAt: new Date(Date.now() + DAY) }
+        ]
+      });
+
+      const response = await request(app)
+        .post('/api/v1/admin/jobs/loyalty-expiry/run')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.run.status).toBe('success');
+      expect(response.body.data.run.trigger).toBe('manual');
+      expect(response.body.data.run.result.pointsExpired).toBe(200);
+
+      const updated = await LoyaltyAccount.findById(account._id);
+      expect(updated.currentBalance).toBe(100);
+      expect(updated.transactions.find(t => t.type === 'expired').points).toBe(-200);
+
+      // Lock is released after the run
+      expect(await JobLock.countDocuments({ _id: 'loyalty-expiry' })).toBe(0);
+
+      const runs = await request(app)
+        .get('/api/v1/admin/jobs/loyalty-expiry/runs')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(runs.body.data.runs).toHaveLength(1);
+      expect(runs.body.data.runs[0].triggeredBy.email).toBe(admin.email);
+    });
+
+    it('should record a failed run without retrying manual triggers', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/jobs/test-failing-job/run')
+        .set(getAuthHeaders(adminToken))
+        .expect(500);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Something broke');
+
+      const runs = await JobRun.find({ jobName: 'test-failing-job' });
+      expect(runs).toHaveLength(1);
+      expect(runs[0].status).toBe('failed');
+      expect(runs[0].error.message).toBe('Something broke');
+
+      const list = await request(app)
+        .get('/api/v1/admin/jobs')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      const job = list.body.data.jobs.find(entry => entry.name === 'test-failing-job');
+      expect(job.lastRun.status).toBe('failed');
+      expect(job.lastSuccessAt).toBeNull();
+    });
+
+    it('should skip a job locked by another instance', async () => {
+      await JobLock.create({
+        _id: 'loyalty-expiry',
+        owner: 'other-instance',
+        lockedUntil: new Date(Date.now() + 60 * 1000)
+      });
+
+      await request(app)
+        .post('/api/v1/admin/jobs/loyalty-expiry/run')
+        .set(getAuthHeaders(adminToken))
+        .expect(409);
+
+      expect(await JobRun.countDocuments({ jobName: 'loyalty-expiry' })).toBe(0);
+    });
+
+    it('should not repeat a scheduled tick another instance already ran', async () => {
+      const tick = new Date(2026, 0, 1, 2, 30);
+      await JobLock.create({
+        _id: `loyalty-expiry@${tick.toISOString()}`,
+        owner: 'other-instance',
+        lockedUntil: new Date(Date.now() + DAY)
+      });
+
+      const outcome = await scheduler.runJob('loyalty-expiry', { tick });
+
+      expect(outcome.status).toBe('skipped');
+      expect(await JobRun.countDocuments({ jobName: 'loyalty-expiry' })).toBe(0);
+
+      // The next tick is still free
+      const next = await scheduler.runJob('loyalty-expiry', { tick: new Date(tick.getTime() + DAY) });
+      expect(next.status).toBe('success');
+    });
+
+    it('should take over an expired lock', async () => {
+      await JobLock.create({
+        _id: 'loyalty-expiry',
+        owner: 'crashed-instance',
+        lockedUntil: new Date(Date.now() - 1000)
+      });
+
+      await request(app)
+        .post('/api/v1/admin/jobs/loyalty-expiry/run')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      await request(app)
+        .post('/api/v1/admin/jobs/not-a-job/run')
+        .set(getAuthHeaders(adminToken))
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Loyalty Flow Integration Tests
+ * Tests earning rules (delivered orders, reviews, social shares, birthdays),
+ * taking points back on refunds and cancellations, oldest-first spending and
+ * expiry of point lots, and tier discounts and points redemption at checkout
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestProduct,
+  createTestOrder,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const LoyaltyAccount = require('../../models/LoyaltyPoints');
+const Review = require('../../models/Review');
+const Settings = require('../../models/Settings');
+const User = require('../../models/User');
+const loyaltyService = require('../../services/loyaltyService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Loyalty Flow', () => {
+  let admin, adminToken, customer, customerToken;
+  let suit;
+  let orderSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    customer = await createTestUser({ email: `loyalty-customer${Date.now()}@example.com` });
+    customerToken = generateTestToken(customer._id, customer.role);
+
+    suit = await createTestProduct({
+      slug: `loyalty-suit-${Date.now()}`,
+      pricing: { basePrice: 5000, customStitchingCharge: 1000 },
+      inventory: { stockQuantity: 100, lowStockThreshold: 5 }
+    });
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await LoyaltyAccount.deleteMany({});
+    await Settings.deleteMany({});
+  });
+
+  const balance = async () => (await LoyaltyAccount.findOne({ userId: customer._id }))?.currentBalance || 0;
+
+  const updateStatus = (order, status) => request(app)
+    .put(`/api/v1/admin/orders/${order._id}/status`)
+    .set(getAuthHeaders(adminToken))
+    .send({ status, notifyCustomer: false });
+
+  // Paid in full with a refund on record, so every guard passes
+  const createOrder = (status) => {
+    orderSequence++;
+
+    return createTestOrder({
+      orderNumber: `LC-2026-7${String(orderSequence).padStart(3, '0')}`,
+      customer,
+      status,
+      payment: {
+        method: 'bank-transfer',
+        status: 'verified',
+        amountPaid: 10200,
+        refund: { amount: 10200, reason: 'Test refund' }
+      },
+      pricing: { subtotal: 10000, tax: 0, shippingCharges: 200, total: 10200 }
+    });
+  };
+
+  const placeOrder = (body) => request(app)
+    .post('/api/v1/orders')
+    .set(getAuthHeaders(customerToken))
+    .send({
+      items: [{ product: suit._id.toString(), quantity: 1 }],
+      shippingAddress: {
+        fullName: 'Test Customer',
+        phone: '03001234567',
+        addressLine1: '123 Test Street',
+        city: 'Lahore',
+        province: 'Punjab',
+        postalCode: '54000'
+      },
+      payment: { method: 'bank-transfer' },
+      ...body
+    });
+
+  describe('Earning', () => {
+    it('should award points once when an order is delivered, not counting shipping', async () => {
+      const order = await createOrder('dispatched');
+
+      await updateStatus(order, 'delivered').expect(200);
+
+      const account = await LoyaltyAccount.findOne({ userId: customer._id });
+      expect(account.currentBalance).toBe(100);
+      expect(account.transactions[0]).toMatchObject({ type: 'earned', source: 'order', remaining: 100 });
+
+      await loyaltyService.awardForOrder(order);
+      expect(await balance()).toBe(100);
+    });
+
+    it('should take the points back when the order is refunded', async () => {
+      const order = await createOrder('dispatched');
+      await updateStatus(order, 'delivered').expect(200);
+
+      await updateStatus(order, 'refunded').expect(200);
+
+      const account = await LoyaltyAccount.findOne({ userId: customer._id });
+      expect(account.currentBalance).toBe(0);
+      expect(account.totalPointsEarned).toBe(0);
+      expect(account.transactions.find(transaction => transaction.type === 'reversed').points).toBe(-100);
+    });
+
+    it('should award review points when the review is approved', async () => {
+      const review = await Review.create({
+        product: suit._id,
+        customer: customer._id,
+        customerName: customer.fullName,
+        rating: 5,
+        title: 'Lovely stitching',
+        comment: 'Fits perfectly and the embroidery is beautiful'
+      });
+
+      await request(app)
+        .put(`/api/v1/reviews/${review._id}/approve`)
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(await balance()).toBe(50);
+
+      await loyaltyService.awardForReview(review);
+      expect(await balance()).toBe(50);
+    });
+
+    it('should award share points up to the daily cap', async () => {
+      const share = () => request(app)
+        .post('/api/v1/loyalty/share')
+        .set(getAuthHeaders(customerToken))
+        .send({ platform: 'instagram', url: 'https://instagram.com/p/abc' });
+
+      await share().expect(200);
+      const second = await share().expect(400);
+
+      expect(second.body.message).toBe('You have already earned points for sharing today');
+      expect(await balance()).toBe(25);
+    });
+
+    it('should award birthday points once a year', async () => {
+      const today = new Date();
+      await User.updateOne(
+        { _id: customer._id },
+        { dateOfBirth: new Date(Date.UTC(1995, today.getMonth(), today.getDate())) }
+      );
+
+      expect(await loyaltyService.awardBirthdays(today)).toEqual({ customers: 1, points: 500 });
+      expect(await loyaltyService.awardBirthdays(today)).toEqual({ customers: 0, points: 0 });
+      expect(await balance()).toBe(500);
+    });
+  });
+
+  describe('Point lots', () => {
+    it('should spend the lot expiring soonest first and expire only what is left', async () => {
+      const account = await LoyaltyAccount.getOrCreate(customer._id);
+      account.earn(300, 'manual', { expiresAt: new Date(Date.now() + 30 * DAY) });
+      account.earn(200, 'manual', { expiresAt: new Date(Date.now() + 10 * DAY) });
+      await account.redeemPoints(250);
+
+      const result = await LoyaltyAccount.expireDuePoints(new Date(Date.now() + 20 * DAY));
+
+      expect(result.pointsExpired).toBe(0);
+
+      await LoyaltyAccount.expireDuePoints(new Date(Date.now() + 40 * DAY));
+      expect(await balance()).toBe(0);
+
+      const expired = (await LoyaltyAccount.findOne({ userId: customer._id })).transactions
+        .find(transaction => transaction.type === 'expired');
+      expect(expired.points).toBe(-250);
+    });
+  });
+
+  describe('Checkout', () => {
+    beforeEach(async () => {
+      // Silver: 2% off
+      await loyaltyService.award(customer._id, 3000, 'manual');
+    });
+
+    it('should apply the tier discount and spend points on the order', async () => {
+      const response = await placeOrder({ loyaltyPoints: 1000 });
+
+      expect(response.status).toBe(201);
+      const { pricing } = response.body.data.order;
+      expect(pricing.loyalty).toMatchObject({ tier: 'silver', tierDiscount: 100, pointsRedeemed: 1000, pointsDiscount: 1000 });
+      expect(pricing.discount).toBe(1100);
+      expect(await balance()).toBe(2000);
+    });
+
+    it('should give the points back when the order is cancelled', async () => {
+      const placed = await placeOrder({ loyaltyPoints: 1000 });
+
+      await request(app)
+        .post(`/api/v1/orders/${placed.body.data.order._id}/cancel`)
+        .set(getAuthHeaders(customerToken))
+        .send({ reason: 'Changed my mind' })
+        .expect(200);
+
+      expect(await balance()).toBe(3000);
+    });
+
+    it('should cap points at the share of the order they can pay for', async () => {
+      const response = await request(app)
+        .post('/api/v1/cart/pricing')
+        .set(getAuthHeaders(customerToken))
+        .send({ items: [{ product: suit._id.toString(), quantity: 1 }], loyaltyPoints: 3000 })
+        .expect(200);
+
+      // 50% of what is left after the 100 tier discount
+      expect(response.body.loyalty.pointsRedeemed).toBe(2450);
+      expect(response.body.total).toBe(2450);
+    });
+
+    it('should reject too few points', async () => {
+      const response = await placeOrder({ loyaltyPoints: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Redeem at least 100 points');
+      expect(await balance()).toBe(3000);
+    });
+
+    it('should reject more points than the balance', async () => {
+      const response = await placeOrder({ loyaltyPoints: 5000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Insufficient points balance');
+    });
+  });
+
+  describe('PUT /api/v1/settings/loyalty', () => {
+    it('should update the rules', async () => {
+      const response = await request(app)
+        .put('/api/v1/settings/loyalty')
+        .set(getAuthHeaders(adminToken))
+        .send({ earning: { reviewPoints: 80 } })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      const rules = await loyaltyService.getRules();
+      expect(rules.earning.reviewPoints).toBe(80);
+      expect(rules.earning.spendPerPoint).toBe(100);
+    });
+
+    it('should require a bronze tier', async () => {
+      const response = await request(app)
+        .put('/api/v1/settings/loyalty')
+        .set(getAuthHeaders(adminToken))
+        .send({ tiers: [{ tier: 'silver', minPoints: 0, discountPercentage: 2 }] })
+        .expect(400);
+
+      expect(response.body.errors).toContain('Tiers must include bronze');
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Order Payment Integration Tests
+ * Tests for the installment ledger: advance deposits, admin verification,
+ * the dispatch balance check and balance reminders
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestUser, createTestAdmin, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+
+describe('Order Payment Flow', () => {
+  let admin, adminToken, customer, customerToken, order;
+  let orderSequence = 0;
+
+  const receipt = { url: 'https://res.cloudinary.com/demo/image/upload/receipt.jpg' };
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    orderSequence++;
+    customer = await createTestUser({ email: `payer${orderSequence}${Date.now()}@example.com` });
+    customerToken = generateTestToken(customer._id, 'customer');
+    order = await createTestOrder({
+      orderNumber: `LC-2026-7${String(orderSequence).padStart(3, '0')}`,
+      customer,
+      payment: { method: 'bank-transfer', status: 'pending', depositPercentage: 50 },
+      pricing: { subtotal: 10000, tax: 0, shippingCharges: 0, total: 10000 }
+    });
+  });
+
+  const submitDeposit = (body = {}) => request(app)
+    .post(`/api/v1/orders/${order._id}/payments`)
+    .set(getAuthHeaders(customerToken))
+    .send({ amount: 5000, method: 'bank-transfer', receiptImage: receipt, transactionId: `TRX${orderSequence}`, ...body });
+
+  const review = (installmentId, body) => request(app)
+    .put(`/api/v1/admin/orders/${order._id}/payments/${installmentId}`)
+    .set(getAuthHeaders(adminToken))
+    .send(body);
+
+  /**
+   * Verify the deposit and move the order to ready-dispatch
+   */
+  const payDepositAndFinish = async () => {
+    const submitted = await submitDeposit().expect(201);
+    await review(submitted.body.data.installment._id, { approved: true }).expect(200);
+    await Order.updateOne({ _id: order._id }, { status: 'ready-dispatch' });
+  };
+
+  describe('POST /api/v1/orders/:id/payments', () => {
+    it('should record a submitted deposit as pending verification', async () => {
+      const response = await submitDeposit().expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.installment.status).toBe('pending');
+      expect(response.body.data.installment.source).toBe('customer');
+      expect(response.body.data.ledger.depositAmount).toBe(5000);
+      expect(response.body.data.ledger.amountPaid).toBe(0);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('pending-payment');
+      expect(updated.payment.installments).toHaveLength(1);
+    });
+
+    it('should reject an amount above the balance due', async () => {
+      const response = await submitDeposit({ amount: 15000 }).expect(400);
+
+      expect(response.body.message).toContain('exceeds the balance due');
+    });
+
+    it('should require a receipt image', async () => {
+      const response = await submitDeposit({ receiptImage: undefined }).expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it("should not let a customer pay for someone else's order", async () => {
+      const other = await createTestUser({ email: `other${Date.now()}@example.com` });
+
+      await request(app)
+        .post(`/api/v1/orders/${order._id}/payments`)
+        .set(getAuthHeaders(generateTestToken(other._id, 'customer')))
+        .send({ amount: 5000, method: 'bank-transfer', receiptImage: receipt })
+        .expect(403);
+    });
+
+    it('should not accept the same transaction twice', async () => {
+      await submitDeposit().expect(201);
+      await submitDeposit().expect(409);
+    });
+  });
+
+  describe('PUT /api/v1/admin/orders/:id/payments/:installmentId', () => {
+    it('should release the order to production once the deposit is verified', async () => {
+      const submitted = await submitDeposit().expect(201);
+
+      const response = await review(submitted.body.data.installment._id, { approved: true }).expect(200);
+
+      expect(response.body.data.installment.status).toBe('verified');
+      expect(response.body.data.ledger.balanceDue).toBe(5000);
+      expect(response.body.data.ledger.canDispatch).toBe(false);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('payment-verified');
+      expect(updated.payment.status).toBe('partial');
+      expect(updated.payment.amountPaid).toBe(5000);
+    });
+
+    it('should require a reason to reject a payment', async () => {
+      const submitted = await submitDeposit().expect(201);
+      const installmentId = submitted.body.data.installment._id;
+
+      await review(installmentId, { approved: false }).expect(400);
+
+      const response = await review(installmentId, { approved: false, rejectionReason: 'Receipt is unreadable' }).expect(200);
+      expect(response.body.data.installment.status).toBe('rejected');
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('pending-payment');
+      expect(updated.payment.amountPaid).toBe(0);
+    });
+
+    it('should not review a payment twice', async () => {
+      const submitted = await submitDeposit().expect(201);
+      const installmentId = submitted.body.data.installment._id;
+
+      await review(installmentId, { approved: true }).expect(200);
+      await review(installmentId, { approved: true }).expect(400);
+    });
+  });
+
+  describe('Dispatch balance check', () => {
+    it('should block dispatch while a balance is due', async () => {
+      await payDepositAndFinish();
+
+      const response = await request(app)
+        .put(`/api/v1/admin/orders/${order._id}/status`)
+        .set(getAuthHeaders(adminToken))
+        .send({ status: 'dispatched', notifyCustomer: false })
+        .expect(400);
+
+      expect(response.body.data.balanceDue).toBe(5000);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('ready-dispatch');
+    });
+
+    it('should allow dispatch once the balance is recorded', async () => {
+      await payDepositAndFinish();
+
+      const recorded = await request(app)
+        .post(`/api/v1/admin/orders/${order._id}/payments`)
+        .set(getAuthHeaders(adminToken))
+        .send({ amount: 5000, method: 'cash' })
+        .expect(201);
+
+      expect(recorded.body.data.installment.status).toBe('verified');
+      expect(recorded.body.data.ledger.balanceDue).toBe(0);
+
+      await request(app)
+        .put(`/api/v1/admin/orders/${order._id}/status`)
+        .set(getAuthHeaders(adminToken))
+        .send({ status: 'dispatched', notifyCustomer: false })
+        .expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('dispatched');
+      expect(updated.payment.status).toBe('verified');
+    });
+
+    it('should not block dispatch for cash on delivery', async () => {
+      await Order.updateOne(
+        { _id: order._id },
+        { status: 'ready-dispatch', 'payment.method': 'cod', 'payment.status': 'partial', 'payment.amountPaid': 5000 }
+      );
+
+      await request(app)
+        .put(`/api/v1/admin/orders/${order._id}/status`)
+        .set(getAuthHeaders(adminToken))
+        .send({ status: 'dispatched', notifyCustomer: false })
+        .expect(200);
+    });
+  });
+
+  describe('POST /api/v1/admin/orders/:id/payments/reminder', () => {
+    it('should not remind when there is no balance due', async () => {
+      await Order.updateOne({ _id: order._id }, { 'payment.status': 'verified', 'payment.amountPaid': 10000 });
+
+      const response = await request(app)
+        .post(`/api/v1/admin/orders/${order._id}/payments/reminder`)
+        .set(getAuthHeaders(adminToken))
+        .expect(400);
+
+      expect(response.body.message).toBe('Order has no balance due');
+    });
+
+    it('should list orders due a reminder', async () => {
+      await payDepositAndFinish();
+
+      const due = await Order.getBalanceReminderDue(2);
+      expect(due.map(entry => entry.orderNumber)).toContain(order.orderNumber);
+
+      await Order.updateOne({ _id: order._id }, { 'payment.balanceReminder': { lastSentAt: new Date(), count: 1 } });
+
+      const later = await Order.getBalanceReminderDue(2);
+      expect(later.map(entry => entry.orderNumber)).not.toContain(order.orderNumber);
+    });
+  });
+});
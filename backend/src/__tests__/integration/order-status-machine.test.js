@@ -0,0 +1,229 @@
+/**
+ * Order Status Machine Integration Tests
+ * Tests every transition in config/orderStatusMachine through the admin API,
+ * the guards that block them and syncing orders with the production queue
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestUser, createTestAdmin, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+const ProductionQueue = require('../../models/ProductionQueue');
+const { TRANSITIONS, ORDER_STATUSES, getNextStatuses } = require('../../config/orderStatusMachine');
+
+describe('Order Status Machine', () => {
+  let admin, adminToken, customer, customerToken;
+  let orderSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    customer = await createTestUser({ email: `status-machine${Date.now()}@example.com` });
+    customerToken = generateTestToken(customer._id, 'customer');
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  // Fully paid by default, with a refund on record so every guard passes
+  const createOrder = (status, payment = {}) => {
+    orderSequence++;
+
+    return createTestOrder({
+      orderNumber: `LC-2026-8${String(orderSequence).padStart(3, '0')}`,
+      customer,
+      status,
+      payment: {
+        method: 'bank-transfer',
+        status: 'verified',
+        amountPaid: 10000,
+        refund: { amount: 10000, reason: 'Test refund' },
+        ...payment
+      },
+      pricing: { subtotal: 10000, tax: 0, shippingCharges: 0, total: 10000 }
+    });
+  };
+
+  const updateStatus = (order, status) => request(app)
+    .put(`/api/v1/admin/orders/${order._id}/status`)
+    .set(getAuthHeaders(adminToken))
+    .send({ status, notifyCustomer: false });
+
+  const updateQueueStatus = (item, status) => request(app)
+    .patch(`/api/v1/production-queue/${item._id}/status`)
+    .set(getAuthHeaders(adminToken))
+    .send({ status });
+
+  describe('Allowed transitions', () => {
+    it.each(TRANSITIONS.map(({ from, to }) => [from, to]))('should move %s -> %s', async (from, to) => {
+      const order = await createOrder(from);
+
+      const response = await updateStatus(order, to).expect(200);
+
+      expect(response.body.data.order.status).toBe(to);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe(to);
+      expect(updated.statusHistory[updated.statusHistory.length - 1].status).toBe(to);
+    });
+  });
+
+  describe('Undefined transitions', () => {
+    it.each(ORDER_STATUSES)('should reject every undefined move from %s', async (from) => {
+      const order = await createOrder(from);
+      const blocked = ORDER_STATUSES.filter(to => to !== from && !getNextStatuses(from).includes(to));
+
+      for (const to of blocked) {
+        const response = await updateStatus(order, to).expect(400);
+
+        expect(response.body.message).toBe(`Cannot change status from '${from}' to '${to}'`);
+        expect(response.body.allowedTransitions).toEqual(getNextStatuses(from));
+      }
+
+      expect((await Order.findById(order._id)).status).toBe(from);
+    });
+
+    it('should treat the current status as a no-op', async () => {
+      const order = await createOrder('in-progress');
+
+      await updateStatus(order, 'in-progress').expect(200);
+
+      expect((await Order.findById(order._id)).status).toBe('in-progress');
+    });
+
+    it('should reject an unknown status', async () => {
+      const order = await createOrder('in-progress');
+
+      await updateStatus(order, 'out-for-delivery').expect(400);
+    });
+  });
+
+  describe('Guards', () => {
+    it('should not start production before payment is verified', async () => {
+      const order = await createOrder('pending-payment', { status: 'pending', amountPaid: 0 });
+
+      const response = await updateStatus(order, 'payment-verified').expect(400);
+
+      expect(response.body.message).toBe('Cannot update status until payment is verified');
+    });
+
+    it('should not start production on an installment below the deposit', async () => {
+      const order = await createOrder('payment-verified', { status: 'partial', amountPaid: 1000, depositPercentage: 50 });
+
+      const response = await updateStatus(order, 'material-arranged').expect(400);
+
+      expect(response.body.message).toContain('Deposit of PKR 5,000 must be paid before production');
+      expect(response.body.data).toEqual({ depositAmount: 5000, amountPaid: 1000 });
+      expect((await Order.findById(order._id)).status).toBe('payment-verified');
+    });
+
+    it('should not dispatch with a balance outstanding', async () => {
+      const order = await createOrder('ready-dispatch', { status: 'partial', amountPaid: 5000, depositPercentage: 50 });
+
+      const response = await updateStatus(order, 'dispatched').expect(400);
+
+      expect(response.body.message).toContain('must be paid before dispatch');
+      expect(response.body.data.balanceDue).toBe(5000);
+    });
+
+    it('should not mark an order refunded before the refund is processed', async () => {
+      const order = await createOrder('cancelled', { refund: undefined });
+
+      const response = await updateStatus(order, 'refunded').expect(400);
+
+      expect(response.body.message).toBe('Process the refund before marking the order as refunded');
+    });
+  });
+
+  describe('GET /api/v1/admin/orders/:id/transitions', () => {
+    it('should list the available moves with the reason blocked ones are blocked', async () => {
+      const order = await createOrder('ready-dispatch', { status: 'partial', amountPaid: 5000, depositPercentage: 50, refund: undefined });
+
+      const response = await request(app)
+        .get(`/api/v1/admin/orders/${order._id}/transitions`)
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      const transitions = response.body.data.transitions;
+      expect(response.body.data.status).toBe('ready-dispatch');
+      expect(transitions.map(t => t.to)).toEqual(getNextStatuses('ready-dispatch'));
+      expect(transitions.find(t => t.to === 'dispatched')).toMatchObject({ allowed: false });
+      expect(transitions.find(t => t.to === 'dispatched').reason).toContain('Balance of PKR');
+      expect(transitions.find(t => t.to === 'cancelled').allowed).toBe(true);
+    });
+  });
+
+  describe('GET /api/v1/admin/orders/status-machine', () => {
+    it('should return the machine definition', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/orders/status-machine')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.states.map(s => s.status)).toEqual(ORDER_STATUSES);
+      expect(response.body.data.transitions).toHaveLength(TRANSITIONS.length);
+      expect(response.body.data.guards['balance-paid']).toBeDefined();
+    });
+  });
+
+  describe('Production queue sync', () => {
+    it('should queue the order when material is arranged and follow the queue through production', async () => {
+      const order = await createOrder('payment-verified');
+
+      await updateStatus(order, 'material-arranged').expect(200);
+
+      const item = await ProductionQueue.findOne({ orderId: order._id });
+      expect(item).not.toBeNull();
+
+      const response = await updateQueueStatus(item, 'stitching').expect(200);
+      expect(response.body.data.orderStatus).toBe('in-progress');
+      expect((await Order.findById(order._id)).status).toBe('in-progress');
+
+      await updateQueueStatus(item, 'ready-for-shipment').expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('ready-dispatch');
+      expect(updated.statusHistory.map(entry => entry.status)).toEqual(
+        expect.arrayContaining(['in-progress', 'quality-check', 'ready-dispatch'])
+      );
+    });
+
+    it('should take a cancelled order off the production queue', async () => {
+      const order = await createOrder('payment-verified');
+      await updateStatus(order, 'material-arranged').expect(200);
+
+      await updateStatus(order, 'cancelled').expect(200);
+
+      const item = await ProductionQueue.findOne({ orderId: order._id });
+      expect(item.status).toBe('cancelled');
+    });
+
+    it('should leave the order alone when the queue moves somewhere the machine forbids', async () => {
+      const order = await createOrder('payment-verified');
+      await updateStatus(order, 'material-arranged').expect(200);
+      await updateStatus(order, 'cancelled').expect(200);
+
+      const item = await ProductionQueue.findOne({ orderId: order._id });
+      await updateQueueStatus(item, 'stitching').expect(200);
+
+      expect((await Order.findById(order._id)).status).toBe('cancelled');
+    });
+  });
+
+  describe('Customer cancellation', () => {
+    it('should not let the customer cancel once stitching has started', async () => {
+      const order = await createOrder('in-progress');
+
+      await request(app)
+        .post(`/api/v1/orders/${order._id}/cancel`)
+        .set(getAuthHeaders(customerToken))
+        .send({ reason: 'Changed my mind' })
+        .expect(400);
+
+      expect((await Order.findById(order._id)).status).toBe('in-progress');
+    });
+  });
+});
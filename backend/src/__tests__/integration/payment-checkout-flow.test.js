@@ -0,0 +1,220 @@
+/**
+ * Payment Checkout Integration Tests
+ * Tests for hosted checkout initiation, the mock gateway and return handling
+ */
+
+process.env.JAZZCASH_MERCHANT_ID = 'MC00000';
+process.env.JAZZCASH_PASSWORD = 'test-jazzcash-password';
+process.env.JAZZCASH_INTEGRITY_SALT = 'test-jazzcash-salt';
+process.env.EASYPAISA_STORE_ID = '10000';
+process.env.EASYPAISA_HASH_KEY = 'test-easypaisa-key';
+process.env.PAYMENT_GATEWAY_MODE = 'mock';
+process.env.FRONTEND_URL = 'http://localhost:3000';
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestUser, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+const PaymentAttempt = require('../../models/PaymentAttempt');
+const PaymentEvent = require('../../models/PaymentEvent');
+const paymentCheckoutService = require('../../services/paymentCheckoutService');
+
+describe('Payment Checkout Flow', () => {
+  let order;
+  let orderSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await PaymentAttempt.deleteMany({});
+    await PaymentEvent.deleteMany({});
+    orderSequence++;
+    order = await createTestOrder({
+      orderNumber: `LC-2026-8${String(orderSequence).padStart(3, '0')}`
+    });
+  });
+
+  // Paid for by the order's customer unless a test signs in as someone else
+  const initiate = (body) => request(app)
+    .post('/api/v1/payments/checkout')
+    .set(getAuthHeaders(generateTestToken(order.customer, 'customer')))
+    .send({ orderNumber: order.orderNumber, returnUrl: 'http://localhost:3000/checkout', ...body });
+
+  describe('POST /api/v1/payments/checkout', () => {
+    it('should create a pending attempt and return the mock gateway redirect', async () => {
+      const response = await initiate({ provider: 'jazzcash' }).expect(201);
+
+      expect(response.body.success).toBe(true);
+      const { attempt, redirect } = response.body.data;
+      expect(attempt.status).toBe('pending');
+      expect(attempt.mode).toBe('mock');
+      expect(attempt.amount).toBe(order.pricing.total);
+      expect(redirect.method).toBe('GET');
+      expect(redirect.url).toContain(`/api/v1/payments/mock/${attempt._id}`);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.payment.method).toBe('jazzcash');
+    });
+
+    it('should cancel the previous pending attempt when payment is restarted', async () => {
+      const first = await initiate({ provider: 'jazzcash' }).expect(201);
+      await initiate({ provider: 'easypaisa' }).expect(201);
+
+      const previous = await PaymentAttempt.findById(first.body.data.attempt._id);
+      expect(previous.status).toBe('cancelled');
+    });
+
+    it('should reject an unsupported provider', async () => {
+      await initiate({ provider: 'paypal' }).expect(400);
+    });
+
+    it('should reject an order that is not awaiting payment', async () => {
+      await Order.updateOne({ _id: order._id }, { status: 'payment-verified' });
+
+      const response = await initiate({ provider: 'jazzcash' }).expect(400);
+      expect(response.body.message).toBe('Order is not awaiting payment');
+    });
+
+    it("should not let a customer pay for someone else's order", async () => {
+      const other = await createTestUser({ email: `other${Date.now()}@example.com` });
+      const token = generateTestToken(other._id, 'customer');
+
+      await initiate({ provider: 'jazzcash' })
+        .set(getAuthHeaders(token))
+        .expect(403);
+    });
+
+    it("should let a guest pay only with the order's guest token", async () => {
+      const guest = (guestToken) => request(app)
+        .post('/api/v1/payments/checkout')
+        .send({ orderNumber: order.orderNumber, provider: 'jazzcash', guestToken });
+
+      await guest().expect(401);
+      await guest('not-the-token').expect(401);
+      await guest(paymentCheckoutService.getGuestPaymentToken(order)).expect(201);
+    });
+
+    it('should not use the mock gateway in production unless enabled', () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        expect(paymentCheckoutService.getMode()).toBe('live');
+        process.env.PAYMENT_SIMULATOR_ENABLED = 'true';
+        expect(paymentCheckoutService.getMode()).toBe('mock');
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+        delete process.env.PAYMENT_SIMULATOR_ENABLED;
+      }
+    });
+
+    it('should ignore a return URL on another site', async () => {
+      const response = await initiate({ provider: 'jazzcash', returnUrl: 'https://evil.example.com/steal' }).expect(201);
+
+      const attempt = await PaymentAttempt.findById(response.body.data.attempt._id);
+      expect(attempt.returnUrl.startsWith('http://localhost:3000')).toBe(true);
+    });
+  });
+
+  describe('Mock gateway', () => {
+    it('should render the mock checkout page', async () => {
+      const { body } = await initiate({ provider: 'easypaisa' }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/payments/mock/${body.data.attempt._id}`)
+        .expect(200);
+
+      expect(response.text).toContain(order.orderNumber);
+      expect(response.text).toContain('Approve payment');
+    });
+
+    it('should verify the order and redirect back when the payment is approved', async () => {
+      const { body } = await initiate({ provider: 'jazzcash' }).expect(201);
+      const attemptId = body.data.attempt._id;
+
+      const response = await request(app)
+        .post(`/api/v1/payments/mock/${attemptId}`)
+        .type('form')
+        .send({ action: 'approve' })
+        .expect(303);
+
+      expect(response.headers.location).toContain('http://localhost:3000/checkout');
+      expect(response.headers.location).toContain(`paymentAttempt=${attemptId}`);
+      expect(response.headers.location).toContain('paymentStatus=succeeded');
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('payment-verified');
+      expect(updated.payment.status).toBe('verified');
+
+      const attempt = await PaymentAttempt.findById(attemptId);
+      expect(attempt.status).toBe('succeeded');
+      expect(attempt.paymentEvent).toBeDefined();
+    });
+
+    it('should mark the attempt failed when the payment is declined', async () => {
+      const { body } = await initiate({ provider: 'easypaisa' }).expect(201);
+      const attemptId = body.data.attempt._id;
+
+      const response = await request(app)
+        .post(`/api/v1/payments/mock/${attemptId}`)
+        .type('form')
+        .send({ action: 'decline' })
+        .expect(303);
+
+      expect(response.headers.location).toContain('paymentStatus=failed');
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('pending-payment');
+      expect(updated.payment.status).toBe('failed');
+
+      const attempt = await PaymentAttempt.findById(attemptId);
+      expect(attempt.status).toBe('failed');
+      expect(attempt.failureReason).toBeTruthy();
+    });
+  });
+
+  describe('GET /api/v1/payments/attempts/:id', () => {
+    it('should return the attempt status without gateway details', async () => {
+      const { body } = await initiate({ provider: 'jazzcash' }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/payments/attempts/${body.data.attempt._id}`)
+        .expect(200);
+
+      expect(response.body.data.attempt.status).toBe('pending');
+      expect(response.body.data.attempt.orderNumber).toBe(order.orderNumber);
+      expect(response.body.data.attempt.reference).toBeUndefined();
+    });
+
+    it('should expire an attempt past its deadline', async () => {
+      const { body } = await initiate({ provider: 'jazzcash' }).expect(201);
+      await PaymentAttempt.updateOne(
+        { _id: body.data.attempt._id },
+        { expiresAt: new Date(Date.now() - 60 * 1000) }
+      );
+
+      const response = await request(app)
+        .get(`/api/v1/payments/attempts/${body.data.attempt._id}`)
+        .expect(200);
+
+      expect(response.body.data.attempt.status).toBe('expired');
+    });
+  });
+
+  describe('GET /api/v1/payments/return/:provider', () => {
+    it('should redirect to checkout when the return cannot be matched', async () => {
+      const response = await request(app)
+        .get('/api/v1/payments/return/jazzcash')
+        .expect(303);
+
+      expect(response.headers.location).toBe('http://localhost:3000/checkout?paymentStatus=unknown');
+    });
+  });
+});
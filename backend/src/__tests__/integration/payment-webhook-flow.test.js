@@ -0,0 +1,233 @@
+/**
+ * Payment Webhook Integration Tests
+ * Tests for signed JazzCash/Easypaisa callbacks, idempotency, amount matching and replay
+ */
+
+process.env.JAZZCASH_INTEGRITY_SALT = 'test-jazzcash-salt';
+process.env.EASYPAISA_HASH_KEY = 'test-easypaisa-key';
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestAdmin, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+const PaymentEvent = require('../../models/PaymentEvent');
+const { buildSimulatedCallback } = require('../../services/paymentWebhookService');
+
+describe('Payment Webhook Flow', () => {
+  let admin, adminToken, order;
+  let orderSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await PaymentEvent.deleteMany({});
+    orderSequence++;
+    order = await createTestOrder({
+      orderNumber: `LC-2026-9${String(orderSequence).padStart(3, '0')}`,
+      payment: { method: 'jazzcash', status: 'pending' }
+    });
+  });
+
+  describe('POST /api/v1/payments/webhooks/jazzcash', () => {
+    it('should verify the payment for a signed callback with the exact amount', async () => {
+      const payload = buildSimulatedCallback('jazzcash', {
+        orderNumber: order.orderNumber,
+        amount: order.pricing.total,
+        transactionId: 'T20260001'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/payments/webhooks/jazzcash')
+        .type('form')
+        .send(payload)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('processed');
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('payment-verified');
+      expect(updated.payment.status).toBe('verified');
+      expect(updated.payment.transactionId).toBe('T20260001');
+      expect(updated.payment.amountPaid).toBe(order.pricing.total);
+      expect(updated.statusHistory[updated.statusHistory.length - 1].status).toBe('payment-verified');
+    });
+
+    it('should process a repeated transaction only once', async () => {
+      const payload = buildSimulatedCallback('jazzcash', {
+        orderNumber: order.orderNumber,
+        amount: order.pricing.total,
+        transactionId: 'T20260002'
+      });
+
+      await request(app).post('/api/v1/payments/webhooks/jazzcash').type('form').send(payload).expect(200);
+      const retry = await request(app).post('/api/v1/payments/webhooks/jazzcash').type('form').send(payload).expect(200);
+
+      expect(retry.body.data.duplicate).toBe(true);
+
+      const events = await PaymentEvent.find({ transactionId: 'T20260002' });
+      expect(events).toHaveLength(1);
+      expect(events[0].deliveries).toBe(2);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.statusHistory.filter(entry => entry.status === 'payment-verified')).toHaveLength(1);
+    });
+
+    it('should reject a tampered payload', async () => {
+      const payload = buildSimulatedCallback('jazzcash', {
+        orderNumber: order.orderNumber,
+        amount: order.pricing.total,
+        transactionId: 'T20260003'
+      });
+      payload.pp_Amount = '100';
+
+      await request(app)
+        .post('/api/v1/payments/webhooks/jazzcash')
+        .type('form')
+        .send(payload)
+        .expect(401);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('pending-payment');
+
+      const event = await PaymentEvent.findOne({ provider: 'jazzcash' });
+      expect(event.status).toBe('rejected');
+      expect(event.signatureValid).toBe(false);
+    });
+
+    it('should not verify a payment whose amount does not match the order total', async () => {
+      const payload = buildSimulatedCallback('jazzcash', {
+        orderNumber: order.orderNumber,
+        amount: order.pricing.total - 500,
+        transactionId: 'T20260004'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/payments/webhooks/jazzcash')
+        .type('form')
+        .send(payload)
+        .expect(200);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.data.status).toBe('rejected');
+      expect(response.body.message).toContain('Amount mismatch');
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('pending-payment');
+      expect(updated.payment.status).toBe('pending');
+    });
+
+    it('should record a declined payment without changing the order status', async () => {
+      const payload = buildSimulatedCallback('jazzcash', {
+        orderNumber: order.orderNumber,
+        amount: order.pricing.total,
+        success: false,
+        transactionId: 'T20260005'
+      });
+
+      await request(app).post('/api/v1/payments/webhooks/jazzcash').type('form').send(payload).expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('pending-payment');
+      expect(updated.payment.status).toBe('failed');
+      expect(updated.payment.failedAt).toBeDefined();
+    });
+  });
+
+  describe('POST /api/v1/payments/webhooks/easypaisa', () => {
+    it('should accept the signature from the header', async () => {
+      const { signature, ...payload } = buildSimulatedCallback('easypaisa', {
+        orderNumber: order.orderNumber,
+        amount: order.pricing.total,
+        transactionId: 'EP20260001'
+      });
+
+      await request(app)
+        .post('/api/v1/payments/webhooks/easypaisa')
+        .set('x-easypaisa-signature', signature)
+        .send(payload)
+        .expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('payment-verified');
+      expect(updated.payment.method).toBe('easypaisa');
+    });
+  });
+
+  describe('Event log', () => {
+    it('should replay a failed event once the order exists', async () => {
+      const payload = buildSimulatedCallback('easypaisa', {
+        orderNumber: 'LC-2026-8888',
+        amount: order.pricing.total,
+        transactionId: 'EP20260002'
+      });
+
+      const first = await request(app)
+        .post('/api/v1/payments/webhooks/easypaisa')
+        .send(payload)
+        .expect(200);
+
+      expect(first.body.data.status).toBe('failed');
+
+      // Order number was mistyped at checkout and corrected by support
+      order.orderNumber = 'LC-2026-8888';
+      await order.save();
+
+      const replay = await request(app)
+        .post(`/api/v1/payments/webhooks/events/${first.body.data.eventId}/replay`)
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(replay.body.data.event.status).toBe('processed');
+      expect(replay.body.data.event.replays).toHaveLength(1);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('payment-verified');
+    });
+
+    it('should list events for admins only', async () => {
+      const payload = buildSimulatedCallback('jazzcash', {
+        orderNumber: order.orderNumber,
+        amount: order.pricing.total
+      });
+      await request(app).post('/api/v1/payments/webhooks/jazzcash').type('form').send(payload);
+
+      await request(app)
+        .get('/api/v1/payments/webhooks/events')
+        .expect(401);
+
+      const response = await request(app)
+        .get(`/api/v1/payments/webhooks/events?orderNumber=${order.orderNumber}`)
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.events).toHaveLength(1);
+      expect(response.body.data.events[0].payload).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/v1/payments/webhooks/simulate/:provider', () => {
+    it('should run a signed callback for the order total through the pipeline', async () => {
+      const response = await request(app)
+        .post('/api/v1/payments/webhooks/simulate/jazzcash')
+        .set(getAuthHeaders(adminToken))
+        .send({ orderNumber: order.orderNumber })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('processed');
+      expect(response.body.data.payload.pp_SecureHash).toBeDefined();
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('payment-verified');
+    });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Promo Code Redemption Flow Integration Tests
+ * Tests the redemption ledger, global and per-customer limits under
+ * concurrent checkouts, releasing a use on cancellation, and batches of
+ * single-use codes with their CSV export and analytics
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestProduct,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const PromoCode = require('../../models/PromoCode');
+const PromoCodeBatch = require('../../models/PromoCodeBatch');
+const PromoRedemption = require('../../models/PromoRedemption');
+
+describe('Promo Code Redemption Flow', () => {
+  let admin, adminToken, customer, customerToken, otherToken, thirdToken;
+  let suit;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    customer = await createTestUser({ email: 'redeem-customer@example.com' });
+    customerToken = generateTestToken(customer._id, customer.role);
+    const other = await createTestUser({ email: 'redeem-other@example.com' });
+    otherToken = generateTestToken(other._id, other.role);
+    const third = await createTestUser({ email: 'redeem-third@example.com' });
+    thirdToken = generateTestToken(third._id, third.role);
+
+    suit = await createTestProduct({
+      slug: `redeem-suit-${Date.now()}`,
+      pricing: { basePrice: 5000, customStitchingCharge: 1000 },
+      inventory: { stockQuantity: 100, lowStockThreshold: 5 }
+    });
+
+    // The per-customer limit relies on the ledger's unique index being built
+    await PromoRedemption.init();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await PromoCode.deleteMany({});
+    await PromoCodeBatch.deleteMany({});
+    await PromoRedemption.deleteMany({});
+  });
+
+  const createCode = (data) => PromoCode.create({
+    code: 'EID10',
+    description: '10% off',
+    discountType: 'percentage',
+    discountValue: 10,
+    endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    createdBy: admin._id,
+    ...data
+  });
+
+  const placeOrder = (token, promoCode) => request(app)
+    .post('/api/v1/orders')
+    .set(getAuthHeaders(token))
+    .send({
+      items: [{ product: suit._id.toString(), quantity: 1 }],
+      shippingAddress: {
+        fullName: 'Test Customer',
+        phone: '03001234567',
+        addressLine1: '123 Test Street',
+        city: 'Lahore',
+        province: 'Punjab',
+        postalCode: '54000'
+      },
+      payment: { method: 'bank-transfer' },
+      promoCode
+    });
+
+  describe('Redemption ledger', () => {
+    it('should record who redeemed the code on which order', async () => {
+      const promoCode = await createCode();
+
+      const response = await placeOrder(customerToken, 'EID10');
+
+      expect(response.status).toBe(201);
+      const order = response.body.data.order;
+
+      const redemptions = await PromoRedemption.find({ promoCode: promoCode._id });
+      expect(redemptions).toHaveLength(1);
+      expect(redemptions[0].user.toString()).toBe(customer._id.toString());
+      expect(redemptions[0].order.toString()).toBe(order._id);
+      expect(redemptions[0].amount).toBe(500);
+
+      const list = await request(app)
+        .get(`/api/v1/admin/promo-codes/${promoCode._id}/redemptions`)
+        .set(getAuthHeaders(adminToken));
+
+      expect(list.status).toBe(200);
+      expect(list.body.data[0].orderNumber).toBe(order.orderNumber);
+      expect(list.body.data[0].user.email).toBe('redeem-customer@example.com');
+    });
+
+    it('should refuse a second use once the customer has used their allowance', async () => {
+      await createCode({ userLimit: 1 });
+
+      expect((await placeOrder(customerToken, 'EID10')).status).toBe(201);
+
+      const second = await placeOrder(customerToken, 'EID10');
+
+      expect(second.status).toBe(400);
+      expect(second.body.message).toBe('You have already used this promo code');
+    });
+
+    it('should give the use back when the order is cancelled', async () => {
+      await createCode({ userLimit: 1, usageLimit: 1 });
+
+      const placed = await placeOrder(customerToken, 'EID10');
+      const cancelled = await request(app)
+        .post(`/api/v1/orders/${placed.body.data.order._id}/cancel`)
+        .set(getAuthHeaders(customerToken))
+        .send({ reason: 'Changed my mind' });
+
+      expect(cancelled.status).toBe(200);
+      expect((await PromoCode.findOne({ code: 'EID10' })).usedCount).toBe(0);
+      expect((await PromoRedemption.findOne({ order: placed.body.data.order._id })).status).toBe('reversed');
+
+      expect((await placeOrder(customerToken, 'EID10')).status).toBe(201);
+    });
+  });
+
+  describe('Concurrent checkouts', () => {
+    it('should never go over the global usage limit', async () => {
+      await createCode({ usageLimit: 1, userLimit: 0 });
+
+      const responses = await Promise.all([
+        placeOrder(customerToken, 'EID10'),
+        placeOrder(otherToken, 'EID10'),
+        placeOrder(thirdToken, 'EID10')
+      ]);
+
+      expect(responses.filter(response => response.status === 201)).toHaveLength(1);
+      expect((await PromoCode.findOne({ code: 'EID10' })).usedCount).toBe(1);
+      expect(await PromoRedemption.countDocuments({ status: 'active' })).toBe(1);
+    });
+
+    it('should never go over the per-customer limit', async () => {
+      await createCode({ userLimit: 2 });
+
+      const responses = await Promise.all([
+        placeOrder(customerToken, 'EID10'),
+        placeOrder(customerToken, 'EID10'),
+        placeOrder(customerToken, 'EID10')
+      ]);
+
+      expect(responses.filter(response => response.status === 201)).toHaveLength(2);
+      expect((await PromoCode.findOne({ code: 'EID10' })).usedCount).toBe(2);
+      expect(await PromoRedemption.countDocuments({ user: customer._id, status: 'active' })).toBe(2);
+    });
+  });
+
+  describe('Single-use code batches', () => {
+    const createBatch = (body) => request(app)
+      .post('/api/v1/admin/promo-codes/batches')
+      .set(getAuthHeaders(adminToken))
+      .send({
+        name: 'Ayesha Instagram',
+        channel: 'influencer',
+        prefix: 'AYESHA',
+        quantity: 25,
+        discountType: 'fixed',
+        discountValue: 750,
+        endDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+        ...body
+      });
+
+    it('should generate unique single-use codes', async () => {
+      const response = await createBatch();
+
+      expect(response.status).toBe(201);
+      const { codes } = response.body.data;
+      expect(codes).toHaveLength(25);
+      expect(new Set(codes).size).toBe(25);
+      codes.forEach(code => expect(code).toMatch(/^AYESHA-[A-Z2-9]{6}$/));
+
+      const saved = await PromoCode.find({ batch: response.body.data.batch._id });
+      expect(saved).toHaveLength(25);
+      expect(saved.every(code => code.usageLimit === 1 && code.userLimit === 1)).toBe(true);
+    });
+
+    it('should validate the batch', async () => {
+      const response = await createBatch({ quantity: 10000 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should let each code be redeemed once and export the batch with its redemptions', async () => {
+      const created = await createBatch({ quantity: 3 });
+      const [code] = created.body.data.codes;
+
+      expect((await placeOrder(customerToken, code)).status).toBe(201);
+
+      const reused = await placeOrder(otherToken, code);
+      expect(reused.status).toBe(400);
+      expect(reused.body.message).toBe('This promo code has reached its usage limit');
+
+      const batches = await request(app)
+        .get('/api/v1/admin/promo-codes/batches')
+        .set(getAuthHeaders(adminToken));
+
+      expect(batches.body.data[0]).toMatchObject({ redeemed: 1, quantity: 3, discount: 750 });
+
+      const exported = await request(app)
+        .get(`/api/v1/admin/promo-codes/batches/${created.body.data.batch._id}/export`)
+        .set(getAuthHeaders(adminToken));
+
+      expect(exported.status).toBe(200);
+      expect(exported.headers['content-type']).toMatch(/text\/csv/);
+      const lines = exported.text.split('\n');
+      expect(lines).toHaveLength(4);
+      expect(lines.find(line => line.startsWith(code))).toMatch(/Redeemed/);
+    });
+  });
+
+  describe('Analytics', () => {
+    it('should report redemptions, discount given and top codes', async () => {
+      await createCode({ userLimit: 0 });
+      await placeOrder(customerToken, 'EID10');
+      await placeOrder(otherToken, 'EID10');
+
+      const response = await request(app)
+        .get('/api/v1/admin/promo-codes/stats')
+        .set(getAuthHeaders(adminToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.active).toBe(1);
+      expect(response.body.data.redemptions).toMatchObject({ redemptions: 2, discountGiven: 1000, uniqueCustomers: 2 });
+      expect(response.body.data.redemptions.topCodes[0]).toMatchObject({ code: 'EID10', redemptions: 2 });
+    });
+  });
+});
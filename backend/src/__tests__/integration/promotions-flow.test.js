@@ -0,0 +1,292 @@
+/**
+ * Promotions Flow Integration Tests
+ * Tests automatic promotions (buy-X-get-Y, spend tiers, free stitching,
+ * bundles), stacking rules and promo codes priced by the one pipeline shared
+ * by the cart, checkout and order creation
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestProduct,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const Promotion = require('../../models/Promotion');
+const PromoCode = require('../../models/PromoCode');
+
+describe('Promotions Flow', () => {
+  let admin, adminToken, customerToken;
+  let suitA, suitB, suitC, twoPiece;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    const customer = await createTestUser({ email: 'promotions-customer@example.com' });
+    customerToken = generateTestToken(customer._id, customer.role);
+
+    suitA = await createTestProduct({ slug: `promo-suit-a-${Date.now()}`, pricing: { basePrice: 5000, customStitchingCharge: 1500 } });
+    suitB = await createTestProduct({ slug: `promo-suit-b-${Date.now()}`, pricing: { basePrice: 4000, customStitchingCharge: 1500 } });
+    suitC = await createTestProduct({ slug: `promo-suit-c-${Date.now()}`, pricing: { basePrice: 3000, customStitchingCharge: 1500 } });
+    twoPiece = await createTestProduct({
+      slug: `promo-two-piece-${Date.now()}`,
+      pricing: { basePrice: 2500, customStitchingCharge: 1000 },
+      suitComponents: { dupatta: { included: false } }
+    });
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await Promotion.deleteMany({});
+    await PromoCode.deleteMany({});
+  });
+
+  const createPromotion = (body) => request(app)
+    .post('/api/v1/admin/promotions')
+    .set(getAuthHeaders(adminToken))
+    .send(body);
+
+  const price = (items, promoCode) => request(app)
+    .post('/api/v1/cart/pricing')
+    .send({ items, promoCode });
+
+  const line = (product, quantity = 1, extra = {}) => ({ product: product._id.toString(), quantity, ...extra });
+
+  describe('Admin promotions', () => {
+    it('should require the settings for the promotion type', async () => {
+      const response = await createPromotion({ name: 'Buy 2 get 1', type: 'buy-x-get-y' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should create, list and switch off a promotion', async () => {
+      const created = await createPromotion({
+        name: 'Spend and save',
+        type: 'tiered-spend',
+        tiers: [{ minSpend: 5000, value: 5 }, { minSpend: 10000, value: 10 }]
+      });
+
+      expect(created.status).toBe(201);
+
+      const list = await request(app)
+        .get('/api/v1/admin/promotions?status=live')
+        .set(getAuthHeaders(adminToken));
+
+      expect(list.body.data.promotions).toHaveLength(1);
+
+      const updated = await request(app)
+        .put(`/api/v1/admin/promotions/${created.body.data._id}`)
+        .set(getAuthHeaders(adminToken))
+        .send({ isActive: false });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.isActive).toBe(false);
+    });
+  });
+
+  describe('Automatic promotions', () => {
+    it('should make the cheapest suit free on buy 2 get 1', async () => {
+      await createPromotion({ name: 'Buy 2 get 1 free', type: 'buy-x-get-y', buyXGetY: { buyQuantity: 2, getQuantity: 1 } });
+
+      const response = await price([line(suitA), line(suitB), line(suitC)]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.subtotal).toBe(12000);
+      expect(response.body.discount).toBe(3000);
+      expect(response.body.promotions[0]).toMatchObject({ name: 'Buy 2 get 1 free', amount: 3000 });
+    });
+
+    it('should apply the highest spend tier reached', async () => {
+      await createPromotion({
+        name: 'Spend and save',
+        type: 'tiered-spend',
+        tiers: [{ minSpend: 5000, value: 5 }, { minSpend: 10000, value: 10 }]
+      });
+
+      expect((await price([line(suitA)])).body.discount).toBe(250);
+      expect((await price([line(suitA), line(suitB), line(suitC)])).body.discount).toBe(1200);
+    });
+
+    it('should waive stitching over the spend and then apply tiers to what is left', async () => {
+      await createPromotion({ name: 'Free stitching', type: 'free-stitching', freeStitching: { minSpend: 10000 }, priority: 10 });
+      await createPromotion({ name: 'Spend and save', type: 'tiered-spend', tiers: [{ minSpend: 10000, value: 10 }] });
+
+      const below = await price([line(suitA, 1, { isCustom: true })]);
+      expect(below.body.discount).toBe(0);
+
+      // 6500 + 6500 with stitching; 3000 waived leaves 10000, 10% off
+      const response = await price([line(suitA, 2, { isCustom: true })]);
+
+      expect(response.body.subtotal).toBe(13000);
+      expect(response.body.promotions.map(entry => [entry.name, entry.amount])).toEqual([
+        ['Free stitching', 3000],
+        ['Spend and save', 1000]
+      ]);
+      expect(response.body.discount).toBe(4000);
+    });
+
+    it('should price 3-piece sets as a bundle and leave other suits alone', async () => {
+      await createPromotion({
+        name: 'Any two 3-piece for 7500',
+        type: 'bundle',
+        bundle: { quantity: 2, price: 7500 },
+        appliesTo: { threePieceOnly: true }
+      });
+
+      const response = await price([line(suitA), line(suitB), line(twoPiece)]);
+
+      expect(response.body.subtotal).toBe(11500);
+      expect(response.body.discount).toBe(1500);
+
+      // Not worth bundling when the set costs less than the bundle price
+      expect((await price([line(suitC), line(suitC)])).body.discount).toBe(0);
+    });
+
+    it('should apply an exclusive promotion only when it beats the stackable ones', async () => {
+      await createPromotion({ name: 'Flat 500', type: 'tiered-spend', tiers: [{ minSpend: 0, discountType: 'fixed', value: 500 }] });
+      await createPromotion({
+        name: 'Three for 9000',
+        type: 'bundle',
+        bundle: { quantity: 3, price: 9000 },
+        stackable: false
+      });
+
+      const bundled = await price([line(suitA), line(suitB), line(suitC)]);
+      expect(bundled.body.promotions.map(entry => entry.name)).toEqual(['Three for 9000']);
+      expect(bundled.body.discount).toBe(3000);
+
+      const single = await price([line(suitA)]);
+      expect(single.body.promotions.map(entry => entry.name)).toEqual(['Flat 500']);
+    });
+  });
+
+  describe('Promo codes', () => {
+    const createCode = (data) => PromoCode.create({
+      code: 'EID10',
+      description: '10% off',
+      discountType: 'percentage',
+      discountValue: 10,
+      endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      createdBy: admin._id,
+      ...data
+    });
+
+    it('should apply the code to what is left after promotions', async () => {
+      await createPromotion({ name: 'Flat 1000', type: 'tiered-spend', tiers: [{ minSpend: 0, discountType: 'fixed', value: 1000 }] });
+      await createCode();
+
+      const response = await price([line(suitA), line(suitB)], 'EID10');
+
+      expect(response.body.codeDiscount).toBe(800);
+      expect(response.body.discount).toBe(1800);
+      expect(response.body.discountCode).toBe('EID10');
+    });
+
+    it('should only discount the products a code covers', async () => {
+      await createCode({ excludeProducts: [suitA._id] });
+
+      const response = await price([line(suitA), line(suitB)], 'EID10');
+
+      expect(response.body.codeDiscount).toBe(400);
+    });
+
+    it('should keep a better promotion that does not combine with codes', async () => {
+      await createPromotion({
+        name: 'Buy 2 get 1 free',
+        type: 'buy-x-get-y',
+        buyXGetY: { buyQuantity: 2, getQuantity: 1 },
+        combinesWithPromoCode: false
+      });
+      await createCode();
+
+      const response = await price([line(suitA), line(suitB), line(suitC)], 'EID10');
+
+      expect(response.body.discount).toBe(3000);
+      expect(response.body.discountCode).toBeUndefined();
+      expect(response.body.promoCodeError).toMatch(/can't be combined/);
+    });
+
+    it('should price the cart promo from the server, not the prices sent', async () => {
+      await createCode();
+
+      const response = await request(app)
+        .post('/api/v1/cart/promo')
+        .set(getAuthHeaders(customerToken))
+        .send({ code: 'eid10', items: [{ ...line(suitA), priceAtAdd: 100000 }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.discount).toBe(500);
+      expect(response.body.total).toBe(4500);
+    });
+
+    it('should reject an unknown code', async () => {
+      const response = await request(app)
+        .post('/api/v1/cart/promo')
+        .set(getAuthHeaders(customerToken))
+        .send({ code: 'NOPE', items: [line(suitA)] });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Order creation', () => {
+    const placeOrder = (items, promoCode) => request(app)
+      .post('/api/v1/orders')
+      .set(getAuthHeaders(customerToken))
+      .send({
+        items,
+        shippingAddress: {
+          fullName: 'Test Customer',
+          phone: '03001234567',
+          addressLine1: '123 Test Street',
+          city: 'Lahore',
+          province: 'Punjab',
+          postalCode: '54000'
+        },
+        payment: { method: 'bank-transfer' },
+        promoCode
+      });
+
+    it('should charge the discount the cart showed and count the usage', async () => {
+      const promotion = await createPromotion({ name: 'Buy 2 get 1 free', type: 'buy-x-get-y', buyXGetY: { buyQuantity: 2, getQuantity: 1 } });
+      await PromoCode.create({
+        code: 'WELCOME',
+        description: 'PKR 500 off',
+        discountType: 'fixed',
+        discountValue: 500,
+        endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        createdBy: admin._id
+      });
+
+      const items = [line(suitA), line(suitB), line(suitC)];
+      const quoted = await price(items, 'WELCOME');
+
+      const response = await placeOrder(items, 'WELCOME');
+
+      expect(response.status).toBe(201);
+      const { pricing } = response.body.data.order;
+      expect(pricing.discount).toBe(quoted.body.discount);
+      expect(pricing.discount).toBe(3500);
+      expect(pricing.discountCode).toBe('WELCOME');
+      expect(pricing.promotions[0]).toMatchObject({ name: 'Buy 2 get 1 free', amount: 3000 });
+      expect(pricing.total).toBe(pricing.subtotal + pricing.shippingCharges - 3500);
+
+      expect((await Promotion.findById(promotion.body.data._id)).usedCount).toBe(1);
+      expect((await PromoCode.findOne({ code: 'WELCOME' })).usedCount).toBe(1);
+    });
+
+    it('should refuse an order with a code that does not apply', async () => {
+      const response = await placeOrder([line(suitA)], 'EXPIRED');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired promo code');
+    });
+  });
+});
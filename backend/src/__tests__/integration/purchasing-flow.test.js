@@ -0,0 +1,181 @@
+/**
+ * Purchasing Flow Integration Tests
+ * Tests suppliers, accessories, purchase orders received in part and in full
+ * through the stock ledger, and reorder suggestions
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestAdmin, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const FabricInventory = require('../../models/FabricInventory');
+const Accessory = require('../../models/Accessory');
+const StockMovement = require('../../models/StockMovement');
+
+describe('Purchasing Flow', () => {
+  let adminToken, supplier, fabric, accessory;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    const admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  const api = (method, path) => request(app)[method](`/api/v1/admin${path}`).set(getAuthHeaders(adminToken));
+
+  describe('Suppliers and accessories', () => {
+    it('should create a supplier', async () => {
+      const response = await api('post', '/purchasing/suppliers')
+        .send({ name: 'Faisalabad Mills', phone: '03001234567', supplies: ['fabric', 'accessory'], leadTimeDays: 5 })
+        .expect(201);
+
+      supplier = response.body.data;
+      expect(supplier.isActive).toBe(true);
+    });
+
+    it('should add an accessory and record its opening stock', async () => {
+      const response = await api('post', '/inventory/accessories')
+        .send({
+          name: 'Gota Lace',
+          category: 'lace',
+          stock: { quantity: 8, unit: 'meters', lowStockThreshold: 20, reorderPoint: 10 },
+          costPerUnit: 60,
+          preferredSupplier: supplier._id
+        })
+        .expect(201);
+
+      accessory = response.body.data;
+      expect(accessory.stock.quantity).toBe(8);
+      expect(accessory.status).toBe('low-stock');
+
+      const movement = await StockMovement.findOne({ accessory: accessory._id });
+      expect(movement).toMatchObject({ type: 'adjustment', quantity: 8, note: 'Opening stock' });
+    });
+
+    it('should not let an accessory update change its stock', async () => {
+      const response = await api('put', `/inventory/accessories/${accessory._id}`)
+        .send({ name: 'Gota Lace', category: 'lace', stock: { quantity: 500, reorderQuantity: 50 } })
+        .expect(200);
+
+      expect(response.body.data.stock.quantity).toBe(8);
+      expect(response.body.data.stock.reorderQuantity).toBe(50);
+    });
+  });
+
+  describe('Reorder suggestions', () => {
+    beforeAll(async () => {
+      fabric = await FabricInventory.create({
+        name: 'Sky Lawn',
+        type: 'lawn',
+        stock: { quantity: 4, unit: 'meters', lowStockThreshold: 10, reorderPoint: 5 },
+        pricing: { costPerMeter: 400, sellingPricePerMeter: 900 },
+        preferredSupplier: supplier._id
+      });
+    });
+
+    it('should suggest items at their reorder point grouped by supplier', async () => {
+      const response = await api('get', '/purchasing/reorder-suggestions').expect(200);
+
+      const group = response.body.data.suggestions.find(entry => entry.supplier?._id === supplier._id);
+      const byName = Object.fromEntries(group.items.map(item => [item.name, item]));
+
+      expect(byName['Gota Lace'].suggestedQuantity).toBe(50);
+      expect(byName['Sky Lawn'].suggestedQuantity).toBe(16);
+    });
+  });
+
+  describe('Purchase orders', () => {
+    let purchaseOrder;
+
+    it('should draft a purchase order from the suggestions', async () => {
+      const response = await api('post', '/purchasing/reorder-suggestions/draft')
+        .send({ supplier: supplier._id })
+        .expect(201);
+
+      purchaseOrder = response.body.data;
+      expect(purchaseOrder.poNumber).toMatch(/^PO-\d{4}-\d{4}$/);
+      expect(purchaseOrder.status).toBe('draft');
+      expect(purchaseOrder.items).toHaveLength(2);
+    });
+
+    it('should not suggest items already on order', async () => {
+      const response = await api('get', '/purchasing/reorder-suggestions').expect(200);
+
+      const group = response.body.data.suggestions.find(entry => entry.supplier?._id === supplier._id);
+      expect(group).toBeUndefined();
+    });
+
+    it('should not receive a draft', async () => {
+      const line = purchaseOrder.items[0];
+
+      await api('post', `/purchasing/purchase-orders/${purchaseOrder._id}/receive`)
+        .send({ items: [{ line: line._id, quantity: 1 }] })
+        .expect(400);
+    });
+
+    it('should place the order with an expected date from the lead time', async () => {
+      const response = await api('post', `/purchasing/purchase-orders/${purchaseOrder._id}/place`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.status).toBe('ordered');
+      expect(new Date(response.body.data.expectedDate).getTime()).toBeGreaterThan(Date.now() + 4 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should add a partial delivery to stock through the ledger', async () => {
+      const fabricLine = purchaseOrder.items.find(item => item.itemType === 'fabric');
+
+      const response = await api('post', `/purchasing/purchase-orders/${purchaseOrder._id}/receive`)
+        .send({ items: [{ line: fabricLine._id, quantity: 10 }], reference: 'DN-1182' })
+        .expect(200);
+
+      expect(response.body.data.purchaseOrder.status).toBe('partially-received');
+      expect((await FabricInventory.findById(fabric._id)).stock.quantity).toBe(14);
+
+      const movement = await StockMovement.findOne({ fabric: fabric._id, type: 'purchase' });
+      expect(movement).toMatchObject({ quantity: 10, balanceAfter: 14, reference: 'DN-1182' });
+      expect(String(movement.purchaseOrder)).toBe(purchaseOrder._id);
+    });
+
+    it('should reject more than is outstanding', async () => {
+      const fabricLine = purchaseOrder.items.find(item => item.itemType === 'fabric');
+
+      await api('post', `/purchasing/purchase-orders/${purchaseOrder._id}/receive`)
+        .send({ items: [{ line: fabricLine._id, quantity: 50 }] })
+        .expect(400);
+    });
+
+    it('should mark the order received once every line is in', async () => {
+      const fabricLine = purchaseOrder.items.find(item => item.itemType === 'fabric');
+      const accessoryLine = purchaseOrder.items.find(item => item.itemType === 'accessory');
+
+      const response = await api('post', `/purchasing/purchase-orders/${purchaseOrder._id}/receive`)
+        .send({ items: [{ line: fabricLine._id, quantity: 6 }, { line: accessoryLine._id, quantity: 50 }] })
+        .expect(200);
+
+      expect(response.body.data.purchaseOrder.status).toBe('received');
+      expect(response.body.data.purchaseOrder.receipts).toHaveLength(2);
+      expect((await FabricInventory.findById(fabric._id)).stock.quantity).toBe(20);
+      expect((await Accessory.findById(accessory._id)).stock.quantity).toBe(58);
+    });
+
+    it('should not cancel a received order', async () => {
+      await api('post', `/purchasing/purchase-orders/${purchaseOrder._id}/cancel`)
+        .send({ reason: 'Duplicate' })
+        .expect(400);
+    });
+  });
+
+  describe('Suppliers with purchase orders', () => {
+    it('should deactivate rather than delete them', async () => {
+      await api('delete', `/purchasing/suppliers/${supplier._id}`).expect(200);
+
+      const response = await api('get', '/purchasing/suppliers?active=false').expect(200);
+      expect(response.body.data.suppliers.map(entry => entry._id)).toContain(supplier._id);
+    });
+  });
+});
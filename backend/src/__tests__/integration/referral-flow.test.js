@@ -0,0 +1,289 @@
+/**
+ * Referral Flow Integration Tests
+ * Tests applying codes (self-referral, repeat use, existing customers),
+ * flagging reused devices and phones, completing referrals when the first
+ * order is delivered, loyalty and store credit rewards, the monthly
+ * referrer cap, and the admin leaderboard and fraud review
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestOrder,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const LoyaltyAccount = require('../../models/LoyaltyPoints');
+const Referral = require('../../models/Referral');
+const Settings = require('../../models/Settings');
+const Wallet = require('../../models/Wallet');
+
+describe('Referral Flow', () => {
+  let admin, adminToken, referrer, referrerToken, referralCode;
+  let userSequence = 0;
+  let orderSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin({ phone: '03000000001' });
+    adminToken = generateTestToken(admin._id, admin.role);
+    referrer = await createTestUser({ email: `referrer${Date.now()}@example.com`, phone: '03110000000' });
+    referrerToken = generateTestToken(referrer._id, referrer.role);
+
+    const response = await request(app)
+      .get('/api/v1/referrals/code')
+      .set(getAuthHeaders(referrerToken))
+      .set('X-Device-Id', 'referrer-phone')
+      .expect(200);
+    referralCode = response.body.data.referralCode;
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await Referral.deleteMany({});
+    await LoyaltyAccount.deleteMany({});
+    await Wallet.deleteMany({});
+    await Settings.deleteMany({});
+  });
+
+  // Each new customer gets their own phone so only the tests that share one are flagged
+  const createCustomer = async (overrides = {}) => {
+    userSequence++;
+    const user = await createTestUser({
+      email: `referee${userSequence}-${Date.now()}@example.com`,
+      phone: `0312${String(userSequence).padStart(7, '0')}`,
+      ...overrides
+    });
+    return { user, token: generateTestToken(user._id, user.role) };
+  };
+
+  const applyCode = (token, deviceId, code = referralCode) => {
+    const req = request(app)
+      .post('/api/v1/referrals/apply')
+      .set(getAuthHeaders(token));
+    if (deviceId) req.set('X-Device-Id', deviceId);
+    return req.send({ code });
+  };
+
+  const deliverFirstOrder = async (customer) => {
+    orderSequence++;
+    const order = await createTestOrder({
+      orderNumber: `RF-2026-8${String(orderSequence).padStart(3, '0')}`,
+      customer,
+      status: 'dispatched',
+      payment: { method: 'bank-transfer', status: 'verified', amountPaid: 10200 },
+      pricing: { subtotal: 10000, tax: 0, shippingCharges: 200, total: 10200 }
+    });
+
+    await request(app)
+      .put(`/api/v1/admin/orders/${order._id}/status`)
+      .set(getAuthHeaders(adminToken))
+      .send({ status: 'delivered', notifyCustomer: false })
+      .expect(200);
+
+    return order;
+  };
+
+  const referralPoints = async (userId) => {
+    const account = await LoyaltyAccount.findOne({ userId });
+    return (account?.transactions || [])
+      .filter(transaction => transaction.source === 'referral')
+      .reduce((sum, transaction) => sum + transaction.points, 0);
+  };
+
+  const updateSettings = (data) => request(app)
+    .put('/api/v1/settings/referrals')
+    .set(getAuthHeaders(adminToken))
+    .send(data)
+    .expect(200);
+
+  describe('Applying a code', () => {
+    it('should refuse the referrer\'s own code', async () => {
+      const response = await applyCode(referrerToken).expect(400);
+
+      expect(response.body.message).toBe('Cannot use your own referral code');
+    });
+
+    it('should refuse a customer with the referrer\'s phone number', async () => {
+      const { token } = await createCustomer({ phone: '+923110000000' });
+
+      const response = await applyCode(token).expect(400);
+
+      expect(response.body.message).toBe('Cannot use your own referral code');
+    });
+
+    it('should refuse a second code and customers who already ordered', async () => {
+      const first = await createCustomer();
+      await applyCode(first.token).expect(200);
+      const again = await applyCode(first.token).expect(400);
+      expect(again.body.message).toBe('You have already used a referral code');
+
+      const existing = await createCustomer();
+      await deliverFirstOrder(existing.user);
+      const late = await applyCode(existing.token).expect(400);
+      expect(late.body.message).toBe('Referral codes are for new customers only');
+    });
+
+    it('should reject an unknown code', async () => {
+      const { token } = await createCustomer();
+
+      await applyCode(token, null, 'NOSUCHCODE').expect(404);
+    });
+
+    it('should flag a code applied from the referrer\'s device', async () => {
+      const { user, token } = await createCustomer();
+
+      await applyCode(token, 'referrer-phone').expect(200);
+
+      const referral = await Referral.findOne({ refereeId: user._id });
+      expect(referral.status).toBe('flagged');
+      expect(referral.fraud.flags.map(flag => flag.code)).toEqual(['same-device-as-referrer']);
+    });
+
+    it('should flag a device or phone used for an earlier referral', async () => {
+      const first = await createCustomer();
+      await applyCode(first.token, 'shared-tablet').expect(200);
+
+      const second = await createCustomer({ phone: first.user.phone });
+      await applyCode(second.token, 'shared-tablet').expect(200);
+
+      const referral = await Referral.findOne({ refereeId: second.user._id });
+      expect(referral.status).toBe('flagged');
+      expect(referral.fraud.flags.map(flag => flag.code).sort()).toEqual(['device-reused', 'phone-reused']);
+    });
+  });
+
+  describe('Completing', () => {
+    it('should credit both customers in points when the first order is delivered', async () => {
+      const { user, token } = await createCustomer();
+      await applyCode(token, 'referee-phone').expect(200);
+
+      const order = await deliverFirstOrder(user);
+
+      const referral = await Referral.findOne({ refereeId: user._id });
+      expect(referral.status).toBe('completed');
+      expect(referral.triggerOrderId.toString()).toBe(order._id.toString());
+      expect(referral.referrerReward.status).toBe('credited');
+      expect(referral.refereeReward.status).toBe('credited');
+      expect(await referralPoints(referrer._id)).toBe(500);
+      expect(await referralPoints(user._id)).toBe(500);
+
+      // A second delivery doesn't pay out again
+      await deliverFirstOrder(user);
+      expect(await referralPoints(referrer._id)).toBe(500);
+    });
+
+    it('should credit store credit when rewards go to the wallet', async () => {
+      await updateSettings({ rewardMethod: 'wallet', referrerReward: 300, refereeReward: 200 });
+      const { user, token } = await createCustomer();
+      await applyCode(token).expect(200);
+
+      await deliverFirstOrder(user);
+
+      expect((await Wallet.findOne({ user: referrer._id })).balance).toBe(300);
+      expect((await Wallet.findOne({ user: user._id })).balance).toBe(200);
+      expect(await referralPoints(referrer._id)).toBe(0);
+    });
+
+    it('should not complete a flagged referral', async () => {
+      const { user, token } = await createCustomer();
+      await applyCode(token, 'referrer-phone').expect(200);
+
+      await deliverFirstOrder(user);
+
+      expect((await Referral.findOne({ refereeId: user._id })).status).toBe('flagged');
+      expect(await referralPoints(referrer._id)).toBe(0);
+    });
+
+    it('should withhold the referrer\'s reward over the monthly cap', async () => {
+      await updateSettings({ monthlyReferrerCap: 1 });
+      const first = await createCustomer();
+      const second = await createCustomer();
+      await applyCode(first.token).expect(200);
+      await applyCode(second.token).expect(200);
+
+      await deliverFirstOrder(first.user);
+      await deliverFirstOrder(second.user);
+
+      const capped = await Referral.findOne({ refereeId: second.user._id });
+      expect(capped.status).toBe('completed');
+      expect(capped.referrerReward.status).toBe('withheld');
+      expect(capped.refereeReward.status).toBe('credited');
+      expect(await referralPoints(referrer._id)).toBe(500);
+      expect(await referralPoints(second.user._id)).toBe(500);
+    });
+  });
+
+  describe('Admin', () => {
+    it('should list flagged referrals and complete an approved one already delivered', async () => {
+      const { user, token } = await createCustomer();
+      await applyCode(token, 'referrer-phone').expect(200);
+      await deliverFirstOrder(user);
+
+      const list = await request(app)
+        .get('/api/v1/referrals/admin/flagged')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].refereeId.email).toBe(user.email);
+
+      const response = await request(app)
+        .put(`/api/v1/referrals/admin/${list.body.data[0]._id}/review`)
+        .set(getAuthHeaders(adminToken))
+        .send({ decision: 'approve', notes: 'Family members sharing a phone' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(await referralPoints(referrer._id)).toBe(500);
+    });
+
+    it('should reject a flagged referral for good', async () => {
+      const { user, token } = await createCustomer();
+      await applyCode(token, 'referrer-phone').expect(200);
+      const referral = await Referral.findOne({ refereeId: user._id });
+
+      await request(app)
+        .put(`/api/v1/referrals/admin/${referral._id}/review`)
+        .set(getAuthHeaders(adminToken))
+        .send({ decision: 'reject' })
+        .expect(200);
+
+      await deliverFirstOrder(user);
+
+      const rejected = await Referral.findById(referral._id);
+      expect(rejected.status).toBe('rejected');
+      expect(rejected.fraud.reviewedBy.toString()).toBe(admin._id.toString());
+      expect(await referralPoints(referrer._id)).toBe(0);
+    });
+
+    it('should rank referrers by completed referrals', async () => {
+      const { user, token } = await createCustomer();
+      await applyCode(token).expect(200);
+      await deliverFirstOrder(user);
+
+      const response = await request(app)
+        .get('/api/v1/referrals/admin/leaderboard')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.leaderboard[0]).toMatchObject({
+        referrer: { email: referrer.email, referralCode },
+        completed: 1,
+        rewarded: 500
+      });
+    });
+
+    it('should be admin only', async () => {
+      await request(app)
+        .get('/api/v1/referrals/admin/leaderboard')
+        .set(getAuthHeaders(referrerToken))
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Return Request Integration Tests
+ * Tests for post-delivery alterations, exchanges and returns: eligibility,
+ * admin review, pickup, production rework and refunds
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestUser, createTestAdmin, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+const ProductionQueue = require('../../models/ProductionQueue');
+const Wallet = require('../../models/Wallet');
+
+describe('Return Request Flow', () => {
+  let admin, adminToken, customer, customerToken, order;
+  let orderSequence = 0;
+
+  const photo = { url: 'https://res.cloudinary.com/demo/image/upload/defect.jpg' };
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    orderSequence++;
+    customer = await createTestUser({ email: `returner${orderSequence}${Date.now()}@example.com` });
+    customerToken = generateTestToken(customer._id, 'customer');
+    order = await createTestOrder({
+      orderNumber: `LC-2026-8${String(orderSequence).padStart(3, '0')}`,
+      customer,
+      status: 'delivered',
+      payment: { method: 'bank-transfer', status: 'verified', amountPaid: 10000 },
+      pricing: { subtotal: 10000, tax: 0, shippingCharges: 0, total: 10000 }
+    });
+  });
+
+  const createRequest = (body = {}, token = customerToken) => request(app)
+    .post('/api/v1/returns')
+    .set(getAuthHeaders(token))
+    .send({
+      orderId: order._id,
+      type: 'alteration',
+      reason: 'fitting',
+      description: 'Loose at the waist',
+      items: [{ orderItem: order.items[0]._id, quantity: 1 }],
+      ...body
+    });
+
+  const adminAction = (id, action, body = {}) => request(app)
+    .put(`/api/v1/returns/admin/${id}/${action}`)
+    .set(getAuthHeaders(adminToken))
+    .send(body);
+
+  /**
+   * Open a request and take it through approval and receipt
+   */
+  const receiveRequest = async (body = {}) => {
+    const created = await createRequest(body).expect(201);
+    const id = created.body.data.returnRequest._id;
+    await adminAction(id, 'review', { approved: true }).expect(200);
+    await adminAction(id, 'receive').expect(200);
+    return id;
+  };
+
+  describe('POST /api/v1/returns', () => {
+    it('should open a request with an RMA number', async () => {
+      const response = await createRequest().expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.returnRequest.requestNumber).toMatch(/^RMA-\d{4}-\d{4}$/);
+      expect(response.body.data.returnRequest.status).toBe('requested');
+      expect(response.body.data.returnRequest.isChargeable).toBe(false);
+      expect(response.body.data.returnRequest.items[0].title).toBe(order.items[0].productSnapshot.title);
+    });
+
+    it('should reject an order that has not been delivered', async () => {
+      await Order.updateOne({ _id: order._id }, { status: 'in-progress' });
+
+      const response = await createRequest().expect(400);
+
+      expect(response.body.message).toBe('Only delivered orders can be returned or altered');
+    });
+
+    it('should reject a request outside the return window', async () => {
+      const deliveredAt = new Date();
+      deliveredAt.setDate(deliveredAt.getDate() - 30);
+      await Order.updateOne({ _id: order._id }, { 'tracking.actualDeliveryDate': deliveredAt });
+
+      const response = await createRequest().expect(400);
+
+      expect(response.body.message).toContain('days of delivery');
+    });
+
+    it("should not allow a request on another customer's order", async () => {
+      const other = await createTestUser({ email: `other${Date.now()}@example.com` });
+
+      await createRequest({}, generateTestToken(other._id, 'customer')).expect(403);
+    });
+
+    it('should require photos for a defect', async () => {
+      const response = await createRequest({ type: 'return', reason: 'defect' }).expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+
+      await createRequest({ type: 'return', reason: 'defect', photos: [photo] }).expect(201);
+    });
+
+    it('should allow only one open request per order', async () => {
+      await createRequest().expect(201);
+
+      const response = await createRequest().expect(400);
+
+      expect(response.body.message).toBe('There is already an open request for this order');
+    });
+  });
+
+  describe('Admin review', () => {
+    it('should require a reason to reject', async () => {
+      const created = await createRequest().expect(201);
+      const id = created.body.data.returnRequest._id;
+
+      await adminAction(id, 'review', { approved: false }).expect(400);
+
+      const response = await adminAction(id, 'review', { approved: false, rejectionReason: 'Outfit was worn' }).expect(200);
+      expect(response.body.data.returnRequest.status).toBe('rejected');
+
+      // A rejected request can't be reviewed again
+      await adminAction(id, 'review', { approved: true }).expect(400);
+    });
+
+    it('should schedule a pickup for an approved request', async () => {
+      const created = await createRequest().expect(201);
+      const id = created.body.data.returnRequest._id;
+
+      await adminAction(id, 'pickup', { courierService: 'TCS', trackingNumber: 'TCS123' }).expect(400);
+      await adminAction(id, 'review', { approved: true }).expect(200);
+
+      const response = await adminAction(id, 'pickup', { courierService: 'TCS', trackingNumber: 'TCS123' }).expect(200);
+
+      expect(response.body.data.returnRequest.status).toBe('pickup-scheduled');
+      expect(response.body.data.returnRequest.pickup.trackingNumber).toBe('TCS123');
+    });
+  });
+
+  describe('Alterations', () => {
+    it('should reopen the production queue item for rework', async () => {
+      await ProductionQueue.create({ orderId: order._id, orderNumber: order.orderNumber, status: 'completed' });
+
+      const id = await receiveRequest();
+
+      const queueItem = await ProductionQueue.findOne({ orderId: order._id });
+      expect(queueItem.status).toBe('pending');
+      expect(queueItem.priority).toBe('high');
+      expect(queueItem.rework).toHaveLength(1);
+      expect(String(queueItem.rework[0].returnRequest)).toBe(String(id));
+
+      const response = await request(app)
+        .get(`/api/v1/returns/${id}`)
+        .set(getAuthHeaders(customerToken))
+        .expect(200);
+      expect(response.body.data.returnRequest.status).toBe('in-production');
+    });
+
+    it('should only resolve once the alteration is ready for shipment', async () => {
+      const id = await receiveRequest();
+
+      await adminAction(id, 'resolve', { type: 'altered' }).expect(400);
+
+      await ProductionQueue.updateOne({ orderId: order._id }, { status: 'ready-for-shipment' });
+
+      const response = await adminAction(id, 'resolve', {
+        type: 'altered',
+        returnShipment: { courierService: 'Leopards', trackingNumber: 'LP456' }
+      }).expect(200);
+
+      expect(response.body.data.returnRequest.status).toBe('resolved');
+      expect(response.body.data.returnRequest.resolution.returnShipment.trackingNumber).toBe('LP456');
+    });
+
+    it('should mark alterations beyond the free allowance as chargeable', async () => {
+      const id = await receiveRequest();
+      await ProductionQueue.updateOne({ orderId: order._id }, { status: 'completed' });
+      await adminAction(id, 'resolve', { type: 'altered' }).expect(200);
+
+      const response = await createRequest().expect(201);
+
+      expect(response.body.data.returnRequest.isChargeable).toBe(true);
+    });
+  });
+
+  describe('Refunds', () => {
+    it("should not resolve a return with a resolution it doesn't allow", async () => {
+      const id = await receiveRequest({ type: 'return', reason: 'other' });
+
+      await adminAction(id, 'resolve', { type: 'altered' }).expect(400);
+    });
+
+    it('should reject a refund above the amount paid', async () => {
+      const id = await receiveRequest({ type: 'return', reason: 'other' });
+
+      const response = await adminAction(id, 'resolve', { type: 'refund', amount: 15000 }).expect(400);
+
+      expect(response.body.message).toContain('refundable amount');
+    });
+
+    it('should mark the order refunded after a full refund', async () => {
+      const id = await receiveRequest({ type: 'return', reason: 'other' });
+
+      const response = await adminAction(id, 'resolve', { type: 'refund', amount: 10000 }).expect(200);
+
+      expect(response.body.data.returnRequest.resolution.amount).toBe(10000);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.payment.status).toBe('refunded');
+      expect(updated.status).toBe('refunded');
+      expect(updated.payment.refund.amount).toBe(10000);
+    });
+
+    it('should add store credit to the customer wallet', async () => {
+      const id = await receiveRequest({ type: 'return', reason: 'other' });
+
+      await adminAction(id, 'resolve', { type: 'store-credit', amount: 6000 }).expect(200);
+
+      const wallet = await Wallet.findOne({ user: customer._id });
+      expect(wallet.balance).toBe(6000);
+      expect(wallet.transactions[0].source).toBe('return');
+      expect(String(wallet.transactions[0].returnRequest)).toBe(String(id));
+
+      const updated = await Order.findById(order._id);
+      expect(updated.payment.refund.walletAmount).toBe(6000);
+      expect(updated.status).toBe('delivered');
+    });
+
+    it('should credit the wallet once when two resolves race', async () => {
+      const id = await receiveRequest({ type: 'return', reason: 'other' });
+
+      const responses = await Promise.all([
+        adminAction(id, 'resolve', { type: 'store-credit', amount: 6000 }),
+        adminAction(id, 'resolve', { type: 'store-credit', amount: 6000 })
+      ]);
+
+      const statuses = responses.map(response => response.status).sort();
+      expect(statuses[0]).toBe(200);
+      expect([400, 409]).toContain(statuses[1]);
+
+      const wallet = await Wallet.findOne({ user: customer._id });
+      expect(wallet.balance).toBe(6000);
+      expect(wallet.transactions).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/v1/returns/:id/cancel', () => {
+    it('should let the customer cancel before the item is collected', async () => {
+      const created = await createRequest().expect(201);
+      const id = created.body.data.returnRequest._id;
+
+      const response = await request(app)
+        .post(`/api/v1/returns/${id}/cancel`)
+        .set(getAuthHeaders(customerToken))
+        .expect(200);
+
+      expect(response.body.data.returnRequest.status).toBe('cancelled');
+
+      // The order is open for a new request again
+      await createRequest().expect(201);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Product Search Integration Tests
+ * Tests for synonym and typo tolerant search, relevance ranking, facet counts
+ * and search-as-you-type suggestions
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestProduct } = require('../setup/test-helpers');
+const searchService = require('../../services/searchService');
+const Product = require('../../models/Product');
+
+describe('Product Search Flow', () => {
+  let kurti, gharara, khaddar;
+
+  const publishedProduct = (data) => createTestProduct({
+    status: 'published',
+    ...data
+  });
+
+  beforeAll(async () => {
+    await setupTestDB();
+
+    [kurti, gharara, khaddar] = await Promise.all([
+      publishedProduct({
+        title: 'Rose Garden Lawn Kurti',
+        slug: 'search-rose-garden-kurti',
+        fabric: { type: 'Lawn' },
+        occasion: 'Casual',
+        type: 'karhai',
+        embroideryDetails: { workType: 'hand-karhai' },
+        pricing: { basePrice: 4500 },
+        availability: { status: 'in-stock' }
+      }),
+      publishedProduct({
+        title: 'Royal Chiffon Bridal Gharara',
+        slug: 'search-royal-gharara',
+        fabric: { type: 'Chiffon' },
+        occasion: 'Bridal',
+        embroideryDetails: { workType: 'zardozi' },
+        pricing: { basePrice: 65000 },
+        availability: { status: 'made-to-order' }
+      }),
+      publishedProduct({
+        title: 'Winter Khaddar Shalwar Kameez',
+        slug: 'search-khaddar-kameez',
+        fabric: { type: 'Khaddar' },
+        occasion: 'Winter',
+        pricing: { basePrice: 7500 },
+        availability: { status: 'in-stock' }
+      })
+    ]);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  const search = (params) => request(app).get('/api/v1/products').query(params);
+
+  const titles = (response) => response.body.products.map(product => product.title);
+
+  describe('GET /api/v1/products?search=', () => {
+    it('should match Roman Urdu synonyms', async () => {
+      const response = await search({ search: 'kameez' });
+
+      expect(response.status).toBe(200);
+      expect(titles(response)).toEqual([khaddar.title, kurti.title]);
+    });
+
+    it('should match karhai as kadhai', async () => {
+      const response = await search({ search: 'kadhai' });
+
+      expect(titles(response)).toEqual([kurti.title]);
+    });
+
+    it('should tolerate typos and suggest the correction', async () => {
+      const response = await search({ search: 'chifon gharra' });
+
+      expect(titles(response)).toEqual([gharara.title]);
+      expect(response.body.didYouMean).toBe('chiffon gharara');
+    });
+
+    it('should ignore words that match nothing', async () => {
+      const response = await search({ search: 'khaddar suits for winter' });
+
+      expect(titles(response)).toEqual([khaddar.title]);
+    });
+
+    it('should not show unpublished products', async () => {
+      await createTestProduct({
+        title: 'Draft Lawn Kurti',
+        slug: 'search-draft-kurti',
+        fabric: { type: 'Lawn' }
+      });
+
+      const response = await search({ search: 'kurti' });
+
+      expect(titles(response)).not.toContain('Draft Lawn Kurti');
+    });
+  });
+
+  describe('Facets', () => {
+    it('should count fabric, occasion, embroidery, price band and availability', async () => {
+      const response = await search({});
+
+      const { facets } = response.body;
+      expect(facets.fabric).toMatchObject({ Lawn: 1, Chiffon: 1, Khaddar: 1 });
+      expect(facets.occasion).toMatchObject({ bridal: 1, casual: 1, winter: 1 });
+      expect(facets.embroidery).toMatchObject({ 'hand-karhai': 1, zardozi: 1 });
+      expect(facets.price).toEqual({ '0-5000': 1, '5000-10000': 1, '50000+': 1 });
+      expect(facets.availability).toEqual({ 'in-stock': 2, 'made-to-order': 1 });
+    });
+
+    it('should count each facet without its own selection', async () => {
+      const response = await search({ fabric: 'Lawn', availability: 'in-stock' });
+
+      expect(titles(response)).toEqual([kurti.title]);
+      // Other fabrics still show what selecting them would add
+      expect(response.body.facets.fabric).toEqual({ Lawn: 1, Khaddar: 1 });
+      expect(response.body.facets.availability).toEqual({ 'in-stock': 1 });
+    });
+
+    it('should filter by price band and embroidery', async () => {
+      const byBand = await search({ priceBand: '5000-10000,50000+' });
+      expect(titles(byBand).sort()).toEqual([gharara.title, khaddar.title].sort());
+
+      const byWork = await search({ embroidery: 'zardozi' });
+      expect(titles(byWork)).toEqual([gharara.title]);
+    });
+  });
+
+  describe('GET /api/v1/products/search/autocomplete', () => {
+    it('should suggest products and completions as the customer types', async () => {
+      const response = await request(app)
+        .get('/api/v1/products/search/autocomplete')
+        .query({ q: 'royal gha' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.products[0]).toMatchObject({
+        title: gharara.title,
+        slug: gharara.slug,
+        price: 65000
+      });
+      expect(response.body.data.completions).toContain('royal gharara');
+    });
+
+    it('should return nothing for a single character', async () => {
+      const response = await request(app)
+        .get('/api/v1/products/search/autocomplete')
+        .query({ q: 'k' });
+
+      expect(response.body.data.products).toEqual([]);
+    });
+  });
+
+  describe('Index freshness', () => {
+    it('should find products as soon as they are saved', async () => {
+      await searchService.search('anything');
+
+      const product = await publishedProduct({
+        title: 'Mehndi Gota Lehenga',
+        slug: 'search-mehndi-lehenga',
+        fabric: { type: 'Silk' }
+      });
+
+      const response = await search({ search: 'lehnga' });
+
+      expect(titles(response)).toEqual([product.title]);
+    });
+
+    it('should only rebuild when a searched field changes', async () => {
+      const built = await searchService.getIndex();
+
+      await Product.updateOne({ _id: kurti._id }, { $inc: { views: 1 } });
+      await Product.findByIdAndUpdate(gharara._id, { $inc: { 'inventory.reservedQuantity': 1 } });
+      expect(await searchService.getIndex()).toBe(built);
+
+      await Product.updateOne({ _id: khaddar._id }, { $set: { tags: ['winter'] } });
+      expect(await searchService.getIndex()).not.toBe(built);
+    });
+  });
+});
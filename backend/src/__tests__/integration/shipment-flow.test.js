@@ -0,0 +1,211 @@
+/**
+ * Shipment Integration Tests
+ * Tests for courier booking with the mock courier, airway bill labels
+ * and syncing courier tracking into the order
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestAdmin, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+const shipmentService = require('../../services/shipmentService');
+
+describe('Shipment Flow', () => {
+  let admin, adminToken;
+  let orderSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  afterEach(() => {
+    delete process.env.MOCK_COURIER_STEP_MINUTES;
+    delete process.env.MOCK_COURIER_OUTCOME;
+  });
+
+  const createOrder = (payment = {}) => {
+    orderSequence++;
+
+    return createTestOrder({
+      orderNumber: `LC-2026-7${String(orderSequence).padStart(3, '0')}`,
+      status: 'ready-dispatch',
+      shippingAddress: {
+        fullName: 'Ayesha Khan',
+        phone: '03001234567',
+        addressLine1: '12 Main Boulevard',
+        city: 'Lahore',
+        province: 'Punjab',
+        postalCode: '54000'
+      },
+      payment: { method: 'bank-transfer', status: 'verified', amountPaid: 10000, ...payment },
+      pricing: { subtotal: 10000, tax: 0, shippingCharges: 0, total: 10000 }
+    });
+  };
+
+  const book = (order, body = { courier: 'mock' }) => request(app)
+    .post(`/api/v1/admin/orders/${order._id}/shipment`)
+    .set(getAuthHeaders(adminToken))
+    .send(body);
+
+  const sync = (order) => request(app)
+    .post(`/api/v1/admin/orders/${order._id}/shipment/sync`)
+    .set(getAuthHeaders(adminToken));
+
+  describe('GET /api/v1/admin/orders/couriers', () => {
+    it('should list the mock courier outside production', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/orders/couriers')
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.couriers.map(c => c.name)).toContain('mock');
+    });
+  });
+
+  describe('POST /api/v1/admin/orders/:id/shipment', () => {
+    it('should book the shipment and dispatch the order', async () => {
+      const order = await createOrder();
+
+      const response = await book(order, { courier: 'mock', weight: 1.2, pieces: 2 }).expect(201);
+
+      const tracking = response.body.data.tracking;
+      expect(tracking.trackingNumber).toMatch(/^MOCKD/);
+      expect(tracking.courier).toBe('mock');
+      expect(tracking.courierStatus).toBe('booked');
+      expect(tracking.codAmount).toBe(0);
+      expect(tracking.weight).toBe(1.2);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('dispatched');
+      expect(updated.tracking.dispatchDate).toBeDefined();
+    });
+
+    it('should collect the outstanding balance on cash on delivery orders', async () => {
+      const order = await createOrder({ method: 'cod', status: 'partial', amountPaid: 2500, depositPercentage: 25 });
+
+      const response = await book(order).expect(201);
+
+      expect(response.body.data.tracking.codAmount).toBe(7500);
+    });
+
+    it('should not book while a prepaid balance is outstanding', async () => {
+      const order = await createOrder({ status: 'partial', amountPaid: 5000, depositPercentage: 50 });
+
+      const response = await book(order).expect(400);
+
+      expect(response.body.data.balanceDue).toBe(5000);
+      expect((await Order.findById(order._id)).tracking?.trackingNumber).toBeUndefined();
+    });
+
+    it('should not book the same order twice', async () => {
+      const order = await createOrder();
+      await book(order).expect(201);
+
+      await book(order).expect(400);
+    });
+
+    it('should reject an unknown courier', async () => {
+      const order = await createOrder();
+
+      await book(order, { courier: 'pigeon' }).expect(400);
+    });
+  });
+
+  describe('GET /api/v1/admin/orders/:id/shipment/label', () => {
+    it('should return the airway bill as a PDF', async () => {
+      const order = await createOrder();
+      await book(order).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/admin/orders/${order._id}/shipment/label`)
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toContain(`label-${order.orderNumber}.pdf`);
+    });
+
+    it('should refuse a label before booking', async () => {
+      const order = await createOrder();
+
+      await request(app)
+        .get(`/api/v1/admin/orders/${order._id}/shipment/label`)
+        .set(getAuthHeaders(adminToken))
+        .expect(400);
+    });
+  });
+
+  describe('Tracking sync', () => {
+    it('should record scans without changing the order while in transit', async () => {
+      const order = await createOrder();
+      await book(order).expect(201);
+
+      const response = await sync(order).expect(200);
+
+      expect(response.body.data.orderStatus).toBe('dispatched');
+      expect(response.body.data.tracking.events.length).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should mark the order delivered when the courier delivers it', async () => {
+      const order = await createOrder();
+      await book(order).expect(201);
+      process.env.MOCK_COURIER_STEP_MINUTES = '0';
+
+      const response = await sync(order).expect(200);
+
+      expect(response.body.data.courierStatus).toBe('delivered');
+      expect(response.body.data.orderStatus).toBe('delivered');
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('delivered');
+      expect(updated.tracking.actualDeliveryDate).toBeDefined();
+      expect(updated.tracking.deliveryProof.recipientName).toBe('Consignee');
+      expect(updated.tracking.events.map(event => event.status)).toEqual(
+        expect.arrayContaining(['picked-up', 'in-transit', 'out-for-delivery', 'delivered'])
+      );
+    });
+
+    it('should send a returned shipment back to ready for dispatch', async () => {
+      const order = await createOrder();
+      process.env.MOCK_COURIER_OUTCOME = 'returned';
+      await book(order).expect(201);
+      process.env.MOCK_COURIER_STEP_MINUTES = '0';
+
+      await sync(order).expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('ready-dispatch');
+      expect(updated.tracking.courierStatus).toBe('returned');
+    });
+
+    it('should sync every dispatched courier shipment', async () => {
+      const order = await createOrder();
+      await book(order).expect(201);
+      process.env.MOCK_COURIER_STEP_MINUTES = '0';
+
+      const summary = await shipmentService.syncActiveShipments();
+
+      expect(summary.checked).toBeGreaterThanOrEqual(1);
+      expect(summary.delivered).toBeGreaterThanOrEqual(1);
+      expect((await Order.findById(order._id)).status).toBe('delivered');
+    });
+
+    it('should not sync an order with a hand-entered tracking number', async () => {
+      const order = await createOrder();
+      await request(app)
+        .put(`/api/v1/admin/orders/${order._id}/tracking`)
+        .set(getAuthHeaders(adminToken))
+        .send({ courierService: 'TCS', trackingNumber: '779412326187' })
+        .expect(200);
+
+      await sync(order).expect(400);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Shipping Zones Integration Tests
+ * Tests for admin-managed shipping zones, weight and item based rates,
+ * free shipping rules and the shipping quote used by the cart and checkout
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestProduct,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const ShippingZone = require('../../models/ShippingZone');
+const Settings = require('../../models/Settings');
+
+describe('Shipping Zones Flow', () => {
+  let admin, adminToken, customer, customerToken;
+  let product;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    customer = await createTestUser({ email: 'shipping-customer@example.com' });
+    customerToken = generateTestToken(customer._id, customer.role);
+    product = await createTestProduct({
+      slug: `shipping-product-${Date.now()}`,
+      pricing: { basePrice: 2000, customStitchingCharge: 500 },
+      inventory: { stockQuantity: 50, lowStockThreshold: 5, shippingWeight: 1.2 }
+    });
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await ShippingZone.deleteMany({});
+    await ShippingZone.seedDefaults();
+  });
+
+  const quote = (body, token) => {
+    const req = request(app).post('/api/v1/shipping/quote');
+    if (token) req.set(getAuthHeaders(token));
+    return req.send(body);
+  };
+
+  const items = (quantity = 1) => [{ product: product._id.toString(), quantity }];
+
+  describe('POST /api/v1/shipping/quote', () => {
+    it('should price listed cities from their zone', async () => {
+      const response = await quote({ address: { city: 'lahore' }, items: items() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.zone.name).toBe('Lahore');
+      expect(response.body.data.cost).toBe(150);
+      expect(response.body.data.remainingForFreeShipping).toBe(3000);
+    });
+
+    it('should fall back to the default zone for unlisted cities', async () => {
+      const response = await quote({ address: { city: 'Sargodha', province: 'Punjab' }, items: items() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.zone.name).toBe('Rest of Pakistan');
+      expect(response.body.data.cost).toBe(200);
+    });
+
+    it('should ship free above the store-wide threshold', async () => {
+      const response = await quote({ address: { city: 'Karachi' }, items: items(3) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.cost).toBe(0);
+      expect(response.body.data.selected.originalCost).toBe(200);
+      expect(response.body.data.selected.freeShipping).toBe(true);
+    });
+
+    it('should reject international addresses without an international zone', async () => {
+      const response = await quote({ address: { city: 'Dubai', country: 'AE' }, items: items() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/do not deliver/i);
+    });
+
+    it('should price weight brackets and list every courier rate', async () => {
+      await ShippingZone.create({
+        name: 'Gulf',
+        scope: 'international',
+        countries: ['AE', 'SA'],
+        rates: [
+          { label: 'Economy', basis: 'weight', baseRate: 0, brackets: [{ upTo: 1, rate: 3000 }, { upTo: 2, rate: 4500 }], extraPerUnit: 1200 },
+          { label: 'Express', courier: 'mock', basis: 'flat', baseRate: 9000 }
+        ]
+      });
+
+      // 3 x 1.2kg = 3.6kg: last bracket (2kg) + 2 extra kg
+      const response = await quote({ address: { city: 'Dubai', country: 'ae' }, items: items(3) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.parcel.weight).toBe(3.6);
+      expect(response.body.data.options.map(option => option.cost)).toEqual([6900, 9000]);
+      // International zones without their own threshold never ship free
+      expect(response.body.data.freeShippingThreshold).toBeNull();
+
+      const express = response.body.data.options.find(option => option.label === 'Express');
+      const selected = await quote({ address: { city: 'Dubai', country: 'AE' }, items: items(3), shippingRate: express.rateId });
+      expect(selected.body.data.cost).toBe(9000);
+    });
+
+    it('should apply free shipping rules tied to promo codes', async () => {
+      const settings = await Settings.getSettings();
+      settings.shipping.freeShippingRules = [{ name: 'Eid free delivery', promoCodes: ['EIDFREE'] }];
+      await settings.save();
+
+      const withoutCode = await quote({ address: { city: 'Quetta' }, items: items() });
+      const withCode = await quote({ address: { city: 'Quetta' }, items: items(), promoCode: 'eidfree' });
+
+      expect(withoutCode.body.data.cost).toBe(250);
+      expect(withCode.body.data.cost).toBe(0);
+      expect(withCode.body.data.selected.freeShippingReason).toBe('Eid free delivery');
+
+      settings.shipping.freeShippingRules = [];
+      await settings.save();
+    });
+  });
+
+  describe('POST /api/v1/cart/shipping', () => {
+    it('should keep the cart response shape', async () => {
+      const response = await request(app)
+        .post('/api/v1/cart/shipping')
+        .set(getAuthHeaders(customerToken))
+        .send({ address: { city: 'Faisalabad' }, items: items() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.cost).toBe(170);
+      expect(response.body.freeShippingThreshold).toBe(5000);
+      expect(response.body.options).toHaveLength(1);
+    });
+  });
+
+  describe('Admin zones', () => {
+    it('should create a zone and keep one default per scope', async () => {
+      const response = await request(app)
+        .post('/api/v1/shipping/admin/zones')
+        .set(getAuthHeaders(adminToken))
+        .send({
+          name: 'Everywhere else',
+          isDefault: true,
+          rates: [{ label: 'Standard', basis: 'items', baseRate: 250, extraPerUnit: 50 }]
+        });
+
+      expect(response.status).toBe(201);
+
+      const defaults = await ShippingZone.find({ scope: 'domestic', isDefault: true });
+      expect(defaults).toHaveLength(1);
+      expect(defaults[0].name).toBe('Everywhere else');
+
+      // 2 items: baseRate covers the first, 50 for the second
+      const priced = await quote({ address: { city: 'Sargodha' }, items: items(2) });
+      expect(priced.body.data.cost).toBe(300);
+    });
+
+    it('should reject zones without rates', async () => {
+      const response = await request(app)
+        .post('/api/v1/shipping/admin/zones')
+        .set(getAuthHeaders(adminToken))
+        .send({ name: 'Empty', rates: [] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not let customers manage zones', async () => {
+      const response = await request(app)
+        .get('/api/v1/shipping/admin/zones')
+        .set(getAuthHeaders(customerToken));
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Stock Ledger Integration Tests
+ * Tests for checkout reservations (commit on payment, release on failure,
+ * cancellation or expiry), the stock movement ledger and admin adjustments
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestProduct,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const Product = require('../../models/Product');
+const Order = require('../../models/Order');
+const StockMovement = require('../../models/StockMovement');
+const StockReservation = require('../../models/StockReservation');
+const inventoryService = require('../../services/inventoryService');
+
+describe('Stock Ledger Flow', () => {
+  let admin, adminToken, customer, customerToken, product;
+
+  const shippingAddress = {
+    fullName: 'Test Customer',
+    phone: '03001234567',
+    addressLine1: '123 Test Street',
+    city: 'Lahore',
+    province: 'Punjab'
+  };
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+    customer = await createTestUser({ email: 'stock-customer@example.com' });
+    customerToken = generateTestToken(customer._id, customer.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Product.deleteMany({}),
+      Order.deleteMany({}),
+      StockMovement.deleteMany({}),
+      StockReservation.deleteMany({})
+    ]);
+
+    product = await createTestProduct({
+      title: 'Last Ready-Made Suit',
+      slug: `last-ready-made-suit-${Date.now()}`,
+      status: 'published',
+      inventory: { sku: 'LAST-SUIT', trackInventory: true, stockQuantity: 1 }
+    });
+  });
+
+  const placeOrder = (token = customerToken) => request(app)
+    .post('/api/v1/orders')
+    .set(getAuthHeaders(token))
+    .send({
+      items: [{ product: product._id.toString(), quantity: 1 }],
+      shippingAddress,
+      payment: { method: 'bank-transfer' }
+    });
+
+  const verifyPayment = (orderId, verified = true) => request(app)
+    .post(`/api/v1/admin/orders/${orderId}/verify-payment`)
+    .set(getAuthHeaders(adminToken))
+    .send({ verified, verificationNotes: verified ? 'Receipt checked' : 'Receipt unclear' });
+
+  const stockOf = async () => {
+    const current = await Product.findById(product._id);
+    return {
+      stockQuantity: current.inventory.stockQuantity,
+      reservedQuantity: current.inventory.reservedQuantity
+    };
+  };
+
+  describe('Checkout reservations', () => {
+    it('should hold the last piece for the first order only', async () => {
+      const first = await placeOrder();
+      expect(first.status).toBe(201);
+      expect(await stockOf()).toEqual({ stockQuantity: 1, reservedQuantity: 1 });
+
+      const reservation = await StockReservation.findOne({ order: first.body.data.order._id });
+      expect(reservation.status).toBe('active');
+      expect(reservation.expiresAt.getTime()).toBeGreaterThan(Date.now() + 47 * 60 * 60 * 1000);
+
+      const other = await createTestUser({ email: 'stock-other@example.com' });
+      const second = await placeOrder(generateTestToken(other._id, other.role));
+
+      expect(second.status).toBe(400);
+      expect(second.body.message).toBe('Last Ready-Made Suit is out of stock');
+    });
+
+    it('should sell the stock when the payment is verified', async () => {
+      const placed = await placeOrder();
+      const { _id: orderId, orderNumber } = placed.body.data.order;
+
+      const response = await verifyPayment(orderId);
+
+      expect(response.status).toBe(200);
+      expect(await stockOf()).toEqual({ stockQuantity: 0, reservedQuantity: 0 });
+
+      const movements = await StockMovement.find({ product: product._id });
+      expect(movements).toHaveLength(1);
+      expect(movements[0]).toMatchObject({ type: 'sale', quantity: -1, balanceAfter: 0, orderNumber, sku: 'LAST-SUIT' });
+
+      const reservation = await StockReservation.findOne({ order: orderId });
+      expect(reservation.status).toBe('committed');
+    });
+
+    it('should release the stock when the payment is rejected', async () => {
+      const placed = await placeOrder();
+
+      await verifyPayment(placed.body.data.order._id, false);
+
+      expect(await stockOf()).toEqual({ stockQuantity: 1, reservedQuantity: 0 });
+      const reservation = await StockReservation.findOne({ order: placed.body.data.order._id });
+      expect(reservation).toMatchObject({ status: 'released', releaseReason: 'Payment failed' });
+      expect(await StockMovement.countDocuments()).toBe(0);
+    });
+
+    it('should expire reservations that are not paid in time', async () => {
+      const placed = await placeOrder();
+      await StockReservation.updateOne(
+        { order: placed.body.data.order._id },
+        { expiresAt: new Date(Date.now() - 60 * 1000) }
+      );
+
+      const result = await inventoryService.expireReservations();
+
+      expect(result.expired).toBe(1);
+      expect(await stockOf()).toEqual({ stockQuantity: 1, reservedQuantity: 0 });
+    });
+
+    it('should put a cancelled paid order back in stock', async () => {
+      const placed = await placeOrder();
+      await verifyPayment(placed.body.data.order._id);
+
+      const response = await request(app)
+        .post(`/api/v1/admin/orders/${placed.body.data.order._id}/cancel`)
+        .set(getAuthHeaders(adminToken))
+        .send({ reason: 'Customer changed their mind', notifyCustomer: false });
+
+      expect(response.status).toBe(200);
+      expect(await stockOf()).toEqual({ stockQuantity: 1, reservedQuantity: 0 });
+
+      const types = (await StockMovement.find({ product: product._id }).sort({ createdAt: 1 })).map(movement => movement.type);
+      expect(types).toEqual(['sale', 'cancellation']);
+    });
+  });
+
+  describe('Returns', () => {
+    it('should restock returned pieces but not defective ones', async () => {
+      const placed = await placeOrder();
+      await verifyPayment(placed.body.data.order._id);
+      const order = await Order.findById(placed.body.data.order._id);
+
+      const returned = (reason) => ({
+        type: 'return',
+        reason,
+        requestNumber: `RMA-${reason}`,
+        items: [{ orderItem: order.items[0]._id, quantity: 1 }]
+      });
+
+      expect(await inventoryService.restockReturn(returned('defect'), order, admin)).toHaveLength(0);
+
+      const [movement] = await inventoryService.restockReturn(returned('fitting'), order, admin);
+      expect(movement).toMatchObject({ type: 'return', quantity: 1, balanceAfter: 1, reference: 'RMA-fitting' });
+      expect(await stockOf()).toEqual({ stockQuantity: 1, reservedQuantity: 0 });
+    });
+  });
+
+  describe('Admin inventory', () => {
+    it('should adjust stock to a counted quantity and record it', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/inventory/adjustments')
+        .set(getAuthHeaders(adminToken))
+        .send({ product: product._id.toString(), setTo: 5, note: 'Monthly stock count' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.movement).toMatchObject({
+        type: 'adjustment',
+        quantity: 4,
+        balanceAfter: 5,
+        note: 'Monthly stock count'
+      });
+      expect((await stockOf()).stockQuantity).toBe(5);
+    });
+
+    it('should not take stock below zero', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/inventory/adjustments')
+        .set(getAuthHeaders(adminToken))
+        .send({ product: product._id.toString(), quantity: -3, note: 'Damaged in storage' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Only 1 in stock');
+    });
+
+    it('should list the history newest first and show available stock', async () => {
+      await inventoryService.adjustStock({ product: product._id, quantity: 2, type: 'purchase', note: 'Supplier delivery' }, admin);
+      await placeOrder();
+
+      const history = await request(app)
+        .get('/api/v1/admin/inventory/movements')
+        .query({ product: product._id.toString() })
+        .set(getAuthHeaders(adminToken));
+
+      expect(history.status).toBe(200);
+      expect(history.body.data.movements.map(movement => movement.type)).toEqual(['purchase']);
+      expect(history.body.data.movements[0].createdBy.email).toBe(admin.email);
+
+      const stock = await request(app)
+        .get(`/api/v1/admin/inventory/products/${product._id}`)
+        .set(getAuthHeaders(adminToken));
+
+      expect(stock.body.data.product).toMatchObject({ stockQuantity: 3, reservedQuantity: 1, availableQuantity: 2 });
+      expect(stock.body.data.reservations).toHaveLength(1);
+    });
+
+    it('should require admin role', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/inventory/movements')
+        .set(getAuthHeaders(customerToken));
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
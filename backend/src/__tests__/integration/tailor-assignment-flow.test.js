@@ -0,0 +1,214 @@
+/**
+ * Tailor Management & Auto-Assignment Integration Tests
+ * Tests for tailor CRUD and workload-aware production assignment
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestAdmin, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Tailor = require('../../models/Tailor');
+const ProductionQueue = require('../../models/ProductionQueue');
+const tailorAssignmentService = require('../../services/tailorAssignmentService');
+
+const everyDay = {
+  monday: { available: true },
+  tuesday: { available: true },
+  wednesday: { available: true },
+  thursday: { available: true },
+  friday: { available: true },
+  saturday: { available: true },
+  sunday: { available: true }
+};
+
+describe('Tailor Management Flow', () => {
+  let admin, adminToken;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  describe('POST /api/v1/admin/tailors', () => {
+    it('should create a tailor', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/tailors')
+        .set(getAuthHeaders(adminToken))
+        .send({
+          name: 'Test Tailor',
+          email: `tailor${Date.now()}@example.com`,
+          phone: '03001234567',
+          specializations: ['cutting'],
+          capacity: { maxOrdersPerDay: 3 }
+        })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.tailor.capacity.maxOrdersPerDay).toBe(3);
+      expect(response.body.data.tailor.capacity.currentOrders).toBe(0);
+    });
+
+    it('should reject invalid specialization', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/tailors')
+        .set(getAuthHeaders(adminToken))
+        .send({
+          name: 'Bad Tailor',
+          email: `bad${Date.now()}@example.com`,
+          phone: '03001234567',
+          specializations: ['knitting']
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/v1/admin/tailors/:id', () => {
+    it('should deactivate a tailor', async () => {
+      const tailor = await Tailor.create({
+        name: 'Leaving Tailor',
+        email: `leaving${Date.now()}@example.com`,
+        phone: '03001234567'
+      });
+
+      const response = await request(app)
+        .delete(`/api/v1/admin/tailors/${tailor._id}`)
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.tailor.status).toBe('inactive');
+    });
+  });
+
+  describe('Auto-assignment', () => {
+    beforeEach(async () => {
+      await Tailor.deleteMany({});
+      await ProductionQueue.deleteMany({});
+    });
+
+    it('should assign new queue items to the tailor with most free capacity', async () => {
+      const busy = await Tailor.create({
+        name: 'Busy Tailor',
+        email: `busy${Date.now()}@example.com`,
+        phone: '03001234567',
+        specializations: ['cutting'],
+        capacity: { maxOrdersPerDay: 5, currentOrders: 4 },
+        availability: everyDay
+      });
+      const free = await Tailor.create({
+        name: 'Free Tailor',
+        email: `free${Date.now()}@example.com`,
+        phone: '03001234567',
+        specializations: ['cutting'],
+        capacity: { maxOrdersPerDay: 5, currentOrders: 0 },
+        availability: everyDay
+      });
+
+      const order = await createTestOrder();
+      const item = await ProductionQueue.create({ orderId: order._id, orderNumber: order.orderNumber });
+
+      const assigned = await ProductionQueue.findById(item._id);
+      expect(assigned.status).toBe('assigned');
+      expect(assigned.assignedTailor.tailorId.toString()).toBe(free._id.toString());
+
+      const tailor = await Tailor.findById(free._id);
+      expect(tailor.capacity.currentOrders).toBe(1);
+
+      const unchanged = await Tailor.findById(busy._id);
+      expect(unchanged.capacity.currentOrders).toBe(4);
+    });
+
+    it('should not assign to tailors without capacity', async () => {
+      await Tailor.create({
+        name: 'Full Tailor',
+        email: `full${Date.now()}@example.com`,
+        phone: '03001234567',
+        capacity: { maxOrdersPerDay: 1, currentOrders: 1 },
+        availability: everyDay
+      });
+
+      const order = await createTestOrder();
+      const item = await ProductionQueue.create({ orderId: order._id, orderNumber: order.orderNumber });
+      const tailor = await tailorAssignmentService.autoAssign(item);
+
+      expect(tailor).toBeNull();
+      expect(item.status).toBe('pending');
+    });
+
+    it('should assign pending items most urgent first', async () => {
+      const items = {};
+      for (const [index, priority] of ['low', 'high', 'normal'].entries()) {
+        const order = await createTestOrder({ orderNumber: `LC-2026-6${index}01` });
+        items[priority] = await ProductionQueue.create({ orderId: order._id, orderNumber: order.orderNumber, priority });
+      }
+
+      const tailor = await Tailor.create({
+        name: 'One Slot Tailor',
+        email: `oneslot${Date.now()}@example.com`,
+        phone: '03001234567',
+        capacity: { maxOrdersPerDay: 1, currentOrders: 0 },
+        availability: everyDay
+      });
+
+      const results = await tailorAssignmentService.assignPending();
+      expect(results).toEqual({ total: 3, assigned: 1, unassigned: 2 });
+
+      const assigned = await ProductionQueue.findById(items.high._id);
+      expect(assigned.assignedTailor.tailorId.toString()).toBe(tailor._id.toString());
+    });
+
+    it('should release capacity and update stats when an item completes', async () => {
+      const tailor = await Tailor.create({
+        name: 'Finishing Tailor',
+        email: `finish${Date.now()}@example.com`,
+        phone: '03001234567',
+        capacity: { maxOrdersPerDay: 5, currentOrders: 1 },
+        availability: everyDay
+      });
+
+      const order = await createTestOrder();
+      const item = await ProductionQueue.create({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        assignedTailor: { tailorId: tailor._id, estimatedCompletion: new Date(Date.now() + 86400000) }
+      });
+
+      await item.updateStatus('completed');
+      await tailorAssignmentService.releaseTailor(item, 'completed');
+
+      const updated = await Tailor.findById(tailor._id);
+      expect(updated.capacity.currentOrders).toBe(0);
+      expect(updated.performance.completedOrders).toBe(1);
+      expect(updated.performance.onTimeDeliveryRate).toBe(100);
+    });
+
+    it('should derive the on-time rate from the on-time count', async () => {
+      const tailor = await Tailor.create({
+        name: 'Steady Tailor',
+        email: `steady${Date.now()}@example.com`,
+        phone: '03001234567',
+        capacity: { maxOrdersPerDay: 5, currentOrders: 3 },
+        availability: everyDay
+      });
+
+      await tailor.completeOrder(true);
+      await tailor.completeOrder(false);
+      await tailor.completeOrder(false);
+
+      const updated = await Tailor.findById(tailor._id);
+      expect(updated.capacity.currentOrders).toBe(0);
+      expect(updated.performance.onTimeOrders).toBe(1);
+      expect(updated.performance.onTimeDeliveryRate).toBe(33);
+
+      // Never below zero
+      await updated.releaseOrder();
+      expect((await Tailor.findById(tailor._id)).capacity.currentOrders).toBe(0);
+    });
+  });
+});
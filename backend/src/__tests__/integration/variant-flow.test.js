@@ -0,0 +1,173 @@
+/**
+ * Product Variant Integration Tests
+ * Tests for colour x size variants with their own SKU, price and stock,
+ * the variant recorded on cart and order items, and per-variant stock reservation
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const {
+  createTestUser,
+  createTestProduct,
+  generateTestToken,
+  getAuthHeaders
+} = require('../setup/test-helpers');
+const Product = require('../../models/Product');
+
+describe('Product Variant Flow', () => {
+  let customer, customerToken, product;
+
+  const shippingAddress = {
+    fullName: 'Test Customer',
+    phone: '03001234567',
+    addressLine1: '123 Test Street',
+    city: 'Lahore',
+    province: 'Punjab'
+  };
+
+  const variantOf = (doc, color, size) => doc.findVariant(color, size);
+
+  beforeAll(async () => {
+    await setupTestDB();
+    customer = await createTestUser({ email: 'variant-customer@example.com' });
+    customerToken = generateTestToken(customer._id, customer.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await Product.deleteMany({});
+
+    product = await createTestProduct({
+      title: 'Ready-Made Lawn Suit',
+      slug: `variant-lawn-suit-${Date.now()}`,
+      designCode: 'LC-2026-7001',
+      status: 'published',
+      fabric: { type: 'Lawn' },
+      inventory: { sku: 'LAWN-SUIT', stockQuantity: 0, lowStockThreshold: 2 },
+      variants: [
+        { color: 'Maroon', hexCode: '#800000', size: 'M', stockQuantity: 3, images: ['https://example.com/maroon.jpg'] },
+        { color: 'Maroon', size: 'L', stockQuantity: 1 },
+        { color: 'Teal', size: 'M', stockQuantity: 5, priceOverride: 6500 }
+      ]
+    });
+  });
+
+  const placeOrder = (items) => request(app)
+    .post('/api/v1/orders')
+    .set(getAuthHeaders(customerToken))
+    .send({
+      items,
+      shippingAddress,
+      payment: { method: 'bank-transfer' }
+    });
+
+  describe('Variant model', () => {
+    it('should generate SKUs and keep the product stock as the variant total', () => {
+      expect(product.variants.map(variant => variant.sku)).toEqual([
+        'LAWN-SUIT-MAROON-M',
+        'LAWN-SUIT-MAROON-L',
+        'LAWN-SUIT-TEAL-M'
+      ]);
+      expect(product.inventory.stockQuantity).toBe(9);
+      expect(product.inventory.trackInventory).toBe(true);
+      expect(product.availableColors.map(color => color.name)).toEqual(['Maroon', 'Teal']);
+    });
+
+    it('should reject the same colour and size twice', async () => {
+      product.variants.push({ color: 'maroon', size: 'm', stockQuantity: 1 });
+
+      await expect(product.save()).rejects.toThrow('Duplicate variant');
+    });
+  });
+
+  describe('Cart', () => {
+    it('should keep the variant on synced items and cap them at its stock', async () => {
+      const maroonLarge = variantOf(product, 'Maroon', 'L');
+
+      const response = await request(app)
+        .post('/api/v1/cart/sync')
+        .set(getAuthHeaders(customerToken))
+        .send({
+          items: [{
+            productId: product._id.toString(),
+            variantId: maroonLarge._id.toString(),
+            quantity: 4,
+            priceAtAdd: 5000
+          }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.items).toHaveLength(1);
+      expect(response.body.items[0]).toMatchObject({
+        quantity: 1,
+        variantSnapshot: { color: 'Maroon', size: 'L', sku: 'LAWN-SUIT-MAROON-L' }
+      });
+    });
+
+    it('should flag items whose variant was disabled', async () => {
+      const teal = variantOf(product, 'Teal', 'M');
+
+      await request(app)
+        .post('/api/v1/cart/sync')
+        .set(getAuthHeaders(customerToken))
+        .send({ items: [{ productId: product._id.toString(), variantId: teal._id.toString(), quantity: 1, priceAtAdd: 6500 }] });
+
+      teal.isActive = false;
+      await product.save();
+
+      const response = await request(app)
+        .post('/api/v1/cart/validate')
+        .set(getAuthHeaders(customerToken));
+
+      expect(response.body.valid).toBe(false);
+      expect(response.body.errors[0].message).toMatch(/colour and size/);
+    });
+  });
+
+  describe('POST /api/v1/orders', () => {
+    it('should record the variant, charge its price and reserve its stock', async () => {
+      const teal = variantOf(product, 'Teal', 'M');
+
+      const response = await placeOrder([{ product: product._id.toString(), variant: teal._id.toString(), quantity: 2 }]);
+
+      expect(response.status).toBe(201);
+      const [item] = response.body.data.order.items;
+      expect(item.price).toBe(6500);
+      expect(item.variant).toBe(teal._id.toString());
+      expect(item.variantSnapshot).toMatchObject({ color: 'Teal', size: 'M', sku: 'LAWN-SUIT-TEAL-M' });
+      expect(item.productSnapshot.sku).toBe('LAWN-SUIT-TEAL-M');
+
+      // Held until the payment is verified
+      const updated = await Product.findById(product._id);
+      const updatedTeal = variantOf(updated, 'Teal', 'M');
+      expect(updatedTeal.stockQuantity).toBe(5);
+      expect(updatedTeal.reservedQuantity).toBe(2);
+      expect(updatedTeal.availableQuantity).toBe(3);
+      expect(variantOf(updated, 'Maroon', 'M').reservedQuantity).toBe(0);
+      expect(updated.inventory.reservedQuantity).toBe(2);
+    });
+
+    it('should require a variant for products that have them', async () => {
+      const response = await placeOrder([{ product: product._id.toString(), quantity: 1 }]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/colour and size/);
+    });
+
+    it('should not sell more than the variant has in stock', async () => {
+      const maroonLarge = variantOf(product, 'Maroon', 'L');
+
+      const response = await placeOrder([{ product: product._id.toString(), variant: maroonLarge._id.toString(), quantity: 2 }]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Only 1 left of Ready-Made Lawn Suit in Maroon / L');
+
+      const updated = await Product.findById(product._id);
+      expect(variantOf(updated, 'Maroon', 'L').stockQuantity).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Wallet Integration Tests
+ * Tests for store credit: admin adjustments, refunds to the wallet,
+ * paying orders from the wallet and the admin audit view
+ */
+
+const request = require('supertest');
+const app = require('../setup/test-server');
+const { setupTestDB, teardownTestDB } = require('../setup/test-db');
+const { createTestUser, createTestAdmin, createTestOrder, generateTestToken, getAuthHeaders } = require('../setup/test-helpers');
+const Order = require('../../models/Order');
+const Wallet = require('../../models/Wallet');
+
+describe('Wallet Flow', () => {
+  let admin, adminToken, customer, customerToken;
+  let orderSequence = 0;
+
+  beforeAll(async () => {
+    await setupTestDB();
+    admin = await createTestAdmin();
+    adminToken = generateTestToken(admin._id, admin.role);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    orderSequence++;
+    customer = await createTestUser({ email: `wallet${orderSequence}${Date.now()}@example.com` });
+    customerToken = generateTestToken(customer._id, 'customer');
+  });
+
+  const createOrder = (data = {}) => createTestOrder({
+    orderNumber: `LC-2026-9${String(orderSequence).padStart(3, '0')}`,
+    customer,
+    payment: { method: 'bank-transfer', status: 'pending', depositPercentage: 50 },
+    pricing: { subtotal: 10000, tax: 0, shippingCharges: 0, total: 10000 },
+    ...data
+  });
+
+  const adjust = (body, userId = customer._id) => request(app)
+    .post(`/api/v1/wallet/admin/users/${userId}/adjust`)
+    .set(getAuthHeaders(adminToken))
+    .send(body);
+
+  const getWallet = () => request(app)
+    .get('/api/v1/wallet')
+    .set(getAuthHeaders(customerToken));
+
+  describe('Admin adjustments', () => {
+    it('should credit the wallet and record the transaction', async () => {
+      await adjust({ type: 'credit', amount: 1500, reason: 'Goodwill for late delivery' }).expect(200);
+
+      const response = await getWallet().expect(200);
+
+      expect(response.body.data.balance).toBe(1500);
+      expect(response.body.data.transactions).toHaveLength(1);
+      expect(response.body.data.transactions[0].source).toBe('adjustment');
+      expect(response.body.data.transactions[0].balanceAfter).toBe(1500);
+    });
+
+    it('should require a reason', async () => {
+      const response = await adjust({ type: 'credit', amount: 500 }).expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('should not debit more than the balance', async () => {
+      await adjust({ type: 'credit', amount: 500, reason: 'Goodwill' }).expect(200);
+
+      const response = await adjust({ type: 'debit', amount: 800, reason: 'Correction' }).expect(400);
+
+      expect(response.body.message).toBe('Debit exceeds the wallet balance');
+      expect((await Wallet.findOne({ user: customer._id })).balance).toBe(500);
+    });
+
+    it('should not be available to customers', async () => {
+      await request(app)
+        .post(`/api/v1/wallet/admin/users/${customer._id}/adjust`)
+        .set(getAuthHeaders(customerToken))
+        .send({ type: 'credit', amount: 500, reason: 'Free money' })
+        .expect(403);
+    });
+  });
+
+  describe('Concurrent debits', () => {
+    it('should never take the balance below zero', async () => {
+      await Wallet.credit(customer._id, 1000, { source: 'adjustment', description: 'Test credit' });
+
+      const results = await Promise.all([
+        Wallet.debit(customer._id, 600, { source: 'adjustment' }),
+        Wallet.debit(customer._id, 600, { source: 'adjustment' })
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+
+      const wallet = await Wallet.findOne({ user: customer._id });
+      expect(wallet.balance).toBe(400);
+      expect(wallet.transactions).toHaveLength(2);
+    });
+  });
+
+  describe('Refunds to the wallet', () => {
+    it('should credit an admin refund to the wallet', async () => {
+      const order = await createOrder({
+        status: 'payment-verified',
+        payment: { method: 'bank-transfer', status: 'verified', amountPaid: 10000 }
+      });
+
+      await request(app)
+        .post(`/api/v1/admin/orders/${order._id}/refund`)
+        .set(getAuthHeaders(adminToken))
+        .send({ amount: 4000, reason: 'Fabric out of stock', refundTo: 'wallet' })
+        .expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.payment.refund.amount).toBe(4000);
+      expect(updated.payment.refund.walletAmount).toBe(4000);
+
+      const response = await getWallet().expect(200);
+      expect(response.body.data.balance).toBe(4000);
+      expect(response.body.data.transactions[0].source).toBe('refund');
+      expect(response.body.data.transactions[0].orderNumber).toBe(order.orderNumber);
+    });
+
+    it('should reject an unknown refund destination', async () => {
+      const order = await createOrder({
+        status: 'payment-verified',
+        payment: { method: 'bank-transfer', status: 'verified', amountPaid: 10000 }
+      });
+
+      await request(app)
+        .post(`/api/v1/admin/orders/${order._id}/refund`)
+        .set(getAuthHeaders(adminToken))
+        .send({ amount: 4000, reason: 'Fabric out of stock', refundTo: 'cash' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/orders/:id/payments/wallet', () => {
+    const payWithWallet = (order, body = {}) => request(app)
+      .post(`/api/v1/orders/${order._id}/payments/wallet`)
+      .set(getAuthHeaders(customerToken))
+      .send(body);
+
+    it('should pay the deposit from store credit', async () => {
+      const order = await createOrder();
+      await Wallet.credit(customer._id, 6000, { source: 'adjustment' });
+
+      const response = await payWithWallet(order).expect(201);
+
+      expect(response.body.data.installment.method).toBe('wallet');
+      expect(response.body.data.installment.status).toBe('verified');
+      expect(response.body.data.ledger.amountPaid).toBe(5000);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.status).toBe('payment-verified');
+      expect(updated.payment.status).toBe('partial');
+      expect((await Wallet.findOne({ user: customer._id })).balance).toBe(1000);
+    });
+
+    it('should reject a payment above the wallet balance', async () => {
+      const order = await createOrder();
+      await Wallet.credit(customer._id, 3000, { source: 'adjustment' });
+
+      const response = await payWithWallet(order).expect(400);
+
+      expect(response.body.message).toBe('Insufficient store credit');
+      expect((await Order.findById(order._id)).payment.installments).toHaveLength(0);
+      expect((await Wallet.findOne({ user: customer._id })).balance).toBe(3000);
+    });
+
+    it("should not pay for another customer's order", async () => {
+      const order = await createOrder();
+      const other = await createTestUser({ email: `other${Date.now()}@example.com` });
+      await Wallet.credit(other._id, 6000, { source: 'adjustment' });
+
+      await request(app)
+        .post(`/api/v1/orders/${order._id}/payments/wallet`)
+        .set(getAuthHeaders(generateTestToken(other._id, 'customer')))
+        .send({})
+        .expect(403);
+    });
+
+    it('should give the store credit back when the order is cancelled', async () => {
+      const order = await createOrder();
+      await Wallet.credit(customer._id, 2000, { source: 'adjustment' });
+      await payWithWallet(order, { amount: 2000 }).expect(201);
+
+      await request(app)
+        .post(`/api/v1/orders/${order._id}/cancel`)
+        .set(getAuthHeaders(customerToken))
+        .send({ reason: 'Changed my mind' })
+        .expect(200);
+
+      const wallet = await Wallet.findOne({ user: customer._id });
+      expect(wallet.balance).toBe(2000);
+      expect(wallet.transactions[wallet.transactions.length - 1].source).toBe('order-reversal');
+
+      const updated = await Order.findById(order._id);
+      expect(updated.payment.refund.walletAmount).toBe(2000);
+    });
+
+    it('should give the store credit back once when an admin cancels through the status update', async () => {
+      const order = await createOrder();
+      await Wallet.credit(customer._id, 2000, { source: 'adjustment' });
+      await payWithWallet(order, { amount: 2000 }).expect(201);
+
+      await request(app)
+        .put(`/api/v1/admin/orders/${order._id}/status`)
+        .set(getAuthHeaders(adminToken))
+        .send({ status: 'cancelled', notifyCustomer: false })
+        .expect(200);
+
+      const wallet = await Wallet.findOne({ user: customer._id });
+      expect(wallet.balance).toBe(2000);
+      expect(wallet.transactions.filter(transaction => transaction.source === 'order-reversal')).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/v1/wallet/admin/transactions', () => {
+    it('should list transactions across wallets with filters', async () => {
+      await adjust({ type: 'credit', amount: 700, reason: 'Audit test credit' }).expect(200);
+
+      const response = await request(app)
+        .get('/api/v1/wallet/admin/transactions')
+        .query({ source: 'adjustment', user: String(customer._id) })
+        .set(getAuthHeaders(adminToken))
+        .expect(200);
+
+      expect(response.body.data.transactions).toHaveLength(1);
+      expect(response.body.data.transactions[0].amount).toBe(700);
+      expect(response.body.data.transactions[0].description).toBe('Audit test credit');
+      expect(response.body.data.transactions[0].customer.email).toBe(customer.email);
+      expect(response.body.data.transactions[0].createdBy.fullName).toBe(admin.fullName);
+      expect(response.body.data.outstanding.balance).toBeGreaterThanOrEqual(700);
+    });
+  });
+});
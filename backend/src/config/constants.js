@@ -5,6 +5,8 @@
 // including status codes, roles, order states, etc.
 // ==========================================
 
+const { getNextStatuses } = require('./orderStatusMachine');
+
 // ==========================================
 // USER ROLES & PERMISSIONS
 // ==========================================
@@ -79,19 +81,10 @@ const ORDER_STATUS_LABELS = {
   [ORDER_STATUS.REFUNDED]: 'Refunded',
 };
 
-// Status workflow (allowed transitions)
-const ORDER_STATUS_WORKFLOW = {
-  [ORDER_STATUS.PENDING_PAYMENT]: [ORDER_STATUS.PAYMENT_VERIFIED, ORDER_STATUS.CANCELLED],
-  [ORDER_STATUS.PAYMENT_VERIFIED]: [ORDER_STATUS.MATERIAL_ARRANGED, ORDER_STATUS.CANCELLED],
-  [ORDER_STATUS.MATERIAL_ARRANGED]: [ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.CANCELLED],
-  [ORDER_STATUS.IN_PROGRESS]: [ORDER_STATUS.QUALITY_CHECK],
-  [ORDER_STATUS.QUALITY_CHECK]: [ORDER_STATUS.READY_DISPATCH, ORDER_STATUS.IN_PROGRESS],
-  [ORDER_STATUS.READY_DISPATCH]: [ORDER_STATUS.DISPATCHED],
-  [ORDER_STATUS.DISPATCHED]: [ORDER_STATUS.DELIVERED],
-  [ORDER_STATUS.DELIVERED]: [],
-  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
-  [ORDER_STATUS.REFUNDED]: [],
-};
+// Status workflow (allowed transitions), derived from config/orderStatusMachine
+const ORDER_STATUS_WORKFLOW = Object.fromEntries(
+  Object.values(ORDER_STATUS).map(status => [status, getNextStatuses(status)])
+);
 
 // ==========================================
 // PAYMENT STATUS & METHODS
@@ -0,0 +1,189 @@
+/**
+ * Order Status Machine
+ * The single definition of order statuses and the moves allowed between them
+ *
+ * Guards and effects are referenced by name here and implemented in
+ * services/orderStatusService, which every status change goes through.
+ * The admin UI reads this definition from the API rather than keeping its own copy
+ *
+ * @module config/orderStatusMachine
+ */
+
+/**
+ * Order statuses
+ * - customerCancellable: the customer may still cancel from this status
+ * - terminal: no further moves
+ * - onEnter: effects run when an order enters the status
+ */
+const STATES = {
+  'pending-payment': {
+    label: 'Pending Payment',
+    description: 'Waiting for the deposit or full payment',
+    customerCancellable: true,
+    onEnter: []
+  },
+  'payment-verified': {
+    label: 'Payment Verified',
+    description: 'Payment confirmed, ready to arrange materials',
+    customerCancellable: true,
+    onEnter: ['notify-customer']
+  },
+  'material-arranged': {
+    label: 'Material Arranged',
+    description: 'Fabric and materials collected, order joins the production queue',
+    customerCancellable: true,
+    onEnter: ['consume-fabric', 'create-queue-item', 'notify-customer']
+  },
+  'in-progress': {
+    label: 'In Progress',
+    description: 'Being cut and stitched',
+    onEnter: ['notify-customer']
+  },
+  'quality-check': {
+    label: 'Quality Check',
+    description: 'Quality inspection in progress',
+    onEnter: ['notify-customer']
+  },
+  'ready-dispatch': {
+    label: 'Ready for Dispatch',
+    description: 'Packed and ready to hand to the courier',
+    onEnter: ['notify-customer']
+  },
+  'dispatched': {
+    label: 'Dispatched',
+    description: 'Handed to the courier',
+    onEnter: ['set-dispatch-date', 'notify-customer']
+  },
+  'delivered': {
+    label: 'Delivered',
+    description: 'Delivered to the customer',
+    onEnter: ['set-completion-date', 'award-loyalty-points', 'complete-referral', 'notify-customer']
+  },
+  'cancelled': {
+    label: 'Cancelled',
+    description: 'Order has been cancelled',
+    onEnter: ['cancel-queue-item', 'release-promo-code', 'reverse-loyalty-points', 'return-store-credit']
+  },
+  'refunded': {
+    label: 'Refunded',
+    description: 'Payment returned to the customer',
+    terminal: true,
+    onEnter: ['cancel-queue-item', 'reverse-loyalty-points']
+  }
+};
+
+/**
+ * Conditions a transition can require, checked against the order
+ */
+const GUARDS = {
+  'deposit-paid': 'Deposit or full payment verified',
+  'balance-paid': 'Balance paid (cash on delivery is collected by the courier)',
+  'refund-recorded': 'Refund processed'
+};
+
+/**
+ * Side effects, run in the order listed on the status
+ */
+const EFFECTS = {
+  'notify-customer': 'Send the customer a status update',
+  'consume-fabric': 'Take the fabric for custom items out of fabric stock',
+  'create-queue-item': 'Add the order to the production queue',
+  'cancel-queue-item': 'Take the order off the production queue and free its tailor',
+  'release-promo-code': 'Give the promo code use back to the code and the customer',
+  'award-loyalty-points': 'Award the loyalty points the order earned',
+  'reverse-loyalty-points': 'Take back the loyalty points the order earned and return any spent on it',
+  'return-store-credit': 'Return the store credit spent on the order to the customer\'s wallet',
+  'complete-referral': 'Complete the referral of a first-time customer and credit both rewards',
+  'set-dispatch-date': 'Record the dispatch date',
+  'set-completion-date': 'Record the completion date'
+};
+
+// Statuses an order can be refunded from once a refund has been processed
+const REFUNDABLE = [
+  'payment-verified',
+  'material-arranged',
+  'in-progress',
+  'quality-check',
+  'ready-dispatch',
+  'dispatched',
+  'delivered',
+  'cancelled'
+];
+
+/**
+ * Allowed moves. A label is only given where it differs from the target status label
+ */
+const TRANSITIONS = [
+  { from: 'pending-payment', to: 'payment-verified', guards: ['deposit-paid'] },
+  { from: 'pending-payment', to: 'cancelled' },
+
+  { from: 'payment-verified', to: 'material-arranged', guards: ['deposit-paid'] },
+  { from: 'payment-verified', to: 'cancelled' },
+
+  { from: 'material-arranged', to: 'in-progress', guards: ['deposit-paid'] },
+  { from: 'material-arranged', to: 'cancelled' },
+
+  { from: 'in-progress', to: 'quality-check', guards: ['deposit-paid'] },
+  { from: 'in-progress', to: 'cancelled' },
+
+  { from: 'quality-check', to: 'ready-dispatch', guards: ['deposit-paid'] },
+  { from: 'quality-check', to: 'in-progress', label: 'Send back for rework', guards: ['deposit-paid'] },
+  { from: 'quality-check', to: 'cancelled' },
+
+  { from: 'ready-dispatch', to: 'dispatched', guards: ['deposit-paid', 'balance-paid'] },
+  { from: 'ready-dispatch', to: 'cancelled' },
+
+  { from: 'dispatched', to: 'delivered', guards: ['deposit-paid'] },
+  { from: 'dispatched', to: 'ready-dispatch', label: 'Returned by courier', guards: ['deposit-paid'] },
+
+  ...REFUNDABLE.map(from => ({ from, to: 'refunded', guards: ['refund-recorded'] }))
+];
+
+/**
+ * Production queue stage -> the order status it implies
+ * Stages not listed (pending, assigned, on-hold, cancelled) leave the order alone
+ */
+const QUEUE_STATUS_MAP = {
+  'cutting': 'in-progress',
+  'stitching': 'in-progress',
+  'embroidery': 'in-progress',
+  'finishing': 'in-progress',
+  'quality-check': 'quality-check',
+  'ready-for-shipment': 'ready-dispatch',
+  'completed': 'ready-dispatch'
+};
+
+// The forward path through production, used to catch an order up with its queue item
+const PRODUCTION_FLOW = [
+  'payment-verified',
+  'material-arranged',
+  'in-progress',
+  'quality-check',
+  'ready-dispatch'
+];
+
+const ORDER_STATUSES = Object.keys(STATES);
+
+/**
+ * The transition from one status to another, or undefined if it isn't allowed
+ */
+const getTransition = (from, to) => TRANSITIONS.find(transition => transition.from === from && transition.to === to);
+
+/**
+ * Statuses an order can move to from the given status
+ */
+const getNextStatuses = (from) => TRANSITIONS
+  .filter(transition => transition.from === from)
+  .map(transition => transition.to);
+
+module.exports = {
+  STATES,
+  GUARDS,
+  EFFECTS,
+  TRANSITIONS,
+  QUEUE_STATUS_MAP,
+  PRODUCTION_FLOW,
+  ORDER_STATUSES,
+  getTransition,
+  getNextStatuses
+};
@@ -0,0 +1,50 @@
+/**
+ * Search Synonyms
+ * Words customers use interchangeably for the same garment, fabric or work,
+ * in English, Roman Urdu spellings and Urdu script
+ *
+ * Every word in a group matches products indexed under any other word in it.
+ * Used by services/searchService when expanding a query
+ *
+ * @module config/searchSynonyms
+ */
+
+const SYNONYM_GROUPS = [
+  // Garments
+  ['kurti', 'kameez', 'qameez', 'kamiz', 'kurta', 'shirt', 'کرتی', 'قمیض'],
+  ['shalwar', 'salwar', 'shalwaar', 'شلوار'],
+  ['trouser', 'trousers', 'pajama', 'pyjama', 'pant', 'pants'],
+  ['dupatta', 'duppata', 'dopatta', 'chunri', 'chunni', 'odhni', 'دوپٹہ'],
+  ['gharara', 'sharara', 'غرارہ'],
+  ['lehenga', 'lehnga', 'lengha', 'لہنگا'],
+  ['maxi', 'gown', 'frock', 'anarkali'],
+  ['suit', 'jora', 'joda', 'جوڑا'],
+
+  // Embroidery and work
+  ['karhai', 'kadhai', 'karahi', 'kadai', 'kadhaai', 'embroidery', 'embroidered', 'کڑھائی'],
+  ['zardozi', 'zardosi', 'zari', 'زردوزی'],
+  ['gota', 'gotta', 'kinari', 'گوٹا'],
+  ['dabka', 'dabkaa', 'ڈبکا'],
+  ['sequins', 'sequin', 'sitara', 'sitaray'],
+  ['mirror', 'sheesha', 'shisha'],
+  ['resham', 'reshum', 'ریشم'],
+
+  // Fabrics
+  ['lawn', 'لان'],
+  ['khaddar', 'khadar', 'khadi', 'کھدر'],
+  ['chiffon', 'shifon', 'شفون'],
+  ['banarsi', 'banarasi'],
+  ['jamawar', 'jamawaar'],
+  ['cotton', 'sooti', 'سوتی'],
+
+  // Occasions
+  ['bridal', 'dulhan', 'dulhun', 'wedding', 'shaadi', 'shadi', 'barat', 'baraat', 'دلہن', 'شادی'],
+  ['mehndi', 'mehendi', 'henna', 'مہندی'],
+  ['walima', 'valima', 'ولیمہ'],
+  ['eid', 'عید'],
+  ['party', 'partywear', 'festive']
+];
+
+module.exports = {
+  SYNONYM_GROUPS
+};
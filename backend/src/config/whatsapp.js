@@ -349,11 +349,11 @@ const sendStatusUpdate = async (to, orderData, newStatus) => {
   }
 
   const statusMessages = {
-    'fabric-arranged': '📦 Fabric/materials arranged',
-    'stitching-in-progress': '✂️ Stitching in progress',
+    'material-arranged': '📦 Fabric/materials arranged',
+    'in-progress': '✂️ Stitching in progress',
     'quality-check': '🔍 Quality check',
-    'ready-for-dispatch': '📮 Ready for dispatch',
-    'out-for-delivery': '🚚 Out for delivery',
+    'ready-dispatch': '📮 Ready for dispatch',
+    'dispatched': '🚚 Out for delivery',
     'delivered': '✅ Delivered',
   };
 
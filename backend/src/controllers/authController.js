@@ -1,5 +1,8 @@
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const referralService = require('../services/referralService');
+const twoFactorService = require('../services/twoFactorService');
 const {
   generateAccessToken,
   generateRefreshToken,
@@ -15,6 +18,141 @@ const {
   sendAccountLockedEmail
 } = require('../utils/emailService');
 
+// ============================================
+// ADMIN SESSIONS & TWO-FACTOR HELPERS
+// ============================================
+
+/**
+ * Whether this browser's remembered-device cookie lets the user skip the code
+ */
+const isTrustedDevice = (req, user) =>
+  twoFactorService.isTrustedDevice(user, req.cookies?.[twoFactorService.TRUSTED_DEVICE_COOKIE]);
+
+/**
+ * Answer a correct password from an admin with a challenge to finish signing in
+ * No session cookies are set until the code is checked
+ */
+const sendTwoFactorChallenge = (res, user) => {
+  const setup = !user.twoFactor?.enabled;
+
+  res.status(200).json({
+    success: true,
+    message: setup
+      ? 'Set up two-factor authentication to continue.'
+      : 'Enter the code from your authenticator app.',
+    data: {
+      requiresTwoFactor: !setup,
+      requiresTwoFactorSetup: setup,
+      challengeToken: twoFactorService.createChallenge(user, setup ? 'setup' : 'verify')
+    }
+  });
+};
+
+/**
+ * Sign an admin in once every check has passed
+ * @param {Object} [options] - { message, rememberDevice, data (extra response data) }
+ */
+const startAdminSession = async (req, res, user, { message = 'Admin login successful!', rememberDevice = false, data = {} } = {}) => {
+  // Reset login attempts on successful login
+  await user.resetLoginAttempts();
+
+  // Update last login timestamp
+  await user.updateLastLogin();
+
+  // Generate tokens
+  const accessToken = generateAccessToken(user._id);
+  const refreshToken = generateRefreshToken(user._id);
+
+  // Set cookies
+  setAuthCookies(res, accessToken, refreshToken, true); // Always remember admin sessions
+
+  if (rememberDevice) {
+    const device = await twoFactorService.trustDevice(user, { userAgent: req.get('User-Agent'), ip: req.ip });
+    res.cookie(twoFactorService.TRUSTED_DEVICE_COOKIE, device.token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      expires: device.expiresAt,
+      path: '/'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        phone: user.phone,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        profileImage: user.profileImage
+      },
+      tokens: {
+        accessToken,
+        refreshToken
+      },
+      ...data
+    }
+  });
+};
+
+/**
+ * A wrong code counts as a failed login attempt, like a wrong password
+ */
+const rejectTwoFactorCode = async (res, user) => {
+  await user.incLoginAttempts();
+
+  const updatedUser = await User.findById(user._id);
+  if (updatedUser.isLocked) {
+    try {
+      await sendAccountLockedEmail(user.email, user.fullName, updatedUser.lockUntil);
+    } catch (emailError) {
+      console.error('Failed to send account locked email:', emailError);
+    }
+
+    return res.status(423).json({
+      success: false,
+      message: 'Too many failed login attempts. Your account has been locked for 2 hours.',
+      lockUntil: updatedUser.lockUntil
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid authentication code.',
+    attemptsRemaining: Math.max(0, 5 - updatedUser.loginAttempts)
+  });
+};
+
+/**
+ * The user behind a sign-in challenge, or an error response already sent
+ */
+const readChallenge = async (req, res, purpose) => {
+  const user = await twoFactorService.readChallenge(req.body.challengeToken, purpose);
+
+  if (!user) {
+    res.status(401).json({
+      success: false,
+      message: 'Your sign-in has expired. Please sign in again.'
+    });
+    return null;
+  }
+
+  if (user.isLocked) {
+    res.status(423).json({
+      success: false,
+      message: 'Your account is temporarily locked due to multiple failed login attempts. Please try again later or reset your password.',
+      lockUntil: user.lockUntil
+    });
+    return null;
+  }
+
+  return user;
+};
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -22,7 +160,7 @@ const {
  */
 const register = async (req, res) => {
   try {
-    const { fullName, email, password, phone, whatsapp } = req.body;
+    const { fullName, email, password, phone, whatsapp, referralCode } = req.body;
 
     // Validate required fields
     if (!fullName || !email || !password || !phone) {
@@ -74,6 +212,23 @@ const register = async (req, res) => {
     sendWelcomeEmail(user.email, user.fullName, verificationToken)
       .catch(emailError => console.error('Failed to send welcome email:', emailError));
 
+    // A referral code that can't be applied doesn't stop the registration
+    let referral;
+    if (typeof referralCode === 'string' && referralCode.trim()) {
+      try {
+        const result = await referralService.apply({
+          referee: user,
+          code: referralCode.trim(),
+          deviceId: req.get('X-Device-Id'),
+          ip: req.ip
+        });
+        referral = result.valid ? { applied: true } : { applied: false, message: result.error };
+      } catch (referralError) {
+        console.error('Failed to apply referral code:', referralError);
+        referral = { applied: false, message: 'Referral code could not be applied' };
+      }
+    }
+
     // Generate tokens
     const accessToken = generateAccessToken(user._id);
     const refreshToken = generateRefreshToken(user._id);
@@ -92,7 +247,8 @@ const register = async (req, res) => {
           phone: user.phone,
           role: user.role,
           emailVerified: user.emailVerified
-        }
+        },
+        referral
       }
     });
   } catch (error) {
@@ -190,6 +346,11 @@ const login = async (req, res) => {
       });
     }
 
+    // Admin accounts need their second factor here too
+    if (twoFactorService.isRequired(user) && !(await isTrustedDevice(req, user))) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
     // Reset login attempts on successful login
     await user.resetLoginAttempts();
 
@@ -219,13 +380,13 @@ const login = async (req, res) => {
         // Merge items: existing cart takes priority, add new items from guest cart
         const existingItemsMap = new Map();
         cart.items.forEach(item => {
-          const key = `${item.productId}_${JSON.stringify(item.customizations || {})}`;
+          const key = `${item.productId}_${item.variantId || ''}_${JSON.stringify(item.customizations || {})}`;
           existingItemsMap.set(key, item);
         });
 
         // Process incoming guest cart items
         for (const item of guestCart) {
-          const key = `${item.productId}_${JSON.stringify(item.customizations || {})}`;
+          const key = `${item.productId}_${item.variantId || ''}_${JSON.stringify(item.customizations || {})}`;
           
           if (existingItemsMap.has(key)) {
             // Update quantity
@@ -235,6 +396,7 @@ const login = async (req, res) => {
             // Add new item
             existingItemsMap.set(key, {
               productId: item.productId,
+              variantId: item.variantId || null,
               quantity: Math.min(item.quantity, 99),
               priceAtAdd: item.priceAtAdd,
               customizations: item.customizations,
@@ -255,12 +417,24 @@ const login = async (req, res) => {
             continue;
           }
 
-          const stockAvailable = product.inventory?.stockQuantity || product.stockQuantity || 0;
-          const validQuantity = stockAvailable > 0 ? Math.min(item.quantity, stockAvailable) : item.quantity;
+          // Products with variants are stocked per colour and size
+          const variant = !item.isCustom && product.hasVariants ? product.getVariant(item.variantId) : undefined;
+          if (variant === null) {
+            continue;
+          }
+
+          const stockAvailable = variant ? variant.availableQuantity : (product.inventory?.stockQuantity || product.stockQuantity || 0);
+          const validQuantity = variant || stockAvailable > 0 ? Math.min(item.quantity, stockAvailable) : item.quantity;
 
           if (validQuantity > 0) {
             validItems.push({
               ...item,
+              variantSnapshot: variant ? {
+                color: variant.color,
+                size: variant.size,
+                sku: variant.sku,
+                image: variant.images[0] || product.primaryImage
+              } : undefined,
               quantity: validQuantity
             });
           }
@@ -830,43 +1004,273 @@ const adminLogin = async (req, res) => {
       });
     }
 
-    // Reset login attempts on successful login
-    await user.resetLoginAttempts();
+    // The password alone isn't enough: finish with a code from the
+    // authenticator app (or set one up), unless this browser is remembered
+    if (!(await isTrustedDevice(req, user))) {
+      return sendTwoFactorChallenge(res, user);
+    }
 
-    // Update last login timestamp
-    await user.updateLastLogin();
+    await startAdminSession(req, res, user);
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Admin login failed. Please try again later.'
+    });
+  }
+};
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+/**
+ * Start two-factor enrolment: a new secret and its QR code
+ * @route POST /api/auth/2fa/setup
+ * @access Public (requires a setup challenge token from admin login)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await readChallenge(req, res, 'setup');
+    if (!user) return;
 
-    // Set cookies
-    setAuthCookies(res, accessToken, refreshToken, true); // Always remember admin sessions
+    const setup = await twoFactorService.beginSetup(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows.',
+      data: setup
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup. Please try again.'
+    });
+  }
+};
+
+/**
+ * Finish enrolment with the first code and sign in
+ * Backup codes are returned once, here
+ * @route POST /api/auth/2fa/enable
+ * @access Public (requires a setup challenge token from admin login)
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code, rememberDevice } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code from your authenticator app.'
+      });
+    }
+
+    const user = await readChallenge(req, res, 'setup');
+    if (!user) return;
+
+    const result = await twoFactorService.enable(user, String(code));
+
+    if (!result.valid) {
+      if (result.invalidCode) {
+        return rejectTwoFactorCode(res, user);
+      }
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await startAdminSession(req, res, user, {
+      message: 'Two-factor authentication enabled. Save your backup codes somewhere safe.',
+      rememberDevice: rememberDevice === true,
+      data: { backupCodes: result.backupCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication. Please try again.'
+    });
+  }
+};
+
+/**
+ * Finish admin login with a code from the authenticator app or a backup code
+ * @route POST /api/auth/2fa/verify
+ * @access Public (requires a verify challenge token from admin login)
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { code, backupCode, rememberDevice } = req.body;
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an authentication code or a backup code.'
+      });
+    }
+
+    const user = await readChallenge(req, res, 'verify');
+    if (!user) return;
+
+    const isValid = code
+      ? await twoFactorService.verifyCode(user, String(code))
+      : await twoFactorService.useBackupCode(user, String(backupCode));
+
+    if (!isValid) {
+      return rejectTwoFactorCode(res, user);
+    }
+
+    const data = {};
+    if (!code) {
+      const status = twoFactorService.getStatus(await twoFactorService.loadUser(user._id));
+      data.backupCodesRemaining = status.backupCodesRemaining;
+    }
+
+    await startAdminSession(req, res, user, { rememberDevice: rememberDevice === true, data });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Two-factor verification failed. Please try again.'
+    });
+  }
+};
+
+/**
+ * Own two-factor status: backup codes left and remembered browsers
+ * @route GET /api/auth/2fa/status
+ * @access Private (Admin)
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: twoFactorService.getStatus(user)
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status.'
+    });
+  }
+};
+
+/**
+ * Replace the backup codes; needs a current code from the authenticator app
+ * @route POST /api/auth/2fa/backup-codes
+ * @access Private (Admin)
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code from your authenticator app.'
+      });
+    }
+
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    if (!(await twoFactorService.verifyCode(user, String(code)))) {
+      return rejectTwoFactorCode(res, user);
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes created. The old ones no longer work.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create backup codes. Please try again.'
+    });
+  }
+};
+
+/**
+ * Forget every remembered browser, so each asks for a code again
+ * @route DELETE /api/auth/2fa/trusted-devices
+ * @access Private (Admin)
+ */
+const forgetTrustedDevices = async (req, res) => {
+  try {
+    await twoFactorService.forgetDevices(req.user);
+
+    res.clearCookie(twoFactorService.TRUSTED_DEVICE_COOKIE, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Remembered devices cleared.'
+    });
+  } catch (error) {
+    console.error('Forget trusted devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear remembered devices.'
+    });
+  }
+};
+
+/**
+ * Reset another admin's two-factor authentication after they lose their device
+ * They set it up again at their next sign-in
+ * @route POST /api/auth/2fa/reset/:userId
+ * @access Private (Super Admin)
+ */
+const resetTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID.'
+      });
+    }
+
+    if (reason.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the reset.'
+      });
+    }
+
+    const result = await twoFactorService.reset(userId, req.user, reason);
+
+    if (!result.valid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Admin login successful!',
+      message: `Two-factor authentication reset for ${result.user.email}. They will set it up again at their next sign-in.`,
       data: {
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          phone: user.phone,
-          role: user.role,
-          emailVerified: user.emailVerified,
-          profileImage: user.profileImage
-        },
-        tokens: {
-          accessToken,
-          refreshToken
-        }
+        userId: result.user._id,
+        resetAt: result.user.twoFactor.resetAt
       }
     });
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Two-factor reset error:', error);
     res.status(500).json({
       success: false,
-      message: 'Admin login failed. Please try again later.'
+      message: 'Failed to reset two-factor authentication.'
     });
   }
 };
@@ -933,6 +1337,13 @@ module.exports = {
   register,
   login,
   adminLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  regenerateBackupCodes,
+  forgetTrustedDevices,
+  resetTwoFactor,
   logout,
   refreshToken,
   verifyEmail,
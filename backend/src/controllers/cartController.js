@@ -5,9 +5,27 @@
 
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
-const PromoCode = require('../models/PromoCode');
+const shippingService = require('../services/shippingService');
+const pricingService = require('../services/pricingService');
+const { shippingQuoteSchema, cartPricingSchema } = require('../utils/validationSchemas');
 const { protect, optionalAuth } = require('../middleware/auth.middleware');
 
+/**
+ * Variant a cart item points at. Undefined when the product has no variants
+ * (or the item is custom stitched), null when its variant is gone or disabled
+ */
+const resolveVariant = (product, item) => {
+  if (item.isCustom || !product.hasVariants) return undefined;
+  return product.getVariant(item.variantId);
+};
+
+const buildVariantSnapshot = (product, variant) => ({
+  color: variant.color,
+  size: variant.size,
+  sku: variant.sku,
+  image: variant.images[0] || product.primaryImage
+});
+
 /**
  * GET /api/cart
  * Get user's cart
@@ -47,12 +65,20 @@ exports.getCart = async (req, res) => {
         continue; // Skip invalid products
       }
 
-      const stockAvailable = product.inventory?.stockQuantity || product.stockQuantity || 0;
-      const availableQuantity = stockAvailable > 0 ? Math.min(item.quantity, stockAvailable) : item.quantity;
+      const variant = resolveVariant(product, item);
+      if (variant === null) {
+        continue; // Selected colour/size no longer sold
+      }
+
+      // Variant stock is always tracked; 0 on the product means untracked
+      const stockAvailable = variant ? variant.availableQuantity : (product.inventory?.stockQuantity || product.stockQuantity || 0);
+      const availableQuantity = variant || stockAvailable > 0 ? Math.min(item.quantity, stockAvailable) : item.quantity;
 
       if (availableQuantity > 0) {
         validItems.push({
           productId: item.productId,
+          variantId: variant ? variant._id : null,
+          variantSnapshot: variant ? buildVariantSnapshot(product, variant) : undefined,
           quantity: availableQuantity,
           priceAtAdd: item.priceAtAdd,
           customizations: item.customizations,
@@ -125,13 +151,13 @@ exports.syncCart = async (req, res) => {
     // Merge items: existing cart takes priority, add new items from guest cart
     const existingItemsMap = new Map();
     cart.items.forEach(item => {
-      const key = `${item.productId}_${JSON.stringify(item.customizations || {})}`;
+      const key = `${item.productId}_${item.variantId || ''}_${JSON.stringify(item.customizations || {})}`;
       existingItemsMap.set(key, item);
     });
 
     // Process incoming items
     for (const item of items) {
-      const key = `${item.productId}_${JSON.stringify(item.customizations || {})}`;
+      const key = `${item.productId}_${item.variantId || ''}_${JSON.stringify(item.customizations || {})}`;
       
       if (existingItemsMap.has(key)) {
         // Update quantity
@@ -141,6 +167,7 @@ exports.syncCart = async (req, res) => {
         // Add new item
         existingItemsMap.set(key, {
           productId: item.productId,
+          variantId: item.variantId || null,
           quantity: Math.min(item.quantity, 99),
           priceAtAdd: item.priceAtAdd,
           customizations: item.customizations,
@@ -159,12 +186,18 @@ exports.syncCart = async (req, res) => {
         continue;
       }
 
-      const stockAvailable = product.inventory?.stockQuantity || product.stockQuantity || 0;
-      const validQuantity = stockAvailable > 0 ? Math.min(item.quantity, stockAvailable) : item.quantity;
+      const variant = resolveVariant(product, item);
+      if (variant === null) {
+        continue;
+      }
+
+      const stockAvailable = variant ? variant.availableQuantity : (product.inventory?.stockQuantity || product.stockQuantity || 0);
+      const validQuantity = variant || stockAvailable > 0 ? Math.min(item.quantity, stockAvailable) : item.quantity;
 
       if (validQuantity > 0) {
         validItems.push({
           ...item,
+          variantSnapshot: variant ? buildVariantSnapshot(product, variant) : undefined,
           quantity: validQuantity
         });
       }
@@ -188,14 +221,43 @@ exports.syncCart = async (req, res) => {
   }
 };
 
+/**
+ * Items in the customer's saved cart, shaped like order items
+ */
+const savedCartItems = async (userId) => {
+  const cart = await Cart.findOne({ userId }).lean();
+  return (cart?.items || []).map(item => ({
+    product: item.productId,
+    variant: item.variantId,
+    quantity: item.quantity,
+    price: item.priceAtAdd,
+    isCustom: item.isCustom
+  }));
+};
+
+/**
+ * Price breakdown for the response: what the discount is made of
+ */
+const pricingResponse = (pricing) => ({
+  subtotal: pricing.subtotal,
+  discount: pricing.discount,
+  discountCode: pricing.discountCode,
+  codeDiscount: pricing.codeDiscount,
+  promotions: pricing.promotions,
+  loyalty: pricing.loyalty,
+  shipping: pricing.shippingCharges,
+  total: pricing.total
+});
+
 /**
  * POST /api/cart/promo
  * Apply promo code to cart
+ * Priced by the same pipeline as order creation; items default to the saved cart
  * @access Private
  */
 exports.applyPromoCode = async (req, res) => {
   try {
-    const { code, items } = req.body;
+    const { code } = req.body;
 
     if (!code) {
       return res.status(400).json({
@@ -204,68 +266,90 @@ exports.applyPromoCode = async (req, res) => {
       });
     }
 
-    // Find promo code
-    const promo = await PromoCode.findOne({
-      code: code.toUpperCase(),
-      isActive: true,
-      startDate: { $lte: new Date() },
-      endDate: { $gte: new Date() }
-    });
+    const { error, value } = cartPricingSchema.validate({ items: req.body.items }, { abortEarly: false });
 
-    if (!promo) {
-      return res.status(404).json({
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid or expired promo code'
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
       });
     }
 
-    // Check usage limit
-    if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
-      return res.status(400).json({
+    const quote = await pricingService.quote({
+      items: value.items || await savedCartItems(req.user._id),
+      promoCode: code,
+      user: req.user
+    });
+
+    if (quote.error) {
+      return res.status(quote.errorStatus || 400).json({
         success: false,
-        message: 'This promo code has reached its usage limit'
+        message: quote.error
       });
     }
 
-    // Calculate subtotal
-    const subtotal = items.reduce((sum, item) => {
-      return sum + (item.priceAtAdd * item.quantity);
-    }, 0);
+    const { pricing, promoCode } = quote;
 
-    // Check minimum order value
-    if (promo.minOrderValue && subtotal < promo.minOrderValue) {
+    res.status(200).json({
+      success: true,
+      ...pricingResponse(pricing),
+      discountType: promoCode.discountType,
+      discountValue: promoCode.discountValue,
+      message: `Promo code applied! You saved PKR ${pricing.discount.toLocaleString()}`
+    });
+  } catch (error) {
+    console.error('Error applying promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/cart/pricing
+ * Checkout price breakdown: automatic promotions and the promo code, if any
+ * A code that no longer applies is reported but does not fail the request
+ * @access Public (saved cart and per-customer code limits need login)
+ */
+exports.getPricing = async (req, res) => {
+  try {
+    const { error, value } = cartPricingSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: `Minimum order value of PKR ${promo.minOrderValue.toLocaleString()} required`
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
       });
     }
 
-    // Calculate discount
-    let discount = 0;
-    if (promo.discountType === 'percentage') {
-      discount = subtotal * (promo.discountValue / 100);
-      if (promo.maxDiscount && discount > promo.maxDiscount) {
-        discount = promo.maxDiscount;
-      }
-    } else if (promo.discountType === 'fixed') {
-      discount = promo.discountValue;
-      if (discount > subtotal) {
-        discount = subtotal;
-      }
+    let items = value.items;
+    if (!items && req.user) {
+      items = await savedCartItems(req.user._id);
     }
 
+    const quote = await pricingService.quote({
+      items: items || [],
+      promoCode: value.promoCode,
+      user: req.user,
+      shippingCharges: value.shippingCharges,
+      loyaltyPoints: value.loyaltyPoints
+    });
+
     res.status(200).json({
       success: true,
-      discount,
-      discountType: promo.discountType,
-      discountValue: promo.discountValue,
-      message: `Promo code applied! You saved PKR ${discount.toLocaleString()}`
+      ...pricingResponse(quote.pricing),
+      promoCodeError: quote.error,
+      loyaltyError: quote.loyaltyError
     });
   } catch (error) {
-    console.error('Error applying promo code:', error);
+    console.error('Error pricing cart:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to apply promo code',
+      message: 'Failed to price cart',
       error: error.message
     });
   }
@@ -273,58 +357,52 @@ exports.applyPromoCode = async (req, res) => {
 
 /**
  * POST /api/cart/shipping
- * Calculate shipping cost
- * @access Private
+ * Shipping quote for the cart (items default to the saved cart)
+ * @access Public
  */
 exports.calculateShipping = async (req, res) => {
   try {
-    const { address, items } = req.body;
-
-    // Calculate subtotal
-    const subtotal = items.reduce((sum, item) => {
-      return sum + (item.priceAtAdd * item.quantity);
-    }, 0);
-
-    // Free shipping threshold
-    const FREE_SHIPPING_THRESHOLD = 5000;
-    
-    // Base shipping rates (PKR)
-    const SHIPPING_RATES = {
-      'Karachi': 200,
-      'Lahore': 200,
-      'Islamabad': 250,
-      'Rawalpindi': 250,
-      'Faisalabad': 300,
-      'Multan': 350,
-      'Peshawar': 350,
-      'Quetta': 400,
-      'Default': 400
-    };
-
-    // Check if eligible for free shipping
-    if (subtotal >= FREE_SHIPPING_THRESHOLD) {
-      return res.status(200).json({
-        success: true,
-        cost: 0,
-        message: 'Free shipping applied!'
+    const { error, value } = shippingQuoteSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
       });
     }
 
-    // Calculate shipping based on city
-    const city = address?.city || 'Default';
-    let shippingCost = SHIPPING_RATES[city] || SHIPPING_RATES['Default'];
+    let items = value.items;
+
+    // Quote the saved cart when the client doesn't send its items
+    if (!items && req.user) {
+      items = await savedCartItems(req.user._id);
+    }
+
+    const quote = await shippingService.getQuote({
+      address: value.address,
+      items: items || [],
+      rateId: value.shippingRate,
+      promoCode: value.promoCode,
+      user: req.user
+    });
 
-    // Additional cost for custom stitching items
-    const hasCustomItems = items.some(item => item.isCustom);
-    if (hasCustomItems) {
-      shippingCost += 100;
+    if (!quote.available) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
     }
 
     res.status(200).json({
       success: true,
-      cost: shippingCost,
-      freeShippingThreshold: FREE_SHIPPING_THRESHOLD,
-      remainingForFreeShipping: Math.max(0, FREE_SHIPPING_THRESHOLD - subtotal)
+      cost: quote.cost,
+      freeShippingThreshold: quote.freeShippingThreshold,
+      remainingForFreeShipping: quote.remainingForFreeShipping,
+      message: quote.selected.freeShipping ? quote.selected.freeShippingReason : undefined,
+      zone: quote.zone,
+      options: quote.options,
+      selected: quote.selected
     });
   } catch (error) {
     console.error('Error calculating shipping:', error);
@@ -377,7 +455,18 @@ exports.validateCart = async (req, res) => {
         continue;
       }
 
-      const stockAvailable = product.inventory?.stockQuantity || product.stockQuantity || 0;
+      const variant = resolveVariant(product, item);
+      if (variant === null) {
+        errors.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          productName: product.title,
+          message: 'The selected colour and size is no longer available'
+        });
+        continue;
+      }
+
+      const stockAvailable = variant ? variant.availableQuantity : (product.inventory?.stockQuantity || product.stockQuantity || 0);
       
       if (stockAvailable > 0 && item.quantity > stockAvailable) {
         errors.push({
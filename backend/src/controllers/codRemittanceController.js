@@ -0,0 +1,263 @@
+/**
+ * COD Remittance Controller
+ * Courier cash-on-delivery remittance statements: import, matching,
+ * settlement and the reconciliation report
+ *
+ * @module controllers/codRemittanceController
+ */
+
+const mongoose = require('mongoose');
+const CodRemittance = require('../models/CodRemittance');
+const codReconciliationService = require('../services/codReconciliationService');
+const { generateCodReconciliationCSV } = require('../utils/csvGenerator');
+const {
+  importCodRemittanceSchema,
+  applyCodRemittanceSchema,
+  markCodCollectedSchema
+} = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Send a 400 for a failed Joi validation
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: error.details.map(detail => detail.message)
+});
+
+/**
+ * Load the remittance from req.params.id, or send the error response
+ */
+const findRemittance = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid remittance ID' });
+    return null;
+  }
+
+  const remittance = await CodRemittance.findById(req.params.id);
+
+  if (!remittance) {
+    res.status(404).json({ success: false, message: 'Remittance not found' });
+    return null;
+  }
+
+  return remittance;
+};
+
+/**
+ * @desc    Import a courier COD remittance statement (CSV) and match it to orders
+ * @route   POST /api/v1/admin/cod-remittances
+ * @access  Private (Admin)
+ */
+exports.importRemittance = async (req, res) => {
+  try {
+    const { error, value } = importCodRemittanceSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const csv = req.file ? req.file.buffer.toString('utf8') : value.csv;
+
+    if (!csv) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the remittance statement CSV'
+      });
+    }
+
+    const result = await codReconciliationService.importStatement({
+      ...value,
+      csv,
+      fileName: req.file?.originalname
+    }, req.user);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Statement imported: ${result.remittance.totals.matched} of ${result.remittance.totals.lines} parcels matched`,
+      data: { remittance: result.remittance }
+    });
+  } catch (error) {
+    logger.error('Error in importRemittance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import remittance statement'
+    });
+  }
+};
+
+/**
+ * @desc    List imported remittance statements (lines omitted)
+ * @route   GET /api/v1/admin/cod-remittances
+ * @access  Private (Admin)
+ */
+exports.getRemittances = async (req, res) => {
+  try {
+    const { courierService, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const filter = {};
+    if (courierService) filter.courierService = courierService;
+    if (status) filter.status = status;
+
+    const [remittances, total] = await Promise.all([
+      CodRemittance.find(filter)
+        .select('-lines')
+        .populate('importedBy', 'fullName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CodRemittance.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        remittances,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getRemittances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch remittances'
+    });
+  }
+};
+
+/**
+ * @desc    Get a remittance statement with its matched lines
+ * @route   GET /api/v1/admin/cod-remittances/:id
+ * @access  Private (Admin)
+ */
+exports.getRemittance = async (req, res) => {
+  try {
+    const remittance = await findRemittance(req, res);
+    if (!remittance) return;
+
+    await remittance.populate([
+      { path: 'importedBy', select: 'fullName' },
+      { path: 'appliedBy', select: 'fullName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { remittance }
+    });
+  } catch (error) {
+    logger.error('Error in getRemittance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch remittance'
+    });
+  }
+};
+
+/**
+ * @desc    Mark the statement's orders COD collected with its settlement reference
+ * @route   POST /api/v1/admin/cod-remittances/:id/apply
+ * @access  Private (Admin)
+ */
+exports.applyRemittance = async (req, res) => {
+  try {
+    const { error, value } = applyCodRemittanceSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const remittance = await findRemittance(req, res);
+    if (!remittance) return;
+
+    const result = await codReconciliationService.applyRemittance(remittance, value, req.user);
+
+    logger.info(`COD remittance ${remittance.settlementReference} applied to ${result.applied.length} orders by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.applied.length} orders marked collected`,
+      data: { ...result, remittance }
+    });
+  } catch (error) {
+    logger.error('Error in applyRemittance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply remittance'
+    });
+  }
+};
+
+/**
+ * @desc    Mark COD orders collected with a settlement reference, without a statement
+ * @route   POST /api/v1/admin/cod-remittances/mark-collected
+ * @access  Private (Admin)
+ */
+exports.markCollected = async (req, res) => {
+  try {
+    const { error, value } = markCodCollectedSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const result = await codReconciliationService.markCollected(value.orderIds, value.settlementReference, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.applied.length} orders marked collected`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error in markCollected:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark orders collected'
+    });
+  }
+};
+
+/**
+ * @desc    Reconciliation report of unpaid, short-paid and returned COD parcels
+ * @route   GET /api/v1/admin/cod-remittances/report
+ * @access  Private (Admin)
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const report = await codReconciliationService.getReport({ courierService: req.query.courierService });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=cod-reconciliation-${Date.now()}.csv`);
+      return res.send(generateCodReconciliationCSV(report));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error in getReport:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reconciliation report'
+    });
+  }
+};
@@ -0,0 +1,175 @@
+/**
+ * Currency Controller
+ * Currencies customers can shop in and the admin exchange rate table
+ *
+ * @module controllers/currencyController
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const currencyService = require('../services/currencyService');
+const { exchangeRateSchema, currencyCode } = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+/**
+ * Send a 400 for a failed Joi validation
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: error.details.map(detail => detail.message)
+});
+
+// ============================================================
+// PUBLIC OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Active currencies with their rates (PKR per unit)
+ * @route   GET /api/v1/currencies
+ * @access  Public
+ */
+exports.getCurrencies = async (req, res) => {
+  try {
+    const currencies = await currencyService.getCurrencies();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: currencyService.BASE_CURRENCY,
+        currencies
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getCurrencies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch currencies'
+    });
+  }
+};
+
+// ============================================================
+// ADMIN OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Exchange rate table, including inactive currencies and rate history
+ * @route   GET /api/v1/currencies/admin
+ * @access  Private (Admin)
+ */
+exports.getRates = async (req, res) => {
+  try {
+    const currencies = await currencyService.getCurrencies({ includeInactive: true });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: currencyService.BASE_CURRENCY,
+        currencies
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getRates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exchange rates'
+    });
+  }
+};
+
+/**
+ * @desc    Add a currency or change its rate / details
+ * @route   PUT /api/v1/currencies/admin/:code
+ * @access  Private (Admin)
+ */
+exports.updateRate = async (req, res) => {
+  try {
+    const { error: codeError, value: code } = currencyCode.validate(req.params.code);
+
+    if (codeError || code === currencyService.BASE_CURRENCY) {
+      return res.status(400).json({
+        success: false,
+        message: codeError ? 'Invalid currency code' : `${currencyService.BASE_CURRENCY} is the base currency`
+      });
+    }
+
+    const { error, value } = exchangeRateSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    if (value.rate === undefined && !await ExchangeRate.exists({ currency: code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rate is required to add a currency'
+      });
+    }
+
+    const exchangeRate = await currencyService.setRate(code, value, req.user);
+
+    logger.info(`Exchange rate updated for ${code}`, {
+      rate: exchangeRate.rate,
+      updatedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate saved',
+      data: exchangeRate
+    });
+  } catch (error) {
+    logger.error('Error in updateRate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save exchange rate'
+    });
+  }
+};
+
+/**
+ * @desc    Import rates from a CSV (currency, rate[, name, symbol])
+ * @route   POST /api/v1/currencies/admin/import
+ * @access  Private (Admin)
+ */
+exports.importRates = async (req, res) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!csv) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the exchange rate CSV'
+      });
+    }
+
+    const result = await currencyService.importRates(csv, req.user);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        data: { skipped: result.skipped || [] }
+      });
+    }
+
+    logger.info(`Exchange rates imported: ${result.imported.map(entry => entry.currency).join(', ')}`, {
+      importedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.imported.length} rate(s) imported`,
+      data: {
+        imported: result.imported,
+        skipped: result.skipped
+      }
+    });
+  } catch (error) {
+    logger.error('Error in importRates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import exchange rates'
+    });
+  }
+};
@@ -8,8 +8,12 @@
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Measurement = require('../models/Measurement');
+const DraftOrder = require('../models/DraftOrder');
 const orderService = require('../services/orderService');
+const { calculateWizardPrice } = require('../services/priceCalculator');
 const notificationService = require('../services/notificationService');
+const paymentLedgerService = require('../services/paymentLedgerService');
+const fabricService = require('../services/fabricService');
 // Note: Images are uploaded via multer middleware, no need to import uploadImage
 const logger = require('../utils/logger');
 const { sendWhatsAppMessage } = require('../config/whatsapp');
@@ -85,19 +89,64 @@ exports.uploadReferenceImages = async (req, res) => {
   }
 };
 
+/**
+ * Get fabrics customers can choose when we provide the fabric
+ * @route GET /api/v1/orders/custom/fabrics
+ * @access Public
+ */
+exports.getFabricCatalog = async (req, res) => {
+  try {
+    const fabrics = await fabricService.getCatalog();
+
+    res.status(200).json({
+      success: true,
+      data: { fabrics }
+    });
+  } catch (error) {
+    logger.error('Error fetching fabric catalog:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fabrics'
+    });
+  }
+};
+
 /**
  * Submit custom order
  * @route POST /api/v1/orders/custom
  * @access Private/Public
  */
 exports.submitCustomOrder = async (req, res) => {
+  // Draft claimed for this submission, until its order exists
+  let claimedDraft = null;
+
   try {
+    // Submitting from a saved draft: fields in the request override the draft
+    let draft = null;
+    if (req.body.draftToken) {
+      draft = await DraftOrder.findByToken(req.body.draftToken);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft not found or already submitted'
+        });
+      }
+    }
+
+    const input = { ...(draft?.formData || {}), ...req.body };
+    // Draft images are stored as { url } objects
+    if (Array.isArray(input.referenceImages)) {
+      input.referenceImages = input.referenceImages
+        .map(image => (typeof image === 'string' ? image : image?.url))
+        .filter(Boolean);
+    }
+
     const {
       serviceType,
       designIdea,
       referenceImages,
       fabricSource,
-      selectedFabric,
+      selectedFabric: requestedFabric,
       fabricDetails,
       useStandardSize,
       standardSize,
@@ -106,9 +155,8 @@ exports.submitCustomOrder = async (req, res) => {
       measurementLabel,
       specialInstructions,
       rushOrder,
-      customerInfo,
-      estimatedPrice
-    } = req.body;
+      customerInfo
+    } = input;
 
     // Validation
     if (!serviceType || !['fully-custom', 'brand-article'].includes(serviceType)) {
@@ -139,7 +187,7 @@ exports.submitCustomOrder = async (req, res) => {
       });
     }
 
-    if (fabricSource === 'lc-provides' && !selectedFabric) {
+    if (fabricSource === 'lc-provides' && !requestedFabric) {
       return res.status(400).json({
         success: false,
         message: 'Fabric selection is required when LC provides fabric'
@@ -173,6 +221,22 @@ exports.submitCustomOrder = async (req, res) => {
       });
     }
 
+    // Fabric we supply is checked against stock and priced from inventory
+    let selectedFabric = requestedFabric;
+    let fabricCheck = null;
+    if (fabricSource === 'lc-provides') {
+      fabricCheck = await fabricService.checkSelection(requestedFabric);
+      if (!fabricCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          message: fabricCheck.error
+        });
+      }
+      selectedFabric = fabricCheck.selectedFabric;
+      input.selectedFabric = selectedFabric;
+    }
+    const warnings = fabricCheck?.warning ? [fabricCheck.warning] : [];
+
     // Get or create user
     let user = null;
     if (req.user) {
@@ -188,14 +252,19 @@ exports.submitCustomOrder = async (req, res) => {
     }
 
     // Calculate pricing
-    const baseStitching = 2500;
-    const fabricCost = fabricSource === 'lc-provides' && selectedFabric ? selectedFabric.price : 0;
-    const rushFee = rushOrder ? 1000 : 0;
-    const complexDesignSurcharge = serviceType === 'fully-custom' && designIdea && designIdea.length > 200 ? 500 : 0;
-    
-    const subtotal = baseStitching + fabricCost + rushFee + complexDesignSurcharge;
-    const tax = subtotal * 0.05;
-    const total = Math.round(subtotal + tax);
+    const { subtotal, tax, total } = calculateWizardPrice(input);
+
+    // Claim the draft so a double submit or retry can't create a second order
+    if (draft) {
+      claimedDraft = await draft.claimForSubmit();
+      if (!claimedDraft) {
+        return res.status(409).json({
+          success: false,
+          message: 'This draft has already been submitted'
+        });
+      }
+      draft = claimedDraft;
+    }
 
     // Generate order number
     const orderNumber = await orderService.generateOrderNumber();
@@ -229,7 +298,8 @@ exports.submitCustomOrder = async (req, res) => {
           type: selectedFabric?.type || '',
           color: selectedFabric?.color || '',
           quality: selectedFabric?.name || '',
-          metersRequired: selectedFabric?.metersIncluded || 3
+          metersRequired: selectedFabric?.metersIncluded || 3,
+          inventoryItem: fabricCheck?.fabric?._id || null
         },
         specialInstructions: specialInstructions || '',
         estimatedDays: rushOrder ? 7 : 15,
@@ -261,7 +331,8 @@ exports.submitCustomOrder = async (req, res) => {
       },
       payment: {
         method: 'pending',
-        status: 'pending'
+        status: 'pending',
+        depositPercentage: await paymentLedgerService.getDepositPercentage([orderItem])
       },
       pricing: {
         subtotal,
@@ -274,7 +345,9 @@ exports.submitCustomOrder = async (req, res) => {
       statusHistory: [{
         status: 'pending-payment',
         timestamp: new Date(),
-        note: 'Custom order received, awaiting payment confirmation'
+        note: warnings.length > 0
+          ? `Custom order received, awaiting payment confirmation. Fabric stock is low: ${selectedFabric.name}`
+          : 'Custom order received, awaiting payment confirmation'
       }],
       estimatedCompletion: new Date(Date.now() + (rushOrder ? 7 : 15) * 24 * 60 * 60 * 1000),
       priority: rushOrder ? 'high' : 'normal',
@@ -283,6 +356,16 @@ exports.submitCustomOrder = async (req, res) => {
 
     // Create order
     const order = await Order.create(orderData);
+    claimedDraft = null;
+
+    if (draft) {
+      try {
+        await draft.markConverted(order._id);
+      } catch (draftError) {
+        logger.error('Failed to mark draft as converted:', draftError);
+        // Don't fail the order if the draft update fails
+      }
+    }
 
     // Save measurements if requested
     if (saveMeasurements && user && measurementLabel) {
@@ -390,6 +473,7 @@ exports.submitCustomOrder = async (req, res) => {
       message: 'Custom order submitted successfully',
       orderId: order._id.toString(),
       orderNumber,
+      warnings,
       data: {
         order,
         trackingUrl: `${process.env.FRONTEND_URL || 'https://laraibcreative.com'}/orders/${order._id}`
@@ -398,6 +482,14 @@ exports.submitCustomOrder = async (req, res) => {
 
   } catch (error) {
     logger.error('Error submitting custom order:', error);
+
+    // No order was created, so the draft can be submitted again
+    if (claimedDraft) {
+      await claimedDraft.releaseClaim().catch(releaseError => {
+        logger.error('Failed to release draft claim:', releaseError);
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to submit custom order',
@@ -0,0 +1,608 @@
+/**
+ * Customer Photo Controller
+ * Customer gallery uploads, likes, public feeds and admin moderation
+ */
+
+const mongoose = require('mongoose');
+const CustomerPhoto = require('../models/CustomerPhoto');
+const Order = require('../models/Order');
+const { deleteMultipleImages } = require('../config/cloudinary');
+const logger = require('../utils/logger');
+
+// Internal fields never exposed on public feeds
+const PUBLIC_EXCLUDED_FIELDS = '-likedBy -moderatedBy -moderationNotes';
+
+/**
+ * Remove uploaded files from Cloudinary when a submission is rejected
+ */
+const cleanupUploads = async (files = []) => {
+  if (files.length === 0) return;
+  const publicIds = files.map(file => file.filename);
+  await deleteMultipleImages(publicIds).catch(err =>
+    logger.error('Customer photo cleanup failed:', err)
+  );
+};
+
+/**
+ * Find the delivered order that proves the purchase
+ * With an orderId the order must belong to the user and contain the product (if given);
+ * without one, the most recent delivered order containing the product is used
+ * @returns {Object|null} { order, productId }
+ */
+const findVerifiedOrder = async (userId, { orderId, productId }) => {
+  const filter = {
+    customer: userId,
+    status: 'delivered',
+    isDeleted: false
+  };
+
+  if (orderId) filter._id = orderId;
+  if (productId) filter['items.product'] = productId;
+
+  const order = await Order.findOne(filter).sort({ createdAt: -1 });
+  if (!order) return null;
+
+  // Fall back to the first catalogue product on the order
+  const resolvedProductId = productId || order.items.find(item => item.product)?.product;
+
+  return { order, productId: resolvedProductId };
+};
+
+/**
+ * Add a likedByMe flag for the current user
+ */
+const withLikeStatus = async (photos, user) => {
+  let likedIds = new Set();
+
+  if (user && photos.length > 0) {
+    const liked = await CustomerPhoto.find({
+      _id: { $in: photos.map(photo => photo._id) },
+      likedBy: user._id
+    }).distinct('_id');
+    likedIds = new Set(liked.map(id => id.toString()));
+  }
+
+  return photos.map(photo => ({
+    ...photo.toObject(),
+    likedByMe: likedIds.has(photo._id.toString())
+  }));
+};
+
+// ============================================================
+// PUBLIC FEEDS
+// ============================================================
+
+/**
+ * @desc    Get approved photos for a product page
+ * @route   GET /api/v1/customer-photos/product/:productId
+ * @access  Public
+ */
+exports.getProductPhotos = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const photos = await CustomerPhoto.getProductPhotos(req.params.productId, limit)
+      .select(PUBLIC_EXCLUDED_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: { photos: await withLikeStatus(photos, req.user) }
+    });
+  } catch (error) {
+    logger.error('Error in getProductPhotos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer photos'
+    });
+  }
+};
+
+/**
+ * @desc    Get featured photos for the homepage, topped up with recent approved photos
+ * @route   GET /api/v1/customer-photos/featured
+ * @access  Public
+ */
+exports.getFeaturedPhotos = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+
+    const photos = await CustomerPhoto.getFeaturedPhotos(limit)
+      .select(PUBLIC_EXCLUDED_FIELDS);
+
+    if (photos.length < limit) {
+      const recent = await CustomerPhoto.find({
+        moderationStatus: 'approved',
+        isPublic: true,
+        isFeatured: false
+      })
+        .select(PUBLIC_EXCLUDED_FIELDS)
+        .populate('userId', 'fullName profileImage')
+        .populate('productId', 'title slug primaryImage')
+        .sort({ likes: -1, createdAt: -1 })
+        .limit(limit - photos.length);
+
+      photos.push(...recent);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { photos: await withLikeStatus(photos, req.user) }
+    });
+  } catch (error) {
+    logger.error('Error in getFeaturedPhotos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch featured photos'
+    });
+  }
+};
+
+// ============================================================
+// CUSTOMER OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Upload photos for a delivered order (verified purchase)
+ * @route   POST /api/v1/customer-photos
+ * @access  Private (Customer)
+ */
+exports.uploadPhotos = async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const { orderId, productId, rating, comment, consent } = req.body;
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload at least one photo'
+      });
+    }
+
+    if (consent !== true && consent !== 'true') {
+      await cleanupUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Consent is required to share photos'
+      });
+    }
+
+    if (!orderId && !productId) {
+      await cleanupUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Order ID or product ID is required'
+      });
+    }
+
+    const invalidId = [orderId, productId].find(id => id && !mongoose.Types.ObjectId.isValid(id));
+    if (invalidId) {
+      await cleanupUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order or product ID'
+      });
+    }
+
+    const verified = await findVerifiedOrder(req.user._id, { orderId, productId });
+    if (!verified) {
+      await cleanupUploads(files);
+      return res.status(403).json({
+        success: false,
+        message: 'Photos can only be shared for delivered orders'
+      });
+    }
+
+    const photo = await CustomerPhoto.create({
+      userId: req.user._id,
+      orderId: verified.order._id,
+      productId: verified.productId,
+      customerName: req.user.fullName,
+      images: files.map(file => ({
+        url: file.path,
+        publicId: file.filename,
+        alt: `${req.user.fullName}'s photo`
+      })),
+      review: {
+        rating: rating ? parseInt(rating) : undefined,
+        comment,
+        verifiedPurchase: true
+      },
+      consentGiven: true,
+      consentDate: new Date()
+    });
+
+    logger.info(`Customer photo uploaded for order ${verified.order.orderNumber}`, {
+      photoId: photo._id,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo submitted successfully and is pending review',
+      data: { photo }
+    });
+  } catch (error) {
+    logger.error('Error in uploadPhotos:', error);
+    await cleanupUploads(files);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photos'
+    });
+  }
+};
+
+/**
+ * @desc    Get current user's submitted photos
+ * @route   GET /api/v1/customer-photos/mine
+ * @access  Private (Customer)
+ */
+exports.getMyPhotos = async (req, res) => {
+  try {
+    const photos = await CustomerPhoto.find({ userId: req.user._id })
+      .select('-likedBy -moderatedBy')
+      .populate('productId', 'title slug primaryImage')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { photos }
+    });
+  } catch (error) {
+    logger.error('Error in getMyPhotos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your photos'
+    });
+  }
+};
+
+/**
+ * @desc    Delete own photo
+ * @route   DELETE /api/v1/customer-photos/:id
+ * @access  Private (Customer)
+ */
+exports.deleteMyPhoto = async (req, res) => {
+  try {
+    const photo = await CustomerPhoto.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    const publicIds = photo.images.map(image => image.publicId).filter(Boolean);
+    if (publicIds.length > 0) {
+      await deleteMultipleImages(publicIds).catch(err =>
+        logger.error('Customer photo cleanup failed:', err)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Photo deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error in deleteMyPhoto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete photo'
+    });
+  }
+};
+
+/**
+ * @desc    Like a photo (once per user)
+ * @route   POST /api/v1/customer-photos/:id/like
+ * @access  Private
+ */
+exports.likePhoto = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid photo ID'
+      });
+    }
+
+    let photo = await CustomerPhoto.addLike(req.params.id, req.user._id);
+
+    if (!photo) {
+      // Either already liked or not a likeable photo
+      photo = await CustomerPhoto.findOne({ _id: req.params.id, moderationStatus: 'approved' });
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Photo not found'
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { likes: photo.likes, likedByMe: true }
+    });
+  } catch (error) {
+    logger.error('Error in likePhoto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to like photo'
+    });
+  }
+};
+
+/**
+ * @desc    Remove like from a photo
+ * @route   DELETE /api/v1/customer-photos/:id/like
+ * @access  Private
+ */
+exports.unlikePhoto = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid photo ID'
+      });
+    }
+
+    let photo = await CustomerPhoto.removeLike(req.params.id, req.user._id);
+
+    if (!photo) {
+      photo = await CustomerPhoto.findById(req.params.id);
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Photo not found'
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { likes: photo.likes, likedByMe: false }
+    });
+  } catch (error) {
+    logger.error('Error in unlikePhoto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlike photo'
+    });
+  }
+};
+
+// ============================================================
+// ADMIN MODERATION
+// ============================================================
+
+/**
+ * @desc    Get moderation queue
+ * @route   GET /api/v1/customer-photos/admin/queue
+ * @access  Private (Admin)
+ */
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = 'pending',
+      productId,
+      featured
+    } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.moderationStatus = status;
+    if (productId) filter.productId = productId;
+    if (featured !== undefined) filter.isFeatured = featured === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [photos, total, counts] = await Promise.all([
+      CustomerPhoto.find(filter)
+        .select('-likedBy')
+        .populate('userId', 'fullName email')
+        .populate('orderId', 'orderNumber status')
+        .populate('productId', 'title slug')
+        .populate('moderatedBy', 'fullName')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CustomerPhoto.countDocuments(filter),
+      CustomerPhoto.aggregate([
+        { $group: { _id: '$moderationStatus', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const summary = { pending: 0, approved: 0, rejected: 0 };
+    counts.forEach(({ _id, count }) => { summary[_id] = count; });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        photos,
+        summary,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getModerationQueue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation queue'
+    });
+  }
+};
+
+/**
+ * @desc    Approve or reject a single photo
+ * @route   PUT /api/v1/customer-photos/admin/:id/moderate
+ * @access  Private (Admin)
+ */
+exports.moderatePhoto = async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be approved or rejected'
+      });
+    }
+
+    const photo = await CustomerPhoto.findById(req.params.id);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    if (status === 'approved') {
+      await photo.approve(req.user._id, notes);
+    } else {
+      await photo.reject(req.user._id, notes);
+    }
+
+    logger.info(`Customer photo ${status}`, {
+      photoId: photo._id,
+      moderatedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Photo ${status} successfully`,
+      data: { photo }
+    });
+  } catch (error) {
+    logger.error('Error in moderatePhoto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate photo'
+    });
+  }
+};
+
+/**
+ * @desc    Bulk approve or reject photos
+ * @route   POST /api/v1/customer-photos/admin/bulk-moderate
+ * @access  Private (Admin)
+ */
+exports.bulkModerate = async (req, res) => {
+  try {
+    const { photoIds, status, notes } = req.body;
+
+    if (!Array.isArray(photoIds) || photoIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photo IDs array is required'
+      });
+    }
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be approved or rejected'
+      });
+    }
+
+    const update = {
+      moderationStatus: status,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date()
+    };
+    if (notes) update.moderationNotes = notes;
+    if (status === 'rejected') update.isFeatured = false;
+
+    const result = await CustomerPhoto.updateMany(
+      { _id: { $in: photoIds }, moderationStatus: { $ne: status } },
+      { $set: update }
+    );
+
+    logger.info(`Bulk ${status} ${result.modifiedCount} customer photos`, {
+      moderatedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} photos ${status} successfully`,
+      data: {
+        total: photoIds.length,
+        successful: result.modifiedCount,
+        skipped: photoIds.length - result.modifiedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Error in bulkModerate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate photos'
+    });
+  }
+};
+
+/**
+ * @desc    Toggle featured flag on an approved photo
+ * @route   PUT /api/v1/customer-photos/admin/:id/featured
+ * @access  Private (Admin)
+ */
+exports.toggleFeatured = async (req, res) => {
+  try {
+    const photo = await CustomerPhoto.findById(req.params.id);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    if (photo.moderationStatus !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved photos can be featured'
+      });
+    }
+
+    photo.isFeatured = !photo.isFeatured;
+    await photo.save();
+
+    res.status(200).json({
+      success: true,
+      message: photo.isFeatured ? 'Photo featured' : 'Photo unfeatured',
+      data: { photo }
+    });
+  } catch (error) {
+    logger.error('Error in toggleFeatured:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update featured status'
+    });
+  }
+};
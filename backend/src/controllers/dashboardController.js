@@ -266,9 +266,9 @@ async function getDashboardStats(dateRange) {
     const status = item._id;
     orderStatusCounts.total += item.count;
     if (status === 'pending-payment') orderStatusCounts.pending = item.count;
-    else if (['payment-verified', 'fabric-arranged', 'stitching-in-progress', 'quality-check'].includes(status)) {
+    else if (['payment-verified', 'material-arranged', 'in-progress', 'quality-check'].includes(status)) {
       orderStatusCounts.inProgress += item.count;
-    } else if (['ready-for-dispatch', 'dispatched', 'delivered'].includes(status)) {
+    } else if (['ready-dispatch', 'dispatched', 'delivered'].includes(status)) {
       orderStatusCounts.completed += item.count;
     } else if (status === 'cancelled') {
       orderStatusCounts.cancelled = item.count;
@@ -0,0 +1,279 @@
+/**
+ * Draft Order Controller
+ * Autosave and resume for the custom order wizard
+ *
+ * Drafts are addressed by their resume token so guests can continue
+ * from a WhatsApp/email link without logging in
+ *
+ * @module controllers/draftOrderController
+ */
+
+const DraftOrder = require('../models/DraftOrder');
+const draftOrderService = require('../services/draftOrderService');
+const logger = require('../utils/logger');
+
+/**
+ * Shape a draft for the wizard
+ */
+const formatDraft = (draft) => ({
+  _id: draft._id,
+  name: draft.name,
+  status: draft.status,
+  currentStep: draft.currentStep,
+  formData: draft.formData || {},
+  priceBreakdown: draft.priceBreakdown,
+  resumeToken: draft.resumeToken,
+  resumeTokenExpires: draft.resumeTokenExpires,
+  lastSavedAt: draft.lastSavedAt,
+  createdAt: draft.createdAt
+});
+
+/**
+ * Create a draft from the first autosave
+ * @route POST /api/v1/orders/custom/drafts
+ * @access Public (or Private if user is logged in)
+ */
+exports.createDraft = async (req, res) => {
+  try {
+    const { step, data, name } = req.body;
+
+    const draft = await draftOrderService.createDraft({
+      user: req.user,
+      name,
+      step,
+      data
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft saved',
+      data: {
+        draft: formatDraft(draft),
+        resumeUrl: draftOrderService.buildResumeUrl(draft)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in createDraft:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save draft'
+    });
+  }
+};
+
+/**
+ * Get current user's open drafts
+ * @route GET /api/v1/orders/custom/drafts
+ * @access Private
+ */
+exports.getMyDrafts = async (req, res) => {
+  try {
+    const drafts = await DraftOrder.getUserDrafts(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        drafts: drafts.map(draft => ({
+          ...formatDraft(draft),
+          resumeUrl: draftOrderService.buildResumeUrl(draft)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getMyDrafts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch drafts'
+    });
+  }
+};
+
+/**
+ * Resume a draft from its token
+ * @route GET /api/v1/orders/custom/drafts/:token
+ * @access Public (token holder)
+ */
+exports.resumeDraft = async (req, res) => {
+  try {
+    const draft = await DraftOrder.findByToken(req.params.token);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found or link has expired'
+      });
+    }
+
+    // A guest draft opened by a logged-in customer becomes theirs
+    if (req.user && !draft.userId) {
+      draft.userId = req.user._id;
+      await draft.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        draft: formatDraft(draft),
+        resumeUrl: draftOrderService.buildResumeUrl(draft)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in resumeDraft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load draft'
+    });
+  }
+};
+
+/**
+ * Autosave a wizard step
+ * @route PUT /api/v1/orders/custom/drafts/:token
+ * @access Public (token holder)
+ */
+exports.saveDraftStep = async (req, res) => {
+  try {
+    const { step, data } = req.body;
+
+    if (!step || !data || typeof data !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Step number and data are required'
+      });
+    }
+
+    const draft = await DraftOrder.findByToken(req.params.token);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found or link has expired'
+      });
+    }
+
+    await draftOrderService.saveStep(draft, step, data);
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft saved',
+      data: {
+        draft: formatDraft(draft)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in saveDraftStep:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save draft'
+    });
+  }
+};
+
+/**
+ * Email/WhatsApp the resume link to the customer
+ * @route POST /api/v1/orders/custom/drafts/:token/send-link
+ * @access Public (token holder)
+ */
+exports.sendResumeLink = async (req, res) => {
+  try {
+    const draft = await DraftOrder.findByToken(req.params.token);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found or link has expired'
+      });
+    }
+
+    const { email, phone, whatsapp } = req.body;
+    if (email || phone || whatsapp) {
+      draft.contact = {
+        ...(draft.contact?.toObject?.() || {}),
+        ...(email && { email }),
+        ...(phone && { phone }),
+        ...(whatsapp && { whatsapp })
+      };
+      await draft.save();
+    }
+
+    if (!draft.contact?.email && !draft.contact?.phone && !draft.contact?.whatsapp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone number is required to send the link'
+      });
+    }
+
+    const sent = await draftOrderService.sendResumeLink(draft);
+
+    if (!sent.email && !sent.whatsapp) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send resume link'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Resume link sent',
+      data: { sent }
+    });
+  } catch (error) {
+    logger.error('Error in sendResumeLink:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send resume link'
+    });
+  }
+};
+
+/**
+ * Discard a draft
+ * @route DELETE /api/v1/orders/custom/drafts/:token
+ * @access Public (token holder)
+ */
+exports.deleteDraft = async (req, res) => {
+  try {
+    const draft = await DraftOrder.findOneAndDelete({
+      resumeToken: req.params.token,
+      status: { $nin: ['converting', 'converted'] }
+    });
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft deleted'
+    });
+  } catch (error) {
+    logger.error('Error in deleteDraft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete draft'
+    });
+  }
+};
@@ -0,0 +1,542 @@
+/**
+ * Festive Collection Controller
+ * Admin scheduling of Eid/wedding-season collections and public homepage feed
+ */
+
+const FestiveCollection = require('../models/FestiveCollection');
+const festiveCollectionService = require('../services/festiveCollectionService');
+const logger = require('../utils/logger');
+
+// Product fields needed to render collection cards
+const PRODUCT_CARD_FIELDS = 'title slug primaryImage pricing occasion availability isActive';
+
+const EDITABLE_FIELDS = ['name', 'type', 'publishDate', 'unpublishDate', 'description', 'bannerImage', 'seo', 'emailCampaign', 'socialMedia'];
+
+/**
+ * Pick editable fields from request body
+ */
+const pickCollectionFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  // sentAt is set by the campaign job only
+  if (data.emailCampaign) delete data.emailCampaign.sentAt;
+  return data;
+};
+
+/**
+ * Send a 400 for mongoose validation errors
+ * @returns {boolean} true if the error was handled
+ */
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+    return true;
+  }
+  return false;
+};
+
+// ============================================================
+// ADMIN OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Get all festive collections
+ * @route   GET /api/v1/admin/collections
+ * @access  Private (Admin)
+ */
+exports.getAllCollections = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, type } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [collections, total] = await Promise.all([
+      FestiveCollection.find(filter)
+        .sort({ publishDate: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      FestiveCollection.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        collections,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getAllCollections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collections'
+    });
+  }
+};
+
+/**
+ * @desc    Get single festive collection
+ * @route   GET /api/v1/admin/collections/:id
+ * @access  Private (Admin)
+ */
+exports.getCollectionById = async (req, res) => {
+  try {
+    const collection = await FestiveCollection.findById(req.params.id)
+      .populate('products', PRODUCT_CARD_FIELDS);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { collection }
+    });
+  } catch (error) {
+    logger.error('Error in getCollectionById:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collection'
+    });
+  }
+};
+
+/**
+ * @desc    Create festive collection from a product list
+ * @route   POST /api/v1/admin/collections
+ * @access  Private (Admin)
+ */
+exports.createCollection = async (req, res) => {
+  try {
+    const data = pickCollectionFields(req.body);
+
+    if (data.publishDate && data.unpublishDate && new Date(data.unpublishDate) <= new Date(data.publishDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unpublish date must be after publish date'
+      });
+    }
+
+    const { valid, invalid } = await festiveCollectionService.resolveProducts(req.body.products || []);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some products do not exist or are inactive',
+        invalidProducts: invalid
+      });
+    }
+
+    // Pre-save hook moves the draft to scheduled/published based on dates
+    const collection = await FestiveCollection.create({
+      ...data,
+      products: valid,
+      status: 'draft'
+    });
+
+    if (collection.status === 'published') {
+      await festiveCollectionService.invalidateCaches();
+    }
+
+    logger.info(`Festive collection created: ${collection.name}`, {
+      collectionId: collection._id,
+      status: collection.status,
+      createdBy: req.user.email
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    logger.error('Error in createCollection:', error);
+    if (handleValidationError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create collection'
+    });
+  }
+};
+
+/**
+ * @desc    Update festive collection
+ * @route   PUT /api/v1/admin/collections/:id
+ * @access  Private (Admin)
+ */
+exports.updateCollection = async (req, res) => {
+  try {
+    const collection = await FestiveCollection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const previousStatus = collection.status;
+    collection.set(pickCollectionFields(req.body));
+
+    if (collection.unpublishDate <= collection.publishDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unpublish date must be after publish date'
+      });
+    }
+
+    if (req.body.products) {
+      const { valid, invalid } = await festiveCollectionService.resolveProducts(req.body.products);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some products do not exist or are inactive',
+          invalidProducts: invalid
+        });
+      }
+      collection.products = valid;
+    }
+
+    // Re-schedule unpublished collections whose dates were moved forward
+    const datesChanged = collection.isModified('publishDate') || collection.isModified('unpublishDate');
+    if (datesChanged && collection.status === 'unpublished' && collection.unpublishDate > new Date()) {
+      collection.status = 'scheduled';
+    }
+
+    await collection.save();
+
+    if (previousStatus === 'published' || collection.status === 'published') {
+      await festiveCollectionService.invalidateCaches();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    logger.error('Error in updateCollection:', error);
+    if (handleValidationError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update collection'
+    });
+  }
+};
+
+/**
+ * @desc    Add products to a collection
+ * @route   POST /api/v1/admin/collections/:id/products
+ * @access  Private (Admin)
+ */
+exports.addProducts = async (req, res) => {
+  try {
+    const { productIds } = req.body;
+
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product IDs array is required'
+      });
+    }
+
+    const { valid, invalid } = await festiveCollectionService.resolveProducts(productIds);
+
+    const collection = await FestiveCollection.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { products: { $each: valid } } },
+      { new: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.status === 'published') {
+      await festiveCollectionService.invalidateCaches();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Added ${valid.length} products`,
+      data: { collection, invalidProducts: invalid }
+    });
+  } catch (error) {
+    logger.error('Error in addProducts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add products'
+    });
+  }
+};
+
+/**
+ * @desc    Remove products from a collection
+ * @route   DELETE /api/v1/admin/collections/:id/products
+ * @access  Private (Admin)
+ */
+exports.removeProducts = async (req, res) => {
+  try {
+    const { productIds } = req.body;
+
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product IDs array is required'
+      });
+    }
+
+    const collection = await FestiveCollection.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { products: { $in: productIds } } },
+      { new: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.status === 'published') {
+      await festiveCollectionService.invalidateCaches();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Products removed successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    logger.error('Error in removeProducts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove products'
+    });
+  }
+};
+
+/**
+ * @desc    Publish a collection immediately
+ * @route   POST /api/v1/admin/collections/:id/publish
+ * @access  Private (Admin)
+ */
+exports.publishNow = async (req, res) => {
+  try {
+    const collection = await FestiveCollection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const now = new Date();
+    if (collection.unpublishDate <= now) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection has already passed its unpublish date'
+      });
+    }
+
+    if (collection.publishDate > now) {
+      collection.publishDate = now;
+    }
+    collection.status = 'published';
+    await collection.save();
+
+    await festiveCollectionService.invalidateCaches();
+
+    // Fire the campaign now rather than waiting for the next job run
+    festiveCollectionService.sendCampaign(collection).catch(error => {
+      logger.error(`Festive campaign failed for ${collection.name}:`, error);
+    });
+
+    logger.info(`Festive collection published manually: ${collection.name}`, {
+      collectionId: collection._id,
+      publishedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection published successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    logger.error('Error in publishNow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish collection'
+    });
+  }
+};
+
+/**
+ * @desc    Unpublish a collection immediately
+ * @route   POST /api/v1/admin/collections/:id/unpublish
+ * @access  Private (Admin)
+ */
+exports.unpublishNow = async (req, res) => {
+  try {
+    const collection = await FestiveCollection.findById(req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    collection.status = 'unpublished';
+    await collection.save();
+
+    await festiveCollectionService.invalidateCaches();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection unpublished successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    logger.error('Error in unpublishNow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unpublish collection'
+    });
+  }
+};
+
+/**
+ * @desc    Archive a collection
+ * @route   DELETE /api/v1/admin/collections/:id
+ * @access  Private (Admin)
+ */
+exports.archiveCollection = async (req, res) => {
+  try {
+    const collection = await FestiveCollection.findByIdAndUpdate(
+      req.params.id,
+      { status: 'archived' },
+      { new: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    await festiveCollectionService.invalidateCaches();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection archived successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    logger.error('Error in archiveCollection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive collection'
+    });
+  }
+};
+
+// ============================================================
+// PUBLIC OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Get the active festive collection(s) for the homepage
+ * @route   GET /api/v1/collections/active
+ * @access  Public
+ */
+exports.getActiveCollections = async (req, res) => {
+  try {
+    const collections = await FestiveCollection.getActive()
+      .select('-emailCampaign -socialMedia')
+      .populate({
+        path: 'products',
+        select: PRODUCT_CARD_FIELDS,
+        match: { isActive: true }
+      })
+      .sort({ publishDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        collection: collections[0] || null,
+        collections
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getActiveCollections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch active collections'
+    });
+  }
+};
+
+/**
+ * @desc    Get a published festive collection
+ * @route   GET /api/v1/collections/:id
+ * @access  Public
+ */
+exports.getPublishedCollection = async (req, res) => {
+  try {
+    const collection = await FestiveCollection.findOne({
+      _id: req.params.id,
+      status: 'published'
+    })
+      .select('-emailCampaign -socialMedia')
+      .populate({
+        path: 'products',
+        select: PRODUCT_CARD_FIELDS,
+        match: { isActive: true }
+      });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { collection }
+    });
+  } catch (error) {
+    logger.error('Error in getPublishedCollection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collection'
+    });
+  }
+};
@@ -0,0 +1,376 @@
+/**
+ * Inventory Controller
+ * Stock movement history, manual adjustments and checkout reservations
+ *
+ * @module controllers/inventoryController
+ */
+
+const mongoose = require('mongoose');
+const StockReservation = require('../models/StockReservation');
+const Accessory = require('../models/Accessory');
+const inventoryService = require('../services/inventoryService');
+const { stockAdjustmentSchema, accessorySchema } = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @desc    Stock movement history, newest first
+ * @route   GET /api/v1/admin/inventory/movements
+ * @query   itemType, product, variant, fabric, accessory, type (comma separated), order, purchaseOrder, from, to, page, limit
+ * @access  Private (Admin)
+ */
+exports.getMovements = async (req, res) => {
+  try {
+    const invalidId = ['product', 'variant', 'fabric', 'accessory', 'order', 'purchaseOrder']
+      .find(key => req.query[key] && !mongoose.Types.ObjectId.isValid(req.query[key]));
+
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidId} ID`
+      });
+    }
+
+    const result = await inventoryService.getHistory(req.query);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error in getMovements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock history'
+    });
+  }
+};
+
+/**
+ * @desc    Record a stock adjustment, purchase receipt or fabric consumption
+ * @route   POST /api/v1/admin/inventory/adjustments
+ * @access  Private (Admin)
+ */
+exports.adjustStock = async (req, res) => {
+  try {
+    const { error, value } = stockAdjustmentSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await inventoryService.adjustStock(value, req.user);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    logger.info(`Stock adjusted by ${req.user.email}: ${result.movement.itemName} ${result.movement.quantity > 0 ? '+' : ''}${result.movement.quantity}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Stock updated to ${result.movement.balanceAfter}`,
+      data: { movement: result.movement }
+    });
+  } catch (error) {
+    logger.error('Error in adjustStock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust stock'
+    });
+  }
+};
+
+/**
+ * @desc    A product's stock on hand, reserved and available, with active reservations
+ * @route   GET /api/v1/admin/inventory/products/:id
+ * @access  Private (Admin)
+ */
+exports.getProductStock = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const stock = await inventoryService.getProductStock(req.params.id);
+
+    if (!stock) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stock
+    });
+  } catch (error) {
+    logger.error('Error in getProductStock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product stock'
+    });
+  }
+};
+
+/**
+ * @desc    Stock reservations held by orders (active by default)
+ * @route   GET /api/v1/admin/inventory/reservations
+ * @query   status, page, limit
+ * @access  Private (Admin)
+ */
+exports.getReservations = async (req, res) => {
+  try {
+    const status = req.query.status || 'active';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const filter = status === 'all' ? {} : { status };
+
+    const [reservations, total] = await Promise.all([
+      StockReservation.find(filter)
+        .populate('items.product', 'title slug')
+        .sort(status === 'active' ? { expiresAt: 1 } : { updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      StockReservation.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reservations,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getReservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock reservations'
+    });
+  }
+};
+
+/**
+ * @desc    Release an order's reservation now, returning its stock to sale
+ * @route   POST /api/v1/admin/inventory/reservations/:id/release
+ * @access  Private (Admin)
+ */
+exports.releaseReservation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reservation ID'
+      });
+    }
+
+    const reservation = await StockReservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    const released = await inventoryService.releaseOrder(
+      { _id: reservation.order },
+      { reason: `Released by ${req.user.email}` }
+    );
+
+    if (!released) {
+      return res.status(400).json({
+        success: false,
+        message: `Reservation is already ${reservation.status}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Stock held for order ${reservation.orderNumber} released`
+    });
+  } catch (error) {
+    logger.error('Error in releaseReservation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release reservation'
+    });
+  }
+};
+
+/**
+ * @desc    Accessories stock (laces, buttons, borders...)
+ * @route   GET /api/v1/admin/inventory/accessories
+ * @query   category, status, supplier, search, lowStock
+ * @access  Private (Admin)
+ */
+exports.getAccessories = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.supplier && mongoose.Types.ObjectId.isValid(req.query.supplier)) {
+      filter.preferredSupplier = req.query.supplier;
+    }
+    if (req.query.lowStock === 'true') filter.status = { $in: ['low-stock', 'out-of-stock'] };
+    if (req.query.search) {
+      const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { sku: pattern }, { color: pattern }];
+    }
+
+    const accessories = await Accessory.find(filter)
+      .populate('preferredSupplier', 'name')
+      .sort({ category: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accessories,
+        categories: Accessory.CATEGORIES
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getAccessories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch accessories'
+    });
+  }
+};
+
+/**
+ * @desc    Add an accessory; opening stock starts its ledger
+ * @route   POST /api/v1/admin/inventory/accessories
+ * @access  Private (Admin)
+ */
+exports.createAccessory = async (req, res) => {
+  try {
+    const { error, value } = accessorySchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const openingStock = value.stock?.quantity || 0;
+    let accessory = await Accessory.create({
+      ...value,
+      sku: value.sku || undefined,
+      stock: { ...value.stock, quantity: 0 }
+    });
+
+    if (openingStock > 0) {
+      await inventoryService.adjustStock({
+        itemType: 'accessory',
+        accessory: accessory._id,
+        quantity: openingStock,
+        note: 'Opening stock'
+      }, req.user);
+      accessory = await Accessory.findById(accessory._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Accessory added',
+      data: accessory
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An accessory with this SKU already exists'
+      });
+    }
+    logger.error('Error in createAccessory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add accessory'
+    });
+  }
+};
+
+/**
+ * @desc    Update an accessory's details (stock changes go through adjustments)
+ * @route   PUT /api/v1/admin/inventory/accessories/:id
+ * @access  Private (Admin)
+ */
+exports.updateAccessory = async (req, res) => {
+  try {
+    const { error, value } = accessorySchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid accessory ID'
+      });
+    }
+
+    const accessory = await Accessory.findById(req.params.id);
+
+    if (!accessory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Accessory not found'
+      });
+    }
+
+    const { stock = {}, ...details } = value;
+    delete stock.quantity;
+    if ('sku' in details) details.sku = details.sku || undefined;
+
+    accessory.set(details);
+    Object.entries(stock).forEach(([key, setting]) => accessory.set(`stock.${key}`, setting));
+    await accessory.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Accessory updated',
+      data: accessory
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An accessory with this SKU already exists'
+      });
+    }
+    logger.error('Error in updateAccessory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update accessory'
+    });
+  }
+};
@@ -0,0 +1,135 @@
+/**
+ * Job Controller
+ * Admin view of background jobs: schedule, run history and manual triggers
+ */
+
+const JobRun = require('../models/JobRun');
+const scheduler = require('../jobs');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    List registered jobs with next run and last result
+ * @route   GET /api/v1/admin/jobs
+ * @access  Admin
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await scheduler.listJobs();
+
+    res.status(200).json({
+      success: true,
+      data: { jobs }
+    });
+  } catch (error) {
+    logger.error('Error in getJobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch jobs'
+    });
+  }
+};
+
+/**
+ * @desc    Get run history for a job
+ * @route   GET /api/v1/admin/jobs/:name/runs
+ * @access  Admin
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!scheduler.getJob(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = { jobName: name };
+    if (status) query.status = status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .populate('triggeredBy', 'fullName email')
+        .sort({ startedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getJobRuns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job runs'
+    });
+  }
+};
+
+/**
+ * @desc    Run a job now
+ * @route   POST /api/v1/admin/jobs/:name/run
+ * @access  Admin
+ */
+exports.triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!scheduler.getJob(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const outcome = await scheduler.runJob(name, {
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    if (outcome.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        message: outcome.reason
+      });
+    }
+
+    if (outcome.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: `Job failed: ${outcome.run.error?.message || 'Unknown error'}`,
+        data: { run: outcome.run }
+      });
+    }
+
+    logger.info(`Job ${name} run manually by ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job completed',
+      data: { run: outcome.run }
+    });
+  } catch (error) {
+    logger.error('Error in triggerJob:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job'
+    });
+  }
+};
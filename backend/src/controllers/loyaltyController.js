@@ -1,6 +1,8 @@
 const LoyaltyAccount = require('../models/LoyaltyPoints');
 const Order = require('../models/Order');
 const { AppError } = require('../utils/AppError');
+const loyaltyService = require('../services/loyaltyService');
+const { loyaltyShareSchema } = require('../utils/validationSchemas');
 const logger = require('../utils/logger');
 
 /**
@@ -86,51 +88,64 @@ exports.getTransactions = async (req, res) => {
 };
 
 /**
- * Redeem points
+ * Earning rules, tiers and redemption limits, for the storefront
+ * Points are spent at checkout (loyaltyPoints on the order)
  */
-exports.redeemPoints = async (req, res) => {
+exports.getRules = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { points } = req.body;
+    const rules = await loyaltyService.getRules();
+
+    res.status(200).json({
+      success: true,
+      data: rules.enabled ? rules : { enabled: false }
+    });
+  } catch (error) {
+    logger.error('Error fetching loyalty rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loyalty rules'
+    });
+  }
+};
 
-    if (!points || points < 1) {
+/**
+ * Points for sharing on social media (capped per day)
+ */
+exports.shareReward = async (req, res) => {
+  try {
+    const { error, value } = loyaltyShareSchema.validate(req.body, { abortEarly: false });
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Points amount is required and must be at least 1'
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
       });
     }
 
-    const account = await LoyaltyAccount.getOrCreate(userId);
-
-    if (account.currentBalance < points) {
+    const result = await loyaltyService.recordShare(req.user._id, value);
+    if (!result.valid) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient points balance'
+        message: result.error
       });
     }
 
-    await account.redeemPoints(points);
-
     res.status(200).json({
       success: true,
-      message: `${points} points redeemed successfully`,
-      data: {
-        account,
-        redeemedPoints: points,
-        redeemedValue: points * account.conversionRate
-      }
+      message: `${result.points} points earned for sharing`,
+      data: { account: result.account, points: result.points }
     });
   } catch (error) {
-    logger.error('Error redeeming points:', error);
+    logger.error('Error rewarding share:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to redeem points'
+      message: 'Failed to record share'
     });
   }
 };
 
 /**
- * Award points (internal use - called after order completion)
+ * Award points (admin adjustments, e.g. goodwill gestures)
  */
 exports.awardPoints = async (req, res) => {
   try {
@@ -143,8 +158,13 @@ exports.awardPoints = async (req, res) => {
       });
     }
 
-    const account = await LoyaltyAccount.getOrCreate(userId);
-    await account.addPoints(points, source, orderId);
+    const account = await loyaltyService.award(userId, points, source, { orderId });
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Loyalty points are not available right now'
+      });
+    }
 
     res.status(200).json({
       success: true,
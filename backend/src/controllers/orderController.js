@@ -5,8 +5,18 @@ const Order = require('../models/Order');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const logger = require('../utils/logger');
-const notificationService = require('../utils/notificationService');
-const { validateStatusUpdate } = require('../utils/orderStatusValidation');
+const notificationService = require('../services/notificationService');
+const orderService = require('../services/orderService');
+const pricingService = require('../services/pricingService');
+const promoCodeService = require('../services/promoCodeService');
+const loyaltyService = require('../services/loyaltyService');
+const paymentLedgerService = require('../services/paymentLedgerService');
+const paymentCheckoutService = require('../services/paymentCheckoutService');
+const walletService = require('../services/walletService');
+const orderStatusService = require('../services/orderStatusService');
+const shippingService = require('../services/shippingService');
+const currencyService = require('../services/currencyService');
+const { STATES, ORDER_STATUSES } = require('../config/orderStatusMachine');
 const { generateInvoicePDF } = require('../utils/pdfGenerator');
 const { 
   createOrderSchema, 
@@ -14,6 +24,9 @@ const {
   verifyPaymentSchema 
 } = require('../utils/validationSchemas');
 
+// Where an admin refund goes: back to the original payment method or to store credit
+const REFUND_DESTINATIONS = ['original', 'wallet'];
+
 /**
  * Create a new order
  * @route POST /api/orders
@@ -37,7 +50,11 @@ exports.createOrder = async (req, res) => {
       shippingAddress,
       payment,
       customerInfo,
-      specialInstructions
+      specialInstructions,
+      shippingRate,
+      promoCode,
+      loyaltyPoints,
+      currency
     } = value;
 
     // 2. Business Logic Validation (that Joi can't handle easily)
@@ -46,8 +63,58 @@ exports.createOrder = async (req, res) => {
     // Note: Joi checks structure, here we check business rules if needed.
     
     // Calculate pricing and validate items availability
-    const orderItems = await orderService.validateAndProcessItems(items);
-    const pricing = orderService.calculateOrderPricing(orderItems, shippingAddress.city);
+    let orderItems;
+    try {
+      orderItems = await orderService.validateAndProcessItems(items);
+    } catch (itemError) {
+      return res.status(400).json({
+        success: false,
+        message: itemError.message
+      });
+    }
+
+    const shippingQuote = await shippingService.getQuote({
+      address: shippingAddress,
+      items: orderItems,
+      rateId: shippingRate,
+      promoCode,
+      user: req.user
+    });
+
+    if (!shippingQuote.available) {
+      return res.status(400).json({
+        success: false,
+        message: shippingQuote.error
+      });
+    }
+
+    // Same pipeline as the cart and checkout, so the discount shown is the discount charged
+    const quote = await pricingService.quote({
+      items: orderItems,
+      promoCode,
+      user: req.user,
+      shippingCharges: shippingQuote.cost,
+      loyaltyPoints
+    });
+
+    if (quote.error || quote.loyaltyError) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error || quote.loyaltyError
+      });
+    }
+
+    const { pricing } = quote;
+
+    // Lock today's rate for the customer's currency; amounts are charged in PKR
+    const exchangeRate = await currencyService.getRate(currency);
+
+    if (!exchangeRate) {
+      return res.status(400).json({
+        success: false,
+        message: `Prices are not available in ${currency}`
+      });
+    }
 
     // Validate and secure receipt uploads
     if (payment.receiptImage) {
@@ -77,11 +144,38 @@ exports.createOrder = async (req, res) => {
       }
     }
 
-    // For COD, validate advance payment amount
+    // Store credit: pays the whole order with method 'wallet', or part of it alongside another method
+    const walletAmount = payment.method === 'wallet' ? pricing.total : payment.walletAmount;
+
+    if (walletAmount > 0) {
+      if (!req.user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please log in to use store credit'
+        });
+      }
+
+      if (walletAmount > pricing.total) {
+        return res.status(400).json({
+          success: false,
+          message: 'Store credit cannot exceed the order total'
+        });
+      }
+
+      const wallet = await walletService.getWallet(req.user._id);
+      if (wallet.balance < walletAmount) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient store credit (PKR ${wallet.balance.toLocaleString()} available)`
+        });
+      }
+    }
+
+    // For COD, validate advance payment amount (store credit counts towards it)
     if (payment.method === 'cod') {
-      const requiredAdvance = pricing.total * 0.5;
+      const requiredAdvance = pricing.total * 0.5 - walletAmount;
       // Allow a small margin of error (e.g. 1 rupee)
-      if (!payment.advanceAmount || payment.advanceAmount < (requiredAdvance - 1)) {
+      if (requiredAdvance > 1 && (!payment.advanceAmount || payment.advanceAmount < (requiredAdvance - 1))) {
         return res.status(400).json({
           success: false,
           message: `COD requires 50% advance payment (PKR ${requiredAdvance.toFixed(2)})`
@@ -92,6 +186,8 @@ exports.createOrder = async (req, res) => {
     // Generate unique order number
     const orderNumber = await orderService.generateOrderNumber();
 
+    const depositPercentage = await paymentLedgerService.getDepositPercentage(orderItems);
+
     // Prepare order data
     const orderData = {
       orderNumber,
@@ -117,9 +213,27 @@ exports.createOrder = async (req, res) => {
         transactionId: payment.transactionId || null,
         transactionDate: payment.transactionDate || new Date(),
         advanceAmount: payment.method === 'cod' ? payment.advanceAmount : null,
-        remainingAmount: payment.method === 'cod' ? (pricing.total - payment.advanceAmount) : null
+        remainingAmount: payment.method === 'cod' ? (pricing.total - payment.advanceAmount) : null,
+        depositPercentage
       },
       pricing,
+      displayCurrency: {
+        code: exchangeRate.currency,
+        symbol: exchangeRate.symbol,
+        decimals: exchangeRate.decimals,
+        rate: exchangeRate.rate,
+        lockedAt: new Date()
+      },
+      shippingMethod: {
+        zone: shippingQuote.zone._id || undefined,
+        zoneName: shippingQuote.zone.name,
+        rateId: shippingQuote.selected.rateId,
+        courier: shippingQuote.selected.courier || undefined,
+        label: shippingQuote.selected.label,
+        weight: shippingQuote.parcel.weight,
+        freeShippingReason: shippingQuote.selected.freeShippingReason
+          || (pricing.loyalty.freeShipping && shippingQuote.cost > 0 ? `Loyalty ${pricing.loyalty.tier} tier` : undefined)
+      },
       status: 'pending-payment',
       statusHistory: [{
         status: 'pending-payment',
@@ -155,8 +269,87 @@ exports.createOrder = async (req, res) => {
       orderData.customer = user._id;
     }
 
+    // The promo code, points and store credit are claimed against the order
+    // before it is saved; this gives them back if it can't be placed
+    orderData._id = new mongoose.Types.ObjectId();
+    const releaseClaims = async () => {
+      if (pricing.discountCode) {
+        await promoCodeService.release(orderData._id, 'Order could not be placed');
+      }
+      if (pricing.loyalty.pointsRedeemed > 0) {
+        await loyaltyService.reverseForOrder(orderData, 'Order could not be placed');
+      }
+    };
+
+    // Claim the promo code use before anything else is taken, so the last use
+    // of a code (or of a customer's allowance) can't go to two orders at once
+    if (pricing.discountCode) {
+      const redemption = await promoCodeService.redeem({
+        code: pricing.discountCode,
+        userId: orderData.customer,
+        order: orderData
+      });
+
+      if (!redemption.valid) {
+        return res.status(400).json({
+          success: false,
+          message: redemption.error
+        });
+      }
+    }
+
+    if (pricing.loyalty.pointsRedeemed > 0) {
+      const redeemed = await loyaltyService.redeemForOrder(orderData.customer, orderData, pricing.loyalty.pointsRedeemed);
+
+      if (!redeemed) {
+        await releaseClaims();
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient points balance'
+        });
+      }
+    }
+
+    // Take the store credit first so it can't be spent twice; put it back if the order fails
+    if (walletAmount > 0) {
+      const walletInstallment = await walletService.debitForOrder(req.user._id, orderData, walletAmount);
+
+      if (!walletInstallment) {
+        await releaseClaims();
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient store credit'
+        });
+      }
+      orderData.payment.installments = [walletInstallment];
+    }
+
     // 3. Create Order with Transaction
-    const order = await Order.createOrderWithTransaction(orderData);
+    let order;
+    try {
+      order = await Order.createOrderWithTransaction(orderData);
+    } catch (createError) {
+      if (walletAmount > 0) {
+        await walletService.reverseOrderDebit(req.user._id, orderData, walletAmount, 'Order could not be placed');
+      }
+      await releaseClaims();
+      // Another order reserved the last of an item since it was validated
+      if (createError.code === 'OUT_OF_STOCK') {
+        return res.status(409).json({
+          success: false,
+          message: createError.message
+        });
+      }
+      throw createError;
+    }
+
+    // Credit the store credit payment on the ledger
+    if (walletAmount > 0) {
+      order.applyInstallments();
+      await order.save();
+    }
+
+    await pricingService.recordUsage(pricing);
 
     // 4. Post-Creation Actions (Notifications)
     // These are outside the transaction to keep it fast. 
@@ -187,7 +380,9 @@ exports.createOrder = async (req, res) => {
       message: 'Order placed successfully',
       data: {
         order,
-        trackingUrl: `/track-order/${orderNumber}`
+        trackingUrl: `/track-order/${orderNumber}`,
+        // Guests pay online with this instead of signing in
+        ...(!req.user && { guestToken: paymentCheckoutService.getGuestPaymentToken(order) })
       }
     });
 
@@ -523,38 +718,34 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Prevent status updates if payment not verified (except cancellation)
-    if (order.payment.status !== 'verified' && status !== 'cancelled') {
+    const check = orderStatusService.validateStatusUpdate(order, status);
+    if (!check.valid) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot update status until payment is verified'
+        message: check.error,
+        data: check.data,
+        allowedTransitions: check.allowedTransitions
       });
     }
 
-    // Update status
-    const previousStatus = order.status;
-    
-    // Use model method
-    await order.updateStatus(status, note, req.user._id);
-
     // Assign tailor if provided
     if (assignedTailor) {
       order.assignedTailor = assignedTailor;
-      await order.save();
     }
 
     // Update tracking info if provided
-    if (trackingInfo && (status === 'out-for-delivery' || status === 'dispatched')) {
+    if (trackingInfo && status === 'dispatched') {
       order.tracking = {
         ...order.tracking,
         ...trackingInfo,
         dispatchDate: trackingInfo.dispatchDate || new Date()
       };
-      await order.save();
     }
 
-    // Send status update notification
-    await notificationService.sendStatusUpdate(order, previousStatus);
+    const { previousStatus } = await orderStatusService.transition(order, status, {
+      note,
+      user: req.user
+    });
 
     logger.info(`Order status updated: ${order.orderNumber}`, {
       orderId: order._id,
@@ -656,15 +847,7 @@ exports.cancelOrder = async (req, res) => {
       }
 
       // Customers can only cancel before processing starts
-      const nonCancellableStatuses = [
-        'in-progress',
-        'quality-check',
-        'ready-dispatch',
-        'dispatched',
-        'delivered'
-      ];
-
-      if (nonCancellableStatuses.includes(order.status)) {
+      if (order.status !== 'cancelled' && !orderStatusService.canCustomerCancel(order)) {
         return res.status(400).json({
           success: false,
           message: 'Cannot cancel order after stitching has started. Please contact support.'
@@ -680,16 +863,22 @@ exports.cancelOrder = async (req, res) => {
       });
     }
 
+    const check = orderStatusService.validateStatusUpdate(order, 'cancelled');
+    if (!check.valid) {
+      return res.status(400).json({
+        success: false,
+        message: check.error
+      });
+    }
+
     // Cancel order
-    order.status = 'cancelled';
-    order.statusHistory.push({
-      status: 'cancelled',
-      timestamp: new Date(),
+    const previousStatus = orderStatusService.applyStatus(order, 'cancelled', {
       note: reason || 'Order cancelled by ' + (req.user.role === 'admin' ? 'admin' : 'customer'),
-      updatedBy: req.user._id
+      user: req.user
     });
 
     await order.save();
+    await orderStatusService.runEffects(order, previousStatus, { notifyCustomer: false, user: req.user });
 
     // Send cancellation notification
     await notificationService.sendOrderCancellation(order, reason);
@@ -1010,6 +1199,53 @@ exports.getOrderByIdAdmin = async (req, res) => {
   }
 };
 
+/**
+ * Get the order status machine (Admin)
+ * @route GET /api/v1/admin/orders/status-machine
+ * @access Private (Admin)
+ */
+exports.getStatusMachine = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: orderStatusService.getDefinition()
+  });
+};
+
+/**
+ * Get the status changes available for an order (Admin)
+ * @route GET /api/v1/admin/orders/:id/transitions
+ * @access Private (Admin)
+ */
+exports.getStatusTransitionsAdmin = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: order.status,
+        label: STATES[order.status].label,
+        transitions: orderStatusService.getTransitions(order)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getStatusTransitionsAdmin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch status transitions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Update order status (Admin)
  * @route PUT /api/v1/admin/orders/:id/status
@@ -1019,24 +1255,11 @@ exports.updateOrderStatusAdmin = async (req, res) => {
   try {
     const { status, note, notifyCustomer = true } = req.body;
 
-    const validStatuses = [
-      'pending-payment',
-      'payment-verified',
-      'material-arranged',
-      'in-progress',
-      'quality-check',
-      'ready-dispatch',
-      'dispatched',
-      'delivered',
-      'cancelled',
-      'refunded'
-    ];
-
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status',
-        validStatuses
+        validStatuses: ORDER_STATUSES
       });
     }
 
@@ -1049,35 +1272,22 @@ exports.updateOrderStatusAdmin = async (req, res) => {
       });
     }
 
-    // Prevent status updates if payment not verified (except cancellation/refund)
-    if (order.payment.status !== 'verified' && !['cancelled', 'refunded'].includes(status)) {
+    const result = await orderStatusService.transition(order, status, {
+      note,
+      notifyCustomer,
+      user: req.user
+    });
+
+    if (!result.valid) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot update status until payment is verified'
+        message: result.error,
+        data: result.data,
+        allowedTransitions: result.allowedTransitions
       });
     }
 
-    // Update status
-    const previousStatus = order.status;
-    order.status = status;
-    order.statusHistory.push({
-      status,
-      timestamp: new Date(),
-      note: note || `Status updated from ${previousStatus} to ${status}`,
-      updatedBy: req.user._id
-    });
-
-    // If delivered, set actual completion date
-    if (status === 'delivered') {
-      order.actualCompletion = new Date();
-    }
-
-    await order.save();
-
-    // Send notification if requested
-    if (notifyCustomer) {
-      await notificationService.sendStatusUpdate(order, previousStatus);
-    }
+    const { previousStatus } = result;
 
     logger.info(`Order status updated (Admin): ${order.orderNumber}`, {
       orderId: order._id,
@@ -1139,12 +1349,9 @@ exports.verifyPaymentAdmin = async (req, res) => {
 
       // Update order status
       if (order.status === 'pending-payment') {
-        order.status = 'payment-verified';
-        order.statusHistory.push({
-          status: 'payment-verified',
-          timestamp: new Date(),
+        orderStatusService.applyStatus(order, 'payment-verified', {
           note: 'Payment verified by admin',
-          updatedBy: req.user._id
+          user: req.user
         });
       }
 
@@ -1227,7 +1434,7 @@ exports.verifyPaymentAdmin = async (req, res) => {
  */
 exports.cancelOrderAdmin = async (req, res) => {
   try {
-    const { reason, refundAmount, notifyCustomer = true } = req.body;
+    const { reason, refundAmount, refundTo = 'original', notifyCustomer = true } = req.body;
 
     if (!reason || reason.trim().length === 0) {
       return res.status(400).json({
@@ -1236,6 +1443,13 @@ exports.cancelOrderAdmin = async (req, res) => {
       });
     }
 
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund destination must be original or wallet'
+      });
+    }
+
     const order = await Order.findById(req.params.id);
 
     if (!order) {
@@ -1252,20 +1466,25 @@ exports.cancelOrderAdmin = async (req, res) => {
       });
     }
 
+    const check = orderStatusService.validateStatusUpdate(order, 'cancelled');
+    if (!check.valid) {
+      return res.status(400).json({
+        success: false,
+        message: check.error
+      });
+    }
+
     // Cancel order
-    order.status = 'cancelled';
+    const previousStatus = orderStatusService.applyStatus(order, 'cancelled', {
+      note: `Cancelled by admin: ${reason}`,
+      user: req.user
+    });
     order.cancellation = {
       cancelledBy: 'admin',
       reason: reason.trim(),
       requestedAt: new Date(),
       approvedAt: new Date()
     };
-    order.statusHistory.push({
-      status: 'cancelled',
-      timestamp: new Date(),
-      note: `Cancelled by admin: ${reason}`,
-      updatedBy: req.user._id
-    });
 
     // Add admin note
     order.notes.push({
@@ -1284,14 +1503,25 @@ exports.cancelOrderAdmin = async (req, res) => {
         processedAt: new Date(),
         processedBy: req.user._id
       };
-      order.status = 'refunded';
+      orderStatusService.applyStatus(order, 'refunded', {
+        note: `Refund processed: ${reason}`,
+        user: req.user
+      });
+
+      if (refundTo === 'wallet') {
+        await walletService.refundToWallet(order, refundAmount, { reason, user: req.user });
+      }
     }
 
     await order.save();
+    await orderStatusService.runEffects(order, previousStatus, { notifyCustomer: false, user: req.user });
 
     // Send cancellation notification
     if (notifyCustomer) {
       await notificationService.sendOrderCancellation(order, reason);
+      if (order.payment.refund?.walletAmount) {
+        await notificationService.sendRefundProcessed(order, refundAmount, reason, { toWallet: true });
+      }
     }
 
     logger.info(`Order cancelled (Admin): ${order.orderNumber}`, {
@@ -1323,7 +1553,7 @@ exports.cancelOrderAdmin = async (req, res) => {
  */
 exports.processRefundAdmin = async (req, res) => {
   try {
-    const { reason, amount, items, notifyCustomer = true } = req.body;
+    const { reason, amount, items, refundTo = 'original', notifyCustomer = true } = req.body;
 
     if (!reason || reason.trim().length === 0) {
       return res.status(400).json({
@@ -1332,6 +1562,13 @@ exports.processRefundAdmin = async (req, res) => {
       });
     }
 
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund destination must be original or wallet'
+      });
+    }
+
     if (!amount || amount <= 0) {
       return res.status(400).json({
         success: false,
@@ -1371,33 +1608,44 @@ exports.processRefundAdmin = async (req, res) => {
       processedBy: req.user._id
     };
 
+    const check = orderStatusService.validateStatusUpdate(order, 'refunded');
+    if (!check.valid) {
+      return res.status(400).json({
+        success: false,
+        message: check.error
+      });
+    }
+
+    if (refundTo === 'wallet') {
+      await walletService.refundToWallet(order, amount, { reason: reason.trim(), user: req.user });
+    }
+
     // Update order status
-    order.status = 'refunded';
-    order.statusHistory.push({
-      status: 'refunded',
-      timestamp: new Date(),
+    const previousStatus = orderStatusService.applyStatus(order, 'refunded', {
       note: `Refund processed: ${reason}`,
-      updatedBy: req.user._id
+      user: req.user
     });
 
     // Add admin note
     order.notes.push({
-      text: `Refund Processed: PKR ${amount} - ${reason}`,
+      text: `Refund Processed: PKR ${amount}${refundTo === 'wallet' ? ' (store credit)' : ''} - ${reason}`,
       addedBy: req.user._id,
       timestamp: new Date(),
       isImportant: true
     });
 
     await order.save();
+    await orderStatusService.runEffects(order, previousStatus, { notifyCustomer: false, user: req.user });
 
     // Send refund notification
     if (notifyCustomer) {
-      await notificationService.sendRefundProcessed(order, amount, reason);
+      await notificationService.sendRefundProcessed(order, amount, reason, { toWallet: refundTo === 'wallet' });
     }
 
     logger.info(`Refund processed (Admin): ${order.orderNumber}`, {
       orderId: order._id,
       amount,
+      refundTo,
       processedBy: req.user.email
     });
 
@@ -1566,6 +1814,18 @@ exports.updateTrackingAdmin = async (req, res) => {
       });
     }
 
+    const dispatching = order.status !== 'dispatched' && order.status !== 'delivered';
+    if (dispatching) {
+      const check = orderStatusService.validateStatusUpdate(order, 'dispatched');
+      if (!check.valid) {
+        return res.status(400).json({
+          success: false,
+          message: check.error,
+          data: check.data
+        });
+      }
+    }
+
     // Update tracking info
     order.tracking = {
       courierService,
@@ -1576,15 +1836,12 @@ exports.updateTrackingAdmin = async (req, res) => {
     };
 
     // Update status to dispatched if not already
-    if (order.status !== 'dispatched' && order.status !== 'delivered') {
-      order.status = 'dispatched';
-      order.statusHistory.push({
-        status: 'dispatched',
-        timestamp: new Date(),
+    const previousStatus = dispatching
+      ? orderStatusService.applyStatus(order, 'dispatched', {
         note: `Order dispatched via ${courierService}. Tracking: ${trackingNumber}`,
-        updatedBy: req.user._id
-      });
-    }
+        user: req.user
+      })
+      : order.status;
 
     // Add admin note
     order.notes.push({
@@ -1594,6 +1851,7 @@ exports.updateTrackingAdmin = async (req, res) => {
     });
 
     await order.save();
+    await orderStatusService.runEffects(order, previousStatus, { notifyCustomer: false, user: req.user });
 
     // Send tracking notification
     await notificationService.sendTrackingUpdate(order);
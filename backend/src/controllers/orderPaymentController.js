@@ -0,0 +1,445 @@
+/**
+ * Order Payment Controller
+ * Installment ledger for orders: advance deposits, balance payments,
+ * admin verification and balance reminders
+ *
+ * @module controllers/orderPaymentController
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const paymentLedgerService = require('../services/paymentLedgerService');
+const walletService = require('../services/walletService');
+const currencyService = require('../services/currencyService');
+const {
+  submitInstallmentSchema,
+  recordInstallmentSchema,
+  reviewInstallmentSchema,
+  walletPaymentSchema
+} = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+// Rounding tolerance when comparing an installment to the balance due
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Load the order from req.params.id, or send the error response
+ */
+const findOrder = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid order ID' });
+    return null;
+  }
+
+  const order = await Order.findOne({ _id: req.params.id, isDeleted: false });
+
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return null;
+  }
+
+  return order;
+};
+
+/**
+ * PKR ledger amount for an installment paid in another currency,
+ * or send the error response
+ */
+const settleInstallment = async (order, value, res) => {
+  const { valid, error, ...settlement } = await currencyService.toSettlement(value.amount, value.currency, order);
+
+  if (!valid) {
+    res.status(400).json({ success: false, message: error });
+    return null;
+  }
+
+  return { ...value, ...settlement };
+};
+
+/**
+ * Whether the transaction is already on the ledger (rejected entries can be resubmitted)
+ */
+const isDuplicateTransaction = (order, transactionId) => Boolean(transactionId) &&
+  order.payment.installments.some(installment =>
+    installment.transactionId === transactionId && installment.status !== 'rejected'
+  );
+
+/**
+ * @desc    Get the payment ledger for an order
+ * @route   GET /api/v1/orders/:id/payments
+ * @access  Private (order owner or admin)
+ */
+exports.getPayments = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    if (req.user.role !== 'admin' && order.customer?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ledger: paymentLedgerService.getLedger(order) }
+    });
+  } catch (error) {
+    logger.error('Error in getPayments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments'
+    });
+  }
+};
+
+/**
+ * @desc    Submit a payment receipt (deposit or balance) for verification
+ * @route   POST /api/v1/orders/:id/payments
+ * @access  Private (order owner)
+ */
+exports.submitPayment = async (req, res) => {
+  try {
+    const { error, value } = submitInstallmentSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    if (order.customer?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this order'
+      });
+    }
+
+    if (!order.isAwaitingPayment()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is not awaiting payment'
+      });
+    }
+
+    const payment = await settleInstallment(order, value, res);
+    if (!payment) return;
+
+    if (payment.amount > order.balanceDue + AMOUNT_TOLERANCE) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount exceeds the balance due of PKR ${order.balanceDue.toLocaleString()}`
+      });
+    }
+
+    if (isDuplicateTransaction(order, value.transactionId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This transaction has already been submitted'
+      });
+    }
+
+    const installment = await paymentLedgerService.addInstallment(order, payment, {
+      source: 'customer',
+      user: req.user
+    });
+
+    logger.info(`Payment submitted for order ${order.orderNumber}`, {
+      orderId: order._id,
+      amount: installment.amount,
+      method: installment.method
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment submitted for verification',
+      data: {
+        installment,
+        ledger: paymentLedgerService.getLedger(order)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in submitPayment:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit payment'
+    });
+  }
+};
+
+/**
+ * @desc    Pay a deposit or balance from store credit (verified immediately)
+ * @route   POST /api/v1/orders/:id/payments/wallet
+ * @access  Private (order owner)
+ */
+exports.payWithWallet = async (req, res) => {
+  try {
+    const { error, value } = walletPaymentSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    if (order.customer?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this order'
+      });
+    }
+
+    if (!order.isAwaitingPayment()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is not awaiting payment'
+      });
+    }
+
+    const amount = value.amount || paymentLedgerService.getAmountDue(order);
+
+    if (amount > order.balanceDue + AMOUNT_TOLERANCE) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount exceeds the balance due of PKR ${order.balanceDue.toLocaleString()}`
+      });
+    }
+
+    const installment = await walletService.payOrder(order, amount, req.user);
+
+    if (!installment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient store credit'
+      });
+    }
+
+    logger.info(`Store credit payment for order ${order.orderNumber}`, {
+      orderId: order._id,
+      amount: installment.amount
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Paid from store credit',
+      data: {
+        installment,
+        ledger: paymentLedgerService.getLedger(order)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in payWithWallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pay from store credit'
+    });
+  }
+};
+
+/**
+ * @desc    Record a payment received outside the website (already verified)
+ * @route   POST /api/v1/admin/orders/:id/payments
+ * @access  Private (Admin)
+ */
+exports.recordPayment = async (req, res) => {
+  try {
+    const { error, value } = recordInstallmentSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    if (['cancelled', 'refunded'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record a payment on a ${order.status} order`
+      });
+    }
+
+    if (isDuplicateTransaction(order, value.transactionId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This transaction is already on the ledger'
+      });
+    }
+
+    const payment = await settleInstallment(order, value, res);
+    if (!payment) return;
+
+    const installment = await paymentLedgerService.addInstallment(order, payment, {
+      source: 'admin',
+      verified: true,
+      user: req.user
+    });
+
+    logger.info(`Payment recorded for order ${order.orderNumber}`, {
+      orderId: order._id,
+      amount: installment.amount,
+      recordedBy: req.user.email
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded',
+      data: {
+        installment,
+        ledger: paymentLedgerService.getLedger(order)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in recordPayment:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment'
+    });
+  }
+};
+
+/**
+ * @desc    Approve or reject a submitted payment
+ * @route   PUT /api/v1/admin/orders/:id/payments/:installmentId
+ * @access  Private (Admin)
+ */
+exports.reviewPayment = async (req, res) => {
+  try {
+    const { error, value } = reviewInstallmentSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    const installment = mongoose.Types.ObjectId.isValid(req.params.installmentId)
+      ? order.payment.installments.id(req.params.installmentId)
+      : null;
+
+    if (!installment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (installment.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Payment is already ${installment.status}`
+      });
+    }
+
+    await paymentLedgerService.reviewInstallment(order, installment, {
+      approved: value.approved,
+      reason: value.rejectionReason,
+      notes: value.notes
+    }, req.user);
+
+    logger.info(`Payment ${value.approved ? 'verified' : 'rejected'} for order ${order.orderNumber}`, {
+      orderId: order._id,
+      installmentId: installment._id,
+      amount: installment.amount,
+      reviewedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: value.approved ? 'Payment verified' : 'Payment rejected',
+      data: {
+        installment,
+        ledger: paymentLedgerService.getLedger(order)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in reviewPayment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review payment'
+    });
+  }
+};
+
+/**
+ * @desc    Send the customer a balance reminder now
+ * @route   POST /api/v1/admin/orders/:id/payments/reminder
+ * @access  Private (Admin)
+ */
+exports.sendBalanceReminder = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    if (order.balanceDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has no balance due'
+      });
+    }
+
+    const result = await paymentLedgerService.sendBalanceReminder(order);
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send balance reminder'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Balance reminder sent',
+      data: {
+        results: result.results,
+        balanceReminder: order.payment.balanceReminder
+      }
+    });
+  } catch (error) {
+    logger.error('Error in sendBalanceReminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send balance reminder'
+    });
+  }
+};
@@ -0,0 +1,317 @@
+/**
+ * Payment Checkout Controller
+ * Hosted JazzCash/Easypaisa checkout: initiate, return URL, attempt status
+ * and the mock gateway page used in development
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentAttempt = require('../models/PaymentAttempt');
+const paymentCheckoutService = require('../services/paymentCheckoutService');
+const { getGateway } = require('../services/paymentGateways');
+const logger = require('../utils/logger');
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Public URL of this API, used for gateway redirects
+ */
+const getApiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Only send customers back to our own storefront
+ */
+const resolveReturnUrl = (returnUrl) => {
+  const fallback = `${getFrontendUrl()}/checkout`;
+  if (!returnUrl) return fallback;
+
+  try {
+    const url = new URL(returnUrl, getFrontendUrl());
+    return url.origin === new URL(getFrontendUrl()).origin ? url.toString() : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Fields safe to show the customer
+ */
+const formatAttempt = (attempt) => ({
+  _id: attempt._id,
+  orderNumber: attempt.orderNumber,
+  provider: attempt.provider,
+  mode: attempt.mode,
+  amount: attempt.amount,
+  currency: attempt.currency,
+  status: attempt.status,
+  failureReason: attempt.failureReason,
+  expiresAt: attempt.expiresAt,
+  completedAt: attempt.completedAt
+});
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+/**
+ * @desc    Start a hosted JazzCash/Easypaisa payment for an order
+ * @route   POST /api/v1/payments/checkout
+ * @access  Public (optional auth; guests send the order's guestToken)
+ */
+exports.initiatePayment = async (req, res) => {
+  try {
+    const { orderId, orderNumber, provider, returnUrl, payInFull, guestToken } = req.body;
+
+    const gateway = getGateway(provider);
+    if (!gateway) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment provider must be jazzcash or easypaisa'
+      });
+    }
+
+    if (!orderId && !orderNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order ID or order number is required'
+      });
+    }
+
+    if (orderId && !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Order.findOne({
+      ...(orderId ? { _id: orderId } : { orderNumber }),
+      isDeleted: false
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Customers can only pay for their own orders; guests need the token
+    // they were given when the order was placed
+    if (req.user) {
+      if (!['admin', 'super-admin'].includes(req.user.role) &&
+          order.customer?.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to pay for this order'
+        });
+      }
+    } else if (!paymentCheckoutService.verifyGuestPaymentToken(order, guestToken)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please sign in to pay for this order'
+      });
+    }
+
+    if (!order.isAwaitingPayment()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is not awaiting payment'
+      });
+    }
+
+    const { attempt, redirect } = await paymentCheckoutService.initiatePayment({
+      order,
+      provider,
+      returnUrl: resolveReturnUrl(returnUrl),
+      apiBaseUrl: getApiBaseUrl(req),
+      payInFull: payInFull === true || payInFull === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Redirecting to ${gateway.displayName}`,
+      data: {
+        attempt: formatAttempt(attempt),
+        redirect
+      }
+    });
+  } catch (error) {
+    logger.error('Error in initiatePayment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payment'
+    });
+  }
+};
+
+/**
+ * @desc    Customer returns from the gateway
+ * @route   GET|POST /api/v1/payments/return/:provider
+ * @access  Public (result signature verified)
+ */
+exports.handleReturn = async (req, res) => {
+  try {
+    const payload = { ...req.query, ...(req.body || {}) };
+
+    const attempt = await paymentCheckoutService.handleReturn(req.params.provider, payload, {
+      headers: req.headers,
+      ip: req.ip
+    });
+
+    if (!attempt) {
+      return res.redirect(303, `${getFrontendUrl()}/checkout?paymentStatus=unknown`);
+    }
+
+    res.redirect(303, paymentCheckoutService.buildResultUrl(attempt));
+  } catch (error) {
+    logger.error('Error in handleReturn:', error);
+    res.redirect(303, `${getFrontendUrl()}/checkout?paymentStatus=error`);
+  }
+};
+
+/**
+ * @desc    Get the status of a payment attempt
+ * @route   GET /api/v1/payments/attempts/:id
+ * @access  Public
+ */
+exports.getAttempt = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment attempt ID'
+      });
+    }
+
+    const attempt = await PaymentAttempt.findById(req.params.id);
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment attempt not found'
+      });
+    }
+
+    await paymentCheckoutService.expireIfStale(attempt);
+
+    res.status(200).json({
+      success: true,
+      data: { attempt: formatAttempt(attempt) }
+    });
+  } catch (error) {
+    logger.error('Error in getAttempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment attempt'
+    });
+  }
+};
+
+/**
+ * Find a pending mock-mode attempt, or send the error response
+ */
+const findMockAttempt = async (req, res) => {
+  if (!paymentCheckoutService.isMockEnabled()) {
+    res.status(404).json({ success: false, message: 'Payment attempt not found' });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid payment attempt ID' });
+    return null;
+  }
+
+  const attempt = await PaymentAttempt.findOne({ _id: req.params.id, mode: 'mock' });
+
+  if (!attempt) {
+    res.status(404).json({ success: false, message: 'Payment attempt not found' });
+    return null;
+  }
+
+  return paymentCheckoutService.expireIfStale(attempt);
+};
+
+/**
+ * @desc    Mock hosted checkout page
+ * @route   GET /api/v1/payments/mock/:id
+ * @access  Public (mock mode only)
+ */
+exports.mockCheckoutPage = async (req, res) => {
+  try {
+    const attempt = await findMockAttempt(req, res);
+    if (!attempt) return;
+
+    if (attempt.status !== 'pending') {
+      return res.redirect(303, paymentCheckoutService.buildResultUrl(attempt));
+    }
+
+    const gateway = getGateway(attempt.provider);
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(gateway.displayName)} (Mock)</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f5f5f5; display: flex; justify-content: center; padding: 48px 16px; }
+    .card { background: #fff; border-radius: 12px; padding: 32px; max-width: 380px; width: 100%; box-shadow: 0 2px 12px rgba(0,0,0,0.08); }
+    .badge { display: inline-block; background: #fff3cd; color: #856404; font-size: 12px; padding: 4px 8px; border-radius: 999px; }
+    .amount { font-size: 28px; font-weight: bold; margin: 16px 0; }
+    button { width: 100%; padding: 14px; border: 0; border-radius: 8px; font-size: 16px; font-weight: bold; cursor: pointer; margin-top: 12px; }
+    .approve { background: #16a34a; color: #fff; }
+    .decline { background: #e5e7eb; color: #374151; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <span class="badge">Test mode - no money will move</span>
+    <h1>${escapeHtml(gateway.displayName)}</h1>
+    <p>Order ${escapeHtml(attempt.orderNumber)}</p>
+    <p class="amount">PKR ${escapeHtml(attempt.amount.toLocaleString())}</p>
+    <form method="POST" action="${escapeHtml(`/api/v1/payments/mock/${attempt._id}`)}">
+      <button class="approve" type="submit" name="action" value="approve">Approve payment</button>
+      <button class="decline" type="submit" name="action" value="decline">Decline payment</button>
+    </form>
+  </div>
+</body>
+</html>`);
+  } catch (error) {
+    logger.error('Error in mockCheckoutPage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load mock checkout'
+    });
+  }
+};
+
+/**
+ * @desc    Approve or decline on the mock checkout page
+ * @route   POST /api/v1/payments/mock/:id
+ * @access  Public (mock mode only)
+ */
+exports.completeMockCheckout = async (req, res) => {
+  try {
+    const attempt = await findMockAttempt(req, res);
+    if (!attempt) return;
+
+    if (attempt.status !== 'pending') {
+      return res.redirect(303, paymentCheckoutService.buildResultUrl(attempt));
+    }
+
+    const settled = await paymentCheckoutService.completeMockPayment(attempt, req.body.action === 'approve');
+
+    res.redirect(303, paymentCheckoutService.buildResultUrl(settled));
+  } catch (error) {
+    logger.error('Error in completeMockCheckout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete mock payment'
+    });
+  }
+};
@@ -0,0 +1,292 @@
+/**
+ * Payment Webhook Controller
+ * JazzCash/Easypaisa callbacks, the payment event log and the local simulator
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const { getGateway } = require('../services/paymentGateways');
+const logger = require('../utils/logger');
+
+/**
+ * Simulator is for development/staging; production must opt in explicitly
+ */
+const isSimulatorEnabled = () =>
+  process.env.NODE_ENV !== 'production' || process.env.PAYMENT_SIMULATOR_ENABLED === 'true';
+
+/**
+ * Shape a processed event for the gateway response
+ */
+const formatOutcome = (event, duplicate) => ({
+  eventId: event._id,
+  status: event.status,
+  message: event.message,
+  duplicate
+});
+
+/**
+ * @desc    Receive a payment gateway callback
+ * @route   POST /api/v1/payments/webhooks/:provider
+ * @access  Public (signature verified)
+ */
+exports.handleWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!getGateway(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unsupported payment provider'
+      });
+    }
+
+    const { event, duplicate } = await paymentWebhookService.receiveWebhook(provider, req.body || {}, {
+      headers: req.headers,
+      ip: req.ip
+    });
+
+    if (event.status === 'rejected' && !event.signatureValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    if (event.status === 'rejected' && !event.transactionId) {
+      return res.status(400).json({
+        success: false,
+        message: event.message
+      });
+    }
+
+    // Anything we've logged is acknowledged so the gateway stops retrying;
+    // failures are resolved from the event log
+    res.status(200).json({
+      success: event.status === 'processed' || event.status === 'ignored',
+      message: event.message,
+      data: formatOutcome(event, duplicate)
+    });
+  } catch (error) {
+    logger.error('Error in handleWebhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+};
+
+/**
+ * @desc    Get logged payment events
+ * @route   GET /api/v1/payments/webhooks/events
+ * @access  Admin
+ */
+exports.getEvents = async (req, res) => {
+  try {
+    const { provider, status, orderNumber, transactionId, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = {};
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (orderNumber) query.orderNumber = orderNumber;
+    if (transactionId) query.transactionId = transactionId;
+
+    const [events, total] = await Promise.all([
+      PaymentEvent.find(query)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PaymentEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getEvents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment events'
+    });
+  }
+};
+
+/**
+ * @desc    Get a payment event with its raw payload
+ * @route   GET /api/v1/payments/webhooks/events/:id
+ * @access  Admin
+ */
+exports.getEventById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+
+    const event = await PaymentEvent.findById(req.params.id)
+      .populate('order', 'orderNumber status payment.status pricing.total')
+      .populate('replays.replayedBy', 'fullName email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment event not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { event }
+    });
+  } catch (error) {
+    logger.error('Error in getEventById:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment event'
+    });
+  }
+};
+
+/**
+ * @desc    Re-process a logged payment event
+ * @route   POST /api/v1/payments/webhooks/events/:id/replay
+ * @access  Admin
+ */
+exports.replayEvent = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+
+    const event = await PaymentEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment event not found'
+      });
+    }
+
+    if (!event.signatureValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Events with an invalid signature cannot be replayed'
+      });
+    }
+
+    await paymentWebhookService.replayEvent(event, req.user._id);
+
+    logger.info(`Payment event ${event._id} replayed by ${req.user._id}: ${event.status}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Event replayed: ${event.message}`,
+      data: { event }
+    });
+  } catch (error) {
+    logger.error('Error in replayEvent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay payment event'
+    });
+  }
+};
+
+/**
+ * @desc    Simulate a signed gateway callback for an order
+ * @route   POST /api/v1/payments/webhooks/simulate/:provider
+ * @access  Admin (disabled in production unless PAYMENT_SIMULATOR_ENABLED=true)
+ */
+exports.simulateWebhook = async (req, res) => {
+  try {
+    if (!isSimulatorEnabled()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Payment simulator is disabled'
+      });
+    }
+
+    const { provider } = req.params;
+    const gateway = getGateway(provider);
+
+    if (!gateway) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unsupported payment provider'
+      });
+    }
+
+    if (!gateway.isConfigured()) {
+      return res.status(400).json({
+        success: false,
+        message: `${gateway.displayName} signing key is not configured`
+      });
+    }
+
+    const { orderNumber, amount, success = true, transactionId } = req.body;
+
+    if (!orderNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order number is required'
+      });
+    }
+
+    // Default to paying the exact order total
+    let paidAmount = amount;
+    if (paidAmount === undefined) {
+      const order = await Order.findOne({ orderNumber, isDeleted: false }).select('pricing.total');
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+      paidAmount = order.pricing.total;
+    }
+
+    const payload = paymentWebhookService.buildSimulatedCallback(provider, {
+      orderNumber,
+      amount: Number(paidAmount),
+      success: success !== false && success !== 'false',
+      transactionId
+    });
+
+    const { event, duplicate } = await paymentWebhookService.receiveWebhook(provider, payload, {
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Simulated ${gateway.displayName} callback: ${event.message}`,
+      data: {
+        payload,
+        ...formatOutcome(event, duplicate)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in simulateWebhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to simulate webhook'
+    });
+  }
+};
@@ -17,6 +17,8 @@ const mongoose = require('mongoose');
 const { generateSlug, calculateReadTime } = require('../utils/helpers');
 const { deleteFromCloudinary } = require('../config/cloudinary');
 const { productSchema } = require('../utils/validationSchemas');
+const searchService = require('../services/searchService');
+const inventoryService = require('../services/inventoryService');
 
 /**
  * GET /api/products
@@ -40,7 +42,9 @@ exports.getAllProducts = async (req, res) => {
       color = '',
       availability = '',
       featured = '',
-      type = '' // NEW: Suit type filter (ready-made, replica, karhai)
+      type = '', // NEW: Suit type filter (ready-made, replica, karhai)
+      embroidery = '',
+      priceBand = '' // Price facet bands, e.g. "5000-10000,50000+"
     } = req.query;
 
     // Build filter object - only show active, non-deleted products
@@ -63,25 +67,18 @@ exports.getAllProducts = async (req, res) => {
       sortOrder = sortMap[sortBy] || sort;
     }
 
-    // Collect all $or conditions that need to be combined with $and
-    const orConditions = [];
-
-    // Search across multiple fields
+    // Full-text search (synonyms, typo tolerance, relevance ranking)
+    let searchResult = null;
     if (search) {
-      orConditions.push({
-        $or: [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { sku: { $regex: search, $options: 'i' } },
-          { 'seo.keywords': { $regex: search, $options: 'i' } }
-        ]
-      });
+      searchResult = await searchService.search(search);
+      filter._id = { $in: searchResult.ids.map(id => new mongoose.Types.ObjectId(id)) };
     }
 
     // Category filter
     if (category && category !== 'all') {
       if (mongoose.Types.ObjectId.isValid(category)) {
-        filter.category = category;
+        // Cast here: the facet aggregation doesn't cast like find() does
+        filter.category = new mongoose.Types.ObjectId(category);
       } else {
         const categoryDoc = await Category.findOne({ slug: category });
         if (categoryDoc) {
@@ -112,114 +109,128 @@ exports.getAllProducts = async (req, res) => {
       filter.subcategory = { $regex: subcategory, $options: 'i' };
     }
 
+    // Featured products filter
+    if (featured === 'true') {
+      filter.isFeatured = true;
+    }
+
+    // Facet filters are kept apart so each facet can be counted without its own selection
+    const facetFilters = {};
+    const anyOf = (conditions) => (conditions.length === 1 ? conditions[0] : { $or: conditions });
+
     // Fabric type filter - handle comma-separated values
     if (fabric) {
       const fabricArray = fabric.split(',').map(f => f.trim().toLowerCase());
-      if (fabricArray.length === 1) {
-        filter['fabric.type'] = { $regex: fabricArray[0], $options: 'i' };
-      } else {
-        // For multiple fabrics, use $or with regex for each
-        const fabricConditions = fabricArray.map(f => ({
-          'fabric.type': { $regex: f, $options: 'i' }
-        }));
-        orConditions.push({ $or: fabricConditions });
+      facetFilters.fabric = anyOf(fabricArray.map(f => ({
+        'fabric.type': { $regex: f, $options: 'i' }
+      })));
+    }
+
+    // Price filter - a min/max range, or price bands from the price facet
+    if (priceBand) {
+      const bands = priceBand.split(',').map(searchService.parsePriceBand).filter(Boolean);
+      if (bands.length > 0) {
+        facetFilters.price = anyOf(bands.map(band => ({
+          'pricing.basePrice': band.max === undefined ? { $gte: band.min } : { $gte: band.min, $lt: band.max }
+        })));
       }
-    }
-
-    // Price range filter - only apply if values are provided
-    if (minPrice !== '' || maxPrice !== '') {
-      filter['pricing.basePrice'] = {};
+    } else if (minPrice !== '' || maxPrice !== '') {
+      const range = {};
       if (minPrice !== '') {
-        filter['pricing.basePrice'].$gte = parseFloat(minPrice);
+        range.$gte = parseFloat(minPrice);
       }
       if (maxPrice !== '') {
-        filter['pricing.basePrice'].$lte = parseFloat(maxPrice);
+        range.$lte = parseFloat(maxPrice);
       }
+      facetFilters.price = { 'pricing.basePrice': range };
     }
 
     // Occasion filter - handle comma-separated values
     if (occasion) {
       const occasionArray = occasion.split(',').map(o => o.trim().toLowerCase());
-      if (occasionArray.length === 1) {
-        filter.occasion = { $regex: occasionArray[0], $options: 'i' };
-      } else {
-        // For multiple occasions, use $or with regex for each
-        const occasionConditions = occasionArray.map(o => ({
-          occasion: { $regex: o, $options: 'i' }
-        }));
-        orConditions.push({ $or: occasionConditions });
-      }
+      facetFilters.occasion = anyOf(occasionArray.map(o => ({
+        occasion: { $regex: o, $options: 'i' }
+      })));
+    }
+
+    // Embroidery work type filter
+    if (embroidery) {
+      const embroideryArray = embroidery.split(',').map(e => e.trim().toLowerCase());
+      facetFilters.embroidery = { 'embroideryDetails.workType': { $in: embroideryArray } };
     }
 
     // Color filter - support both colors and availableColors fields
     if (color) {
       const colorArray = color.split(',').map(c => c.trim());
       const colorRegex = colorArray.map(c => new RegExp(c, 'i'));
-      const colorConditions = [
-        { colors: { $in: colorRegex } },
-        { 'availableColors.name': { $in: colorRegex } }
-      ];
-      orConditions.push({ $or: colorConditions });
+      facetFilters.color = {
+        $or: [
+          { colors: { $in: colorRegex } },
+          { 'availableColors.name': { $in: colorRegex } }
+        ]
+      };
     }
 
     // Availability filter - handle comma-separated values for status
     if (availability) {
       const availabilityArray = availability.split(',').map(a => a.trim().toLowerCase());
-      if (availabilityArray.length === 1) {
-        filter['availability.status'] = availabilityArray[0];
-      } else {
-        filter['availability.status'] = { $in: availabilityArray };
-      }
-    }
-
-    // Featured products filter
-    if (featured === 'true') {
-      filter.isFeatured = true;
+      facetFilters.availability = { 'availability.status': { $in: availabilityArray } };
     }
 
     // Suit type filter (NEW)
     if (type) {
       // Support comma-separated values for multiple types
       const types = type.split(',').map(t => t.trim());
-      if (types.length === 1) {
-        filter.type = types[0];
-      } else {
-        filter.type = { $in: types };
-      }
+      facetFilters.type = { type: { $in: types } };
     }
 
-    // Combine all $or conditions with $and if we have multiple
-    if (orConditions.length > 0) {
-      if (orConditions.length === 1) {
-        // If only one $or condition, merge it directly
-        Object.assign(filter, orConditions[0]);
-      } else {
-        // If multiple $or conditions, combine with $and
-        filter.$and = filter.$and || [];
-        filter.$and.push(...orConditions);
-      }
-    }
+    // Listing filter: the base filter plus every selected facet
+    const listingFilter = Object.keys(facetFilters).length > 0
+      ? { ...filter, $and: Object.values(facetFilters) }
+      : filter;
 
     // Debug logging (remove in production)
     if (process.env.NODE_ENV === 'development') {
-      console.log('Product filter:', JSON.stringify(filter, null, 2));
-      console.log('Query params:', { page, limit, sortBy, minPrice, maxPrice, fabric, occasion, color, availability, type });
+      console.log('Product filter:', JSON.stringify(listingFilter, null, 2));
+      console.log('Query params:', { page, limit, sortBy, minPrice, maxPrice, priceBand, fabric, occasion, embroidery, color, availability, type });
     }
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Execute query with population
-    const products = await Product.find(filter)
-      .populate('category', 'name slug')
-      .select('-__v')
-      .sort(sortOrder)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+    // Search results are ranked by relevance unless another order was asked for
+    const byRelevance = searchResult && (sortBy === 'relevance' || (!sortBy && !req.query.sort));
+
+    let products;
+    let total;
+
+    if (byRelevance) {
+      const ranked = await searchService.pageByRelevance(listingFilter, searchResult.ids, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+      const found = await Product.find({ _id: { $in: ranked.ids } })
+        .populate('category', 'name slug')
+        .select('-__v')
+        .lean();
+
+      products = ranked.ids
+        .map(id => found.find(product => product._id.toString() === id))
+        .filter(Boolean);
+      total = ranked.total;
+    } else {
+      // Execute query with population
+      products = await Product.find(listingFilter)
+        .populate('category', 'name slug')
+        .select('-__v')
+        .sort(sortOrder)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean();
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
+      // Get total count for pagination
+      total = await Product.countDocuments(listingFilter);
+    }
 
     // Debug logging (remove in production)
     if (process.env.NODE_ENV === 'development') {
@@ -231,49 +242,8 @@ exports.getAllProducts = async (req, res) => {
     const hasNextPage = parseInt(page) < totalPages;
     const hasPrevPage = parseInt(page) > 1;
 
-    // Calculate facets (filter counts)
-    const facetsData = await Product.aggregate([
-      { $match: filter },
-      {
-        $facet: {
-          fabric: [
-            { $group: { _id: '$fabric.type', count: { $sum: 1 } } }
-          ],
-          occasion: [
-            { $group: { _id: '$occasion', count: { $sum: 1 } } }
-          ],
-          color: [
-            { $unwind: '$availableColors' },
-            { $group: { _id: '$availableColors.name', count: { $sum: 1 } } }
-          ],
-          size: [
-            { $unwind: '$sizeAvailability.standardSizes' },
-            { $group: { _id: '$sizeAvailability.standardSizes', count: { $sum: 1 } } }
-          ],
-          type: [
-            { $group: { _id: '$type', count: { $sum: 1 } } }
-          ]
-        }
-      }
-    ]);
-
-    // Process facets into easier format: { Type: Count }
-    const facets = {
-      fabric: {},
-      occasion: {},
-      color: {},
-      size: {},
-      type: {}
-    };
-
-    if (facetsData && facetsData[0]) {
-      const f = facetsData[0];
-      if (f.fabric) f.fabric.forEach(i => i._id && (facets.fabric[i._id] = i.count));
-      if (f.occasion) f.occasion.forEach(i => i._id && (facets.occasion[i._id.toLowerCase()] = i.count));
-      if (f.color) f.color.forEach(i => i._id && (facets.color[i._id.toLowerCase()] = i.count));
-      if (f.size) f.size.forEach(i => i._id && (facets.size[i._id] = i.count));
-      if (f.type) f.type.forEach(i => i._id && (facets.type[i._id] = i.count));
-    }
+    // Facet counts (filter counts)
+    const facets = await searchService.getFacets(filter, facetFilters);
 
     // Return response in format expected by frontend
     res.status(200).json({
@@ -282,6 +252,7 @@ exports.getAllProducts = async (req, res) => {
       total: total,
       data: products,
       facets: facets,
+      ...(searchResult && { didYouMean: searchResult.didYouMean }),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -906,29 +877,28 @@ exports.deleteProductImage = async (req, res) => {
 
 /**
  * GET /api/products/search/autocomplete
- * Search autocomplete suggestions
+ * Search-as-you-type suggestions: matching products, completions of the
+ * last word and a spelling correction
  * Public access
  */
 exports.searchAutocomplete = async (req, res) => {
   try {
     const { q = '', limit = 5 } = req.query;
 
-    if (!q || q.length < 2) {
+    if (!q || q.trim().length < 2) {
       return res.status(200).json({
         success: true,
-        data: []
+        data: {
+          products: [],
+          completions: [],
+          didYouMean: null
+        }
       });
     }
 
-    const suggestions = await Product.find({
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { sku: { $regex: q, $options: 'i' } }
-      ]
-    })
-      .select('title slug primaryImage sku')
-      .limit(parseInt(limit))
-      .lean();
+    const suggestions = await searchService.suggest(q, {
+      limit: Math.min(parseInt(limit) || 5, 10)
+    });
 
     res.status(200).json({
       success: true,
@@ -1158,6 +1128,13 @@ exports.createProductAdmin = async (req, res) => {
         // Keep as is if parsing fails
       }
     }
+    if (typeof productData.variants === 'string') {
+      try {
+        productData.variants = JSON.parse(productData.variants);
+      } catch (e) {
+        // Keep as is if parsing fails
+      }
+    }
     // Parse Hand Karhai specific fields
     if (typeof productData.embroideryDetails === 'string') {
       try {
@@ -1377,6 +1354,7 @@ exports.createProductAdmin = async (req, res) => {
       customization: productData.customization || defaultCustomization,
       sizeAvailability: productData.sizeAvailability || defaultSizeAvailability,
       availableColors: productData.availableColors || [],
+      variants: productData.variants || [],
       features: productData.features || [],
       whatsIncluded: productData.whatsIncluded || [],
       isActive: productData.isActive !== undefined ? productData.isActive : true,
@@ -1388,6 +1366,14 @@ exports.createProductAdmin = async (req, res) => {
       createdBy: req.user.id
     });
 
+    // Opening stock starts the product's ledger
+    await inventoryService.recordProductEdits(
+      product,
+      { stockQuantity: 0, variants: new Map() },
+      req.user,
+      'Opening stock'
+    );
+
     // Populate category for response
     await product.populate('category', 'name slug');
 
@@ -1485,7 +1471,7 @@ exports.updateProductAdmin = async (req, res) => {
     }
 
     // Parse nested objects (including Hand Karhai fields)
-    ['pricing', 'fabric', 'inventory', 'availability', 'seo', 'sizeAvailability', 'availableColors', 'embroideryDetails', 'suitComponents', 'images'].forEach(key => {
+    ['pricing', 'fabric', 'inventory', 'availability', 'seo', 'sizeAvailability', 'availableColors', 'variants', 'embroideryDetails', 'suitComponents', 'images'].forEach(key => {
       if (typeof updateData[key] === 'string') {
         try {
           updateData[key] = JSON.parse(updateData[key]);
@@ -1563,6 +1549,32 @@ exports.updateProductAdmin = async (req, res) => {
       }
     }
 
+    const stockBefore = inventoryService.snapshotStock(product);
+
+    // Variants are saved through the document so their SKUs and the stock total are recomputed
+    if (Array.isArray(updateData.variants)) {
+      // Reserved stock belongs to unpaid orders, not the form
+      const reservedById = new Map(product.variants.map(variant => [String(variant._id), variant.reservedQuantity || 0]));
+      product.variants = updateData.variants.map(variant => ({
+        ...variant,
+        reservedQuantity: reservedById.get(String(variant._id)) || 0
+      }));
+      await product.save();
+      delete updateData.variants;
+
+      if (updateData.inventory && product.hasVariants) {
+        updateData.inventory = {
+          ...updateData.inventory,
+          trackInventory: true,
+          stockQuantity: product.inventory.stockQuantity
+        };
+      }
+    }
+
+    if (updateData.inventory && typeof updateData.inventory === 'object') {
+      updateData.inventory.reservedQuantity = product.inventory?.reservedQuantity || 0;
+    }
+
     // Update lastModifiedBy
     updateData.lastModifiedBy = req.user.id;
 
@@ -1573,6 +1585,9 @@ exports.updateProductAdmin = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('category', 'name slug');
 
+    // Stock typed into the form is an adjustment on the ledger
+    await inventoryService.recordProductEdits(updatedProduct, stockBefore, req.user);
+
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
@@ -1581,6 +1596,17 @@ exports.updateProductAdmin = async (req, res) => {
 
   } catch (error) {
     console.error('Error in updateProductAdmin:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message,
+        validationErrors: Object.keys(error.errors).reduce((acc, key) => {
+          acc[key] = error.errors[key].message;
+          return acc;
+        }, {})
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update product',
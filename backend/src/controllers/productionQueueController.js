@@ -1,6 +1,8 @@
 const ProductionQueue = require('../models/ProductionQueue');
 const Order = require('../models/Order');
 const Tailor = require('../models/Tailor');
+const tailorAssignmentService = require('../services/tailorAssignmentService');
+const orderStatusService = require('../services/orderStatusService');
 const { AppError } = require('../utils/AppError');
 const logger = require('../utils/logger');
 
@@ -112,8 +114,16 @@ exports.updateStatus = async (req, res) => {
       });
     }
 
+    const previousStatus = item.status;
     await item.updateStatus(status, req.user._id);
 
+    let order = null;
+    if (previousStatus !== status) {
+      await tailorAssignmentService.releaseTailor(item, status);
+      // Keep the order status in step with production
+      order = await orderStatusService.syncFromQueue(item, req.user);
+    }
+
     if (notes) {
       item.notes.push({
         text: notes,
@@ -126,7 +136,7 @@ exports.updateStatus = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Status updated successfully',
-      data: { item }
+      data: { item, orderStatus: order?.status }
     });
   } catch (error) {
     logger.error('Error updating status:', error);
@@ -176,9 +186,18 @@ exports.assignTailor = async (req, res) => {
       });
     }
 
+    // Free the previous tailor's slot when reassigning
+    const previousTailorId = item.assignedTailor?.tailorId;
+    if (previousTailorId && previousTailorId.toString() !== tailorId.toString()) {
+      const previousTailor = await Tailor.findById(previousTailorId);
+      if (previousTailor) await previousTailor.releaseOrder();
+    }
+
     // Assign and update tailor capacity
     await item.assignToTailor(tailorId, estimatedCompletion, notes);
-    await tailor.assignOrder();
+    if (!previousTailorId || previousTailorId.toString() !== tailorId.toString()) {
+      await tailor.assignOrder();
+    }
 
     res.status(200).json({
       success: true,
@@ -194,6 +213,69 @@ exports.assignTailor = async (req, res) => {
   }
 };
 
+/**
+ * Auto-assign a queue item to the best available tailor
+ */
+exports.autoAssignTailor = async (req, res) => {
+  try {
+    const item = await ProductionQueue.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Queue item not found'
+      });
+    }
+
+    if (item.assignedTailor?.tailorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Queue item is already assigned to a tailor'
+      });
+    }
+
+    const tailor = await tailorAssignmentService.autoAssign(item);
+    if (!tailor) {
+      return res.status(409).json({
+        success: false,
+        message: 'No tailor with free capacity is available today'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Order assigned to ${tailor.name}`,
+      data: { item, tailor }
+    });
+  } catch (error) {
+    logger.error('Error auto-assigning tailor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to auto-assign tailor'
+    });
+  }
+};
+
+/**
+ * Auto-assign all pending, unassigned queue items
+ */
+exports.autoAssignPending = async (req, res) => {
+  try {
+    const results = await tailorAssignmentService.assignPending();
+
+    res.status(200).json({
+      success: true,
+      message: `Assigned ${results.assigned} of ${results.total} pending items`,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Error auto-assigning pending items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to auto-assign pending items'
+    });
+  }
+};
+
 /**
  * Bulk update status
  */
@@ -220,7 +302,12 @@ exports.bulkUpdateStatus = async (req, res) => {
         try {
           const item = await ProductionQueue.findById(id);
           if (item) {
+            const previousStatus = item.status;
             await item.updateStatus(status, req.user._id);
+            if (previousStatus !== status) {
+              await tailorAssignmentService.releaseTailor(item, status);
+              await orderStatusService.syncFromQueue(item, req.user);
+            }
             if (notes) {
               item.notes.push({
                 text: notes,
@@ -3,7 +3,13 @@
  * Manages promo code operations for admin
  */
 
+const mongoose = require('mongoose');
 const PromoCode = require('../models/PromoCode');
+const PromoCodeBatch = require('../models/PromoCodeBatch');
+const PromoRedemption = require('../models/PromoRedemption');
+const promoCodeService = require('../services/promoCodeService');
+const { promoCodeBatchSchema } = require('../utils/validationSchemas');
+const { generatePromoCodeBatchCSV } = require('../utils/csvGenerator');
 const logger = require('../utils/logger');
 
 // ============================================================
@@ -117,51 +123,35 @@ exports.getActivePromoCodes = async (req, res) => {
 };
 
 /**
- * @desc    Get promo code statistics
+ * @desc    Get promo code statistics and redemption analytics (?days= window, default 30)
  * @route   GET /api/v1/admin/promo-codes/stats
  * @access  Private (Admin)
  */
 exports.getPromoCodeStats = async (req, res) => {
   try {
-    const stats = await Promise.all([
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const now = new Date();
+
+    const [total, active, inactive, expired, batches, redemptions] = await Promise.all([
       PromoCode.countDocuments(),
-      PromoCode.countDocuments({ status: 'active' }),
-      PromoCode.countDocuments({ status: 'inactive' }),
-      PromoCode.countDocuments({ status: 'expired' }),
-      PromoCode.aggregate([
-        {
-          $group: {
-            _id: '$type',
-            count: { $sum: 1 }
-          }
-        }
-      ]),
-      PromoCode.aggregate([
-        {
-          $group: {
-            _id: null,
-            totalUses: { $sum: '$currentUses' },
-            totalDiscount: { $sum: '$totalDiscountValue' }
-          }
-        }
-      ])
+      PromoCode.countDocuments({ isActive: true, endDate: { $gte: now } }),
+      PromoCode.countDocuments({ isActive: false }),
+      PromoCode.countDocuments({ isActive: true, endDate: { $lt: now } }),
+      PromoCodeBatch.countDocuments(),
+      promoCodeService.getRedemptionStats({ days })
     ]);
 
-    const typeStats = stats[4].reduce((acc, item) => {
-      acc[item._id] = item.count;
-      return acc;
-    }, {});
-
     res.status(200).json({
       success: true,
       data: {
-        total: stats[0],
-        active: stats[1],
-        inactive: stats[2],
-        expired: stats[3],
-        byType: typeStats,
-        totalUses: stats[5][0]?.totalUses || 0,
-        totalDiscount: stats[5][0]?.totalDiscount || 0
+        total,
+        active,
+        inactive,
+        expired,
+        batches,
+        totalUses: redemptions.redemptions,
+        totalDiscount: redemptions.discountGiven,
+        redemptions
       }
     });
   } catch (error) {
@@ -493,3 +483,156 @@ exports.bulkUpdateStatus = async (req, res) => {
     });
   }
 };
+
+// ============================================================
+// REDEMPTIONS
+// ============================================================
+
+/**
+ * @desc    Get who redeemed a promo code, on which orders
+ * @route   GET /api/v1/admin/promo-codes/:id/redemptions
+ * @access  Private (Admin)
+ */
+exports.getPromoCodeRedemptions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promo code ID'
+      });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { promoCode: req.params.id };
+    if (status) query.status = status;
+
+    const [redemptions, total] = await Promise.all([
+      PromoRedemption.find(query)
+        .populate('user', 'fullName email phone')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      PromoRedemption.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: redemptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getPromoCodeRedemptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo code redemptions',
+      error: error.message
+    });
+  }
+};
+
+// ============================================================
+// SINGLE-USE CODE BATCHES
+// ============================================================
+
+/**
+ * @desc    Get code batches with their redemption rates
+ * @route   GET /api/v1/admin/promo-codes/batches
+ * @access  Private (Admin)
+ */
+exports.getPromoCodeBatches = async (req, res) => {
+  try {
+    const batches = await promoCodeService.getBatches();
+
+    res.status(200).json({
+      success: true,
+      data: batches
+    });
+  } catch (error) {
+    logger.error('Error in getPromoCodeBatches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo code batches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Generate a batch of unique single-use codes
+ * @route   POST /api/v1/admin/promo-codes/batches
+ * @access  Private (Admin)
+ */
+exports.createPromoCodeBatch = async (req, res) => {
+  try {
+    const { error, value } = promoCodeBatchSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { batch, codes } = await promoCodeService.generateBatch(value, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `${codes.length} promo codes generated`,
+      data: { batch, codes }
+    });
+  } catch (error) {
+    logger.error('Error in createPromoCodeBatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate promo codes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Export a batch's codes and their redemptions as CSV
+ * @route   GET /api/v1/admin/promo-codes/batches/:batchId/export
+ * @access  Private (Admin)
+ */
+exports.exportPromoCodeBatch = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid batch ID'
+      });
+    }
+
+    const result = await promoCodeService.getBatchCodes(req.params.batchId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code batch not found'
+      });
+    }
+
+    const slug = result.batch.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'batch';
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=promo-codes-${slug}.csv`);
+    res.status(200).send(generatePromoCodeBatchCSV(result.codes));
+  } catch (error) {
+    logger.error('Error in exportPromoCodeBatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export promo codes',
+      error: error.message
+    });
+  }
+};
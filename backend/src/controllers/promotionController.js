@@ -0,0 +1,269 @@
+/**
+ * Promotion Controller
+ * Automatic promotions: buy-X-get-Y, spend tiers, free stitching and bundles
+ *
+ * @module controllers/promotionController
+ */
+
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const pricingService = require('../services/pricingService');
+const {
+  promotionSchema,
+  updatePromotionSchema,
+  cartPricingSchema
+} = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+// Settings kept per type; switching type clears the others
+const TYPE_SETTINGS = {
+  'buy-x-get-y': 'buyXGetY',
+  'tiered-spend': 'tiers',
+  'free-stitching': 'freeStitching',
+  bundle: 'bundle'
+};
+
+/**
+ * Send a 400 for a failed Joi validation
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: error.details.map(detail => detail.message)
+});
+
+/**
+ * Load the promotion from req.params.id, or send the error response
+ */
+const findPromotion = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid promotion ID' });
+    return null;
+  }
+
+  const promotion = await Promotion.findById(req.params.id);
+
+  if (!promotion) {
+    res.status(404).json({ success: false, message: 'Promotion not found' });
+    return null;
+  }
+
+  return promotion;
+};
+
+/**
+ * @desc    List promotions
+ * @route   GET /api/v1/admin/promotions
+ * @query   status (live|scheduled|ended|inactive), type
+ * @access  Private (Admin)
+ */
+exports.getPromotions = async (req, res) => {
+  try {
+    const now = new Date();
+    const filter = {};
+
+    if (req.query.type) filter.type = req.query.type;
+
+    switch (req.query.status) {
+      case 'live':
+        Object.assign(filter, { isActive: true, startDate: { $lte: now }, $or: [{ endDate: null }, { endDate: { $gte: now } }] });
+        break;
+      case 'scheduled':
+        Object.assign(filter, { isActive: true, startDate: { $gt: now } });
+        break;
+      case 'ended':
+        filter.endDate = { $lt: now };
+        break;
+      case 'inactive':
+        filter.isActive = false;
+        break;
+      default:
+        break;
+    }
+
+    const promotions = await Promotion.find(filter).sort({ isActive: -1, priority: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promotions: promotions.map(promotion => ({ ...promotion.toObject(), isLive: promotion.isLive(now) }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getPromotions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions'
+    });
+  }
+};
+
+/**
+ * @desc    Get a promotion
+ * @route   GET /api/v1/admin/promotions/:id
+ * @access  Private (Admin)
+ */
+exports.getPromotionById = async (req, res) => {
+  try {
+    const promotion = await findPromotion(req, res);
+    if (!promotion) return;
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    logger.error('Error in getPromotionById:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotion'
+    });
+  }
+};
+
+/**
+ * @desc    Create a promotion
+ * @route   POST /api/v1/admin/promotions
+ * @access  Private (Admin)
+ */
+exports.createPromotion = async (req, res) => {
+  try {
+    const { error, value } = promotionSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const promotion = await Promotion.create({ ...value, createdBy: req.user._id });
+
+    logger.info(`Promotion created: ${promotion.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created',
+      data: promotion
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Error in createPromotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promotion'
+    });
+  }
+};
+
+/**
+ * @desc    Update a promotion
+ * @route   PUT /api/v1/admin/promotions/:id
+ * @access  Private (Admin)
+ */
+exports.updatePromotion = async (req, res) => {
+  try {
+    const { error, value } = updatePromotionSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const promotion = await findPromotion(req, res);
+    if (!promotion) return;
+
+    if (value.type && value.type !== promotion.type) {
+      Object.entries(TYPE_SETTINGS)
+        .filter(([type]) => type !== value.type)
+        .forEach(([, path]) => promotion.set(path, undefined));
+    }
+
+    promotion.set(value);
+    await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated',
+      data: promotion
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('Error in updatePromotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a promotion; one that orders have used is switched off instead
+ * @route   DELETE /api/v1/admin/promotions/:id
+ * @access  Private (Admin)
+ */
+exports.deletePromotion = async (req, res) => {
+  try {
+    const promotion = await findPromotion(req, res);
+    if (!promotion) return;
+
+    if (promotion.usedCount > 0) {
+      promotion.isActive = false;
+      await promotion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Promotion has been used on orders, so it was switched off instead',
+        data: promotion
+      });
+    }
+
+    await promotion.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted'
+    });
+  } catch (error) {
+    logger.error('Error in deletePromotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion'
+    });
+  }
+};
+
+/**
+ * @desc    Try the live promotions (and optionally a code) against a basket
+ * @route   POST /api/v1/admin/promotions/preview
+ * @access  Private (Admin)
+ */
+exports.previewPricing = async (req, res) => {
+  try {
+    const { error, value } = cartPricingSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const quote = await pricingService.quote({
+      items: value.items || [],
+      promoCode: value.promoCode,
+      shippingCharges: value.shippingCharges
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pricing: quote.pricing,
+        promoCodeError: quote.error
+      }
+    });
+  } catch (error) {
+    logger.error('Error in previewPricing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to price basket'
+    });
+  }
+};
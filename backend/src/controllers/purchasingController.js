@@ -0,0 +1,476 @@
+/**
+ * Purchasing Controller
+ * Suppliers, purchase orders and reorder suggestions for fabric and accessories
+ *
+ * @module controllers/purchasingController
+ */
+
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const FabricInventory = require('../models/FabricInventory');
+const Accessory = require('../models/Accessory');
+const purchasingService = require('../services/purchasingService');
+const {
+  supplierSchema,
+  purchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  receivePurchaseOrderSchema
+} = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Send a 400 for a failed Joi validation
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: error.details.map(detail => detail.message)
+});
+
+/**
+ * Load a document from req.params.id, or send the error response
+ */
+const findById = async (Model, label, req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: `Invalid ${label.toLowerCase()} ID` });
+    return null;
+  }
+
+  const doc = await Model.findById(req.params.id);
+
+  if (!doc) {
+    res.status(404).json({ success: false, message: `${label} not found` });
+    return null;
+  }
+
+  return doc;
+};
+
+/**
+ * Send the outcome of a purchasingService call that returns { valid, error }
+ */
+const sendResult = (res, result, message, status = 200) => {
+  if (!result.valid) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.status(status).json({
+    success: true,
+    message,
+    data: result.movements
+      ? { purchaseOrder: result.purchaseOrder, movements: result.movements }
+      : result.purchaseOrder
+  });
+};
+
+// ============================================================
+// SUPPLIERS
+// ============================================================
+
+/**
+ * @desc    List suppliers
+ * @route   GET /api/v1/admin/purchasing/suppliers
+ * @query   supplies (fabric|accessory), active, search
+ * @access  Private (Admin)
+ */
+exports.getSuppliers = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.supplies) filter.supplies = req.query.supplies;
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+    if (req.query.search) {
+      const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { contactName: pattern }, { city: pattern }];
+    }
+
+    const suppliers = await Supplier.find(filter).sort({ isActive: -1, name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: { suppliers }
+    });
+  } catch (error) {
+    logger.error('Error in getSuppliers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppliers'
+    });
+  }
+};
+
+/**
+ * @desc    Create a supplier
+ * @route   POST /api/v1/admin/purchasing/suppliers
+ * @access  Private (Admin)
+ */
+exports.createSupplier = async (req, res) => {
+  try {
+    const { error, value } = supplierSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const supplier = await Supplier.create({ ...value, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created',
+      data: supplier
+    });
+  } catch (error) {
+    logger.error('Error in createSupplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create supplier'
+    });
+  }
+};
+
+/**
+ * @desc    Update a supplier
+ * @route   PUT /api/v1/admin/purchasing/suppliers/:id
+ * @access  Private (Admin)
+ */
+exports.updateSupplier = async (req, res) => {
+  try {
+    const { error, value } = supplierSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const supplier = await findById(Supplier, 'Supplier', req, res);
+    if (!supplier) return;
+
+    supplier.set(value);
+    await supplier.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated',
+      data: supplier
+    });
+  } catch (error) {
+    logger.error('Error in updateSupplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update supplier'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a supplier, or deactivate it when purchase orders refer to it
+ * @route   DELETE /api/v1/admin/purchasing/suppliers/:id
+ * @access  Private (Admin)
+ */
+exports.deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await findById(Supplier, 'Supplier', req, res);
+    if (!supplier) return;
+
+    const inUse = await PurchaseOrder.exists({ supplier: supplier._id });
+
+    if (inUse) {
+      supplier.isActive = false;
+      await supplier.save();
+    } else {
+      await supplier.deleteOne();
+    }
+
+    // Items reorder from whoever the admin picks next
+    await Promise.all([FabricInventory, Accessory].map(Model => Model.updateMany(
+      { preferredSupplier: supplier._id },
+      { $unset: { preferredSupplier: 1 } }
+    )));
+
+    res.status(200).json({
+      success: true,
+      message: inUse ? 'Supplier has purchase orders, so it was deactivated' : 'Supplier deleted'
+    });
+  } catch (error) {
+    logger.error('Error in deleteSupplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete supplier'
+    });
+  }
+};
+
+// ============================================================
+// PURCHASE ORDERS
+// ============================================================
+
+/**
+ * @desc    List purchase orders, newest first
+ * @route   GET /api/v1/admin/purchasing/purchase-orders
+ * @query   status (comma separated), supplier, overdue, page, limit
+ * @access  Private (Admin)
+ */
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const filter = {};
+
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.supplier) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.supplier)) {
+        return res.status(400).json({ success: false, message: 'Invalid supplier ID' });
+      }
+      filter.supplier = req.query.supplier;
+    }
+    if (req.query.overdue === 'true') {
+      filter.status = { $in: ['ordered', 'partially-received'] };
+      filter.expectedDate = { $lt: new Date() };
+    }
+
+    const [purchaseOrders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('supplier', 'name phone'),
+      PurchaseOrder.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchaseOrders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getPurchaseOrders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders'
+    });
+  }
+};
+
+/**
+ * @desc    Get a purchase order with its deliveries
+ * @route   GET /api/v1/admin/purchasing/purchase-orders/:id
+ * @access  Private (Admin)
+ */
+exports.getPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findById(PurchaseOrder, 'Purchase order', req, res);
+    if (!purchaseOrder) return;
+
+    await purchaseOrder.populate([
+      { path: 'supplier' },
+      { path: 'receipts.receivedBy', select: 'fullName' },
+      { path: 'createdBy', select: 'fullName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    logger.error('Error in getPurchaseOrder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order'
+    });
+  }
+};
+
+/**
+ * @desc    Create a draft purchase order
+ * @route   POST /api/v1/admin/purchasing/purchase-orders
+ * @access  Private (Admin)
+ */
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const { error, value } = purchaseOrderSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const result = await purchasingService.createPurchaseOrder(value, req.user);
+    sendResult(res, result, 'Purchase order drafted', 201);
+  } catch (error) {
+    logger.error('Error in createPurchaseOrder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create purchase order'
+    });
+  }
+};
+
+/**
+ * @desc    Edit a draft purchase order
+ * @route   PUT /api/v1/admin/purchasing/purchase-orders/:id
+ * @access  Private (Admin)
+ */
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const { error, value } = updatePurchaseOrderSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const purchaseOrder = await findById(PurchaseOrder, 'Purchase order', req, res);
+    if (!purchaseOrder) return;
+
+    const result = await purchasingService.updateDraft(purchaseOrder, value);
+    sendResult(res, result, 'Purchase order updated');
+  } catch (error) {
+    logger.error('Error in updatePurchaseOrder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update purchase order'
+    });
+  }
+};
+
+/**
+ * @desc    Mark a draft as sent to the supplier
+ * @route   POST /api/v1/admin/purchasing/purchase-orders/:id/place
+ * @body    { expectedDate? }
+ * @access  Private (Admin)
+ */
+exports.placePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findById(PurchaseOrder, 'Purchase order', req, res);
+    if (!purchaseOrder) return;
+
+    const expectedDate = req.body.expectedDate ? new Date(req.body.expectedDate) : undefined;
+    if (expectedDate && isNaN(expectedDate.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid expected date' });
+    }
+
+    const result = await purchasingService.placeOrder(purchaseOrder, { expectedDate });
+    sendResult(res, result, `${purchaseOrder.poNumber} placed with ${purchaseOrder.supplierName}`);
+  } catch (error) {
+    logger.error('Error in placePurchaseOrder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place purchase order'
+    });
+  }
+};
+
+/**
+ * @desc    Receive a full or partial delivery into stock
+ * @route   POST /api/v1/admin/purchasing/purchase-orders/:id/receive
+ * @access  Private (Admin)
+ */
+exports.receivePurchaseOrder = async (req, res) => {
+  try {
+    const { error, value } = receivePurchaseOrderSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const purchaseOrder = await findById(PurchaseOrder, 'Purchase order', req, res);
+    if (!purchaseOrder) return;
+
+    const result = await purchasingService.receive(purchaseOrder, value, req.user);
+
+    if (result.valid) {
+      logger.info(`Delivery received on ${purchaseOrder.poNumber} by ${req.user.email}: ${result.movements.length} item(s)`);
+    }
+
+    sendResult(res, result, purchaseOrder.status === 'received'
+      ? `${purchaseOrder.poNumber} received in full`
+      : `Delivery recorded on ${purchaseOrder.poNumber}`);
+  } catch (error) {
+    logger.error('Error in receivePurchaseOrder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive purchase order'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a purchase order
+ * @route   POST /api/v1/admin/purchasing/purchase-orders/:id/cancel
+ * @body    { reason? }
+ * @access  Private (Admin)
+ */
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findById(PurchaseOrder, 'Purchase order', req, res);
+    if (!purchaseOrder) return;
+
+    const result = await purchasingService.cancel(purchaseOrder, req.body.reason);
+    sendResult(res, result, `${purchaseOrder.poNumber} cancelled`);
+  } catch (error) {
+    logger.error('Error in cancelPurchaseOrder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel purchase order'
+    });
+  }
+};
+
+// ============================================================
+// REORDER SUGGESTIONS
+// ============================================================
+
+/**
+ * @desc    Fabric and accessories at their reorder point, by supplier
+ * @route   GET /api/v1/admin/purchasing/reorder-suggestions
+ * @access  Private (Admin)
+ */
+exports.getReorderSuggestions = async (req, res) => {
+  try {
+    const suggestions = await purchasingService.getReorderSuggestions();
+
+    res.status(200).json({
+      success: true,
+      data: { suggestions }
+    });
+  } catch (error) {
+    logger.error('Error in getReorderSuggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reorder suggestions'
+    });
+  }
+};
+
+/**
+ * @desc    Draft a purchase order from a supplier's reorder suggestions
+ * @route   POST /api/v1/admin/purchasing/reorder-suggestions/draft
+ * @body    { supplier }
+ * @access  Private (Admin)
+ */
+exports.draftFromSuggestions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body.supplier)) {
+      return res.status(400).json({ success: false, message: 'Invalid supplier ID' });
+    }
+
+    const result = await purchasingService.draftFromSuggestions(req.body.supplier, req.user);
+    sendResult(res, result, 'Purchase order drafted', 201);
+  } catch (error) {
+    logger.error('Error in draftFromSuggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to draft purchase order'
+    });
+  }
+};
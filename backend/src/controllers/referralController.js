@@ -1,38 +1,38 @@
+const mongoose = require('mongoose');
 const Referral = require('../models/Referral');
-const User = require('../models/User');
-const Order = require('../models/Order');
-const LoyaltyAccount = require('../models/LoyaltyPoints');
-const { AppError } = require('../utils/AppError');
+const referralService = require('../services/referralService');
+const { applyReferralSchema, referralReviewSchema } = require('../utils/validationSchemas');
 const logger = require('../utils/logger');
 
 /**
- * Generate referral code for user
+ * Referral Controller
+ * Customers share their code and apply someone else's; referrals complete
+ * by themselves once the new customer's first order is delivered.
+ * Admins see the leaderboard and review referrals flagged as possible abuse
  */
-exports.generateCode = async (req, res) => {
-  try {
-    const userId = req.user._id;
 
-    // Check if user already has a pending referral code
-    let referral = await Referral.findOne({
-      referrerId: userId,
-      status: 'pending'
-    });
+const MAX_PAGE_SIZE = 100;
 
-    if (!referral) {
-      // Generate new code
-      const code = Referral.generateCode(userId);
-      referral = await Referral.create({
-        referrerId: userId,
-        referralCode: code,
-        status: 'pending'
-      });
-    }
+/**
+ * Get the user's referral code (created on first use)
+ */
+exports.generateCode = async (req, res) => {
+  try {
+    const [referralCode, rules] = await Promise.all([
+      referralService.getCode(req.user, req.get('X-Device-Id')),
+      referralService.getRules()
+    ]);
 
     res.status(200).json({
       success: true,
       data: {
-        referralCode: referral.referralCode,
-        referral
+        referralCode,
+        rewards: {
+          enabled: rules.enabled,
+          method: rules.rewardMethod,
+          referrer: rules.referrerReward,
+          referee: rules.refereeReward
+        }
       }
     });
   } catch (error) {
@@ -53,11 +53,12 @@ exports.getStats = async (req, res) => {
 
     const [referrals, totalEarned] = await Promise.all([
       Referral.find({ referrerId: userId })
-        .populate('refereeId', 'fullName email')
-        .populate('triggerOrderId', 'orderNumber total')
+        .select('-signals -fraud')
+        .populate('refereeId', 'fullName')
+        .populate('triggerOrderId', 'orderNumber')
         .sort('-createdAt'),
       Referral.aggregate([
-        { $match: { referrerId: userId } },
+        { $match: { referrerId: userId, 'referrerReward.status': 'credited' } },
         {
           $group: {
             _id: null,
@@ -70,7 +71,8 @@ exports.getStats = async (req, res) => {
     const stats = {
       totalReferrals: referrals.length,
       completedReferrals: referrals.filter(r => r.status === 'completed').length,
-      pendingReferrals: referrals.filter(r => r.status === 'pending').length,
+      // Flagged referrals are still waiting, as far as the customer is concerned
+      pendingReferrals: referrals.filter(r => r.status === 'pending' || r.status === 'flagged').length,
       totalEarned: totalEarned[0]?.total || 0,
       referrals
     };
@@ -89,58 +91,44 @@ exports.getStats = async (req, res) => {
 };
 
 /**
- * Apply referral code (during registration or checkout)
+ * Apply referral code (new customers, before their first order)
  */
 exports.applyCode = async (req, res) => {
   try {
-    const { code } = req.body;
-    const userId = req.user._id;
+    const { error, value } = applyReferralSchema.validate(req.body, { abortEarly: false });
 
-    if (!code) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Referral code is required'
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
       });
     }
 
-    // Find referral
-    const referral = await Referral.findByCode(code);
-    if (!referral) {
-      return res.status(404).json({
-        success: false,
-        message: 'Invalid referral code'
-      });
-    }
-
-    // Check if user is trying to use their own code
-    if (referral.referrerId.toString() === userId.toString()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot use your own referral code'
-      });
-    }
-
-    // Check if user already used this code
-    const existingReferral = await Referral.findOne({
-      refereeId: userId,
-      referralCode: code
+    const result = await referralService.apply({
+      referee: req.user,
+      code: value.code,
+      deviceId: req.get('X-Device-Id'),
+      ip: req.ip
     });
 
-    if (existingReferral) {
-      return res.status(400).json({
+    if (!result.valid) {
+      return res.status(result.status || 400).json({
         success: false,
-        message: 'Referral code already used'
+        message: result.error
       });
     }
 
-    // Update referral with referee
-    referral.refereeId = userId;
-    await referral.save();
-
     res.status(200).json({
       success: true,
       message: 'Referral code applied successfully',
-      data: { referral }
+      data: {
+        referral: {
+          _id: result.referral._id,
+          referralCode: result.referral.referralCode,
+          reward: result.referral.refereeReward
+        }
+      }
     });
   } catch (error) {
     logger.error('Error applying referral code:', error);
@@ -151,85 +139,108 @@ exports.applyCode = async (req, res) => {
   }
 };
 
+// ============================================
+// ADMIN
+// ============================================
+
+/**
+ * @desc    Top referrers by completed referrals
+ * @route   GET /api/v1/referrals/admin/leaderboard
+ * @access  Private (Admin)
+ */
+exports.getLeaderboard = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const leaderboard = await referralService.getLeaderboard({ days, limit });
+
+    res.status(200).json({
+      success: true,
+      data: { days, leaderboard }
+    });
+  } catch (error) {
+    logger.error('Error in getLeaderboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referral leaderboard',
+      error: error.message
+    });
+  }
+};
+
 /**
- * Complete referral (when referee places first order)
+ * @desc    Referrals flagged as possible abuse (or rejected ones)
+ * @route   GET /api/v1/referrals/admin/flagged
+ * @access  Private (Admin)
  */
-exports.completeReferral = async (req, res) => {
+exports.getFlagged = async (req, res) => {
   try {
-    const { orderId } = req.body;
+    const status = req.query.status === 'rejected' ? 'rejected' : 'flagged';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const result = await referralService.getFlagged({ status, page, limit });
 
-    if (!orderId) {
+    res.status(200).json({
+      success: true,
+      data: result.referrals,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error in getFlagged:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch flagged referrals',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Approve or reject a flagged referral
+ * @route   PUT /api/v1/referrals/admin/:id/review
+ * @access  Private (Admin)
+ */
+exports.reviewReferral = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: 'Order ID is required'
+        message: 'Invalid referral ID'
       });
     }
 
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({
+    const { error, value } = referralReviewSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Order not found'
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
       });
     }
 
-    // Find referral for this order's customer
-    const referral = await Referral.findOne({
-      refereeId: order.customer || order.customerInfo?.userId,
-      status: 'pending'
-    });
+    const result = await referralService.review(req.params.id, value, req.user);
 
-    if (!referral) {
-      return res.status(404).json({
+    if (!result.valid) {
+      return res.status(result.status || 400).json({
         success: false,
-        message: 'No pending referral found'
+        message: result.error
       });
     }
 
-    // Update referral
-    referral.status = 'completed';
-    referral.triggerOrderId = orderId;
-    referral.completedAt = new Date();
-
-    // Credit rewards (Rs.500 each)
-    const rewardAmount = 500;
-    const expiryDate = new Date();
-    expiryDate.setMonth(expiryDate.getMonth() + 6); // 6 months expiry
-
-    // Credit referrer
-    referral.referrerReward.status = 'credited';
-    referral.referrerReward.creditedAt = new Date();
-    referral.referrerReward.expiresAt = expiryDate;
-
-    // Credit referee
-    referral.refereeReward.status = 'credited';
-    referral.refereeReward.creditedAt = new Date();
-    referral.refereeReward.expiresAt = expiryDate;
-
-    await referral.save();
-
-    // Add to loyalty accounts
-    const [referrerAccount, refereeAccount] = await Promise.all([
-      LoyaltyAccount.getOrCreate(referral.referrerId),
-      LoyaltyAccount.getOrCreate(referral.refereeId)
-    ]);
-
-    await Promise.all([
-      referrerAccount.addPoints(rewardAmount, 'referral', orderId),
-      refereeAccount.addPoints(rewardAmount, 'referral', orderId)
-    ]);
-
     res.status(200).json({
       success: true,
-      message: 'Referral completed and rewards credited',
-      data: { referral }
+      message: value.decision === 'approve' ? 'Referral approved' : 'Referral rejected',
+      data: result.referral
     });
   } catch (error) {
-    logger.error('Error completing referral:', error);
+    logger.error('Error in reviewReferral:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to complete referral'
+      message: 'Failed to review referral',
+      error: error.message
     });
   }
 };
-
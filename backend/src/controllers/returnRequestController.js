@@ -0,0 +1,488 @@
+/**
+ * Return Request Controller
+ * Customer alteration/return/exchange requests after delivery and the
+ * admin workflow to review, collect and resolve them
+ *
+ * @module controllers/returnRequestController
+ */
+
+const mongoose = require('mongoose');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const returnRequestService = require('../services/returnRequestService');
+const {
+  createReturnRequestSchema,
+  reviewReturnRequestSchema,
+  returnPickupSchema,
+  resolveReturnRequestSchema
+} = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+// Rounding tolerance when comparing a refund to the amount paid
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Send a Joi validation error response
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: error.details.map(detail => detail.message)
+});
+
+/**
+ * Load the request from req.params.id, or send the error response
+ */
+const findReturnRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid return request ID' });
+    return null;
+  }
+
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+
+  if (!returnRequest) {
+    res.status(404).json({ success: false, message: 'Return request not found' });
+    return null;
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Load the request and its order for an admin action
+ * @returns {Object|null} { returnRequest, order }
+ */
+const findWithOrder = async (req, res) => {
+  const returnRequest = await findReturnRequest(req, res);
+  if (!returnRequest) return null;
+
+  const order = await Order.findById(returnRequest.order);
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return null;
+  }
+
+  return { returnRequest, order };
+};
+
+/**
+ * Reject an action the request's current status doesn't allow
+ * @returns {boolean} Whether a response was sent
+ */
+const rejectTransition = (res, returnRequest, status) => {
+  if (returnRequest.canTransitionTo(status)) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Cannot move a ${returnRequest.status} request to ${status}`
+  });
+  return true;
+};
+
+// ============================================================
+// CUSTOMER OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Request an alteration, return or exchange for a delivered order
+ * @route   POST /api/v1/returns
+ * @access  Private (Customer)
+ */
+exports.createReturnRequest = async (req, res) => {
+  try {
+    const { error, value } = createReturnRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) return sendValidationError(res, error);
+
+    const order = await Order.findOne({ _id: value.orderId, isDeleted: false });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.customer?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to request a return for this order'
+      });
+    }
+
+    const eligibilityError = await returnRequestService.getEligibilityError(order, value);
+    if (eligibilityError) {
+      return res.status(400).json({
+        success: false,
+        message: eligibilityError
+      });
+    }
+
+    const returnRequest = await returnRequestService.createRequest(order, value, req.user);
+
+    logger.info(`Return request ${returnRequest.requestNumber} opened for ${order.orderNumber}`, {
+      type: returnRequest.type,
+      reason: returnRequest.reason,
+      customer: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Request submitted. We will review it within 48 hours.',
+      data: { returnRequest }
+    });
+  } catch (error) {
+    logger.error('Error in createReturnRequest:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit request'
+    });
+  }
+};
+
+/**
+ * @desc    Get own return requests
+ * @route   GET /api/v1/returns/mine
+ * @access  Private (Customer)
+ */
+exports.getMyReturnRequests = async (req, res) => {
+  try {
+    const returnRequests = await ReturnRequest.find({ customer: req.user._id })
+      .select('-review.reviewedBy')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { returnRequests }
+    });
+  } catch (error) {
+    logger.error('Error in getMyReturnRequests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return requests'
+    });
+  }
+};
+
+/**
+ * @desc    Get a single return request
+ * @route   GET /api/v1/returns/:id
+ * @access  Private (Owner or Admin)
+ */
+exports.getReturnRequest = async (req, res) => {
+  try {
+    const returnRequest = await findReturnRequest(req, res);
+    if (!returnRequest) return;
+
+    if (req.user.role !== 'admin' && returnRequest.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this request'
+      });
+    }
+
+    if (req.user.role === 'admin') {
+      await returnRequest.populate([
+        { path: 'customer', select: 'fullName email phone' },
+        { path: 'productionQueue', select: 'status assignedTailor priority' }
+      ]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { returnRequest }
+    });
+  } catch (error) {
+    logger.error('Error in getReturnRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return request'
+    });
+  }
+};
+
+/**
+ * @desc    Withdraw a request before the item is collected
+ * @route   POST /api/v1/returns/:id/cancel
+ * @access  Private (Owner)
+ */
+exports.cancelReturnRequest = async (req, res) => {
+  try {
+    const returnRequest = await findReturnRequest(req, res);
+    if (!returnRequest) return;
+
+    if (returnRequest.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this request'
+      });
+    }
+
+    if (rejectTransition(res, returnRequest, 'cancelled')) return;
+
+    await returnRequestService.cancelRequest(returnRequest, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Request cancelled',
+      data: { returnRequest }
+    });
+  } catch (error) {
+    logger.error('Error in cancelReturnRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel request'
+    });
+  }
+};
+
+// ============================================================
+// ADMIN OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Get return requests with filters (defaults to open requests)
+ * @route   GET /api/v1/returns/admin
+ * @access  Private (Admin)
+ */
+exports.getAllReturnRequests = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = 'open',
+      type,
+      search
+    } = req.query;
+
+    const filter = {};
+    if (status === 'open') {
+      filter.status = { $in: ReturnRequest.OPEN_STATUSES };
+    } else if (status !== 'all') {
+      filter.status = status;
+    }
+    if (type) filter.type = type;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ requestNumber: pattern }, { orderNumber: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [returnRequests, total, counts] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('customer', 'fullName email phone')
+        .populate('productionQueue', 'status assignedTailor')
+        .sort({ createdAt: status === 'open' ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ReturnRequest.countDocuments(filter),
+      ReturnRequest.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const summary = {};
+    counts.forEach(({ _id, count }) => { summary[_id] = count; });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        returnRequests,
+        summary,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getAllReturnRequests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return requests'
+    });
+  }
+};
+
+/**
+ * @desc    Approve or reject a request
+ * @route   PUT /api/v1/returns/admin/:id/review
+ * @access  Private (Admin)
+ */
+exports.reviewReturnRequest = async (req, res) => {
+  try {
+    const { error, value } = reviewReturnRequestSchema.validate(req.body);
+    if (error) return sendValidationError(res, error);
+
+    const found = await findWithOrder(req, res);
+    if (!found) return;
+    const { returnRequest, order } = found;
+
+    if (rejectTransition(res, returnRequest, value.approved ? 'approved' : 'rejected')) return;
+
+    await returnRequestService.reviewRequest(returnRequest, order, value, req.user);
+
+    logger.info(`Return request ${returnRequest.requestNumber} ${returnRequest.status}`, {
+      reviewedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Request ${returnRequest.status}`,
+      data: { returnRequest }
+    });
+  } catch (error) {
+    logger.error('Error in reviewReturnRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review request'
+    });
+  }
+};
+
+/**
+ * @desc    Book a courier pickup
+ * @route   PUT /api/v1/returns/admin/:id/pickup
+ * @access  Private (Admin)
+ */
+exports.schedulePickup = async (req, res) => {
+  try {
+    const { error, value } = returnPickupSchema.validate(req.body, { abortEarly: false });
+    if (error) return sendValidationError(res, error);
+
+    const found = await findWithOrder(req, res);
+    if (!found) return;
+    const { returnRequest, order } = found;
+
+    if (rejectTransition(res, returnRequest, 'pickup-scheduled')) return;
+
+    await returnRequestService.schedulePickup(returnRequest, order, value, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pickup scheduled',
+      data: { returnRequest }
+    });
+  } catch (error) {
+    logger.error('Error in schedulePickup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule pickup'
+    });
+  }
+};
+
+/**
+ * @desc    Mark the item as received (alterations go to the production queue)
+ * @route   PUT /api/v1/returns/admin/:id/receive
+ * @access  Private (Admin)
+ */
+exports.markReceived = async (req, res) => {
+  try {
+    const found = await findWithOrder(req, res);
+    if (!found) return;
+    const { returnRequest, order } = found;
+
+    if (rejectTransition(res, returnRequest, 'received')) return;
+
+    await returnRequestService.markReceived(returnRequest, order, { notes: req.body.notes }, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: returnRequest.status === 'in-production'
+        ? 'Item received and sent to the production queue'
+        : 'Item received',
+      data: { returnRequest }
+    });
+  } catch (error) {
+    logger.error('Error in markReceived:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark item as received'
+    });
+  }
+};
+
+/**
+ * @desc    Resolve a request with a refund, store credit, exchange or completed alteration
+ * @route   PUT /api/v1/returns/admin/:id/resolve
+ * @access  Private (Admin)
+ */
+exports.resolveReturnRequest = async (req, res) => {
+  try {
+    const { error, value } = resolveReturnRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) return sendValidationError(res, error);
+
+    const found = await findWithOrder(req, res);
+    if (!found) return;
+    const { returnRequest, order } = found;
+
+    if (rejectTransition(res, returnRequest, 'resolved')) return;
+
+    if (!ReturnRequest.RESOLUTIONS[returnRequest.type].includes(value.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${returnRequest.type} request can't be resolved with ${value.type}`
+      });
+    }
+
+    if (value.type === 'altered' && returnRequest.productionQueue) {
+      await returnRequest.populate('productionQueue', 'status');
+      if (!['ready-for-shipment', 'completed'].includes(returnRequest.productionQueue?.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The alteration is still in production'
+        });
+      }
+    }
+
+    if (['refund', 'store-credit'].includes(value.type)) {
+      const refundable = returnRequestService.getRefundableAmount(order);
+      if (value.amount > refundable + AMOUNT_TOLERANCE) {
+        return res.status(400).json({
+          success: false,
+          message: `Refund exceeds the refundable amount of PKR ${refundable.toLocaleString()}`
+        });
+      }
+    }
+
+    const resolved = await returnRequestService.resolveRequest(returnRequest, order, value, req.user);
+    if (!resolved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request has already been resolved'
+      });
+    }
+
+    logger.info(`Return request ${returnRequest.requestNumber} resolved`, {
+      resolution: value.type,
+      amount: value.amount,
+      processedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Request resolved',
+      data: { returnRequest }
+    });
+  } catch (error) {
+    logger.error('Error in resolveReturnRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve request'
+    });
+  }
+};
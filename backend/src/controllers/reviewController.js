@@ -1,6 +1,7 @@
 const Review = require('../models/Review');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const loyaltyService = require('../services/loyaltyService');
 const asyncHandler = require('express-async-handler');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
@@ -469,6 +470,7 @@ exports.approveReview = asyncHandler(async (req, res) => {
   }
 
   await review.approve(req.user._id);
+  await loyaltyService.awardForReview(review);
 
   res.status(200).json({
     success: true,
@@ -558,7 +560,9 @@ exports.bulkApprove = asyncHandler(async (req, res) => {
     reviewIds.map(async (reviewId) => {
       const review = await Review.findById(reviewId);
       if (review && review.status !== 'approved') {
-        return review.approve(req.user._id);
+        await review.approve(req.user._id);
+        await loyaltyService.awardForReview(review);
+        return review;
       }
       return null;
     })
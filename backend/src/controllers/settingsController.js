@@ -1,6 +1,7 @@
 // backend/src/controllers/settingsController.js
 
 const Settings = require('../models/Settings');
+const { loyaltySettingsSchema, referralSettingsSchema } = require('../utils/validationSchemas');
 
 /**
  * Settings Controller
@@ -41,7 +42,6 @@ exports.getPublicSettings = async (req, res) => {
         freeShippingThreshold: settings.shipping.freeShippingThreshold,
         defaultShippingCost: settings.shipping.defaultShippingCost,
         estimatedDeliveryDays: settings.shipping.estimatedDeliveryDays,
-        shippingZones: settings.shipping.shippingZones,
         shippingMethods: settings.shipping.shippingMethods
       },
       payment: {
@@ -58,8 +58,19 @@ exports.getPublicSettings = async (req, res) => {
         onlinePayment: {
           enabled: settings.payment.onlinePayment.enabled,
           gateway: settings.payment.onlinePayment.gateway
+        },
+        deposit: {
+          enabled: settings.payment.deposit.enabled,
+          fullyCustom: settings.payment.deposit.fullyCustom,
+          brandArticleCopy: settings.payment.deposit.brandArticleCopy,
+          readyMade: settings.payment.deposit.readyMade
         }
       },
+      returns: {
+        enabled: settings.orders.returns.enabled,
+        windowDays: settings.orders.returns.windowDays,
+        freeAlterations: settings.orders.returns.freeAlterations
+      },
       seo: {
         defaultMetaTitle: settings.seo.defaultMetaTitle,
         defaultMetaDescription: settings.seo.defaultMetaDescription,
@@ -68,6 +79,19 @@ exports.getPublicSettings = async (req, res) => {
         facebookPixelId: settings.seo.facebookPixelId,
         twitterHandle: settings.seo.twitterHandle
       },
+      loyalty: {
+        enabled: settings.loyalty.enabled,
+        earning: settings.loyalty.earning,
+        expiryMonths: settings.loyalty.expiryMonths,
+        redemption: settings.loyalty.redemption,
+        tiers: settings.loyalty.tiers
+      },
+      referrals: {
+        enabled: settings.referrals.enabled,
+        rewardMethod: settings.referrals.rewardMethod,
+        referrerReward: settings.referrals.referrerReward,
+        refereeReward: settings.referrals.refereeReward
+      },
       features: {
         customOrders: settings.features.customOrders,
         guestCheckout: settings.features.guestCheckout,
@@ -430,6 +454,119 @@ exports.updateOrderSettings = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Update loyalty earning rules, expiry, redemption limits and tiers
+ * @route   PUT /api/admin/settings/loyalty
+ * @access  Private (Admin)
+ */
+exports.updateLoyaltySettings = async (req, res) => {
+  try {
+    const { error, value } = loyaltySettingsSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    let settings = await Settings.findOne();
+
+    if (!settings) {
+      settings = await Settings.create({});
+    }
+
+    // Merge each group so a partial update keeps the other rules
+    Object.entries(value).forEach(([key, entry]) => {
+      if (key === 'earning' || key === 'redemption') {
+        Object.assign(settings.loyalty[key], entry);
+      } else {
+        settings.loyalty[key] = entry;
+      }
+    });
+    settings.lastUpdatedBy = req.user._id;
+
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: settings.loyalty,
+      message: 'Loyalty settings updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating loyalty settings:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update loyalty settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update referral rewards and the monthly referrer cap
+ * @route   PUT /api/admin/settings/referrals
+ * @access  Private (Admin)
+ */
+exports.updateReferralSettings = async (req, res) => {
+  try {
+    const { error, value } = referralSettingsSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    let settings = await Settings.findOne();
+
+    if (!settings) {
+      settings = await Settings.create({});
+    }
+
+    Object.assign(settings.referrals, value);
+    settings.lastUpdatedBy = req.user._id;
+
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: settings.referrals,
+      message: 'Referral settings updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating referral settings:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update referral settings',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Update feature toggles
  * @route   PUT /api/admin/settings/features
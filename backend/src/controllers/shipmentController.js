@@ -0,0 +1,167 @@
+/**
+ * Shipment Controller
+ * Courier bookings for orders: booking, airway bill labels and tracking sync
+ *
+ * @module controllers/shipmentController
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const shipmentService = require('../services/shipmentService');
+const { bookShipmentSchema } = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+/**
+ * Load the order from req.params.id, or send the error response
+ */
+const findOrder = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid order ID' });
+    return null;
+  }
+
+  const order = await Order.findOne({ _id: req.params.id, isDeleted: false });
+
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return null;
+  }
+
+  return order;
+};
+
+/**
+ * @desc    List couriers that can book shipments
+ * @route   GET /api/v1/admin/orders/couriers
+ * @access  Private (Admin)
+ */
+exports.getCouriers = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { couriers: shipmentService.getCouriers() }
+  });
+};
+
+/**
+ * @desc    Book a courier shipment and dispatch the order
+ * @route   POST /api/v1/admin/orders/:id/shipment
+ * @access  Private (Admin)
+ */
+exports.bookShipment = async (req, res) => {
+  try {
+    const { error, value } = bookShipmentSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    let result;
+    try {
+      result = await shipmentService.bookShipment(order, value, req.user);
+    } catch (bookingError) {
+      logger.error(`Courier booking failed for ${order.orderNumber}:`, bookingError);
+      return res.status(502).json({
+        success: false,
+        message: bookingError.message
+      });
+    }
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        data: result.data
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment booked',
+      data: {
+        order: result.order,
+        tracking: result.order.tracking
+      }
+    });
+  } catch (error) {
+    logger.error('Error in bookShipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book shipment'
+    });
+  }
+};
+
+/**
+ * @desc    Download the airway bill / shipping label
+ * @route   GET /api/v1/admin/orders/:id/shipment/label
+ * @access  Private (Admin)
+ */
+exports.downloadLabel = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    if (!order.tracking?.trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has no shipment booked'
+      });
+    }
+
+    const pdfBuffer = await shipmentService.getLabel(order);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=label-${order.orderNumber}.pdf`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    logger.error('Error in downloadLabel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate shipping label'
+    });
+  }
+};
+
+/**
+ * @desc    Pull the latest courier tracking into the order now
+ * @route   POST /api/v1/admin/orders/:id/shipment/sync
+ * @access  Private (Admin)
+ */
+exports.syncShipment = async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    const result = await shipmentService.syncShipment(order);
+
+    if (!result.synced) {
+      return res.status(order.tracking?.courier ? 502 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.changed ? 'Tracking updated' : 'No new tracking updates',
+      data: {
+        ...result,
+        tracking: order.tracking
+      }
+    });
+  } catch (error) {
+    logger.error('Error in syncShipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync tracking'
+    });
+  }
+};
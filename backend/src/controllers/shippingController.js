@@ -0,0 +1,260 @@
+/**
+ * Shipping Controller
+ * Shipping quotes for checkout and admin management of shipping zones
+ * and their rates
+ *
+ * @module controllers/shippingController
+ */
+
+const mongoose = require('mongoose');
+const ShippingZone = require('../models/ShippingZone');
+const shippingService = require('../services/shippingService');
+const { getAvailableCouriers } = require('../services/couriers');
+const {
+  shippingZoneSchema,
+  shippingQuoteSchema
+} = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+/**
+ * Send a 400 for a failed Joi validation
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: error.details.map(detail => detail.message)
+});
+
+/**
+ * Load the zone from req.params.id, or send the error response
+ */
+const findZone = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid zone ID' });
+    return null;
+  }
+
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    res.status(404).json({ success: false, message: 'Shipping zone not found' });
+    return null;
+  }
+
+  return zone;
+};
+
+/**
+ * Only one default zone per scope: clear the flag on the others
+ */
+const clearOtherDefaults = async (zone) => {
+  if (!zone.isDefault) return;
+
+  await ShippingZone.updateMany(
+    { _id: { $ne: zone._id }, scope: zone.scope, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+};
+
+// ============================================================
+// PUBLIC OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Shipping options and cost for an address and items
+ * @route   POST /api/v1/shipping/quote
+ * @access  Public (loyalty free shipping needs login)
+ */
+exports.getQuote = async (req, res) => {
+  try {
+    const { error, value } = shippingQuoteSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const quote = await shippingService.getQuote({
+      address: value.address,
+      items: value.items || [],
+      rateId: value.shippingRate,
+      promoCode: value.promoCode,
+      user: req.user
+    });
+
+    if (!quote.available) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    logger.error('Error in getQuote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate shipping'
+    });
+  }
+};
+
+// ============================================================
+// ADMIN OPERATIONS
+// ============================================================
+
+/**
+ * @desc    List shipping zones
+ * @route   GET /api/v1/shipping/admin/zones
+ * @access  Private (Admin)
+ */
+exports.getZones = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.scope) filter.scope = req.query.scope;
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const zones = await ShippingZone.find(filter)
+      .sort({ scope: 1, isDefault: 1, priority: -1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        zones,
+        couriers: getAvailableCouriers().map(courier => ({
+          name: courier.name,
+          displayName: courier.displayName
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getZones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shipping zones'
+    });
+  }
+};
+
+/**
+ * @desc    Get a shipping zone
+ * @route   GET /api/v1/shipping/admin/zones/:id
+ * @access  Private (Admin)
+ */
+exports.getZone = async (req, res) => {
+  try {
+    const zone = await findZone(req, res);
+    if (!zone) return;
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Error in getZone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shipping zone'
+    });
+  }
+};
+
+/**
+ * @desc    Create a shipping zone
+ * @route   POST /api/v1/shipping/admin/zones
+ * @access  Private (Admin)
+ */
+exports.createZone = async (req, res) => {
+  try {
+    const { error, value } = shippingZoneSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const zone = await ShippingZone.create({
+      ...value,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    await clearOtherDefaults(zone);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created',
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Error in createZone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shipping zone'
+    });
+  }
+};
+
+/**
+ * @desc    Update a shipping zone (rates are replaced as a whole)
+ * @route   PUT /api/v1/shipping/admin/zones/:id
+ * @access  Private (Admin)
+ */
+exports.updateZone = async (req, res) => {
+  try {
+    const { error, value } = shippingZoneSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const zone = await findZone(req, res);
+    if (!zone) return;
+
+    zone.set({ ...value, updatedBy: req.user._id });
+    await zone.save();
+
+    await clearOtherDefaults(zone);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone updated',
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Error in updateZone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shipping zone'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a shipping zone
+ * Orders keep the zone name they were placed with
+ * @route   DELETE /api/v1/shipping/admin/zones/:id
+ * @access  Private (Admin)
+ */
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await findZone(req, res);
+    if (!zone) return;
+
+    await zone.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone deleted'
+    });
+  } catch (error) {
+    logger.error('Error in deleteZone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete shipping zone'
+    });
+  }
+};
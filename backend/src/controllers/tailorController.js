@@ -0,0 +1,321 @@
+/**
+ * Tailor Controller
+ * Manages tailor records and workload for admin
+ */
+
+const Tailor = require('../models/Tailor');
+const ProductionQueue = require('../models/ProductionQueue');
+const logger = require('../utils/logger');
+
+// Fields admins may set directly; capacity.currentOrders and performance are system-managed
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'whatsapp', 'specializations', 'status', 'availability', 'notes'];
+
+/**
+ * Pick editable fields from request body
+ */
+const pickTailorFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (body.capacity) {
+    const { maxOrdersPerDay, estimatedCompletionDays } = body.capacity;
+    if (maxOrdersPerDay !== undefined) data['capacity.maxOrdersPerDay'] = maxOrdersPerDay;
+    if (estimatedCompletionDays !== undefined) data['capacity.estimatedCompletionDays'] = estimatedCompletionDays;
+  }
+
+  return data;
+};
+
+/**
+ * Send a 400 for mongoose validation / duplicate key errors
+ * @returns {boolean} true if the error was handled
+ */
+const handleWriteError = (error, res) => {
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A tailor with this email already exists'
+    });
+    return true;
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * @desc    Get all tailors with filters
+ * @route   GET /api/v1/admin/tailors
+ * @access  Private (Admin)
+ */
+exports.getAllTailors = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      specialization,
+      search,
+      sortBy = 'name'
+    } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (specialization) filter.specializations = specialization;
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [tailors, total] = await Promise.all([
+      Tailor.find(filter)
+        .sort(sortBy)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Tailor.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tailors,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getAllTailors:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tailors',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get today's workload across active tailors
+ * @route   GET /api/v1/admin/tailors/workload
+ * @access  Private (Admin)
+ */
+exports.getWorkload = async (req, res) => {
+  try {
+    const tailors = await Tailor.find({ status: 'active' }).sort('name');
+    const dayKey = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][new Date().getDay()];
+
+    const workload = tailors.map(tailor => ({
+      _id: tailor._id,
+      name: tailor.name,
+      specializations: tailor.specializations,
+      availableToday: tailor.availability?.[dayKey]?.available !== false,
+      currentOrders: tailor.capacity.currentOrders,
+      maxOrdersPerDay: tailor.capacity.maxOrdersPerDay,
+      remainingCapacity: Math.max(0, tailor.capacity.maxOrdersPerDay - tailor.capacity.currentOrders),
+      onTimeDeliveryRate: tailor.performance.onTimeDeliveryRate
+    }));
+
+    const unassigned = await ProductionQueue.countDocuments({
+      status: 'pending',
+      'assignedTailor.tailorId': { $exists: false }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { workload, unassigned }
+    });
+  } catch (error) {
+    logger.error('Error in getWorkload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tailor workload'
+    });
+  }
+};
+
+/**
+ * @desc    Get single tailor with active production items
+ * @route   GET /api/v1/admin/tailors/:id
+ * @access  Private (Admin)
+ */
+exports.getTailorById = async (req, res) => {
+  try {
+    const tailor = await Tailor.findById(req.params.id);
+
+    if (!tailor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tailor not found'
+      });
+    }
+
+    const activeItems = await ProductionQueue.findByUrgency(
+      {
+        'assignedTailor.tailorId': tailor._id,
+        status: { $nin: ['completed', 'cancelled'] }
+      },
+      { orderNumber: 1, status: 1, priority: 1, estimatedCompletionDate: 1, assignedTailor: 1 }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { tailor, activeItems }
+    });
+  } catch (error) {
+    logger.error('Error in getTailorById:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tailor'
+    });
+  }
+};
+
+/**
+ * @desc    Create tailor
+ * @route   POST /api/v1/admin/tailors
+ * @access  Private (Admin)
+ */
+exports.createTailor = async (req, res) => {
+  try {
+    const data = pickTailorFields(req.body);
+    const tailor = new Tailor();
+    tailor.set(data);
+    await tailor.save();
+
+    logger.info(`Tailor created: ${tailor.name}`, {
+      tailorId: tailor._id,
+      createdBy: req.user.email
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tailor created successfully',
+      data: { tailor }
+    });
+  } catch (error) {
+    logger.error('Error in createTailor:', error);
+    if (handleWriteError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tailor'
+    });
+  }
+};
+
+/**
+ * @desc    Update tailor
+ * @route   PUT /api/v1/admin/tailors/:id
+ * @access  Private (Admin)
+ */
+exports.updateTailor = async (req, res) => {
+  try {
+    const tailor = await Tailor.findById(req.params.id);
+
+    if (!tailor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tailor not found'
+      });
+    }
+
+    tailor.set(pickTailorFields(req.body));
+    await tailor.save();
+
+    logger.info(`Tailor updated: ${tailor.name}`, {
+      tailorId: tailor._id,
+      updatedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tailor updated successfully',
+      data: { tailor }
+    });
+  } catch (error) {
+    logger.error('Error in updateTailor:', error);
+    if (handleWriteError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tailor'
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate tailor (soft delete)
+ * @route   DELETE /api/v1/admin/tailors/:id
+ * @access  Private (Admin)
+ */
+exports.deactivateTailor = async (req, res) => {
+  try {
+    const tailor = await Tailor.findById(req.params.id);
+
+    if (!tailor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tailor not found'
+      });
+    }
+
+    tailor.status = 'inactive';
+    await tailor.save();
+
+    // Items still in progress stay with the tailor; pending ones go back to the pool
+    const released = await ProductionQueue.updateMany(
+      { 'assignedTailor.tailorId': tailor._id, status: 'assigned' },
+      { $set: { status: 'pending' }, $unset: { assignedTailor: '' } }
+    );
+
+    if (released.modifiedCount > 0) {
+      const updated = await Tailor.findByIdAndUpdate(tailor._id, [
+        {
+          $set: {
+            'capacity.currentOrders': {
+              $max: [{ $subtract: ['$capacity.currentOrders', released.modifiedCount] }, 0]
+            }
+          }
+        }
+      ], { new: true });
+      tailor.capacity.currentOrders = updated.capacity.currentOrders;
+    }
+
+    logger.info(`Tailor deactivated: ${tailor.name}`, {
+      tailorId: tailor._id,
+      releasedItems: released.modifiedCount,
+      deactivatedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tailor deactivated successfully',
+      data: { tailor, releasedItems: released.modifiedCount }
+    });
+  } catch (error) {
+    logger.error('Error in deactivateTailor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate tailor'
+    });
+  }
+};
@@ -0,0 +1,195 @@
+/**
+ * Wallet Controller
+ * Customer store credit balance and history, and the admin audit view
+ * and manual adjustments
+ *
+ * @module controllers/walletController
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const walletService = require('../services/walletService');
+const { walletAdjustmentSchema } = require('../utils/validationSchemas');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Page and limit from the query string
+ */
+const getPaging = (query, defaultLimit) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_SIZE)
+});
+
+// ============================================================
+// CUSTOMER OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Get own store credit balance and transactions
+ * @route   GET /api/v1/wallet
+ * @access  Private
+ */
+exports.getMyWallet = async (req, res) => {
+  try {
+    const wallet = await walletService.getWallet(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: walletService.getSummary(wallet, getPaging(req.query, 20))
+    });
+  } catch (error) {
+    logger.error('Error in getMyWallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet'
+    });
+  }
+};
+
+// ============================================================
+// ADMIN OPERATIONS
+// ============================================================
+
+/**
+ * @desc    Wallet transactions across all customers (audit view)
+ * @route   GET /api/v1/wallet/admin/transactions
+ * @access  Private (Admin)
+ */
+exports.getAllTransactions = async (req, res) => {
+  try {
+    const { source, type, user, from, to } = req.query;
+
+    if (user && !mongoose.Types.ObjectId.isValid(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const [result, outstanding] = await Promise.all([
+      walletService.getTransactions({
+        source,
+        type,
+        user: user ? new mongoose.Types.ObjectId(user) : undefined,
+        from,
+        to,
+        ...getPaging(req.query, 50)
+      }),
+      walletService.getOutstandingCredit()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { ...result, outstanding }
+    });
+  } catch (error) {
+    logger.error('Error in getAllTransactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet transactions'
+    });
+  }
+};
+
+/**
+ * @desc    Get a customer's wallet
+ * @route   GET /api/v1/wallet/admin/users/:userId
+ * @access  Private (Admin)
+ */
+exports.getUserWallet = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('fullName email phone');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wallet = await Wallet.findOne({ user: user._id }).populate('transactions.createdBy', 'fullName');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        wallet: wallet
+          ? walletService.getSummary(wallet, getPaging(req.query, 50))
+          : { balance: 0, currency: 'PKR', totalCredited: 0, totalDebited: 0, transactions: [] }
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getUserWallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet'
+    });
+  }
+};
+
+/**
+ * @desc    Manually credit or debit a customer's wallet
+ * @route   POST /api/v1/wallet/admin/users/:userId/adjust
+ * @access  Private (Admin)
+ */
+exports.adjustWallet = async (req, res) => {
+  try {
+    const { error, value } = walletAdjustmentSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wallet = await walletService.adjust(user._id, value, req.user);
+
+    if (!wallet) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debit exceeds the wallet balance'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: value.type === 'credit' ? 'Store credit added' : 'Store credit deducted',
+      data: {
+        balance: wallet.balance,
+        transaction: wallet.transactions[wallet.transactions.length - 1]
+      }
+    });
+  } catch (error) {
+    logger.error('Error in adjustWallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust wallet'
+    });
+  }
+};
@@ -0,0 +1,28 @@
+const alertService = require('../services/alertService');
+
+/**
+ * Alert Checks Job
+ * Daily failed-payment, fabric stockout and abandonment alerts for admins
+ */
+
+/**
+ * Run all alert checks and keep a count summary for the run history
+ */
+const run = async () => {
+  const { payments, stockouts, abandonment, checkedAt } = await alertService.runAllChecks();
+
+  return {
+    failedPayments: payments.count,
+    stockouts: stockouts.count,
+    abandonmentRate: abandonment.abandonmentRate,
+    checkedAt
+  };
+};
+
+module.exports = {
+  name: 'alert-checks',
+  description: 'Email admins about failed payments and fabric stockouts',
+  schedule: '0 8 * * *', // Daily at 08:00
+  retries: 2,
+  handler: run
+};
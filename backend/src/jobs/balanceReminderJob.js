@@ -0,0 +1,27 @@
+const paymentLedgerService = require('../services/paymentLedgerService');
+const logger = require('../utils/logger');
+
+/**
+ * Balance Reminder Job
+ * Reminds customers with an advance deposit paid to settle the balance
+ * once their order reaches quality check or is ready to dispatch
+ */
+
+/**
+ * Run one reminder pass
+ */
+const run = async () => {
+  const result = await paymentLedgerService.processBalanceReminders();
+  if (result.due) {
+    logger.info('Balance reminders processed', result);
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'balance-reminders',
+  description: 'Remind customers to pay the balance due before dispatch',
+  schedule: '0 11 * * *', // Daily at 11:00
+  retries: 1,
+  handler: run
+};
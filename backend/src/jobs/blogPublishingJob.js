@@ -0,0 +1,44 @@
+const Blog = require('../models/Blog');
+const logger = require('../utils/logger');
+
+/**
+ * Blog Publishing Job
+ * Publishes scheduled blog posts once their publish date has passed
+ */
+
+/**
+ * Publish all posts that are due
+ */
+const run = async () => {
+  const posts = await Blog.getDueForPublication();
+  const published = [];
+
+  for (const post of posts) {
+    try {
+      await post.publish();
+      published.push(post.slug);
+    } catch (error) {
+      logger.error(`Failed to publish scheduled blog post ${post._id}:`, error);
+    }
+  }
+
+  if (published.length > 0) {
+    logger.info(`Published ${published.length} scheduled blog post(s)`, { published });
+  }
+
+  return {
+    due: posts.length,
+    published: published.length,
+    slugs: published
+  };
+};
+
+module.exports = {
+  name: 'blog-publishing',
+  description: 'Publish scheduled blog posts that are due',
+  schedule: '*/5 * * * *', // Every 5 minutes
+  runOnStart: true,
+  retries: 1,
+  backoffMs: 30 * 1000,
+  handler: run
+};
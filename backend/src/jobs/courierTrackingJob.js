@@ -0,0 +1,27 @@
+const shipmentService = require('../services/shipmentService');
+const logger = require('../utils/logger');
+
+/**
+ * Courier Tracking Job
+ * Pulls tracking for dispatched courier shipments into their orders,
+ * marking delivered (or returned) shipments along the way
+ */
+
+/**
+ * Run one sync pass
+ */
+const run = async () => {
+  const result = await shipmentService.syncActiveShipments();
+  if (result.checked) {
+    logger.info('Courier tracking synced', result);
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'courier-tracking',
+  description: 'Sync courier tracking for dispatched shipments',
+  schedule: '*/30 * * * *', // Every 30 minutes
+  retries: 1,
+  handler: run
+};
@@ -0,0 +1,30 @@
+const draftOrderService = require('../services/draftOrderService');
+const alertService = require('../services/alertService');
+const logger = require('../utils/logger');
+
+/**
+ * Draft Abandonment Job
+ * Marks stale custom-order drafts abandoned, sends resume reminders
+ * and feeds the abandonment alert check
+ */
+
+/**
+ * Run one abandonment pass
+ */
+const run = async () => {
+  const result = await draftOrderService.processAbandoned();
+  if (result.abandoned || result.remindersSent) {
+    logger.info('Custom order drafts processed', result);
+  }
+
+  const abandonment = await alertService.checkAbandonment({ newlyAbandoned: result.abandoned });
+  return { ...result, abandonment };
+};
+
+module.exports = {
+  name: 'draft-abandonment',
+  description: 'Mark idle custom-order drafts abandoned and send resume reminders',
+  schedule: '0 * * * *', // Every hour
+  retries: 2,
+  handler: run
+};
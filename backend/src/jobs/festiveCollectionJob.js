@@ -0,0 +1,27 @@
+const festiveCollectionService = require('../services/festiveCollectionService');
+const logger = require('../utils/logger');
+
+/**
+ * Festive Collection Job
+ * Flips scheduled collections live/offline and sends launch campaigns
+ */
+
+/**
+ * Run one pass of the festive collection schedule
+ */
+const run = async () => {
+  const result = await festiveCollectionService.processSchedule();
+  if (result.published || result.unpublished || result.campaignsSent) {
+    logger.info('Festive collection schedule processed', result);
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'festive-collections',
+  description: 'Publish/unpublish scheduled festive collections and send launch campaigns',
+  schedule: '* * * * *', // Every minute
+  runOnStart: true,
+  lockTtlMs: 5 * 60 * 1000,
+  handler: run
+};
@@ -0,0 +1,36 @@
+const scheduler = require('./scheduler');
+
+/**
+ * Background Jobs
+ * Registers every job with the scheduler
+ *
+ * Set DISABLE_JOBS=true to turn the scheduler off, or list individual
+ * job names in DISABLED_JOBS (comma separated) to skip them
+ */
+
+const definitions = [
+  require('./festiveCollectionJob'),
+  require('./draftAbandonmentJob'),
+  require('./blogPublishingJob'),
+  require('./alertChecksJob'),
+  require('./loyaltyExpiryJob'),
+  require('./loyaltyBirthdayJob'),
+  require('./overdueReminderJob'),
+  require('./balanceReminderJob'),
+  require('./courierTrackingJob'),
+  require('./stockReservationJob')
+];
+
+const disabled = (process.env.DISABLED_JOBS || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+definitions.forEach(definition => {
+  scheduler.register({
+    ...definition,
+    enabled: definition.enabled !== false && !disabled.includes(definition.name)
+  });
+});
+
+module.exports = scheduler;
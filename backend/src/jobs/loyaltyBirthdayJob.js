@@ -0,0 +1,26 @@
+const loyaltyService = require('../services/loyaltyService');
+const logger = require('../utils/logger');
+
+/**
+ * Loyalty Birthday Job
+ * Awards birthday points to customers whose birthday is today
+ */
+
+/**
+ * Award today's birthday points
+ */
+const run = async () => {
+  const result = await loyaltyService.awardBirthdays();
+  if (result.customers) {
+    logger.info('Loyalty birthday points awarded', result);
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'loyalty-birthdays',
+  description: 'Award loyalty points to customers on their birthday',
+  schedule: '0 9 * * *', // Daily at 09:00
+  retries: 2,
+  handler: run
+};
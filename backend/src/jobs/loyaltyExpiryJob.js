@@ -0,0 +1,26 @@
+const LoyaltyAccount = require('../models/LoyaltyPoints');
+const logger = require('../utils/logger');
+
+/**
+ * Loyalty Expiry Job
+ * Expires earned loyalty points once they pass their expiry date
+ */
+
+/**
+ * Expire all due points
+ */
+const run = async () => {
+  const result = await LoyaltyAccount.expireDuePoints();
+  if (result.pointsExpired) {
+    logger.info('Loyalty points expired', result);
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'loyalty-expiry',
+  description: 'Expire loyalty points past their expiry date',
+  schedule: '30 2 * * *', // Daily at 02:30
+  retries: 2,
+  handler: run
+};
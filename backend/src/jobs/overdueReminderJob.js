@@ -0,0 +1,86 @@
+const Order = require('../models/Order');
+const ProductionQueue = require('../models/ProductionQueue');
+const notificationService = require('../services/notificationService');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { tailorOverdueReminder } = require('../utils/whatsappTemplates');
+const logger = require('../utils/logger');
+
+/**
+ * Overdue Reminder Job
+ * Daily digest of overdue orders for admins and a reminder to each tailor
+ * with overdue production items
+ */
+
+/**
+ * Group overdue queue items by assigned tailor
+ */
+const groupByTailor = (queueItems) => {
+  const groups = new Map();
+
+  queueItems.forEach(item => {
+    const tailor = item.assignedTailor?.tailorId;
+    // Unpopulated refs mean the tailor was deleted
+    if (!tailor || !tailor._id) return;
+
+    const key = tailor._id.toString();
+    if (!groups.has(key)) {
+      groups.set(key, { tailor, items: [] });
+    }
+    groups.get(key).items.push({
+      orderNumber: item.orderNumber,
+      status: item.status,
+      dueDate: item.estimatedCompletionDate
+    });
+  });
+
+  return Array.from(groups.values());
+};
+
+/**
+ * Send overdue reminders
+ */
+const run = async () => {
+  const [orders, queueItems] = await Promise.all([
+    Order.getOverdueOrders(),
+    ProductionQueue.getOverdue()
+  ]);
+
+  if (orders.length === 0 && queueItems.length === 0) {
+    return { overdueOrders: 0, overdueProduction: 0, tailorsReminded: 0 };
+  }
+
+  const adminResult = await notificationService.notifyAdminOverdue({ orders, queueItems });
+
+  let tailorsReminded = 0;
+  for (const { tailor, items } of groupByTailor(queueItems)) {
+    const number = tailor.whatsapp || tailor.phone;
+    if (!number) continue;
+
+    try {
+      const result = await sendWhatsAppMessage(
+        number,
+        tailorOverdueReminder({ tailorName: tailor.name, items })
+      );
+      if (result?.success) tailorsReminded++;
+    } catch (error) {
+      logger.error(`Overdue reminder failed for tailor ${tailor._id}:`, error);
+    }
+  }
+
+  logger.info(`Overdue reminders: ${orders.length} order(s), ${queueItems.length} production item(s)`);
+
+  return {
+    overdueOrders: orders.length,
+    overdueProduction: queueItems.length,
+    adminNotified: Boolean(adminResult.success),
+    tailorsReminded
+  };
+};
+
+module.exports = {
+  name: 'overdue-reminders',
+  description: 'Remind admins and tailors about orders past their estimated completion',
+  schedule: '0 9 * * *', // Daily at 09:00
+  retries: 1,
+  handler: run
+};
@@ -0,0 +1,340 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const { getRedisClient } = require('../config/redis');
+const { parse, getNextRun } = require('../utils/cronParser');
+const logger = require('../utils/logger');
+
+/**
+ * Job Scheduler
+ * In-process cron scheduler for background jobs
+ *
+ * Each run takes a lock (Redis when connected, MongoDB otherwise) so only one
+ * instance executes a job at a time, and each scheduled tick is claimed once so
+ * an instance whose timer fires late doesn't repeat it. Failed runs are retried
+ * with exponential backoff, and every attempt is recorded as a JobRun
+ */
+
+const DEFAULT_RETRIES = 0;
+const DEFAULT_BACKOFF_MS = 60 * 1000;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMEOUT_MS = 2147483647;
+
+const LOCK_PREFIX = 'job-lock:';
+
+// Identifies this process as a lock holder
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+let started = false;
+
+const sleep = (ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  timer.unref();
+});
+
+// ==========================================
+// LOCKING
+// ==========================================
+
+const getReadyRedis = () => {
+  const client = getRedisClient();
+  return client && client.status === 'ready' ? client : null;
+};
+
+/**
+ * Acquire a lock
+ * @param {string} key - Job name, or job name and tick for a tick claim
+ * @param {number} ttlMs - Lease length
+ * @returns {string|null} Lock backend used ('redis' | 'mongo'), or null if held elsewhere
+ */
+const acquireLock = async (key, ttlMs) => {
+  const redis = getReadyRedis();
+
+  if (redis) {
+    try {
+      const result = await redis.set(`${LOCK_PREFIX}${key}`, instanceId, 'PX', ttlMs, 'NX');
+      return result === 'OK' ? 'redis' : null;
+    } catch (error) {
+      logger.warn(`Redis lock failed for ${key}, falling back to MongoDB: ${error.message}`);
+    }
+  }
+
+  const acquired = await JobLock.acquire(key, instanceId, ttlMs);
+  return acquired ? 'mongo' : null;
+};
+
+/**
+ * Claim a scheduled tick of a job
+ * The claim is never released: it lapses once the following tick is due, so
+ * an instance that fires the same tick after this run has finished still
+ * sees it taken
+ * @returns {boolean} True if this instance should run the tick
+ */
+const claimTick = async (job, tick) => {
+  const untilNextTick = (job.nextRunAt ? job.nextRunAt.getTime() : 0) - Date.now();
+  const backend = await acquireLock(`${job.name}@${tick.toISOString()}`, Math.max(untilNextTick, job.lockTtlMs));
+  return Boolean(backend);
+};
+
+/**
+ * Release a lock taken by acquireLock
+ */
+const releaseLock = async (job, backend) => {
+  try {
+    if (backend === 'redis') {
+      const redis = getReadyRedis();
+      if (!redis) return;
+      // Only delete the key if this instance still owns it
+      await redis.eval(
+        'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+        1,
+        `${LOCK_PREFIX}${job.name}`,
+        instanceId
+      );
+    } else if (backend === 'mongo') {
+      await JobLock.release(job.name, instanceId);
+    }
+  } catch (error) {
+    // The lease expires on its own
+    logger.warn(`Failed to release lock for job ${job.name}: ${error.message}`);
+  }
+};
+
+// ==========================================
+// REGISTRY
+// ==========================================
+
+/**
+ * Register a job
+ * @param {Object} definition
+ * @param {string} definition.name - Unique job name
+ * @param {string} definition.schedule - 5-field cron expression
+ * @param {Function} definition.handler - Async function returning a result summary
+ * @param {string} [definition.description]
+ * @param {number} [definition.retries=0] - Extra attempts after a failure
+ * @param {number} [definition.backoffMs=60000] - Delay before the first retry, doubled each time
+ * @param {number} [definition.lockTtlMs=600000] - Lock lease; should exceed the longest run
+ * @param {boolean} [definition.runOnStart=false] - Also run once when the scheduler starts
+ * @param {boolean} [definition.enabled=true]
+ */
+const register = (definition) => {
+  const { name, schedule, handler } = definition;
+
+  if (!name || typeof name !== 'string') {
+    throw new Error('Job name is required');
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Job "${name}" needs a handler function`);
+  }
+
+  const job = {
+    name,
+    description: definition.description || '',
+    schedule,
+    cron: parse(schedule),
+    handler,
+    retries: definition.retries ?? DEFAULT_RETRIES,
+    backoffMs: definition.backoffMs ?? DEFAULT_BACKOFF_MS,
+    lockTtlMs: definition.lockTtlMs ?? DEFAULT_LOCK_TTL_MS,
+    runOnStart: Boolean(definition.runOnStart),
+    enabled: definition.enabled !== false,
+    timer: null,
+    nextRunAt: null,
+    running: false
+  };
+
+  jobs.set(name, job);
+
+  if (started && job.enabled) {
+    scheduleNext(job);
+  }
+
+  return job;
+};
+
+/**
+ * Get a registered job by name
+ */
+const getJob = (name) => jobs.get(name) || null;
+
+// ==========================================
+// EXECUTION
+// ==========================================
+
+/**
+ * Run a job now, with locking and retries
+ * @param {string} name - Job name
+ * @param {Object} [options]
+ * @param {string} [options.trigger='schedule'] - 'schedule' | 'manual'
+ * @param {string} [options.triggeredBy] - Admin user id for manual runs
+ * @param {Date} [options.tick] - Scheduled time being run, claimed across instances
+ * @returns {Object} { status: 'success'|'failed'|'skipped', reason?, run? }
+ */
+const runJob = async (name, { trigger = 'schedule', triggeredBy, tick } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Job "${name}" is not registered`);
+  }
+
+  if (job.running) {
+    return { status: 'skipped', reason: 'Job is already running on this instance' };
+  }
+  job.running = true;
+
+  let lockBackend = null;
+
+  try {
+    if (tick && !(await claimTick(job, tick))) {
+      return { status: 'skipped', reason: 'Scheduled run was already taken by another instance' };
+    }
+
+    lockBackend = await acquireLock(job.name, job.lockTtlMs);
+    if (!lockBackend) {
+      return { status: 'skipped', reason: 'Job is running on another instance' };
+    }
+
+    // Manual runs report straight back to the admin, so they aren't retried
+    const maxAttempts = trigger === 'manual' ? 1 : job.retries + 1;
+    let run;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      run = await JobRun.create({
+        jobName: job.name,
+        trigger,
+        triggeredBy,
+        attempt,
+        host: instanceId
+      });
+
+      try {
+        const result = await job.handler();
+        await run.finish('success', { result });
+        return { status: 'success', run };
+      } catch (error) {
+        logger.error(`Job ${job.name} failed (attempt ${attempt}/${maxAttempts}):`, error);
+        await run.finish('failed', { error });
+
+        // Don't keep retrying once the scheduler is shutting down
+        if (attempt < maxAttempts && started) {
+          await sleep(job.backoffMs * 2 ** (attempt - 1));
+        } else {
+          break;
+        }
+      }
+    }
+
+    return { status: 'failed', run };
+  } finally {
+    if (lockBackend) {
+      await releaseLock(job, lockBackend);
+    }
+    job.running = false;
+  }
+};
+
+/**
+ * Arm the timer for a job's next scheduled run
+ */
+const scheduleNext = (job) => {
+  clearTimeout(job.timer);
+
+  job.nextRunAt = getNextRun(job.cron);
+  const delay = Math.max(job.nextRunAt.getTime() - Date.now(), 0);
+
+  if (delay > MAX_TIMEOUT_MS) {
+    // Far-off schedule: wake up part way and re-arm
+    job.timer = setTimeout(() => scheduleNext(job), MAX_TIMEOUT_MS);
+  } else {
+    job.timer = setTimeout(() => {
+      if (!started || !job.enabled) return;
+      const tick = job.nextRunAt;
+      // Arm the next run first so a slow run doesn't shift the schedule
+      scheduleNext(job);
+      runJob(job.name, { tick }).catch(error => {
+        logger.error(`Scheduled run of job ${job.name} failed:`, error);
+      });
+    }, delay);
+  }
+
+  // Don't keep the process alive just for these timers
+  job.timer.unref();
+};
+
+/**
+ * Start all enabled jobs
+ */
+const start = () => {
+  if (started) return;
+  started = true;
+
+  jobs.forEach(job => {
+    if (!job.enabled) return;
+    scheduleNext(job);
+
+    if (job.runOnStart) {
+      runJob(job.name).catch(error => {
+        logger.error(`Startup run of job ${job.name} failed:`, error);
+      });
+    }
+  });
+
+  logger.info(`Job scheduler started with ${jobs.size} job(s)`);
+};
+
+/**
+ * Stop all timers; runs already in progress finish without further retries
+ */
+const stop = () => {
+  started = false;
+
+  jobs.forEach(job => {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  });
+};
+
+// ==========================================
+// STATUS
+// ==========================================
+
+/**
+ * Registered jobs with their schedule and last result
+ */
+const listJobs = async () => {
+  const latest = await JobRun.getLatestByJob();
+  const latestByName = new Map(latest.map(entry => [entry._id, entry]));
+
+  return Array.from(jobs.values()).map(job => {
+    const history = latestByName.get(job.name);
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      enabled: job.enabled,
+      retries: job.retries,
+      backoffMs: job.backoffMs,
+      running: job.running,
+      nextRunAt: job.nextRunAt || (job.enabled ? getNextRun(job.cron) : null),
+      lastRun: history ? history.lastRun : null,
+      lastSuccessAt: history ? history.lastSuccessAt : null
+    };
+  });
+};
+
+module.exports = {
+  register,
+  getJob,
+  runJob,
+  start,
+  stop,
+  listJobs
+};
@@ -0,0 +1,26 @@
+const inventoryService = require('../services/inventoryService');
+const logger = require('../utils/logger');
+
+/**
+ * Stock Reservation Job
+ * Returns stock held by unpaid orders to sale once their hold runs out
+ */
+
+/**
+ * Run one expiry pass
+ */
+const run = async () => {
+  const result = await inventoryService.expireReservations();
+  if (result.expired) {
+    logger.info('Stock reservations expired', result);
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'stock-reservation-expiry',
+  description: 'Release stock held by orders whose payment was not received in time',
+  schedule: '*/15 * * * *', // Every 15 minutes
+  retries: 2,
+  handler: run
+};
@@ -297,6 +297,13 @@ const optionalAuth = async (req, res, next) => {
     try {
       // Verify and attach user if token exists
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Only access tokens sign a user in (not 2FA challenges)
+      if (decoded.type && decoded.type !== 'access') {
+        req.user = null;
+        return next();
+      }
+
       const user = await User.findById(decoded.id).select('-password');
 
       if (user && user.isActive && !user.isLocked) {
@@ -89,11 +89,11 @@ const cacheMiddleware = (keyGenerator, ttlSeconds = 300, options = {}) => {
  * Pre-configured cache middlewares for common routes
  */
 const cacheProducts = cacheMiddleware(
-  (req) => cacheKeys.products.all(
-    req.query.page || 1,
-    req.query.limit || 20,
-    { category: req.query.category, sort: req.query.sort }
-  ),
+  (req) => {
+    // Every search term and filter changes the listing
+    const { page, limit, ...filters } = req.query;
+    return cacheKeys.products.all(page || 1, limit || 20, filters);
+  },
   cacheTTL.products.list
 );
 
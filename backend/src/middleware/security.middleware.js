@@ -118,6 +118,7 @@ const corsOptions = {
     'Authorization',
     'X-Requested-With',
     'X-CSRF-Token',
+    'X-Device-Id', // Referral fraud checks
     'Accept',
     'Origin'
   ],
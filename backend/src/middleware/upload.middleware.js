@@ -94,6 +94,22 @@ const avatarStorage = new CloudinaryStorage({
   }
 });
 
+/**
+ * Storage configuration for customer gallery photos
+ */
+const customerPhotoStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'laraibcreative/customer-photos',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [
+      { width: 1200, height: 1600, crop: 'limit' },
+      { quality: 'auto:good' },
+      { fetch_format: 'auto' }
+    ]
+  }
+});
+
 // ============================================
 // FILE FILTER VALIDATION
 // ============================================
@@ -137,6 +153,20 @@ const receiptFileFilter = (req, file, cb) => {
   }
 };
 
+/**
+ * Filter for CSV imports (courier statements)
+ */
+const csvFileFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase() === '.csv';
+  const mimetype = /csv|text\/plain|ms-excel/.test(file.mimetype);
+
+  if (extname && mimetype) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV files are allowed!'), false);
+  }
+};
+
 // ============================================
 // MULTER CONFIGURATIONS
 // ============================================
@@ -201,6 +231,31 @@ const avatarUpload = multer({
   }
 });
 
+/**
+ * Multer config for customer gallery photos
+ */
+const customerPhotoUpload = multer({
+  storage: customerPhotoStorage,
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB per file
+    files: 5 // Max 5 photos per submission
+  }
+});
+
+/**
+ * Multer config for CSV imports
+ * Kept in memory (req.file.buffer) - the file is parsed, not stored
+ */
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1
+  }
+});
+
 // ============================================
 // MIDDLEWARE FUNCTIONS
 // ============================================
@@ -216,7 +271,8 @@ const uploadSingle = (fieldName, uploadType = 'product') => {
     reference: referenceUpload,
     receipt: receiptUpload,
     blog: blogUpload,
-    avatar: avatarUpload
+    avatar: avatarUpload,
+    csv: csvUpload
   };
 
   const uploader = uploaders[uploadType] || productUpload;
@@ -266,7 +322,8 @@ const uploadMultiple = (fieldName, maxCount = 5, uploadType = 'product') => {
   const uploaders = {
     product: productUpload,
     reference: referenceUpload,
-    blog: blogUpload
+    blog: blogUpload,
+    customerPhoto: customerPhotoUpload
   };
 
   const uploader = uploaders[uploadType] || productUpload;
@@ -408,6 +465,8 @@ module.exports = {
   receiptUpload,
   blogUpload,
   avatarUpload,
+  customerPhotoUpload,
+  csvUpload,
   
   // Helper functions
   deleteFromCloudinary,
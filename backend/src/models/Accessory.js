@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * Accessory Model
+ * Trimmings used in stitching: laces, buttons, dupatta borders and the like.
+ * Stock changes go through the movement ledger (services/inventoryService)
+ */
+
+const ACCESSORY_CATEGORIES = ['lace', 'button', 'dupatta-border', 'thread', 'zip', 'tassel', 'embellishment', 'other'];
+
+const accessorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Accessory name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: ACCESSORY_CATEGORIES,
+    index: true
+  },
+
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    sparse: true,
+    unique: true
+  },
+
+  color: {
+    type: String,
+    trim: true
+  },
+
+  stock: {
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Stock cannot be negative'],
+      default: 0
+    },
+    unit: {
+      type: String,
+      enum: ['pieces', 'meters', 'yards', 'packs'],
+      default: 'pieces'
+    },
+    lowStockThreshold: {
+      type: Number,
+      default: 20,
+      min: [0, 'Threshold cannot be negative']
+    },
+    reorderPoint: {
+      type: Number,
+      default: 10,
+      min: [0, 'Reorder point cannot be negative']
+    },
+    // Quantity to order when stock falls to the reorder point
+    reorderQuantity: {
+      type: Number,
+      min: [0, 'Reorder quantity cannot be negative']
+    }
+  },
+
+  costPerUnit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost cannot be negative']
+  },
+
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+
+  status: {
+    type: String,
+    enum: ['in-stock', 'low-stock', 'out-of-stock', 'discontinued'],
+    default: 'in-stock',
+    index: true
+  },
+
+  images: [{
+    url: String,
+    publicId: String,
+    alt: String
+  }],
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+accessorySchema.index({ status: 1, 'stock.quantity': 1 });
+accessorySchema.index({ preferredSupplier: 1 });
+
+// Keep the stock status in step with the quantity (discontinued is left alone)
+accessorySchema.pre('save', function(next) {
+  if (this.status === 'discontinued') return next();
+
+  const { quantity, lowStockThreshold } = this.stock;
+
+  if (quantity <= 0) {
+    this.status = 'out-of-stock';
+  } else if (quantity <= lowStockThreshold) {
+    this.status = 'low-stock';
+  } else {
+    this.status = 'in-stock';
+  }
+
+  next();
+});
+
+accessorySchema.statics.CATEGORIES = ACCESSORY_CATEGORIES;
+
+const Accessory = mongoose.model('Accessory', accessorySchema);
+
+module.exports = Accessory;
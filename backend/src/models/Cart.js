@@ -11,6 +11,17 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Colour x size variant of the product, if it has variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantSnapshot: {
+    color: String,
+    size: String,
+    sku: String,
+    image: String
+  },
   quantity: {
     type: Number,
     required: true,
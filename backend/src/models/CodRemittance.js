@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+/**
+ * COD Remittance Model
+ * A courier's cash-on-delivery remittance statement, imported from CSV
+ *
+ * Each statement line is matched to a dispatched COD order by tracking number
+ * and classified; applying the statement marks the matched orders codCollected
+ * with the settlement reference
+ */
+
+// Line classifications, from best to worst
+const MATCH_RESULTS = [
+  'matched',     // Amount remitted equals the COD amount
+  'over-paid',   // Courier remitted more than the COD amount
+  'short-paid',  // Courier remitted less than the COD amount
+  'returned',    // Parcel returned to us, nothing collected
+  'duplicate',   // Already settled, or repeated in this statement
+  'not-cod',     // Order found but nothing was due on delivery
+  'unmatched'    // No order with this tracking number
+];
+
+const remittanceLineSchema = new mongoose.Schema({
+  // Row in the source CSV (1 = header)
+  line: Number,
+
+  trackingNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Amount the courier remitted for the parcel
+  amount: {
+    type: Number,
+    default: 0
+  },
+
+  // Parcel status as written in the statement
+  courierStatus: String,
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+
+  // COD amount we expected to collect
+  expectedAmount: Number,
+
+  // amount - expectedAmount
+  difference: Number,
+
+  match: {
+    type: String,
+    enum: MATCH_RESULTS,
+    required: true
+  },
+
+  note: String,
+
+  applied: {
+    type: Boolean,
+    default: false
+  },
+  appliedAt: Date
+}, { _id: true });
+
+const codRemittanceSchema = new mongoose.Schema({
+  // Courier that sent the statement (Order tracking.courierService value)
+  courierService: {
+    type: String,
+    enum: ['TCS', 'Leopards', 'M&P', 'BlueEx', 'Trax', 'Call Courier', 'Other'],
+    required: true
+  },
+
+  // Courier's payment / settlement reference for the remittance
+  settlementReference: {
+    type: String,
+    required: [true, 'Settlement reference is required'],
+    trim: true,
+    maxlength: [100, 'Settlement reference cannot exceed 100 characters']
+  },
+
+  statementDate: Date,
+
+  fileName: String,
+
+  lines: [remittanceLineSchema],
+
+  totals: {
+    lines: { type: Number, default: 0 },
+    remitted: { type: Number, default: 0 },
+    expected: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    applied: { type: Number, default: 0 }
+  },
+
+  status: {
+    type: String,
+    enum: ['imported', 'partially-applied', 'applied'],
+    default: 'imported'
+  },
+
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: Date,
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+codRemittanceSchema.index({ courierService: 1, settlementReference: 1 }, { unique: true });
+codRemittanceSchema.index({ createdAt: -1 });
+codRemittanceSchema.index({ 'lines.order': 1 });
+codRemittanceSchema.index({ 'lines.match': 1 });
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Recompute totals and status from the lines
+ */
+codRemittanceSchema.methods.updateTotals = function() {
+  const round = value => Math.round(value * 100) / 100;
+
+  this.totals = {
+    lines: this.lines.length,
+    remitted: round(this.lines.reduce((sum, line) => sum + (line.amount || 0), 0)),
+    expected: round(this.lines.reduce((sum, line) => sum + (line.expectedAmount || 0), 0)),
+    matched: this.lines.filter(line => line.match === 'matched').length,
+    applied: this.lines.filter(line => line.applied).length
+  };
+
+  if (this.totals.applied === 0) {
+    this.status = 'imported';
+  } else {
+    const applicable = this.lines.filter(line => line.order && ['matched', 'over-paid', 'short-paid'].includes(line.match));
+    this.status = applicable.every(line => line.applied) ? 'applied' : 'partially-applied';
+  }
+
+  return this;
+};
+
+codRemittanceSchema.statics.MATCH_RESULTS = MATCH_RESULTS;
+
+const CodRemittance = mongoose.model('CodRemittance', codRemittanceSchema);
+
+module.exports = CodRemittance;
@@ -156,6 +156,44 @@ customerPhotoSchema.statics.getFeaturedPhotos = function(limit = 12) {
   .limit(limit);
 };
 
+// Static method to like a photo once per user
+// Returns null if the photo doesn't exist or was already liked
+customerPhotoSchema.statics.addLike = function(photoId, userId) {
+  return this.findOneAndUpdate(
+    { _id: photoId, moderationStatus: 'approved', likedBy: { $ne: userId } },
+    { $push: { likedBy: userId }, $inc: { likes: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to remove a user's like
+customerPhotoSchema.statics.removeLike = function(photoId, userId) {
+  return this.findOneAndUpdate(
+    { _id: photoId, likedBy: userId },
+    { $pull: { likedBy: userId }, $inc: { likes: -1 } },
+    { new: true }
+  );
+};
+
+// Method to approve photo
+customerPhotoSchema.methods.approve = function(adminId, notes) {
+  this.moderationStatus = 'approved';
+  this.moderatedBy = adminId;
+  this.moderatedAt = new Date();
+  if (notes) this.moderationNotes = notes;
+  return this.save();
+};
+
+// Method to reject photo
+customerPhotoSchema.methods.reject = function(adminId, reason) {
+  this.moderationStatus = 'rejected';
+  this.moderatedBy = adminId;
+  this.moderatedAt = new Date();
+  this.moderationNotes = reason || 'Rejected by admin';
+  this.isFeatured = false;
+  return this.save();
+};
+
 const CustomerPhoto = mongoose.model('CustomerPhoto', customerPhotoSchema);
 
 module.exports = CustomerPhoto;
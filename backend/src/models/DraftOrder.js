@@ -2,19 +2,30 @@ const mongoose = require('mongoose');
 
 // Draft order schema for save & resume functionality
 const draftOrderSchema = new mongoose.Schema({
+  // Optional: guests can save drafts and resume them via the token link
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required'],
     index: true
   },
   
+  // Contact details used for resume reminders (snapshot from the wizard)
+  contact: {
+    fullName: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: String,
+    whatsapp: String
+  },
+  
   // Unique token for resuming without login
   resumeToken: {
     type: String,
     unique: true,
-    sparse: true,
-    index: true
+    sparse: true
   },
   
   resumeTokenExpires: {
@@ -32,12 +43,18 @@ const draftOrderSchema = new mongoose.Schema({
     default: 'My Design'
   },
   
+  // Raw wizard state, so a resume link restores every field exactly
+  formData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
   // Custom order data (same structure as Order.customDetails)
+  // Filled in progressively as the wizard steps are saved
   customDetails: {
     serviceType: {
       type: String,
-      enum: ['fully-custom', 'brand-article-copy'],
-      required: true
+      enum: ['fully-custom', 'brand-article-copy']
     },
     
     measurements: {
@@ -85,8 +102,7 @@ const draftOrderSchema = new mongoose.Schema({
     fabric: {
       providedBy: {
         type: String,
-        enum: ['customer', 'laraibcreative'],
-        required: true
+        enum: ['customer', 'laraibcreative']
       },
       type: String,
       color: String,
@@ -154,11 +170,23 @@ const draftOrderSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['draft', 'abandoned', 'converted'],
+    enum: ['draft', 'abandoned', 'converting', 'converted'],
     default: 'draft',
     index: true
   },
   
+  // Last autosave from the wizard
+  lastSavedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  
+  abandonedAt: Date,
+  
+  // Resume reminder sent after abandonment
+  reminderSentAt: Date,
+  
   // Converted to order
   convertedToOrder: {
     type: mongoose.Schema.Types.ObjectId,
@@ -172,8 +200,8 @@ const draftOrderSchema = new mongoose.Schema({
 
 // Indexes
 draftOrderSchema.index({ userId: 1, status: 1, createdAt: -1 });
-draftOrderSchema.index({ resumeToken: 1 });
 draftOrderSchema.index({ createdAt: 1 }); // For abandoned cart cleanup
+draftOrderSchema.index({ status: 1, lastSavedAt: 1 });
 
 // Generate resume token
 draftOrderSchema.methods.generateResumeToken = function() {
@@ -205,6 +233,47 @@ draftOrderSchema.statics.findByToken = function(token) {
   });
 };
 
+// Claim a draft for submission so a double submit can't turn it into two orders
+// Resolves to null if another request claimed or converted it first
+draftOrderSchema.methods.claimForSubmit = async function() {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['draft', 'abandoned'] } },
+    { $set: { status: 'converting' } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  claimed.$locals.claimedFrom = this.status;
+  return claimed;
+};
+
+// Give a claimed draft back when its order couldn't be created
+draftOrderSchema.methods.releaseClaim = function() {
+  return this.constructor.updateOne(
+    { _id: this._id, status: 'converting' },
+    { $set: { status: this.$locals.claimedFrom || 'draft' } }
+  );
+};
+
+// Mark a draft as converted into an order
+draftOrderSchema.methods.markConverted = function(orderId) {
+  this.status = 'converted';
+  this.convertedToOrder = orderId;
+  this.convertedAt = new Date();
+  // Token is single-use once the order exists
+  this.resumeToken = undefined;
+  this.resumeTokenExpires = undefined;
+  return this.save();
+};
+
+// Static method to mark drafts idle since the cutoff as abandoned
+draftOrderSchema.statics.markStaleAsAbandoned = function(cutoff) {
+  return this.updateMany(
+    { status: 'draft', lastSavedAt: { $lt: cutoff } },
+    { $set: { status: 'abandoned', abandonedAt: new Date() } }
+  );
+};
+
 const DraftOrder = mongoose.model('DraftOrder', draftOrderSchema);
 
 module.exports = DraftOrder;
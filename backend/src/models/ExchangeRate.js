@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+/**
+ * Exchange Rate Model
+ * Admin-maintained rates for the currencies customers can shop in
+ *
+ * Prices, order pricing and the payment ledger are always in PKR (the base
+ * currency). A rate is the PKR value of one unit of the currency; orders lock
+ * the rate in effect when they are placed
+ */
+
+const BASE_CURRENCY = 'PKR';
+
+// Rate changes kept on the document for the audit trail
+const MAX_HISTORY = 50;
+
+const rateHistorySchema = new mongoose.Schema({
+  rate: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import', 'seed']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const exchangeRateSchema = new mongoose.Schema({
+  // ISO 4217 code
+  currency: {
+    type: String,
+    required: [true, 'Currency code is required'],
+    uppercase: true,
+    trim: true,
+    unique: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    validate: {
+      validator: v => v !== BASE_CURRENCY,
+      message: `${BASE_CURRENCY} is the base currency and has no rate`
+    }
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Currency name cannot exceed 60 characters']
+  },
+
+  symbol: {
+    type: String,
+    trim: true,
+    maxlength: [5, 'Symbol cannot exceed 5 characters']
+  },
+
+  // Decimal places prices are shown with
+  decimals: {
+    type: Number,
+    default: 2,
+    min: 0,
+    max: 3
+  },
+
+  // PKR per 1 unit of the currency
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.000001, 'Exchange rate must be positive']
+  },
+
+  source: {
+    type: String,
+    enum: ['manual', 'import', 'seed'],
+    default: 'manual'
+  },
+
+  // Customers can only pick active currencies
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  history: [rateHistorySchema],
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+exchangeRateSchema.index({ isActive: 1, currency: 1 });
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Change the rate, keeping the previous rates in history
+ * @param {number} rate - PKR per unit
+ * @param {Object} options - { source, user }
+ */
+exchangeRateSchema.methods.setRate = function(rate, { source = 'manual', user } = {}) {
+  const changed = this.isNew || this.rate !== rate;
+
+  this.rate = rate;
+  this.source = source;
+  if (user) this.updatedBy = user._id;
+
+  if (changed) {
+    this.history.push({ rate, source, changedAt: new Date(), changedBy: user?._id });
+    if (this.history.length > MAX_HISTORY) {
+      this.history.splice(0, this.history.length - MAX_HISTORY);
+    }
+  }
+
+  return this;
+};
+
+// ============================================
+// STATICS
+// ============================================
+
+/**
+ * Create the starting currencies (only when none exist)
+ * Approximate rates, matching what the storefront switcher used before
+ * rates were managed on the server; admins should update them
+ */
+exchangeRateSchema.statics.seedDefaults = async function() {
+  const count = await this.countDocuments();
+  if (count > 0) return;
+
+  const seed = [
+    { currency: 'USD', name: 'US Dollar', symbol: '$', rate: 278 },
+    { currency: 'SAR', name: 'Saudi Riyal', symbol: 'SR', rate: 77 }
+  ];
+
+  await Promise.all(seed.map(entry => new this(entry).setRate(entry.rate, { source: 'seed' }).save()));
+};
+
+exchangeRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -33,6 +33,26 @@ const fabricInventorySchema = new mongoose.Schema({
     default: 'standard'
   },
   
+  pattern: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Pattern cannot exceed 50 characters']
+  },
+  
+  // Shown to customers choosing fabric for a custom order
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  
+  // Meters a custom suit cut from this fabric takes
+  metersPerSuit: {
+    type: Number,
+    default: 3,
+    min: [0.5, 'A suit needs at least 0.5 meters']
+  },
+  
   // Inventory tracking
   stock: {
     quantity: {
@@ -55,6 +75,11 @@ const fabricInventorySchema = new mongoose.Schema({
       type: Number,
       default: 5,
       min: [0, 'Reorder point cannot be negative']
+    },
+    // Quantity to order when stock falls to the reorder point
+    reorderQuantity: {
+      type: Number,
+      min: [0, 'Reorder quantity cannot be negative']
     }
   },
   
@@ -77,7 +102,13 @@ const fabricInventorySchema = new mongoose.Schema({
     }
   },
   
-  // Supplier information
+  // Supplier we reorder from (services/purchasingService)
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  
+  // Legacy free-text supplier details, kept for fabrics added before suppliers
   supplier: {
     name: String,
     contact: String,
@@ -93,7 +124,8 @@ const fabricInventorySchema = new mongoose.Schema({
     index: true
   },
   
-  // Auto-disable when out of stock
+  // Auto-disable when out of stock: disables products using it and hides
+  // it from custom-order fabric selection (services/fabricService)
   autoDisable: {
     type: Boolean,
     default: true
@@ -152,12 +184,10 @@ fabricInventorySchema.pre('save', async function(next) {
           isDeleted: false
         });
 
-        // Disable each product
+        // Disable each product; its own stock is left to the stock ledger
         for (const product of products) {
           product.isActive = false;
           product.availabilityStatus = 'out-of-stock';
-          product.inventory.stockQuantity = 0;
-          product.inventory.reservedQuantity = 0;
           await product.save();
         }
 
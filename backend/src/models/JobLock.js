@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Lock Model
+ * Lease that keeps a background job on one instance at a time, or marks a
+ * scheduled tick as taken (used when Redis isn't available)
+ */
+
+const jobLockSchema = new mongoose.Schema({
+  // Job name, or job name and tick time for a tick claim
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // Unique id of the instance holding the lease
+  owner: {
+    type: String,
+    required: true
+  },
+
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lease expiry; a crashed holder's lock is taken over after this
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false
+});
+
+// Clear out lapsed leases; tick claims are never released by their holder
+jobLockSchema.index({ lockedUntil: 1 }, { expireAfterSeconds: 0 });
+
+// Static method: Take the lease if it's free, expired or already ours
+// Returns true when the lock was acquired
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ lockedUntil: { $lte: now } }, { owner }]
+      },
+      {
+        $set: { owner, lockedAt: now, lockedUntil: new Date(now.getTime() + ttlMs) }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Duplicate key: another instance holds a live lease
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method: Release the lease if we still hold it
+jobLockSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Run Model
+ * History of background job executions (one document per attempt)
+ */
+
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true,
+    index: true
+  },
+
+  // What started the run
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running',
+    index: true
+  },
+
+  // 1 for the first try, incremented on each retry
+  attempt: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: Date,
+
+  durationMs: {
+    type: Number,
+    min: 0
+  },
+
+  // Summary returned by the job handler
+  result: mongoose.Schema.Types.Mixed,
+
+  error: {
+    message: String,
+    stack: String
+  },
+
+  // Instance that ran the job
+  host: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// Keep 30 days of history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Method: Finish the run
+jobRunSchema.methods.finish = function(status, { result, error } = {}) {
+  this.status = status;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  if (result !== undefined) this.result = result;
+  if (error) {
+    this.error = { message: error.message, stack: error.stack };
+  }
+  return this.save();
+};
+
+// Static method: Latest run per job
+jobRunSchema.statics.getLatestByJob = function() {
+  return this.aggregate([
+    { $sort: { startedAt: -1 } },
+    {
+      $group: {
+        _id: '$jobName',
+        lastRun: { $first: '$$ROOT' },
+        lastSuccessAt: {
+          $max: { $cond: [{ $eq: ['$status', 'success'] }, '$finishedAt', null] }
+        }
+      }
+    }
+  ]);
+};
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
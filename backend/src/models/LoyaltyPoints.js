@@ -3,6 +3,10 @@ const mongoose = require('mongoose');
 /**
  * Loyalty Points Model
  * Tracks loyalty points (1 point = Rs.1, redeemable)
+ *
+ * Each earning is a lot with its own expiry and what is left of it;
+ * points are spent and expire oldest lot first. Earning rules, tiers and
+ * redemption limits come from Settings.loyalty; see services/loyaltyService
  */
 
 const loyaltyTransactionSchema = new mongoose.Schema({
@@ -13,9 +17,11 @@ const loyaltyTransactionSchema = new mongoose.Schema({
     index: true
   },
   
+  // reversed: earned points taken back (order refunded or cancelled)
+  // restored: redeemed points given back (order cancelled or refunded)
   type: {
     type: String,
-    enum: ['earned', 'redeemed', 'expired', 'adjusted'],
+    enum: ['earned', 'redeemed', 'expired', 'adjusted', 'reversed', 'restored'],
     required: true
   },
   
@@ -40,7 +46,7 @@ const loyaltyTransactionSchema = new mongoose.Schema({
   // Source/Reason
   source: {
     type: String,
-    enum: ['order', 'referral', 'review', 'social-share', 'birthday', 'manual', 'redemption'],
+    enum: ['order', 'referral', 'review', 'social-share', 'birthday', 'manual', 'redemption', 'expiry'],
     required: true
   },
   
@@ -54,6 +60,25 @@ const loyaltyTransactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Referral'
   },
+
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review'
+  },
+
+  // Earned lots: points not yet spent or expired
+  // Reversals: points the balance couldn't cover, still owed
+  remaining: {
+    type: Number,
+    min: 0
+  },
+
+  // Redemptions: the lots the points came from, so they can be put back
+  lots: [{
+    _id: false,
+    lot: mongoose.Schema.Types.ObjectId,
+    points: Number
+  }],
   
   // Expiry
   expiresAt: {
@@ -138,7 +163,9 @@ const loyaltyAccountSchema = new mongoose.Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Balance and lots change together; concurrent saves retry instead of overwriting
+  optimisticConcurrency: true
 });
 
 // Indexes - compound and non-field indexes only
@@ -155,46 +182,265 @@ loyaltyAccountSchema.virtual('calculatedTier').get(function() {
   return 'bronze';
 });
 
-// Method: Add points
-loyaltyAccountSchema.methods.addPoints = function(points, source, orderId = null) {
+const isLot = (transaction) => transaction.type === 'earned';
+
+// Lots saved before lots were tracked have no remaining; all of it counts
+const remainingOf = (lot) => (lot.remaining == null ? lot.points : lot.remaining);
+
+// Method: Lots with points left, oldest expiry first
+loyaltyAccountSchema.methods.openLots = function(now = new Date()) {
+  return this.transactions
+    .filter(transaction => isLot(transaction)
+      && transaction.status === 'active'
+      && remainingOf(transaction) > 0
+      && (!transaction.expiresAt || transaction.expiresAt > now))
+    .sort((a, b) => (a.expiresAt || Infinity) - (b.expiresAt || Infinity) || a.createdAt - b.createdAt);
+};
+
+// Take points from lots in the order given
+// Returns [{ lot, points }] for the lots used
+const takeFromLots = (lots, points) => {
+  const taken = [];
+  let left = points;
+
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(remainingOf(lot), left);
+    lot.remaining = remainingOf(lot) - take;
+    if (lot.remaining === 0) lot.status = 'used';
+    taken.push({ lot: lot._id, points: take });
+    left -= take;
+  }
+
+  return taken;
+};
+
+// Method: Set the tier and its checkout benefits from lifetime points
+// tiers: Settings.loyalty.tiers; without them only the tier is worked out
+loyaltyAccountSchema.methods.applyTier = function(tiers) {
+  if (!tiers?.length) {
+    this.tier = this.calculatedTier;
+    return this.tier;
+  }
+
+  const ladder = [...tiers].sort((a, b) => b.minPoints - a.minPoints);
+  const reached = ladder.find(entry => this.totalPointsEarned >= entry.minPoints) || ladder[ladder.length - 1];
+
+  this.tier = reached.tier;
+  this.tierBenefits = {
+    discountPercentage: reached.discountPercentage || 0,
+    freeShipping: Boolean(reached.freeShipping)
+  };
+
+  return this.tier;
+};
+
+// Method: Add a lot of points (doesn't save)
+// options: { orderId, referralId, reviewId, expiresAt, description }
+loyaltyAccountSchema.methods.earn = function(points, source, options = {}) {
   this.currentBalance += points;
   this.totalPointsEarned += points;
-  
+
   this.transactions.push({
+    userId: this.userId,
     type: 'earned',
     points,
+    remaining: points,
     value: points * this.conversionRate,
     source,
-    orderId,
+    orderId: options.orderId,
+    referralId: options.referralId,
+    reviewId: options.reviewId,
+    ...(options.expiresAt && { expiresAt: options.expiresAt }),
+    description: options.description,
     status: 'active'
   });
-  
-  // Update tier
-  this.tier = this.calculatedTier;
-  
-  return this.save();
+
+  return this.transactions[this.transactions.length - 1];
 };
 
-// Method: Redeem points
-loyaltyAccountSchema.methods.redeemPoints = function(points) {
+// Method: Spend points, oldest lot first (doesn't save)
+// options: { orderId, description }
+loyaltyAccountSchema.methods.spend = function(points, options = {}) {
   if (points > this.currentBalance) {
     throw new Error('Insufficient points balance');
   }
-  
+
+  const lots = takeFromLots(this.openLots(), points);
+
   this.currentBalance -= points;
   this.totalPointsRedeemed += points;
-  
+
   this.transactions.push({
+    userId: this.userId,
     type: 'redeemed',
     points: -points,
     value: points * this.conversionRate,
     source: 'redemption',
+    orderId: options.orderId,
+    lots,
+    description: options.description,
     status: 'used'
   });
-  
+
+  return this.transactions[this.transactions.length - 1];
+};
+
+// Method: Take back the points an order earned, e.g. once it is refunded (doesn't save)
+// Whatever of them was already spent comes out of the other lots, as far as the balance allows
+// Returns the points taken back
+loyaltyAccountSchema.methods.reverseOrderPoints = function(orderId, description) {
+  const matches = (transaction) => transaction.orderId && transaction.orderId.equals(orderId);
+
+  const earned = this.transactions.find(transaction => transaction.type === 'earned' && transaction.source === 'order' && matches(transaction));
+  if (!earned || this.transactions.some(transaction => transaction.type === 'reversed' && matches(transaction))) return 0;
+
+  const points = Math.min(earned.points, this.currentBalance);
+
+  const own = earned.status === 'active' ? [earned] : [];
+  takeFromLots([...own, ...this.openLots().filter(lot => lot !== earned)], points);
+  if (earned.status === 'active') {
+    earned.status = 'used';
+    earned.remaining = 0;
+  }
+
+  this.currentBalance -= points;
+  this.totalPointsEarned = Math.max(this.totalPointsEarned - earned.points, 0);
+
+  this.transactions.push({
+    userId: this.userId,
+    type: 'reversed',
+    points: -points,
+    remaining: earned.points - points,
+    value: points * this.conversionRate,
+    source: 'order',
+    orderId,
+    description,
+    status: 'used'
+  });
+
+  return points;
+};
+
+// Method: Give back the points spent on an order, e.g. once it is cancelled (doesn't save)
+// Points go back to the lots they came from; any of those that have since expired stay expired,
+// and points going back to a reversed lot first settle what its reversal couldn't take
+// Returns the points given back
+loyaltyAccountSchema.methods.restoreOrderPoints = function(orderId, description, now = new Date()) {
+  const matches = (transaction) => transaction.orderId && transaction.orderId.equals(orderId);
+
+  const redeemed = this.transactions.find(transaction => transaction.type === 'redeemed' && matches(transaction));
+  if (!redeemed || this.transactions.some(transaction => transaction.type === 'restored' && matches(transaction))) return 0;
+
+  let points = 0;
+  redeemed.lots.forEach(({ lot: lotId, points: taken }) => {
+    const lot = this.transactions.id(lotId);
+    if (!lot || (lot.expiresAt && lot.expiresAt <= now) || lot.status === 'expired') return;
+
+    const reversal = lot.source === 'order' && lot.orderId && this.transactions.find(transaction => transaction.type === 'reversed'
+      && transaction.orderId && transaction.orderId.equals(lot.orderId));
+    const owed = reversal ? Math.min(reversal.remaining || 0, taken) : 0;
+    if (owed) reversal.remaining -= owed;
+
+    const back = taken - owed;
+    if (!back) return;
+
+    lot.remaining = remainingOf(lot) + back;
+    lot.status = 'active';
+    points += back;
+  });
+
+  this.currentBalance += points;
+  this.totalPointsRedeemed = Math.max(this.totalPointsRedeemed + redeemed.points, 0);
+
+  this.transactions.push({
+    userId: this.userId,
+    type: 'restored',
+    points,
+    value: points * this.conversionRate,
+    source: 'order',
+    orderId,
+    description,
+    status: 'used'
+  });
+
+  return points;
+};
+
+// Method: Add points
+loyaltyAccountSchema.methods.addPoints = function(points, source, orderId = null, options = {}) {
+  this.earn(points, source, { ...options, orderId });
+  this.applyTier(options.tiers);
+
+  return this.save();
+};
+
+// Method: Redeem points
+loyaltyAccountSchema.methods.redeemPoints = function(points, options = {}) {
+  this.spend(points, options);
+
   return this.save();
 };
 
+// Method: Expire what is left of lots past their expiry date
+// Returns the number of points removed from the balance
+loyaltyAccountSchema.methods.expirePoints = function(now = new Date()) {
+  let duePoints = 0;
+
+  this.transactions.forEach(transaction => {
+    if (
+      isLot(transaction) &&
+      transaction.status === 'active' &&
+      transaction.expiresAt &&
+      transaction.expiresAt <= now
+    ) {
+      duePoints += remainingOf(transaction);
+      transaction.remaining = 0;
+      transaction.status = 'expired';
+    }
+  });
+
+  // Lots from before remaining was tracked may already have been spent
+  const expiredPoints = Math.min(duePoints, this.currentBalance);
+
+  if (expiredPoints > 0) {
+    this.currentBalance -= expiredPoints;
+
+    this.transactions.push({
+      userId: this.userId,
+      type: 'expired',
+      points: -expiredPoints,
+      value: expiredPoints * this.conversionRate,
+      source: 'expiry',
+      status: 'expired',
+      description: 'Points expired'
+    });
+  }
+
+  return expiredPoints;
+};
+
+// Static method: Expire due points across all accounts
+loyaltyAccountSchema.statics.expireDuePoints = async function(now = new Date()) {
+  const accounts = await this.find({
+    transactions: {
+      $elemMatch: { type: 'earned', status: 'active', expiresAt: { $lte: now } }
+    }
+  });
+  
+  let pointsExpired = 0;
+  
+  for (const account of accounts) {
+    pointsExpired += account.expirePoints(now);
+    await account.save();
+  }
+  
+  return {
+    accounts: accounts.length,
+    pointsExpired
+  };
+};
+
 // Static method: Get or create account
 loyaltyAccountSchema.statics.getOrCreate = async function(userId) {
   let account = await this.findOne({ userId });
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { STATES, ORDER_STATUSES } = require('../config/orderStatusMachine');
+
+// Provinces for Pakistani (PK) shipping addresses
+const PROVINCES = ['Punjab', 'Sindh', 'KPK', 'Balochistan', 'Gilgit-Baltistan', 'AJK'];
 
 // ============================================
 // SUB-SCHEMAS
@@ -42,6 +46,19 @@ const orderItemSchema = new mongoose.Schema({
     category: String,
     fabricType: String
   },
+
+  // Colour x size variant ordered; stock is decremented on the variant
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  variantSnapshot: {
+    color: String,
+    size: String,
+    sku: String,
+    image: String
+  },
   
   isCustom: {
     type: Boolean,
@@ -76,7 +93,14 @@ const orderItemSchema = new mongoose.Schema({
       type: String,
       color: String,
       quality: String,
-      metersRequired: Number
+      metersRequired: Number,
+      // Fabric stock the meters come out of when the order reaches material-arranged
+      inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FabricInventory'
+      },
+      metersConsumed: Number,
+      consumedAt: Date
     },
     
     specialInstructions: {
@@ -146,6 +170,7 @@ const shippingAddressSchema = new mongoose.Schema({
     validate: {
       validator: function(v) {
         const cleaned = v.replace(/[\s-]/g, '');
+        if (this.country && this.country !== 'PK') return /^\+?[0-9]{7,15}$/.test(cleaned);
         return /^(\+92[0-9]{10}|0[0-9]{10}|[0-9]{10})$/.test(cleaned);
       },
       message: 'Invalid Pakistani phone number'
@@ -157,6 +182,7 @@ const shippingAddressSchema = new mongoose.Schema({
       validator: function(v) {
         if (!v) return true;
         const cleaned = v.replace(/[\s-]/g, '');
+        if (this.country && this.country !== 'PK') return /^\+?[0-9]{7,15}$/.test(cleaned);
         return /^(\+92[0-9]{10}|0[0-9]{10}|[0-9]{10})$/.test(cleaned);
       },
       message: 'Invalid WhatsApp number'
@@ -172,41 +198,147 @@ const shippingAddressSchema = new mongoose.Schema({
   city: {
     type: String,
     required: [true, 'City is required'],
-    enum: ['Lahore', 'Karachi', 'Islamabad', 'Rawalpindi', 'Faisalabad', 'Multan', 'Peshawar', 'Quetta', 'Sialkot', 'Gujranwala', 'Other']
+    trim: true,
+    maxlength: [100, 'City cannot exceed 100 characters']
   },
   province: {
     type: String,
-    required: [true, 'Province is required'],
-    enum: ['Punjab', 'Sindh', 'KPK', 'Balochistan', 'Gilgit-Baltistan', 'AJK']
+    trim: true,
+    required: [
+      function() { return !this.country || this.country === 'PK'; },
+      'Province is required'
+    ],
+    validate: {
+      validator: function(v) {
+        if (this.country && this.country !== 'PK') return true;
+        return PROVINCES.includes(v);
+      },
+      message: 'Invalid province'
+    }
   },
   postalCode: {
     type: String,
     validate: {
       validator: function(v) {
+        if (this.country && this.country !== 'PK') return /^[A-Za-z0-9 -]{3,10}$/.test(v);
         return /^[0-9]{5}$/.test(v);
       },
       message: 'Invalid postal code (must be 5 digits)'
     }
   },
+  // ISO 3166-1 alpha-2 country code ('Pakistan' is stored as PK)
+  country: {
+    type: String,
+    set: v => (typeof v === 'string' && /^\s*pakistan\s*$/i.test(v) ? 'PK' : v),
+    uppercase: true,
+    trim: true,
+    default: 'PK',
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter code']
+  },
   deliveryInstructions: {
     type: String,
     maxlength: [500, 'Delivery instructions cannot exceed 500 characters']
   }
 }, { _id: false });
 
+// One payment towards an order (advance deposit, balance or full amount)
+const installmentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Installment amount is required'],
+    min: [1, 'Installment amount must be at least PKR 1']
+  },
+  
+  method: {
+    type: String,
+    enum: ['bank-transfer', 'jazzcash', 'easypaisa', 'cod', 'cash', 'wallet'],
+    required: [true, 'Payment method is required']
+  },
+  
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected'],
+    default: 'pending'
+  },
+  
+  source: {
+    type: String,
+    enum: ['customer', 'admin', 'gateway'],
+    default: 'customer'
+  },
+  
+  receiptImage: {
+    url: String,
+    cloudinaryId: String,
+    uploadedAt: Date
+  },
+  
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  rejectionReason: String,
+  
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  
+  // Set when paid in another currency; amount is the PKR it settled for
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  originalAmount: Number,
+  exchangeRate: Number
+}, { _id: true, timestamps: true });
+
 const paymentSchema = new mongoose.Schema({
   method: {
     type: String,
-    enum: ['bank-transfer', 'jazzcash', 'easypaisa', 'cod', 'pending'],
+    enum: ['bank-transfer', 'jazzcash', 'easypaisa', 'cod', 'wallet', 'pending'],
     required: [true, 'Payment method is required']
   },
   
   status: {
     type: String,
-    enum: ['pending', 'verified', 'failed', 'refunded'],
+    enum: ['pending', 'partial', 'verified', 'failed', 'refunded'],
     default: 'pending'
   },
   
+  // Payment ledger; amountPaid is the sum of verified installments
+  installments: [installmentSchema],
+  
+  // Share of the total needed before production starts (snapshot of Settings.payment.deposit)
+  depositPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  
+  balanceReminder: {
+    lastSentAt: Date,
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+  
   bankDetails: {
     accountTitle: String,
     accountNumber: String,
@@ -239,14 +371,34 @@ const paymentSchema = new mongoose.Schema({
   verifiedAt: Date,
   verificationNotes: String,
   
+  failedAt: Date,
+  failureReason: String,
+  
   codCollected: {
     type: Boolean,
     default: false
   },
   codCollectedAt: Date,
   
+  // Courier remittance that settled the COD amount
+  codSettlement: {
+    reference: String,
+    remittance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CodRemittance'
+    },
+    amount: Number,
+    settledAt: Date,
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  
   refund: {
     amount: Number,
+    // Part of the refunded amount issued as store credit
+    walletAmount: Number,
     reason: String,
     processedAt: Date,
     processedBy: {
@@ -272,6 +424,14 @@ const statusHistorySchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// One courier scan, as reported by the courier integration
+const trackingEventSchema = new mongoose.Schema({
+  status: String,
+  description: String,
+  location: String,
+  timestamp: Date
+}, { _id: false });
+
 const trackingSchema = new mongoose.Schema({
   courierService: {
     type: String,
@@ -286,7 +446,29 @@ const trackingSchema = new mongoose.Schema({
     image: String,
     recipientName: String,
     signature: String
-  }
+  },
+  // Set when the shipment was booked through a courier integration (services/couriers)
+  courier: String,
+  bookingReference: String,
+  bookedAt: Date,
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  weight: Number,
+  pieces: Number,
+  codAmount: {
+    type: Number,
+    min: 0
+  },
+  labelUrl: String,
+  courierStatus: {
+    type: String,
+    enum: ['booked', 'picked-up', 'in-transit', 'out-for-delivery', 'delivered', 'delivery-failed', 'returned', 'cancelled']
+  },
+  events: [trackingEventSchema],
+  lastSyncedAt: Date,
+  syncError: String
 }, { _id: false });
 
 const adminNoteSchema = new mongoose.Schema({
@@ -371,6 +553,20 @@ const orderSchema = new mongoose.Schema({
   
   tracking: trackingSchema,
   
+  // Shipping rate quoted at checkout (see services/shippingService)
+  shippingMethod: {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingZone'
+    },
+    zoneName: String,
+    rateId: String,
+    courier: String,
+    label: String,
+    weight: Number,
+    freeShippingReason: String
+  },
+  
   payment: {
     type: paymentSchema,
     required: true
@@ -393,6 +589,45 @@ const orderSchema = new mongoose.Schema({
       min: 0
     },
     discountCode: String,
+    // Part of the discount that came from the promo code
+    codeDiscount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Automatic promotions applied; see services/pricingService
+    promotions: [{
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+      },
+      name: String,
+      description: String,
+      type: { type: String },
+      amount: Number,
+      _id: false
+    }],
+    // Parts of the discount from the customer's loyalty tier and points spent
+    loyalty: {
+      tier: String,
+      tierDiscount: {
+        type: Number,
+        default: 0
+      },
+      // Tier benefit: shippingCharges were waived
+      freeShipping: {
+        type: Boolean,
+        default: false
+      },
+      pointsRedeemed: {
+        type: Number,
+        default: 0
+      },
+      pointsDiscount: {
+        type: Number,
+        default: 0
+      }
+    },
     tax: {
       type: Number,
       default: 0,
@@ -405,20 +640,36 @@ const orderSchema = new mongoose.Schema({
     }
   },
   
+  // Currency the customer shopped in, with the rate (PKR per unit) locked
+  // when the order was placed. pricing and the payment ledger stay in PKR
+  displayCurrency: {
+    code: {
+      type: String,
+      uppercase: true,
+      default: 'PKR'
+    },
+    symbol: String,
+    decimals: Number,
+    rate: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    lockedAt: Date
+  },
+  
+  // pricing converted to displayCurrency (kept in sync on save)
+  displayPricing: {
+    subtotal: Number,
+    shippingCharges: Number,
+    discount: Number,
+    tax: Number,
+    total: Number
+  },
+  
   status: {
     type: String,
-    enum: [
-      'pending-payment',
-      'payment-verified',
-      'material-arranged',
-      'in-progress',
-      'quality-check',
-      'ready-dispatch',
-      'dispatched',
-      'delivered',
-      'cancelled',
-      'refunded'
-    ],
+    enum: ORDER_STATUSES,
     default: 'pending-payment',
     index: true
   },
@@ -508,6 +759,9 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ 'payment.status': 1, createdAt: -1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ isDeleted: 1, createdAt: -1 });
+orderSchema.index({ status: 1, 'tracking.courier': 1, 'tracking.lastSyncedAt': 1 });
+orderSchema.index({ 'tracking.trackingNumber': 1 });
+orderSchema.index({ 'payment.method': 1, 'payment.codCollected': 1, status: 1 });
 
 orderSchema.index({
   orderNumber: 'text',
@@ -539,6 +793,17 @@ orderSchema.virtual('isOverdue').get(function() {
   return new Date() > this.estimatedCompletion && !['delivered', 'cancelled'].includes(this.status);
 });
 
+orderSchema.virtual('depositAmount').get(function() {
+  const percentage = this.payment?.depositPercentage ?? 100;
+  return Math.round(((this.pricing?.total || 0) * percentage) / 100);
+});
+
+orderSchema.virtual('balanceDue').get(function() {
+  if (!this.payment || this.payment.status === 'verified') return 0;
+  const balance = (this.pricing?.total || 0) - (this.payment.amountPaid || 0);
+  return balance > 0 ? Math.round(balance * 100) / 100 : 0;
+});
+
 orderSchema.virtual('statusDisplay').get(function() {
   const statusMap = {
     'pending-payment': { label: 'Pending Payment', color: 'warning' },
@@ -595,6 +860,22 @@ orderSchema.pre('save', function(next) {
     this.pricing.total = 0;
   }
   
+  const currency = this.displayCurrency;
+  if (currency?.code && currency.code !== 'PKR' && currency.rate > 0) {
+    const decimals = currency.decimals ?? 2;
+    const convert = amount => Math.round(((amount || 0) / currency.rate) * 10 ** decimals) / 10 ** decimals;
+    
+    this.displayPricing = {
+      subtotal: convert(this.pricing.subtotal),
+      shippingCharges: convert(this.pricing.shippingCharges),
+      discount: convert(this.pricing.discount),
+      tax: convert(this.pricing.tax),
+      total: convert(this.pricing.total)
+    };
+  } else {
+    this.displayPricing = undefined;
+  }
+  
   next();
 });
 
@@ -613,6 +894,25 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Note stock-affecting changes for the post-save hook below
+orderSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+  
+  // Cancelling a paid order with a refund leaves it 'refunded'
+  const isCancelled = this.status === 'cancelled' ||
+    (this.status === 'refunded' && this.isModified('cancellation'));
+  
+  if (this.isModified('status') && isCancelled) {
+    this.$locals.stockChange = 'cancelled';
+  } else if (this.isModified('status') && this.status === 'payment-verified') {
+    this.$locals.stockChange = 'paid';
+  } else if (this.isModified('payment.status') && this.payment.status === 'failed') {
+    this.$locals.stockChange = 'payment-failed';
+  }
+  
+  next();
+});
+
 orderSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'delivered' && !this.actualCompletion) {
     this.actualCompletion = new Date();
@@ -652,6 +952,79 @@ orderSchema.methods.verifyPayment = function(verifiedBy, notes) {
   return this.save();
 };
 
+/**
+ * Re-total verified installments and move the payment and order status to match
+ * Paying the deposit releases the order to production; paying in full verifies it
+ */
+orderSchema.methods.applyInstallments = function(updatedBy) {
+  const installments = this.payment.installments || [];
+  const paid = installments
+    .filter(installment => installment.status === 'verified')
+    .reduce((sum, installment) => sum + installment.amount, 0);
+
+  this.payment.amountPaid = Math.round(paid * 100) / 100;
+
+  if (paid > 0 && paid >= this.pricing.total - 0.01) {
+    this.payment.status = 'verified';
+    this.payment.verifiedAt = this.payment.verifiedAt || new Date();
+    if (updatedBy) this.payment.verifiedBy = updatedBy;
+  } else if (paid > 0) {
+    this.payment.status = 'partial';
+  } else if (['partial', 'verified'].includes(this.payment.status)) {
+    this.payment.status = 'pending';
+  }
+
+  if (this.status === 'pending-payment' && paid > 0 && paid >= this.depositAmount - 0.01) {
+    this.status = 'payment-verified';
+    this.statusHistory.push({
+      status: 'payment-verified',
+      note: this.payment.status === 'verified'
+        ? 'Payment received in full'
+        : `Advance of PKR ${this.payment.amountPaid.toLocaleString()} received, balance PKR ${this.balanceDue.toLocaleString()} due before dispatch`,
+      updatedBy,
+      timestamp: new Date()
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Whether the customer still owes money on the order
+ * (before production, or a balance after the advance deposit)
+ */
+orderSchema.methods.isAwaitingPayment = function() {
+  if (['verified', 'refunded'].includes(this.payment.status)) return false;
+  if (['cancelled', 'refunded'].includes(this.status)) return false;
+  return this.status === 'pending-payment' || this.payment.status === 'partial';
+};
+
+/**
+ * Whether enough has been paid to start work: the advance deposit, or the whole order
+ */
+orderSchema.methods.hasPaidDeposit = function() {
+  if (this.payment.status === 'verified') return true;
+  return this.payment.status === 'partial' && (this.payment.amountPaid || 0) >= this.depositAmount - 0.01;
+};
+
+/**
+ * Whether the order may leave the workshop
+ * COD balances are collected by the courier, everything else must be settled first
+ */
+orderSchema.methods.canDispatch = function() {
+  return this.payment.method === 'cod' || this.balanceDue <= 0;
+};
+
+/**
+ * When the order reached the customer, or null if it hasn't been delivered
+ */
+orderSchema.methods.getDeliveredAt = function() {
+  if (this.status !== 'delivered') return null;
+
+  const deliveredEntry = [...this.statusHistory].reverse().find(entry => entry.status === 'delivered');
+  return this.tracking?.actualDeliveryDate || deliveredEntry?.timestamp || this.actualCompletion || this.updatedAt;
+};
+
 orderSchema.methods.addNote = function(text, addedBy, isImportant = false) {
   this.notes.push({
     text,
@@ -680,7 +1053,7 @@ orderSchema.methods.cancelOrder = function(reason, cancelledBy) {
 };
 
 orderSchema.methods.canCancelByCustomer = function() {
-  return ['pending-payment', 'payment-verified'].includes(this.status);
+  return Boolean(STATES[this.status]?.customerCancellable);
 };
 
 orderSchema.methods.getEstimatedDelivery = function() {
@@ -736,6 +1109,36 @@ orderSchema.statics.getOverdueOrders = function() {
   .sort({ estimatedCompletion: 1 });
 };
 
+orderSchema.statics.getBalanceReminderDue = function(intervalDays = 2, now = new Date()) {
+  const cutoff = new Date(now.getTime() - intervalDays * 24 * 60 * 60 * 1000);
+
+  return this.find({
+    'payment.status': 'partial',
+    'payment.method': { $ne: 'cod' },
+    status: { $in: ['quality-check', 'ready-dispatch'] },
+    isDeleted: false,
+    $or: [
+      { 'payment.balanceReminder.lastSentAt': { $exists: false } },
+      { 'payment.balanceReminder.lastSentAt': { $lte: cutoff } }
+    ]
+  })
+  .populate('customer', 'fullName email phone whatsapp')
+  .limit(100);
+};
+
+/**
+ * Dispatched orders booked through a courier integration, least recently synced first
+ */
+orderSchema.statics.getShipmentsToSync = function(limit = 100) {
+  return this.find({
+    status: 'dispatched',
+    'tracking.courier': { $exists: true, $ne: null },
+    isDeleted: false
+  })
+  .sort({ 'tracking.lastSyncedAt': 1 })
+  .limit(limit);
+};
+
 orderSchema.statics.getSalesStats = async function(startDate, endDate) {
   return this.aggregate([
     {
@@ -788,15 +1191,13 @@ orderSchema.statics.createOrderWithTransaction = async function(orderData, provi
     const order = new Order(orderData);
     await order.save({ session });
     
+    // Hold ready-made stock until the payment is verified (services/inventoryService)
+    await require('../services/inventoryService').reserveForOrder(order, { session });
+    
     for (const item of order.items) {
       await Product.findByIdAndUpdate(
         item.product,
-        { 
-          $inc: { 
-            purchased: item.quantity,
-            'inventory.stockQuantity': item.isCustom ? 0 : -item.quantity
-          } 
-        },
+        { $inc: { purchased: item.quantity } },
         { session }
       );
     }
@@ -841,6 +1242,19 @@ orderSchema.post('save', function(doc, next) {
   next();
 });
 
+// Payment commits the order's stock reservation; failure or cancellation releases it
+orderSchema.post('save', async function(doc) {
+  const change = doc.$locals.stockChange;
+  if (!change) return;
+  
+  delete doc.$locals.stockChange;
+  try {
+    await require('../services/inventoryService').handleOrderChange(doc, change);
+  } catch (error) {
+    console.error(`Stock update failed for order ${doc.orderNumber}:`, error);
+  }
+});
+
 orderSchema.pre('remove', function(next) {
   this.isDeleted = true;
   this.save();
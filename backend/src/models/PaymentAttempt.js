@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment Attempt Model
+ * A customer's trip to a hosted JazzCash/Easypaisa checkout page
+ */
+
+const paymentAttemptSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+
+  orderNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  provider: {
+    type: String,
+    enum: ['jazzcash', 'easypaisa'],
+    required: true
+  },
+
+  // mock: local hosted page, sandbox/live: the gateway's own page
+  mode: {
+    type: String,
+    enum: ['mock', 'sandbox', 'live'],
+    required: true
+  },
+
+  // Our reference sent to the gateway (JazzCash pp_TxnRefNo)
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Gateway transaction ID once the payment completes
+  transactionId: String,
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'PKR'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'cancelled', 'expired'],
+    default: 'pending',
+    index: true
+  },
+
+  failureReason: String,
+
+  // Storefront page the customer returns to
+  returnUrl: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  completedAt: Date,
+
+  paymentEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentEvent'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentAttemptSchema.index({ provider: 1, orderNumber: 1, status: 1, createdAt: -1 });
+
+// Virtual: Pending but past its expiry
+paymentAttemptSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt < new Date();
+});
+
+// Static method: Cancel earlier pending attempts for an order
+paymentAttemptSchema.statics.cancelPending = function(orderId) {
+  return this.updateMany(
+    { order: orderId, status: 'pending' },
+    { $set: { status: 'cancelled', failureReason: 'Superseded by a new payment attempt', completedAt: new Date() } }
+  );
+};
+
+// Static method: Pending attempt a gateway result belongs to
+paymentAttemptSchema.statics.findPending = function(provider, orderNumber) {
+  return this.findOne({ provider, orderNumber, status: 'pending' }).sort({ createdAt: -1 });
+};
+
+const PaymentAttempt = mongoose.model('PaymentAttempt', paymentAttemptSchema);
+
+module.exports = PaymentAttempt;
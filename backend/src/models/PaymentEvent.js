@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment Event Model
+ * Log of gateway callbacks (JazzCash/Easypaisa), kept so events can be
+ * audited and replayed
+ */
+
+const replaySchema = new mongoose.Schema({
+  replayedAt: {
+    type: Date,
+    default: Date.now
+  },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: String,
+  message: String
+}, { _id: false });
+
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['jazzcash', 'easypaisa'],
+    required: true,
+    index: true
+  },
+
+  // Gateway transaction reference (idempotency key with provider)
+  transactionId: {
+    type: String,
+    trim: true
+  },
+
+  orderNumber: {
+    type: String,
+    trim: true,
+    index: true
+  },
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+
+  amount: {
+    type: Number,
+    min: 0
+  },
+
+  // Whether the gateway reported the payment as successful
+  success: {
+    type: Boolean,
+    default: false
+  },
+
+  providerStatus: String,
+  providerMessage: String,
+  paidAt: Date,
+
+  // Raw callback as received
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  signature: String,
+
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+
+  // Outcome of processing
+  status: {
+    type: String,
+    enum: [
+      'received',  // Logged, not yet processed
+      'processed', // Applied to the order
+      'ignored',   // Valid but nothing to do (e.g. already verified)
+      'rejected',  // Bad signature or amount mismatch
+      'failed'     // Could not be applied (e.g. order not found)
+    ],
+    default: 'received',
+    index: true
+  },
+
+  message: String,
+
+  processedAt: Date,
+
+  // Times the gateway delivered this transaction
+  deliveries: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  lastDeliveredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  ip: String,
+
+  replays: [replaySchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+// One verified event per gateway transaction; unsigned junk isn't deduplicated
+paymentEventSchema.index(
+  { provider: 1, transactionId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true, transactionId: { $exists: true } } }
+);
+paymentEventSchema.index({ createdAt: -1 });
+
+// Method: Record the processing outcome
+paymentEventSchema.methods.finish = function(status, message) {
+  this.status = status;
+  this.message = message;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
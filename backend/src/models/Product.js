@@ -194,10 +194,21 @@ const InventorySchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Stock cannot be negative']
   },
+  // Held by unpaid orders (see services/inventoryService); available = stockQuantity - reservedQuantity
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
   lowStockThreshold: {
     type: Number,
     default: 5
   },
+  // Packed parcel weight in kg (used by weight-based shipping rates)
+  shippingWeight: {
+    type: Number,
+    min: [0, 'Shipping weight cannot be negative']
+  },
   sku: {
     type: String,
     unique: true,
@@ -207,6 +218,64 @@ const InventorySchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Sub-schema for a colour x size variant with its own SKU, images, price and stock
+const VariantSchema = new mongoose.Schema({
+  color: {
+    type: String,
+    required: [true, 'Variant colour is required'],
+    trim: true,
+    maxlength: [50, 'Colour name too long']
+  },
+  hexCode: {
+    type: String,
+    match: [/^#[0-9A-Fa-f]{6}$/, 'Invalid hex color code']
+  },
+  size: {
+    type: String,
+    required: [true, 'Variant size is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Size label too long']
+  },
+  // Generated from the product SKU, colour and size when left empty
+  sku: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  images: [{
+    type: String,
+    trim: true
+  }],
+  // Replaces pricing.basePrice for this variant when set
+  priceOverride: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  stockQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  _id: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+VariantSchema.virtual('availableQuantity').get(function () {
+  return Math.max(0, (this.stockQuantity || 0) - (this.reservedQuantity || 0));
+});
+
 // Main Product Schema
 const ProductSchema = new mongoose.Schema({
   title: {
@@ -375,6 +444,12 @@ const ProductSchema = new mongoose.Schema({
     required: true
   },
 
+  // Colour x size variants; when present, stock is tracked per variant
+  variants: {
+    type: [VariantSchema],
+    default: []
+  },
+
   productType: {
     type: String,
     enum: ['ready-made', 'custom-only', 'both'],
@@ -672,6 +747,10 @@ ProductSchema.index({ isNewArrival: -1, createdAt: -1 });
 ProductSchema.index({ views: -1 });
 ProductSchema.index({ purchased: -1 });
 ProductSchema.index({ averageRating: -1, totalReviews: -1 });
+ProductSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 ProductSchema.index({
   title: 'text',
@@ -745,8 +824,16 @@ ProductSchema.virtual('url').get(function () {
 });
 
 ProductSchema.virtual('isLowStock').get(function () {
+  if (this.hasVariants) {
+    const threshold = this.inventory?.lowStockThreshold ?? 5;
+    return this.variants.some(variant => variant.isActive && variant.availableQuantity <= threshold);
+  }
   if (!this.inventory || !this.inventory.trackInventory) return false;
-  return this.inventory.stockQuantity <= this.inventory.lowStockThreshold;
+  return this.getAvailableStock() <= this.inventory.lowStockThreshold;
+});
+
+ProductSchema.virtual('hasVariants').get(function () {
+  return Array.isArray(this.variants) && this.variants.some(variant => variant.isActive);
 });
 
 // ============ PRE-SAVE HOOKS ============
@@ -877,6 +964,59 @@ ProductSchema.pre('save', function (next) {
   next();
 });
 
+// Variants: one per colour x size, SKUs filled in, product stock kept as the variant total
+ProductSchema.pre('validate', function (next) {
+  if (!this.isModified('variants') || !this.variants || this.variants.length === 0) {
+    return next();
+  }
+
+  const seen = new Set();
+  const skus = new Set();
+  const baseSku = (this.inventory?.sku || this.designCode || String(this._id)).toUpperCase();
+
+  this.variants.forEach((variant, index) => {
+    if (!variant.color || !variant.size) return;
+
+    const key = `${variant.color.toLowerCase()}|${variant.size}`;
+    if (seen.has(key)) {
+      this.invalidate(`variants.${index}`, `Duplicate variant: ${variant.color} / ${variant.size}`);
+      return;
+    }
+    seen.add(key);
+
+    if (!variant.sku) {
+      variant.sku = [baseSku, variant.color, variant.size]
+        .join('-')
+        .toUpperCase()
+        .replace(/[^A-Z0-9-]+/g, '');
+    }
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `Duplicate variant SKU: ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+  });
+
+  const activeVariants = this.variants.filter(variant => variant.isActive);
+
+  if (!this.inventory) this.inventory = {};
+  this.inventory.trackInventory = true;
+  this.inventory.stockQuantity = activeVariants.reduce((sum, variant) => sum + variant.stockQuantity, 0);
+  this.inventory.reservedQuantity = activeVariants.reduce((sum, variant) => sum + (variant.reservedQuantity || 0), 0);
+
+  // Colour filters and facets read availableColors
+  for (const variant of activeVariants) {
+    const name = variant.color.toLowerCase();
+    let color = this.availableColors.find(entry => entry.name.toLowerCase() === name);
+    if (!color) {
+      this.availableColors.push({ name: variant.color, hexCode: variant.hexCode, image: variant.images[0] });
+      color = this.availableColors[this.availableColors.length - 1];
+    }
+    color.inStock = activeVariants.some(entry => entry.color.toLowerCase() === name && entry.availableQuantity > 0);
+  }
+
+  next();
+});
+
 ProductSchema.pre('save', function (next) {
   const { discount } = this.pricing;
 
@@ -939,13 +1079,62 @@ ProductSchema.methods.isInStock = function () {
     return false;
   }
 
+  if (this.hasVariants) {
+    return this.variants.some(variant => variant.isActive && variant.availableQuantity > 0);
+  }
+
   if (this.inventory.trackInventory) {
-    return this.inventory.stockQuantity > 0;
+    return this.getAvailableStock() > 0;
   }
 
   return true;
 };
 
+/**
+ * Active variant by id (null when missing or disabled)
+ * @param {string|ObjectId} variantId
+ */
+ProductSchema.methods.getVariant = function (variantId) {
+  if (!variantId || !this.variants) return null;
+  const variant = this.variants.id(variantId);
+  return variant && variant.isActive ? variant : null;
+};
+
+/**
+ * Active variant for a colour and size
+ * @param {string} color
+ * @param {string} size
+ */
+ProductSchema.methods.findVariant = function (color, size) {
+  if (!color || !size || !this.variants) return null;
+  return this.variants.find(variant =>
+    variant.isActive &&
+    variant.color.toLowerCase() === String(color).trim().toLowerCase() &&
+    variant.size === String(size).trim().toUpperCase()
+  ) || null;
+};
+
+/**
+ * Unit price for a variant (its override, else the product base price)
+ * @param {Object} [variant]
+ */
+ProductSchema.methods.getVariantPrice = function (variant) {
+  if (variant && variant.priceOverride != null) {
+    return variant.priceOverride;
+  }
+  return this.pricing.basePrice;
+};
+
+/**
+ * Units customers can still buy: stock less what unpaid orders are holding
+ * @param {Object} [variant] - Counts the variant's stock instead of the product's
+ */
+ProductSchema.methods.getAvailableStock = function (variant) {
+  if (variant) return variant.availableQuantity;
+  const { stockQuantity = 0, reservedQuantity = 0 } = this.inventory || {};
+  return Math.max(0, stockQuantity - reservedQuantity);
+};
+
 ProductSchema.methods.softDelete = async function (userId) {
   this.isDeleted = true;
   this.deletedAt = new Date();
@@ -1008,20 +1197,28 @@ ProductSchema.statics.findByPriceRange = function (min, max) {
   });
 };
 
-ProductSchema.statics.search = function (query, options = {}) {
+/**
+ * Search products (synonyms and typos included), best matches first
+ * unless another sort is given
+ */
+ProductSchema.statics.search = async function (query, options = {}) {
   const {
     category,
     occasion,
     fabricType,
     minPrice,
     maxPrice,
-    sort = '-createdAt',
+    sort = 'relevance',
     page = 1,
     limit = 20
   } = options;
 
+  // Required here: the search service requires this model
+  const searchService = require('../services/searchService');
+  const { ids } = await searchService.search(query);
+
   const filter = {
-    $text: { $search: query },
+    _id: { $in: ids },
     isActive: true,
     isDeleted: false
   };
@@ -1035,11 +1232,20 @@ ProductSchema.statics.search = function (query, options = {}) {
     if (maxPrice) filter['pricing.basePrice'].$lte = maxPrice;
   }
 
-  return this.find(filter)
-    .sort(sort)
-    .skip((page - 1) * limit)
-    .limit(limit)
-    .select('-adminNotes');
+  if (sort !== 'relevance') {
+    return this.find(filter)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-adminNotes');
+  }
+
+  const { ids: pageIds } = await searchService.pageByRelevance(filter, ids, { page, limit });
+  const products = await this.find({ _id: { $in: pageIds } }).select('-adminNotes');
+
+  return pageIds
+    .map(id => products.find(product => product._id.toString() === id))
+    .filter(Boolean);
 };
 
 ProductSchema.statics.generateDesignCode = async function () {
@@ -1074,6 +1280,44 @@ ProductSchema.post('save', async function (doc) {
   }
 });
 
+// Changes to searched or visibility fields make the search index stale;
+// view counts and stock reservations don't
+const getSearchService = () => require('../services/searchService');
+
+const invalidateSearchIndex = () => {
+  getSearchService().invalidate();
+};
+
+// Paths an update writes, for plain, operator and pipeline updates
+const getUpdatedPaths = (update) => {
+  if (!update) return [];
+
+  const stages = Array.isArray(update) ? update : [update];
+  return stages.flatMap(stage => Object.entries(stage).flatMap(([key, value]) => {
+    if (!key.startsWith('$')) return [key];
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value;
+    if (key === '$rename') return [...Object.keys(value), ...Object.values(value)];
+    return value && typeof value === 'object' ? Object.keys(value) : [];
+  }));
+};
+
+ProductSchema.pre('save', function (next) {
+  this.$locals.searchIndexStale = this.isNew || getSearchService().affectsIndex(this.directModifiedPaths());
+  next();
+});
+
+ProductSchema.post('save', function (doc) {
+  if (doc.$locals.searchIndexStale) invalidateSearchIndex();
+});
+
+ProductSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  if (getSearchService().affectsIndex(getUpdatedPaths(this.getUpdate()))) invalidateSearchIndex();
+});
+
+ProductSchema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], invalidateSearchIndex);
+ProductSchema.post('insertMany', invalidateSearchIndex);
+
 ProductSchema.post('remove', async function (doc) {
   if (doc.category) {
     try {
@@ -126,6 +126,21 @@ const productionQueueSchema = new mongoose.Schema({
     }]
   },
   
+  // Alterations sent back into production after delivery
+  rework: [{
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    requestNumber: String,
+    reason: String,
+    reopenedAt: {
+      type: Date,
+      default: Date.now
+    },
+    completedAt: Date
+  }],
+  
   // Rush order flag
   isRushOrder: {
     type: Boolean,
@@ -188,6 +203,9 @@ productionQueueSchema.methods.updateStatus = function(newStatus, userId = null)
     case 'completed':
       this.timeline.completedAt = now;
       this.actualCompletionDate = now;
+      this.rework.forEach(entry => {
+        if (!entry.completedAt) entry.completedAt = now;
+      });
       break;
   }
   
@@ -216,6 +234,32 @@ productionQueueSchema.methods.assignToTailor = function(tailorId, estimatedCompl
   return this.save();
 };
 
+// Method: Send the item back into production for an alteration
+productionQueueSchema.methods.reopenForRework = function({ returnRequest, requestNumber, reason }, userId = null) {
+  const previousTailor = this.assignedTailor?.tailorId;
+
+  this.rework.push({ returnRequest, requestNumber, reason });
+  this.status = 'pending';
+  this.priority = 'high';
+  this.assignedTailor = undefined;
+  this.estimatedCompletionDate = undefined;
+  this.actualCompletionDate = undefined;
+  this.timeline.completedAt = undefined;
+
+  this.notes.push({
+    text: `Reopened for alteration ${requestNumber}: ${reason}${previousTailor ? ` (previously with tailor ${previousTailor})` : ''}`,
+    addedBy: userId,
+    type: 'issue'
+  });
+
+  return this.save();
+};
+
+// Virtual: Whether an alteration is in progress
+productionQueueSchema.virtual('isRework').get(function() {
+  return (this.rework || []).some(entry => !entry.completedAt);
+});
+
 // Static method: Get queue by status
 productionQueueSchema.statics.getByStatus = function(status) {
   return this.find({ status })
@@ -235,6 +279,49 @@ productionQueueSchema.statics.getOverdue = function() {
     .sort({ estimatedCompletionDate: 1 });
 };
 
+// Priorities from least to most urgent (the strings themselves sort alphabetically)
+const PRIORITY_RANK = ['low', 'normal', 'high', 'urgent'];
+
+// Static method: Items matching a filter, most urgent then oldest first
+productionQueueSchema.statics.findByUrgency = async function(filter, projection = null) {
+  const items = await this.aggregate([
+    { $match: filter },
+    {
+      $addFields: {
+        priorityRank: {
+          $switch: {
+            branches: PRIORITY_RANK.map((priority, rank) => ({ case: { $eq: ['$priority', priority] }, then: rank })),
+            default: PRIORITY_RANK.indexOf('normal')
+          }
+        }
+      }
+    },
+    { $sort: { priorityRank: -1, createdAt: 1 } },
+    { $project: projection || { priorityRank: 0 } }
+  ]);
+
+  return items.map(item => this.hydrate(item));
+};
+
+// Remember whether the document was new so the post-save hook can react to it
+productionQueueSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Auto-assign new items to the best available tailor
+productionQueueSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasNew || doc.assignedTailor?.tailorId) return;
+
+  try {
+    // Required lazily to avoid a circular dependency with the service
+    const tailorAssignmentService = require('../services/tailorAssignmentService');
+    await tailorAssignmentService.autoAssign(doc);
+  } catch (error) {
+    console.error(`Auto-assignment failed for ${doc.orderNumber}:`, error.message);
+  }
+});
+
 const ProductionQueue = mongoose.model('ProductionQueue', productionQueueSchema);
 
 module.exports = ProductionQueue;
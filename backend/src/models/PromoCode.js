@@ -75,6 +75,12 @@ const promoCodeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Generated as part of a batch of single-use codes
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCodeBatch',
+    index: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -99,10 +105,37 @@ promoCodeSchema.methods.isValid = function() {
   );
 };
 
-// Method to increment usage count
+/**
+ * Take one use of the code, atomically so concurrent checkouts can't go
+ * over the usage limit
+ * @returns {Promise<Object|null>} The updated code, or null when it is used up
+ */
 promoCodeSchema.methods.incrementUsage = async function() {
-  this.usedCount += 1;
-  return await this.save();
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $or: [
+        { usageLimit: null },
+        { usageLimit: { $lte: 0 } },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (updated) this.usedCount = updated.usedCount;
+  return updated;
+};
+
+/**
+ * Give back a use, e.g. when the order is cancelled
+ */
+promoCodeSchema.methods.releaseUsage = async function() {
+  await this.constructor.updateOne(
+    { _id: this._id, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
 };
 
 module.exports = mongoose.model('PromoCode', promoCodeSchema);
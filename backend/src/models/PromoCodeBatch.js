@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Code Batch Model
+ * A run of single-use codes generated together, e.g. for an influencer or a
+ * WhatsApp broadcast. The codes themselves are PromoCodes pointing back here
+ */
+
+const BATCH_CHANNELS = ['influencer', 'whatsapp', 'email', 'event', 'other'];
+
+const promoCodeBatchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Batch name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  channel: {
+    type: String,
+    enum: BATCH_CHANNELS,
+    default: 'other'
+  },
+
+  // Codes read PREFIX-XXXXXX
+  prefix: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeBatchSchema.index({ createdAt: -1 });
+
+promoCodeBatchSchema.statics.CHANNELS = BATCH_CHANNELS;
+
+const PromoCodeBatch = mongoose.model('PromoCodeBatch', promoCodeBatchSchema);
+
+module.exports = PromoCodeBatch;
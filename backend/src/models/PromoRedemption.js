@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Redemption Model
+ * Ledger of who used which promo code on which order, and for how much
+ *
+ * A redemption is claimed before its order is saved and reversed if the
+ * order fails or is cancelled; see services/promoCodeService
+ */
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true,
+    index: true
+  },
+  // Snapshot so the ledger still reads after the code is deleted
+  code: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCodeBatch',
+    index: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderNumber: String,
+
+  // Discount the code gave
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  orderSubtotal: Number,
+  orderTotal: Number,
+
+  // Which of the customer's allowed uses this is (1..userLimit). Unique while
+  // active, so two checkouts at once can't both take a customer's last use
+  slot: Number,
+
+  status: {
+    type: String,
+    enum: ['active', 'reversed'],
+    default: 'active'
+  },
+  reversedAt: Date,
+  reversalReason: String
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index(
+  { promoCode: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', slot: { $gt: 0 } } }
+);
+promoRedemptionSchema.index({ status: 1, createdAt: -1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+module.exports = PromoRedemption;
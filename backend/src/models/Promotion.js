@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promotion Model
+ * Automatic offers applied at checkout without a code
+ *
+ * - buy-x-get-y:    buy N suits, get M more at a discount (free by default)
+ * - tiered-spend:   spend over a threshold for a percentage or fixed discount
+ * - free-stitching: stitching charge waived on unstitched fabric over a spend
+ * - bundle:         a fixed price for every N items, e.g. 3-piece sets
+ *
+ * Priority, stacking and how promotions combine with promo codes are
+ * worked out in services/pricingService
+ */
+
+const PROMOTION_TYPES = ['buy-x-get-y', 'tiered-spend', 'free-stitching', 'bundle'];
+
+const tierSchema = new mongoose.Schema({
+  minSpend: {
+    type: Number,
+    required: true,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Cap for percentage tiers
+  maxDiscount: Number
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // Shown to customers next to the discount
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: [true, 'Promotion type is required']
+  },
+
+  // Items the promotion counts; empty lists mean every item
+  appliesTo: {
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    excludeProducts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    // Only suits with shirt, dupatta and trouser
+    threePieceOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  buyXGetY: {
+    buyQuantity: {
+      type: Number,
+      min: [1, 'Buy quantity must be at least 1']
+    },
+    getQuantity: {
+      type: Number,
+      min: [1, 'Get quantity must be at least 1']
+    },
+    // 100 makes the cheaper items free
+    discountPercent: {
+      type: Number,
+      default: 100,
+      min: [1, 'Discount must be at least 1%'],
+      max: [100, 'Discount cannot exceed 100%']
+    }
+  },
+
+  tiers: {
+    type: [tierSchema],
+    default: undefined
+  },
+
+  freeStitching: {
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum spend cannot be negative']
+    }
+  },
+
+  bundle: {
+    quantity: {
+      type: Number,
+      min: [2, 'A bundle needs at least 2 items']
+    },
+    price: {
+      type: Number,
+      min: [0, 'Bundle price cannot be negative']
+    }
+  },
+
+  // Higher runs first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  // Combines with other promotions; an exclusive promotion only ever
+  // applies on its own, when it beats the stackable ones together
+  stackable: {
+    type: Boolean,
+    default: true
+  },
+
+  combinesWithPromoCode: {
+    type: Boolean,
+    default: true
+  },
+
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: Date,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Orders placed with the promotion applied
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+promotionSchema.index({ priority: -1 });
+
+// ============================================
+// HOOKS
+// ============================================
+
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'buy-x-get-y' && !(this.buyXGetY?.buyQuantity && this.buyXGetY?.getQuantity)) {
+    this.invalidate('buyXGetY', 'Buy and get quantities are required');
+  }
+  if (this.type === 'tiered-spend' && !this.tiers?.length) {
+    this.invalidate('tiers', 'At least one spend tier is required');
+  }
+  if (this.type === 'bundle' && !(this.bundle?.quantity && this.bundle?.price != null)) {
+    this.invalidate('bundle', 'Bundle quantity and price are required');
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Running now
+ */
+promotionSchema.methods.isLive = function(now = new Date()) {
+  return this.isActive
+    && (!this.startDate || this.startDate <= now)
+    && (!this.endDate || this.endDate >= now);
+};
+
+/**
+ * Promotions running now, highest priority first
+ */
+promotionSchema.statics.findLive = function(now = new Date()) {
+  return this.find({
+    isActive: true,
+    startDate: { $lte: now },
+    $or: [{ endDate: null }, { endDate: { $gte: now } }]
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+promotionSchema.statics.TYPES = PROMOTION_TYPES;
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+/**
+ * Purchase Order Model
+ * Fabric and accessories ordered from a supplier
+ *
+ * A draft is placed (ordered), then received in one or more deliveries. Each
+ * receipt adds stock through the movement ledger as a 'purchase';
+ * see services/purchasingService
+ */
+
+const PO_STATUSES = ['draft', 'ordered', 'partially-received', 'received', 'cancelled'];
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['fabric', 'accessory'],
+    required: true
+  },
+  fabric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FabricInventory'
+  },
+  accessory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Accessory'
+  },
+
+  // Snapshot so the order still reads after the item is renamed
+  name: String,
+  unit: String,
+
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Quantity must be more than zero']
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost cannot be negative']
+  }
+});
+
+const receiptSchema = new mongoose.Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Supplier delivery note or invoice number
+  reference: String,
+  note: String,
+  items: [{
+    line: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    _id: false
+  }]
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  // PO-YYYY-NNNN
+  poNumber: {
+    type: String,
+    unique: true
+  },
+
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required'],
+    index: true
+  },
+  supplierName: String,
+
+  status: {
+    type: String,
+    enum: PO_STATUSES,
+    default: 'draft',
+    index: true
+  },
+
+  items: {
+    type: [purchaseOrderLineSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A purchase order needs at least one item'
+    }
+  },
+
+  expectedDate: Date,
+
+  orderedAt: Date,
+  receivedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+
+  receipts: {
+    type: [receiptSchema],
+    default: []
+  },
+
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ status: 1, expectedDate: 1 });
+purchaseOrderSchema.index({ 'items.fabric': 1 });
+purchaseOrderSchema.index({ 'items.accessory': 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+purchaseOrderSchema.virtual('total').get(function() {
+  const total = (this.items || []).reduce((sum, item) => sum + item.quantityOrdered * (item.unitCost || 0), 0);
+  return Math.round(total * 100) / 100;
+});
+
+/**
+ * Still awaited from the supplier past its expected date
+ */
+purchaseOrderSchema.virtual('isOverdue').get(function() {
+  return ['ordered', 'partially-received'].includes(this.status)
+    && !!this.expectedDate
+    && this.expectedDate < new Date();
+});
+
+// ============================================
+// HOOKS
+// ============================================
+
+purchaseOrderSchema.pre('save', async function(next) {
+  if (!this.isNew || this.poNumber) return next();
+
+  try {
+    const year = new Date().getFullYear();
+    const counter = await Counter.findOneAndUpdate(
+      { _id: `purchaseOrder-${year}` },
+      { $inc: { seq: 1 }, $setOnInsert: { year } },
+      { new: true, upsert: true }
+    );
+
+    this.poNumber = `PO-${year}-${String(counter.seq).padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+purchaseOrderSchema.set('toObject', { virtuals: true });
+
+purchaseOrderSchema.statics.STATUSES = PO_STATUSES;
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -2,9 +2,42 @@ const mongoose = require('mongoose');
 
 /**
  * Referral Model
- * Tracks referrals and rewards (both get Rs.500 off)
+ * One per referred customer: who referred them, with which code, and the
+ * rewards both get once the customer's first order is delivered
+ *
+ * Referrals that look like abuse (same device or phone as the referrer or
+ * another referral) are flagged and wait for an admin instead of completing;
+ * see services/referralService
  */
 
+const rewardSchema = new mongoose.Schema({
+  // Points or PKR, depending on method
+  amount: {
+    type: Number,
+    default: 500,
+    min: 0
+  },
+  method: {
+    type: String,
+    enum: ['loyalty', 'wallet'],
+    default: 'loyalty'
+  },
+  currency: {
+    type: String,
+    enum: ['PKR', 'USD', 'SAR'],
+    default: 'PKR'
+  },
+  // withheld: the referrer was over the monthly cap
+  status: {
+    type: String,
+    enum: ['pending', 'credited', 'withheld', 'used', 'expired'],
+    default: 'pending'
+  },
+  withheldReason: String,
+  creditedAt: Date,
+  expiresAt: Date
+}, { _id: false });
+
 const referralSchema = new mongoose.Schema({
   referrerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,68 +46,69 @@ const referralSchema = new mongoose.Schema({
     index: true
   },
   
+  // A customer can only be referred once
   refereeId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Referee ID is required'],
-    index: true
+    unique: true
   },
   
+  // The referrer's code (User.referralCode) as entered
   referralCode: {
     type: String,
     required: true,
-    unique: true,
     uppercase: true,
     index: true
   },
   
   // Status
+  // flagged: held for fraud review; rejected: an admin turned it down
   status: {
     type: String,
-    enum: ['pending', 'completed', 'cancelled'],
+    enum: ['pending', 'flagged', 'completed', 'rejected', 'cancelled'],
     default: 'pending',
     index: true
   },
   
   // Rewards
   referrerReward: {
-    amount: {
-      type: Number,
-      default: 500,
-      min: 0
-    },
-    currency: {
-      type: String,
-      enum: ['PKR', 'USD', 'SAR'],
-      default: 'PKR'
-    },
-    status: {
-      type: String,
-      enum: ['pending', 'credited', 'used', 'expired'],
-      default: 'pending'
-    },
-    creditedAt: Date,
-    expiresAt: Date
+    type: rewardSchema,
+    default: () => ({})
   },
   
   refereeReward: {
-    amount: {
-      type: Number,
-      default: 500,
-      min: 0
-    },
-    currency: {
+    type: rewardSchema,
+    default: () => ({})
+  },
+
+  // The referee when the code was applied, for fraud checks
+  signals: {
+    deviceId: String,
+    // Digits only, without the country code or leading zero
+    phone: String,
+    ip: String
+  },
+
+  fraud: {
+    flags: [{
+      _id: false,
+      code: {
+        type: String,
+        enum: ['same-device-as-referrer', 'device-reused', 'phone-reused']
+      },
+      detail: String
+    }],
+    decision: {
       type: String,
-      enum: ['PKR', 'USD', 'SAR'],
-      default: 'PKR'
+      enum: ['approved', 'rejected']
     },
-    status: {
-      type: String,
-      enum: ['pending', 'credited', 'used', 'expired'],
-      default: 'pending'
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
-    creditedAt: Date,
-    expiresAt: Date
+    reviewedAt: Date,
+    notes: String
   },
   
   // Trigger order (first order by referee)
@@ -94,9 +128,12 @@ const referralSchema = new mongoose.Schema({
 
 // Indexes - compound indexes only (simple indexes defined on fields)
 referralSchema.index({ referrerId: 1, status: 1 });
-// Note: refereeId and referralCode already have index: true on field definitions
+referralSchema.index({ referrerId: 1, completedAt: -1 });
+referralSchema.index({ 'signals.deviceId': 1 });
+referralSchema.index({ 'signals.phone': 1 });
+// Note: refereeId and referralCode already have indexes on field definitions
 
-// Static method: Generate unique referral code
+// Static method: Generate a referral code for a user
 referralSchema.statics.generateCode = function(userId) {
   const prefix = 'LC';
   const timestamp = Date.now().toString(36).toUpperCase();
@@ -104,15 +141,14 @@ referralSchema.statics.generateCode = function(userId) {
   return `${prefix}-${timestamp}-${random}`;
 };
 
-// Static method: Find by code
-referralSchema.statics.findByCode = function(code) {
-  return this.findOne({ 
-    referralCode: code.toUpperCase(),
-    status: 'pending'
-  });
+// Static method: Phone number reduced to its significant digits, so
+// 03001234567, +923001234567 and 3001234567 compare equal
+referralSchema.statics.normalizePhone = function(phone) {
+  if (!phone) return undefined;
+  const digits = phone.replace(/\D/g, '');
+  return digits.replace(/^(92|0)/, '') || undefined;
 };
 
 const Referral = mongoose.model('Referral', referralSchema);
 
 module.exports = Referral;
-
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+/**
+ * Return Request Model
+ * Customer requests to alter, return or exchange items from a delivered order (RMA)
+ */
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the item on order.items
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  title: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  price: Number
+}, { _id: false });
+
+const returnStatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  note: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+  courierService: {
+    type: String,
+    enum: ['TCS', 'Leopards', 'M&P', 'BlueEx', 'Trax', 'Call Courier', 'Self-Pickup', 'Other']
+  },
+  trackingNumber: String,
+  trackingUrl: String
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  // RMA-YYYY-NNNN
+  requestNumber: {
+    type: String,
+    unique: true
+  },
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+
+  orderNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: ['alteration', 'return', 'exchange'],
+    required: true
+  },
+
+  reason: {
+    type: String,
+    enum: ['fitting', 'defect', 'wrong-item', 'other'],
+    required: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+
+  // Photo evidence uploaded by the customer
+  photos: [{
+    url: {
+      type: String,
+      required: true
+    },
+    publicId: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: [
+      'requested',       // Waiting for admin review
+      'approved',        // Approved, waiting for the item to be sent back
+      'rejected',        // Declined by admin
+      'pickup-scheduled', // Courier booked to collect the item
+      'received',        // Item back at the studio
+      'in-production',   // Alteration in the production queue
+      'resolved',        // Refunded, credited, exchanged or altered
+      'cancelled'        // Withdrawn by the customer
+    ],
+    default: 'requested',
+    index: true
+  },
+
+  statusHistory: [returnStatusHistorySchema],
+
+  // Alterations beyond the free allowance are charged
+  isChargeable: {
+    type: Boolean,
+    default: false
+  },
+
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: String,
+    notes: String
+  },
+
+  pickup: {
+    courierService: {
+      type: String,
+      enum: ['TCS', 'Leopards', 'M&P', 'BlueEx', 'Trax', 'Call Courier', 'Self-Pickup', 'Other']
+    },
+    trackingNumber: String,
+    trackingUrl: String,
+    scheduledAt: Date,
+    pickedUpAt: Date,
+    receivedAt: Date
+  },
+
+  // Production queue entry the alteration was sent to
+  productionQueue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductionQueue'
+  },
+
+  resolution: {
+    type: {
+      type: String,
+      enum: ['refund', 'store-credit', 'exchange', 'altered']
+    },
+    amount: Number,
+    notes: String,
+    // Altered or replacement item sent back to the customer
+    returnShipment: shipmentSchema,
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    processedAt: Date
+  },
+
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1, status: 1 });
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Allowed status changes
+returnRequestSchema.statics.TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['pickup-scheduled', 'received', 'cancelled'],
+  'pickup-scheduled': ['received'],
+  received: ['in-production', 'resolved'],
+  'in-production': ['resolved'],
+  rejected: [],
+  resolved: [],
+  cancelled: []
+};
+
+// Statuses where the request is still being handled
+returnRequestSchema.statics.OPEN_STATUSES = ['requested', 'approved', 'pickup-scheduled', 'received', 'in-production'];
+
+// Resolutions allowed for each request type
+returnRequestSchema.statics.RESOLUTIONS = {
+  alteration: ['altered', 'refund', 'store-credit'],
+  return: ['refund', 'store-credit'],
+  exchange: ['exchange', 'refund', 'store-credit']
+};
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Whether the request can move to a status
+ */
+returnRequestSchema.methods.canTransitionTo = function(status) {
+  return (this.constructor.TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move to a new status and record it in the history (does not save)
+ */
+returnRequestSchema.methods.transitionTo = function(status, note, userId) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move return request from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    note,
+    updatedBy: userId,
+    timestamp: new Date()
+  });
+
+  return this;
+};
+
+/**
+ * Total value of the items on the request
+ */
+returnRequestSchema.virtual('itemsValue').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0);
+});
+
+// ============================================
+// HOOKS
+// ============================================
+
+returnRequestSchema.pre('save', async function(next) {
+  if (!this.isNew || this.requestNumber) return next();
+
+  try {
+    const year = new Date().getFullYear();
+    const counter = await Counter.findOneAndUpdate(
+      { _id: `returnRequest-${year}` },
+      { $inc: { seq: 1 }, $setOnInsert: { year } },
+      { new: true, upsert: true }
+    );
+
+    this.requestNumber = `RMA-${year}-${String(counter.seq).padStart(4, '0')}`;
+
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ status: this.status, updatedBy: this.customer });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+returnRequestSchema.set('toJSON', { virtuals: true });
+returnRequestSchema.set('toObject', { virtuals: true });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
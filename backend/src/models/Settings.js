@@ -232,6 +232,41 @@ const settingsSchema = new mongoose.Schema(
         }
       },
 
+      /**
+       * Advance deposit
+       * Percentage of the order total to collect before production starts,
+       * per service type (100 = pay in full); the balance is due before dispatch
+       */
+      deposit: {
+        enabled: {
+          type: Boolean,
+          default: true
+        },
+        fullyCustom: {
+          type: Number,
+          default: 50,
+          min: 0,
+          max: 100
+        },
+        brandArticleCopy: {
+          type: Number,
+          default: 50,
+          min: 0,
+          max: 100
+        },
+        readyMade: {
+          type: Number,
+          default: 100,
+          min: 0,
+          max: 100
+        },
+        reminderIntervalDays: {
+          type: Number,
+          default: 2,
+          min: 1
+        }
+      },
+
       /**
        * Online Payment Gateway
        */
@@ -325,27 +360,54 @@ const settingsSchema = new mongoose.Schema(
       },
 
       /**
-       * Shipping zones with custom rates
+       * Parcel weight (kg) per item for products without a shipping weight
+       * Zones and their rates live in the ShippingZone collection
        */
-      shippingZones: [
+      defaultItemWeight: {
+        type: Number,
+        default: 0.5,
+        min: 0
+      },
+
+      /**
+       * Free shipping rules
+       * A rule applies when every condition it sets matches: a promo code,
+       * the customer's loyalty tier, a minimum subtotal, the zone or courier
+       */
+      freeShippingRules: [
         {
           name: {
             type: String,
             required: true,
             trim: true
           },
-          cities: {
+          promoCodes: {
             type: [String],
             default: []
           },
-          cost: {
+          loyaltyTiers: {
+            type: [String],
+            enum: ['bronze', 'silver', 'gold', 'platinum'],
+            default: []
+          },
+          minSubtotal: {
             type: Number,
-            required: true,
+            default: 0,
             min: 0
           },
-          estimatedDays: {
-            min: { type: Number, default: 5 },
-            max: { type: Number, default: 10 }
+          zones: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ShippingZone'
+          }],
+          couriers: {
+            type: [String],
+            default: []
+          },
+          startsAt: Date,
+          endsAt: Date,
+          enabled: {
+            type: Boolean,
+            default: true
           }
         }
       ],
@@ -642,6 +704,17 @@ const settingsSchema = new mongoose.Schema(
         default: true
       },
 
+      /**
+       * Hours an unpaid order holds its ready-made stock
+       * Released back to sale when the payment isn't verified in time
+       */
+      stockReservationHours: {
+        type: Number,
+        default: 48,
+        min: 1,
+        max: 720
+      },
+
       /**
        * Order statuses (for reference)
        */
@@ -657,6 +730,176 @@ const settingsSchema = new mongoose.Schema(
           'delivered',
           'cancelled'
         ]
+      },
+
+      /**
+       * Returns, exchanges and alterations after delivery
+       * Matches the exchange and stitching policy pages
+       */
+      returns: {
+        enabled: {
+          type: Boolean,
+          default: true
+        },
+        windowDays: {
+          type: Number,
+          default: 7,
+          min: 0,
+          max: 90
+        },
+        freeAlterations: {
+          type: Number,
+          default: 1,
+          min: 0
+        }
+      }
+    },
+
+    // ==================== LOYALTY ====================
+
+    loyalty: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+
+      /**
+       * Points earned automatically; orders earn once delivered
+       */
+      earning: {
+        // PKR spent (after discounts, before shipping) per point
+        spendPerPoint: {
+          type: Number,
+          default: 100,
+          min: 1
+        },
+        // For an approved review
+        reviewPoints: {
+          type: Number,
+          default: 50,
+          min: 0
+        },
+        birthdayPoints: {
+          type: Number,
+          default: 500,
+          min: 0
+        },
+        socialSharePoints: {
+          type: Number,
+          default: 25,
+          min: 0
+        },
+        socialSharesPerDay: {
+          type: Number,
+          default: 1,
+          min: 0
+        }
+      },
+
+      // Earned points expire, oldest first
+      expiryMonths: {
+        type: Number,
+        default: 12,
+        min: 1,
+        max: 60
+      },
+
+      /**
+       * Spending points at checkout
+       */
+      redemption: {
+        // PKR off per point
+        pointValue: {
+          type: Number,
+          default: 1,
+          min: 0
+        },
+        minPoints: {
+          type: Number,
+          default: 100,
+          min: 0
+        },
+        // Share of the order (after discounts, before shipping) points can pay
+        maxOrderPercentage: {
+          type: Number,
+          default: 50,
+          min: 0,
+          max: 100
+        }
+      },
+
+      /**
+       * Tiers by lifetime points earned, and what each gets at checkout
+       */
+      tiers: {
+        type: [{
+          _id: false,
+          tier: {
+            type: String,
+            enum: ['bronze', 'silver', 'gold', 'platinum'],
+            required: true
+          },
+          minPoints: {
+            type: Number,
+            required: true,
+            min: 0
+          },
+          discountPercentage: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 100
+          },
+          freeShipping: {
+            type: Boolean,
+            default: false
+          }
+        }],
+        default: [
+          { tier: 'bronze', minPoints: 0, discountPercentage: 0, freeShipping: false },
+          { tier: 'silver', minPoints: 2000, discountPercentage: 2, freeShipping: false },
+          { tier: 'gold', minPoints: 5000, discountPercentage: 5, freeShipping: true },
+          { tier: 'platinum', minPoints: 10000, discountPercentage: 10, freeShipping: true }
+        ]
+      }
+    },
+
+    // ==================== REFERRALS ====================
+
+    /**
+     * Referrals complete when the referred customer's first order is delivered
+     */
+    referrals: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+
+      // Loyalty points or store credit
+      rewardMethod: {
+        type: String,
+        enum: ['loyalty', 'wallet'],
+        default: 'loyalty'
+      },
+
+      // Points or PKR, depending on rewardMethod
+      referrerReward: {
+        type: Number,
+        default: 500,
+        min: 0
+      },
+      refereeReward: {
+        type: Number,
+        default: 500,
+        min: 0
+      },
+
+      // Referrer rewards per calendar month (0 for no limit); referrals past it
+      // complete without one
+      monthlyReferrerCap: {
+        type: Number,
+        default: 10,
+        min: 0
       }
     },
 
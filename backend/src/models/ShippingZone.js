@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+
+/**
+ * Shipping Zone Model
+ * Admin-managed delivery zones and their shipping rates
+ *
+ * An address belongs to the most specific active zone that lists it:
+ * its city first, then its province, then its country. Addresses no zone
+ * lists fall into the default zone for their scope (domestic/international)
+ */
+
+// Pakistan is the home market; every other country is international
+const HOME_COUNTRY = 'PK';
+
+const bracketSchema = new mongoose.Schema({
+  // Upper bound of the bracket (kg for weight rates, items for item-count rates)
+  upTo: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const rateSchema = new mongoose.Schema({
+  // Courier adapter name (services/couriers); empty for the store's standard delivery
+  courier: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  label: {
+    type: String,
+    required: [true, 'Rate label is required'],
+    trim: true,
+    maxlength: [60, 'Rate label cannot exceed 60 characters']
+  },
+
+  // How the parcel is measured against the brackets
+  basis: {
+    type: String,
+    enum: ['flat', 'weight', 'items'],
+    default: 'flat'
+  },
+
+  // Flat price; for weight/item rates without brackets, the price of the first kg/item
+  baseRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Sorted by upTo; the first bracket the parcel fits in sets the price
+  brackets: [bracketSchema],
+
+  // Per kg / item beyond the last bracket
+  extraPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Added once when the order has custom stitched items (extra packaging)
+  customItemSurcharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  estimatedDays: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 0 }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: true });
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  scope: {
+    type: String,
+    enum: ['domestic', 'international'],
+    default: 'domestic'
+  },
+
+  // Matched case-insensitively
+  cities: {
+    type: [String],
+    default: []
+  },
+  provinces: {
+    type: [String],
+    default: []
+  },
+  // ISO 3166-1 alpha-2 codes (international zones)
+  countries: {
+    type: [String],
+    default: []
+  },
+
+  // Catches addresses in this scope that no other zone lists
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  // Breaks ties between zones listing the same place (higher wins)
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  rates: {
+    type: [rateSchema],
+    validate: {
+      validator: rates => rates.length > 0,
+      message: 'A zone needs at least one rate'
+    }
+  },
+
+  // Subtotal for free shipping in this zone; unset uses the store-wide threshold
+  freeShippingThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  estimatedDays: {
+    min: { type: Number, default: 3, min: 0 },
+    max: { type: Number, default: 7, min: 0 }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+shippingZoneSchema.index({ isActive: 1, scope: 1, priority: -1 });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+shippingZoneSchema.pre('save', function(next) {
+  const clean = values => [...new Set(values.map(value => value.trim()).filter(Boolean))];
+
+  this.cities = clean(this.cities);
+  this.provinces = clean(this.provinces);
+  this.countries = clean(this.countries).map(country => country.toUpperCase());
+
+  this.rates.forEach(rate => {
+    rate.brackets.sort((a, b) => a.upTo - b.upTo);
+  });
+
+  next();
+});
+
+// ============================================
+// STATICS
+// ============================================
+
+/**
+ * Create the starting zones (only when none exist)
+ * Mirrors the flat city rates used before zones were configurable
+ */
+shippingZoneSchema.statics.seedDefaults = async function() {
+  const count = await this.countDocuments();
+  if (count > 0) return;
+
+  const zone = (name, cities, rate, extra = {}) => ({
+    name,
+    cities,
+    rates: [{ label: 'Standard', basis: 'flat', baseRate: rate }],
+    ...extra
+  });
+
+  await this.create([
+    zone('Lahore', ['Lahore'], 150, { estimatedDays: { min: 2, max: 4 } }),
+    zone('Sialkot & Gujranwala', ['Sialkot', 'Gujranwala'], 160),
+    zone('Faisalabad', ['Faisalabad'], 170),
+    zone('Twin Cities & Multan', ['Islamabad', 'Rawalpindi', 'Multan'], 180),
+    zone('Karachi & Peshawar', ['Karachi', 'Peshawar'], 200),
+    zone('Quetta', ['Quetta'], 250, { estimatedDays: { min: 4, max: 8 } }),
+    zone('Rest of Pakistan', [], 200, { isDefault: true })
+  ]);
+};
+
+shippingZoneSchema.statics.HOME_COUNTRY = HOME_COUNTRY;
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+module.exports = ShippingZone;
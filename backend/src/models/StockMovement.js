@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock Movement Model
+ * Append-only ledger of every change to product and fabric stock
+ *
+ * Quantities are signed: positive adds stock, negative removes it. Each entry
+ * records the balance it left behind so the history reads like a statement.
+ * Written by services/inventoryService; never edited once saved
+ */
+
+const MOVEMENT_TYPES = [
+  'sale',          // Paid order shipped out of stock
+  'return',        // Returned items put back on the shelf
+  'cancellation',  // Paid order cancelled before dispatch
+  'adjustment',    // Admin correction or stock count
+  'purchase',      // Stock received from a supplier
+  'production'     // Fabric consumed making an order
+];
+
+const stockMovementSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['product', 'fabric', 'accessory'],
+    required: true
+  },
+
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+
+  // Product variant the stock belongs to (colour x size)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  fabric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FabricInventory'
+  },
+
+  accessory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Accessory'
+  },
+
+  // Snapshot so the history still reads after the item is renamed or deleted
+  itemName: {
+    type: String,
+    trim: true
+  },
+  sku: String,
+  variantLabel: String,
+
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: [true, 'Movement type is required']
+  },
+
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: value => value !== 0,
+      message: 'Quantity cannot be zero'
+    }
+  },
+
+  unit: {
+    type: String,
+    enum: ['pieces', 'meters', 'yards', 'packs'],
+    default: 'pieces'
+  },
+
+  balanceAfter: Number,
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+
+  // Free-form reference, e.g. a supplier invoice number
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ fabric: 1, createdAt: -1 });
+stockMovementSchema.index({ accessory: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
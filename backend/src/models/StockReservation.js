@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock Reservation Model
+ * Stock held for an order between checkout and payment
+ *
+ * Placing an order moves its ready-made items from available into reserved
+ * stock so two customers cannot buy the last suit. Verifying the payment
+ * commits the reservation (the stock is sold); payment failure, cancellation
+ * or the hold running out releases it back to available stock.
+ * See services/inventoryService
+ */
+
+const reservedItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderNumber: String,
+
+  items: {
+    type: [reservedItemSchema],
+    default: []
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired'],
+    default: 'active'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  committedAt: Date,
+  releasedAt: Date,
+  releaseReason: String,
+
+  // Set when committed stock was put back because the paid order was cancelled
+  restockedAt: Date
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+module.exports = StockReservation;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Supplier Model
+ * Mills, wholesalers and trimmings shops we buy fabric and accessories from
+ */
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  contactName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+
+  phone: {
+    type: String,
+    trim: true
+  },
+  whatsapp: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+
+  // What we buy from them
+  supplies: {
+    type: [{
+      type: String,
+      enum: ['fabric', 'accessory']
+    }],
+    default: ['fabric']
+  },
+
+  // Days from placing an order to delivery, for expected dates
+  leadTimeDays: {
+    type: Number,
+    default: 7,
+    min: [0, 'Lead time cannot be negative']
+  },
+
+  paymentTerms: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment terms cannot exceed 100 characters']
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ name: 1 });
+supplierSchema.index({ isActive: 1, supplies: 1 });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
@@ -78,6 +78,11 @@ const tailorSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Completed by their due date; onTimeDeliveryRate is derived from it
+    onTimeOrders: {
+      type: Number,
+      default: 0
+    },
     onTimeDeliveryRate: {
       type: Number,
       default: 0,
@@ -149,13 +154,54 @@ tailorSchema.methods.assignOrder = function() {
 };
 
 // Method: Complete order
-tailorSchema.methods.completeOrder = function() {
-  if (this.capacity.currentOrders > 0) {
-    this.capacity.currentOrders -= 1;
-    this.performance.completedOrders += 1;
-    this.performance.totalOrders += 1;
-    return this.save();
-  }
+// Counters change atomically, like the $inc in tailorAssignmentService.autoAssign,
+// so a completion and an assignment at the same time don't overwrite each other
+tailorSchema.methods.completeOrder = async function(onTime = true) {
+  await this.releaseOrder();
+
+  // Tailors from before onTimeOrders was stored start from their old rate
+  const onTimeOrders = {
+    $ifNull: [
+      '$performance.onTimeOrders',
+      { $round: [{ $multiply: [{ $divide: ['$performance.onTimeDeliveryRate', 100] }, '$performance.completedOrders'] }, 0] }
+    ]
+  };
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [
+      {
+        $set: {
+          'performance.completedOrders': { $add: ['$performance.completedOrders', 1] },
+          'performance.totalOrders': { $add: ['$performance.totalOrders', 1] },
+          'performance.onTimeOrders': { $add: [onTimeOrders, onTime ? 1 : 0] }
+        }
+      },
+      {
+        $set: {
+          'performance.onTimeDeliveryRate': {
+            $round: [{ $multiply: [{ $divide: ['$performance.onTimeOrders', '$performance.completedOrders'] }, 100] }, 0]
+          }
+        }
+      }
+    ],
+    { new: true }
+  );
+
+  if (updated) this.performance = updated.performance;
+  return updated;
+};
+
+// Method: Release a slot without completing the order (e.g. cancelled)
+tailorSchema.methods.releaseOrder = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'capacity.currentOrders': { $gt: 0 } },
+    { $inc: { 'capacity.currentOrders': -1 } },
+    { new: true }
+  );
+
+  if (updated) this.capacity.currentOrders = updated.capacity.currentOrders;
+  return updated || this;
 };
 
 const Tailor = mongoose.model('Tailor', tailorSchema);
@@ -26,21 +26,38 @@ const addressSchema = new mongoose.Schema({
   },
   province: {
     type: String,
-    required: true,
-    enum: [
-      'Punjab', 
-      'Sindh', 
-      'Khyber Pakhtunkhwa', 
-      'Balochistan', 
-      'Gilgit-Baltistan', 
-      'Azad Kashmir', 
-      'Islamabad Capital Territory'
-    ]
+    trim: true,
+    // Pakistani addresses only; addresses abroad use free text
+    required: function() { return !this.country || this.country === 'PK'; },
+    validate: {
+      validator: function(v) {
+        if (this.country && this.country !== 'PK') return true;
+        return [
+          'Punjab', 
+          'Sindh', 
+          'Khyber Pakhtunkhwa', 
+          'Balochistan', 
+          'Gilgit-Baltistan', 
+          'Azad Kashmir', 
+          'Islamabad Capital Territory'
+        ].includes(v);
+      },
+      message: 'Invalid province'
+    }
   },
   postalCode: {
     type: String,
     trim: true
   },
+  // ISO 3166-1 alpha-2 country code ('Pakistan' is stored as PK)
+  country: {
+    type: String,
+    set: v => (typeof v === 'string' && /^\s*pakistan\s*$/i.test(v) ? 'PK' : v),
+    uppercase: true,
+    trim: true,
+    default: 'PK',
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter code']
+  },
   landmark: {
     type: String,
     trim: true,
@@ -91,9 +108,10 @@ const userSchema = new mongoose.Schema({
       validator: function(v) {
         const cleaned = v.replace(/[\s-]/g, '');
         // Match: +923001234567 (13 chars) OR 03001234567 (11 chars) OR 3001234567 (10 chars)
-        return /^(\+92[0-9]{10}|0[0-9]{10}|[0-9]{10})$/.test(cleaned);
+        // Customers abroad use their international number: +<country code><number>
+        return /^(\+92[0-9]{10}|0[0-9]{10}|[0-9]{10})$/.test(cleaned) || /^\+(?!92)[1-9][0-9]{6,14}$/.test(cleaned);
       },
-      message: 'Please provide a valid Pakistani phone number (e.g., +923001234567, 03001234567)'
+      message: 'Please provide a valid phone number (e.g., +923001234567, 03001234567 or +971501234567)'
     }
   },
   whatsapp: {
@@ -112,6 +130,21 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Birthday loyalty points; see services/loyaltyService
+  dateOfBirth: Date,
+
+  // Code this customer shares to refer others; see services/referralService
+  referralCode: {
+    type: String,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
+  // Devices the customer has shared their code from, for referral fraud checks
+  referralDevices: {
+    type: [String],
+    select: false
+  },
   addresses: [addressSchema],
   wishlist: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -144,6 +177,43 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
   lockUntil: Date,
+
+  // Two-factor authentication, required for admin roles; see services/twoFactorService
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secret; pendingSecret until the first code confirms enrolment
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    // Last time step accepted, so a code can't be used twice
+    lastUsedStep: { type: Number, select: false },
+    backupCodes: {
+      type: [{
+        _id: false,
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Browsers that skip the code ("remember this device")
+    trustedDevices: {
+      type: [{
+        tokenHash: String,
+        label: String,
+        ip: String,
+        createdAt: { type: Date, default: Date.now },
+        expiresAt: Date,
+        lastUsedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: Date,
+    // Recovery by a super-admin
+    resetBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resetAt: Date
+  },
   
   // User preferences
   preferences: {
@@ -536,6 +606,14 @@ userSchema.methods.toJSON = function() {
   delete obj.lockUntil;
   delete obj.passwordChangedAt;
   delete obj.__v;
+
+  if (obj.twoFactor) {
+    delete obj.twoFactor.secret;
+    delete obj.twoFactor.pendingSecret;
+    delete obj.twoFactor.lastUsedStep;
+    delete obj.twoFactor.backupCodes;
+    delete obj.twoFactor.trustedDevices;
+  }
   
   return obj;
 };
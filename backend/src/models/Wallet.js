@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+/**
+ * Wallet Model
+ * Customer store credit (PKR) with a transaction ledger
+ *
+ * The balance only changes through credit()/debit(), which append the
+ * ledger entry in the same write so the two can't drift apart
+ */
+
+// Attempts before giving up on a wallet that keeps changing under us
+const MAX_WRITE_ATTEMPTS = 5;
+
+const walletTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+
+  // Balance after this transaction
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+
+  source: {
+    type: String,
+    enum: [
+      'refund',          // Order refund sent to the wallet
+      'return',          // Store credit for a return request
+      'order-payment',   // Spent on an order
+      'order-reversal',  // Returned after an order payment was undone
+      'adjustment',      // Manual admin adjustment
+      'referral'         // Referral reward
+    ],
+    required: true
+  },
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Admin who issued the credit or adjustment
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  _id: true,
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+
+  totalCredited: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  totalDebited: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'PKR'
+  },
+
+  transactions: [walletTransactionSchema]
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+walletSchema.index({ 'transactions.createdAt': -1 });
+walletSchema.index({ 'transactions.source': 1 });
+
+// ============================================
+// STATICS
+// ============================================
+
+/**
+ * Get a user's wallet, creating an empty one if needed
+ */
+walletSchema.statics.getOrCreate = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Apply a ledger entry, retrying if the balance changed since it was read
+ * @returns {Object|null} Updated wallet, or null if a debit exceeds the balance
+ */
+walletSchema.statics.applyTransaction = async function(userId, entry) {
+  const amount = Math.round(entry.amount * 100) / 100;
+  const isCredit = entry.type === 'credit';
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const wallet = await this.getOrCreate(userId);
+    const balanceAfter = Math.round((isCredit ? wallet.balance + amount : wallet.balance - amount) * 100) / 100;
+
+    if (balanceAfter < 0) return null;
+
+    const updated = await this.findOneAndUpdate(
+      { _id: wallet._id, balance: wallet.balance },
+      {
+        $set: { balance: balanceAfter },
+        $inc: { [isCredit ? 'totalCredited' : 'totalDebited']: amount },
+        $push: { transactions: { ...entry, amount, balanceAfter } }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (updated) return updated;
+  }
+
+  throw new Error('Wallet is being updated, please try again');
+};
+
+/**
+ * Add store credit to a user's wallet
+ * @param {ObjectId} userId
+ * @param {number} amount
+ * @param {Object} details - { source, order, orderNumber, returnRequest, description, createdBy }
+ */
+walletSchema.statics.credit = function(userId, amount, details) {
+  return this.applyTransaction(userId, { ...details, type: 'credit', amount });
+};
+
+/**
+ * Spend store credit from a user's wallet
+ * @returns {Object|null} Updated wallet, or null if the balance is too low
+ */
+walletSchema.statics.debit = function(userId, amount, details) {
+  return this.applyTransaction(userId, { ...details, type: 'debit', amount });
+};
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+
+module.exports = Wallet;
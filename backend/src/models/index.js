@@ -9,6 +9,17 @@ const Product = require('./Product');
 const Order = require('./Order');
 const Cart = require('./Cart');
 const PromoCode = require('./PromoCode');
+const ShippingZone = require('./ShippingZone');
+const ExchangeRate = require('./ExchangeRate');
+const StockMovement = require('./StockMovement');
+const StockReservation = require('./StockReservation');
+const Supplier = require('./Supplier');
+const Accessory = require('./Accessory');
+const PurchaseOrder = require('./PurchaseOrder');
+const Promotion = require('./Promotion');
+const PromoCodeBatch = require('./PromoCodeBatch');
+const PromoRedemption = require('./PromoRedemption');
+const Referral = require('./Referral');
 
 // Optional models - load if they exist
 let Review, Blog;
@@ -33,6 +44,17 @@ module.exports = {
   Cart,
   PromoCode,
   Settings,
+  ShippingZone,
+  ExchangeRate,
+  StockMovement,
+  StockReservation,
+  Supplier,
+  Accessory,
+  PurchaseOrder,
+  Promotion,
+  PromoCodeBatch,
+  PromoRedemption,
+  Referral,
   Review,
   Blog,
   
@@ -42,7 +64,7 @@ module.exports = {
    */
   ensureIndexes: async function() {
     logger.info('Creating database indexes...');
-    const models = [User, Category, Product, Order, Cart, PromoCode, Settings];
+    const models = [User, Category, Product, Order, Cart, PromoCode, Settings, ShippingZone, ExchangeRate, StockMovement, StockReservation, Supplier, Accessory, PurchaseOrder, Promotion, PromoCodeBatch, PromoRedemption, Referral];
     
     // Add optional models if loaded
     if (Review) models.push(Review);
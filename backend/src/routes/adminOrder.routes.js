@@ -9,6 +9,8 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const orderPaymentController = require('../controllers/orderPaymentController');
+const shipmentController = require('../controllers/shipmentController');
 const { protect, adminOnly } = require('../middleware/auth.middleware');
 
 // All routes require admin authentication
@@ -28,6 +30,20 @@ router.get('/', orderController.getAllOrdersAdmin);
  */
 router.get('/export', orderController.exportOrdersAdmin);
 
+/**
+ * @route   GET /api/v1/admin/orders/status-machine
+ * @desc    Get order statuses, allowed transitions, guards and effects
+ * @access  Private (Admin)
+ */
+router.get('/status-machine', orderController.getStatusMachine);
+
+/**
+ * @route   GET /api/v1/admin/orders/couriers
+ * @desc    List couriers that can book shipments
+ * @access  Private (Admin)
+ */
+router.get('/couriers', shipmentController.getCouriers);
+
 /**
  * @route   GET /api/v1/admin/orders/:id
  * @desc    Get order by ID for admin
@@ -42,6 +58,13 @@ router.get('/:id', orderController.getOrderByIdAdmin);
  */
 router.put('/:id/status', orderController.updateOrderStatusAdmin);
 
+/**
+ * @route   GET /api/v1/admin/orders/:id/transitions
+ * @desc    Get the status changes available for an order, with reasons for blocked ones
+ * @access  Private (Admin)
+ */
+router.get('/:id/transitions', orderController.getStatusTransitionsAdmin);
+
 /**
  * @route   POST /api/v1/admin/orders/:id/verify-payment
  * @desc    Verify payment
@@ -49,6 +72,34 @@ router.put('/:id/status', orderController.updateOrderStatusAdmin);
  */
 router.post('/:id/verify-payment', orderController.verifyPaymentAdmin);
 
+/**
+ * @route   GET /api/v1/admin/orders/:id/payments
+ * @desc    Get payment ledger
+ * @access  Private (Admin)
+ */
+router.get('/:id/payments', orderPaymentController.getPayments);
+
+/**
+ * @route   POST /api/v1/admin/orders/:id/payments
+ * @desc    Record a payment received offline (verified immediately)
+ * @access  Private (Admin)
+ */
+router.post('/:id/payments', orderPaymentController.recordPayment);
+
+/**
+ * @route   POST /api/v1/admin/orders/:id/payments/reminder
+ * @desc    Send balance reminder to customer
+ * @access  Private (Admin)
+ */
+router.post('/:id/payments/reminder', orderPaymentController.sendBalanceReminder);
+
+/**
+ * @route   PUT /api/v1/admin/orders/:id/payments/:installmentId
+ * @desc    Approve or reject a submitted payment
+ * @access  Private (Admin)
+ */
+router.put('/:id/payments/:installmentId', orderPaymentController.reviewPayment);
+
 /**
  * @route   POST /api/v1/admin/orders/:id/cancel
  * @desc    Cancel order (admin)
@@ -84,6 +135,27 @@ router.put('/:id/shipping-address', orderController.updateShippingAddressAdmin);
  */
 router.put('/:id/tracking', orderController.updateTrackingAdmin);
 
+/**
+ * @route   POST /api/v1/admin/orders/:id/shipment
+ * @desc    Book a courier shipment and dispatch the order
+ * @access  Private (Admin)
+ */
+router.post('/:id/shipment', shipmentController.bookShipment);
+
+/**
+ * @route   GET /api/v1/admin/orders/:id/shipment/label
+ * @desc    Download the airway bill / shipping label PDF
+ * @access  Private (Admin)
+ */
+router.get('/:id/shipment/label', shipmentController.downloadLabel);
+
+/**
+ * @route   POST /api/v1/admin/orders/:id/shipment/sync
+ * @desc    Pull the latest courier tracking into the order
+ * @access  Private (Admin)
+ */
+router.post('/:id/shipment/sync', shipmentController.syncShipment);
+
 /**
  * @route   GET /api/v1/admin/orders/:id/invoice
  * @desc    Generate and download invoice PDF
@@ -12,9 +12,16 @@ const {
   getCurrentUser,
   changePassword,
   updateProfile,
-  adminLogin
+  adminLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  regenerateBackupCodes,
+  forgetTrustedDevices,
+  resetTwoFactor
 } = require('../controllers/authController');
-const { protect, verifyRefreshToken, admin } = require('../middleware/auth.middleware');
+const { protect, verifyRefreshToken, admin, superAdminOnly } = require('../middleware/auth.middleware');
 
 // Public routes
 router.post('/register', register);
@@ -27,9 +34,20 @@ router.post('/resend-verification', protect, resendVerification);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
 
+// Two-factor authentication (admin login finishes here with a challenge token)
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', enableTwoFactor);
+router.post('/2fa/verify', verifyTwoFactor);
+
 // Protected routes
 router.get('/me', protect, getCurrentUser);
 router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
 
+// Admin two-factor management
+router.get('/2fa/status', protect, admin, getTwoFactorStatus);
+router.post('/2fa/backup-codes', protect, admin, regenerateBackupCodes);
+router.delete('/2fa/trusted-devices', protect, admin, forgetTrustedDevices);
+router.post('/2fa/reset/:userId', protect, superAdminOnly, resetTwoFactor);
+
 module.exports = router;
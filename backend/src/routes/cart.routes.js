@@ -9,11 +9,12 @@ const {
   getCart,
   syncCart,
   applyPromoCode,
+  getPricing,
   calculateShipping,
   validateCart,
   clearCart
 } = require('../controllers/cartController');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, optionalAuth } = require('../middleware/auth.middleware');
 
 /**
  * @route   GET /api/cart
@@ -36,12 +37,19 @@ router.post('/sync', protect, syncCart);
  */
 router.post('/promo', protect, applyPromoCode);
 
+/**
+ * @route   POST /api/cart/pricing
+ * @desc    Price breakdown with automatic promotions and promo code
+ * @access  Public (saved cart and per-customer code limits need login)
+ */
+router.post('/pricing', optionalAuth, getPricing);
+
 /**
  * @route   POST /api/cart/shipping
- * @desc    Calculate shipping cost
- * @access  Private
+ * @desc    Shipping quote for an address (items default to the saved cart)
+ * @access  Public (saved cart and loyalty perks need login)
  */
-router.post('/shipping', protect, calculateShipping);
+router.post('/shipping', optionalAuth, calculateShipping);
 
 /**
  * @route   POST /api/cart/validate
@@ -0,0 +1,60 @@
+/**
+ * COD Remittance Routes
+ * Courier cash-on-delivery remittance reconciliation
+ *
+ * All routes: Admin only
+ *
+ * Mounted at: /api/v1/admin/cod-remittances
+ */
+
+const express = require('express');
+const router = express.Router();
+const codRemittanceController = require('../controllers/codRemittanceController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+const { uploadSingle } = require('../middleware/upload.middleware');
+
+router.use(protect, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/cod-remittances/report
+ * @desc    Unpaid, short-paid and returned COD parcels (?format=csv to download)
+ * @access  Private (Admin)
+ */
+router.get('/report', codRemittanceController.getReport);
+
+/**
+ * @route   POST /api/v1/admin/cod-remittances/mark-collected
+ * @desc    Mark COD orders collected with a settlement reference
+ * @access  Private (Admin)
+ */
+router.post('/mark-collected', codRemittanceController.markCollected);
+
+/**
+ * @route   GET /api/v1/admin/cod-remittances
+ * @desc    List imported remittance statements
+ * @access  Private (Admin)
+ */
+router.get('/', codRemittanceController.getRemittances);
+
+/**
+ * @route   POST /api/v1/admin/cod-remittances
+ * @desc    Import a remittance statement (multipart "statement" CSV, or "csv" text)
+ * @access  Private (Admin)
+ */
+router.post('/', uploadSingle('statement', 'csv'), codRemittanceController.importRemittance);
+
+/**
+ * @route   GET /api/v1/admin/cod-remittances/:id
+ * @desc    Get a remittance statement with its matched lines
+ * @access  Private (Admin)
+ */
+router.get('/:id', codRemittanceController.getRemittance);
+
+/**
+ * @route   POST /api/v1/admin/cod-remittances/:id/apply
+ * @desc    Mark matched (or selected) lines' orders COD collected
+ * @access  Private (Admin)
+ */
+router.post('/:id/apply', codRemittanceController.applyRemittance);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Public Collection Routes
+ * Festive collections shown on the storefront
+ *
+ * Mounted at: /api/v1/collections
+ */
+
+const express = require('express');
+const router = express.Router();
+const festiveCollectionController = require('../controllers/festiveCollectionController');
+const { cacheMiddleware } = require('../middleware/cache.middleware');
+
+/**
+ * @route   GET /api/v1/collections/active
+ * @desc    Get active festive collection(s) for the homepage
+ * @access  Public
+ */
+router.get(
+  '/active',
+  cacheMiddleware('collections:active', 300),
+  festiveCollectionController.getActiveCollections
+);
+
+/**
+ * @route   GET /api/v1/collections/:id
+ * @desc    Get a published festive collection
+ * @access  Public
+ */
+router.get(
+  '/:id',
+  cacheMiddleware((req) => `collections:single:${req.params.id}`, 300),
+  festiveCollectionController.getPublishedCollection
+);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Currency Routes
+ * Display currencies and exchange rates
+ *
+ * Public routes: Active currencies and their rates
+ * Admin routes: Exchange rate table, manual updates and CSV import
+ *
+ * Mounted at: /api/v1/currencies
+ */
+
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currencyController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+const { uploadSingle } = require('../middleware/upload.middleware');
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/currencies/admin
+ * @desc    Exchange rate table with inactive currencies and rate history
+ * @access  Private (Admin)
+ */
+router.get('/admin', protect, adminOnly, currencyController.getRates);
+
+/**
+ * @route   POST /api/v1/currencies/admin/import
+ * @desc    Import rates (multipart "file" CSV, or "csv" text)
+ * @access  Private (Admin)
+ */
+router.post('/admin/import', protect, adminOnly, uploadSingle('file', 'csv'), currencyController.importRates);
+
+/**
+ * @route   PUT /api/v1/currencies/admin/:code
+ * @desc    Add a currency or update its rate and details
+ * @access  Private (Admin)
+ */
+router.put('/admin/:code', protect, adminOnly, currencyController.updateRate);
+
+// ============================================================
+// PUBLIC ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/currencies
+ * @desc    Active currencies and their rates (PKR per unit)
+ * @access  Public
+ */
+router.get('/', currencyController.getCurrencies);
+
+module.exports = router;
@@ -8,6 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const customOrderController = require('../controllers/customOrderController');
+const draftOrderController = require('../controllers/draftOrderController');
 const { uploadMultiple } = require('../middleware/upload.middleware');
 const { protect, optionalAuth } = require('../middleware/auth.middleware');
 
@@ -23,6 +24,16 @@ router.post(
   customOrderController.uploadReferenceImages
 );
 
+/**
+ * @route GET /api/v1/orders/custom/fabrics
+ * @desc Fabrics available for the custom order wizard
+ * @access Public
+ */
+router.get(
+  '/fabrics',
+  customOrderController.getFabricCatalog
+);
+
 /**
  * @route POST /api/v1/orders/custom
  * @desc Submit custom order
@@ -34,6 +45,69 @@ router.post(
   customOrderController.submitCustomOrder
 );
 
+/**
+ * @route POST /api/v1/orders/custom/drafts
+ * @desc Create a draft from the first wizard autosave
+ * @access Public (or Private if user is logged in)
+ */
+router.post(
+  '/drafts',
+  optionalAuth,
+  draftOrderController.createDraft
+);
+
+/**
+ * @route GET /api/v1/orders/custom/drafts
+ * @desc Get current user's open drafts
+ * @access Private
+ */
+router.get(
+  '/drafts',
+  protect,
+  draftOrderController.getMyDrafts
+);
+
+/**
+ * @route GET /api/v1/orders/custom/drafts/:token
+ * @desc Resume a draft from its resume link
+ * @access Public (token holder)
+ */
+router.get(
+  '/drafts/:token',
+  optionalAuth,
+  draftOrderController.resumeDraft
+);
+
+/**
+ * @route PUT /api/v1/orders/custom/drafts/:token
+ * @desc Autosave a wizard step
+ * @access Public (token holder)
+ */
+router.put(
+  '/drafts/:token',
+  draftOrderController.saveDraftStep
+);
+
+/**
+ * @route POST /api/v1/orders/custom/drafts/:token/send-link
+ * @desc Send the resume link by email/WhatsApp
+ * @access Public (token holder)
+ */
+router.post(
+  '/drafts/:token/send-link',
+  draftOrderController.sendResumeLink
+);
+
+/**
+ * @route DELETE /api/v1/orders/custom/drafts/:token
+ * @desc Discard a draft
+ * @access Public (token holder)
+ */
+router.delete(
+  '/drafts/:token',
+  draftOrderController.deleteDraft
+);
+
 /**
  * @route GET /api/v1/orders/custom/:id
  * @desc Get custom order by ID
@@ -77,8 +77,8 @@ const addressValidation = [
     .isLength({ min: 2, max: 100 })
     .withMessage('Full name is required'),
   body('phone')
-    .matches(/^(\+92|0)?3[0-9]{9}$/)
-    .withMessage('Valid Pakistani phone number is required'),
+    .matches(/^((\+92|0)?3[0-9]{9}|\+(?!92)[1-9][0-9]{6,14})$/)
+    .withMessage('Valid phone number is required (international numbers start with +)'),
   body('addressLine1')
     .trim()
     .isLength({ min: 5, max: 200 })
@@ -0,0 +1,112 @@
+/**
+ * Customer Photo Routes
+ * "Wear it like our customers" gallery
+ *
+ * Public routes: Product and homepage feeds
+ * Customer routes: Uploading own photos, likes
+ * Admin routes: Moderation queue, bulk approve/reject, featuring
+ *
+ * Mounted at: /api/v1/customer-photos
+ */
+
+const express = require('express');
+const router = express.Router();
+const customerPhotoController = require('../controllers/customerPhotoController');
+const { protect, adminOnly, optionalAuth } = require('../middleware/auth.middleware');
+const { uploadMultiple } = require('../middleware/upload.middleware');
+
+// ============================================================
+// PUBLIC ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/customer-photos/featured
+ * @desc    Get featured photos for the homepage
+ * @access  Public
+ */
+router.get('/featured', optionalAuth, customerPhotoController.getFeaturedPhotos);
+
+/**
+ * @route   GET /api/v1/customer-photos/product/:productId
+ * @desc    Get approved photos for a product
+ * @access  Public
+ */
+router.get('/product/:productId', optionalAuth, customerPhotoController.getProductPhotos);
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/customer-photos/admin/queue
+ * @desc    Get moderation queue (defaults to pending photos)
+ * @access  Private (Admin)
+ */
+router.get('/admin/queue', protect, adminOnly, customerPhotoController.getModerationQueue);
+
+/**
+ * @route   POST /api/v1/customer-photos/admin/bulk-moderate
+ * @desc    Bulk approve or reject photos
+ * @access  Private (Admin)
+ */
+router.post('/admin/bulk-moderate', protect, adminOnly, customerPhotoController.bulkModerate);
+
+/**
+ * @route   PUT /api/v1/customer-photos/admin/:id/moderate
+ * @desc    Approve or reject a photo
+ * @access  Private (Admin)
+ */
+router.put('/admin/:id/moderate', protect, adminOnly, customerPhotoController.moderatePhoto);
+
+/**
+ * @route   PUT /api/v1/customer-photos/admin/:id/featured
+ * @desc    Toggle featured status
+ * @access  Private (Admin)
+ */
+router.put('/admin/:id/featured', protect, adminOnly, customerPhotoController.toggleFeatured);
+
+// ============================================================
+// CUSTOMER ROUTES
+// ============================================================
+
+/**
+ * @route   POST /api/v1/customer-photos
+ * @desc    Upload photos for a delivered order
+ * @access  Private
+ */
+router.post(
+  '/',
+  protect,
+  uploadMultiple('images', 5, 'customerPhoto'),
+  customerPhotoController.uploadPhotos
+);
+
+/**
+ * @route   GET /api/v1/customer-photos/mine
+ * @desc    Get own submitted photos with moderation status
+ * @access  Private
+ */
+router.get('/mine', protect, customerPhotoController.getMyPhotos);
+
+/**
+ * @route   DELETE /api/v1/customer-photos/:id
+ * @desc    Delete own photo
+ * @access  Private
+ */
+router.delete('/:id', protect, customerPhotoController.deleteMyPhoto);
+
+/**
+ * @route   POST /api/v1/customer-photos/:id/like
+ * @desc    Like a photo
+ * @access  Private
+ */
+router.post('/:id/like', protect, customerPhotoController.likePhoto);
+
+/**
+ * @route   DELETE /api/v1/customer-photos/:id/like
+ * @desc    Remove like from a photo
+ * @access  Private
+ */
+router.delete('/:id/like', protect, customerPhotoController.unlikePhoto);
+
+module.exports = router;
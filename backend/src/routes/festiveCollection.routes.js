@@ -0,0 +1,81 @@
+/**
+ * Admin Festive Collection Routes
+ * Handles scheduling of Eid/wedding-season collections
+ *
+ * All routes require admin authentication
+ * Mounted at: /api/v1/admin/collections
+ */
+
+const express = require('express');
+const router = express.Router();
+const festiveCollectionController = require('../controllers/festiveCollectionController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+// All routes require authentication and admin access
+router.use(protect);
+router.use(adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/collections
+ * @desc    Get all festive collections
+ * @access  Admin
+ */
+router.get('/', festiveCollectionController.getAllCollections);
+
+/**
+ * @route   GET /api/v1/admin/collections/:id
+ * @desc    Get single festive collection
+ * @access  Admin
+ */
+router.get('/:id', festiveCollectionController.getCollectionById);
+
+/**
+ * @route   POST /api/v1/admin/collections
+ * @desc    Create festive collection from a product list
+ * @access  Admin
+ */
+router.post('/', festiveCollectionController.createCollection);
+
+/**
+ * @route   PUT /api/v1/admin/collections/:id
+ * @desc    Update festive collection
+ * @access  Admin
+ */
+router.put('/:id', festiveCollectionController.updateCollection);
+
+/**
+ * @route   DELETE /api/v1/admin/collections/:id
+ * @desc    Archive festive collection
+ * @access  Admin
+ */
+router.delete('/:id', festiveCollectionController.archiveCollection);
+
+/**
+ * @route   POST /api/v1/admin/collections/:id/products
+ * @desc    Add products to collection
+ * @access  Admin
+ */
+router.post('/:id/products', festiveCollectionController.addProducts);
+
+/**
+ * @route   DELETE /api/v1/admin/collections/:id/products
+ * @desc    Remove products from collection
+ * @access  Admin
+ */
+router.delete('/:id/products', festiveCollectionController.removeProducts);
+
+/**
+ * @route   POST /api/v1/admin/collections/:id/publish
+ * @desc    Publish collection immediately
+ * @access  Admin
+ */
+router.post('/:id/publish', festiveCollectionController.publishNow);
+
+/**
+ * @route   POST /api/v1/admin/collections/:id/unpublish
+ * @desc    Unpublish collection immediately
+ * @access  Admin
+ */
+router.post('/:id/unpublish', festiveCollectionController.unpublishNow);
+
+module.exports = router;
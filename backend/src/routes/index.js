@@ -25,6 +25,21 @@ const loyaltyRoutes = require('./loyalty.routes');
 const aiRoutes = require('./aiRoutes');
 const seoDashboardRoutes = require('./seoDashboard.routes');
 const promoCodeRoutes = require('./promoCode.routes');
+const promotionRoutes = require('./promotion.routes');
+const tailorRoutes = require('./tailor.routes');
+const festiveCollectionRoutes = require('./festiveCollection.routes');
+const collectionRoutes = require('./collection.routes');
+const customerPhotoRoutes = require('./customerPhoto.routes');
+const jobRoutes = require('./job.routes');
+const paymentWebhookRoutes = require('./paymentWebhook.routes');
+const paymentRoutes = require('./payment.routes');
+const returnRequestRoutes = require('./returnRequest.routes');
+const walletRoutes = require('./wallet.routes');
+const codRemittanceRoutes = require('./codRemittance.routes');
+const shippingRoutes = require('./shipping.routes');
+const currencyRoutes = require('./currency.routes');
+const inventoryRoutes = require('./inventory.routes');
+const purchasingRoutes = require('./purchasing.routes');
 
 // Health check routes (mounted at root level - no version)
 const healthRoutes = require('./health.routes');
@@ -59,6 +74,21 @@ router.use(`${API_VERSION}/facebook`, require('./facebook-conversion.routes'));
 router.use(`${API_VERSION}/admin/ai`, aiRoutes);
 router.use(`${API_VERSION}/admin/seo`, seoDashboardRoutes);
 router.use(`${API_VERSION}/admin/promo-codes`, promoCodeRoutes);
+router.use(`${API_VERSION}/admin/promotions`, promotionRoutes);
+router.use(`${API_VERSION}/admin/tailors`, tailorRoutes);
+router.use(`${API_VERSION}/admin/collections`, festiveCollectionRoutes);
+router.use(`${API_VERSION}/collections`, collectionRoutes);
+router.use(`${API_VERSION}/customer-photos`, customerPhotoRoutes);
+router.use(`${API_VERSION}/admin/jobs`, jobRoutes);
+router.use(`${API_VERSION}/payments/webhooks`, paymentWebhookRoutes);
+router.use(`${API_VERSION}/payments`, paymentRoutes);
+router.use(`${API_VERSION}/returns`, returnRequestRoutes);
+router.use(`${API_VERSION}/wallet`, walletRoutes);
+router.use(`${API_VERSION}/admin/cod-remittances`, codRemittanceRoutes);
+router.use(`${API_VERSION}/shipping`, shippingRoutes);
+router.use(`${API_VERSION}/currencies`, currencyRoutes);
+router.use(`${API_VERSION}/admin/inventory`, inventoryRoutes);
+router.use(`${API_VERSION}/admin/purchasing`, purchasingRoutes);
 
 // Root endpoint
 router.get('/', (req, res) => {
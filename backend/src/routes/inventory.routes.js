@@ -0,0 +1,73 @@
+/**
+ * Inventory Routes
+ * Stock movement ledger, manual adjustments, checkout reservations and accessories
+ *
+ * All routes: Admin only
+ *
+ * Mounted at: /api/v1/admin/inventory
+ */
+
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventoryController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+router.use(protect, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/inventory/movements
+ * @desc    Stock history (filter by product, variant, fabric, type, order, date)
+ * @access  Private (Admin)
+ */
+router.get('/movements', inventoryController.getMovements);
+
+/**
+ * @route   POST /api/v1/admin/inventory/adjustments
+ * @desc    Adjust product or fabric stock and record why
+ * @access  Private (Admin)
+ */
+router.post('/adjustments', inventoryController.adjustStock);
+
+/**
+ * @route   GET /api/v1/admin/inventory/products/:id
+ * @desc    On hand, reserved and available stock of a product
+ * @access  Private (Admin)
+ */
+router.get('/products/:id', inventoryController.getProductStock);
+
+/**
+ * @route   GET /api/v1/admin/inventory/reservations
+ * @desc    Stock held by unpaid orders
+ * @access  Private (Admin)
+ */
+router.get('/reservations', inventoryController.getReservations);
+
+/**
+ * @route   POST /api/v1/admin/inventory/reservations/:id/release
+ * @desc    Release a reservation before it expires
+ * @access  Private (Admin)
+ */
+router.post('/reservations/:id/release', inventoryController.releaseReservation);
+
+/**
+ * @route   GET /api/v1/admin/inventory/accessories
+ * @desc    Accessories stock (filter by category, status, supplier, search, lowStock)
+ * @access  Private (Admin)
+ */
+router.get('/accessories', inventoryController.getAccessories);
+
+/**
+ * @route   POST /api/v1/admin/inventory/accessories
+ * @desc    Add an accessory with its opening stock
+ * @access  Private (Admin)
+ */
+router.post('/accessories', inventoryController.createAccessory);
+
+/**
+ * @route   PUT /api/v1/admin/inventory/accessories/:id
+ * @desc    Update an accessory's details and reorder settings
+ * @access  Private (Admin)
+ */
+router.put('/accessories/:id', inventoryController.updateAccessory);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Admin Job Routes
+ * Background job status, history and manual runs
+ *
+ * All routes require admin authentication
+ * Mounted at: /api/v1/admin/jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+// All routes require authentication and admin access
+router.use(protect);
+router.use(adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/jobs
+ * @desc    List jobs with schedule, next run and last result
+ * @access  Admin
+ */
+router.get('/', jobController.getJobs);
+
+/**
+ * @route   GET /api/v1/admin/jobs/:name/runs
+ * @desc    Get run history for a job
+ * @access  Admin
+ */
+router.get('/:name/runs', jobController.getJobRuns);
+
+/**
+ * @route   POST /api/v1/admin/jobs/:name/run
+ * @desc    Run a job now
+ * @access  Admin
+ */
+router.post('/:name/run', jobController.triggerJob);
+
+module.exports = router;
@@ -3,6 +3,13 @@ const router = express.Router();
 const loyaltyController = require('../controllers/loyaltyController');
 const { protect, adminOnly } = require('../middleware/auth.middleware');
 
+/**
+ * @route   GET /api/v1/loyalty/rules
+ * @desc    Get earning rules, tiers and redemption limits
+ * @access  Public
+ */
+router.get('/rules', loyaltyController.getRules);
+
 /**
  * @route   GET /api/v1/loyalty/account
  * @desc    Get user's loyalty account
@@ -18,11 +25,11 @@ router.get('/account', protect, loyaltyController.getAccount);
 router.get('/transactions', protect, loyaltyController.getTransactions);
 
 /**
- * @route   POST /api/v1/loyalty/redeem
- * @desc    Redeem points
+ * @route   POST /api/v1/loyalty/share
+ * @desc    Earn points for sharing on social media
  * @access  Private
  */
-router.post('/redeem', protect, loyaltyController.redeemPoints);
+router.post('/share', protect, loyaltyController.shareReward);
 
 /**
  * @route   POST /api/v1/loyalty/award
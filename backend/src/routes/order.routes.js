@@ -8,6 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const orderPaymentController = require('../controllers/orderPaymentController');
 const { protect, optionalAuth } = require('../middleware/auth.middleware');
 
 /**
@@ -75,6 +76,39 @@ router.post(
   orderController.cancelOrder
 );
 
+/**
+ * @route GET /api/v1/orders/:id/payments
+ * @desc Get payment ledger (deposit, installments, balance due)
+ * @access Private
+ */
+router.get(
+  '/:id/payments',
+  protect,
+  orderPaymentController.getPayments
+);
+
+/**
+ * @route POST /api/v1/orders/:id/payments
+ * @desc Submit a deposit or balance payment receipt for verification
+ * @access Private
+ */
+router.post(
+  '/:id/payments',
+  protect,
+  orderPaymentController.submitPayment
+);
+
+/**
+ * @route POST /api/v1/orders/:id/payments/wallet
+ * @desc Pay a deposit or balance from store credit
+ * @access Private
+ */
+router.post(
+  '/:id/payments/wallet',
+  protect,
+  orderPaymentController.payWithWallet
+);
+
 /**
  * @route GET /api/v1/orders/:id/invoice
  * @desc Download order invoice
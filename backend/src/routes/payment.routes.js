@@ -0,0 +1,49 @@
+/**
+ * Payment Routes
+ * Hosted JazzCash/Easypaisa checkout
+ *
+ * Mounted at: /api/v1/payments
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentCheckoutController = require('../controllers/paymentCheckoutController');
+const { optionalAuth } = require('../middleware/auth.middleware');
+
+/**
+ * @route   POST /api/v1/payments/checkout
+ * @desc    Start a hosted payment for an order
+ * @access  Public (order owner, or a guest with the order's guestToken)
+ */
+router.post('/checkout', optionalAuth, paymentCheckoutController.initiatePayment);
+
+/**
+ * @route   GET /api/v1/payments/attempts/:id
+ * @desc    Get the status of a payment attempt
+ * @access  Public
+ */
+router.get('/attempts/:id', paymentCheckoutController.getAttempt);
+
+/**
+ * @route   GET|POST /api/v1/payments/return/:provider
+ * @desc    Customer returns from the gateway; redirects to the storefront
+ * @access  Public (result signature verified)
+ */
+router.get('/return/:provider', paymentCheckoutController.handleReturn);
+router.post('/return/:provider', paymentCheckoutController.handleReturn);
+
+/**
+ * @route   GET /api/v1/payments/mock/:id
+ * @desc    Mock hosted checkout page (PAYMENT_GATEWAY_MODE=mock)
+ * @access  Public
+ */
+router.get('/mock/:id', paymentCheckoutController.mockCheckoutPage);
+
+/**
+ * @route   POST /api/v1/payments/mock/:id
+ * @desc    Approve or decline on the mock checkout page
+ * @access  Public
+ */
+router.post('/mock/:id', paymentCheckoutController.completeMockCheckout);
+
+module.exports = router;
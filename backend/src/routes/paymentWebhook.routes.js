@@ -0,0 +1,56 @@
+/**
+ * Payment Webhook Routes
+ * JazzCash/Easypaisa callbacks, payment event log and simulator
+ *
+ * Mounted at: /api/v1/payments/webhooks
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentWebhookController = require('../controllers/paymentWebhookController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/payments/webhooks/events
+ * @desc    Get logged payment events
+ * @access  Admin
+ */
+router.get('/events', protect, adminOnly, paymentWebhookController.getEvents);
+
+/**
+ * @route   GET /api/v1/payments/webhooks/events/:id
+ * @desc    Get a payment event with its raw payload
+ * @access  Admin
+ */
+router.get('/events/:id', protect, adminOnly, paymentWebhookController.getEventById);
+
+/**
+ * @route   POST /api/v1/payments/webhooks/events/:id/replay
+ * @desc    Re-process a logged payment event
+ * @access  Admin
+ */
+router.post('/events/:id/replay', protect, adminOnly, paymentWebhookController.replayEvent);
+
+/**
+ * @route   POST /api/v1/payments/webhooks/simulate/:provider
+ * @desc    Send a signed test callback through the webhook pipeline
+ * @access  Admin
+ */
+router.post('/simulate/:provider', protect, adminOnly, paymentWebhookController.simulateWebhook);
+
+// ============================================
+// GATEWAY CALLBACKS
+// ============================================
+
+/**
+ * @route   POST /api/v1/payments/webhooks/:provider
+ * @desc    Receive a JazzCash/Easypaisa payment callback
+ * @access  Public (signature verified)
+ */
+router.post('/:provider', paymentWebhookController.handleWebhook);
+
+module.exports = router;
@@ -6,6 +6,7 @@
  * - GET /api/v1/products - Get all products (with filters)
  * - GET /api/v1/products/:id - Get product by ID
  * - GET /api/v1/products/slug/:slug - Get product by slug
+ * - GET /api/v1/products/search/autocomplete - Search suggestions
  * 
  * Note: Admin routes are in adminProduct.routes.js
  */
@@ -20,6 +21,7 @@ const {
   cacheFeaturedProducts,
   cacheNewArrivals,
   cacheBestSellers,
+  cacheSearchResults,
 } = require('../middleware/cache.middleware');
 
 // ============================================
@@ -54,6 +56,13 @@ router.get('/new-arrivals', cacheNewArrivals, productController.getNewArrivals);
  */
 router.get('/best-sellers', cacheBestSellers, productController.getBestSellers);
 
+/**
+ * @route   GET /api/v1/products/search/autocomplete
+ * @desc    Search-as-you-type suggestions (products, completions, did-you-mean)
+ * @access  Public
+ */
+router.get('/search/autocomplete', cacheSearchResults, productController.searchAutocomplete);
+
 /**
  * @route   GET /api/v1/products/slug/:slug
  * @desc    Get product by SEO-friendly slug
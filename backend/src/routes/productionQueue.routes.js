@@ -35,6 +35,20 @@ router.patch('/:id/status', productionQueueController.updateStatus);
  */
 router.patch('/:id/assign', productionQueueController.assignTailor);
 
+/**
+ * @route   POST /api/v1/production-queue/:id/auto-assign
+ * @desc    Auto-assign order to the best available tailor
+ * @access  Admin
+ */
+router.post('/:id/auto-assign', productionQueueController.autoAssignTailor);
+
+/**
+ * @route   POST /api/v1/production-queue/bulk/auto-assign
+ * @desc    Auto-assign all pending, unassigned orders
+ * @access  Admin
+ */
+router.post('/bulk/auto-assign', productionQueueController.autoAssignPending);
+
 /**
  * @route   POST /api/v1/production-queue/bulk/status
  * @desc    Bulk update status
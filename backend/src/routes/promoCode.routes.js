@@ -25,7 +25,11 @@ const {
   bulkDeletePromoCodes,
   bulkUpdateStatus,
   getPromoCodeStats,
-  duplicatePromoCode
+  duplicatePromoCode,
+  getPromoCodeRedemptions,
+  getPromoCodeBatches,
+  createPromoCodeBatch,
+  exportPromoCodeBatch
 } = require('../controllers/promoCodeController');
 
 // ============================================================
@@ -59,6 +63,31 @@ router.get('/active', getActivePromoCodes);
  */
 router.get('/stats', getPromoCodeStats);
 
+// ============================================================
+// SINGLE-USE CODE BATCHES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/admin/promo-codes/batches
+ * @desc    Get code batches with their redemption rates
+ * @access  Private (Admin)
+ */
+router.get('/batches', getPromoCodeBatches);
+
+/**
+ * @route   POST /api/v1/admin/promo-codes/batches
+ * @desc    Generate a batch of unique single-use codes
+ * @access  Private (Admin)
+ */
+router.post('/batches', createPromoCodeBatch);
+
+/**
+ * @route   GET /api/v1/admin/promo-codes/batches/:batchId/export
+ * @desc    Export a batch's codes and redemptions as CSV
+ * @access  Private (Admin)
+ */
+router.get('/batches/:batchId/export', exportPromoCodeBatch);
+
 /**
  * @route   GET /api/v1/admin/promo-codes/:id
  * @desc    Get promo code by ID
@@ -66,6 +95,13 @@ router.get('/stats', getPromoCodeStats);
  */
 router.get('/:id', getPromoCodeById);
 
+/**
+ * @route   GET /api/v1/admin/promo-codes/:id/redemptions
+ * @desc    Get who redeemed a promo code, on which orders
+ * @access  Private (Admin)
+ */
+router.get('/:id/redemptions', getPromoCodeRedemptions);
+
 /**
  * @route   POST /api/v1/admin/promo-codes
  * @desc    Create new promo code
@@ -0,0 +1,59 @@
+/**
+ * Promotion Routes
+ * Automatic promotions applied at checkout without a code
+ *
+ * All routes: Admin only
+ *
+ * Mounted at: /api/v1/admin/promotions
+ */
+
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+router.use(protect, adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/promotions
+ * @desc    List promotions (filter by status, type)
+ * @access  Private (Admin)
+ */
+router.get('/', promotionController.getPromotions);
+
+/**
+ * @route   POST /api/v1/admin/promotions/preview
+ * @desc    Price a basket with the live promotions and an optional promo code
+ * @access  Private (Admin)
+ */
+router.post('/preview', promotionController.previewPricing);
+
+/**
+ * @route   GET /api/v1/admin/promotions/:id
+ * @desc    Get a promotion
+ * @access  Private (Admin)
+ */
+router.get('/:id', promotionController.getPromotionById);
+
+/**
+ * @route   POST /api/v1/admin/promotions
+ * @desc    Create a promotion
+ * @access  Private (Admin)
+ */
+router.post('/', promotionController.createPromotion);
+
+/**
+ * @route   PUT /api/v1/admin/promotions/:id
+ * @desc    Update a promotion
+ * @access  Private (Admin)
+ */
+router.put('/:id', promotionController.updatePromotion);
+
+/**
+ * @route   DELETE /api/v1/admin/promotions/:id
+ * @desc    Delete a promotion (switched off instead once used)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', promotionController.deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * Purchasing Routes
+ * Suppliers, purchase orders for fabric and accessories, and reorder suggestions
+ *
+ * All routes: Admin only
+ *
+ * Mounted at: /api/v1/admin/purchasing
+ */
+
+const express = require('express');
+const router = express.Router();
+const purchasingController = require('../controllers/purchasingController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+router.use(protect, adminOnly);
+
+// ============================================================
+// SUPPLIERS
+// ============================================================
+
+/**
+ * @route   GET /api/v1/admin/purchasing/suppliers
+ * @desc    List suppliers (filter by supplies, active, search)
+ * @access  Private (Admin)
+ */
+router.get('/suppliers', purchasingController.getSuppliers);
+
+/**
+ * @route   POST /api/v1/admin/purchasing/suppliers
+ * @desc    Create a supplier
+ * @access  Private (Admin)
+ */
+router.post('/suppliers', purchasingController.createSupplier);
+
+/**
+ * @route   PUT /api/v1/admin/purchasing/suppliers/:id
+ * @desc    Update a supplier
+ * @access  Private (Admin)
+ */
+router.put('/suppliers/:id', purchasingController.updateSupplier);
+
+/**
+ * @route   DELETE /api/v1/admin/purchasing/suppliers/:id
+ * @desc    Delete a supplier (deactivated instead when it has purchase orders)
+ * @access  Private (Admin)
+ */
+router.delete('/suppliers/:id', purchasingController.deleteSupplier);
+
+// ============================================================
+// PURCHASE ORDERS
+// ============================================================
+
+/**
+ * @route   GET /api/v1/admin/purchasing/purchase-orders
+ * @desc    List purchase orders (filter by status, supplier, overdue)
+ * @access  Private (Admin)
+ */
+router.get('/purchase-orders', purchasingController.getPurchaseOrders);
+
+/**
+ * @route   POST /api/v1/admin/purchasing/purchase-orders
+ * @desc    Draft a purchase order
+ * @access  Private (Admin)
+ */
+router.post('/purchase-orders', purchasingController.createPurchaseOrder);
+
+/**
+ * @route   GET /api/v1/admin/purchasing/purchase-orders/:id
+ * @desc    Get a purchase order with its deliveries
+ * @access  Private (Admin)
+ */
+router.get('/purchase-orders/:id', purchasingController.getPurchaseOrder);
+
+/**
+ * @route   PUT /api/v1/admin/purchasing/purchase-orders/:id
+ * @desc    Edit a draft purchase order
+ * @access  Private (Admin)
+ */
+router.put('/purchase-orders/:id', purchasingController.updatePurchaseOrder);
+
+/**
+ * @route   POST /api/v1/admin/purchasing/purchase-orders/:id/place
+ * @desc    Mark a draft as sent to the supplier
+ * @access  Private (Admin)
+ */
+router.post('/purchase-orders/:id/place', purchasingController.placePurchaseOrder);
+
+/**
+ * @route   POST /api/v1/admin/purchasing/purchase-orders/:id/receive
+ * @desc    Receive a full or partial delivery into stock
+ * @access  Private (Admin)
+ */
+router.post('/purchase-orders/:id/receive', purchasingController.receivePurchaseOrder);
+
+/**
+ * @route   POST /api/v1/admin/purchasing/purchase-orders/:id/cancel
+ * @desc    Cancel a purchase order
+ * @access  Private (Admin)
+ */
+router.post('/purchase-orders/:id/cancel', purchasingController.cancelPurchaseOrder);
+
+// ============================================================
+// REORDER SUGGESTIONS
+// ============================================================
+
+/**
+ * @route   GET /api/v1/admin/purchasing/reorder-suggestions
+ * @desc    Fabric and accessories at their reorder point, grouped by supplier
+ * @access  Private (Admin)
+ */
+router.get('/reorder-suggestions', purchasingController.getReorderSuggestions);
+
+/**
+ * @route   POST /api/v1/admin/purchasing/reorder-suggestions/draft
+ * @desc    Draft a purchase order from a supplier's suggestions
+ * @access  Private (Admin)
+ */
+router.post('/reorder-suggestions/draft', purchasingController.draftFromSuggestions);
+
+module.exports = router;
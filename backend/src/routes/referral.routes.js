@@ -1,11 +1,50 @@
+/**
+ * Referral Routes
+ * Customer referral codes and the admin leaderboard and fraud review
+ *
+ * Referrals complete by themselves when the referred customer's first
+ * order is delivered (see services/referralService)
+ *
+ * Mounted at: /api/v1/referrals
+ */
+
 const express = require('express');
 const router = express.Router();
 const referralController = require('../controllers/referralController');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
 
 // All routes require authentication
 router.use(protect);
 
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/referrals/admin/leaderboard
+ * @desc    Top referrers by completed referrals (?days=30)
+ * @access  Private (Admin)
+ */
+router.get('/admin/leaderboard', adminOnly, referralController.getLeaderboard);
+
+/**
+ * @route   GET /api/v1/referrals/admin/flagged
+ * @desc    Referrals held for fraud review (?status=rejected for rejected ones)
+ * @access  Private (Admin)
+ */
+router.get('/admin/flagged', adminOnly, referralController.getFlagged);
+
+/**
+ * @route   PUT /api/v1/referrals/admin/:id/review
+ * @desc    Approve or reject a flagged referral
+ * @access  Private (Admin)
+ */
+router.put('/admin/:id/review', adminOnly, referralController.reviewReferral);
+
+// ============================================================
+// CUSTOMER ROUTES
+// ============================================================
+
 /**
  * @route   GET /api/v1/referrals/code
  * @desc    Get or generate referral code
@@ -27,12 +66,4 @@ router.get('/stats', referralController.getStats);
  */
 router.post('/apply', referralController.applyCode);
 
-/**
- * @route   POST /api/v1/referrals/complete
- * @desc    Complete referral (when order is placed)
- * @access  Private (or webhook)
- */
-router.post('/complete', referralController.completeReferral);
-
 module.exports = router;
-
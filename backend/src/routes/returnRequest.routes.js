@@ -0,0 +1,87 @@
+/**
+ * Return Request Routes
+ * Alterations, returns and exchanges after delivery (RMA)
+ *
+ * Customer routes: Opening, viewing and cancelling own requests
+ * Admin routes: Review, pickup, receipt and resolution
+ *
+ * Mounted at: /api/v1/returns
+ */
+
+const express = require('express');
+const router = express.Router();
+const returnRequestController = require('../controllers/returnRequestController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/returns/admin
+ * @desc    Get return requests (defaults to open requests)
+ * @access  Private (Admin)
+ */
+router.get('/admin', protect, adminOnly, returnRequestController.getAllReturnRequests);
+
+/**
+ * @route   PUT /api/v1/returns/admin/:id/review
+ * @desc    Approve or reject a request
+ * @access  Private (Admin)
+ */
+router.put('/admin/:id/review', protect, adminOnly, returnRequestController.reviewReturnRequest);
+
+/**
+ * @route   PUT /api/v1/returns/admin/:id/pickup
+ * @desc    Book a courier pickup
+ * @access  Private (Admin)
+ */
+router.put('/admin/:id/pickup', protect, adminOnly, returnRequestController.schedulePickup);
+
+/**
+ * @route   PUT /api/v1/returns/admin/:id/receive
+ * @desc    Mark the item as received at the studio
+ * @access  Private (Admin)
+ */
+router.put('/admin/:id/receive', protect, adminOnly, returnRequestController.markReceived);
+
+/**
+ * @route   PUT /api/v1/returns/admin/:id/resolve
+ * @desc    Resolve with a refund, store credit, exchange or completed alteration
+ * @access  Private (Admin)
+ */
+router.put('/admin/:id/resolve', protect, adminOnly, returnRequestController.resolveReturnRequest);
+
+// ============================================================
+// CUSTOMER ROUTES
+// ============================================================
+
+/**
+ * @route   POST /api/v1/returns
+ * @desc    Request an alteration, return or exchange for a delivered order
+ * @access  Private
+ */
+router.post('/', protect, returnRequestController.createReturnRequest);
+
+/**
+ * @route   GET /api/v1/returns/mine
+ * @desc    Get own requests
+ * @access  Private
+ */
+router.get('/mine', protect, returnRequestController.getMyReturnRequests);
+
+/**
+ * @route   GET /api/v1/returns/:id
+ * @desc    Get a request
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id', protect, returnRequestController.getReturnRequest);
+
+/**
+ * @route   POST /api/v1/returns/:id/cancel
+ * @desc    Cancel own request before the item is collected
+ * @access  Private
+ */
+router.post('/:id/cancel', protect, returnRequestController.cancelReturnRequest);
+
+module.exports = router;
@@ -10,6 +10,8 @@ const {
   updateSEOSettings: updateSeoSettings,
   updateNotificationSettings,
   updateOrderSettings,
+  updateLoyaltySettings,
+  updateReferralSettings,
   updateFeatureSettings,
   updateMaintenanceSettings,
   resetSettings,
@@ -93,6 +95,20 @@ router.put('/notifications', updateNotificationSettings);
  */
 router.put('/orders', updateOrderSettings);
 
+/**
+ * @route   PUT /api/v1/settings/loyalty
+ * @desc    Update loyalty earning rules, expiry, redemption and tiers
+ * @access  Private (Admin)
+ */
+router.put('/loyalty', updateLoyaltySettings);
+
+/**
+ * @route   PUT /api/v1/settings/referrals
+ * @desc    Update referral rewards and the monthly referrer cap
+ * @access  Private (Admin)
+ */
+router.put('/referrals', updateReferralSettings);
+
 /**
  * @route   PUT /api/v1/settings/features
  * @desc    Update feature settings
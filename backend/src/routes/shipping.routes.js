@@ -0,0 +1,66 @@
+/**
+ * Shipping Routes
+ * Shipping quotes and shipping zone management
+ *
+ * Public routes: Quote for an address and items
+ * Admin routes: Shipping zones and their rates
+ *
+ * Mounted at: /api/v1/shipping
+ */
+
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../controllers/shippingController');
+const { protect, adminOnly, optionalAuth } = require('../middleware/auth.middleware');
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/shipping/admin/zones
+ * @desc    List shipping zones (filter by scope, active)
+ * @access  Private (Admin)
+ */
+router.get('/admin/zones', protect, adminOnly, shippingController.getZones);
+
+/**
+ * @route   POST /api/v1/shipping/admin/zones
+ * @desc    Create a shipping zone
+ * @access  Private (Admin)
+ */
+router.post('/admin/zones', protect, adminOnly, shippingController.createZone);
+
+/**
+ * @route   GET /api/v1/shipping/admin/zones/:id
+ * @desc    Get a shipping zone
+ * @access  Private (Admin)
+ */
+router.get('/admin/zones/:id', protect, adminOnly, shippingController.getZone);
+
+/**
+ * @route   PUT /api/v1/shipping/admin/zones/:id
+ * @desc    Update a shipping zone and its rates
+ * @access  Private (Admin)
+ */
+router.put('/admin/zones/:id', protect, adminOnly, shippingController.updateZone);
+
+/**
+ * @route   DELETE /api/v1/shipping/admin/zones/:id
+ * @desc    Delete a shipping zone
+ * @access  Private (Admin)
+ */
+router.delete('/admin/zones/:id', protect, adminOnly, shippingController.deleteZone);
+
+// ============================================================
+// PUBLIC ROUTES
+// ============================================================
+
+/**
+ * @route   POST /api/v1/shipping/quote
+ * @desc    Shipping options and cost for an address and items
+ * @access  Public
+ */
+router.post('/quote', optionalAuth, shippingController.getQuote);
+
+module.exports = router;
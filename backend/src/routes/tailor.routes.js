@@ -0,0 +1,60 @@
+/**
+ * Admin Tailor Routes
+ * Handles tailor management endpoints
+ *
+ * All routes require admin authentication
+ * Mounted at: /api/v1/admin/tailors
+ */
+
+const express = require('express');
+const router = express.Router();
+const tailorController = require('../controllers/tailorController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+// All routes require authentication and admin access
+router.use(protect);
+router.use(adminOnly);
+
+/**
+ * @route   GET /api/v1/admin/tailors
+ * @desc    Get all tailors with filters
+ * @access  Admin
+ */
+router.get('/', tailorController.getAllTailors);
+
+/**
+ * @route   GET /api/v1/admin/tailors/workload
+ * @desc    Get today's capacity and workload per active tailor
+ * @access  Admin
+ */
+router.get('/workload', tailorController.getWorkload);
+
+/**
+ * @route   GET /api/v1/admin/tailors/:id
+ * @desc    Get single tailor with active production items
+ * @access  Admin
+ */
+router.get('/:id', tailorController.getTailorById);
+
+/**
+ * @route   POST /api/v1/admin/tailors
+ * @desc    Create tailor
+ * @access  Admin
+ */
+router.post('/', tailorController.createTailor);
+
+/**
+ * @route   PUT /api/v1/admin/tailors/:id
+ * @desc    Update tailor
+ * @access  Admin
+ */
+router.put('/:id', tailorController.updateTailor);
+
+/**
+ * @route   DELETE /api/v1/admin/tailors/:id
+ * @desc    Deactivate tailor
+ * @access  Admin
+ */
+router.delete('/:id', tailorController.deactivateTailor);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+/**
+ * Wallet Routes
+ * Customer store credit
+ *
+ * Customer routes: Own balance and transaction history
+ * Admin routes: Audit view of all wallet transactions and manual adjustments
+ *
+ * Mounted at: /api/v1/wallet
+ */
+
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/walletController');
+const { protect, adminOnly } = require('../middleware/auth.middleware');
+
+// ============================================================
+// ADMIN ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/wallet/admin/transactions
+ * @desc    Wallet transactions across all customers (filter by source, type, user, date)
+ * @access  Private (Admin)
+ */
+router.get('/admin/transactions', protect, adminOnly, walletController.getAllTransactions);
+
+/**
+ * @route   GET /api/v1/wallet/admin/users/:userId
+ * @desc    Get a customer's wallet
+ * @access  Private (Admin)
+ */
+router.get('/admin/users/:userId', protect, adminOnly, walletController.getUserWallet);
+
+/**
+ * @route   POST /api/v1/wallet/admin/users/:userId/adjust
+ * @desc    Manually credit or debit a customer's wallet
+ * @access  Private (Admin)
+ */
+router.post('/admin/users/:userId/adjust', protect, adminOnly, walletController.adjustWallet);
+
+// ============================================================
+// CUSTOMER ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/v1/wallet
+ * @desc    Get own store credit balance and transactions
+ * @access  Private
+ */
+router.get('/', protect, walletController.getMyWallet);
+
+module.exports = router;
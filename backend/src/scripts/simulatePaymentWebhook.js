@@ -0,0 +1,75 @@
+/**
+ * Payment Webhook Simulator
+ *
+ * Sends a signed JazzCash/Easypaisa callback to a running server so the
+ * webhook flow can be tested without the real gateways
+ *
+ * Run with:
+ *   node src/scripts/simulatePaymentWebhook.js <jazzcash|easypaisa> <orderNumber> <amount> [--fail] [--txn=ID] [--url=http://localhost:5000]
+ *
+ * Uses JAZZCASH_INTEGRITY_SALT / EASYPAISA_HASH_KEY from .env, so they must
+ * match the server's values. Send the same --txn twice to check idempotency.
+ */
+
+require('dotenv').config();
+const { buildSimulatedCallback } = require('../services/paymentWebhookService');
+const { getGatewayNames } = require('../services/paymentGateways');
+
+const USAGE = 'Usage: node src/scripts/simulatePaymentWebhook.js <jazzcash|easypaisa> <orderNumber> <amount> [--fail] [--txn=ID] [--url=http://localhost:5000]';
+
+const parseArgs = (argv) => {
+  const positional = argv.filter(arg => !arg.startsWith('--'));
+  const flags = Object.fromEntries(
+    argv
+      .filter(arg => arg.startsWith('--'))
+      .map(arg => {
+        const [key, value = true] = arg.slice(2).split('=');
+        return [key, value];
+      })
+  );
+
+  const [provider, orderNumber, amount] = positional;
+  return {
+    provider,
+    orderNumber,
+    amount: Number(amount),
+    success: !flags.fail,
+    transactionId: flags.txn,
+    baseUrl: flags.url || `http://localhost:${process.env.PORT || 5000}`
+  };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!getGatewayNames().includes(options.provider) || !options.orderNumber || !(options.amount > 0)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const payload = buildSimulatedCallback(options.provider, options);
+  const url = `${options.baseUrl}/api/v1/payments/webhooks/${options.provider}`;
+
+  // JazzCash posts form fields; Easypaisa posts JSON
+  const isForm = options.provider === 'jazzcash';
+
+  console.log(`📤 POST ${url}`);
+  console.log(JSON.stringify(payload, null, 2));
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': isForm ? 'application/x-www-form-urlencoded' : 'application/json' },
+    body: isForm ? new URLSearchParams(payload).toString() : JSON.stringify(payload)
+  });
+
+  const body = await response.json().catch(() => null);
+  console.log(`📥 ${response.status}`);
+  console.log(JSON.stringify(body, null, 2));
+
+  process.exit(response.ok ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error('❌ Simulation failed:', error.message);
+  process.exit(1);
+});
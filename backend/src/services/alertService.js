@@ -1,5 +1,6 @@
 const Order = require('../models/Order');
 const FabricInventory = require('../models/FabricInventory');
+const DraftOrder = require('../models/DraftOrder');
 const { sendEmail } = require('../utils/emailService');
 const { sendWhatsApp } = require('../utils/whatsappService');
 const logger = require('../utils/logger');
@@ -94,37 +95,35 @@ exports.checkStockouts = async () => {
 };
 
 /**
- * Check for high abandonment rate
+ * Check for high custom order draft abandonment rate
+ * Measured over drafts started in the last 7 days
+ * @param {Object} options - { newlyAbandoned: drafts just marked abandoned by the draft job }
  */
-exports.checkAbandonment = async () => {
+exports.checkAbandonment = async ({ newlyAbandoned = 0 } = {}) => {
   try {
-    const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000);
-    
-    const abandonedCarts = await Order.countDocuments({
-      status: 'cart',
-      updatedAt: { $lt: thirtyMinutesAgo },
-      'payment.status': { $ne: 'completed' }
-    });
+    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
-    const totalCarts = await Order.countDocuments({
-      status: 'cart',
-      updatedAt: { $gte: thirtyMinutesAgo }
-    });
+    const [abandonedDrafts, convertedDrafts, totalDrafts] = await Promise.all([
+      DraftOrder.countDocuments({ status: 'abandoned', createdAt: { $gte: sevenDaysAgo } }),
+      DraftOrder.countDocuments({ status: 'converted', createdAt: { $gte: sevenDaysAgo } }),
+      DraftOrder.countDocuments({ createdAt: { $gte: sevenDaysAgo } })
+    ]);
 
-    const abandonmentRate = totalCarts > 0
-      ? (abandonedCarts / totalCarts) * 100
+    const abandonmentRate = totalDrafts > 0
+      ? (abandonedDrafts / totalDrafts) * 100
       : 0;
 
-    // Alert if abandonment rate > 50%
-    if (abandonmentRate > 50 && abandonedCarts > 10) {
+    // Alert if abandonment rate > 50%, only when new drafts were just abandoned
+    if (abandonmentRate > 50 && abandonedDrafts > 10 && newlyAbandoned > 0) {
       await sendEmail({
         to: process.env.ADMIN_EMAIL || 'admin@laraibcreative.studio',
-        subject: `Alert: High Cart Abandonment Rate (${abandonmentRate.toFixed(1)}%)`,
+        subject: `Alert: High Custom Order Abandonment Rate (${abandonmentRate.toFixed(1)}%)`,
         html: `
-          <h2>High Cart Abandonment Alert</h2>
-          <p>Cart abandonment rate is ${abandonmentRate.toFixed(1)}%</p>
-          <p>Abandoned carts: ${abandonedCarts}</p>
-          <p>Total carts: ${totalCarts}</p>
+          <h2>High Custom Order Abandonment Alert</h2>
+          <p>Custom order draft abandonment rate is ${abandonmentRate.toFixed(1)}% over the last 7 days</p>
+          <p>Abandoned drafts: ${abandonedDrafts} (${newlyAbandoned} new)</p>
+          <p>Converted drafts: ${convertedDrafts}</p>
+          <p>Total drafts: ${totalDrafts}</p>
         `
       });
 
@@ -133,8 +132,10 @@ exports.checkAbandonment = async () => {
 
     return {
       abandonmentRate: abandonmentRate.toFixed(2),
-      abandonedCarts,
-      totalCarts
+      abandonedDrafts,
+      convertedDrafts,
+      totalDrafts,
+      newlyAbandoned
     };
   } catch (error) {
     logger.error('Error checking abandonment:', error);
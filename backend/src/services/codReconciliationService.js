@@ -0,0 +1,413 @@
+const Order = require('../models/Order');
+const CodRemittance = require('../models/CodRemittance');
+const paymentLedgerService = require('./paymentLedgerService');
+const { getCodAmount } = require('./shipmentService');
+const { parseCSV } = require('../utils/csvParser');
+const logger = require('../utils/logger');
+
+/**
+ * COD Reconciliation Service
+ * Imports courier cash-on-delivery remittance statements, matches them to
+ * dispatched COD orders and settles the matched orders
+ *
+ * Settling an order sets payment.codCollected with the statement's settlement
+ * reference and records the remitted amount as a verified 'cod' installment
+ */
+
+// Remitted amounts within this many rupees of the COD amount count as matched
+const AMOUNT_TOLERANCE = 1;
+
+// Line classifications that can be settled against an order
+const SETTLEABLE_MATCHES = ['matched', 'over-paid', 'short-paid'];
+
+// Statement header aliases for each column we read (headers are normalised by parseCSV)
+const COLUMN_ALIASES = {
+  trackingNumber: ['tracking number', 'tracking no', 'tracking', 'cn', 'cn number', 'cn no', 'consignment number', 'consignment no', 'consignment', 'awb', 'awb number', 'airway bill', 'booked packet cn'],
+  amount: ['cod amount', 'collected amount', 'amount collected', 'remitted amount', 'net amount', 'amount'],
+  status: ['status', 'delivery status', 'shipment status', 'packet status'],
+  orderNumber: ['order number', 'order no', 'reference', 'customer reference', 'customer reference no', 'order id']
+};
+
+// Statement status text for parcels that came back to us
+const RETURNED_PATTERN = /return|rto|refused/i;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Parse an amount cell such as "Rs. 4,500.00"
+ */
+const parseAmount = (value) => {
+  const amount = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(amount) ? amount : 0;
+};
+
+/**
+ * Header in the statement for a column, or null
+ */
+const findColumn = (headers, column) =>
+  COLUMN_ALIASES[column].find(alias => headers.includes(alias)) || null;
+
+/**
+ * Classify one statement line against its order
+ * @param {Object} line - { trackingNumber, amount, courierStatus }
+ * @param {Object|null} order - Order with that tracking number
+ * @param {boolean} repeated - Tracking number already seen earlier in the statement
+ * @returns {Object} { match, expectedAmount, difference, note }
+ */
+exports.classifyLine = (line, order, repeated = false) => {
+  if (!order) {
+    return { match: 'unmatched', note: 'No order with this tracking number' };
+  }
+
+  const expectedAmount = order.tracking?.codAmount ?? getCodAmount(order);
+
+  if (repeated) {
+    return { match: 'duplicate', expectedAmount, note: 'Tracking number repeated in this statement' };
+  }
+
+  if (order.payment.codCollected) {
+    const reference = order.payment.codSettlement?.reference;
+    return { match: 'duplicate', expectedAmount, note: reference ? `Already settled (${reference})` : 'Already marked collected' };
+  }
+
+  const returned = RETURNED_PATTERN.test(line.courierStatus || '') ||
+    (order.tracking?.courierStatus === 'returned' && line.amount <= 0);
+  if (returned) {
+    return { match: 'returned', expectedAmount, note: 'Parcel returned to shipper' };
+  }
+
+  if (order.payment.method !== 'cod' || !expectedAmount) {
+    return { match: 'not-cod', expectedAmount: expectedAmount || 0, note: 'Nothing was due on delivery' };
+  }
+
+  const difference = round(line.amount - expectedAmount);
+  if (Math.abs(difference) <= AMOUNT_TOLERANCE) {
+    return { match: 'matched', expectedAmount, difference };
+  }
+
+  return {
+    match: difference < 0 ? 'short-paid' : 'over-paid',
+    expectedAmount,
+    difference
+  };
+};
+
+/**
+ * Import a remittance statement and match its lines to orders
+ * @param {Object} data - { csv, courierService, settlementReference, statementDate, fileName, notes }
+ * @param {Object} user - Admin importing the statement
+ * @returns {Object} { valid, error?, remittance? }
+ */
+exports.importStatement = async ({ csv, courierService, settlementReference, statementDate, fileName, notes }, user) => {
+  const { headers, records } = parseCSV(csv);
+
+  const trackingColumn = findColumn(headers, 'trackingNumber');
+  const amountColumn = findColumn(headers, 'amount');
+  if (!trackingColumn || !amountColumn) {
+    return {
+      valid: false,
+      error: 'Statement must have a tracking number and a COD amount column'
+    };
+  }
+
+  const statusColumn = findColumn(headers, 'status');
+  const orderNumberColumn = findColumn(headers, 'orderNumber');
+
+  const rows = records
+    .map(record => ({
+      line: record.line,
+      trackingNumber: String(record[trackingColumn] || '').trim(),
+      amount: round(parseAmount(record[amountColumn])),
+      courierStatus: statusColumn ? record[statusColumn] || undefined : undefined,
+      statementOrderNumber: orderNumberColumn ? record[orderNumberColumn] : undefined
+    }))
+    .filter(row => row.trackingNumber);
+
+  if (!rows.length) {
+    return { valid: false, error: 'Statement has no parcels' };
+  }
+
+  const existing = await CodRemittance.exists({ courierService, settlementReference });
+  if (existing) {
+    return {
+      valid: false,
+      error: `Settlement ${settlementReference} from ${courierService} has already been imported`
+    };
+  }
+
+  const orders = await Order.find({
+    'tracking.trackingNumber': { $in: [...new Set(rows.map(row => row.trackingNumber))] },
+    isDeleted: false
+  });
+  const ordersByTracking = new Map(orders.map(order => [order.tracking.trackingNumber, order]));
+
+  const seen = new Set();
+  const lines = rows.map(row => {
+    const order = ordersByTracking.get(row.trackingNumber) || null;
+    const result = exports.classifyLine(row, order, seen.has(row.trackingNumber));
+    seen.add(row.trackingNumber);
+
+    return {
+      line: row.line,
+      trackingNumber: row.trackingNumber,
+      amount: row.amount,
+      courierStatus: row.courierStatus,
+      order: order?._id,
+      orderNumber: order?.orderNumber || row.statementOrderNumber,
+      ...result
+    };
+  });
+
+  const remittance = new CodRemittance({
+    courierService,
+    settlementReference,
+    statementDate,
+    fileName,
+    notes,
+    lines,
+    importedBy: user?._id
+  });
+  remittance.updateTotals();
+  await remittance.save();
+
+  logger.info(`COD remittance ${settlementReference} imported: ${remittance.totals.matched}/${lines.length} lines matched`);
+
+  return { valid: true, remittance };
+};
+
+/**
+ * Mark an order's COD amount collected and record the remitted cash on its ledger
+ * @param {Object} order - Order document
+ * @param {Object} settlement - { reference, remittance, amount }
+ * @param {Object} user - Admin settling the order
+ */
+const settleOrder = async (order, { reference, remittance, amount }, user) => {
+  const now = new Date();
+
+  order.payment.codCollected = true;
+  order.payment.codCollectedAt = now;
+  order.payment.codSettlement = {
+    reference,
+    remittance,
+    amount,
+    settledAt: now,
+    settledBy: user?._id
+  };
+
+  // Over-remittances are reported, not booked against the order
+  const collected = round(Math.min(amount, order.balanceDue));
+
+  if (collected > 0) {
+    await paymentLedgerService.addInstallment(order, {
+      amount: collected,
+      method: 'cod',
+      transactionId: reference,
+      notes: `COD remittance ${reference}`
+    }, { source: 'admin', verified: true, user });
+  } else {
+    await order.save();
+  }
+};
+
+/**
+ * Settle statement lines against their orders
+ * @param {Object} remittance - CodRemittance document
+ * @param {Object} [options]
+ * @param {Array<string>} [options.lineIds] - Lines to settle; defaults to every unapplied matched line.
+ *   Short- and over-paid lines are only settled when listed explicitly
+ * @param {Object} user - Admin applying the statement
+ * @returns {Object} { applied, skipped }
+ */
+exports.applyRemittance = async (remittance, { lineIds } = {}, user) => {
+  const requested = lineIds?.length ? new Set(lineIds.map(String)) : null;
+
+  const lines = remittance.lines.filter(line => (requested
+    ? requested.has(String(line._id))
+    : line.match === 'matched'));
+
+  const applied = [];
+  const skipped = [];
+
+  for (const line of lines) {
+    if (line.applied) {
+      skipped.push({ lineId: line._id, trackingNumber: line.trackingNumber, reason: 'Already applied' });
+      continue;
+    }
+
+    if (!line.order || !SETTLEABLE_MATCHES.includes(line.match)) {
+      skipped.push({ lineId: line._id, trackingNumber: line.trackingNumber, reason: `Cannot settle a ${line.match} line` });
+      continue;
+    }
+
+    const order = await Order.findOne({ _id: line.order, isDeleted: false });
+    if (!order || order.payment.codCollected) {
+      skipped.push({
+        lineId: line._id,
+        trackingNumber: line.trackingNumber,
+        reason: order ? 'Order already marked collected' : 'Order not found'
+      });
+      continue;
+    }
+
+    await settleOrder(order, {
+      reference: remittance.settlementReference,
+      remittance: remittance._id,
+      amount: line.amount
+    }, user);
+
+    line.applied = true;
+    line.appliedAt = new Date();
+    applied.push({ lineId: line._id, trackingNumber: line.trackingNumber, orderNumber: order.orderNumber, amount: line.amount });
+  }
+
+  if (applied.length) {
+    remittance.appliedBy = user?._id;
+    remittance.appliedAt = new Date();
+  }
+  remittance.updateTotals();
+  await remittance.save();
+
+  return { applied, skipped };
+};
+
+/**
+ * Mark COD orders collected without a statement (e.g. a cash deposit slip)
+ * Each order is settled for its outstanding COD amount
+ * @param {Array<string>} orderIds
+ * @param {string} reference - Settlement reference
+ * @param {Object} user - Admin marking the orders
+ * @returns {Object} { applied, skipped }
+ */
+exports.markCollected = async (orderIds, reference, user) => {
+  const orders = await Order.find({ _id: { $in: orderIds }, isDeleted: false });
+  const found = new Set(orders.map(order => String(order._id)));
+
+  const applied = [];
+  const skipped = orderIds
+    .filter(id => !found.has(String(id)))
+    .map(id => ({ orderId: id, reason: 'Order not found' }));
+
+  for (const order of orders) {
+    if (order.payment.method !== 'cod') {
+      skipped.push({ orderId: order._id, orderNumber: order.orderNumber, reason: 'Not a cash on delivery order' });
+      continue;
+    }
+
+    if (order.payment.codCollected) {
+      skipped.push({ orderId: order._id, orderNumber: order.orderNumber, reason: 'Already marked collected' });
+      continue;
+    }
+
+    if (!['dispatched', 'delivered'].includes(order.status)) {
+      skipped.push({ orderId: order._id, orderNumber: order.orderNumber, reason: `Order is ${order.status}` });
+      continue;
+    }
+
+    const amount = order.tracking?.codAmount ?? getCodAmount(order);
+    await settleOrder(order, { reference, amount }, user);
+    applied.push({ orderId: order._id, orderNumber: order.orderNumber, amount });
+  }
+
+  return { applied, skipped };
+};
+
+/**
+ * Reconciliation report
+ * - unpaid: delivered COD orders the courier hasn't remitted yet
+ * - shortPaid: statement lines remitted below the COD amount and not settled
+ * - returned: COD parcels returned to us (by courier tracking or statement)
+ * @param {Object} [filters] - { courierService }
+ * @returns {Object} { unpaid, shortPaid, returned, summary }
+ */
+exports.getReport = async ({ courierService } = {}) => {
+  const orderFilter = {
+    'payment.method': 'cod',
+    'payment.codCollected': { $ne: true },
+    isDeleted: false
+  };
+  if (courierService) orderFilter['tracking.courierService'] = courierService;
+
+  const now = Date.now();
+  const orderFields = 'orderNumber customerInfo.name status pricing.total payment tracking';
+
+  const [deliveredOrders, returnedOrders, remittances] = await Promise.all([
+    Order.find({ ...orderFilter, status: 'delivered' })
+      .select(orderFields)
+      .sort({ 'tracking.actualDeliveryDate': 1 })
+      .lean(),
+    Order.find({ ...orderFilter, 'tracking.courierStatus': 'returned' })
+      .select(orderFields)
+      .lean(),
+    CodRemittance.find({
+      ...(courierService && { courierService }),
+      'lines.match': { $in: ['short-paid', 'returned'] }
+    })
+      .select('courierService settlementReference statementDate lines')
+      .lean()
+  ]);
+
+  const summariseOrder = (order) => {
+    const deliveredAt = order.tracking?.actualDeliveryDate;
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customerName: order.customerInfo?.name,
+      status: order.status,
+      courierService: order.tracking?.courierService,
+      trackingNumber: order.tracking?.trackingNumber,
+      codAmount: order.tracking?.codAmount ?? getCodAmount(order),
+      deliveredAt,
+      daysOutstanding: deliveredAt ? Math.floor((now - new Date(deliveredAt)) / (24 * 60 * 60 * 1000)) : null
+    };
+  };
+
+  const statementLines = (match) => remittances.flatMap(remittance => remittance.lines
+    .filter(line => line.match === match && !line.applied)
+    .map(line => ({
+      remittanceId: remittance._id,
+      settlementReference: remittance.settlementReference,
+      courierService: remittance.courierService,
+      lineId: line._id,
+      orderId: line.order,
+      orderNumber: line.orderNumber,
+      trackingNumber: line.trackingNumber,
+      courierStatus: line.courierStatus,
+      codAmount: line.expectedAmount,
+      remitted: line.amount,
+      difference: line.difference
+    })));
+
+  const unpaid = deliveredOrders.map(summariseOrder);
+  const shortPaid = statementLines('short-paid');
+
+  // Returned parcels from tracking, plus those only the statement reported
+  const returned = returnedOrders.map(summariseOrder);
+  const returnedTracking = new Set(returned.map(item => item.trackingNumber));
+  statementLines('returned')
+    .filter(line => !returnedTracking.has(line.trackingNumber))
+    .forEach(line => {
+      returnedTracking.add(line.trackingNumber);
+      returned.push(line);
+    });
+
+  const sum = (items, field) => round(items.reduce((total, item) => total + (item[field] || 0), 0));
+
+  return {
+    unpaid,
+    shortPaid,
+    returned,
+    summary: {
+      unpaidCount: unpaid.length,
+      unpaidAmount: sum(unpaid, 'codAmount'),
+      shortPaidCount: shortPaid.length,
+      shortPaidAmount: round(-sum(shortPaid, 'difference')),
+      returnedCount: returned.length,
+      returnedAmount: sum(returned, 'codAmount')
+    }
+  };
+};
+
+exports.AMOUNT_TOLERANCE = AMOUNT_TOLERANCE;
+exports.COLUMN_ALIASES = COLUMN_ALIASES;
+
+module.exports = exports;
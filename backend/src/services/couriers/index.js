@@ -0,0 +1,49 @@
+const mock = require('./mock');
+const tcs = require('./tcs');
+const leopards = require('./leopards');
+
+/**
+ * Couriers
+ * Registry of courier adapters keyed by name
+ *
+ * Each adapter exposes: name, courierService (the Order tracking enum value),
+ * displayName, isConfigured, getTrackingUrl, bookShipment and getTracking.
+ * getTracking reports one of COURIER_STATUSES plus the courier's scan events
+ */
+
+const COURIER_STATUSES = [
+  'booked',
+  'picked-up',
+  'in-transit',
+  'out-for-delivery',
+  'delivered',
+  'delivery-failed',
+  'returned',
+  'cancelled'
+];
+
+const couriers = {
+  [mock.name]: mock,
+  [tcs.name]: tcs,
+  [leopards.name]: leopards
+};
+
+/**
+ * Get a courier adapter by name
+ * @returns {Object|null}
+ */
+exports.getCourier = (name) => couriers[name] || null;
+
+/**
+ * Names of all supported couriers
+ */
+exports.getCourierNames = () => Object.keys(couriers);
+
+/**
+ * Couriers that can book shipments with the current configuration
+ */
+exports.getAvailableCouriers = () => Object.values(couriers).filter(courier => courier.isConfigured());
+
+exports.COURIER_STATUSES = COURIER_STATUSES;
+
+module.exports = exports;
@@ -0,0 +1,128 @@
+/**
+ * Leopards Courier
+ * Booking and tracking through the Leopards merchant API
+ *
+ * Credentials: LEOPARDS_API_KEY and LEOPARDS_API_PASSWORD.
+ * LEOPARDS_API_URL overrides the production base URL
+ */
+
+const DEFAULT_API_URL = 'https://merchantapi.leopardscourier.com/api';
+
+// Leopards packet statuses -> courier status, checked in order
+const STATUS_PATTERNS = [
+  [/delivered/i, 'delivered'],
+  [/return/i, 'returned'],
+  [/out for delivery|assigned to courier/i, 'out-for-delivery'],
+  [/refused|not available|undelivered/i, 'delivery-failed'],
+  [/arrived|dispatched|in transit/i, 'in-transit'],
+  [/picked|consignment booked at origin/i, 'picked-up'],
+  [/cancel/i, 'cancelled']
+];
+
+const getApiUrl = () => process.env.LEOPARDS_API_URL || DEFAULT_API_URL;
+
+const normaliseStatus = (description) => {
+  const match = STATUS_PATTERNS.find(([pattern]) => pattern.test(description || ''));
+  return match ? match[1] : 'booked';
+};
+
+const request = async (path, payload) => {
+  const response = await fetch(`${getApiUrl()}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      api_key: process.env.LEOPARDS_API_KEY,
+      api_password: process.env.LEOPARDS_API_PASSWORD,
+      ...payload
+    })
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || Number(body.status) !== 1) {
+    throw new Error(`Leopards request failed: ${body.error || response.statusText}`);
+  }
+  return body;
+};
+
+/**
+ * Leopards reports activity date and time as separate fields
+ */
+const parseActivityDate = (detail) => new Date(`${detail.Activity_Date} ${detail.Activity_Time || ''}`.trim());
+
+exports.name = 'leopards';
+exports.courierService = 'Leopards';
+exports.displayName = 'Leopards Courier';
+
+exports.isConfigured = () => Boolean(process.env.LEOPARDS_API_KEY && process.env.LEOPARDS_API_PASSWORD);
+
+exports.getTrackingUrl = (trackingNumber) =>
+  `https://www.leopardscourier.com/leopards-tracking?cn=${encodeURIComponent(trackingNumber)}`;
+
+/**
+ * Book a shipment
+ * @param {Object} shipment - { order, weight, pieces, codAmount, notes }
+ * @returns {Promise<Object>} { trackingNumber, reference, slipUrl }
+ */
+exports.bookShipment = async ({ order, weight, pieces, codAmount, notes }) => {
+  const address = order.shippingAddress;
+
+  const body = await request('/bookPacket/format/json/', {
+    booked_packet_weight: Math.round(weight * 1000), // grams
+    booked_packet_no_piece: pieces,
+    booked_packet_collect_amount: codAmount,
+    booked_packet_order_id: order.orderNumber,
+    origin_city: 'self',
+    destination_city: address.city,
+    shipment_name_eng: 'self',
+    shipment_email: 'self',
+    shipment_phone: 'self',
+    shipment_address: 'self',
+    consignment_name_eng: address.fullName,
+    consignment_email: order.customerInfo?.email || '',
+    consignment_phone: address.phone,
+    consignment_address: [address.addressLine1, address.addressLine2, address.landmark].filter(Boolean).join(', '),
+    special_instructions: notes || address.deliveryInstructions || 'Handle with care'
+  });
+
+  if (!body.track_number) {
+    throw new Error('Leopards booking failed: no tracking number returned');
+  }
+
+  return {
+    trackingNumber: String(body.track_number),
+    reference: order.orderNumber,
+    slipUrl: body.slip_link || null
+  };
+};
+
+/**
+ * Current status and scans of a shipment
+ * @param {string} trackingNumber
+ * @returns {Promise<Object>} { status, events, deliveredAt, recipientName }
+ */
+exports.getTracking = async (trackingNumber) => {
+  const body = await request('/trackBookedPacket/format/json/', { track_numbers: trackingNumber });
+  const packet = (body.packet_list || [])[0] || {};
+
+  const details = packet['Tracking Detail'] || [];
+  const events = details
+    .map(detail => ({
+      status: normaliseStatus(detail.Status),
+      description: [detail.Status, detail.Reason].filter(Boolean).join(' - '),
+      location: detail.Activity_City || null,
+      timestamp: parseActivityDate(detail)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const status = normaliseStatus(packet.booked_packet_status);
+  const delivery = details.find(detail => normaliseStatus(detail.Status) === 'delivered');
+
+  return {
+    status,
+    events,
+    deliveredAt: status === 'delivered' && delivery ? parseActivityDate(delivery) : null,
+    recipientName: delivery?.Receiver_Name || null
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+/**
+ * Mock Courier
+ * Books shipments locally and reports a scripted delivery, so booking,
+ * labels and tracking sync can be exercised without courier credentials
+ *
+ * The booking time and outcome are encoded in the tracking number, and the
+ * shipment advances one scan every MOCK_COURIER_STEP_MINUTES (default 1).
+ * Set MOCK_COURIER_OUTCOME=returned to book shipments that come back
+ */
+
+const DELIVERED_PATH = [
+  { status: 'booked', description: 'Shipment booked', location: 'Lahore' },
+  { status: 'picked-up', description: 'Picked up from shipper', location: 'Lahore' },
+  { status: 'in-transit', description: 'Arrived at destination hub', location: null },
+  { status: 'out-for-delivery', description: 'Out for delivery', location: null },
+  { status: 'delivered', description: 'Delivered', location: null }
+];
+
+const RETURNED_PATH = [
+  ...DELIVERED_PATH.slice(0, 4),
+  { status: 'delivery-failed', description: 'Consignee not available', location: null },
+  { status: 'returned', description: 'Returned to shipper', location: 'Lahore' }
+];
+
+const getStepMinutes = () => {
+  const minutes = Number(process.env.MOCK_COURIER_STEP_MINUTES);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : 1;
+};
+
+/**
+ * Read the booking time and outcome back out of a tracking number
+ */
+const decodeTrackingNumber = (trackingNumber) => {
+  const match = /^MOCK([DR])([0-9A-Z]+)-[0-9A-F]+$/.exec(trackingNumber || '');
+  if (!match) return null;
+
+  return {
+    returned: match[1] === 'R',
+    bookedAt: new Date(parseInt(match[2], 36))
+  };
+};
+
+exports.name = 'mock';
+exports.courierService = 'Other';
+exports.displayName = 'Mock Courier';
+
+/**
+ * Available everywhere except production, unless explicitly enabled
+ */
+exports.isConfigured = () => process.env.NODE_ENV !== 'production' ||
+  process.env.MOCK_COURIER_ENABLED === 'true';
+
+/**
+ * There is no courier site, so point customers at the storefront tracking page
+ */
+exports.getTrackingUrl = (trackingNumber, { orderNumber } = {}) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/track-order/${encodeURIComponent(orderNumber || trackingNumber)}`;
+};
+
+/**
+ * Book a shipment
+ * @param {Object} shipment - { order, weight, pieces, codAmount, notes }
+ * @returns {Promise<Object>} { trackingNumber, reference, estimatedDeliveryDate }
+ */
+exports.bookShipment = async ({ order }) => {
+  const now = new Date();
+  const outcome = process.env.MOCK_COURIER_OUTCOME === 'returned' ? 'R' : 'D';
+  const trackingNumber = `MOCK${outcome}${now.getTime().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+  return {
+    trackingNumber,
+    reference: order.orderNumber,
+    estimatedDeliveryDate: new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Current status and scans of a shipment
+ * @param {string} trackingNumber
+ * @returns {Promise<Object>} { status, events, deliveredAt, recipientName }
+ */
+exports.getTracking = async (trackingNumber) => {
+  const booking = decodeTrackingNumber(trackingNumber);
+  if (!booking) {
+    throw new Error(`Unknown mock tracking number: ${trackingNumber}`);
+  }
+
+  const path = booking.returned ? RETURNED_PATH : DELIVERED_PATH;
+  const stepMs = getStepMinutes() * 60 * 1000;
+  const elapsed = Date.now() - booking.bookedAt.getTime();
+  const reached = stepMs === 0 ? path.length : Math.min(Math.floor(elapsed / stepMs) + 1, path.length);
+
+  const events = path.slice(0, reached).map((event, index) => ({
+    ...event,
+    timestamp: new Date(booking.bookedAt.getTime() + index * stepMs)
+  }));
+  const latest = events[events.length - 1];
+
+  return {
+    status: latest.status,
+    events,
+    deliveredAt: latest.status === 'delivered' ? latest.timestamp : null,
+    recipientName: latest.status === 'delivered' ? 'Consignee' : null
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,128 @@
+/**
+ * TCS Courier
+ * Booking and tracking through the TCS eCom API
+ *
+ * Credentials: TCS_CLIENT_ID (X-IBM-Client-Id), TCS_USERNAME, TCS_PASSWORD
+ * and TCS_COST_CENTER. TCS_API_URL overrides the production base URL
+ */
+
+const DEFAULT_API_URL = 'https://api.tcscourier.com/production';
+
+// TCS scan descriptions -> courier status, checked in order
+const STATUS_PATTERNS = [
+  [/delivered/i, 'delivered'],
+  [/return/i, 'returned'],
+  [/out for delivery|on route/i, 'out-for-delivery'],
+  [/refused|not available|incomplete address|undelivered/i, 'delivery-failed'],
+  [/arrived|departed|in transit|dispatched/i, 'in-transit'],
+  [/picked|received at origin/i, 'picked-up'],
+  [/cancel/i, 'cancelled']
+];
+
+const getApiUrl = () => process.env.TCS_API_URL || DEFAULT_API_URL;
+
+const normaliseStatus = (description) => {
+  const match = STATUS_PATTERNS.find(([pattern]) => pattern.test(description || ''));
+  return match ? match[1] : 'booked';
+};
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${getApiUrl()}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-IBM-Client-Id': process.env.TCS_CLIENT_ID,
+      ...options.headers
+    }
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`TCS request failed (${response.status}): ${body.returnStatus?.message || response.statusText}`);
+  }
+  return body;
+};
+
+exports.name = 'tcs';
+exports.courierService = 'TCS';
+exports.displayName = 'TCS';
+
+exports.isConfigured = () => Boolean(
+  process.env.TCS_CLIENT_ID && process.env.TCS_USERNAME && process.env.TCS_PASSWORD
+);
+
+exports.getTrackingUrl = (trackingNumber) =>
+  `https://www.tcsexpress.com/track/${encodeURIComponent(trackingNumber)}`;
+
+/**
+ * Book a shipment
+ * @param {Object} shipment - { order, weight, pieces, codAmount, notes }
+ * @returns {Promise<Object>} { trackingNumber, reference }
+ */
+exports.bookShipment = async ({ order, weight, pieces, codAmount, notes }) => {
+  const address = order.shippingAddress;
+
+  const body = await request('/v1/cod/create-order', {
+    method: 'POST',
+    body: JSON.stringify({
+      userName: process.env.TCS_USERNAME,
+      password: process.env.TCS_PASSWORD,
+      costCenterCode: process.env.TCS_COST_CENTER,
+      consigneeName: address.fullName,
+      consigneeAddress: [address.addressLine1, address.addressLine2, address.landmark].filter(Boolean).join(', '),
+      consigneeMobNo: address.phone,
+      consigneeEmail: order.customerInfo?.email,
+      originCityName: process.env.TCS_ORIGIN_CITY || 'Lahore',
+      destinationCityName: address.city,
+      weight,
+      pieces,
+      codAmount: String(codAmount),
+      customerReferenceNo: order.orderNumber,
+      services: 'O',
+      productDetails: order.items.map(item => item.productSnapshot?.title).filter(Boolean).join(', ').slice(0, 200),
+      fragile: 'No',
+      remarks: notes || address.deliveryInstructions || '',
+      insuranceValue: 0
+    })
+  });
+
+  // e.g. "Your generated CN is: 779412326187"
+  const trackingNumber = /(\d{8,})/.exec(body.bookingReply?.result || '')?.[1];
+  if (body.returnStatus?.status !== 'SUCCESS' || !trackingNumber) {
+    throw new Error(`TCS booking failed: ${body.returnStatus?.message || 'no consignment number returned'}`);
+  }
+
+  return { trackingNumber, reference: order.orderNumber };
+};
+
+/**
+ * Current status and scans of a shipment
+ * @param {string} trackingNumber
+ * @returns {Promise<Object>} { status, events, deliveredAt, recipientName }
+ */
+exports.getTracking = async (trackingNumber) => {
+  const body = await request(`/track/v1/shipments/detail?consignmentNo=${encodeURIComponent(trackingNumber)}`);
+  const reply = body.TrackDetailReply || {};
+
+  const events = (reply.Checkpoints || [])
+    .map(checkpoint => ({
+      status: normaliseStatus(checkpoint.status),
+      description: checkpoint.status,
+      location: checkpoint.recievedBy || null,
+      timestamp: new Date(checkpoint.dateTime)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const delivery = (reply.DeliveryInfo || [])[0];
+  const delivered = delivery && normaliseStatus(delivery.status) === 'delivered';
+  const latest = events[events.length - 1];
+
+  return {
+    status: delivered ? 'delivered' : (latest?.status || 'booked'),
+    events,
+    deliveredAt: delivered ? new Date(delivery.dateTime) : null,
+    recipientName: delivered ? delivery.recievedBy || null : null
+  };
+};
+
+module.exports = exports;
@@ -0,0 +1,225 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { parseCSV } = require('../utils/csvParser');
+
+/**
+ * Currency Service
+ * Exchange rates, conversions between PKR and the customer's currency and
+ * money formatting for invoices
+ *
+ * PKR is the base currency: product prices, order pricing and the payment
+ * ledger are PKR. Other currencies are for display and settlement only, at
+ * the rate locked on the order when it was placed
+ */
+
+const { BASE_CURRENCY } = ExchangeRate;
+
+// The base currency as a rate entry (1 PKR = 1 PKR)
+const BASE_RATE = Object.freeze({
+  currency: BASE_CURRENCY,
+  name: 'Pakistani Rupee',
+  symbol: 'Rs.',
+  decimals: 0,
+  rate: 1,
+  isActive: true
+});
+
+// Rate import header aliases (headers are normalised by parseCSV)
+const COLUMN_ALIASES = {
+  currency: ['currency', 'code', 'currency code', 'iso code'],
+  rate: ['rate', 'pkr rate', 'rate pkr', 'rate (pkr)', 'pkr per unit', 'exchange rate'],
+  name: ['name', 'currency name'],
+  symbol: ['symbol']
+};
+
+const findColumn = (headers, column) =>
+  COLUMN_ALIASES[column].find(alias => headers.includes(alias)) || null;
+
+const roundTo = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Currencies customers can shop in, base currency first
+ * @param {Object} [options] - { includeInactive }
+ * @returns {Promise<Array>}
+ */
+exports.getCurrencies = async ({ includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+  const rates = await ExchangeRate.find(filter)
+    .select(includeInactive ? '-__v' : 'currency name symbol decimals rate updatedAt')
+    .sort({ currency: 1 })
+    .lean();
+
+  return [BASE_RATE, ...rates];
+};
+
+/**
+ * Rate entry for an active currency
+ * @param {string} currency - ISO code (PKR or empty for the base currency)
+ * @returns {Promise<Object|null>} null when the currency isn't offered
+ */
+exports.getRate = async (currency) => {
+  const code = String(currency || BASE_CURRENCY).trim().toUpperCase();
+  if (code === BASE_CURRENCY) return BASE_RATE;
+
+  return ExchangeRate.findOne({ currency: code, isActive: true }).lean();
+};
+
+/**
+ * PKR amount in another currency
+ * @param {number} amount - PKR
+ * @param {Object} rate - { rate, decimals }
+ */
+exports.fromBase = (amount, rate) => roundTo((amount || 0) / rate.rate, rate.decimals ?? 2);
+
+/**
+ * Amount in another currency, in PKR
+ * @param {number} amount - In the rate's currency
+ * @param {Object} rate - { rate }
+ */
+exports.toBase = (amount, rate) => roundTo((amount || 0) * rate.rate, 2);
+
+/**
+ * Money for invoices and messages, e.g. "$ 17.99" or "PKR 5,000"
+ * @param {number} amount - In the given currency
+ * @param {Object} [currency] - { code, symbol, decimals } (default PKR)
+ */
+exports.formatAmount = (amount, currency = {}) => {
+  const code = currency.code || currency.currency || BASE_CURRENCY;
+
+  if (code === BASE_CURRENCY) {
+    return `PKR ${(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+  }
+
+  const decimals = currency.decimals ?? 2;
+  const value = (amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+
+  return `${currency.symbol || code} ${value}`;
+};
+
+/**
+ * Create or update a currency's rate
+ * @param {string} currency - ISO code
+ * @param {Object} data - { rate, name, symbol, decimals, isActive }
+ * @param {Object} user - Admin making the change
+ * @param {string} [source='manual'] - 'manual' or 'import'
+ * @returns {Promise<Object>} ExchangeRate
+ */
+exports.setRate = async (currency, data, user, source = 'manual') => {
+  const code = String(currency).trim().toUpperCase();
+  const exchangeRate = await ExchangeRate.findOne({ currency: code }) || new ExchangeRate({ currency: code });
+
+  ['name', 'symbol', 'decimals', 'isActive'].forEach(field => {
+    if (data[field] !== undefined) exchangeRate[field] = data[field];
+  });
+
+  if (data.rate !== undefined) {
+    exchangeRate.setRate(data.rate, { source, user });
+  }
+
+  return exchangeRate.save();
+};
+
+/**
+ * Import rates from a CSV with currency and rate (PKR per unit) columns
+ * Rows that fail validation are skipped and reported; the rest are applied
+ * @param {string} csv - CSV content
+ * @param {Object} user - Admin importing the file
+ * @returns {Promise<Object>} { valid, error?, imported, skipped }
+ */
+exports.importRates = async (csv, user) => {
+  const { headers, records } = parseCSV(csv);
+
+  const currencyColumn = findColumn(headers, 'currency');
+  const rateColumn = findColumn(headers, 'rate');
+  if (!currencyColumn || !rateColumn) {
+    return { valid: false, error: 'File must have a currency and a rate column' };
+  }
+
+  const nameColumn = findColumn(headers, 'name');
+  const symbolColumn = findColumn(headers, 'symbol');
+
+  const imported = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const record of records) {
+    const currency = String(record[currencyColumn] || '').trim().toUpperCase();
+    const rate = parseFloat(String(record[rateColumn] || '').replace(/[^0-9.]/g, ''));
+
+    let reason = null;
+    if (!/^[A-Z]{3}$/.test(currency)) reason = 'Invalid currency code';
+    else if (currency === BASE_CURRENCY) reason = `${BASE_CURRENCY} is the base currency`;
+    else if (!(rate > 0)) reason = 'Invalid rate';
+    else if (seen.has(currency)) reason = 'Currency repeated in this file';
+
+    if (reason) {
+      skipped.push({ line: record.line, currency: currency || undefined, reason });
+      continue;
+    }
+
+    seen.add(currency);
+    await exports.setRate(currency, {
+      rate,
+      name: nameColumn ? record[nameColumn] || undefined : undefined,
+      symbol: symbolColumn ? record[symbolColumn] || undefined : undefined
+    }, user, 'import');
+    imported.push({ currency, rate });
+  }
+
+  if (!imported.length) {
+    return { valid: false, error: 'No valid rates in the file', skipped };
+  }
+
+  return { valid: true, imported, skipped };
+};
+
+/**
+ * PKR ledger amount for a payment made in another currency
+ * Payments in the order's currency settle at the order's locked rate so the
+ * invoiced amount clears the balance; other currencies use today's rate.
+ * Amounts within one minor unit (e.g. one cent) of the balance due are
+ * rounding of the displayed amount and settle the balance exactly
+ * @param {number} amount - Amount paid, in currency
+ * @param {string} currency - ISO code of the payment
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { valid, error?, amount, currency, originalAmount, exchangeRate }
+ */
+exports.toSettlement = async (amount, currency, order) => {
+  const code = String(currency || BASE_CURRENCY).toUpperCase();
+
+  if (code === BASE_CURRENCY) {
+    return { valid: true, amount };
+  }
+
+  const locked = order.displayCurrency?.code === code ? order.displayCurrency : null;
+  const rate = locked || await exports.getRate(code);
+
+  if (!rate) {
+    return { valid: false, error: `Payments in ${code} are not accepted` };
+  }
+
+  const balanceDue = order.balanceDue ?? Infinity;
+  const roundingMargin = rate.rate / 10 ** (rate.decimals ?? 2);
+  let settled = exports.toBase(amount, rate);
+
+  if (Math.abs(settled - balanceDue) <= roundingMargin) {
+    settled = balanceDue;
+  }
+
+  return {
+    valid: true,
+    amount: settled,
+    currency: code,
+    originalAmount: amount,
+    exchangeRate: rate.rate
+  };
+};
+
+exports.BASE_CURRENCY = BASE_CURRENCY;
+
+module.exports = exports;
@@ -0,0 +1,243 @@
+const DraftOrder = require('../models/DraftOrder');
+const { calculateWizardPrice } = require('./priceCalculator');
+const { sendEmail } = require('../config/email');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { customOrderDraftEmail } = require('../utils/emailTemplates');
+const { customOrderDraftReminder } = require('../utils/whatsappTemplates');
+const logger = require('../utils/logger');
+
+/**
+ * Draft Order Service
+ * Server-side autosave, resume links and abandonment for the custom order wizard
+ */
+
+const TOTAL_STEPS = 6;
+
+// Drafts idle this long are considered abandoned
+const ABANDON_AFTER_HOURS = 24;
+
+// Wizard fields persisted on a draft (see frontend CustomOrderFormData)
+const WIZARD_FIELDS = [
+  'suitType',
+  'serviceType',
+  'designIdea',
+  'referenceImages',
+  'fabricSource',
+  'selectedFabric',
+  'fabricDetails',
+  'karhaiPattern',
+  'useStandardSize',
+  'standardSize',
+  'measurements',
+  'saveMeasurements',
+  'measurementLabel',
+  'selectedMeasurementProfile',
+  'specialInstructions',
+  'rushOrder',
+  'customerInfo'
+];
+
+/**
+ * Keep only known wizard fields from request data
+ */
+exports.pickWizardFields = (data = {}) => {
+  const picked = {};
+  WIZARD_FIELDS.forEach(field => {
+    if (data[field] !== undefined) picked[field] = data[field];
+  });
+
+  // Only uploaded images can be restored; local previews are lost on reload
+  if (Array.isArray(picked.referenceImages)) {
+    picked.referenceImages = picked.referenceImages
+      .map(image => (typeof image === 'string' ? { url: image } : image))
+      .filter(image => image && image.url)
+      .map(({ url, name, size, uploadedAt }) => ({ url, name, size, uploadedAt }));
+  }
+
+  return picked;
+};
+
+/**
+ * Map wizard form data onto the Order.customDetails structure
+ */
+exports.toCustomDetails = (formData = {}) => {
+  const details = {};
+
+  if (formData.serviceType) {
+    details.serviceType = formData.serviceType === 'fully-custom' ? 'fully-custom' : 'brand-article-copy';
+  }
+
+  if (formData.measurements) {
+    details.measurements = {
+      ...formData.measurements,
+      unit: 'inches',
+      sizeLabel: formData.useStandardSize ? formData.standardSize : 'Custom'
+    };
+  }
+
+  if (formData.referenceImages) {
+    details.referenceImages = formData.referenceImages.map(image => ({
+      url: image.url,
+      uploadedAt: image.uploadedAt
+    }));
+  }
+
+  if (formData.fabricSource) {
+    const fabric = formData.selectedFabric || {};
+    details.fabric = {
+      providedBy: formData.fabricSource === 'lc-provides' ? 'laraibcreative' : 'customer',
+      type: fabric.type || formData.fabricDetails,
+      color: fabric.color,
+      quality: fabric.name,
+      metersRequired: fabric.metersIncluded
+    };
+  }
+
+  if (formData.selectedMeasurementProfile) {
+    details.measurementProfileId = formData.selectedMeasurementProfile;
+  }
+
+  details.style = formData.suitType || undefined;
+  details.specialInstructions = formData.specialInstructions || formData.designIdea;
+  details.rushOrder = Boolean(formData.rushOrder);
+  details.estimatedDays = formData.rushOrder ? 7 : 15;
+
+  return details;
+};
+
+/**
+ * Link that reopens the wizard at the saved step
+ */
+exports.buildResumeUrl = (draft) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/custom-order?resume=${draft.resumeToken}`;
+};
+
+/**
+ * Apply one wizard step to a draft and save it
+ * @param {Object} draft - DraftOrder document
+ * @param {number} step - Wizard step the data belongs to
+ * @param {Object} data - Wizard fields from that step
+ */
+exports.saveStep = async (draft, step, data = {}) => {
+  const formData = { ...(draft.formData || {}), ...exports.pickWizardFields(data) };
+
+  draft.formData = formData;
+  draft.markModified('formData');
+  draft.set('customDetails', exports.toCustomDetails(formData));
+  draft.priceBreakdown = calculateWizardPrice(formData);
+
+  const stepNumber = parseInt(step);
+  if (stepNumber >= 1 && stepNumber <= TOTAL_STEPS) {
+    draft.currentStep = stepNumber;
+  }
+
+  if (formData.customerInfo) {
+    const { fullName, email, phone, whatsapp } = formData.customerInfo;
+    draft.contact = { fullName, email: email || undefined, phone, whatsapp };
+  }
+
+  // Coming back to an abandoned draft revives it
+  if (draft.status === 'abandoned') {
+    draft.status = 'draft';
+    draft.abandonedAt = undefined;
+  }
+
+  draft.lastSavedAt = new Date();
+  return draft.save();
+};
+
+/**
+ * Create a new draft with a resume token
+ */
+exports.createDraft = async ({ user, name, step = 1, data = {} }) => {
+  const draft = new DraftOrder({
+    userId: user ? user._id : undefined,
+    name
+  });
+  draft.generateResumeToken();
+
+  if (user) {
+    draft.contact = {
+      fullName: user.fullName,
+      email: user.email,
+      phone: user.phone,
+      whatsapp: user.whatsapp
+    };
+  }
+
+  return exports.saveStep(draft, step, data);
+};
+
+/**
+ * Send the resume link by email and/or WhatsApp
+ * @returns {Object} { email: boolean, whatsapp: boolean }
+ */
+exports.sendResumeLink = async (draft) => {
+  const resumeUrl = exports.buildResumeUrl(draft);
+  const customerName = draft.contact?.fullName || 'there';
+  const sent = { email: false, whatsapp: false };
+
+  if (draft.contact?.email) {
+    const result = await sendEmail({
+      to: draft.contact.email,
+      subject: 'Continue your custom order - LaraibCreative',
+      html: customOrderDraftEmail({
+        customerName,
+        draftName: draft.name,
+        resumeUrl
+      })
+    });
+    sent.email = Boolean(result?.success);
+  }
+
+  const whatsappNumber = draft.contact?.whatsapp || draft.contact?.phone;
+  if (whatsappNumber) {
+    const result = await sendWhatsAppMessage(
+      whatsappNumber,
+      customOrderDraftReminder({ customerName, resumeUrl })
+    );
+    sent.whatsapp = Boolean(result?.success);
+  }
+
+  return sent;
+};
+
+/**
+ * Mark stale drafts abandoned and send each one a single resume reminder
+ * @returns {Object} { abandoned, remindersSent }
+ */
+exports.processAbandoned = async ({ idleHours = ABANDON_AFTER_HOURS, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - idleHours * 60 * 60 * 1000);
+  const result = await DraftOrder.markStaleAsAbandoned(cutoff);
+
+  const pendingReminders = await DraftOrder.find({
+    status: 'abandoned',
+    reminderSentAt: { $exists: false },
+    resumeTokenExpires: { $gt: now },
+    $or: [
+      { 'contact.email': { $exists: true, $ne: '' } },
+      { 'contact.phone': { $exists: true, $ne: '' } }
+    ]
+  }).limit(100);
+
+  let remindersSent = 0;
+  for (const draft of pendingReminders) {
+    try {
+      const sent = await exports.sendResumeLink(draft);
+      // Record the attempt either way so a failing channel isn't retried every run
+      draft.reminderSentAt = new Date();
+      await draft.save();
+      if (sent.email || sent.whatsapp) remindersSent++;
+    } catch (error) {
+      logger.error(`Draft reminder failed for ${draft._id}:`, error);
+    }
+  }
+
+  return {
+    abandoned: result.modifiedCount,
+    remindersSent
+  };
+};
+
+module.exports = exports;
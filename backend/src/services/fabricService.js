@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const FabricInventory = require('../models/FabricInventory');
+const Order = require('../models/Order');
+const inventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+/**
+ * Fabric Service
+ * Links custom orders to fabric stock: the customer-facing fabric catalog,
+ * the stock check at checkout and the meters consumed in production
+ *
+ * A fabric is available when its stock, less the meters already promised to
+ * paid orders still waiting for material, covers a suit. Unavailable fabrics
+ * with autoDisable set are hidden from the catalog; others stay selectable
+ * with a warning that sourcing more may delay the order
+ */
+
+const METERS_PER_YARD = 0.9144;
+
+// Paid custom orders whose fabric hasn't been cut yet
+const AWAITING_MATERIAL = ['payment-verified'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Meters expressed in the fabric's stock unit
+ */
+const toStockUnit = (fabric, meters) => (fabric.stock?.unit === 'yards' ? round(meters / METERS_PER_YARD) : meters);
+
+/**
+ * Stock expressed in meters
+ */
+const stockInMeters = (fabric) => {
+  const quantity = fabric.stock?.quantity || 0;
+  return fabric.stock?.unit === 'yards' ? round(quantity * METERS_PER_YARD) : quantity;
+};
+
+const titleCase = (value = '') => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Meters promised to paid orders not yet in production, by fabric ID
+ * @param {Array} fabricIds
+ * @returns {Promise<Map<string, number>>}
+ */
+exports.getCommittedMeters = async (fabricIds) => {
+  const ids = fabricIds.map(id => new mongoose.Types.ObjectId(String(id)));
+
+  const rows = await Order.aggregate([
+    { $match: { status: { $in: AWAITING_MATERIAL }, 'items.customDetails.fabric.inventoryItem': { $in: ids } } },
+    { $unwind: '$items' },
+    {
+      $match: {
+        'items.customDetails.fabric.inventoryItem': { $in: ids },
+        'items.customDetails.fabric.consumedAt': null
+      }
+    },
+    {
+      $group: {
+        _id: '$items.customDetails.fabric.inventoryItem',
+        meters: {
+          $sum: {
+            $multiply: [
+              { $ifNull: ['$items.customDetails.fabric.metersRequired', 0] },
+              { $ifNull: ['$items.quantity', 1] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [String(row._id), row.meters]));
+};
+
+/**
+ * Meters of a fabric still free for new orders
+ * @param {Object} fabric - FabricInventory document
+ * @param {number} [committed] - From getCommittedMeters
+ */
+exports.getAvailableMeters = (fabric, committed = 0) => Math.max(0, round(stockInMeters(fabric) - committed));
+
+/**
+ * Catalog entry for the custom-order fabric step, or null when it should be hidden
+ */
+const toCatalogEntry = (fabric, committed) => {
+  const metersIncluded = fabric.metersPerSuit || 3;
+  const inStock = exports.getAvailableMeters(fabric, committed) >= metersIncluded;
+
+  if (!inStock && fabric.autoDisable) return null;
+
+  const pricePerMeter = fabric.pricing?.sellingPricePerMeter || 0;
+
+  return {
+    id: String(fabric._id),
+    name: fabric.name,
+    type: titleCase(fabric.type),
+    color: fabric.color || '',
+    pattern: fabric.pattern || titleCase(fabric.quality),
+    price: Math.round(pricePerMeter * metersIncluded),
+    pricePerMeter,
+    metersIncluded,
+    image: fabric.images?.[0]?.url || '',
+    description: fabric.description || '',
+    inStock
+  };
+};
+
+/**
+ * Fabrics customers can choose for a custom order
+ */
+exports.getCatalog = async () => {
+  const fabrics = await FabricInventory.find({ status: { $ne: 'discontinued' } })
+    .sort({ type: 1, name: 1 })
+    .lean();
+
+  const committed = await exports.getCommittedMeters(fabrics.map(fabric => fabric._id));
+
+  return fabrics
+    .map(fabric => toCatalogEntry(fabric, committed.get(String(fabric._id)) || 0))
+    .filter(Boolean);
+};
+
+/**
+ * Check the fabric chosen at checkout against stock
+ * The catalog entry is rebuilt from inventory so the price can't be edited
+ * by the client. Selections without an inventory ID (older drafts) pass
+ * through unlinked
+ * @param {Object} selectedFabric - Catalog entry sent by the wizard
+ * @returns {Promise<Object>} { valid, error } or { valid: true, fabric, selectedFabric, warning }
+ */
+exports.checkSelection = async (selectedFabric) => {
+  const id = selectedFabric?.id || selectedFabric?._id;
+
+  if (!id || !mongoose.Types.ObjectId.isValid(String(id))) {
+    return { valid: true, fabric: null, selectedFabric };
+  }
+
+  const fabric = await FabricInventory.findById(id).lean();
+  if (!fabric || fabric.status === 'discontinued') {
+    return { valid: false, error: 'The selected fabric is no longer available. Please choose another.' };
+  }
+
+  const committed = (await exports.getCommittedMeters([fabric._id])).get(String(fabric._id)) || 0;
+  const entry = toCatalogEntry(fabric, committed);
+
+  if (!entry) {
+    return { valid: false, error: `${fabric.name} is out of stock. Please choose another fabric.` };
+  }
+
+  return {
+    valid: true,
+    fabric,
+    selectedFabric: entry,
+    warning: entry.inStock
+      ? null
+      : `${fabric.name} is running low. We may need to source more, which can add a few days to your order.`
+  };
+};
+
+/**
+ * Take the fabric for an order's custom items out of stock
+ * Runs when the order reaches material-arranged. Each item is claimed on the
+ * order first so it is only ever consumed once; a shortfall takes what is
+ * left and is logged for the studio
+ * @param {Object} order - Order document
+ * @param {Object} [user] - Who moved the order on
+ * @returns {Promise<Array>} Ledger entries written
+ */
+exports.consumeForOrder = async (order, user) => {
+  const movements = [];
+
+  for (const item of order.items) {
+    const fabricDetails = item.customDetails?.fabric;
+    if (!item.isCustom || fabricDetails?.providedBy !== 'laraibcreative') continue;
+    if (!fabricDetails.inventoryItem || fabricDetails.consumedAt) continue;
+
+    const meters = round((fabricDetails.metersRequired || 0) * (item.quantity || 1));
+    if (meters <= 0) continue;
+
+    const now = new Date();
+    const claimed = await Order.updateOne(
+      {
+        _id: order._id,
+        items: { $elemMatch: { _id: item._id, 'customDetails.fabric.consumedAt': null } }
+      },
+      {
+        $set: {
+          'items.$.customDetails.fabric.consumedAt': now,
+          'items.$.customDetails.fabric.metersConsumed': meters
+        }
+      }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    // Keep the loaded order in step with what was saved
+    fabricDetails.consumedAt = now;
+    fabricDetails.metersConsumed = meters;
+
+    const fabric = await FabricInventory.findById(fabricDetails.inventoryItem);
+    if (!fabric) {
+      logger.warn(`Fabric ${fabricDetails.inventoryItem} for order ${order.orderNumber} no longer exists`);
+      continue;
+    }
+
+    const needed = toStockUnit(fabric, meters);
+    const onHand = fabric.stock.quantity;
+    const taken = round(Math.min(needed, onHand));
+
+    if (taken < needed) {
+      logger.warn(`Order ${order.orderNumber} needs ${needed} ${fabric.stock.unit} of ${fabric.name}, only ${onHand} in stock`);
+    }
+    if (taken <= 0) continue;
+
+    // Saved through the document so its stock status (and autoDisable) update
+    fabric.stock.quantity = round(onHand - taken);
+    await fabric.save();
+
+    movements.push(await inventoryService.recordMovement({
+      itemType: 'fabric',
+      fabric: fabric._id,
+      itemName: fabric.name,
+      type: 'production',
+      quantity: -taken,
+      unit: fabric.stock.unit,
+      balanceAfter: fabric.stock.quantity,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      note: taken < needed ? `Needed ${needed} ${fabric.stock.unit}, only ${onHand} in stock` : undefined,
+      createdBy: user?._id
+    }));
+  }
+
+  return movements;
+};
@@ -0,0 +1,161 @@
+const FestiveCollection = require('../models/FestiveCollection');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { sendBulkEmails } = require('../config/email');
+const { festiveCollectionEmail } = require('../utils/emailTemplates');
+const { invalidatePattern } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+/**
+ * Festive Collection Service
+ * Scheduling, cache invalidation and launch campaigns for festive collections
+ */
+
+// Cache key patterns affected when a collection goes live or comes down
+const CACHE_PATTERNS = ['products:*', 'categories:*', 'collections:*'];
+
+/**
+ * Clear product, category and collection caches
+ */
+exports.invalidateCaches = async () => {
+  let cleared = 0;
+  for (const pattern of CACHE_PATTERNS) {
+    cleared += await invalidatePattern(pattern);
+  }
+  return cleared;
+};
+
+/**
+ * Validate a list of product IDs and return only active products that exist
+ * @returns {Object} { valid: ObjectId[], invalid: string[] }
+ */
+exports.resolveProducts = async (productIds = []) => {
+  const uniqueIds = [...new Set(productIds.map(id => id.toString()))];
+
+  const products = await Product.find({
+    _id: { $in: uniqueIds },
+    isActive: true
+  }).select('_id');
+
+  const found = new Set(products.map(p => p._id.toString()));
+
+  return {
+    valid: uniqueIds.filter(id => found.has(id)),
+    invalid: uniqueIds.filter(id => !found.has(id))
+  };
+};
+
+/**
+ * Send the launch email campaign for a collection to opted-in customers
+ * Marks the campaign as sent so it only goes out once
+ */
+exports.sendCampaign = async (collection) => {
+  if (!collection.emailCampaign?.enabled || collection.emailCampaign.sentAt) {
+    return null;
+  }
+
+  // Claim the campaign first so concurrent runs don't both send it
+  const claimed = await FestiveCollection.findOneAndUpdate(
+    { _id: collection._id, 'emailCampaign.sentAt': { $exists: false } },
+    { $set: { 'emailCampaign.sentAt': new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  const customers = await User.find({
+    role: 'customer',
+    isActive: true,
+    'preferences.promotions': true
+  }).select('fullName email');
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const collectionUrl = `${frontendUrl}/collections/${collection._id}`;
+
+  const emails = customers
+    .filter(customer => customer.email)
+    .map(customer => ({
+      to: customer.email,
+      subject: `${collection.name} - Now Live at LaraibCreative`,
+      html: festiveCollectionEmail({
+        customerName: customer.fullName,
+        collectionName: collection.name,
+        description: collection.description,
+        bannerUrl: collection.bannerImage?.url,
+        collectionUrl,
+        message: collection.emailCampaign.template
+      })
+    }));
+
+  if (emails.length === 0) {
+    return { total: 0, sent: 0, failed: 0 };
+  }
+
+  const results = await sendBulkEmails(emails);
+
+  logger.info(`Festive campaign sent for ${collection.name}`, {
+    collectionId: collection._id,
+    sent: results.sent,
+    failed: results.failed
+  });
+
+  return results;
+};
+
+/**
+ * Publish due collections, unpublish expired ones and fire pending campaigns
+ * Safe to run repeatedly; each step only touches collections that need it
+ */
+exports.processSchedule = async (now = new Date()) => {
+  const toPublish = await FestiveCollection.find({
+    status: 'scheduled',
+    publishDate: { $lte: now },
+    unpublishDate: { $gt: now }
+  });
+
+  const toUnpublish = await FestiveCollection.find({
+    status: { $in: ['published', 'scheduled'] },
+    unpublishDate: { $lte: now }
+  });
+
+  for (const collection of toPublish) {
+    collection.status = 'published';
+    await collection.save();
+    logger.info(`Festive collection published: ${collection.name}`, { collectionId: collection._id });
+  }
+
+  for (const collection of toUnpublish) {
+    collection.status = 'unpublished';
+    await collection.save();
+    logger.info(`Festive collection unpublished: ${collection.name}`, { collectionId: collection._id });
+  }
+
+  if (toPublish.length > 0 || toUnpublish.length > 0) {
+    await exports.invalidateCaches();
+  }
+
+  // Covers collections published here and ones published directly by an admin
+  const pendingCampaigns = await FestiveCollection.find({
+    status: 'published',
+    'emailCampaign.enabled': true,
+    'emailCampaign.sentAt': { $exists: false }
+  });
+
+  let campaignsSent = 0;
+  for (const collection of pendingCampaigns) {
+    try {
+      const result = await exports.sendCampaign(collection);
+      if (result) campaignsSent++;
+    } catch (error) {
+      logger.error(`Festive campaign failed for ${collection.name}:`, error);
+    }
+  }
+
+  return {
+    published: toPublish.length,
+    unpublished: toUnpublish.length,
+    campaignsSent
+  };
+};
+
+module.exports = exports;
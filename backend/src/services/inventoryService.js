@@ -0,0 +1,569 @@
+const Product = require('../models/Product');
+const FabricInventory = require('../models/FabricInventory');
+const Accessory = require('../models/Accessory');
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+
+/**
+ * Inventory Service
+ * Stock movement ledger and checkout reservations
+ *
+ * Ready-made items are reserved when an order is placed and only leave stock
+ * when its payment is verified. Every change to on-hand stock (sale, return,
+ * cancellation, adjustment, purchase, production) is written to the
+ * StockMovement ledger with the balance it left
+ */
+
+const DEFAULT_RESERVATION_HOURS = 48;
+
+const variantLabel = (variant) => (variant ? `${variant.color} / ${variant.size}` : undefined);
+
+const outOfStockError = (message) => {
+  const error = new Error(message);
+  error.code = 'OUT_OF_STOCK';
+  return error;
+};
+
+/**
+ * Hours an unpaid order holds its stock
+ */
+exports.getReservationHours = async () => {
+  const settings = await Settings.getSettings();
+  return settings.orders?.stockReservationHours || DEFAULT_RESERVATION_HOURS;
+};
+
+/**
+ * Write a ledger entry
+ * @param {Object} data - StockMovement fields
+ * @param {Object} [options] - { session }
+ */
+exports.recordMovement = async (data, { session } = {}) => {
+  if (session) {
+    const [movement] = await StockMovement.create([data], { session });
+    return movement;
+  }
+  return StockMovement.create(data);
+};
+
+/**
+ * Apply a stock change to a product (and its variant), returning the updated product
+ * @param {Object} item - { product, variant }
+ * @param {number} change - Signed change to stockQuantity
+ * @param {Object} [options] - { reserved: signed change to reservedQuantity, session }
+ */
+const applyToStock = (item, change, { reserved = 0, session } = {}) => {
+  const inc = {};
+  const options = { new: true, session };
+
+  if (change) inc['inventory.stockQuantity'] = change;
+  if (reserved) inc['inventory.reservedQuantity'] = reserved;
+
+  if (item.variant) {
+    if (change) inc['variants.$[v].stockQuantity'] = change;
+    if (reserved) inc['variants.$[v].reservedQuantity'] = reserved;
+    options.arrayFilters = [{ 'v._id': item.variant }];
+  }
+
+  return Product.findByIdAndUpdate(item.product, { $inc: inc }, options);
+};
+
+/**
+ * Ledger fields describing a product (or variant) and its balance
+ */
+const productEntry = (product, variantId) => {
+  const variant = variantId ? product.variants.id(variantId) : null;
+  return {
+    itemType: 'product',
+    product: product._id,
+    variant: variant ? variant._id : null,
+    itemName: product.title,
+    sku: variant ? variant.sku : product.inventory?.sku,
+    variantLabel: variantLabel(variant),
+    balanceAfter: variant ? variant.stockQuantity : product.inventory?.stockQuantity
+  };
+};
+
+// ============================================
+// RESERVATIONS
+// ============================================
+
+/**
+ * Reserve a new order's ready-made stock (inside its creation transaction)
+ * Only variants and products with tracked inventory are held. Each hold is
+ * a guarded update, so the last unit can only be reserved once
+ * @param {Object} order - Saved order document
+ * @param {Object} [options] - { session }
+ * @throws {Error} code OUT_OF_STOCK when an item can no longer be reserved
+ */
+exports.reserveForOrder = async (order, { session } = {}) => {
+  const items = order.items.filter(item => !item.isCustom && item.product);
+  if (items.length === 0) return null;
+
+  const tracked = await Product.find({
+    _id: { $in: items.map(item => item.product) },
+    'inventory.trackInventory': true
+  }).select('_id').session(session || null).lean();
+  const trackedIds = new Set(tracked.map(product => String(product._id)));
+
+  const reserved = [];
+
+  for (const item of items) {
+    const quantity = item.quantity;
+    let result;
+
+    if (item.variant) {
+      result = await Product.updateOne(
+        {
+          _id: item.product,
+          $expr: {
+            $anyElementTrue: [{
+              $map: {
+                input: '$variants',
+                as: 'v',
+                in: {
+                  $and: [
+                    { $eq: ['$$v._id', item.variant] },
+                    { $gte: [{ $subtract: ['$$v.stockQuantity', { $ifNull: ['$$v.reservedQuantity', 0] }] }, quantity] }
+                  ]
+                }
+              }
+            }]
+          }
+        },
+        {
+          $inc: {
+            'inventory.reservedQuantity': quantity,
+            'variants.$[v].reservedQuantity': quantity
+          }
+        },
+        { arrayFilters: [{ 'v._id': item.variant }], session }
+      );
+
+      if (result.matchedCount === 0) {
+        const label = [item.variantSnapshot?.color, item.variantSnapshot?.size].filter(Boolean).join(' / ');
+        throw outOfStockError(`${item.productSnapshot?.title || 'Product'} (${label}) is out of stock`);
+      }
+    } else if (trackedIds.has(String(item.product))) {
+      result = await Product.updateOne(
+        {
+          _id: item.product,
+          $expr: {
+            $gte: [{ $subtract: ['$inventory.stockQuantity', { $ifNull: ['$inventory.reservedQuantity', 0] }] }, quantity]
+          }
+        },
+        { $inc: { 'inventory.reservedQuantity': quantity } },
+        { session }
+      );
+
+      if (result.matchedCount === 0) {
+        throw outOfStockError(`${item.productSnapshot?.title || 'Product'} is out of stock`);
+      }
+    } else {
+      continue; // Untracked stock is made to order
+    }
+
+    reserved.push({ product: item.product, variant: item.variant || null, quantity });
+  }
+
+  if (reserved.length === 0) return null;
+
+  const hours = await exports.getReservationHours();
+  const [reservation] = await StockReservation.create([{
+    order: order._id,
+    orderNumber: order.orderNumber,
+    items: reserved,
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+  }], { session });
+
+  return reservation;
+};
+
+/**
+ * Give an active reservation's stock back to sale
+ * @param {Object} order - Order document (or { _id })
+ * @param {Object} [options] - { reason, status: 'released' | 'expired' }
+ */
+exports.releaseOrder = async (order, { reason, status = 'released' } = {}) => {
+  // Claim the reservation first so concurrent saves can't release it twice
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: order._id, status: 'active' },
+    { status, releasedAt: new Date(), releaseReason: reason }
+  );
+  if (!reservation) return null;
+
+  for (const item of reservation.items) {
+    await applyToStock(item, 0, { reserved: -item.quantity });
+  }
+
+  logger.info(`Stock reservation ${status} for order ${reservation.orderNumber}: ${reason}`);
+  return reservation;
+};
+
+/**
+ * Sell a paid order's stock
+ * Takes it out of reserved stock, or straight from stock when the hold had
+ * already lapsed. Orders placed before reservations existed have none and
+ * were decremented at checkout
+ * @param {Object} order - Order document
+ */
+exports.commitOrder = async (order) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: order._id, status: { $in: ['active', 'released', 'expired'] } },
+    { status: 'committed', committedAt: new Date() }
+  );
+  if (!reservation) return null;
+
+  const wasHeld = reservation.status === 'active';
+
+  for (const item of reservation.items) {
+    let quantity = item.quantity;
+    let note;
+
+    if (!wasHeld) {
+      // Someone else may have bought it meanwhile; never take stock below zero
+      const current = await Product.findById(item.product).select('inventory variants');
+      const onHand = item.variant
+        ? current?.variants.id(item.variant)?.stockQuantity || 0
+        : current?.inventory?.stockQuantity || 0;
+      quantity = Math.min(quantity, onHand);
+      note = quantity < item.quantity
+        ? `Paid after the reservation ${reservation.status}; only ${quantity} of ${item.quantity} in stock`
+        : `Paid after the reservation ${reservation.status}`;
+      if (quantity === 0) {
+        logger.warn(`Order ${reservation.orderNumber} paid with no stock left for ${item.product}`);
+        continue;
+      }
+    }
+
+    const product = await applyToStock(item, -quantity, { reserved: wasHeld ? -quantity : 0 });
+    if (!product) continue;
+
+    await exports.recordMovement({
+      ...productEntry(product, item.variant),
+      type: 'sale',
+      quantity: -quantity,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      note
+    });
+  }
+
+  return reservation;
+};
+
+/**
+ * Put a cancelled paid order's stock back
+ * @param {Object} order - Order document
+ * @param {Object} [user] - Who cancelled it
+ */
+exports.restockCancelledOrder = async (order, user) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: order._id, status: 'committed', restockedAt: null },
+    { restockedAt: new Date() }
+  );
+  if (!reservation) return null;
+
+  for (const item of reservation.items) {
+    const product = await applyToStock(item, item.quantity);
+    if (!product) continue;
+
+    await exports.recordMovement({
+      ...productEntry(product, item.variant),
+      type: 'cancellation',
+      quantity: item.quantity,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      createdBy: user?._id
+    });
+  }
+
+  return reservation;
+};
+
+/**
+ * Follow an order's payment and status changes (called from the Order post-save hook)
+ * @param {Object} order - Order document
+ * @param {string} change - 'paid' | 'payment-failed' | 'cancelled'
+ */
+exports.handleOrderChange = async (order, change) => {
+  switch (change) {
+    case 'paid':
+      return exports.commitOrder(order);
+    case 'payment-failed':
+      return exports.releaseOrder(order, { reason: 'Payment failed' });
+    case 'cancelled':
+      await exports.releaseOrder(order, { reason: 'Order cancelled' });
+      return exports.restockCancelledOrder(order);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Release reservations whose hold has run out (scheduled job)
+ * @param {Date} [now]
+ */
+exports.expireReservations = async (now = new Date()) => {
+  const due = await StockReservation.find({ status: 'active', expiresAt: { $lte: now } })
+    .select('order orderNumber')
+    .limit(500);
+
+  let expired = 0;
+  for (const reservation of due) {
+    const released = await exports.releaseOrder(
+      { _id: reservation.order },
+      { reason: 'Payment not received in time', status: 'expired' }
+    );
+    if (released) expired++;
+  }
+
+  return { checked: due.length, expired };
+};
+
+// ============================================
+// RETURNS AND ADJUSTMENTS
+// ============================================
+
+/**
+ * Put received return items back into stock
+ * Defective items and custom (stitched to measure) pieces are not resaleable
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} order - Order document
+ * @param {Object} [admin]
+ */
+exports.restockReturn = async (returnRequest, order, admin) => {
+  if (returnRequest.type !== 'return' || returnRequest.reason === 'defect') return [];
+
+  const movements = [];
+  for (const returned of returnRequest.items) {
+    const item = order.items.id(returned.orderItem);
+    if (!item || item.isCustom || !item.product) continue;
+
+    const product = await applyToStock({ product: item.product, variant: item.variant }, returned.quantity);
+    if (!product || (item.variant && !product.variants.id(item.variant))) continue;
+
+    movements.push(await exports.recordMovement({
+      ...productEntry(product, item.variant),
+      type: 'return',
+      quantity: returned.quantity,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      returnRequest: returnRequest._id,
+      reference: returnRequest.requestNumber,
+      createdBy: admin?._id
+    }));
+  }
+
+  return movements;
+};
+
+// Materials counted in stock.quantity, keyed by itemType
+const MATERIALS = {
+  fabric: { Model: FabricInventory, label: 'Fabric' },
+  accessory: { Model: Accessory, label: 'Accessory' }
+};
+
+/**
+ * Change product, fabric or accessory stock by hand and record why
+ * @param {Object} data - { itemType, product, variant, fabric, accessory, quantity (signed change) | setTo, type, reference, purchaseOrder, note }
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<Object>} { valid, error } or { valid: true, movement }
+ */
+exports.adjustStock = async (data, user) => {
+  const { itemType = 'product', quantity, setTo, reference, purchaseOrder, note } = data;
+  const type = data.type || 'adjustment';
+
+  if (MATERIALS[itemType]) {
+    const { Model, label } = MATERIALS[itemType];
+    const material = await Model.findById(data[itemType]);
+    if (!material) return { valid: false, error: `${label} not found` };
+
+    const current = material.stock.quantity;
+    const change = setTo != null ? setTo - current : quantity;
+    if (!change) return { valid: false, error: `Stock is already ${current} ${material.stock.unit}` };
+    if (current + change < 0) return { valid: false, error: `Only ${current} ${material.stock.unit} in stock` };
+
+    // Saved through the document so its stock status is recalculated
+    material.stock.quantity = Math.round((current + change) * 100) / 100;
+    await material.save();
+
+    const movement = await exports.recordMovement({
+      itemType,
+      [itemType]: material._id,
+      itemName: material.name,
+      sku: material.sku,
+      type,
+      quantity: change,
+      unit: material.stock.unit,
+      balanceAfter: material.stock.quantity,
+      reference,
+      purchaseOrder,
+      note,
+      createdBy: user?._id
+    });
+    return { valid: true, movement };
+  }
+
+  const product = await Product.findById(data.product).select('title inventory variants');
+  if (!product) return { valid: false, error: 'Product not found' };
+
+  let variant = null;
+  if (data.variant) {
+    variant = product.variants.id(data.variant);
+    if (!variant) return { valid: false, error: 'Variant not found' };
+  } else if (product.variants.length > 0) {
+    // The product total is the sum of its variants
+    return { valid: false, error: 'Choose the colour and size to adjust' };
+  }
+
+  const current = variant ? variant.stockQuantity : product.inventory?.stockQuantity || 0;
+  const change = setTo != null ? setTo - current : quantity;
+  if (!Number.isInteger(change)) return { valid: false, error: 'Product stock is counted in whole pieces' };
+  if (!change) return { valid: false, error: `Stock is already ${current}` };
+  if (current + change < 0) return { valid: false, error: `Only ${current} in stock` };
+
+  const updated = await applyToStock({ product: product._id, variant: variant?._id }, change);
+  if (!variant && !product.inventory?.trackInventory) {
+    // Counting a product's stock starts tracking it
+    await Product.updateOne({ _id: product._id }, { $set: { 'inventory.trackInventory': true } });
+  }
+
+  const movement = await exports.recordMovement({
+    ...productEntry(updated, variant?._id),
+    type,
+    quantity: change,
+    reference,
+    note,
+    createdBy: user?._id
+  });
+  return { valid: true, movement };
+};
+
+/**
+ * Stock levels of a product before an admin edit (see recordProductEdits)
+ * @param {Object} product - Product document
+ */
+exports.snapshotStock = (product) => ({
+  stockQuantity: product.inventory?.stockQuantity || 0,
+  variants: new Map((product.variants || []).map(variant => [String(variant._id), variant.stockQuantity]))
+});
+
+/**
+ * Record stock changed through the product form as adjustments
+ * @param {Object} product - Product after the edit
+ * @param {Object} before - snapshotStock() taken before it
+ * @param {Object} user - Admin who edited it
+ * @param {string} [note]
+ */
+exports.recordProductEdits = async (product, before, user, note = 'Edited on the product form') => {
+  const changes = [];
+
+  if (product.variants?.length > 0) {
+    for (const variant of product.variants) {
+      const previous = before.variants.get(String(variant._id)) || 0;
+      if (variant.stockQuantity !== previous) {
+        changes.push({ variantId: variant._id, quantity: variant.stockQuantity - previous });
+      }
+    }
+  } else if ((product.inventory?.stockQuantity || 0) !== before.stockQuantity) {
+    changes.push({ variantId: null, quantity: (product.inventory?.stockQuantity || 0) - before.stockQuantity });
+  }
+
+  for (const change of changes) {
+    await exports.recordMovement({
+      ...productEntry(product, change.variantId),
+      type: 'adjustment',
+      quantity: change.quantity,
+      note,
+      createdBy: user?._id
+    });
+  }
+
+  return changes.length;
+};
+
+// ============================================
+// HISTORY
+// ============================================
+
+/**
+ * Paged stock history, newest first
+ * @param {Object} filters - { itemType, product, variant, fabric, accessory, type, order, purchaseOrder, from, to, page, limit }
+ */
+exports.getHistory = async (filters = {}) => {
+  const page = Math.max(parseInt(filters.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+
+  const query = {};
+  ['itemType', 'product', 'variant', 'fabric', 'accessory', 'order', 'purchaseOrder'].forEach(key => {
+    if (filters[key]) query[key] = filters[key];
+  });
+  if (filters.type) query.type = { $in: String(filters.type).split(',') };
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) query.createdAt.$lte = new Date(filters.to);
+  }
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('createdBy', 'fullName email')
+      .lean(),
+    StockMovement.countDocuments(query)
+  ]);
+
+  return {
+    movements,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Current stock of a product: on hand, reserved and available, per variant
+ * @param {string} productId
+ */
+exports.getProductStock = async (productId) => {
+  const product = await Product.findById(productId).select('title slug inventory variants');
+  if (!product) return null;
+
+  const reservations = await StockReservation.find({ status: 'active', 'items.product': product._id })
+    .select('order orderNumber items expiresAt createdAt')
+    .sort({ expiresAt: 1 })
+    .lean();
+
+  return {
+    product: {
+      _id: product._id,
+      title: product.title,
+      slug: product.slug,
+      sku: product.inventory?.sku,
+      trackInventory: !!product.inventory?.trackInventory,
+      stockQuantity: product.inventory?.stockQuantity || 0,
+      reservedQuantity: product.inventory?.reservedQuantity || 0,
+      availableQuantity: product.getAvailableStock()
+    },
+    variants: product.variants.map(variant => ({
+      _id: variant._id,
+      label: variantLabel(variant),
+      sku: variant.sku,
+      isActive: variant.isActive,
+      stockQuantity: variant.stockQuantity,
+      reservedQuantity: variant.reservedQuantity || 0,
+      availableQuantity: variant.availableQuantity
+    })),
+    reservations: reservations.map(reservation => ({
+      ...reservation,
+      items: reservation.items.filter(item => String(item.product) === String(product._id))
+    }))
+  };
+};
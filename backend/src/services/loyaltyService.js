@@ -0,0 +1,331 @@
+const LoyaltyAccount = require('../models/LoyaltyPoints');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Loyalty Service
+ * Earning rules (orders, reviews, birthdays, social shares), taking points
+ * back on refunds, and the tier discount and points redemption priced into
+ * checkout by services/pricingService
+ *
+ * Rules live in Settings.loyalty so the admin can change them without a deploy
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Load, change and save an account, retrying when another save got there first
+ * @param {string} userId
+ * @param {Function} update - (account) => result; return false to skip saving
+ */
+const withAccount = async (userId, update) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const account = await LoyaltyAccount.getOrCreate(userId);
+      const result = update(account);
+      if (result !== false) await account.save();
+      return { account, result };
+    } catch (error) {
+      // VersionError: a concurrent save; 11000: the account was created alongside
+      const retry = error.name === 'VersionError' || error.code === 11000;
+      if (!retry || attempt >= 3) throw error;
+    }
+  }
+};
+
+/**
+ * Current loyalty rules from settings
+ */
+exports.getRules = async () => {
+  const settings = await Settings.getSettings();
+  return settings.toObject().loyalty;
+};
+
+const expiryFrom = (rules, now = new Date()) => {
+  const expiresAt = new Date(now);
+  expiresAt.setMonth(expiresAt.getMonth() + rules.expiryMonths);
+  return expiresAt;
+};
+
+const hasTransaction = (account, predicate) => account.transactions.some(predicate);
+
+// ============================================
+// EARNING
+// ============================================
+
+/**
+ * Award points as a new lot
+ * @param {string} userId
+ * @param {number} points
+ * @param {string} source - order, review, birthday, social-share, referral, manual
+ * @param {Object} [options] - { orderId, reviewId, referralId, description, rules }
+ * @returns {Promise<Object|null>} The loyalty account, or null when nothing was awarded
+ */
+exports.award = async (userId, points, source, options = {}) => {
+  const rules = options.rules || await exports.getRules();
+  if (!rules.enabled || !(points > 0)) return null;
+
+  const { account } = await withAccount(userId, (loaded) => {
+    loaded.earn(points, source, { ...options, expiresAt: expiryFrom(rules) });
+    loaded.applyTier(rules.tiers);
+  });
+
+  logger.info(`Loyalty: ${points} points (${source}) awarded to ${userId}`);
+  return account;
+};
+
+/**
+ * Points a delivered order earns: one per spendPerPoint PKR paid for the
+ * goods, after discounts and points, not counting shipping
+ */
+exports.pointsForOrder = (order, rules) => {
+  const spend = (order.pricing?.total || 0) - (order.pricing?.shippingCharges || 0);
+  return Math.max(Math.floor(spend / rules.earning.spendPerPoint), 0);
+};
+
+/**
+ * Award an order's points once it is delivered (once per order)
+ * @returns {Promise<number>} Points awarded
+ */
+exports.awardForOrder = async (order) => {
+  const rules = await exports.getRules();
+  if (!rules.enabled || !order.customer) return 0;
+
+  const points = exports.pointsForOrder(order, rules);
+  if (points <= 0) return 0;
+
+  const { result } = await withAccount(order.customer, (account) => {
+    const already = hasTransaction(account, transaction => transaction.type === 'earned'
+      && transaction.source === 'order'
+      && transaction.orderId?.equals(order._id));
+    if (already) return false;
+
+    account.earn(points, 'order', {
+      orderId: order._id,
+      expiresAt: expiryFrom(rules),
+      description: `Order ${order.orderNumber}`
+    });
+    account.applyTier(rules.tiers);
+    return points;
+  });
+
+  if (result) logger.info(`Loyalty: ${points} points awarded for order ${order.orderNumber}`);
+  return result || 0;
+};
+
+/**
+ * Points for an approved review (once per review)
+ * @returns {Promise<number>} Points awarded
+ */
+exports.awardForReview = async (review) => {
+  const rules = await exports.getRules();
+  const points = rules.earning.reviewPoints;
+  if (!rules.enabled || !points || !review.customer) return 0;
+
+  const { result } = await withAccount(review.customer, (account) => {
+    if (hasTransaction(account, transaction => transaction.reviewId?.equals(review._id))) return false;
+
+    account.earn(points, 'review', {
+      reviewId: review._id,
+      expiresAt: expiryFrom(rules),
+      description: 'Review approved'
+    });
+    account.applyTier(rules.tiers);
+    return points;
+  });
+
+  return result || 0;
+};
+
+/**
+ * Points for sharing on social media, up to socialSharesPerDay a day
+ * @param {string} userId
+ * @param {Object} share - { platform, url }
+ * @returns {Promise<Object>} { valid, error } or { valid: true, points, account }
+ */
+exports.recordShare = async (userId, { platform, url }) => {
+  const rules = await exports.getRules();
+  const points = rules.earning.socialSharePoints;
+
+  if (!rules.enabled || !points || !rules.earning.socialSharesPerDay) {
+    return { valid: false, error: 'Sharing does not earn points right now' };
+  }
+
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const { account, result } = await withAccount(userId, (loaded) => {
+    const sharesToday = loaded.transactions.filter(transaction => transaction.source === 'social-share'
+      && transaction.type === 'earned'
+      && transaction.createdAt >= startOfDay).length;
+    if (sharesToday >= rules.earning.socialSharesPerDay) return false;
+
+    loaded.earn(points, 'social-share', {
+      expiresAt: expiryFrom(rules),
+      description: `Shared on ${platform}${url ? `: ${url}` : ''}`
+    });
+    loaded.applyTier(rules.tiers);
+    return points;
+  });
+
+  if (!result) {
+    return { valid: false, error: 'You have already earned points for sharing today' };
+  }
+
+  return { valid: true, points: result, account };
+};
+
+/**
+ * Birthday points for customers whose birthday is today (once a year).
+ * 29 February birthdays are celebrated on the 28th in other years
+ * @returns {Promise<Object>} { customers, points }
+ */
+exports.awardBirthdays = async (now = new Date()) => {
+  const rules = await exports.getRules();
+  const points = rules.earning.birthdayPoints;
+  if (!rules.enabled || !points) return { customers: 0, points: 0 };
+
+  const month = now.getMonth() + 1;
+  const day = now.getDate();
+  const year = now.getFullYear();
+  const leapYear = new Date(year, 1, 29).getDate() === 29;
+  const days = month === 2 && day === 28 && !leapYear ? [28, 29] : [day];
+
+  const customers = await User.find({
+    role: 'customer',
+    isActive: true,
+    dateOfBirth: { $ne: null },
+    $expr: {
+      $and: [
+        { $eq: [{ $month: '$dateOfBirth' }, month] },
+        { $in: [{ $dayOfMonth: '$dateOfBirth' }, days] }
+      ]
+    }
+  }).select('_id');
+
+  const startOfYear = new Date(year, 0, 1);
+  let awarded = 0;
+
+  for (const customer of customers) {
+    const { result } = await withAccount(customer._id, (account) => {
+      const already = hasTransaction(account, transaction => transaction.source === 'birthday'
+        && transaction.createdAt >= startOfYear);
+      if (already) return false;
+
+      account.earn(points, 'birthday', { expiresAt: expiryFrom(rules, now), description: 'Happy birthday!' });
+      account.applyTier(rules.tiers);
+      return true;
+    });
+    if (result) awarded++;
+  }
+
+  return { customers: awarded, points: awarded * points };
+};
+
+// ============================================
+// ORDERS
+// ============================================
+
+/**
+ * Spend points on an order before it is saved
+ * @returns {Promise<boolean>} false when the balance no longer covers them
+ */
+exports.redeemForOrder = async (userId, order, points) => {
+  const { result } = await withAccount(userId, (account) => {
+    if (account.currentBalance < points) return false;
+
+    account.spend(points, { orderId: order._id, description: `Order ${order.orderNumber}` });
+    return true;
+  });
+
+  return Boolean(result);
+};
+
+/**
+ * Undo an order's loyalty points: take back what it earned and give back
+ * what was spent on it. Safe to call more than once
+ * @param {Object} order - { _id, customer }
+ * @param {string} reason
+ * @returns {Promise<Object>} { reversed, restored }
+ */
+exports.reverseForOrder = async (order, reason) => {
+  const none = { reversed: 0, restored: 0 };
+  if (!order.customer || !await LoyaltyAccount.exists({ userId: order.customer })) return none;
+
+  const rules = await exports.getRules();
+
+  const { result } = await withAccount(order.customer, (account) => {
+    const reversed = account.reverseOrderPoints(order._id, reason);
+    const restored = account.restoreOrderPoints(order._id, reason);
+    if (!reversed && !restored) return false;
+
+    account.applyTier(rules.tiers);
+    return { reversed, restored };
+  });
+
+  if (result) {
+    logger.info(`Loyalty: order ${order.orderNumber || order._id} reversed`, result);
+  }
+  return result || none;
+};
+
+// ============================================
+// CHECKOUT
+// ============================================
+
+/**
+ * Tier discount and points redemption for what is left to pay
+ * @param {Object} params
+ * @param {Object} [params.user] - Logged-in customer
+ * @param {number} params.amount - Goods total after promotions and promo code
+ * @param {number} [params.points] - Points the customer wants to spend
+ * @returns {Promise<Object>} { tier, tierDiscount, freeShipping, pointsRedeemed, pointsDiscount, error }
+ */
+exports.priceBenefits = async ({ user, amount, points = 0 }) => {
+  const none = { tier: undefined, tierDiscount: 0, freeShipping: false, pointsRedeemed: 0, pointsDiscount: 0 };
+
+  if (!user?._id) {
+    return points > 0 ? { ...none, error: 'Log in to use your loyalty points' } : none;
+  }
+
+  const [rules, account] = await Promise.all([
+    exports.getRules(),
+    LoyaltyAccount.findOne({ userId: user._id }).select('tier totalPointsEarned currentBalance')
+  ]);
+
+  if (!rules.enabled) {
+    return points > 0 ? { ...none, error: 'Loyalty points are not available right now' } : none;
+  }
+  if (!account) {
+    return points > 0 ? { ...none, error: 'Insufficient points balance' } : none;
+  }
+
+  // Worked out from the current ladder, in case the tiers changed since the account was saved
+  const ladder = [...rules.tiers].sort((a, b) => b.minPoints - a.minPoints);
+  const tier = ladder.find(entry => account.totalPointsEarned >= entry.minPoints) || ladder[ladder.length - 1];
+
+  const tierDiscount = round(Math.max(amount, 0) * (tier.discountPercentage || 0) / 100);
+  const result = { ...none, tier: tier.tier, tierDiscount, freeShipping: Boolean(tier.freeShipping) };
+
+  if (!(points > 0)) return result;
+
+  const { pointValue, minPoints, maxOrderPercentage } = rules.redemption;
+
+  if (!pointValue) return { ...result, error: 'Loyalty points are not available right now' };
+  if (points < minPoints) return { ...result, error: `Redeem at least ${minPoints} points` };
+  if (points > account.currentBalance) return { ...result, error: 'Insufficient points balance' };
+
+  const maxPoints = Math.floor((amount - tierDiscount) * maxOrderPercentage / 100 / pointValue);
+  const pointsRedeemed = Math.min(points, maxPoints);
+
+  if (pointsRedeemed < minPoints || pointsRedeemed <= 0) {
+    return { ...result, error: `Points can pay for up to ${maxOrderPercentage}% of this order` };
+  }
+
+  return {
+    ...result,
+    pointsRedeemed,
+    pointsDiscount: round(pointsRedeemed * pointValue)
+  };
+};
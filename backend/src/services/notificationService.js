@@ -8,6 +8,9 @@
 
 const emailConfig = require('../config/email');
 const whatsappConfig = require('../config/whatsapp');
+const { STATES } = require('../config/orderStatusMachine');
+const { balanceReminderEmail, returnRequestUpdateEmail } = require('../utils/emailTemplates');
+const { orderBalanceReminder, returnRequestUpdate } = require('../utils/whatsappTemplates');
 
 // ==========================================
 // HELPER FUNCTIONS
@@ -230,6 +233,74 @@ exports.sendPaymentVerified = async (order) => {
   }
 };
 
+/**
+ * Remind the customer to pay the balance before dispatch
+ * @param {Object} order - Order with a balance due
+ * @returns {Promise<Object>} Notification results
+ */
+exports.sendBalanceReminder = async (order) => {
+  try {
+    if (!order || !order.orderNumber) {
+      throw new Error('Invalid order object');
+    }
+
+    const contact = getCustomerContact(order);
+    const results = {
+      email: { sent: false },
+      whatsapp: { sent: false },
+    };
+
+    const details = {
+      orderNumber: order.orderNumber,
+      customerName: contact.name,
+      total: order.pricing.total,
+      amountPaid: order.payment.amountPaid || 0,
+      balanceDue: order.balanceDue,
+      trackingUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/track-order/${order.orderNumber}`,
+    };
+
+    // Send email
+    if (contact.email) {
+      try {
+        const emailResult = await emailConfig.sendEmail({
+          to: contact.email,
+          subject: `Balance due for order ${order.orderNumber} - LaraibCreative`,
+          html: balanceReminderEmail(details),
+        });
+        results.email = { sent: emailResult.success };
+        logNotification('Balance Reminder Email', contact.email, emailResult.success);
+      } catch (error) {
+        console.error('Balance reminder email failed:', error.message);
+        results.email = { sent: false, error: error.message };
+      }
+    }
+
+    // Send WhatsApp
+    if (contact.whatsapp) {
+      try {
+        const whatsappResult = await whatsappConfig.sendWhatsAppMessage(contact.whatsapp, orderBalanceReminder(details));
+        results.whatsapp = { sent: whatsappResult.success };
+        logNotification('Balance Reminder WhatsApp', contact.whatsapp, whatsappResult.success);
+      } catch (error) {
+        console.error('Balance reminder WhatsApp failed:', error.message);
+        results.whatsapp = { sent: false, error: error.message };
+      }
+    }
+
+    return {
+      success: results.email.sent || results.whatsapp.sent,
+      results,
+    };
+
+  } catch (error) {
+    console.error('Error in sendBalanceReminder:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
 /**
  * Send payment rejection notification
  * @param {Object} order - Order object
@@ -315,18 +386,8 @@ exports.sendStatusUpdate = async (order, previousStatus = null) => {
       throw new Error('Invalid order object or status');
     }
 
-    // Define which statuses should trigger notifications
-    const notifiableStatuses = [
-      'payment-verified',
-      'fabric-arranged',
-      'stitching-in-progress',
-      'quality-check',
-      'ready-for-dispatch',
-      'out-for-delivery',
-      'delivered',
-    ];
-
-    if (!notifiableStatuses.includes(order.status)) {
+    // Statuses whose entry notifies the customer (config/orderStatusMachine)
+    if (!STATES[order.status]?.onEnter.includes('notify-customer')) {
       return { success: false, reason: 'Status not notifiable' };
     }
 
@@ -448,9 +509,11 @@ exports.sendOrderCancellation = async (order, reason = '') => {
  * @param {Object} order - Order object
  * @param {Number} amount - Refund amount
  * @param {String} reason - Refund reason
+ * @param {Object} [options]
+ * @param {Boolean} [options.toWallet=false] - Refunded as store credit instead of to the original payment method
  * @returns {Promise<Object>} Notification results
  */
-exports.sendRefundProcessed = async (order, amount, reason = '') => {
+exports.sendRefundProcessed = async (order, amount, reason = '', { toWallet = false } = {}) => {
   try {
     if (!order || !order.orderNumber) {
       throw new Error('Invalid order object');
@@ -461,6 +524,9 @@ exports.sendRefundProcessed = async (order, amount, reason = '') => {
       email: { sent: false },
       whatsapp: { sent: false },
     };
+    const destination = toWallet
+      ? 'The amount has been added to your store credit and can be used at checkout.'
+      : 'The refund will be processed to your original payment method within 5-7 business days.';
 
     // Send email
     if (contact.email) {
@@ -468,14 +534,14 @@ exports.sendRefundProcessed = async (order, amount, reason = '') => {
         const emailResult = await emailConfig.sendEmail({
           to: contact.email,
           subject: `Refund Processed - ${order.orderNumber}`,
-          text: `Refund of PKR ${amount} has been processed for order ${order.orderNumber}. ${reason}`,
+          text: `Refund of PKR ${amount} has been processed for order ${order.orderNumber}. ${reason} ${destination}`,
           html: `
             <div style="font-family: Arial, sans-serif;">
               <h2 style="color: #10B981;">Refund Processed</h2>
               <p><strong>Order Number:</strong> ${order.orderNumber}</p>
               <p><strong>Refund Amount:</strong> PKR ${amount.toLocaleString()}</p>
               ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
-              <p>The refund will be processed to your original payment method within 5-7 business days.</p>
+              <p>${destination}</p>
             </div>
           `,
         });
@@ -490,7 +556,7 @@ exports.sendRefundProcessed = async (order, amount, reason = '') => {
     // Send WhatsApp
     if (contact.whatsapp) {
       try {
-        const message = `✅ *Refund Processed*\n\nOrder: ${order.orderNumber}\nAmount: PKR ${amount.toLocaleString()}\n${reason ? `Reason: ${reason}\n` : ''}Refund will be processed within 5-7 business days.`;
+        const message = `✅ *Refund Processed*\n\nOrder: ${order.orderNumber}\nAmount: PKR ${amount.toLocaleString()}\n${reason ? `Reason: ${reason}\n` : ''}${toWallet ? 'Added to your store credit, use it at checkout.' : 'Refund will be processed within 5-7 business days.'}`;
         const whatsappResult = await whatsappConfig.sendWhatsAppMessage(contact.whatsapp, message);
         results.whatsapp = { sent: whatsappResult.success };
         logNotification('Refund Processed WhatsApp', contact.whatsapp, whatsappResult.success);
@@ -514,6 +580,112 @@ exports.sendRefundProcessed = async (order, amount, reason = '') => {
   }
 };
 
+/**
+ * Customer-facing explanation of a return request's status
+ */
+const getReturnStatusMessage = (returnRequest) => {
+  const { pickup = {}, resolution = {}, review = {} } = returnRequest;
+
+  switch (returnRequest.status) {
+    case 'requested':
+      return 'We have received your request and will review it within 48 hours.';
+    case 'approved':
+      return 'Your request has been approved. We will arrange a pickup, or you can send the item back to our studio.';
+    case 'rejected':
+      return `Unfortunately we couldn't approve your request${review.rejectionReason ? `: ${review.rejectionReason}` : '.'}`;
+    case 'pickup-scheduled':
+      return `A pickup has been booked with ${pickup.courierService || 'our courier'}${pickup.trackingNumber ? ` (tracking ${pickup.trackingNumber})` : ''}. Please keep the item packed and ready.`;
+    case 'received':
+      return 'We have received your item and our team is inspecting it.';
+    case 'in-production':
+      return 'Your outfit is with our tailors for the alteration.';
+    case 'resolved': {
+      const shipment = resolution.returnShipment?.trackingNumber
+        ? ` It is on its way with ${resolution.returnShipment.courierService || 'our courier'} (tracking ${resolution.returnShipment.trackingNumber}).`
+        : '';
+      const messages = {
+        refund: `A refund of PKR ${(resolution.amount || 0).toLocaleString()} has been processed to your original payment method.`,
+        'store-credit': `PKR ${(resolution.amount || 0).toLocaleString()} has been added to your store credit.`,
+        exchange: `Your replacement item is ready.${shipment}`,
+        altered: `Your alteration is complete.${shipment}`
+      };
+      return messages[resolution.type] || 'Your request has been resolved.';
+    }
+    default:
+      return "We'll keep you updated on the progress.";
+  }
+};
+
+/**
+ * Send a return/alteration request status update
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} order - Order the request belongs to (for contact details)
+ * @returns {Promise<Object>} Notification results
+ */
+exports.sendReturnUpdate = async (returnRequest, order) => {
+  try {
+    if (!returnRequest || !order) {
+      throw new Error('Invalid return request or order');
+    }
+
+    const contact = getCustomerContact(order);
+    const results = {
+      email: { sent: false },
+      whatsapp: { sent: false },
+    };
+
+    const details = {
+      requestNumber: returnRequest.requestNumber,
+      orderNumber: order.orderNumber,
+      customerName: contact.name,
+      type: returnRequest.type,
+      status: returnRequest.status,
+      message: getReturnStatusMessage(returnRequest),
+      requestsUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/account/returns`,
+    };
+
+    // Send email
+    if (contact.email) {
+      try {
+        const emailResult = await emailConfig.sendEmail({
+          to: contact.email,
+          subject: `Update on ${returnRequest.requestNumber} - LaraibCreative`,
+          html: returnRequestUpdateEmail(details),
+        });
+        results.email = { sent: emailResult.success };
+        logNotification('Return Update Email', contact.email, emailResult.success);
+      } catch (error) {
+        console.error('Return update email failed:', error.message);
+        results.email = { sent: false, error: error.message };
+      }
+    }
+
+    // Send WhatsApp
+    if (contact.whatsapp) {
+      try {
+        const whatsappResult = await whatsappConfig.sendWhatsAppMessage(contact.whatsapp, returnRequestUpdate(details));
+        results.whatsapp = { sent: whatsappResult.success };
+        logNotification('Return Update WhatsApp', contact.whatsapp, whatsappResult.success);
+      } catch (error) {
+        console.error('Return update WhatsApp failed:', error.message);
+        results.whatsapp = { sent: false, error: error.message };
+      }
+    }
+
+    return {
+      success: results.email.sent || results.whatsapp.sent,
+      results,
+    };
+
+  } catch (error) {
+    console.error('Error in sendReturnUpdate:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
 /**
  * Send tracking update notification
  * @param {Object} order - Order object
@@ -721,6 +893,96 @@ exports.sendBulkNotification = async (customers, subject, message) => {
   }
 };
 
+/**
+ * Send admin a digest of overdue orders and production items
+ * @param {Object} overdue - { orders: Order[], queueItems: ProductionQueue[] }
+ * @returns {Promise<Object>} Notification results
+ */
+exports.notifyAdminOverdue = async ({ orders = [], queueItems = [] }) => {
+  try {
+    const adminEmail = process.env.ADMIN_EMAIL;
+    const adminWhatsApp = process.env.ADMIN_WHATSAPP;
+
+    const results = {
+      email: { sent: false },
+      whatsapp: { sent: false },
+    };
+
+    if (orders.length === 0 && queueItems.length === 0) {
+      return { success: true, results };
+    }
+
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-PK') : 'N/A');
+
+    // Email admin
+    if (adminEmail) {
+      try {
+        const emailResult = await emailConfig.sendEmail({
+          to: adminEmail,
+          subject: `⏰ Overdue: ${orders.length} order(s), ${queueItems.length} production item(s)`,
+          text: `${orders.length} order(s) and ${queueItems.length} production item(s) are overdue`,
+          html: `
+            <div style="font-family: Arial, sans-serif;">
+              <h2>Overdue Orders</h2>
+              ${orders.length > 0 ? `
+                <ul>
+                  ${orders.map(order => `
+                    <li>
+                      <strong>${order.orderNumber}</strong> (${order.status}) - due ${formatDate(order.estimatedCompletion)}
+                      <br>Customer: ${order.customer?.fullName || order.customerInfo?.name || 'N/A'}
+                    </li>
+                  `).join('')}
+                </ul>
+              ` : '<p>No overdue orders.</p>'}
+              <h2>Overdue Production</h2>
+              ${queueItems.length > 0 ? `
+                <ul>
+                  ${queueItems.map(item => `
+                    <li>
+                      <strong>${item.orderNumber}</strong> (${item.status}) - due ${formatDate(item.estimatedCompletionDate)}
+                      <br>Tailor: ${item.assignedTailor?.tailorId?.name || 'Unassigned'}
+                    </li>
+                  `).join('')}
+                </ul>
+              ` : '<p>No overdue production items.</p>'}
+            </div>
+          `,
+        });
+        results.email = { sent: emailResult.success };
+        logNotification('Admin Overdue Email', adminEmail, emailResult.success);
+      } catch (error) {
+        console.error('Admin overdue email failed:', error.message);
+        results.email = { sent: false, error: error.message };
+      }
+    }
+
+    // WhatsApp admin
+    if (adminWhatsApp) {
+      try {
+        const message = `⏰ *Overdue Summary*\n\nOrders: ${orders.length}\nProduction items: ${queueItems.length}\n\n${orders.slice(0, 10).map(order => `• ${order.orderNumber} - due ${formatDate(order.estimatedCompletion)}`).join('\n')}`;
+        const whatsappResult = await whatsappConfig.sendWhatsAppMessage(adminWhatsApp, message);
+        results.whatsapp = { sent: whatsappResult.success };
+        logNotification('Admin Overdue WhatsApp', adminWhatsApp, whatsappResult.success);
+      } catch (error) {
+        console.error('Admin overdue WhatsApp failed:', error.message);
+        results.whatsapp = { sent: false, error: error.message };
+      }
+    }
+
+    return {
+      success: results.email.sent || results.whatsapp.sent,
+      results,
+    };
+
+  } catch (error) {
+    console.error('Error in notifyAdminOverdue:', error.message);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
 // ==========================================
 // EXPORTS
 // ==========================================
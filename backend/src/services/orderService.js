@@ -3,6 +3,7 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const logger = require('../utils/logger');
+const { STATES, getNextStatuses } = require('../config/orderStatusMachine');
 
 /**
  * Generate unique order number
@@ -36,6 +37,7 @@ exports.generateOrderNumber = async () => {
 /**
  * Validate and process order items
  * - Verify products exist and are available
+ * - Resolve colour x size variants and check their stock
  * - Create product snapshots
  * - Calculate item prices
  */
@@ -56,13 +58,35 @@ exports.validateAndProcessItems = async (items) => {
         throw new Error(`Product ${product.title} is only available for custom orders`);
       }
 
-      // Calculate item price
-      let itemPrice = product.pricing.basePrice;
+      // Ready-made products with variants are ordered by colour and size
+      let variant = null;
+      if (!item.isCustom && product.hasVariants) {
+        variant = product.getVariant(item.variant);
 
-      // Add custom stitching charges if custom order
-      if (item.isCustom) {
-        itemPrice += product.pricing.customStitchingCharge || 0;
+        if (!variant) {
+          throw new Error(`Please select a colour and size for ${product.title}`);
+        }
+
+        // Stock held by other unpaid orders is not for sale
+        const available = product.getAvailableStock(variant);
+        const quantity = item.quantity || 1;
+        if (available < quantity) {
+          throw new Error(available > 0
+            ? `Only ${available} left of ${product.title} in ${variant.color} / ${variant.size}`
+            : `${product.title} is out of stock in ${variant.color} / ${variant.size}`);
+        }
+      } else if (!item.isCustom && product.inventory?.trackInventory) {
+        const available = product.getAvailableStock();
+        if (available < (item.quantity || 1)) {
+          throw new Error(available > 0
+            ? `Only ${available} left of ${product.title}`
+            : `${product.title} is out of stock`);
+        }
+      }
+
+      const itemPrice = exports.getUnitPrice(product, variant, item.isCustom);
 
+      if (item.isCustom) {
         // Validate measurements for custom orders
         if (!item.measurements || Object.keys(item.measurements).length === 0) {
           throw new Error(`Measurements required for custom order: ${product.title}`);
@@ -80,9 +104,21 @@ exports.validateAndProcessItems = async (items) => {
         customStitchingCharge: product.pricing.customStitchingCharge
       };
 
+      if (variant) {
+        productSnapshot.sku = variant.sku;
+        productSnapshot.primaryImage = variant.images[0] || product.primaryImage;
+      }
+
       processedItems.push({
         product: product._id,
         productSnapshot,
+        variant: variant ? variant._id : null,
+        variantSnapshot: variant ? {
+          color: variant.color,
+          size: variant.size,
+          sku: variant.sku,
+          image: variant.images[0] || product.primaryImage
+        } : undefined,
         isCustom: item.isCustom || false,
         measurements: item.measurements || null,
         referenceImages: item.referenceImages || [],
@@ -101,26 +137,35 @@ exports.validateAndProcessItems = async (items) => {
   }
 };
 
+/**
+ * Price of one unit of a product
+ * The variant's price (or the product's), plus stitching when custom stitched
+ * @param {Object} product - Product document
+ * @param {Object} [variant] - Selected colour x size variant
+ * @param {boolean} [isCustom]
+ */
+exports.getUnitPrice = (product, variant, isCustom) => {
+  const price = product.getVariantPrice(variant);
+  return isCustom ? price + (product.pricing.customStitchingCharge || 0) : price;
+};
+
 /**
  * Calculate order pricing
  * - Subtotal
- * - Shipping charges based on city
- * - Discount (if applicable)
+ * - Shipping charges (quoted by shippingService for the address)
+ * - Discount (promotions and promo code, worked out by pricingService)
  * - Total
+ * @param {Array} items - Processed order items
+ * @param {number} [shippingCharges=0] - Shipping for the selected rate
+ * @param {number} [discount=0]
  */
-exports.calculateOrderPricing = (items, city) => {
+exports.calculateOrderPricing = (items, shippingCharges = 0, discount = 0) => {
   try {
     // Calculate subtotal
     const subtotal = items.reduce((total, item) => {
       return total + (item.price * item.quantity);
     }, 0);
 
-    // Shipping charges based on city (Pakistan)
-    const shippingCharges = calculateShippingCharges(city, subtotal);
-
-    // Calculate discount (can be extended for coupon codes)
-    const discount = 0;
-
     // Calculate total
     const total = subtotal + shippingCharges - discount;
 
@@ -137,38 +182,6 @@ exports.calculateOrderPricing = (items, city) => {
   }
 };
 
-/**
- * Calculate shipping charges based on city
- */
-function calculateShippingCharges(city, subtotal) {
-  // Free shipping threshold
-  const FREE_SHIPPING_THRESHOLD = 5000;
-
-  if (subtotal >= FREE_SHIPPING_THRESHOLD) {
-    return 0;
-  }
-
-  // Major cities in Pakistan with shipping rates
-  const cityRates = {
-    'Lahore': 150,
-    'Karachi': 200,
-    'Islamabad': 180,
-    'Rawalpindi': 180,
-    'Faisalabad': 170,
-    'Multan': 180,
-    'Peshawar': 200,
-    'Quetta': 250,
-    'Sialkot': 160,
-    'Gujranwala': 160
-  };
-
-  // Normalize city name
-  const normalizedCity = city.trim();
-
-  // Return specific rate or default rate
-  return cityRates[normalizedCity] || 200;
-}
-
 /**
  * Calculate estimated delivery date
  * Based on order type and complexity
@@ -385,38 +398,12 @@ exports.getDetailedStats = async (period = 'month') => {
 /**
  * Check if order can be cancelled by customer
  */
-exports.canCustomerCancel = (order) => {
-  const nonCancellableStatuses = [
-    'in-progress',
-    'quality-check',
-    'ready-dispatch',
-    'dispatched',
-    'delivered',
-    'cancelled'
-  ];
-  return !nonCancellableStatuses.includes(order.status);
-};
+exports.canCustomerCancel = (order) => Boolean(STATES[order.status]?.customerCancellable);
 
 /**
  * Get next valid status transitions
  */
-exports.getValidStatusTransitions = (currentStatus) => {
-  // Status values must match Order model enum
-  const transitions = {
-    'pending-payment': ['payment-verified', 'cancelled'],
-    'payment-verified': ['material-arranged', 'cancelled'],
-    'material-arranged': ['in-progress', 'cancelled'],
-    'in-progress': ['quality-check'],
-    'quality-check': ['ready-dispatch', 'in-progress'], // Can go back for rework
-    'ready-dispatch': ['dispatched'],
-    'dispatched': ['delivered'],
-    'delivered': [],
-    'cancelled': [],
-    'refunded': []
-  };
-
-  return transitions[currentStatus] || [];
-};
+exports.getValidStatusTransitions = (currentStatus) => getNextStatuses(currentStatus);
 
 /**
  * Calculate order completion rate
@@ -0,0 +1,307 @@
+const Order = require('../models/Order');
+const ProductionQueue = require('../models/ProductionQueue');
+const notificationService = require('./notificationService');
+const fabricService = require('./fabricService');
+const promoCodeService = require('./promoCodeService');
+const loyaltyService = require('./loyaltyService');
+const referralService = require('./referralService');
+const walletService = require('./walletService');
+const tailorAssignmentService = require('./tailorAssignmentService');
+const logger = require('../utils/logger');
+const {
+  STATES,
+  GUARDS,
+  EFFECTS,
+  TRANSITIONS,
+  QUEUE_STATUS_MAP,
+  PRODUCTION_FLOW,
+  ORDER_STATUSES,
+  getTransition,
+  getNextStatuses
+} = require('../config/orderStatusMachine');
+
+/**
+ * Order Status Service
+ * Runs the order status machine defined in config/orderStatusMachine:
+ * checks guards, moves the order and runs the side effects of the new status
+ */
+
+/**
+ * Guard checks; each returns null when the guard passes, or the failure
+ */
+const GUARD_CHECKS = {
+  'deposit-paid': (order) => {
+    if (order.hasPaidDeposit()) return null;
+    if (order.payment.status !== 'partial') return { error: 'Cannot update status until payment is verified' };
+    return {
+      error: `Deposit of PKR ${order.depositAmount.toLocaleString()} must be paid before production (PKR ${(order.payment.amountPaid || 0).toLocaleString()} received)`,
+      data: { depositAmount: order.depositAmount, amountPaid: order.payment.amountPaid || 0 }
+    };
+  },
+
+  'balance-paid': (order) => (order.canDispatch()
+    ? null
+    : {
+      error: `Balance of PKR ${order.balanceDue.toLocaleString()} must be paid before dispatch`,
+      data: { balanceDue: order.balanceDue }
+    }),
+
+  'refund-recorded': (order) => ((order.payment.refund?.amount || 0) > 0
+    ? null
+    : { error: 'Process the refund before marking the order as refunded' })
+};
+
+/**
+ * Effects applied to the order before it is saved
+ */
+const ENTRY_UPDATES = {
+  'set-dispatch-date': (order) => {
+    if (!order.tracking?.dispatchDate) order.set('tracking.dispatchDate', new Date());
+  },
+
+  'set-completion-date': (order) => {
+    order.actualCompletion = new Date();
+  }
+};
+
+/**
+ * Effects run once the order is saved
+ */
+const AFTER_SAVE = {
+  'notify-customer': (order, previousStatus, { notifyCustomer = true }) => (notifyCustomer
+    ? notificationService.sendStatusUpdate(order, previousStatus)
+    : null),
+
+  'consume-fabric': (order, previousStatus, { user }) => fabricService.consumeForOrder(order, user),
+
+  'create-queue-item': async (order) => {
+    const existing = await ProductionQueue.exists({ orderId: order._id });
+    if (existing) return;
+
+    // New queue items are auto-assigned to a tailor on creation
+    await ProductionQueue.create({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      priority: order.priority || 'normal',
+      estimatedCompletionDate: order.estimatedCompletion
+    });
+  },
+
+  'cancel-queue-item': async (order, previousStatus, { user }) => {
+    const item = await ProductionQueue.findOne({
+      orderId: order._id,
+      status: { $nin: ['completed', 'cancelled'] }
+    });
+    if (!item) return;
+
+    await item.updateStatus('cancelled', user?._id);
+    await tailorAssignmentService.releaseTailor(item, 'cancelled');
+  },
+
+  'release-promo-code': (order) => (order.pricing?.discountCode
+    ? promoCodeService.release(order._id, 'Order cancelled')
+    : null),
+
+  'award-loyalty-points': (order) => loyaltyService.awardForOrder(order),
+
+  'reverse-loyalty-points': (order) => loyaltyService.reverseForOrder(order, `Order ${order.status}`),
+
+  // Only what hasn't already been given back, so a repeat run returns nothing
+  'return-store-credit': async (order, previousStatus, { user }) => {
+    const returned = await walletService.returnWalletPayments(order, 'Order cancelled', user);
+    if (returned <= 0) return;
+
+    if (user) {
+      order.notes.push({
+        text: `PKR ${returned.toLocaleString()} store credit returned to the customer's wallet`,
+        addedBy: user._id,
+        timestamp: new Date()
+      });
+    }
+    await order.save();
+  },
+
+  'complete-referral': (order) => referralService.completeForOrder(order)
+};
+
+/**
+ * The machine definition, for clients that render status controls
+ */
+exports.getDefinition = () => ({
+  states: ORDER_STATUSES.map(status => ({ status, ...STATES[status] })),
+  transitions: TRANSITIONS.map(transition => ({
+    ...transition,
+    label: transition.label || STATES[transition.to].label,
+    guards: transition.guards || []
+  })),
+  guards: GUARDS,
+  effects: EFFECTS
+});
+
+/**
+ * Check whether an order may move to a status
+ * Moving to the current status is allowed and only records a note
+ * @param {Object} order - Order document
+ * @param {string} newStatus
+ * @returns {Object} { valid, unchanged?, error?, data?, allowedTransitions? }
+ */
+exports.validateStatusUpdate = (order, newStatus) => {
+  if (!STATES[newStatus]) {
+    return {
+      valid: false,
+      error: `Invalid status: ${newStatus}`,
+      validStatuses: ORDER_STATUSES
+    };
+  }
+
+  if (order.status === newStatus) {
+    return { valid: true, unchanged: true };
+  }
+
+  const transition = getTransition(order.status, newStatus);
+  if (!transition) {
+    return {
+      valid: false,
+      error: `Cannot change status from '${order.status}' to '${newStatus}'`,
+      allowedTransitions: getNextStatuses(order.status)
+    };
+  }
+
+  for (const guard of transition.guards || []) {
+    const failure = GUARD_CHECKS[guard](order);
+    if (failure) return { valid: false, guard, ...failure };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * The moves available from the order's current status, with the reason any are blocked
+ * @param {Object} order - Order document
+ * @returns {Array} [{ to, label, description, allowed, reason }]
+ */
+exports.getTransitions = (order) => TRANSITIONS
+  .filter(transition => transition.from === order.status)
+  .map(transition => {
+    const check = exports.validateStatusUpdate(order, transition.to);
+
+    return {
+      to: transition.to,
+      label: transition.label || STATES[transition.to].label,
+      description: STATES[transition.to].description,
+      allowed: check.valid,
+      reason: check.valid ? undefined : check.error
+    };
+  });
+
+/**
+ * Move the order to a status and apply the effects that change the order itself
+ * Doesn't validate or save; use transition() unless the caller has already validated
+ * @param {Object} order - Order document
+ * @param {string} newStatus
+ * @param {Object} [options] - { note, user }
+ * @returns {string} The previous status
+ */
+exports.applyStatus = (order, newStatus, { note, user } = {}) => {
+  const previousStatus = order.status;
+
+  order.status = newStatus;
+  order.statusHistory.push({
+    status: newStatus,
+    timestamp: new Date(),
+    note: note || `Status updated from ${previousStatus} to ${newStatus}`,
+    updatedBy: user?._id
+  });
+
+  if (previousStatus !== newStatus) {
+    STATES[newStatus].onEnter
+      .filter(effect => ENTRY_UPDATES[effect])
+      .forEach(effect => ENTRY_UPDATES[effect](order));
+  }
+
+  return previousStatus;
+};
+
+/**
+ * Run the after-save effects of the order's current status
+ * Failures are logged and never undo the status change
+ * @param {Object} order - Saved order document
+ * @param {string} previousStatus
+ * @param {Object} [options] - { notifyCustomer, user }
+ */
+exports.runEffects = async (order, previousStatus, options = {}) => {
+  if (previousStatus === order.status) return;
+
+  for (const effect of STATES[order.status].onEnter) {
+    if (!AFTER_SAVE[effect]) continue;
+
+    try {
+      await AFTER_SAVE[effect](order, previousStatus, options);
+    } catch (error) {
+      logger.error(`Order status effect ${effect} failed for ${order.orderNumber}:`, error);
+    }
+  }
+};
+
+/**
+ * Validate, apply and save a status change, then run its effects
+ * @param {Object} order - Order document
+ * @param {string} newStatus
+ * @param {Object} [options] - { note, user, notifyCustomer }
+ * @returns {Object} The validation result, plus previousStatus when it succeeded
+ */
+exports.transition = async (order, newStatus, options = {}) => {
+  const check = exports.validateStatusUpdate(order, newStatus);
+  if (!check.valid) return check;
+
+  const previousStatus = exports.applyStatus(order, newStatus, options);
+  await order.save();
+  await exports.runEffects(order, previousStatus, options);
+
+  return { ...check, previousStatus };
+};
+
+/**
+ * Whether the customer can still cancel the order themselves
+ */
+exports.canCustomerCancel = (order) => Boolean(STATES[order.status]?.customerCancellable);
+
+/**
+ * Bring the order in line with its production queue item
+ * Steps forward through production one allowed move at a time (or back for rework),
+ * and leaves the order where it is if the machine doesn't allow the move
+ * @param {Object} item - ProductionQueue document
+ * @param {Object} [user] - Who moved the queue item
+ * @returns {Object|null} The updated order, or null if it didn't change
+ */
+exports.syncFromQueue = async (item, user) => {
+  const target = QUEUE_STATUS_MAP[item.status];
+  if (!target) return null;
+
+  const order = await Order.findById(item.orderId);
+  if (!order || order.status === target) return null;
+
+  const from = PRODUCTION_FLOW.indexOf(order.status);
+  const to = PRODUCTION_FLOW.indexOf(target);
+  const steps = from !== -1 && to > from
+    ? PRODUCTION_FLOW.slice(from + 1, to + 1)
+    : [target];
+
+  const note = `Production queue moved to ${item.status}`;
+  let changed = false;
+
+  for (const status of steps) {
+    // Only tell the customer where the order ended up
+    const notifyCustomer = status === steps[steps.length - 1];
+    const result = await exports.transition(order, status, { note, user, notifyCustomer });
+    if (!result.valid) {
+      logger.info(`Order ${order.orderNumber} not synced to ${status}: ${result.error}`);
+      break;
+    }
+    changed = true;
+  }
+
+  return changed ? order : null;
+};
+
+module.exports = exports;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const PaymentAttempt = require('../models/PaymentAttempt');
+const { getGateway } = require('./paymentGateways');
+const paymentWebhookService = require('./paymentWebhookService');
+const paymentLedgerService = require('./paymentLedgerService');
+const logger = require('../utils/logger');
+
+/**
+ * Payment Checkout Service
+ * Hosted JazzCash/Easypaisa checkout: initiating attempts, handling the
+ * customer's return and the local mock gateway
+ *
+ * Results are applied through paymentWebhookService, so the return URL and
+ * the gateway's server-to-server callback are deduplicated against each other
+ */
+
+// How long the customer has to finish paying at the gateway
+const ATTEMPT_TTL_MINUTES = 30;
+
+/**
+ * The mock gateway marks orders paid without taking money, so production
+ * must opt in explicitly, like the webhook simulator
+ */
+exports.isMockEnabled = () =>
+  process.env.NODE_ENV !== 'production' || process.env.PAYMENT_SIMULATOR_ENABLED === 'true';
+
+/**
+ * Gateway mode: mock (local page), sandbox or live
+ * Defaults to mock outside production
+ */
+exports.getMode = () => {
+  const mode = process.env.PAYMENT_GATEWAY_MODE;
+
+  if (mode === 'mock' && !exports.isMockEnabled()) {
+    logger.warn('PAYMENT_GATEWAY_MODE=mock is ignored in production; using live');
+    return 'live';
+  }
+  if (['mock', 'sandbox', 'live'].includes(mode)) return mode;
+  return process.env.NODE_ENV === 'production' ? 'live' : 'mock';
+};
+
+/**
+ * Token that lets a guest pay for an order without signing in
+ * Given out when the order is placed; derived from the order id, so nothing
+ * is stored
+ */
+exports.getGuestPaymentToken = (order) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`order-payment:${order._id}`)
+    .digest('hex');
+
+/**
+ * Check a guest payment token against an order
+ */
+exports.verifyGuestPaymentToken = (order, token) => {
+  if (typeof token !== 'string' || !token) return false;
+
+  const expected = Buffer.from(exports.getGuestPaymentToken(order));
+  const provided = Buffer.from(token);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * Merchant reference for the gateway (JazzCash allows 20 characters)
+ */
+const generateReference = () => {
+  const timestamp = Date.now().toString().slice(-10);
+  return `LC${timestamp}${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Start a hosted checkout for an order
+ * @param {Object} options
+ * @param {Object} options.order - Order document awaiting payment
+ * @param {string} options.provider - 'jazzcash' | 'easypaisa'
+ * @param {string} options.returnUrl - Storefront page to come back to
+ * @param {string} options.apiBaseUrl - Public base URL of this API (for gateway redirects)
+ * @param {boolean} [options.payInFull=false] - Charge the whole balance rather than the advance deposit
+ * @returns {Object} { attempt, redirect: { url, method, fields } }
+ */
+exports.initiatePayment = async ({ order, provider, returnUrl, apiBaseUrl, payInFull = false }) => {
+  const gateway = getGateway(provider);
+  if (!gateway) {
+    throw new Error(`Unsupported payment provider: ${provider}`);
+  }
+
+  const mode = exports.getMode();
+  if (!gateway.isConfigured()) {
+    throw new Error(`${gateway.displayName} is not configured`);
+  }
+
+  // Only the newest attempt can settle the order
+  await PaymentAttempt.cancelPending(order._id);
+
+  const attempt = await PaymentAttempt.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    customer: order.customer,
+    provider,
+    mode,
+    reference: generateReference(),
+    amount: paymentLedgerService.getAmountDue(order, { payInFull }),
+    returnUrl,
+    expiresAt: new Date(Date.now() + ATTEMPT_TTL_MINUTES * 60 * 1000)
+  });
+
+  if (order.payment.method !== provider) {
+    order.payment.method = provider;
+    await order.save();
+  }
+
+  let redirect;
+  if (mode === 'mock') {
+    redirect = {
+      url: `${apiBaseUrl}/api/v1/payments/mock/${attempt._id}`,
+      method: 'GET',
+      fields: {}
+    };
+  } else {
+    redirect = gateway.buildCheckoutRequest({
+      orderNumber: order.orderNumber,
+      amount: attempt.amount,
+      transactionId: attempt.reference,
+      returnUrl: `${apiBaseUrl}/api/v1/payments/return/${provider}`,
+      expiresAt: attempt.expiresAt,
+      customer: {
+        email: order.customerInfo?.email,
+        phone: order.customerInfo?.phone
+      },
+      mode
+    });
+  }
+
+  logger.info(`Payment attempt ${attempt.reference} started for order ${order.orderNumber}`, {
+    provider,
+    mode,
+    amount: attempt.amount
+  });
+
+  return { attempt, redirect };
+};
+
+/**
+ * Handle the customer coming back from the gateway
+ * Signed results are applied straight away; unsigned ones (e.g. Easypaisa's
+ * browser redirect) wait for the gateway's callback
+ * @param {string} provider
+ * @param {Object} payload - Query/body sent back by the gateway
+ * @param {Object} [context] - { headers, ip }
+ * @returns {Object|null} The payment attempt
+ */
+exports.handleReturn = async (provider, payload, { headers = {}, ip } = {}) => {
+  const gateway = getGateway(provider);
+  if (!gateway) return null;
+
+  const signature = gateway.getSignature(payload, headers);
+  if (gateway.verifySignature(payload, signature)) {
+    await paymentWebhookService.receiveWebhook(provider, payload, { headers, ip });
+  }
+
+  const orderNumber = gateway.parse(payload).orderNumber || payload.orderRefNumber;
+  if (!orderNumber) return null;
+
+  return PaymentAttempt.findOne({ provider, orderNumber }).sort({ createdAt: -1 });
+};
+
+/**
+ * Finish a payment on the mock gateway page
+ * Builds the same signed result the real gateway would send back
+ * @param {Object} attempt - Pending PaymentAttempt in mock mode
+ * @param {boolean} approved - Customer approved or declined
+ * @returns {Object} The settled attempt
+ */
+exports.completeMockPayment = async (attempt, approved) => {
+  const payload = paymentWebhookService.buildSimulatedCallback(attempt.provider, {
+    orderNumber: attempt.orderNumber,
+    amount: attempt.amount,
+    success: approved,
+    transactionId: attempt.provider === 'jazzcash' ? attempt.reference : undefined
+  });
+
+  await exports.handleReturn(attempt.provider, payload);
+  return PaymentAttempt.findById(attempt._id);
+};
+
+/**
+ * Expire an attempt the customer never finished
+ * @returns {Object} The attempt
+ */
+exports.expireIfStale = async (attempt) => {
+  if (attempt.isExpired) {
+    attempt.status = 'expired';
+    attempt.failureReason = 'Payment window expired';
+    attempt.completedAt = new Date();
+    await attempt.save();
+  }
+  return attempt;
+};
+
+/**
+ * Storefront URL to send the customer back to
+ */
+exports.buildResultUrl = (attempt) => {
+  const url = new URL(attempt.returnUrl);
+  url.searchParams.set('paymentAttempt', attempt._id.toString());
+  url.searchParams.set('paymentStatus', attempt.status);
+  return url.toString();
+};
+
+module.exports = exports;
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+/**
+ * Easypaisa Gateway
+ * IPN parsing and signing
+ *
+ * Easypaisa signs IPN notifications with HMAC-SHA256 keyed by the merchant
+ * hash key over "key=value" pairs sorted by key and joined with "&". The
+ * signature arrives in the x-easypaisa-signature header or the signature field
+ */
+
+const SUCCESS_STATUS = 'PAID';
+const SIGNATURE_HEADER = 'x-easypaisa-signature';
+
+// Hosted checkout pages
+const CHECKOUT_URLS = {
+  sandbox: 'https://easypaystg.easypaisa.com.pk/easypay/Index.jsf',
+  live: 'https://easypay.easypaisa.com.pk/easypay/Index.jsf'
+};
+
+const getHashKey = () => process.env.EASYPAISA_HASH_KEY;
+
+/**
+ * Compute the signature for a payload
+ */
+const computeSignature = (payload, hashKey) => {
+  const message = Object.keys(payload)
+    .filter(key => key !== 'signature')
+    .sort()
+    .filter(key => payload[key] !== undefined && payload[key] !== null && payload[key] !== '')
+    .map(key => `${key}=${payload[key]}`)
+    .join('&');
+
+  return crypto.createHmac('sha256', hashKey).update(message).digest('hex');
+};
+
+exports.name = 'easypaisa';
+exports.displayName = 'Easypaisa';
+
+/**
+ * Whether the hash key is configured
+ */
+exports.isConfigured = () => Boolean(getHashKey());
+
+/**
+ * Signature sent with a notification
+ */
+exports.getSignature = (payload, headers = {}) => headers[SIGNATURE_HEADER] || payload.signature || null;
+
+/**
+ * Verify an IPN signature
+ * @param {Object} payload - Notification fields
+ * @param {string} signature - From getSignature()
+ */
+exports.verifySignature = (payload, signature = exports.getSignature(payload)) => {
+  const hashKey = getHashKey();
+  if (!hashKey || !signature) return false;
+
+  const expected = Buffer.from(computeSignature(payload, hashKey));
+  const received = Buffer.from(String(signature).toLowerCase());
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Normalise a notification into gateway-neutral fields
+ */
+exports.parse = (payload) => ({
+  transactionId: payload.transactionId || null,
+  orderNumber: payload.orderRefNum || null,
+  amount: Number(payload.transactionAmount || 0),
+  success: payload.transactionStatus === SUCCESS_STATUS,
+  providerStatus: payload.transactionStatus || null,
+  message: payload.responseDesc || null,
+  paidAt: payload.transactionDateTime ? new Date(payload.transactionDateTime) : new Date()
+});
+
+/**
+ * Add the signature field to a payload
+ */
+exports.sign = (payload) => {
+  const hashKey = getHashKey();
+  if (!hashKey) {
+    throw new Error('EASYPAISA_HASH_KEY is not configured');
+  }
+  return { ...payload, signature: computeSignature(payload, hashKey) };
+};
+
+/**
+ * Encrypt checkout parameters into merchantHashedReq
+ * (AES-128-ECB with the hash key, base64 encoded, over the sorted key=value string)
+ */
+const encryptRequest = (fields, hashKey) => {
+  const message = Object.keys(fields)
+    .sort()
+    .map(key => `${key}=${fields[key]}`)
+    .join('&');
+
+  const cipher = crypto.createCipheriv('aes-128-ecb', Buffer.from(hashKey, 'utf8').subarray(0, 16), null);
+  return Buffer.concat([cipher.update(message, 'utf8'), cipher.final()]).toString('base64');
+};
+
+const formatExpiry = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())} ` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+/**
+ * Build the form that sends the customer to the hosted checkout page
+ * @param {Object} options - { orderNumber, amount, transactionId, returnUrl, expiresAt, customer, mode }
+ * @returns {Object} { url, method, fields }
+ */
+exports.buildCheckoutRequest = ({ orderNumber, amount, returnUrl, expiresAt, customer = {}, mode = 'sandbox' }) => {
+  const hashKey = getHashKey();
+  if (!hashKey) {
+    throw new Error('EASYPAISA_HASH_KEY is not configured');
+  }
+
+  const fields = {
+    storeId: process.env.EASYPAISA_STORE_ID,
+    amount: Number(amount).toFixed(1),
+    postBackURL: returnUrl,
+    orderRefNum: orderNumber,
+    expiryDate: formatExpiry(expiresAt),
+    autoRedirect: '1',
+    paymentMethod: 'MA_PAYMENT_METHOD',
+    ...(customer.email && { emailAddr: customer.email }),
+    ...(customer.phone && { mobileNum: customer.phone })
+  };
+
+  return {
+    url: CHECKOUT_URLS[mode] || CHECKOUT_URLS.sandbox,
+    method: 'POST',
+    fields: { ...fields, merchantHashedReq: encryptRequest(fields, hashKey) }
+  };
+};
+
+/**
+ * Build an unsigned IPN payload, as Easypaisa would send it
+ */
+exports.buildCallback = ({ orderNumber, amount, transactionId, success = true, paidAt = new Date() }) => ({
+  storeId: process.env.EASYPAISA_STORE_ID || '00000',
+  orderRefNum: orderNumber,
+  transactionId,
+  transactionAmount: Number(amount).toFixed(2),
+  transactionStatus: success ? SUCCESS_STATUS : 'FAILED',
+  transactionDateTime: paidAt.toISOString(),
+  paymentMethod: 'MA',
+  msisdn: '03000000000',
+  responseDesc: success ? 'Transaction successful' : 'Insufficient balance'
+});
+
+module.exports = exports;
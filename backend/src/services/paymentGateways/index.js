@@ -0,0 +1,28 @@
+const jazzcash = require('./jazzcash');
+const easypaisa = require('./easypaisa');
+
+/**
+ * Payment Gateways
+ * Registry of gateway adapters keyed by payment method
+ *
+ * Each adapter exposes: name, displayName, isConfigured, getSignature,
+ * verifySignature, parse, sign, buildCheckoutRequest and buildCallback
+ */
+
+const gateways = {
+  [jazzcash.name]: jazzcash,
+  [easypaisa.name]: easypaisa
+};
+
+/**
+ * Get a gateway adapter by name
+ * @returns {Object|null}
+ */
+exports.getGateway = (name) => gateways[name] || null;
+
+/**
+ * Names of all supported gateways
+ */
+exports.getGatewayNames = () => Object.keys(gateways);
+
+module.exports = exports;
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+/**
+ * JazzCash Gateway
+ * Callback parsing and pp_SecureHash signing
+ *
+ * JazzCash signs callbacks with HMAC-SHA256 keyed by the integrity salt over
+ * the salt followed by every non-empty pp_* value, sorted by field name and
+ * joined with "&"
+ */
+
+const SUCCESS_CODE = '000';
+
+// Hosted checkout pages
+const CHECKOUT_URLS = {
+  sandbox: 'https://sandbox.jazzcash.com.pk/CustomerPortal/transactionmanagement/merchantform/',
+  live: 'https://payments.jazzcash.com.pk/CustomerPortal/transactionmanagement/merchantform/'
+};
+
+const getSalt = () => process.env.JAZZCASH_INTEGRITY_SALT;
+
+/**
+ * Compute pp_SecureHash for a payload
+ */
+const computeHash = (payload, salt) => {
+  const values = Object.keys(payload)
+    .filter(key => key.startsWith('pp_') && key !== 'pp_SecureHash')
+    .sort()
+    .map(key => payload[key])
+    .filter(value => value !== undefined && value !== null && value !== '');
+
+  return crypto
+    .createHmac('sha256', salt)
+    .update([salt, ...values].join('&'))
+    .digest('hex')
+    .toUpperCase();
+};
+
+/**
+ * Parse JazzCash's yyyyMMddHHmmss timestamps
+ */
+const parseDateTime = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+  if (!match) return new Date();
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return new Date(year, month - 1, day, hour, minute, second);
+};
+
+const formatDateTime = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+exports.name = 'jazzcash';
+exports.displayName = 'JazzCash';
+
+/**
+ * Whether the integrity salt is configured
+ */
+exports.isConfigured = () => Boolean(getSalt());
+
+/**
+ * Signature sent with a callback
+ */
+exports.getSignature = (payload) => payload.pp_SecureHash || null;
+
+/**
+ * Verify a callback's pp_SecureHash
+ * @param {Object} payload - Callback fields
+ * @param {string} [signature] - Defaults to payload.pp_SecureHash
+ */
+exports.verifySignature = (payload, signature = exports.getSignature(payload)) => {
+  const salt = getSalt();
+  if (!salt || !signature) return false;
+
+  const expected = Buffer.from(computeHash(payload, salt));
+  const received = Buffer.from(String(signature).toUpperCase());
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Normalise a callback into gateway-neutral fields
+ */
+exports.parse = (payload) => ({
+  transactionId: payload.pp_TxnRefNo || null,
+  orderNumber: payload.pp_BillReference || null,
+  // pp_Amount is in paisa
+  amount: Number(payload.pp_Amount || 0) / 100,
+  success: payload.pp_ResponseCode === SUCCESS_CODE,
+  providerStatus: payload.pp_ResponseCode || null,
+  message: payload.pp_ResponseMessage || null,
+  paidAt: parseDateTime(payload.pp_TxnDateTime)
+});
+
+/**
+ * Add pp_SecureHash to a payload
+ */
+exports.sign = (payload) => {
+  const salt = getSalt();
+  if (!salt) {
+    throw new Error('JAZZCASH_INTEGRITY_SALT is not configured');
+  }
+  return { ...payload, pp_SecureHash: computeHash(payload, salt) };
+};
+
+/**
+ * Build the signed form that sends the customer to the hosted checkout page
+ * @param {Object} options - { orderNumber, amount, transactionId, returnUrl, description, expiresAt, mode }
+ * @returns {Object} { url, method, fields }
+ */
+exports.buildCheckoutRequest = ({ orderNumber, amount, transactionId, returnUrl, description, expiresAt, mode = 'sandbox' }) => {
+  const fields = exports.sign({
+    pp_Version: '1.1',
+    pp_TxnType: 'MWALLET',
+    pp_Language: 'EN',
+    pp_MerchantID: process.env.JAZZCASH_MERCHANT_ID,
+    pp_Password: process.env.JAZZCASH_PASSWORD,
+    pp_TxnRefNo: transactionId,
+    pp_Amount: String(Math.round(amount * 100)),
+    pp_TxnCurrency: 'PKR',
+    pp_TxnDateTime: formatDateTime(new Date()),
+    pp_BillReference: orderNumber,
+    pp_Description: description || `Order ${orderNumber}`,
+    pp_TxnExpiryDateTime: formatDateTime(expiresAt),
+    pp_ReturnURL: returnUrl
+  });
+
+  return {
+    url: CHECKOUT_URLS[mode] || CHECKOUT_URLS.sandbox,
+    method: 'POST',
+    fields
+  };
+};
+
+/**
+ * Build an unsigned callback payload, as JazzCash would send it
+ */
+exports.buildCallback = ({ orderNumber, amount, transactionId, success = true, paidAt = new Date() }) => ({
+  pp_Version: '1.1',
+  pp_TxnType: 'MWALLET',
+  pp_Language: 'EN',
+  pp_MerchantID: process.env.JAZZCASH_MERCHANT_ID || 'MC00000',
+  pp_TxnRefNo: transactionId,
+  pp_Amount: String(Math.round(amount * 100)),
+  pp_TxnCurrency: 'PKR',
+  pp_TxnDateTime: formatDateTime(paidAt),
+  pp_BillReference: orderNumber,
+  pp_ResponseCode: success ? SUCCESS_CODE : '124',
+  pp_ResponseMessage: success ? 'Thank you for Using JazzCash, your transaction was successful.' : 'Transaction has been rejected by the user.',
+  pp_RetreivalReferenceNo: String(Date.now()).slice(-12)
+});
+
+module.exports = exports;
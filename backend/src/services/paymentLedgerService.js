@@ -0,0 +1,285 @@
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Payment Ledger Service
+ * Installment payments for orders: advance deposits, balance payments,
+ * verification and balance reminders
+ *
+ * Each payment is an installment on order.payment.installments; the order's
+ * amountPaid and payment status are derived from the verified ones
+ */
+
+// Settings.payment.deposit key for each item type
+const DEPOSIT_KEYS = {
+  'fully-custom': 'fullyCustom',
+  'brand-article-copy': 'brandArticleCopy',
+  'ready-made': 'readyMade'
+};
+
+/**
+ * Deposit percentage for a set of order items
+ * Mixed orders use the item-value-weighted average of each item's percentage
+ * @param {Array} items - Order items
+ * @returns {number} Percentage of the total due up front (100 = pay in full)
+ */
+exports.getDepositPercentage = async (items = []) => {
+  const settings = await Settings.getSettings();
+  const deposit = settings.payment?.deposit;
+
+  if (!deposit || !deposit.enabled) return 100;
+
+  let value = 0;
+  let weighted = 0;
+
+  items.forEach(item => {
+    const itemValue = item.subtotal || (item.price || 0) * (item.quantity || 1);
+    const serviceType = item.isCustom ? item.customDetails?.serviceType : 'ready-made';
+    const percentage = deposit[DEPOSIT_KEYS[serviceType] || 'readyMade'];
+
+    value += itemValue;
+    weighted += itemValue * (percentage ?? 100);
+  });
+
+  if (value <= 0) return 100;
+  return Math.round((weighted / value) * 100) / 100;
+};
+
+/**
+ * Amount to collect for the next payment
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {boolean} [options.payInFull=false] - Pay the whole balance instead of just the deposit
+ * @returns {number}
+ */
+exports.getAmountDue = (order, { payInFull = false } = {}) => {
+  const balance = order.balanceDue;
+
+  if (!payInFull && order.status === 'pending-payment') {
+    const depositOutstanding = order.depositAmount - (order.payment.amountPaid || 0);
+    if (depositOutstanding > 0) return Math.min(depositOutstanding, balance);
+  }
+
+  return balance;
+};
+
+/**
+ * Ledger summary for an order
+ */
+exports.getLedger = (order) => ({
+  orderNumber: order.orderNumber,
+  total: order.pricing.total,
+  depositPercentage: order.payment.depositPercentage ?? 100,
+  depositAmount: order.depositAmount,
+  amountPaid: order.payment.amountPaid || 0,
+  balanceDue: order.balanceDue,
+  paymentStatus: order.payment.status,
+  canDispatch: order.canDispatch(),
+  installments: order.payment.installments || [],
+  balanceReminder: order.payment.balanceReminder,
+  // Amounts above are PKR; the customer's currency and locked rate for display
+  displayCurrency: order.displayCurrency?.code && order.displayCurrency.code !== 'PKR' ? order.displayCurrency : null
+});
+
+/**
+ * Notify the customer when a verified installment released or settled the order
+ */
+const notifyIfSettled = (order, previous) => {
+  const released = previous.status === 'pending-payment' && order.status === 'payment-verified';
+  const settled = previous.paymentStatus !== 'verified' && order.payment.status === 'verified';
+
+  if (released || settled) {
+    notificationService.sendPaymentVerified(order).catch(error => {
+      logger.error(`Payment verified notification failed for ${order.orderNumber}:`, error);
+    });
+  }
+};
+
+/**
+ * Add an installment to an order and save it
+ * @param {Object} order - Order document
+ * @param {Object} data - { amount, method, transactionId, receiptImage, paidAt, notes }
+ *   plus { currency, originalAmount, exchangeRate } when paid in another currency
+ * @param {Object} [options]
+ * @param {string} [options.source='customer'] - 'customer' | 'admin' | 'gateway'
+ * @param {boolean} [options.verified=false] - Record as already verified (admin/gateway)
+ * @param {Object} [options.user] - User recording the payment
+ * @returns {Object} The new installment
+ */
+exports.addInstallment = async (order, data, { source = 'customer', verified = false, user } = {}) => {
+  const previous = { status: order.status, paymentStatus: order.payment.status };
+  const now = new Date();
+
+  order.payment.installments.push({
+    amount: data.amount,
+    method: data.method,
+    transactionId: data.transactionId,
+    receiptImage: data.receiptImage?.url
+      ? { ...data.receiptImage, uploadedAt: data.receiptImage.uploadedAt || now }
+      : undefined,
+    paidAt: data.paidAt || now,
+    notes: data.notes,
+    currency: data.currency,
+    originalAmount: data.originalAmount,
+    exchangeRate: data.exchangeRate,
+    source,
+    status: verified ? 'verified' : 'pending',
+    recordedBy: user?._id,
+    verifiedBy: verified ? user?._id : undefined,
+    verifiedAt: verified ? now : undefined
+  });
+
+  const installment = order.payment.installments[order.payment.installments.length - 1];
+
+  // Failed payments are retried with a new installment
+  if (order.payment.status === 'failed') {
+    order.payment.status = 'pending';
+  }
+
+  if (verified) {
+    order.applyInstallments(user?._id);
+  }
+
+  await order.save();
+
+  if (verified) {
+    notifyIfSettled(order, previous);
+  }
+
+  return installment;
+};
+
+/**
+ * Approve or reject a pending installment
+ * @param {Object} order - Order document
+ * @param {Object} installment - Pending installment subdocument
+ * @param {Object} review - { approved, reason, notes }
+ * @param {Object} admin - Reviewing admin
+ * @returns {Object} The updated installment
+ */
+exports.reviewInstallment = async (order, installment, { approved, reason, notes }, admin) => {
+  const previous = { status: order.status, paymentStatus: order.payment.status };
+  const now = new Date();
+
+  installment.verifiedBy = admin._id;
+  installment.verifiedAt = now;
+  if (notes) installment.notes = notes;
+
+  if (approved) {
+    installment.status = 'verified';
+    order.applyInstallments(admin._id);
+  } else {
+    installment.status = 'rejected';
+    installment.rejectionReason = reason || 'Payment could not be verified';
+    order.notes.push({
+      text: `Payment of PKR ${installment.amount.toLocaleString()} rejected: ${installment.rejectionReason}`,
+      addedBy: admin._id,
+      timestamp: now
+    });
+  }
+
+  await order.save();
+
+  if (approved) {
+    notifyIfSettled(order, previous);
+  } else {
+    notificationService.sendPaymentRejected(order, installment.rejectionReason).catch(error => {
+      logger.error(`Payment rejected notification failed for ${order.orderNumber}:`, error);
+    });
+  }
+
+  return installment;
+};
+
+/**
+ * Record a verified gateway payment exactly once
+ * @param {Object} order - Order the payment belongs to
+ * @param {Object} payment - { amount, method, transactionId, paidAt, notes }
+ * @returns {Object|null} The updated order, or null if this transaction was already recorded
+ */
+exports.recordGatewayPayment = async (order, { amount, method, transactionId, paidAt, notes }) => {
+  const now = new Date();
+
+  // Conditional push so a transaction can't be added to the ledger twice
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'payment.installments.transactionId': { $ne: transactionId } },
+    {
+      $push: {
+        'payment.installments': {
+          amount,
+          method,
+          transactionId,
+          paidAt: paidAt || now,
+          notes,
+          source: 'gateway',
+          status: 'verified',
+          verifiedAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) return null;
+
+  const previous = { status: updated.status, paymentStatus: updated.payment.status };
+
+  if (updated.payment.method === 'pending' || updated.status === 'pending-payment') {
+    updated.payment.method = method;
+  }
+  updated.payment.transactionId = transactionId;
+  updated.payment.transactionDate = paidAt || now;
+  if (notes) updated.payment.verificationNotes = notes;
+  updated.applyInstallments();
+  await updated.save();
+
+  notifyIfSettled(updated, previous);
+  return updated;
+};
+
+/**
+ * Send a balance reminder and record it on the order
+ * @returns {Object} Notification result
+ */
+exports.sendBalanceReminder = async (order) => {
+  const result = await notificationService.sendBalanceReminder(order);
+
+  // Record the attempt either way so a failing channel isn't retried every run
+  order.payment.balanceReminder = {
+    lastSentAt: new Date(),
+    count: (order.payment.balanceReminder?.count || 0) + 1
+  };
+  await order.save();
+
+  return result;
+};
+
+/**
+ * Remind customers with a balance due on orders that are nearly ready
+ * @returns {Object} { due, remindersSent }
+ */
+exports.processBalanceReminders = async ({ now = new Date() } = {}) => {
+  const settings = await Settings.getSettings();
+  const intervalDays = settings.payment?.deposit?.reminderIntervalDays || 2;
+
+  const orders = await Order.getBalanceReminderDue(intervalDays, now);
+
+  let remindersSent = 0;
+  for (const order of orders) {
+    try {
+      const result = await exports.sendBalanceReminder(order);
+      if (result.success) remindersSent++;
+    } catch (error) {
+      logger.error(`Balance reminder failed for ${order.orderNumber}:`, error);
+    }
+  }
+
+  return {
+    due: orders.length,
+    remindersSent
+  };
+};
+
+module.exports = exports;
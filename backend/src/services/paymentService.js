@@ -206,7 +206,8 @@ exports.getPaymentMethodDisplayName = (method) => {
     'bank-transfer': 'Bank Transfer',
     'jazzcash': 'JazzCash',
     'easypaisa': 'Easypaisa',
-    'cod': 'Cash on Delivery (COD)'
+    'cod': 'Cash on Delivery (COD)',
+    'wallet': 'Store Credit'
   };
 
   return displayNames[method] || method;
@@ -570,7 +571,7 @@ exports.canRefund = (order) => {
     }
 
     // Cannot refund if stitching started (for custom orders)
-    const nonRefundableStatuses = ['stitching-in-progress', 'quality-check', 'ready-for-dispatch'];
+    const nonRefundableStatuses = ['in-progress', 'quality-check', 'ready-dispatch', 'dispatched'];
     const hasCustomItems = order.items.some(item => item.isCustom);
 
     if (hasCustomItems && nonRefundableStatuses.includes(order.status)) {
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const PaymentAttempt = require('../models/PaymentAttempt');
+const { getGateway } = require('./paymentGateways');
+const paymentLedgerService = require('./paymentLedgerService');
+const logger = require('../utils/logger');
+
+/**
+ * Payment Webhook Service
+ * Verifies, logs and applies JazzCash/Easypaisa payment callbacks
+ *
+ * Every callback is stored as a PaymentEvent before it's applied, keyed by
+ * provider + transactionId so gateway retries are processed once
+ */
+
+// Rounding tolerance when matching the paid amount to the order total
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Apply a logged event to its order
+ * @param {Object} event - PaymentEvent document with a valid signature
+ * @returns {Object} The event with its final status
+ */
+exports.processEvent = async (event) => {
+  const gateway = getGateway(event.provider);
+
+  const order = await Order.findOne({ orderNumber: event.orderNumber, isDeleted: false });
+  if (!order) {
+    return event.finish('failed', `Order ${event.orderNumber} not found`);
+  }
+  event.order = order._id;
+
+  // Declined/cancelled at the gateway: record it so the customer can retry
+  if (!event.success) {
+    if (order.payment.status === 'pending') {
+      order.payment.status = 'failed';
+      order.payment.failedAt = new Date();
+      order.payment.failureReason = event.providerMessage || `${gateway.displayName} payment failed`;
+      await order.save();
+    }
+    return event.finish('processed', `Payment failed at gateway (${event.providerStatus})`);
+  }
+
+  if (order.payment.status === 'verified') {
+    return event.finish('ignored', 'Payment already verified');
+  }
+
+  if (!order.isAwaitingPayment()) {
+    return event.finish('ignored', `Order is ${order.status}, not awaiting payment`);
+  }
+
+  // Either the outstanding advance deposit or the whole remaining balance
+  const accepted = [
+    paymentLedgerService.getAmountDue(order),
+    paymentLedgerService.getAmountDue(order, { payInFull: true })
+  ];
+  if (!accepted.some(amount => Math.abs(event.amount - amount) <= AMOUNT_TOLERANCE)) {
+    const expected = accepted[accepted.length - 1];
+    const message = `Amount mismatch: received PKR ${event.amount}, expected PKR ${expected}`;
+    order.payment.verificationNotes = `${gateway.displayName} transaction ${event.transactionId}: ${message}`;
+    await order.save();
+    logger.warn(`Payment amount mismatch for order ${order.orderNumber}`, {
+      provider: event.provider,
+      transactionId: event.transactionId,
+      received: event.amount,
+      expected
+    });
+    return event.finish('rejected', message);
+  }
+
+  const updated = await paymentLedgerService.recordGatewayPayment(order, {
+    amount: event.amount,
+    method: event.provider,
+    transactionId: event.transactionId,
+    paidAt: event.paidAt,
+    notes: `Verified automatically from ${gateway.displayName} callback`
+  });
+
+  if (!updated) {
+    return event.finish('ignored', 'Transaction already recorded on the order');
+  }
+
+  logger.info(`Payment received via ${gateway.displayName} for order ${updated.orderNumber}`, {
+    orderId: updated._id,
+    transactionId: event.transactionId,
+    amount: event.amount,
+    balanceDue: updated.balanceDue
+  });
+
+  return event.finish('processed', updated.payment.status === 'verified'
+    ? 'Payment verified'
+    : `Installment recorded, balance PKR ${updated.balanceDue} due`);
+};
+
+/**
+ * Settle the hosted checkout attempt an event belongs to
+ */
+const settleAttempt = async (event) => {
+  // Failed events can still be fixed and replayed, so leave the attempt open
+  if (event.status === 'failed' || event.status === 'received') return null;
+
+  const succeeded = event.success && event.status === 'processed';
+
+  return PaymentAttempt.findOneAndUpdate(
+    { provider: event.provider, orderNumber: event.orderNumber, status: 'pending' },
+    {
+      $set: {
+        status: succeeded ? 'succeeded' : 'failed',
+        transactionId: event.transactionId,
+        paymentEvent: event._id,
+        completedAt: new Date(),
+        // Gateway declines carry their own reason; otherwise say why we didn't accept it
+        ...(!succeeded && { failureReason: event.success ? event.message : (event.providerMessage || event.message) })
+      }
+    },
+    { sort: { createdAt: -1 }, new: true }
+  );
+};
+
+/**
+ * Process an event, recording unexpected errors on the event itself
+ */
+const applyEvent = async (event) => {
+  try {
+    await exports.processEvent(event);
+  } catch (error) {
+    logger.error(`Error processing payment event ${event._id}:`, error);
+    event.status = 'failed';
+    event.message = error.message;
+    event.processedAt = new Date();
+    await event.save();
+  }
+
+  await settleAttempt(event);
+  return event;
+};
+
+/**
+ * Handle an incoming gateway callback
+ * @param {string} provider - 'jazzcash' | 'easypaisa'
+ * @param {Object} payload - Callback body
+ * @param {Object} [context] - { headers, ip }
+ * @returns {Object} { event, duplicate }
+ */
+exports.receiveWebhook = async (provider, payload, { headers = {}, ip } = {}) => {
+  const gateway = getGateway(provider);
+  if (!gateway) {
+    throw new Error(`Unsupported payment provider: ${provider}`);
+  }
+
+  const signature = gateway.getSignature(payload, headers);
+  const signatureValid = gateway.verifySignature(payload, signature);
+  const parsed = gateway.parse(payload);
+
+  const eventData = {
+    provider,
+    transactionId: parsed.transactionId || undefined,
+    orderNumber: parsed.orderNumber || undefined,
+    amount: parsed.amount,
+    success: parsed.success,
+    providerStatus: parsed.providerStatus,
+    providerMessage: parsed.message,
+    paidAt: parsed.paidAt,
+    payload,
+    signature,
+    signatureValid,
+    ip
+  };
+
+  if (!signatureValid) {
+    logger.warn(`Rejected ${gateway.displayName} callback with invalid signature`, { ip, transactionId: parsed.transactionId });
+    const event = await PaymentEvent.create({ ...eventData, status: 'rejected', message: 'Invalid signature', processedAt: new Date() });
+    return { event, duplicate: false };
+  }
+
+  if (!parsed.transactionId || !parsed.orderNumber) {
+    const event = await PaymentEvent.create({
+      ...eventData,
+      transactionId: undefined, // Keep it out of the idempotency index
+      status: 'rejected',
+      message: 'Missing transaction ID or order reference',
+      processedAt: new Date()
+    });
+    return { event, duplicate: false };
+  }
+
+  let event;
+  try {
+    event = await PaymentEvent.create(eventData);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Gateway retry of a transaction we've already seen
+    const existing = await PaymentEvent.findOneAndUpdate(
+      { provider, transactionId: parsed.transactionId, signatureValid: true },
+      { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: new Date() } },
+      { new: true }
+    );
+
+    // A previous attempt couldn't be applied; try again now
+    if (existing.status === 'failed') {
+      await applyEvent(existing);
+    }
+    return { event: existing, duplicate: true };
+  }
+
+  await applyEvent(event);
+  return { event, duplicate: false };
+};
+
+/**
+ * Re-run a logged event through processing
+ * @param {Object} event - PaymentEvent document
+ * @param {string} adminId - Admin replaying the event
+ * @returns {Object} The event with its new status
+ */
+exports.replayEvent = async (event, adminId) => {
+  const gateway = getGateway(event.provider);
+
+  // Re-check the stored payload so a tampered log entry can't be replayed
+  if (!gateway.verifySignature(event.payload, event.signature)) {
+    throw new Error('Event signature is invalid and cannot be replayed');
+  }
+
+  await applyEvent(event);
+
+  event.replays.push({
+    replayedBy: adminId,
+    status: event.status,
+    message: event.message
+  });
+  await event.save();
+
+  return event;
+};
+
+/**
+ * Build a signed callback for the local simulator
+ * @param {string} provider - 'jazzcash' | 'easypaisa'
+ * @param {Object} options - { orderNumber, amount, success, transactionId }
+ * @returns {Object} Signed callback payload
+ */
+exports.buildSimulatedCallback = (provider, { orderNumber, amount, success = true, transactionId }) => {
+  const gateway = getGateway(provider);
+  if (!gateway) {
+    throw new Error(`Unsupported payment provider: ${provider}`);
+  }
+
+  return gateway.sign(gateway.buildCallback({
+    orderNumber,
+    amount,
+    success,
+    transactionId: transactionId || `SIM${Date.now()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`
+  }));
+};
+
+module.exports = exports;
@@ -110,6 +110,35 @@ exports.calculateCustomOrderPrice = async (orderData) => {
   }
 };
 
+/**
+ * Calculate the price of a custom order wizard submission
+ * Same figures the customer is charged on submit, shaped like DraftOrder.priceBreakdown
+ * @param {Object} wizardData - Wizard form data (serviceType, designIdea, fabricSource, selectedFabric, rushOrder)
+ * @returns {Object} Price breakdown
+ */
+exports.calculateWizardPrice = (wizardData = {}) => {
+  const { serviceType, designIdea, fabricSource, selectedFabric, rushOrder } = wizardData;
+
+  const baseStitching = 2500;
+  const complexDesignSurcharge = serviceType === 'fully-custom' && designIdea && designIdea.length > 200 ? 500 : 0;
+  const fabricCost = fabricSource === 'lc-provides' && selectedFabric ? (selectedFabric.price || 0) : 0;
+  const rushOrderFee = rushOrder ? 1000 : 0;
+
+  const subtotal = baseStitching + complexDesignSurcharge + fabricCost + rushOrderFee;
+  const tax = subtotal * 0.05;
+
+  return {
+    basePrice: baseStitching + complexDesignSurcharge,
+    fabricCost,
+    embroideryCost: 0,
+    addOnsCost: 0,
+    rushOrderFee,
+    subtotal,
+    tax,
+    total: Math.round(subtotal + tax)
+  };
+};
+
 /**
  * Get coverage multiplier for embroidery
  */
@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const orderService = require('./orderService');
+const loyaltyService = require('./loyaltyService');
+const logger = require('../utils/logger');
+
+/**
+ * Pricing Service
+ * The one place an order's discount is worked out, so the cart, checkout
+ * and the order itself always agree
+ *
+ * 1. Items are priced from the product, never from the client
+ * 2. Automatic promotions apply, highest priority first. Stackable ones
+ *    combine; an exclusive one applies alone when it saves more than the
+ *    stackable ones together. Buy-X-get-Y, bundles and free stitching each
+ *    claim the units they discount, so a unit gets at most one of them;
+ *    spend tiers discount whatever is left
+ * 3. A promo code discounts what remains on the items it covers. Where a
+ *    promotion doesn't combine with codes, the customer gets whichever of
+ *    the two saves more
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => String(value?._id || value);
+
+const includes = (ids, id) => (ids || []).some(entry => String(entry) === id);
+
+const spendOf = (units) => units.reduce((sum, unit) => sum + unit.remaining, 0);
+
+const byPriceDesc = (a, b) => b.remaining - a.remaining;
+
+/**
+ * Shirt, dupatta and trouser
+ */
+const isThreePiece = (product) => ['shirt', 'dupatta', 'trouser']
+  .every(part => product.suitComponents?.[part]?.included !== false);
+
+/**
+ * Whether a product falls within a promotion's or promo code's item lists
+ * @param {Object} scope - { products, categories, excludeProducts, excludeCategories, threePieceOnly }
+ */
+const matches = (scope, product) => {
+  const productId = String(product._id);
+  const categoryId = idOf(product.category);
+
+  if (includes(scope.excludeProducts, productId) || includes(scope.excludeCategories, categoryId)) return false;
+
+  const listed = (scope.products?.length || 0) + (scope.categories?.length || 0) > 0;
+  if (listed && !includes(scope.products, productId) && !includes(scope.categories, categoryId)) return false;
+
+  return !scope.threePieceOnly || isThreePiece(product);
+};
+
+/**
+ * Load the products and price each line from them
+ * @param {Array} items - [{ product, variant, quantity, isCustom }]
+ */
+const loadLines = async (items) => {
+  const ids = [...new Set(items.map(item => idOf(item.product)))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const products = await Product.find({ _id: { $in: ids } })
+    .select('title category pricing variants suitComponents');
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  const lines = [];
+  for (const item of items) {
+    const product = byId.get(idOf(item.product));
+    if (!product) continue;
+
+    const variant = item.isCustom ? null : product.getVariant(item.variant);
+    lines.push({
+      product,
+      isCustom: !!item.isCustom,
+      quantity: item.quantity || 1,
+      price: orderService.getUnitPrice(product, variant, item.isCustom),
+      stitching: item.isCustom ? product.pricing.customStitchingCharge || 0 : 0
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * One entry per unit, so promotions can pick which units they discount
+ */
+const expandUnits = (lines) => lines.flatMap((line, index) => Array.from({ length: line.quantity }, () => ({
+  line: index,
+  product: line.product,
+  stitching: line.stitching,
+  remaining: line.price,
+  claimed: false
+})));
+
+/**
+ * Discount the same amount across units in proportion to what is left on each
+ */
+const spread = (units, amount) => {
+  const spend = spendOf(units);
+  return units
+    .filter(unit => unit.remaining > 0)
+    .map(unit => ({ unit, amount: amount * unit.remaining / spend }));
+};
+
+// ============================================
+// PROMOTION TYPES
+// ============================================
+
+/**
+ * Each takes the units a promotion covers and returns the discount on each,
+ * [{ unit, amount, claim }]
+ */
+const EVALUATORS = {
+  // Groups of buy + get, most expensive first; the cheapest in each group are discounted
+  'buy-x-get-y': (promotion, units) => {
+    const { buyQuantity, getQuantity, discountPercent = 100 } = promotion.buyXGetY;
+    const size = buyQuantity + getQuantity;
+    const pool = units.filter(unit => !unit.claimed).sort(byPriceDesc);
+    const discounts = [];
+
+    for (let start = 0; start + size <= pool.length; start += size) {
+      pool.slice(start, start + size).forEach((unit, position) => discounts.push({
+        unit,
+        amount: position >= buyQuantity ? unit.remaining * discountPercent / 100 : 0,
+        claim: true
+      }));
+    }
+
+    return discounts;
+  },
+
+  'tiered-spend': (promotion, units) => {
+    const spend = spendOf(units);
+    const tier = promotion.tiers
+      .filter(entry => entry.minSpend <= spend)
+      .sort((a, b) => b.minSpend - a.minSpend)[0];
+
+    if (!tier || spend <= 0) return [];
+
+    let amount = tier.discountType === 'percentage' ? spend * tier.value / 100 : tier.value;
+    if (tier.discountType === 'percentage' && tier.maxDiscount) amount = Math.min(amount, tier.maxDiscount);
+
+    return spread(units, Math.min(amount, spend));
+  },
+
+  // Stitching is waived on custom-stitched fabric once the spend is reached
+  'free-stitching': (promotion, units) => {
+    if (spendOf(units) < (promotion.freeStitching?.minSpend || 0)) return [];
+
+    return units
+      .filter(unit => !unit.claimed && unit.stitching > 0)
+      .map(unit => ({ unit, amount: Math.min(unit.stitching, unit.remaining), claim: true }));
+  },
+
+  // Every full set of N units costs the bundle price, most expensive grouped first
+  bundle: (promotion, units) => {
+    const { quantity, price } = promotion.bundle;
+    const pool = units.filter(unit => !unit.claimed).sort(byPriceDesc);
+    const discounts = [];
+
+    for (let start = 0; start + quantity <= pool.length; start += quantity) {
+      const group = pool.slice(start, start + quantity);
+      const value = spendOf(group);
+      if (value <= price) continue;
+
+      group.forEach(unit => discounts.push({ unit, amount: (value - price) * unit.remaining / value, claim: true }));
+    }
+
+    return discounts;
+  }
+};
+
+/**
+ * Apply promotions in order to a fresh set of units
+ * @returns {Object} { units, applied: [{ promotion, amount }], discount }
+ */
+const applyPromotions = (promotions, lines) => {
+  const units = expandUnits(lines);
+  const applied = [];
+
+  for (const promotion of promotions) {
+    const covered = units.filter(unit => matches(promotion.appliesTo || {}, unit.product));
+    let amount = 0;
+
+    for (const discount of EVALUATORS[promotion.type](promotion, covered)) {
+      const taken = Math.min(discount.amount, discount.unit.remaining);
+      discount.unit.remaining -= taken;
+      if (discount.claim) discount.unit.claimed = true;
+      amount += taken;
+    }
+
+    if (round(amount) > 0) applied.push({ promotion, amount: round(amount) });
+  }
+
+  return {
+    units,
+    applied,
+    discount: round(applied.reduce((sum, entry) => sum + entry.amount, 0))
+  };
+};
+
+/**
+ * The stackable promotions together, or the best exclusive one on its own
+ * Ties go to the stackable set, then to the higher priority
+ */
+const bestPromotions = (promotions, lines) => {
+  const options = [
+    applyPromotions(promotions.filter(promotion => promotion.stackable), lines),
+    ...promotions.filter(promotion => !promotion.stackable).map(promotion => applyPromotions([promotion], lines))
+  ];
+
+  return options.reduce((best, option) => (option.discount > best.discount ? option : best));
+};
+
+// ============================================
+// PROMO CODES
+// ============================================
+
+/**
+ * Check a promo code against what is left to pay and work out its discount
+ * @returns {Promise<Object>} { valid, error, status } or { valid: true, promoCode, amount }
+ */
+const checkPromoCode = async (code, units, user) => {
+  const now = new Date();
+  const promoCode = await PromoCode.findOne({ code: code.toUpperCase() });
+
+  if (!promoCode || !promoCode.isActive || promoCode.startDate > now || promoCode.endDate < now) {
+    return { valid: false, status: 404, error: 'Invalid or expired promo code' };
+  }
+
+  if (promoCode.usageLimit && promoCode.usedCount >= promoCode.usageLimit) {
+    return { valid: false, status: 400, error: 'This promo code has reached its usage limit' };
+  }
+
+  if (user && promoCode.userLimit) {
+    const used = await PromoRedemption.countDocuments({
+      promoCode: promoCode._id,
+      user: user._id,
+      status: 'active'
+    });
+    if (used >= promoCode.userLimit) {
+      return { valid: false, status: 400, error: 'You have already used this promo code' };
+    }
+  }
+
+  if (promoCode.minOrderValue && spendOf(units) < promoCode.minOrderValue) {
+    return { valid: false, status: 400, error: `Minimum order value of PKR ${promoCode.minOrderValue.toLocaleString()} required` };
+  }
+
+  const covered = units.filter(unit => matches({
+    products: promoCode.applicableProducts,
+    categories: promoCode.applicableCategories,
+    excludeProducts: promoCode.excludeProducts,
+    excludeCategories: promoCode.excludeCategories
+  }, unit.product));
+  const base = spendOf(covered);
+
+  if (base <= 0) {
+    return { valid: false, status: 400, error: 'This promo code does not apply to the items in your cart' };
+  }
+
+  let amount = promoCode.discountType === 'percentage'
+    ? base * promoCode.discountValue / 100
+    : promoCode.discountValue;
+  if (promoCode.discountType === 'percentage' && promoCode.maxDiscount) amount = Math.min(amount, promoCode.maxDiscount);
+
+  return { valid: true, promoCode, amount: round(Math.min(amount, base)) };
+};
+
+// ============================================
+// PIPELINE
+// ============================================
+
+/**
+ * Price items with every promotion they qualify for, optionally a promo code,
+ * then the customer's loyalty tier benefits (discount, free shipping) and any points they spend
+ * @param {Object} params
+ * @param {Array} params.items - [{ product, variant, quantity, isCustom }]
+ * @param {string} [params.promoCode]
+ * @param {Object} [params.user] - Customer, for per-customer code limits and loyalty
+ * @param {number} [params.shippingCharges=0]
+ * @param {number} [params.loyaltyPoints=0] - Points to spend
+ * @returns {Promise<Object>} { pricing, promoCode, error, errorStatus, loyaltyError }
+ *   pricing is saved on the order as is; error is set when the code was not applied,
+ *   loyaltyError when the points were not
+ */
+exports.quote = async ({ items, promoCode, user, shippingCharges = 0, loyaltyPoints = 0 }) => {
+  const lines = await loadLines(items);
+  const promotions = await Promotion.findLive();
+
+  let result = bestPromotions(promotions, lines);
+  let applied = null;
+  let rejected = null;
+
+  if (promoCode) {
+    const compatible = promotions.filter(promotion => promotion.combinesWithPromoCode);
+    const withCode = compatible.length === promotions.length ? result : bestPromotions(compatible, lines);
+    const check = await checkPromoCode(promoCode, withCode.units, user);
+
+    if (!check.valid) {
+      rejected = check;
+    } else if (withCode.discount + check.amount >= result.discount) {
+      result = withCode;
+      applied = check;
+    } else {
+      const blocking = result.applied.find(entry => !entry.promotion.combinesWithPromoCode);
+      rejected = {
+        status: 400,
+        error: `${check.promoCode.code} can't be combined with ${blocking ? blocking.promotion.name : 'another offer'}, which already saves you more`
+      };
+    }
+  }
+
+  const offers = round(result.discount + (applied ? applied.amount : 0));
+  const goods = orderService.calculateOrderPricing(lines, 0, offers).total;
+
+  // Members' discount on what the offers leave, then points towards the rest
+  const loyalty = await loyaltyService.priceBenefits({ user, amount: goods, points: loyaltyPoints });
+
+  const discount = round(offers + loyalty.tierDiscount + loyalty.pointsDiscount);
+  const pricing = orderService.calculateOrderPricing(lines, loyalty.freeShipping ? 0 : shippingCharges, discount);
+
+  pricing.discountCode = applied ? applied.promoCode.code : undefined;
+  pricing.codeDiscount = applied ? applied.amount : 0;
+  pricing.promotions = result.applied.map(({ promotion, amount }) => ({
+    promotion: promotion._id,
+    name: promotion.name,
+    description: promotion.description,
+    type: promotion.type,
+    amount
+  }));
+  pricing.loyalty = {
+    tier: loyalty.tier,
+    tierDiscount: loyalty.tierDiscount,
+    freeShipping: loyalty.freeShipping,
+    pointsRedeemed: loyalty.pointsRedeemed,
+    pointsDiscount: loyalty.pointsDiscount
+  };
+
+  return {
+    pricing,
+    promoCode: applied ? applied.promoCode : null,
+    error: rejected?.error,
+    errorStatus: rejected?.status,
+    loyaltyError: loyalty.error
+  };
+};
+
+/**
+ * Count a placed order against the promotions it used. Promo codes are
+ * claimed before the order is saved, by promoCodeService.redeem
+ * @param {Object} pricing - Pricing from quote(), as saved on the order
+ */
+exports.recordUsage = async (pricing) => {
+  try {
+    const promotionIds = (pricing.promotions || []).map(entry => entry.promotion);
+    if (promotionIds.length) {
+      await Promotion.updateMany({ _id: { $in: promotionIds } }, { $inc: { usedCount: 1 } });
+    }
+  } catch (error) {
+    logger.error('Error recording promotion usage:', error);
+  }
+};
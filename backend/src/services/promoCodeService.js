@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const PromoCode = require('../models/PromoCode');
+const PromoCodeBatch = require('../models/PromoCodeBatch');
+const PromoRedemption = require('../models/PromoRedemption');
+const logger = require('../utils/logger');
+
+/**
+ * Promo Code Service
+ * Redemptions (who used which code on which order), usage limits enforced
+ * under concurrency, batches of single-use codes and redemption analytics
+ *
+ * A code is claimed before its order is saved: the global limit by an atomic
+ * increment on the code, the per-customer limit by a unique slot in the
+ * redemption ledger. Whichever fails second gives the first back
+ */
+
+// No 0/O or 1/I, so codes read aloud or typed from WhatsApp come out right
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const randomCode = (prefix) => {
+  const suffix = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  return prefix ? `${prefix}-${suffix}` : suffix;
+};
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// ============================================
+// REDEMPTIONS
+// ============================================
+
+/**
+ * Claim a use of a promo code for an order
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string} params.userId - Customer placing the order
+ * @param {Object} params.order - { _id, orderNumber, pricing } (the order need not be saved yet)
+ * @returns {Promise<Object>} { valid, error } or { valid: true, redemption }
+ */
+exports.redeem = async ({ code, userId, order }) => {
+  const promoCode = await PromoCode.findOne({ code: code.toUpperCase() });
+  if (!promoCode) return { valid: false, error: 'Invalid or expired promo code' };
+
+  const claimed = await promoCode.incrementUsage();
+  if (!claimed) return { valid: false, error: 'This promo code has reached its usage limit' };
+
+  const record = (slot) => PromoRedemption.create({
+    promoCode: promoCode._id,
+    code: promoCode.code,
+    batch: promoCode.batch,
+    user: userId,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    amount: order.pricing?.codeDiscount || 0,
+    orderSubtotal: order.pricing?.subtotal,
+    orderTotal: order.pricing?.total,
+    slot
+  });
+
+  try {
+    if (!(promoCode.userLimit > 0)) {
+      return { valid: true, redemption: await record() };
+    }
+
+    // Each try either takes a slot or finds one taken by another checkout,
+    // so userLimit tries settle it
+    for (let attempt = 0; attempt < promoCode.userLimit; attempt++) {
+      const active = await PromoRedemption.find({ promoCode: promoCode._id, user: userId, status: 'active' }).select('slot').lean();
+      const taken = new Set(active.map(redemption => redemption.slot));
+      const slot = Array.from({ length: promoCode.userLimit }, (_, index) => index + 1).find(candidate => !taken.has(candidate));
+      if (!slot) break;
+
+      try {
+        return { valid: true, redemption: await record(slot) };
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+  } catch (error) {
+    await promoCode.releaseUsage();
+    throw error;
+  }
+
+  await promoCode.releaseUsage();
+  return { valid: false, error: 'You have already used this promo code' };
+};
+
+/**
+ * Give an order's promo code use back, when the order fails or is cancelled
+ * @param {string} orderId
+ * @param {string} reason
+ * @returns {Promise<Object|null>} The reversed redemption, or null if there was none
+ */
+exports.release = async (orderId, reason) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { order: orderId, status: 'active' },
+    { status: 'reversed', reversedAt: new Date(), reversalReason: reason },
+    { new: true }
+  );
+  if (!redemption) return null;
+
+  const promoCode = await PromoCode.findById(redemption.promoCode);
+  if (promoCode) await promoCode.releaseUsage();
+
+  logger.info(`Promo code ${redemption.code} released from order ${redemption.orderNumber}: ${reason}`);
+  return redemption;
+};
+
+// ============================================
+// BATCHES
+// ============================================
+
+/**
+ * Generate a batch of unique single-use codes sharing the same discount
+ * @param {Object} data - { name, channel, prefix, quantity, notes, ...discount settings }
+ * @param {Object} user - Admin generating them
+ * @returns {Promise<Object>} { batch, codes }
+ */
+exports.generateBatch = async (data, user) => {
+  const { name, channel, prefix, quantity, notes, ...settings } = data;
+
+  const codes = new Set();
+  // Re-roll any that clash with codes already issued
+  for (let attempt = 0; attempt < 5 && codes.size < quantity; attempt++) {
+    const candidates = new Set();
+    while (candidates.size < quantity - codes.size) {
+      const candidate = randomCode(prefix);
+      if (!codes.has(candidate)) candidates.add(candidate);
+    }
+
+    const existing = new Set(await PromoCode.find({ code: { $in: [...candidates] } }).distinct('code'));
+    candidates.forEach(candidate => !existing.has(candidate) && codes.add(candidate));
+  }
+
+  if (codes.size < quantity) {
+    throw new Error('Could not generate enough unique codes; try a different prefix');
+  }
+
+  const batch = await PromoCodeBatch.create({ name, channel, prefix, quantity, notes, createdBy: user._id });
+
+  await PromoCode.insertMany([...codes].map(code => ({
+    ...settings,
+    code,
+    description: settings.description || name,
+    usageLimit: 1,
+    userLimit: 1,
+    batch: batch._id,
+    createdBy: user._id
+  })));
+
+  logger.info(`Promo code batch ${batch.name}: ${quantity} codes generated by ${user.email}`);
+
+  return { batch, codes: [...codes] };
+};
+
+/**
+ * Batches with how many of their codes have been redeemed
+ */
+exports.getBatches = async () => {
+  const [batches, redeemed] = await Promise.all([
+    PromoCodeBatch.find().sort({ createdAt: -1 }).lean(),
+    PromoRedemption.aggregate([
+      { $match: { status: 'active', batch: { $ne: null } } },
+      { $group: { _id: '$batch', redeemed: { $sum: 1 }, discount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const byBatch = new Map(redeemed.map(entry => [String(entry._id), entry]));
+
+  return batches.map(batch => {
+    const usage = byBatch.get(String(batch._id));
+    return {
+      ...batch,
+      redeemed: usage?.redeemed || 0,
+      discount: round(usage?.discount),
+      redemptionRate: batch.quantity ? round(((usage?.redeemed || 0) / batch.quantity) * 100) : 0
+    };
+  });
+};
+
+/**
+ * Every code in a batch with its redemption, for the CSV export
+ * @param {string} batchId
+ * @returns {Promise<Object|null>} { batch, codes: [{ code, redeemed, redeemedAt, orderNumber, customerName, customerEmail, amount }] }
+ */
+exports.getBatchCodes = async (batchId) => {
+  const batch = await PromoCodeBatch.findById(batchId).lean();
+  if (!batch) return null;
+
+  const [codes, redemptions] = await Promise.all([
+    PromoCode.find({ batch: batchId }).select('code endDate isActive').sort({ code: 1 }).lean(),
+    PromoRedemption.find({ batch: batchId, status: 'active' }).populate('user', 'fullName email').lean()
+  ]);
+
+  const byCode = new Map(redemptions.map(redemption => [redemption.code, redemption]));
+
+  return {
+    batch,
+    codes: codes.map(code => {
+      const redemption = byCode.get(code.code);
+      return {
+        code: code.code,
+        expiresAt: code.endDate,
+        isActive: code.isActive,
+        redeemed: Boolean(redemption),
+        redeemedAt: redemption?.createdAt,
+        orderNumber: redemption?.orderNumber,
+        customerName: redemption?.user?.fullName,
+        customerEmail: redemption?.user?.email,
+        amount: redemption?.amount
+      };
+    })
+  };
+};
+
+// ============================================
+// ANALYTICS
+// ============================================
+
+/**
+ * Redemption analytics for the promo codes dashboard
+ * @param {Object} [options] - { days } window for the daily series and top codes (default 30)
+ */
+exports.getRedemptionStats = async ({ days = 30 } = {}) => {
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  since.setDate(since.getDate() - (days - 1));
+
+  const active = { status: 'active' };
+
+  const [totals, recent, topCodes, daily, reversed] = await Promise.all([
+    PromoRedemption.aggregate([
+      { $match: active },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          discount: { $sum: '$amount' },
+          revenue: { $sum: '$orderTotal' },
+          customers: { $addToSet: '$user' }
+        }
+      }
+    ]),
+    PromoRedemption.aggregate([
+      { $match: { ...active, createdAt: { $gte: since } } },
+      { $group: { _id: null, redemptions: { $sum: 1 }, discount: { $sum: '$amount' }, revenue: { $sum: '$orderTotal' } } }
+    ]),
+    PromoRedemption.aggregate([
+      { $match: { ...active, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$code',
+          redemptions: { $sum: 1 },
+          discount: { $sum: '$amount' },
+          revenue: { $sum: '$orderTotal' },
+          customers: { $addToSet: '$user' }
+        }
+      },
+      { $sort: { redemptions: -1, discount: -1 } },
+      { $limit: 10 }
+    ]),
+    PromoRedemption.aggregate([
+      { $match: { ...active, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          redemptions: { $sum: 1 },
+          discount: { $sum: '$amount' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    PromoRedemption.countDocuments({ status: 'reversed', createdAt: { $gte: since } })
+  ]);
+
+  const overall = totals[0] || {};
+  const windowTotals = recent[0] || {};
+
+  return {
+    redemptions: overall.redemptions || 0,
+    discountGiven: round(overall.discount),
+    revenue: round(overall.revenue),
+    uniqueCustomers: overall.customers?.length || 0,
+    window: {
+      days,
+      redemptions: windowTotals.redemptions || 0,
+      discountGiven: round(windowTotals.discount),
+      revenue: round(windowTotals.revenue),
+      reversed
+    },
+    topCodes: topCodes.map(entry => ({
+      code: entry._id,
+      redemptions: entry.redemptions,
+      discount: round(entry.discount),
+      revenue: round(entry.revenue),
+      customers: entry.customers.length
+    })),
+    daily: daily.map(entry => ({ date: entry._id, redemptions: entry.redemptions, discount: round(entry.discount) }))
+  };
+};
@@ -0,0 +1,315 @@
+const FabricInventory = require('../models/FabricInventory');
+const Accessory = require('../models/Accessory');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const inventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+/**
+ * Purchasing Service
+ * Purchase orders to suppliers, deliveries received against them and
+ * reorder suggestions
+ *
+ * Stock only changes when a delivery is received: each line received is a
+ * 'purchase' in the movement ledger, referencing the purchase order
+ */
+
+const MATERIALS = {
+  fabric: FabricInventory,
+  accessory: Accessory
+};
+
+// Orders still waiting on the supplier
+const OPEN_STATUSES = ['draft', 'ordered', 'partially-received'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const outstanding = (line) => round(line.quantityOrdered - (line.quantityReceived || 0));
+
+/**
+ * Load the fabric or accessory each line refers to and fill in its snapshot
+ * @param {Array} items - [{ itemType, fabric | accessory, quantityOrdered, unitCost }]
+ * @returns {Promise<Object>} { valid, error } or { valid: true, items }
+ */
+const resolveLines = async (items) => {
+  const lines = [];
+
+  for (const item of items) {
+    const material = await MATERIALS[item.itemType].findById(item[item.itemType]).select('name stock pricing costPerUnit');
+    if (!material) {
+      return { valid: false, error: `${item.itemType === 'fabric' ? 'Fabric' : 'Accessory'} not found` };
+    }
+
+    lines.push({
+      itemType: item.itemType,
+      [item.itemType]: material._id,
+      name: material.name,
+      unit: material.stock.unit,
+      quantityOrdered: item.quantityOrdered,
+      unitCost: item.unitCost ?? (material.pricing?.costPerMeter || material.costPerUnit || 0)
+    });
+  }
+
+  return { valid: true, items: lines };
+};
+
+/**
+ * Expected delivery from the supplier's lead time
+ */
+const expectedFrom = (supplier, from = new Date()) => new Date(from.getTime() + (supplier.leadTimeDays || 0) * 24 * 60 * 60 * 1000);
+
+// ============================================
+// PURCHASE ORDERS
+// ============================================
+
+/**
+ * Create a draft purchase order
+ * @param {Object} data - { supplier, items, expectedDate, notes }
+ * @param {Object} user - Admin creating it
+ * @returns {Promise<Object>} { valid, error } or { valid: true, purchaseOrder }
+ */
+exports.createPurchaseOrder = async (data, user) => {
+  const supplier = await Supplier.findById(data.supplier);
+  if (!supplier) return { valid: false, error: 'Supplier not found' };
+  if (!supplier.isActive) return { valid: false, error: `${supplier.name} is inactive` };
+
+  const lines = await resolveLines(data.items);
+  if (!lines.valid) return lines;
+
+  const purchaseOrder = await PurchaseOrder.create({
+    supplier: supplier._id,
+    supplierName: supplier.name,
+    items: lines.items,
+    expectedDate: data.expectedDate,
+    notes: data.notes,
+    createdBy: user?._id
+  });
+
+  return { valid: true, purchaseOrder };
+};
+
+/**
+ * Replace the lines and details of a draft
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @param {Object} data - { items, expectedDate, notes }
+ */
+exports.updateDraft = async (purchaseOrder, data) => {
+  if (purchaseOrder.status !== 'draft') {
+    return { valid: false, error: 'Only draft purchase orders can be edited' };
+  }
+
+  if (data.items) {
+    const lines = await resolveLines(data.items);
+    if (!lines.valid) return lines;
+    purchaseOrder.items = lines.items;
+  }
+  if (data.expectedDate !== undefined) purchaseOrder.expectedDate = data.expectedDate;
+  if (data.notes !== undefined) purchaseOrder.notes = data.notes;
+
+  await purchaseOrder.save();
+  return { valid: true, purchaseOrder };
+};
+
+/**
+ * Send a draft to the supplier
+ * The expected date defaults to the supplier's lead time
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @param {Object} [data] - { expectedDate }
+ */
+exports.placeOrder = async (purchaseOrder, data = {}) => {
+  if (purchaseOrder.status !== 'draft') {
+    return { valid: false, error: `Purchase order is already ${purchaseOrder.status}` };
+  }
+
+  const supplier = await Supplier.findById(purchaseOrder.supplier);
+
+  purchaseOrder.status = 'ordered';
+  purchaseOrder.orderedAt = new Date();
+  purchaseOrder.expectedDate = data.expectedDate || purchaseOrder.expectedDate || (supplier ? expectedFrom(supplier) : undefined);
+  await purchaseOrder.save();
+
+  return { valid: true, purchaseOrder };
+};
+
+/**
+ * Record a delivery against a purchase order and add it to stock
+ * Lines may arrive over several deliveries; the order is received once
+ * every line is in full
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @param {Object} data - { items: [{ line, quantity }], reference, note }
+ * @param {Object} user - Admin receiving it
+ * @returns {Promise<Object>} { valid, error } or { valid: true, purchaseOrder, movements }
+ */
+exports.receive = async (purchaseOrder, data, user) => {
+  if (!['ordered', 'partially-received'].includes(purchaseOrder.status)) {
+    return { valid: false, error: `Cannot receive a purchase order that is ${purchaseOrder.status}` };
+  }
+
+  const receipts = [];
+  for (const received of data.items) {
+    const line = purchaseOrder.items.id(received.line);
+    if (!line) return { valid: false, error: 'Item is not on this purchase order' };
+
+    // A little over is normal with fabric cut from a roll; more is a mistake
+    if (received.quantity > outstanding(line) * 1.1 + 0.01) {
+      return { valid: false, error: `Only ${outstanding(line)} ${line.unit} of ${line.name} is outstanding` };
+    }
+    receipts.push({ line, quantity: received.quantity });
+  }
+
+  const movements = [];
+  for (const { line, quantity } of receipts) {
+    const result = await inventoryService.adjustStock({
+      itemType: line.itemType,
+      [line.itemType]: line[line.itemType],
+      type: 'purchase',
+      quantity,
+      reference: data.reference || purchaseOrder.poNumber,
+      purchaseOrder: purchaseOrder._id,
+      note: data.note || `Received on ${purchaseOrder.poNumber} from ${purchaseOrder.supplierName}`
+    }, user);
+
+    if (!result.valid) {
+      // Deleted since the order was placed; the rest of the delivery still counts
+      logger.warn(`Purchase order ${purchaseOrder.poNumber}: ${line.name} not received - ${result.error}`);
+      continue;
+    }
+
+    line.quantityReceived = round((line.quantityReceived || 0) + quantity);
+    movements.push(result.movement);
+  }
+
+  purchaseOrder.receipts.push({
+    receivedBy: user?._id,
+    reference: data.reference,
+    note: data.note,
+    items: receipts.map(({ line, quantity }) => ({ line: line._id, quantity }))
+  });
+
+  const complete = purchaseOrder.items.every(line => outstanding(line) <= 0);
+  purchaseOrder.status = complete ? 'received' : 'partially-received';
+  if (complete) purchaseOrder.receivedAt = new Date();
+
+  await purchaseOrder.save();
+
+  return { valid: true, purchaseOrder, movements };
+};
+
+/**
+ * Cancel a purchase order; stock already received stays in stock
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @param {string} [reason]
+ */
+exports.cancel = async (purchaseOrder, reason) => {
+  if (['received', 'cancelled'].includes(purchaseOrder.status)) {
+    return { valid: false, error: `Purchase order is already ${purchaseOrder.status}` };
+  }
+
+  purchaseOrder.status = 'cancelled';
+  purchaseOrder.cancelledAt = new Date();
+  purchaseOrder.cancellationReason = reason;
+  await purchaseOrder.save();
+
+  return { valid: true, purchaseOrder };
+};
+
+// ============================================
+// REORDER SUGGESTIONS
+// ============================================
+
+/**
+ * Quantities already on open purchase orders, by item ID
+ */
+const getOnOrder = async () => {
+  const open = await PurchaseOrder.find({ status: { $in: OPEN_STATUSES } }).select('items').lean();
+  const onOrder = new Map();
+
+  for (const purchaseOrder of open) {
+    for (const line of purchaseOrder.items) {
+      const id = String(line[line.itemType]);
+      onOrder.set(id, round((onOrder.get(id) || 0) + outstanding(line)));
+    }
+  }
+
+  return onOrder;
+};
+
+/**
+ * Fabrics and accessories at or below their reorder point, less what is
+ * already on order, grouped by preferred supplier
+ * The suggested quantity is the item's reorder quantity, or enough to bring
+ * it back to twice its low stock threshold
+ * @returns {Promise<Array>} [{ supplier, items: [{ itemType, fabric | accessory, name, unit, onHand, onOrder, reorderPoint, suggestedQuantity, unitCost }] }]
+ */
+exports.getReorderSuggestions = async () => {
+  const atReorderPoint = { status: { $ne: 'discontinued' }, $expr: { $lte: ['$stock.quantity', '$stock.reorderPoint'] } };
+
+  const [fabrics, accessories, onOrder] = await Promise.all([
+    FabricInventory.find(atReorderPoint).select('name stock pricing preferredSupplier').lean(),
+    Accessory.find(atReorderPoint).select('name stock costPerUnit preferredSupplier').lean(),
+    getOnOrder()
+  ]);
+
+  const candidates = [
+    ...fabrics.map(fabric => ({ itemType: 'fabric', doc: fabric, unitCost: fabric.pricing?.costPerMeter || 0 })),
+    ...accessories.map(accessory => ({ itemType: 'accessory', doc: accessory, unitCost: accessory.costPerUnit || 0 }))
+  ];
+
+  const groups = new Map();
+
+  for (const { itemType, doc, unitCost } of candidates) {
+    const { quantity, reorderPoint, lowStockThreshold, reorderQuantity } = doc.stock;
+    const pending = onOrder.get(String(doc._id)) || 0;
+    if (quantity + pending > reorderPoint) continue;
+
+    const target = reorderQuantity || Math.max(lowStockThreshold * 2 - quantity, 1);
+    const suggestedQuantity = round(Math.max(target - pending, 0));
+    if (suggestedQuantity <= 0) continue;
+
+    const key = doc.preferredSupplier ? String(doc.preferredSupplier) : 'none';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({
+      itemType,
+      [itemType]: doc._id,
+      name: doc.name,
+      unit: doc.stock.unit,
+      onHand: quantity,
+      onOrder: pending,
+      reorderPoint,
+      suggestedQuantity,
+      unitCost
+    });
+  }
+
+  const supplierIds = [...groups.keys()].filter(key => key !== 'none');
+  const suppliers = await Supplier.find({ _id: { $in: supplierIds } }).select('name phone leadTimeDays isActive').lean();
+  const byId = new Map(suppliers.map(supplier => [String(supplier._id), supplier]));
+
+  return [...groups.entries()]
+    .map(([key, items]) => ({ supplier: byId.get(key) || null, items }))
+    // Items without a supplier come last, for the admin to assign one
+    .sort((a, b) => (a.supplier ? 0 : 1) - (b.supplier ? 0 : 1));
+};
+
+/**
+ * Draft a purchase order from a supplier's reorder suggestions
+ * @param {string} supplierId
+ * @param {Object} user - Admin creating it
+ */
+exports.draftFromSuggestions = async (supplierId, user) => {
+  const suggestions = await exports.getReorderSuggestions();
+  const group = suggestions.find(entry => entry.supplier && String(entry.supplier._id) === String(supplierId));
+
+  if (!group) return { valid: false, error: 'Nothing from this supplier needs reordering' };
+
+  return exports.createPurchaseOrder({
+    supplier: supplierId,
+    items: group.items.map(item => ({
+      itemType: item.itemType,
+      [item.itemType]: item[item.itemType],
+      quantityOrdered: item.suggestedQuantity,
+      unitCost: item.unitCost
+    })),
+    notes: 'Drafted from reorder suggestions'
+  }, user);
+};
@@ -0,0 +1,359 @@
+const Referral = require('../models/Referral');
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const loyaltyService = require('./loyaltyService');
+const logger = require('../utils/logger');
+
+/**
+ * Referral Service
+ * Referral codes, applying them with fraud checks, completing referrals when
+ * the referred customer's first order is delivered, and the admin
+ * leaderboard and fraud review list
+ *
+ * Rewards are loyalty points or store credit (Settings.referrals), and a
+ * referrer earns at most monthlyReferrerCap rewards a calendar month
+ */
+
+// Devices remembered per customer for the same-device check
+const MAX_DEVICES = 20;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+const startOfMonth = (now = new Date()) => new Date(now.getFullYear(), now.getMonth(), 1);
+
+/**
+ * Current referral rules from settings
+ */
+exports.getRules = async () => {
+  const settings = await Settings.getSettings();
+  return settings.toObject().referrals;
+};
+
+// ============================================
+// CODES
+// ============================================
+
+/**
+ * A customer's referral code, created on first use
+ * @param {Object} user
+ * @param {string} [deviceId] - Device the code is being shared from
+ * @returns {Promise<string>}
+ */
+exports.getCode = async (user, deviceId) => {
+  const update = deviceId
+    ? { $push: { referralDevices: { $each: [deviceId], $slice: -MAX_DEVICES } } }
+    : {};
+
+  const existing = await User.findById(user._id).select('referralCode +referralDevices');
+  if (existing.referralCode) {
+    if (deviceId && !existing.referralDevices.includes(deviceId)) {
+      await User.updateOne({ _id: user._id }, update);
+    }
+    return existing.referralCode;
+  }
+
+  // Codes are random; retry the rare clash with another customer's
+  for (let attempt = 1; ; attempt++) {
+    const code = Referral.generateCode(user._id);
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, referralCode: null },
+        { ...update, $set: { referralCode: code } },
+        { new: true }
+      ).select('referralCode');
+
+      // Another request gave the customer a code first
+      return updated ? updated.referralCode : (await User.findById(user._id).select('referralCode')).referralCode;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) throw error;
+    }
+  }
+};
+
+// ============================================
+// APPLYING A CODE
+// ============================================
+
+/**
+ * Refer a new customer with a referral code
+ * Self-referral is refused; the same device or phone turning up again is
+ * flagged for review instead of completing automatically
+ * @param {Object} params
+ * @param {Object} params.referee - Customer applying the code
+ * @param {string} params.code
+ * @param {string} [params.deviceId]
+ * @param {string} [params.ip]
+ * @returns {Promise<Object>} { valid, error, status } or { valid: true, referral }
+ */
+exports.apply = async ({ referee, code, deviceId, ip }) => {
+  const rules = await exports.getRules();
+  if (!rules.enabled) return { valid: false, error: 'Referrals are not available right now' };
+
+  const referrer = await User.findOne({ referralCode: code.toUpperCase() }).select('phone +referralDevices');
+  if (!referrer) return { valid: false, status: 404, error: 'Invalid referral code' };
+
+  const phone = Referral.normalizePhone(referee.phone);
+
+  if (referrer._id.equals(referee._id) || (phone && phone === Referral.normalizePhone(referrer.phone))) {
+    return { valid: false, error: 'Cannot use your own referral code' };
+  }
+
+  if (await Referral.exists({ refereeId: referee._id })) {
+    return { valid: false, error: 'You have already used a referral code' };
+  }
+
+  if (await Order.exists({ customer: referee._id, status: { $ne: 'cancelled' } })) {
+    return { valid: false, error: 'Referral codes are for new customers only' };
+  }
+
+  const flags = [];
+  if (deviceId && referrer.referralDevices?.includes(deviceId)) {
+    flags.push({ code: 'same-device-as-referrer', detail: 'Applied from a device the referrer shared their code from' });
+  }
+  if (deviceId && await Referral.exists({ 'signals.deviceId': deviceId })) {
+    flags.push({ code: 'device-reused', detail: 'Another referral was applied from this device' });
+  }
+  if (phone && await Referral.exists({ 'signals.phone': phone })) {
+    flags.push({ code: 'phone-reused', detail: 'Another referral was applied with this phone number' });
+  }
+
+  try {
+    const referral = await Referral.create({
+      referrerId: referrer._id,
+      refereeId: referee._id,
+      referralCode: code,
+      status: flags.length ? 'flagged' : 'pending',
+      referrerReward: { amount: rules.referrerReward, method: rules.rewardMethod },
+      refereeReward: { amount: rules.refereeReward, method: rules.rewardMethod },
+      signals: { deviceId, phone, ip },
+      fraud: { flags }
+    });
+
+    if (flags.length) {
+      logger.warn(`Referral ${referral._id} flagged for review`, { flags: flags.map(flag => flag.code) });
+    }
+
+    return { valid: true, referral };
+  } catch (error) {
+    // Applied twice at once
+    if (error.code === 11000) return { valid: false, error: 'You have already used a referral code' };
+    throw error;
+  }
+};
+
+// ============================================
+// COMPLETING
+// ============================================
+
+/**
+ * Credit one side of a referral
+ * @returns {Promise<void>} Sets the reward's status
+ */
+const creditReward = async (reward, userId, referral, description) => {
+  if (!(reward.amount > 0)) {
+    reward.status = 'withheld';
+    reward.withheldReason = 'No reward was set';
+    return;
+  }
+
+  if (reward.method === 'wallet') {
+    await Wallet.credit(userId, reward.amount, { source: 'referral', description });
+  } else {
+    const account = await loyaltyService.award(userId, reward.amount, 'referral', {
+      referralId: referral._id,
+      description
+    });
+    if (!account) {
+      reward.status = 'withheld';
+      reward.withheldReason = 'Loyalty points are turned off';
+      return;
+    }
+  }
+
+  reward.status = 'credited';
+  reward.creditedAt = new Date();
+};
+
+/**
+ * Credit both rewards of a referral that was just completed
+ * The referrer's is withheld once they are over the monthly cap
+ */
+const creditRewards = async (referral) => {
+  const rules = await exports.getRules();
+
+  const creditedThisMonth = await Referral.countDocuments({
+    referrerId: referral.referrerId,
+    _id: { $ne: referral._id },
+    'referrerReward.status': 'credited',
+    'referrerReward.creditedAt': { $gte: startOfMonth() }
+  });
+
+  if (rules.monthlyReferrerCap > 0 && creditedThisMonth >= rules.monthlyReferrerCap) {
+    referral.referrerReward.status = 'withheld';
+    referral.referrerReward.withheldReason = `Monthly limit of ${rules.monthlyReferrerCap} referral rewards reached`;
+  } else {
+    await creditReward(referral.referrerReward, referral.referrerId, referral, 'Referral reward');
+  }
+
+  await creditReward(referral.refereeReward, referral.refereeId, referral, 'Welcome reward for joining with a referral');
+
+  await referral.save();
+};
+
+/**
+ * Complete the referral of an order's customer once their first order is delivered
+ * @param {Object} order
+ * @returns {Promise<Object|null>} The completed referral, or null if there was none pending
+ */
+exports.completeForOrder = async (order) => {
+  if (!order.customer) return null;
+
+  // Claimed atomically so the rewards are only credited once
+  const referral = await Referral.findOneAndUpdate(
+    { refereeId: order.customer, status: 'pending' },
+    { status: 'completed', triggerOrderId: order._id, completedAt: new Date() },
+    { new: true }
+  );
+  if (!referral) return null;
+
+  await creditRewards(referral);
+
+  logger.info(`Referral ${referral.referralCode} completed by order ${order.orderNumber}`, {
+    referrer: referral.referrerReward.status,
+    referee: referral.refereeReward.status
+  });
+
+  return referral;
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+/**
+ * Approve or reject a referral held for fraud review
+ * An approved referral completes straight away if the customer's first order was already delivered
+ * @param {string} referralId
+ * @param {Object} review - { decision: 'approve' | 'reject', notes }
+ * @param {Object} admin
+ * @returns {Promise<Object>} { valid, error, status } or { valid: true, referral }
+ */
+exports.review = async (referralId, { decision, notes }, admin) => {
+  const referral = await Referral.findOneAndUpdate(
+    { _id: referralId, status: 'flagged' },
+    {
+      status: decision === 'approve' ? 'pending' : 'rejected',
+      'fraud.decision': decision === 'approve' ? 'approved' : 'rejected',
+      'fraud.reviewedBy': admin._id,
+      'fraud.reviewedAt': new Date(),
+      'fraud.notes': notes
+    },
+    { new: true }
+  );
+
+  if (!referral) {
+    const exists = await Referral.exists({ _id: referralId });
+    return exists
+      ? { valid: false, error: 'Only flagged referrals can be reviewed' }
+      : { valid: false, status: 404, error: 'Referral not found' };
+  }
+
+  logger.info(`Referral ${referral._id} ${referral.fraud.decision} by ${admin.email}`);
+
+  if (decision === 'approve') {
+    const delivered = await Order.findOne({ customer: referral.refereeId, status: 'delivered' }).sort({ createdAt: 1 });
+    if (delivered) {
+      return { valid: true, referral: await exports.completeForOrder(delivered) || referral };
+    }
+  }
+
+  return { valid: true, referral };
+};
+
+/**
+ * Top referrers by referrals completed in the window
+ * @param {Object} [options] - { days (default 30), limit (default 20) }
+ */
+exports.getLeaderboard = async ({ days = 30, limit = 20 } = {}) => {
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  since.setDate(since.getDate() - (days - 1));
+
+  const leaders = await Referral.aggregate([
+    { $match: { status: 'completed', completedAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$referrerId',
+        completed: { $sum: 1 },
+        rewarded: {
+          $sum: { $cond: [{ $eq: ['$referrerReward.status', 'credited'] }, '$referrerReward.amount', 0] }
+        },
+        withheld: { $sum: { $cond: [{ $eq: ['$referrerReward.status', 'withheld'] }, 1, 0] } },
+        lastCompletedAt: { $max: '$completedAt' }
+      }
+    },
+    { $sort: { completed: -1, lastCompletedAt: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'referrals',
+        let: { referrer: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$referrerId', '$$referrer'] } } },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ],
+        as: 'byStatus'
+      }
+    },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'referrer' } },
+    { $unwind: { path: '$referrer', preserveNullAndEmptyArrays: true } }
+  ]);
+
+  return leaders.map(entry => {
+    const count = (status) => entry.byStatus.find(group => group._id === status)?.count || 0;
+    return {
+      referrer: entry.referrer
+        ? {
+          _id: entry.referrer._id,
+          fullName: entry.referrer.fullName,
+          email: entry.referrer.email,
+          referralCode: entry.referrer.referralCode
+        }
+        : { _id: entry._id },
+      completed: entry.completed,
+      rewarded: round(entry.rewarded),
+      withheld: entry.withheld,
+      pending: count('pending'),
+      flagged: count('flagged'),
+      rejected: count('rejected'),
+      lastCompletedAt: entry.lastCompletedAt
+    };
+  });
+};
+
+/**
+ * Referrals for the fraud review list, newest first
+ * @param {Object} [options] - { status: 'flagged' (default) | 'rejected', page, limit }
+ */
+exports.getFlagged = async ({ status = 'flagged', page = 1, limit = 20 } = {}) => {
+  const filter = { status };
+
+  const [referrals, total] = await Promise.all([
+    Referral.find(filter)
+      .populate('referrerId', 'fullName email phone referralCode')
+      .populate('refereeId', 'fullName email phone createdAt')
+      .populate('fraud.reviewedBy', 'fullName email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Referral.countDocuments(filter)
+  ]);
+
+  return {
+    referrals,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+};
@@ -0,0 +1,367 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const ProductionQueue = require('../models/ProductionQueue');
+const Settings = require('../models/Settings');
+const notificationService = require('./notificationService');
+const tailorAssignmentService = require('./tailorAssignmentService');
+const walletService = require('./walletService');
+const inventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+/**
+ * Return Request Service
+ * Alterations, returns and exchanges after delivery (RMA): eligibility,
+ * review, pickup, re-entry into production and refund/store-credit resolution
+ */
+
+const DEFAULT_RETURN_SETTINGS = { enabled: true, windowDays: 7, freeAlterations: 1 };
+
+/**
+ * Return policy settings
+ */
+exports.getReturnSettings = async () => {
+  const settings = await Settings.getSettings();
+  return settings.orders?.returns || DEFAULT_RETURN_SETTINGS;
+};
+
+/**
+ * Amount that can still be refunded on an order
+ * Delivered COD orders count as paid in full, the courier collected the total
+ */
+exports.getRefundableAmount = (order) => {
+  const collected = order.payment.method === 'cod' && order.status === 'delivered'
+    ? Math.max(order.payment.amountPaid || 0, order.pricing.total)
+    : (order.payment.amountPaid || 0);
+
+  return Math.max(collected - (order.payment.refund?.amount || 0), 0);
+};
+
+/**
+ * Why a customer can't open this request, or null if they can
+ * @param {Object} order - Order document
+ * @param {Object} data - { items: [{ orderItem, quantity }] }
+ * @returns {string|null}
+ */
+exports.getEligibilityError = async (order, { items = [] }) => {
+  const returnSettings = await exports.getReturnSettings();
+
+  if (!returnSettings.enabled) {
+    return 'Returns and alterations are not currently accepted online';
+  }
+
+  const deliveredAt = order.getDeliveredAt();
+  if (!deliveredAt) {
+    return 'Only delivered orders can be returned or altered';
+  }
+
+  const deadline = new Date(deliveredAt);
+  deadline.setDate(deadline.getDate() + returnSettings.windowDays);
+  if (new Date() > deadline) {
+    return `Requests must be made within ${returnSettings.windowDays} days of delivery`;
+  }
+
+  for (const requested of items) {
+    const item = order.items.id(requested.orderItem);
+    if (!item) {
+      return 'One or more items are not on this order';
+    }
+    if (requested.quantity > item.quantity) {
+      return `Only ${item.quantity} of ${item.productSnapshot?.title || 'this item'} was ordered`;
+    }
+  }
+
+  const openRequest = await ReturnRequest.exists({
+    order: order._id,
+    status: { $in: ReturnRequest.OPEN_STATUSES }
+  });
+  if (openRequest) {
+    return 'There is already an open request for this order';
+  }
+
+  return null;
+};
+
+/**
+ * Notify the customer about a status change without failing the request
+ */
+const notify = (returnRequest, order) => {
+  notificationService.sendReturnUpdate(returnRequest, order).catch(error => {
+    logger.error(`Return update notification failed for ${returnRequest.requestNumber}:`, error);
+  });
+};
+
+/**
+ * Open a request for a delivered order
+ * @param {Object} order - Order document
+ * @param {Object} data - { type, reason, description, items, photos }
+ * @param {Object} user - Customer opening the request
+ * @returns {Object} The new ReturnRequest
+ */
+exports.createRequest = async (order, data, user) => {
+  let isChargeable = false;
+
+  if (data.type === 'alteration') {
+    const { freeAlterations } = await exports.getReturnSettings();
+    const previousAlterations = await ReturnRequest.countDocuments({
+      order: order._id,
+      type: 'alteration',
+      status: { $nin: ['rejected', 'cancelled'] }
+    });
+    isChargeable = previousAlterations >= freeAlterations;
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    customer: user._id,
+    type: data.type,
+    reason: data.reason,
+    description: data.description,
+    items: data.items.map(requested => {
+      const item = order.items.id(requested.orderItem);
+      return {
+        orderItem: item._id,
+        title: item.productSnapshot?.title,
+        quantity: requested.quantity,
+        price: item.price
+      };
+    }),
+    photos: data.photos || [],
+    isChargeable
+  });
+
+  notify(returnRequest, order);
+  return returnRequest;
+};
+
+/**
+ * Approve or reject a request
+ * @param {Object} review - { approved, rejectionReason, notes }
+ */
+exports.reviewRequest = async (returnRequest, order, { approved, rejectionReason, notes }, admin) => {
+  const status = approved ? 'approved' : 'rejected';
+
+  returnRequest.review = {
+    reviewedBy: admin._id,
+    reviewedAt: new Date(),
+    rejectionReason: approved ? undefined : rejectionReason,
+    notes
+  };
+  returnRequest.transitionTo(status, approved ? notes : rejectionReason, admin._id);
+  await returnRequest.save();
+
+  notify(returnRequest, order);
+  return returnRequest;
+};
+
+/**
+ * Book a courier pickup for the item
+ * @param {Object} pickup - { courierService, trackingNumber, trackingUrl, scheduledAt }
+ */
+exports.schedulePickup = async (returnRequest, order, pickup, admin) => {
+  returnRequest.pickup = {
+    ...pickup,
+    scheduledAt: pickup.scheduledAt || new Date()
+  };
+  returnRequest.transitionTo(
+    'pickup-scheduled',
+    `Pickup booked with ${pickup.courierService}${pickup.trackingNumber ? ` (${pickup.trackingNumber})` : ''}`,
+    admin._id
+  );
+  await returnRequest.save();
+
+  notify(returnRequest, order);
+  return returnRequest;
+};
+
+/**
+ * Send an alteration back into the production queue
+ * Reopens the order's existing queue entry, or creates one for ready-made items
+ * @returns {Object} The ProductionQueue item
+ */
+exports.sendToProduction = async (returnRequest, order, admin) => {
+  const reason = `${returnRequest.reason.replace(/-/g, ' ')}${returnRequest.description ? ` - ${returnRequest.description}` : ''}`;
+  let item = await ProductionQueue.findOne({ orderId: order._id });
+
+  if (item) {
+    await item.reopenForRework({
+      returnRequest: returnRequest._id,
+      requestNumber: returnRequest.requestNumber,
+      reason
+    }, admin._id);
+
+    // New items are auto-assigned on creation; reopened ones need it done here
+    await tailorAssignmentService.autoAssign(item, { notes: `Alteration ${returnRequest.requestNumber}` }).catch(error => {
+      logger.error(`Auto-assignment failed for alteration ${returnRequest.requestNumber}:`, error);
+    });
+  } else {
+    item = await ProductionQueue.create({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      priority: 'high',
+      rework: [{
+        returnRequest: returnRequest._id,
+        requestNumber: returnRequest.requestNumber,
+        reason
+      }],
+      notes: [{
+        text: `Alteration ${returnRequest.requestNumber}: ${reason}`,
+        addedBy: admin._id,
+        type: 'issue'
+      }]
+    });
+  }
+
+  returnRequest.productionQueue = item._id;
+  return item;
+};
+
+/**
+ * Record that the item is back at the studio
+ * Alterations go straight into the production queue; returned ready-made
+ * pieces are restocked
+ */
+exports.markReceived = async (returnRequest, order, { notes } = {}, admin) => {
+  const now = new Date();
+
+  if (returnRequest.pickup.scheduledAt && !returnRequest.pickup.pickedUpAt) {
+    returnRequest.pickup.pickedUpAt = now;
+  }
+  returnRequest.pickup.receivedAt = now;
+  returnRequest.transitionTo('received', notes, admin._id);
+
+  if (returnRequest.type === 'alteration') {
+    await exports.sendToProduction(returnRequest, order, admin);
+    returnRequest.transitionTo('in-production', 'Sent to the production queue for alteration', admin._id);
+  }
+
+  await returnRequest.save();
+
+  // Resaleable returned pieces go back on the shelf
+  await inventoryService.restockReturn(returnRequest, order, admin);
+
+  notify(returnRequest, order);
+  return returnRequest;
+};
+
+/**
+ * Refund part or all of an order's payment
+ * A refund of everything paid marks the order and its payment refunded
+ */
+const applyRefund = (order, amount, reason, admin) => {
+  const now = new Date();
+  const refundable = exports.getRefundableAmount(order);
+  const refunded = (order.payment.refund?.amount || 0) + amount;
+
+  order.payment.refund = {
+    amount: refunded,
+    walletAmount: order.payment.refund?.walletAmount,
+    reason,
+    processedAt: now,
+    processedBy: admin._id
+  };
+
+  if (amount >= refundable) {
+    order.payment.status = 'refunded';
+    order.status = 'refunded';
+    order.statusHistory.push({
+      status: 'refunded',
+      timestamp: now,
+      note: `Refund processed: ${reason}`,
+      updatedBy: admin._id
+    });
+  }
+};
+
+/**
+ * Refund, credit or record the resolution on the order
+ */
+const settle = async (returnRequest, order, { type, amount, notes, returnShipment, label, now }, admin) => {
+  if (type === 'refund') {
+    applyRefund(order, amount, `Return ${label}${notes ? `: ${notes}` : ''}`, admin);
+    order.notes.push({
+      text: `Refund Processed: PKR ${amount} for ${label}`,
+      addedBy: admin._id,
+      timestamp: now,
+      isImportant: true
+    });
+  } else if (type === 'store-credit') {
+    const reason = `Store credit for ${label}${notes ? `: ${notes}` : ''}`;
+    applyRefund(order, amount, reason, admin);
+    await walletService.refundToWallet(order, amount, {
+      source: 'return',
+      reason,
+      returnRequest: returnRequest._id,
+      user: admin
+    });
+    order.notes.push({
+      text: `Store credit of PKR ${amount} issued for ${label}`,
+      addedBy: admin._id,
+      timestamp: now,
+      isImportant: true
+    });
+  } else {
+    order.notes.push({
+      text: `${type === 'exchange' ? 'Replacement sent' : 'Alteration completed'} for ${label}${returnShipment?.trackingNumber ? ` - ${returnShipment.courierService} ${returnShipment.trackingNumber}` : ''}`,
+      addedBy: admin._id,
+      timestamp: now
+    });
+  }
+
+  await order.save();
+};
+
+/**
+ * Close a request with a refund, store credit, exchange or completed alteration
+ * @param {Object} resolution - { type, amount, notes, returnShipment }
+ * @returns {Promise<Object|null>} The resolved request, or null if another resolve got there first
+ */
+exports.resolveRequest = async (returnRequest, order, resolution, admin) => {
+  const now = new Date();
+  const { type, amount, notes, returnShipment } = resolution;
+  const label = `${returnRequest.requestNumber} (${returnRequest.type})`;
+
+  // Claim the request before any money moves so it can't be refunded twice
+  const previousStatus = returnRequest.status;
+  const claimed = await ReturnRequest.updateOne(
+    { _id: returnRequest._id, status: previousStatus },
+    { $set: { status: 'resolved' } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  try {
+    await settle(returnRequest, order, { type, amount, notes, returnShipment, label, now }, admin);
+  } catch (error) {
+    await ReturnRequest.updateOne(
+      { _id: returnRequest._id, status: 'resolved' },
+      { $set: { status: previousStatus } }
+    );
+    throw error;
+  }
+
+  returnRequest.resolution = {
+    type,
+    amount: ['refund', 'store-credit'].includes(type) ? amount : undefined,
+    notes,
+    returnShipment,
+    processedBy: admin._id,
+    processedAt: now
+  };
+  returnRequest.transitionTo('resolved', notes, admin._id);
+  await returnRequest.save();
+
+  notify(returnRequest, order);
+  return returnRequest;
+};
+
+/**
+ * Withdraw a request before the item has been sent back
+ */
+exports.cancelRequest = async (returnRequest, user) => {
+  returnRequest.transitionTo('cancelled', 'Cancelled by customer', user._id);
+  returnRequest.cancelledAt = new Date();
+  await returnRequest.save();
+
+  return returnRequest;
+};
+
+module.exports = exports;
@@ -0,0 +1,481 @@
+const Product = require('../models/Product');
+const { SYNONYM_GROUPS } = require('../config/searchSynonyms');
+
+/**
+ * Search Service
+ * Full-text product search over an in-memory inverted index of the published
+ * catalogue, with synonym expansion, typo tolerance, search-as-you-type
+ * suggestions and facet counts
+ *
+ * The index is built on first use and rebuilt after product changes (the
+ * Product model invalidates it) or when it is older than INDEX_TTL_MS
+ */
+
+// Rebuild at least this often, for changes made outside the model hooks
+const INDEX_TTL_MS = 15 * 60 * 1000;
+
+// Indexed fields and how much a match in each counts
+const FIELD_WEIGHTS = [
+  ['title', 10],
+  ['articleName', 8],
+  ['designCode', 8],
+  ['articleCode', 8],
+  ['inventory.sku', 8],
+  ['tags', 6],
+  ['seo.keywords', 5],
+  ['fabric.type', 4],
+  ['occasion', 4],
+  ['embroideryDetails.workType', 4],
+  ['type', 3],
+  ['subcategory', 3],
+  ['categorySnapshot.name', 3],
+  ['shortDescription', 2],
+  ['description', 1]
+];
+
+// Fields that decide whether a product is in the index at all
+const VISIBILITY_PATHS = ['isActive', 'status', 'isDeleted'];
+
+const INDEX_PATHS = [...FIELD_WEIGHTS.map(([path]) => path), ...VISIBILITY_PATHS];
+
+// Terms from fields at least this weight are offered as completions
+const SUGGEST_MIN_WEIGHT = 3;
+
+// How much a match counts by how the query word reached the indexed term
+const MATCH_WEIGHTS = {
+  exact: 1,
+  synonym: 0.8,
+  typo: 0.6,
+  prefix: 0.5
+};
+
+// Words that never narrow a search ("suits for eid", "dupatta ka set")
+const STOP_WORDS = new Set(['a', 'an', 'the', 'for', 'with', 'and', 'of', 'in', 'ka', 'ki', 'ke', 'aur']);
+
+// Lower bounds of the price bands (PKR); the last band is open-ended
+const PRICE_BAND_BOUNDARIES = [0, 5000, 10000, 20000, 50000];
+
+/**
+ * Lowercase words of a text, without accents
+ */
+const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(Boolean);
+
+// term -> every term in its synonym groups
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach(group => {
+  const terms = group.flatMap(tokenize);
+  terms.forEach(term => {
+    const known = SYNONYMS.get(term) || [];
+    SYNONYMS.set(term, [...new Set([...known, ...terms])].filter(other => other !== term));
+  });
+});
+
+/**
+ * Values at a dotted path, flattening arrays
+ */
+const getValues = (doc, path) => path.split('.').reduce((values, key) => values
+  .flatMap(value => (value == null ? [] : [value[key]]))
+  .flatMap(value => (Array.isArray(value) ? value : [value]))
+  .filter(value => value != null), [doc]);
+
+/**
+ * Optimal string alignment distance (transpositions count as one edit)
+ * Gives up and returns max + 1 once the distance must exceed max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+
+      if (before && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+
+      row[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = row;
+  }
+
+  return previous[b.length];
+};
+
+// Typos tolerated in a word: none for short words, two for long ones
+const maxTypos = term => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+// ============================================
+// INDEX
+// ============================================
+
+let index = null;
+let building = null;
+let generation = 0;
+
+const buildIndex = async () => {
+  const products = await Product.find({
+    isActive: true,
+    status: 'published',
+    isDeleted: { $ne: true }
+  })
+    .select(FIELD_WEIGHTS.map(([path]) => path).join(' '))
+    .lean();
+
+  // term -> (product id -> best field weight)
+  const postings = new Map();
+  // term -> number of products, for completions
+  const suggestTerms = new Map();
+
+  products.forEach(product => {
+    const id = product._id.toString();
+    const suggestable = new Set();
+
+    FIELD_WEIGHTS.forEach(([path, weight]) => {
+      tokenize(getValues(product, path).join(' ')).forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(id, Math.max(docs.get(id) || 0, weight));
+
+        if (weight >= SUGGEST_MIN_WEIGHT && !STOP_WORDS.has(term) && /\p{L}/u.test(term)) {
+          suggestable.add(term);
+        }
+      });
+    });
+
+    suggestable.forEach(term => suggestTerms.set(term, (suggestTerms.get(term) || 0) + 1));
+  });
+
+  return {
+    postings,
+    terms: [...postings.keys()],
+    suggestTerms,
+    size: products.length,
+    builtAt: Date.now()
+  };
+};
+
+/**
+ * The current index, building it if needed
+ * Concurrent callers share one build
+ */
+exports.getIndex = async () => {
+  if (index && Date.now() - index.builtAt < INDEX_TTL_MS) return index;
+
+  if (!building) {
+    const started = generation;
+    building = buildIndex()
+      .then(built => {
+        // Products changed while building: use it for this search only
+        if (started === generation) index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return building;
+};
+
+/**
+ * Drop the index so the next search rebuilds it
+ */
+exports.invalidate = () => {
+  generation++;
+  index = null;
+};
+
+/**
+ * Whether changing these product paths can change the index
+ * Views, stock and other fields that aren't searched leave it alone
+ * @param {string[]} paths - Dotted paths that changed
+ * @returns {boolean}
+ */
+exports.affectsIndex = (paths) => paths.some(changed => INDEX_PATHS.some(path =>
+  changed === path || changed.startsWith(`${path}.`) || path.startsWith(`${changed}.`)
+));
+
+// ============================================
+// QUERYING
+// ============================================
+
+/**
+ * Indexed terms a query word matches, with their match weights
+ * Exact words and synonyms first; typo corrections only when neither is indexed
+ * @returns {Object} { matches: Map<term, weight>, correction }
+ */
+const expandTerm = (term, idx, { prefix = false } = {}) => {
+  const matches = new Map();
+  const add = (indexed, weight) => {
+    if (idx.postings.has(indexed) && (matches.get(indexed) || 0) < weight) {
+      matches.set(indexed, weight);
+    }
+  };
+
+  add(term, MATCH_WEIGHTS.exact);
+  (SYNONYMS.get(term) || []).forEach(synonym => add(synonym, MATCH_WEIGHTS.synonym));
+
+  // Search-as-you-type: the last word may be unfinished
+  if (prefix && term.length >= 2) {
+    idx.terms.forEach(indexed => {
+      if (indexed !== term && indexed.startsWith(term)) add(indexed, MATCH_WEIGHTS.prefix);
+    });
+  }
+
+  if (matches.size) return { matches, correction: null };
+
+  const max = maxTypos(term);
+  if (!max) return { matches, correction: null };
+
+  // Closest indexed words or known synonyms ("kurty" -> kurti, "kadhaee" -> kadhaai)
+  let best = max + 1;
+  let closest = [];
+  [...idx.terms, ...SYNONYMS.keys()].forEach(candidate => {
+    const distance = editDistance(term, candidate, max);
+    if (distance < best) {
+      best = distance;
+      closest = [candidate];
+    } else if (distance === best && distance <= max && !closest.includes(candidate)) {
+      closest.push(candidate);
+    }
+  });
+
+  closest.forEach(candidate => {
+    add(candidate, MATCH_WEIGHTS.typo);
+    (SYNONYMS.get(candidate) || []).forEach(synonym => add(synonym, MATCH_WEIGHTS.typo * MATCH_WEIGHTS.synonym));
+  });
+
+  return { matches, correction: matches.size ? closest[0] : null };
+};
+
+/**
+ * Products matching a query, best first
+ * Every word that matches something in the catalogue must match the product;
+ * words that match nothing are ignored rather than emptying the results
+ * @param {string} query - What the customer typed
+ * @param {Object} [options] - { prefix: treat the last word as unfinished }
+ * @returns {Promise<Object>} { ids, scores, didYouMean }
+ */
+exports.search = async (query, { prefix = false } = {}) => {
+  const terms = tokenize(query).filter(term => !STOP_WORDS.has(term));
+  if (!terms.length) return { ids: [], scores: new Map(), didYouMean: null };
+
+  const idx = await exports.getIndex();
+
+  let scores = null;
+  let corrected = false;
+  const correctedTerms = [];
+
+  terms.forEach((term, position) => {
+    const { matches, correction } = expandTerm(term, idx, {
+      prefix: prefix && position === terms.length - 1
+    });
+
+    correctedTerms.push(correction || term);
+    if (correction) corrected = true;
+    if (!matches.size) return;
+
+    const termScores = new Map();
+    matches.forEach((matchWeight, indexed) => {
+      idx.postings.get(indexed).forEach((fieldWeight, id) => {
+        termScores.set(id, Math.max(termScores.get(id) || 0, fieldWeight * matchWeight));
+      });
+    });
+
+    if (scores === null) {
+      scores = termScores;
+      return;
+    }
+
+    const combined = new Map();
+    scores.forEach((score, id) => {
+      if (termScores.has(id)) combined.set(id, score + termScores.get(id));
+    });
+    scores = combined;
+  });
+
+  scores = scores || new Map();
+
+  return {
+    ids: [...scores.keys()].sort((a, b) => scores.get(b) - scores.get(a)),
+    scores,
+    didYouMean: corrected ? correctedTerms.join(' ') : null
+  };
+};
+
+/**
+ * Search-as-you-type suggestions
+ * @param {string} query - Partial query
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} { products, completions, didYouMean }
+ */
+exports.suggest = async (query, { limit = 5 } = {}) => {
+  const { ids, didYouMean } = await exports.search(query, { prefix: true });
+  const idx = await exports.getIndex();
+
+  const topIds = ids.slice(0, limit);
+  const found = topIds.length
+    ? await Product.find({ _id: { $in: topIds } })
+      .select('title slug primaryImage pricing.basePrice categorySnapshot.name')
+      .lean()
+    : [];
+  const byId = new Map(found.map(product => [product._id.toString(), product]));
+
+  const products = topIds
+    .map(id => byId.get(id))
+    .filter(Boolean)
+    .map(product => ({
+      id: product._id,
+      slug: product.slug,
+      title: product.title,
+      price: product.pricing?.basePrice,
+      image: product.primaryImage,
+      category: product.categorySnapshot?.name
+    }));
+
+  // Finish the last word with catalogue words, most common first
+  const terms = tokenize(query);
+  const last = terms.pop() || '';
+  const lead = terms.length ? `${terms.join(' ')} ` : '';
+  const completions = last.length < 2 ? [] : [...idx.suggestTerms.entries()]
+    .filter(([term]) => term !== last && term.startsWith(last))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term]) => `${lead}${term}`);
+
+  return { products, completions, didYouMean };
+};
+
+/**
+ * One page of the products matching a filter, in search relevance order
+ * @param {Object} filter - Product filter, already limited to the search results
+ * @param {Array<string>} rankedIds - Search result ids, best first
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<Object>} { ids, total } - ids of the page, best first
+ */
+exports.pageByRelevance = async (filter, rankedIds, { page = 1, limit = 12 } = {}) => {
+  const matching = await Product.find(filter).select('_id').lean();
+  const found = new Set(matching.map(product => product._id.toString()));
+  const ordered = rankedIds.filter(id => found.has(id));
+  const start = (page - 1) * limit;
+
+  return {
+    ids: ordered.slice(start, start + limit),
+    total: ordered.length
+  };
+};
+
+// ============================================
+// FACETS
+// ============================================
+
+const priceBandLabel = (lower) => {
+  const position = PRICE_BAND_BOUNDARIES.indexOf(lower);
+  const upper = PRICE_BAND_BOUNDARIES[position + 1];
+  return upper === undefined ? `${lower}+` : `${lower}-${upper}`;
+};
+
+// Grouping stages for each facet
+const FACET_STAGES = {
+  fabric: [{ $group: { _id: '$fabric.type', count: { $sum: 1 } } }],
+  occasion: [{ $group: { _id: '$occasion', count: { $sum: 1 } } }],
+  embroidery: [{ $group: { _id: '$embroideryDetails.workType', count: { $sum: 1 } } }],
+  availability: [{ $group: { _id: '$availability.status', count: { $sum: 1 } } }],
+  type: [{ $group: { _id: '$type', count: { $sum: 1 } } }],
+  color: [
+    { $unwind: '$availableColors' },
+    { $group: { _id: '$availableColors.name', count: { $sum: 1 } } }
+  ],
+  size: [
+    { $unwind: '$sizeAvailability.standardSizes' },
+    { $group: { _id: '$sizeAvailability.standardSizes', count: { $sum: 1 } } }
+  ],
+  price: [{
+    $bucket: {
+      groupBy: '$pricing.basePrice',
+      boundaries: [...PRICE_BAND_BOUNDARIES, Number.MAX_SAFE_INTEGER],
+      default: 'other',
+      output: { count: { $sum: 1 } }
+    }
+  }]
+};
+
+// Facets keyed in lowercase (the storefront filters on lowercase values)
+const LOWERCASE_FACETS = ['occasion', 'color'];
+
+// Placeholder values that aren't worth a filter option
+const EMPTY_FACET_VALUES = [null, undefined, '', 'none', 'other'];
+
+/**
+ * Facet counts for a product listing
+ * Each facet is counted with every other selected filter applied but not its
+ * own, so the customer sees how many products each extra choice would add
+ * @param {Object} baseFilter - Filter shared by every facet (search, category...)
+ * @param {Object} [facetFilters] - Selected filters by facet name, as Mongo conditions
+ * @returns {Promise<Object>} { fabric: { Lawn: 4 }, price: { '0-5000': 2 }, ... }
+ */
+exports.getFacets = async (baseFilter, facetFilters = {}) => {
+  const pipelines = {};
+
+  Object.entries(FACET_STAGES).forEach(([name, stages]) => {
+    const others = Object.entries(facetFilters)
+      .filter(([facet]) => facet !== name)
+      .map(([, condition]) => condition);
+
+    pipelines[name] = others.length ? [{ $match: { $and: others } }, ...stages] : stages;
+  });
+
+  const [result = {}] = await Product.aggregate([
+    { $match: baseFilter },
+    { $facet: pipelines }
+  ]);
+
+  const facets = {};
+  Object.keys(FACET_STAGES).forEach(name => {
+    facets[name] = {};
+    (result[name] || []).forEach(({ _id, count }) => {
+      if (EMPTY_FACET_VALUES.includes(_id)) return;
+
+      const key = name === 'price'
+        ? priceBandLabel(_id)
+        : LOWERCASE_FACETS.includes(name) ? String(_id).toLowerCase() : _id;
+      facets[name][key] = (facets[name][key] || 0) + count;
+    });
+  });
+
+  return facets;
+};
+
+/**
+ * Price range of a price band label ('5000-10000', '50000+')
+ * @returns {Object|null} { min, max } (max undefined for the open band)
+ */
+exports.parsePriceBand = (band) => {
+  const match = /^(\d+)(?:-(\d+)|\+)$/.exec(String(band || '').trim());
+  if (!match) return null;
+  return {
+    min: Number(match[1]),
+    max: match[2] !== undefined ? Number(match[2]) : undefined
+  };
+};
+
+exports.tokenize = tokenize;
+exports.PRICE_BAND_BOUNDARIES = PRICE_BAND_BOUNDARIES;
+
+module.exports = exports;
@@ -0,0 +1,204 @@
+const Order = require('../models/Order');
+const { getCourier, getAvailableCouriers } = require('./couriers');
+const orderStatusService = require('./orderStatusService');
+const notificationService = require('./notificationService');
+const { generateShippingLabel } = require('../utils/pdfGenerator');
+const logger = require('../utils/logger');
+
+/**
+ * Shipment Service
+ * Books orders with courier integrations, prints airway bills and
+ * syncs courier tracking back into the order
+ *
+ * Booking dispatches the order through the status machine, so the same
+ * guards apply as a manual dispatch (balance paid or cash on delivery)
+ */
+
+const STATUS_LABELS = {
+  'booked': 'Booked',
+  'picked-up': 'Picked up',
+  'in-transit': 'In transit',
+  'out-for-delivery': 'Out for delivery',
+  'delivered': 'Delivered',
+  'delivery-failed': 'Delivery attempt failed',
+  'returned': 'Returned to shipper',
+  'cancelled': 'Shipment cancelled'
+};
+
+/**
+ * Couriers that can book shipments, for admin pickers
+ */
+exports.getCouriers = () => getAvailableCouriers().map(courier => ({
+  name: courier.name,
+  displayName: courier.displayName,
+  courierService: courier.courierService
+}));
+
+/**
+ * Amount the courier should collect on delivery
+ * Cash on delivery orders collect whatever is still owed; prepaid orders collect nothing
+ */
+exports.getCodAmount = (order) => {
+  if (order.payment.method !== 'cod') return 0;
+  const balance = (order.pricing?.total || 0) - (order.payment.amountPaid || 0);
+  return balance > 0 ? Math.round(balance) : 0;
+};
+
+/**
+ * Book a shipment for an order that is ready to dispatch and mark it dispatched
+ * @param {Object} order - Order document
+ * @param {Object} options - { courier, weight, pieces, notes }
+ * @param {Object} user - Admin booking the shipment
+ * @returns {Object} { valid, error?, data?, order? }
+ */
+exports.bookShipment = async (order, { courier: courierName, weight = 0.5, pieces = 1, notes } = {}, user) => {
+  const courier = getCourier(courierName);
+  if (!courier || !courier.isConfigured()) {
+    return { valid: false, error: `Courier ${courierName} is not available` };
+  }
+
+  if (order.status === 'dispatched' && order.tracking?.courier) {
+    return { valid: false, error: `Shipment already booked with ${order.tracking.courierService} (${order.tracking.trackingNumber})` };
+  }
+
+  const check = orderStatusService.validateStatusUpdate(order, 'dispatched');
+  if (!check.valid) return check;
+
+  const codAmount = exports.getCodAmount(order);
+  const booking = await courier.bookShipment({ order, weight, pieces, codAmount, notes });
+  const now = new Date();
+
+  order.tracking = {
+    courierService: courier.courierService,
+    trackingNumber: booking.trackingNumber,
+    trackingUrl: courier.getTrackingUrl(booking.trackingNumber, { orderNumber: order.orderNumber }),
+    dispatchDate: now,
+    estimatedDeliveryDate: booking.estimatedDeliveryDate || order.tracking?.estimatedDeliveryDate,
+    courier: courier.name,
+    bookingReference: booking.reference,
+    bookedAt: now,
+    bookedBy: user?._id,
+    weight,
+    pieces,
+    codAmount,
+    labelUrl: booking.slipUrl || undefined,
+    courierStatus: 'booked',
+    // Scans, including the booking itself, come from the courier on sync
+    events: []
+  };
+
+  const previousStatus = orderStatusService.applyStatus(order, 'dispatched', {
+    note: `Booked with ${courier.displayName}. Tracking: ${booking.trackingNumber}`,
+    user
+  });
+
+  await order.save();
+  await orderStatusService.runEffects(order, previousStatus, { notifyCustomer: false, user });
+  await notificationService.sendTrackingUpdate(order);
+
+  logger.info(`Shipment booked: ${order.orderNumber}`, {
+    courier: courier.name,
+    trackingNumber: booking.trackingNumber,
+    codAmount
+  });
+
+  return { valid: true, order };
+};
+
+/**
+ * Printable airway bill for a booked shipment
+ * @returns {Promise<Buffer>} PDF
+ */
+exports.getLabel = async (order) => {
+  const courier = getCourier(order.tracking?.courier);
+  return generateShippingLabel(order, { courierName: courier?.displayName || order.tracking?.courierService });
+};
+
+/**
+ * Pull the latest scans from the courier into the order
+ * Delivered shipments mark the order delivered; returned ones go back to ready-dispatch
+ * @param {Object} order - Order document booked through a courier integration
+ * @returns {Object} { synced, changed, courierStatus, orderStatus, error? }
+ */
+exports.syncShipment = async (order) => {
+  const courier = getCourier(order.tracking?.courier);
+  if (!courier || !order.tracking?.trackingNumber) {
+    return { synced: false, changed: false, error: 'Order was not booked through a courier integration' };
+  }
+
+  let result;
+  try {
+    result = await courier.getTracking(order.tracking.trackingNumber);
+  } catch (error) {
+    logger.error(`Tracking sync failed for ${order.orderNumber}:`, error);
+    order.tracking.lastSyncedAt = new Date();
+    order.tracking.syncError = error.message;
+    await order.save();
+    return { synced: false, changed: false, error: error.message };
+  }
+
+  const tracking = order.tracking;
+  const seen = new Set(tracking.events.map(event => `${event.status}|${new Date(event.timestamp).getTime()}`));
+  const newEvents = result.events.filter(event => !seen.has(`${event.status}|${new Date(event.timestamp).getTime()}`));
+  newEvents.forEach(event => tracking.events.push(event));
+
+  tracking.lastSyncedAt = new Date();
+  tracking.syncError = undefined;
+
+  const statusChanged = result.status !== tracking.courierStatus;
+  let previousStatus = order.status;
+
+  if (statusChanged) {
+    tracking.courierStatus = result.status;
+    const latest = result.events[result.events.length - 1];
+    const where = latest?.location ? ` (${latest.location})` : '';
+
+    if (result.status === 'delivered' && order.status === 'dispatched') {
+      tracking.actualDeliveryDate = result.deliveredAt || new Date();
+      if (result.recipientName) order.set('tracking.deliveryProof.recipientName', result.recipientName);
+    }
+
+    const target = {
+      'delivered': 'delivered',
+      'returned': 'ready-dispatch'
+    }[result.status];
+    const note = `${courier.displayName}: ${STATUS_LABELS[result.status]}${where}`;
+
+    if (target && orderStatusService.validateStatusUpdate(order, target).valid) {
+      previousStatus = orderStatusService.applyStatus(order, target, { note });
+    } else {
+      // Courier progress is recorded against the current order status
+      order.statusHistory.push({ status: order.status, timestamp: new Date(), note });
+    }
+  }
+
+  await order.save();
+  await orderStatusService.runEffects(order, previousStatus);
+
+  return {
+    synced: true,
+    changed: statusChanged || newEvents.length > 0,
+    courierStatus: tracking.courierStatus,
+    orderStatus: order.status
+  };
+};
+
+/**
+ * Sync every dispatched courier shipment (scheduled job)
+ * @returns {Object} { checked, updated, delivered, failed }
+ */
+exports.syncActiveShipments = async (limit = 100) => {
+  const orders = await Order.getShipmentsToSync(limit);
+  const summary = { checked: orders.length, updated: 0, delivered: 0, failed: 0 };
+
+  for (const order of orders) {
+    const result = await exports.syncShipment(order);
+    if (!result.synced) summary.failed++;
+    if (result.changed) summary.updated++;
+    if (result.orderStatus === 'delivered') summary.delivered++;
+  }
+
+  return summary;
+};
+
+module.exports = exports;
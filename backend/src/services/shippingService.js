@@ -0,0 +1,266 @@
+const ShippingZone = require('../models/ShippingZone');
+const Product = require('../models/Product');
+const Settings = require('../models/Settings');
+const LoyaltyAccount = require('../models/LoyaltyPoints');
+const { getCourier } = require('./couriers');
+
+/**
+ * Shipping Service
+ * Shipping rate engine: finds the address's zone, prices each of the zone's
+ * rates for the parcel and applies free shipping rules
+ *
+ * Used by the cart and checkout quotes and when an order is placed, so the
+ * customer pays what they were quoted
+ */
+
+const { HOME_COUNTRY } = ShippingZone;
+
+const round = value => Math.round(value * 100) / 100;
+
+const lower = value => String(value || '').trim().toLowerCase();
+
+/**
+ * ISO country code for an address country ('Pakistan', 'pk' and empty are PK)
+ */
+const normaliseCountry = (country) => {
+  const value = String(country || '').trim();
+  if (!value || /^pakistan$/i.test(value)) return HOME_COUNTRY;
+  return value.toUpperCase();
+};
+
+/**
+ * City, province and country code of an address
+ * Accepts the order address shape and the checkout form's (state for province)
+ */
+exports.normaliseAddress = (address = {}) => ({
+  city: String(address.city || '').trim(),
+  province: String(address.province || address.state || '').trim(),
+  country: normaliseCountry(address.country)
+});
+
+/**
+ * Zone an address falls into
+ * @param {Object} address - { city, province, country }
+ * @param {Array} [zones] - Active zones (loaded when not given)
+ * @returns {Promise<Object|null>} ShippingZone or null when no zone covers the address
+ */
+exports.findZone = async (address, zones) => {
+  const { city, province, country } = exports.normaliseAddress(address);
+  const scope = country === HOME_COUNTRY ? 'domestic' : 'international';
+
+  const candidates = (zones || await ShippingZone.find({ isActive: true }))
+    .filter(zone => zone.scope === scope)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  const listed = (values, value) => Boolean(value) && values.some(entry => lower(entry) === lower(value));
+
+  return candidates.find(zone => listed(zone.cities, city)) ||
+    candidates.find(zone => listed(zone.provinces, province)) ||
+    candidates.find(zone => listed(zone.countries, country)) ||
+    candidates.find(zone => zone.isDefault) ||
+    null;
+};
+
+/**
+ * Weight, item count and value of the parcel for a set of items
+ * @param {Array} items - [{ product, quantity, price, isCustom }] (product is an ID or document)
+ * @param {number} defaultItemWeight - kg per item for products without a shipping weight
+ * @returns {Promise<Object>} { weight, itemCount, subtotal, hasCustomItems }
+ */
+exports.getParcel = async (items = [], defaultItemWeight = 0.5) => {
+  const productIds = items.map(item => item.product?._id || item.product).filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('inventory.shippingWeight pricing.basePrice')
+    .lean();
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  return items.reduce((parcel, item) => {
+    const product = productsById.get(String(item.product?._id || item.product));
+    const quantity = item.quantity || 1;
+    const price = item.price ?? product?.pricing?.basePrice ?? 0;
+
+    parcel.weight = round(parcel.weight + (product?.inventory?.shippingWeight ?? defaultItemWeight) * quantity);
+    parcel.itemCount += quantity;
+    parcel.subtotal = round(parcel.subtotal + price * quantity);
+    parcel.hasCustomItems = parcel.hasCustomItems || Boolean(item.isCustom);
+    return parcel;
+  }, { weight: 0, itemCount: 0, subtotal: 0, hasCustomItems: false });
+};
+
+/**
+ * Price of one zone rate for a parcel
+ * Flat rates cost baseRate. Weight and item rates use the first bracket the
+ * parcel fits in, then extraPerUnit for every kg/item past the last bracket;
+ * without brackets, baseRate covers the first kg/item
+ * @param {Object} rate - Zone rate
+ * @param {Object} parcel - From getParcel
+ * @returns {number}
+ */
+exports.priceRate = (rate, parcel) => {
+  let cost = rate.baseRate;
+
+  if (rate.basis !== 'flat') {
+    const measure = rate.basis === 'weight' ? parcel.weight : parcel.itemCount;
+    const brackets = rate.brackets || [];
+    const bracket = brackets.find(entry => measure <= entry.upTo);
+    const last = brackets[brackets.length - 1];
+
+    if (bracket) {
+      cost = bracket.rate;
+    } else if (last) {
+      cost = last.rate + Math.ceil(measure - last.upTo) * (rate.extraPerUnit || 0);
+    } else {
+      cost = rate.baseRate + Math.ceil(Math.max(measure - 1, 0)) * (rate.extraPerUnit || 0);
+    }
+  }
+
+  if (parcel.hasCustomItems) {
+    cost += rate.customItemSurcharge || 0;
+  }
+
+  return round(cost);
+};
+
+/**
+ * Zone for domestic addresses when no configured zone covers them:
+ * one flat rate at the store's default shipping cost
+ */
+const getFallbackZone = (settings) => ({
+  _id: null,
+  name: 'Standard',
+  scope: 'domestic',
+  freeShippingThreshold: null,
+  estimatedDays: settings.shipping?.estimatedDeliveryDays,
+  rates: [{
+    _id: 'standard',
+    label: 'Standard',
+    basis: 'flat',
+    baseRate: settings.shipping?.defaultShippingCost ?? 200,
+    isActive: true
+  }]
+});
+
+/**
+ * Subtotal at which the zone ships free (0 = never)
+ * International zones only ship free with their own threshold
+ */
+const getFreeShippingThreshold = (zone, settings) => {
+  if (zone.freeShippingThreshold != null) return zone.freeShippingThreshold;
+  if (zone.scope === 'international') return 0;
+  return settings.shipping?.freeShippingThreshold || 0;
+};
+
+/**
+ * Why a rate ships free, or null
+ * @param {Object} context - { zone, courier, subtotal, promoCode, loyalty, settings }
+ * @returns {string|null} Reason shown to the customer
+ */
+exports.getFreeShippingReason = ({ zone, courier, subtotal, promoCode, loyalty, settings }) => {
+  const threshold = getFreeShippingThreshold(zone, settings);
+  if (threshold > 0 && subtotal >= threshold) {
+    return `Free shipping on orders over PKR ${threshold.toLocaleString()}`;
+  }
+
+  if (loyalty?.tierBenefits?.freeShipping) {
+    return `Free shipping for ${loyalty.tier} members`;
+  }
+
+  const now = new Date();
+  const code = promoCode ? String(promoCode).trim().toUpperCase() : null;
+
+  const rule = (settings.shipping?.freeShippingRules || []).find(entry => {
+    if (!entry.enabled) return false;
+    if (entry.startsAt && entry.startsAt > now) return false;
+    if (entry.endsAt && entry.endsAt < now) return false;
+    if (entry.promoCodes?.length && !entry.promoCodes.some(value => value.toUpperCase() === code)) return false;
+    if (entry.loyaltyTiers?.length && !entry.loyaltyTiers.includes(loyalty?.tier)) return false;
+    if (entry.minSubtotal && subtotal < entry.minSubtotal) return false;
+    if (entry.zones?.length && !entry.zones.some(id => String(id) === String(zone._id))) return false;
+    if (entry.couriers?.length && !entry.couriers.includes(courier)) return false;
+    return true;
+  });
+
+  return rule ? rule.name : null;
+};
+
+/**
+ * Shipping quote for an address and a set of items
+ * @param {Object} params
+ * @param {Object} params.address - Shipping address (city, province/state, country)
+ * @param {Array} params.items - [{ product, quantity, price, isCustom }]
+ * @param {string} [params.rateId] - Rate the customer picked; defaults to the cheapest
+ * @param {string} [params.promoCode] - Applied promo code (free shipping rules)
+ * @param {Object} [params.user] - Logged-in customer (loyalty tier)
+ * @returns {Promise<Object>} { available, error?, zone, parcel, options, selected, cost,
+ *   freeShippingThreshold, remainingForFreeShipping }
+ */
+exports.getQuote = async ({ address, items = [], rateId, promoCode, user } = {}) => {
+  const [settings, matchedZone, loyalty] = await Promise.all([
+    Settings.getSettings(),
+    exports.findZone(address || {}),
+    user?._id ? LoyaltyAccount.findOne({ userId: user._id }).select('tier tierBenefits').lean() : null
+  ]);
+
+  const domestic = exports.normaliseAddress(address).country === HOME_COUNTRY;
+  const zone = matchedZone || (domestic ? getFallbackZone(settings) : null);
+
+  if (!zone) {
+    return {
+      available: false,
+      error: 'We do not deliver to this address yet',
+      options: []
+    };
+  }
+
+  const parcel = await exports.getParcel(items, settings.shipping?.defaultItemWeight ?? 0.5);
+
+  const options = zone.rates
+    .filter(rate => rate.isActive && (!rate.courier || getCourier(rate.courier)))
+    .map(rate => {
+      const originalCost = exports.priceRate(rate, parcel);
+      const freeShippingReason = exports.getFreeShippingReason({
+        zone,
+        courier: rate.courier,
+        subtotal: parcel.subtotal,
+        promoCode,
+        loyalty,
+        settings
+      });
+
+      return {
+        rateId: String(rate._id),
+        courier: rate.courier || null,
+        label: rate.label,
+        cost: freeShippingReason ? 0 : originalCost,
+        originalCost,
+        freeShipping: Boolean(freeShippingReason),
+        freeShippingReason,
+        estimatedDays: rate.estimatedDays?.max ? rate.estimatedDays : zone.estimatedDays
+      };
+    })
+    .sort((a, b) => a.cost - b.cost);
+
+  if (!options.length) {
+    return {
+      available: false,
+      error: 'No delivery options for this address',
+      options: []
+    };
+  }
+
+  const selected = (rateId && options.find(option => option.rateId === String(rateId))) || options[0];
+  const threshold = getFreeShippingThreshold(zone, settings);
+
+  return {
+    available: true,
+    zone: { _id: zone._id, name: zone.name, scope: zone.scope },
+    parcel: { weight: parcel.weight, itemCount: parcel.itemCount, subtotal: parcel.subtotal },
+    options,
+    selected,
+    cost: selected.cost,
+    freeShippingThreshold: threshold || null,
+    remainingForFreeShipping: threshold > 0 ? Math.max(0, round(threshold - parcel.subtotal)) : null
+  };
+};
+
+module.exports = exports;
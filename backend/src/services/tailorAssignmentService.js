@@ -0,0 +1,202 @@
+const Tailor = require('../models/Tailor');
+const ProductionQueue = require('../models/ProductionQueue');
+const logger = require('../utils/logger');
+
+/**
+ * Tailor Assignment Service
+ * Picks a tailor for production queue items based on specialization,
+ * today's availability and remaining capacity
+ */
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Production statuses that free up the tailor's slot
+const RELEASE_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * Get the availability key for a date (e.g. 'monday')
+ */
+const getDayKey = (date = new Date()) => DAYS[date.getDay()];
+
+/**
+ * Work out which specialization an order needs
+ * Bridal work takes precedence over embroidery; everything else starts at cutting
+ */
+exports.resolveSpecialization = (order) => {
+  const items = order?.items || [];
+
+  const isBridal = items.some(item => {
+    const product = item.product || {};
+    return product.occasion === 'Bridal' ||
+      product.embroideryDetails?.complexity === 'bridal' ||
+      /bridal/i.test(item.productSnapshot?.category || '') ||
+      /bridal/i.test(item.productSnapshot?.title || '');
+  });
+  if (isBridal) return 'bridal';
+
+  const needsEmbroidery = items.some(item => {
+    const workType = item.product?.embroideryDetails?.workType;
+    const addOns = item.customDetails?.addOns || [];
+    return (workType && workType !== 'none') ||
+      addOns.some(addOn => /embroider|karhai/i.test(addOn.name || ''));
+  });
+  if (needsEmbroidery) return 'embroidery';
+
+  return 'cutting';
+};
+
+/**
+ * Rank tailors for an assignment
+ * Most free slots first, then on-time delivery rate, then rating
+ */
+exports.rankTailors = (tailors) => {
+  return [...tailors].sort((a, b) => {
+    const freeA = a.capacity.maxOrdersPerDay - a.capacity.currentOrders;
+    const freeB = b.capacity.maxOrdersPerDay - b.capacity.currentOrders;
+    if (freeA !== freeB) return freeB - freeA;
+
+    const onTimeDiff = (b.performance?.onTimeDeliveryRate || 0) - (a.performance?.onTimeDeliveryRate || 0);
+    if (onTimeDiff !== 0) return onTimeDiff;
+
+    return (b.performance?.averageRating || 0) - (a.performance?.averageRating || 0);
+  });
+};
+
+/**
+ * Find tailors who can take work today for a specialization
+ * Falls back to any available tailor if no specialist is free
+ */
+exports.findCandidates = async (specialization, date = new Date()) => {
+  const dayKey = getDayKey(date);
+  const availableToday = { [`availability.${dayKey}.available`]: true };
+
+  let candidates = await Tailor.findAvailable(specialization).find(availableToday);
+
+  if (candidates.length === 0 && specialization) {
+    candidates = await Tailor.findAvailable().find(availableToday);
+  }
+
+  return exports.rankTailors(candidates);
+};
+
+/**
+ * Auto-assign a production queue item to the best available tailor
+ * Capacity is reserved atomically so two items cannot take the last slot
+ * @returns {Object|null} The assigned tailor, or null if nobody is free
+ */
+exports.autoAssign = async (queueItemOrId, { date = new Date(), notes = 'Auto-assigned' } = {}) => {
+  const item = typeof queueItemOrId === 'object' && queueItemOrId.save
+    ? queueItemOrId
+    : await ProductionQueue.findById(queueItemOrId);
+
+  if (!item) {
+    throw new Error('Production queue item not found');
+  }
+
+  if (item.assignedTailor?.tailorId) {
+    return null;
+  }
+
+  await item.populate({
+    path: 'orderId',
+    select: 'items',
+    populate: { path: 'items.product', select: 'occasion embroideryDetails' }
+  });
+
+  const specialization = exports.resolveSpecialization(item.orderId);
+  const candidates = await exports.findCandidates(specialization, date);
+
+  for (const candidate of candidates) {
+    // Reserve a slot only if the tailor still has room
+    const tailor = await Tailor.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        status: 'active',
+        $expr: { $lt: ['$capacity.currentOrders', '$capacity.maxOrdersPerDay'] }
+      },
+      { $inc: { 'capacity.currentOrders': 1 } },
+      { new: true }
+    );
+
+    if (!tailor) continue;
+
+    const estimatedCompletion = new Date(date);
+    estimatedCompletion.setDate(estimatedCompletion.getDate() + tailor.capacity.estimatedCompletionDays);
+
+    await item.assignToTailor(tailor._id, estimatedCompletion, `${notes} (${specialization})`);
+    if (!item.estimatedCompletionDate) {
+      item.estimatedCompletionDate = estimatedCompletion;
+      await item.save();
+    }
+
+    logger.info(`Production item ${item.orderNumber} auto-assigned to ${tailor.name}`, {
+      queueItemId: item._id,
+      tailorId: tailor._id,
+      specialization
+    });
+
+    return tailor;
+  }
+
+  logger.warn(`No tailor available for production item ${item.orderNumber}`, {
+    queueItemId: item._id,
+    specialization
+  });
+
+  return null;
+};
+
+/**
+ * Auto-assign every pending, unassigned queue item (oldest and most urgent first)
+ */
+exports.assignPending = async ({ date = new Date() } = {}) => {
+  const pending = await ProductionQueue.findByUrgency({
+    status: 'pending',
+    'assignedTailor.tailorId': { $exists: false }
+  });
+
+  const results = { total: pending.length, assigned: 0, unassigned: 0 };
+
+  for (const item of pending) {
+    try {
+      const tailor = await exports.autoAssign(item, { date });
+      if (tailor) {
+        results.assigned++;
+      } else {
+        results.unassigned++;
+      }
+    } catch (error) {
+      results.unassigned++;
+      logger.error(`Auto-assignment failed for ${item.orderNumber}:`, error);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Release the tailor's slot when an item finishes or is cancelled
+ * Completed items also update the tailor's performance stats
+ */
+exports.releaseTailor = async (item, newStatus) => {
+  if (!RELEASE_STATUSES.includes(newStatus)) return null;
+
+  const tailorId = item.assignedTailor?.tailorId?._id || item.assignedTailor?.tailorId;
+  if (!tailorId) return null;
+
+  const tailor = await Tailor.findById(tailorId);
+  if (!tailor) return null;
+
+  if (newStatus === 'completed') {
+    const dueDate = item.assignedTailor.estimatedCompletion || item.estimatedCompletionDate;
+    const completedAt = item.timeline?.completedAt || new Date();
+    const onTime = !dueDate || completedAt <= dueDate;
+    await tailor.completeOrder(onTime);
+  } else {
+    await tailor.releaseOrder();
+  }
+
+  return tailor;
+};
+
+module.exports = exports;
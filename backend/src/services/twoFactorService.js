@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrolment with a QR code, backup codes, remembered devices and
+ * recovery by a super-admin. Admin roles can't sign in without it: after the
+ * password they get a short-lived challenge token to trade, with a code,
+ * for a session
+ */
+
+const ADMIN_ROLES = ['admin', 'super-admin'];
+const CHALLENGE_EXPIRY = '10m';
+const BACKUP_CODE_COUNT = 10;
+const TRUSTED_DEVICE_DAYS = 30;
+const MAX_TRUSTED_DEVICES = 10;
+const DAY = 24 * 60 * 60 * 1000;
+
+const SECRET_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.backupCodes',
+  '+twoFactor.trustedDevices'
+].join(' ');
+
+exports.TRUSTED_DEVICE_COOKIE = 'trustedDevice';
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const issuer = () => process.env.BUSINESS_NAME || 'LaraibCreative';
+
+// TOTP secrets are stored encrypted (AES-256-GCM) as iv:tag:data
+const encryptionKey = () => {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!source) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not defined');
+  }
+  return crypto.createHash('sha256').update(source).digest();
+};
+
+const encrypt = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('hex')).join(':');
+};
+
+const decrypt = (stored) => {
+  const [iv, tag, data] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// Backup codes are shown as xxxxx-xxxxx; dashes, spaces and case don't matter
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const newBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ codeHash: hash(normalizeBackupCode(code)) }))
+  };
+};
+
+/**
+ * Whether the user must sign in with a second factor
+ * @param {Object} user
+ */
+exports.isRequired = (user) => ADMIN_ROLES.includes(user.role);
+
+/**
+ * A user with their two-factor secrets selected
+ * @param {string} userId
+ */
+exports.loadUser = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// ============================================
+// SIGN-IN CHALLENGE
+// ============================================
+
+/**
+ * Short-lived token proving the password was right
+ * @param {Object} user
+ * @param {string} purpose - 'setup' (not enrolled yet) or 'verify'
+ * @returns {string}
+ */
+exports.createChallenge = (user, purpose) => jwt.sign(
+  { id: user._id, type: '2fa', purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRY }
+);
+
+/**
+ * The user a challenge token was issued to
+ * @param {string} token
+ * @param {string} purpose - 'setup' or 'verify'
+ * @returns {Promise<Object|null>} User with secrets selected, or null if the token is invalid or spent
+ */
+exports.readChallenge = async (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (decoded.type !== '2fa' || decoded.purpose !== purpose) return null;
+
+  const user = await exports.loadUser(decoded.id);
+  if (!user || !user.isActive || !exports.isRequired(user)) return null;
+
+  // A setup challenge is spent once enrolment finishes, and a verify one after a reset
+  if ((purpose === 'verify') !== user.twoFactor.enabled) return null;
+
+  return user;
+};
+
+// ============================================
+// ENROLMENT
+// ============================================
+
+/**
+ * Start enrolment with a new secret
+ * @param {Object} user
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode (data URL) }
+ */
+exports.beginSetup = async (user) => {
+  const secret = totp.generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encrypt(secret) } });
+
+  const otpauthUrl = totp.keyUri({ secret, account: user.email, issuer: issuer() });
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Finish enrolment with the first code from the authenticator app
+ * @param {Object} user - Loaded with loadUser/readChallenge
+ * @param {string} code
+ * @returns {Promise<Object>} { valid, error, invalidCode } or { valid: true, backupCodes }
+ */
+exports.enable = async (user, code) => {
+  const pendingSecret = user.twoFactor.pendingSecret;
+  if (!pendingSecret) {
+    return { valid: false, error: 'Start two-factor setup first' };
+  }
+
+  const step = totp.verify(code, decrypt(pendingSecret));
+  if (step === null) {
+    return { valid: false, invalidCode: true, error: 'Invalid authentication code' };
+  }
+
+  const { codes, stored } = newBackupCodes();
+
+  // Only if setup wasn't restarted or finished by another request meanwhile
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': pendingSecret },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.backupCodes': stored,
+        'twoFactor.trustedDevices': [],
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { valid: false, error: 'Two-factor setup was restarted. Scan the new QR code' };
+  }
+
+  logger.info(`Two-factor authentication enabled for ${user.email}`);
+  return { valid: true, backupCodes: codes };
+};
+
+// ============================================
+// VERIFYING
+// ============================================
+
+/**
+ * Check a code from the authenticator app
+ * Each code works once, so a code seen over someone's shoulder is already spent
+ * @param {Object} user - Loaded with loadUser/readChallenge
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+exports.verifyCode = async (user, code) => {
+  if (!user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+  const step = totp.verify(code, decrypt(user.twoFactor.secret));
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Spend a backup code
+ * @param {Object} user
+ * @param {string} backupCode
+ * @returns {Promise<boolean>}
+ */
+exports.useBackupCode = async (user, backupCode) => {
+  const normalized = normalizeBackupCode(backupCode);
+  if (!normalized) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.enabled': true,
+      'twoFactor.backupCodes': { $elemMatch: { codeHash: hash(normalized), usedAt: null } }
+    },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+  );
+
+  if (result.modifiedCount === 1) {
+    logger.warn(`Backup code used to sign in as ${user.email}`);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Replace all backup codes
+ * @param {Object} user
+ * @returns {Promise<Array<string>>} The new codes, shown once
+ */
+exports.regenerateBackupCodes = async (user) => {
+  const { codes, stored } = newBackupCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': stored } });
+
+  logger.info(`Backup codes regenerated for ${user.email}`);
+  return codes;
+};
+
+// ============================================
+// REMEMBERED DEVICES
+// ============================================
+
+/**
+ * Remember a browser so it skips the code for TRUSTED_DEVICE_DAYS
+ * @param {Object} user
+ * @param {Object} device - { userAgent, ip }
+ * @returns {Promise<Object>} { token (for the cookie), expiresAt }
+ */
+exports.trustDevice = async (user, { userAgent, ip } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TRUSTED_DEVICE_DAYS * DAY);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        'twoFactor.trustedDevices': {
+          $each: [{ tokenHash: hash(token), label: userAgent?.slice(0, 200), ip, expiresAt }],
+          $slice: -MAX_TRUSTED_DEVICES
+        }
+      }
+    }
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Whether the browser's remembered-device token is still good for this user
+ * @param {Object} user
+ * @param {string} [token] - From the trustedDevice cookie
+ * @returns {Promise<boolean>}
+ */
+exports.isTrustedDevice = async (user, token) => {
+  if (!token || typeof token !== 'string' || !user.twoFactor?.enabled) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.enabled': true,
+      'twoFactor.trustedDevices': { $elemMatch: { tokenHash: hash(token), expiresAt: { $gt: new Date() } } }
+    },
+    { $set: { 'twoFactor.trustedDevices.$.lastUsedAt': new Date() } }
+  );
+
+  return result.matchedCount === 1;
+};
+
+/**
+ * Forget every remembered browser
+ * @param {Object} user
+ */
+exports.forgetDevices = async (user) => {
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.trustedDevices': [] } });
+};
+
+/**
+ * Enrolment, backup codes left and remembered browsers
+ * @param {Object} user - Loaded with loadUser
+ */
+exports.getStatus = (user) => {
+  const now = new Date();
+
+  return {
+    required: exports.isRequired(user),
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt,
+    backupCodesRemaining: (user.twoFactor.backupCodes || []).filter(code => !code.usedAt).length,
+    trustedDevices: (user.twoFactor.trustedDevices || [])
+      .filter(device => device.expiresAt > now)
+      .map(device => ({
+        _id: device._id,
+        label: device.label,
+        ip: device.ip,
+        createdAt: device.createdAt,
+        expiresAt: device.expiresAt,
+        lastUsedAt: device.lastUsedAt
+      }))
+  };
+};
+
+// ============================================
+// RECOVERY
+// ============================================
+
+/**
+ * Turn off an admin's two-factor authentication after they lose their device
+ * They enrol again at their next sign-in
+ * @param {string} userId
+ * @param {Object} superAdmin
+ * @param {string} reason
+ * @returns {Promise<Object>} { valid, error, status } or { valid: true, user }
+ */
+exports.reset = async (userId, superAdmin, reason) => {
+  if (superAdmin._id.equals(userId)) {
+    return { valid: false, error: 'Another super-admin must reset your two-factor authentication' };
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, role: { $in: ADMIN_ROLES } },
+    {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.backupCodes': [],
+        'twoFactor.trustedDevices': [],
+        'twoFactor.resetBy': superAdmin._id,
+        'twoFactor.resetAt': new Date()
+      },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    return { valid: false, status: 404, error: 'Admin not found' };
+  }
+
+  logger.warn(`Two-factor authentication for ${user.email} reset by ${superAdmin.email}`, { reason });
+  return { valid: true, user };
+};
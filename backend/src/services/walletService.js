@@ -0,0 +1,275 @@
+const Wallet = require('../models/Wallet');
+const paymentLedgerService = require('./paymentLedgerService');
+const logger = require('../utils/logger');
+
+/**
+ * Wallet Service
+ * Customer store credit: refunds and return credits into the wallet,
+ * spending it on orders and admin adjustments
+ *
+ * Wallet payments are recorded on the order ledger as verified installments
+ * with method 'wallet', so amountPaid and the deposit rules apply unchanged
+ */
+
+/**
+ * Get a user's wallet (created empty on first use)
+ */
+exports.getWallet = (userId) => Wallet.getOrCreate(userId);
+
+/**
+ * Wallet with its transactions newest first, paginated
+ * @param {Object} wallet - Wallet document
+ * @param {Object} [options] - { page, limit }
+ */
+exports.getSummary = (wallet, { page = 1, limit = 20 } = {}) => {
+  const transactions = [...wallet.transactions].reverse();
+  const start = (page - 1) * limit;
+
+  return {
+    balance: wallet.balance,
+    currency: wallet.currency,
+    totalCredited: wallet.totalCredited,
+    totalDebited: wallet.totalDebited,
+    transactions: transactions.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total: transactions.length,
+      pages: Math.ceil(transactions.length / limit)
+    }
+  };
+};
+
+/**
+ * Take store credit for an order
+ * @param {ObjectId} userId - Wallet owner
+ * @param {Object} order - Order (or order data with a preassigned _id)
+ * @param {number} amount
+ * @returns {Object|null} Verified wallet installment for the order ledger, or null if the balance is too low
+ */
+exports.debitForOrder = async (userId, order, amount) => {
+  const wallet = await Wallet.debit(userId, amount, {
+    source: 'order-payment',
+    order: order._id,
+    orderNumber: order.orderNumber,
+    description: `Payment for order ${order.orderNumber}`
+  });
+
+  if (!wallet) return null;
+
+  const transaction = wallet.transactions[wallet.transactions.length - 1];
+  const now = new Date();
+
+  return {
+    amount: transaction.amount,
+    method: 'wallet',
+    transactionId: `WALLET-${transaction._id}`,
+    paidAt: now,
+    notes: 'Paid from store credit',
+    source: 'customer',
+    status: 'verified',
+    recordedBy: userId,
+    verifiedAt: now
+  };
+};
+
+/**
+ * Put back store credit taken for an order that could not be completed
+ */
+exports.reverseOrderDebit = (userId, order, amount, reason) => Wallet.credit(userId, amount, {
+  source: 'order-reversal',
+  order: order._id,
+  orderNumber: order.orderNumber,
+  description: reason
+});
+
+/**
+ * Pay towards an existing order from the customer's wallet
+ * @param {Object} order - Order document
+ * @param {number} amount
+ * @param {Object} user - Paying customer
+ * @returns {Object|null} The new installment, or null if the balance is too low
+ */
+exports.payOrder = async (order, amount, user) => {
+  const installment = await exports.debitForOrder(user._id, order, amount);
+  if (!installment) return null;
+
+  try {
+    return await paymentLedgerService.addInstallment(order, installment, {
+      source: 'customer',
+      verified: true,
+      user
+    });
+  } catch (error) {
+    await exports.reverseOrderDebit(user._id, order, amount, 'Payment could not be recorded on the order');
+    throw error;
+  }
+};
+
+/**
+ * Store credit paid towards an order that hasn't been given back yet
+ */
+exports.getUnreturnedWalletPayments = (order) => {
+  const paid = (order.payment.installments || [])
+    .filter(installment => installment.method === 'wallet' && installment.status === 'verified')
+    .reduce((sum, installment) => sum + installment.amount, 0);
+
+  return Math.max(Math.round((paid - (order.payment.refund?.walletAmount || 0)) * 100) / 100, 0);
+};
+
+/**
+ * Issue part of a refund as store credit and record it on the order
+ * The caller saves the order
+ * @param {Object} order - Order document
+ * @param {number} amount
+ * @param {Object} details - { source, reason, returnRequest, user }
+ * @returns {Object} Updated wallet
+ */
+exports.refundToWallet = async (order, amount, { source = 'refund', reason, returnRequest, user }) => {
+  const wallet = await Wallet.credit(order.customer, amount, {
+    source,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    returnRequest,
+    description: reason,
+    createdBy: user?._id
+  });
+
+  order.set('payment.refund.walletAmount', (order.payment.refund?.walletAmount || 0) + amount);
+
+  logger.info(`Store credit issued for order ${order.orderNumber}`, {
+    amount,
+    source,
+    balance: wallet.balance
+  });
+
+  return wallet;
+};
+
+/**
+ * Give back the store credit spent on an order (e.g. when the customer cancels it)
+ * The caller saves the order
+ * @returns {number} Amount returned to the wallet
+ */
+exports.returnWalletPayments = async (order, reason, user) => {
+  const amount = exports.getUnreturnedWalletPayments(order);
+  if (amount <= 0) return 0;
+
+  await exports.refundToWallet(order, amount, { source: 'order-reversal', reason, user });
+
+  order.set('payment.refund.amount', (order.payment.refund?.amount || 0) + amount);
+  order.set('payment.refund.reason', reason);
+  order.set('payment.refund.processedAt', new Date());
+  order.set('payment.refund.processedBy', user?._id);
+
+  return amount;
+};
+
+/**
+ * Manual credit or debit by an admin
+ * @param {ObjectId} userId - Wallet owner
+ * @param {Object} adjustment - { type: 'credit' | 'debit', amount, reason }
+ * @param {Object} admin
+ * @returns {Object|null} Updated wallet, or null if a debit exceeds the balance
+ */
+exports.adjust = async (userId, { type, amount, reason }, admin) => {
+  const details = { source: 'adjustment', description: reason, createdBy: admin._id };
+  const wallet = type === 'credit'
+    ? await Wallet.credit(userId, amount, details)
+    : await Wallet.debit(userId, amount, details);
+
+  if (wallet) {
+    logger.info(`Wallet ${type} adjustment for user ${userId}`, {
+      amount,
+      reason,
+      adjustedBy: admin.email
+    });
+  }
+
+  return wallet;
+};
+
+/**
+ * Ledger entries across all wallets, newest first (admin audit view)
+ * @param {Object} filters - { source, type, user, from, to, page, limit }
+ * @returns {Object} { transactions, pagination }
+ */
+exports.getTransactions = async ({ source, type, user, from, to, page = 1, limit = 50 } = {}) => {
+  const match = {};
+  if (source) match['transactions.source'] = source;
+  if (type) match['transactions.type'] = type;
+  if (from || to) {
+    match['transactions.createdAt'] = {};
+    if (from) match['transactions.createdAt'].$gte = new Date(from);
+    if (to) match['transactions.createdAt'].$lte = new Date(to);
+  }
+
+  const pipeline = [
+    ...(user ? [{ $match: { user } }] : []),
+    { $unwind: '$transactions' },
+    { $match: match },
+    { $sort: { 'transactions.createdAt': -1 } },
+    {
+      $facet: {
+        transactions: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'customer' } },
+          { $lookup: { from: 'users', localField: 'transactions.createdBy', foreignField: '_id', as: 'createdBy' } },
+          {
+            $project: {
+              _id: '$transactions._id',
+              wallet: '$_id',
+              customer: {
+                _id: '$user',
+                fullName: { $arrayElemAt: ['$customer.fullName', 0] },
+                email: { $arrayElemAt: ['$customer.email', 0] },
+                phone: { $arrayElemAt: ['$customer.phone', 0] }
+              },
+              createdBy: {
+                _id: '$transactions.createdBy',
+                fullName: { $arrayElemAt: ['$createdBy.fullName', 0] }
+              },
+              type: '$transactions.type',
+              amount: '$transactions.amount',
+              balanceAfter: '$transactions.balanceAfter',
+              source: '$transactions.source',
+              order: '$transactions.order',
+              orderNumber: '$transactions.orderNumber',
+              returnRequest: '$transactions.returnRequest',
+              description: '$transactions.description',
+              createdAt: '$transactions.createdAt'
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ];
+
+  const [result] = await Wallet.aggregate(pipeline);
+  const total = result.total[0]?.count || 0;
+
+  return {
+    transactions: result.transactions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Total store credit outstanding across all wallets
+ */
+exports.getOutstandingCredit = async () => {
+  const [result] = await Wallet.aggregate([
+    { $group: { _id: null, balance: { $sum: '$balance' }, wallets: { $sum: { $cond: [{ $gt: ['$balance', 0] }, 1, 0] } } } }
+  ]);
+
+  return { balance: result?.balance || 0, wallets: result?.wallets || 0 };
+};
+
+module.exports = exports;
@@ -0,0 +1,170 @@
+/**
+ * Cron Expression Parser
+ * Minimal 5-field cron support for the in-process job scheduler
+ *
+ * Fields: minute hour day-of-month month day-of-week
+ * Supports `*`, single values, lists (1,15), ranges (1-5) and steps (*\/5, 10-30/10)
+ * Times are evaluated in the server's local timezone
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+// Give up searching after this many minutes (covers leap-day schedules)
+const MAX_LOOKAHEAD_MINUTES = 4 * 366 * 24 * 60;
+
+/**
+ * Expand one cron field into the set of values it matches
+ */
+const parseField = (source, { name, min, max }) => {
+  const values = new Set();
+
+  source.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${part}" in cron ${name} field`);
+    }
+
+    let start;
+    let end;
+
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      // "5/15" means from 5 to the end of the range
+      end = stepPart === undefined ? start : max;
+    }
+
+    // Sunday may be written as 7
+    if (name === 'dayOfWeek') {
+      if (start === 7) start = 0;
+      if (end === 7) end = 6;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${part}" in cron ${name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+
+    if (name === 'dayOfWeek' && rangePart.endsWith('-7')) {
+      values.add(0);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "*\/5 * * * *"
+ * @returns {Object} Matching value sets per field
+ */
+exports.parse = (expression) => {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+};
+
+/**
+ * Check whether an expression is valid
+ */
+exports.isValid = (expression) => {
+  try {
+    exports.parse(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether a parsed schedule fires on the given day
+ */
+const dayMatches = (schedule, date) => {
+  const domMatch = schedule.dayOfMonth.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getDay());
+
+  // Standard cron: when both day fields are restricted, either may match
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+};
+
+/**
+ * Whether a parsed schedule fires at the given minute
+ */
+const matches = (schedule, date) => (
+  schedule.minute.has(date.getMinutes()) &&
+  schedule.hour.has(date.getHours()) &&
+  schedule.month.has(date.getMonth() + 1) &&
+  dayMatches(schedule, date)
+);
+
+/**
+ * Next time the expression fires, strictly after `from`
+ * @param {string|Object} expression - Cron string or result of parse()
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ */
+exports.getNextRun = (expression, from = new Date()) => {
+  const schedule = typeof expression === 'string' ? exports.parse(expression) : expression;
+
+  const candidate = new Date(from.getTime());
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = candidate.getTime() + MAX_LOOKAHEAD_MINUTES * 60 * 1000;
+
+  while (candidate.getTime() <= limit) {
+    if (matches(schedule, candidate)) {
+      return candidate;
+    }
+
+    // Skip whole months/days/hours that can't match instead of walking every minute
+    if (!schedule.month.has(candidate.getMonth() + 1)) {
+      candidate.setMonth(candidate.getMonth() + 1, 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+    } else {
+      candidate.setMinutes(candidate.getMinutes() + 1);
+    }
+  }
+
+  throw new Error(`Cron expression "${expression}" never fires`);
+};
+
+module.exports = exports;
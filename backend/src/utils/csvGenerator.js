@@ -131,9 +131,103 @@ const generateCustomerCSV = (customers) => {
   return [headers.join(','), ...rows].join('\n');
 };
 
+/**
+ * Generate CSV content for the COD reconciliation report
+ * One row per unpaid, short-paid or returned parcel
+ * @param {Object} report - { unpaid, shortPaid, returned } from codReconciliationService.getReport
+ * @returns {string} CSV content
+ */
+const generateCodReconciliationCSV = (report) => {
+  const sections = [
+    ['Unpaid', report?.unpaid],
+    ['Short-paid', report?.shortPaid],
+    ['Returned', report?.returned]
+  ];
+
+  if (sections.every(([, items]) => !items || items.length === 0)) {
+    return 'No parcels to reconcile\n';
+  }
+
+  const headers = [
+    'Issue',
+    'Order Number',
+    'Customer Name',
+    'Courier',
+    'Tracking Number',
+    'COD Amount',
+    'Remitted',
+    'Difference',
+    'Settlement Reference',
+    'Delivered Date',
+    'Days Outstanding'
+  ];
+
+  const rows = sections.flatMap(([issue, items = []]) => items.map(item => {
+    return [
+      issue,
+      item.orderNumber || '',
+      `"${(item.customerName || '').replace(/"/g, '""')}"`,
+      item.courierService || '',
+      item.trackingNumber || '',
+      item.codAmount || 0,
+      item.remitted ?? '',
+      item.difference ?? '',
+      item.settlementReference || '',
+      item.deliveredAt ? new Date(item.deliveredAt).toISOString().split('T')[0] : '',
+      item.daysOutstanding ?? ''
+    ].join(',');
+  }));
+
+  return [headers.join(','), ...rows].join('\n');
+};
+
+/**
+ * Generate CSV content for a batch of single-use promo codes
+ * One row per code, with the order it was redeemed on if any
+ * @param {Array} codes - From promoCodeService.getBatchCodes
+ * @returns {string} CSV content
+ */
+const generatePromoCodeBatchCSV = (codes) => {
+  if (!codes || codes.length === 0) {
+    return 'No codes to export\n';
+  }
+
+  const headers = [
+    'Code',
+    'Status',
+    'Expires',
+    'Redeemed Date',
+    'Order Number',
+    'Customer Name',
+    'Customer Email',
+    'Discount'
+  ];
+
+  const rows = codes.map(code => {
+    let status = code.isActive ? 'Unused' : 'Inactive';
+    if (code.redeemed) status = 'Redeemed';
+    else if (code.expiresAt && new Date(code.expiresAt) < new Date()) status = 'Expired';
+
+    return [
+      code.code,
+      status,
+      code.expiresAt ? new Date(code.expiresAt).toISOString().split('T')[0] : '',
+      code.redeemedAt ? new Date(code.redeemedAt).toISOString().split('T')[0] : '',
+      code.orderNumber || '',
+      `"${(code.customerName || '').replace(/"/g, '""')}"`,
+      code.customerEmail || '',
+      code.amount ?? ''
+    ].join(',');
+  });
+
+  return [headers.join(','), ...rows].join('\n');
+};
+
 module.exports = {
   generateProductCSV,
   generateOrderCSV,
-  generateCustomerCSV
+  generateCustomerCSV,
+  generateCodReconciliationCSV,
+  generatePromoCodeBatchCSV
 };
 
@@ -0,0 +1,81 @@
+/**
+ * CSV Parser Utility
+ * Parses CSV uploads (courier statements and similar imports)
+ */
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells, escaped quotes ("") and CRLF line endings
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Header names are lower-cased with runs of spaces, dashes and underscores collapsed to one space
+ * @param {string} text - CSV content with a header row
+ * @returns {Object} { headers, records } where each record has its 1-based row number as `line` (header = 1, blank rows skipped)
+ */
+const parseCSV = (text) => {
+  const [headerRow = [], ...rows] = parseRows(String(text || ''));
+  const headers = headerRow.map(header => header.toLowerCase().replace(/[\s_-]+/g, ' ').replace(/[^a-z0-9 #]/g, '').trim());
+
+  const records = rows.map((cells, index) => {
+    const record = { line: index + 2 };
+    headers.forEach((header, column) => {
+      if (header) record[header] = cells[column] ?? '';
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+module.exports = {
+  parseRows,
+  parseCSV
+};
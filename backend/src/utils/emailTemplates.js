@@ -480,6 +480,107 @@ const orderConfirmationEmail = ({ orderNumber, customerName, total, paymentMetho
   return emailWrapper(content, 'Your order has been confirmed!');
 };
 
+/**
+ * Festive Collection Launch Email Template
+ */
+const festiveCollectionEmail = ({ customerName, collectionName, description, bannerUrl, collectionUrl, message }) => {
+  const content = `
+    <h1>${collectionName} is Live ✨</h1>
+    <p>Hi ${customerName},</p>
+    <p>${message || 'Our new festive collection has just launched. Be the first to shop the season\'s designs before they sell out.'}</p>
+    
+    ${bannerUrl ? `<img src="${bannerUrl}" alt="${collectionName}" style="width: 100%; border-radius: 8px; margin: 20px 0;">` : ''}
+    
+    ${description ? `
+    <div class="info-box">
+      <p>${description}</p>
+    </div>
+    ` : ''}
+    
+    <a href="${collectionUrl}" class="button">Shop the Collection</a>
+    
+    <p style="margin-top: 30px;">Best regards,<br><strong>The LaraibCreative Team</strong></p>
+  `;
+  
+  return emailWrapper(content, `${collectionName} is now live at LaraibCreative`);
+};
+
+/**
+ * Custom Order Draft Resume Email
+ */
+const customOrderDraftEmail = ({ customerName, draftName, resumeUrl }) => {
+  const content = `
+    <h1>Your Custom Design is Saved ✂️</h1>
+    <p>Hi ${customerName},</p>
+    <p>You started <strong>${draftName}</strong> but didn't finish. We've saved your progress, so you can continue from exactly where you left off.</p>
+    
+    <a href="${resumeUrl}" class="button">Continue Your Order</a>
+    
+    <div class="info-box">
+      <p>This link stays active for 30 days. Need help with measurements or fabric? Just reply to this email.</p>
+    </div>
+    
+    <p style="margin-top: 30px;">Best regards,<br><strong>The LaraibCreative Team</strong></p>
+  `;
+  
+  return emailWrapper(content, 'Continue your custom order at LaraibCreative');
+};
+
+/**
+ * Order Balance Reminder Email Template
+ */
+const balanceReminderEmail = ({ orderNumber, customerName, total, amountPaid, balanceDue, trackingUrl }) => {
+  const content = `
+    <h1>Your Order is Almost Ready 📦</h1>
+    <p>Hi ${customerName},</p>
+    <p>Great news! Your order <strong>${orderNumber}</strong> is nearly ready to be dispatched. The remaining balance needs to be paid before we can send it out.</p>
+    
+    <div class="info-box">
+      <ul style="list-style: none; padding: 0;">
+        <li><strong>Order Total:</strong> PKR ${total.toLocaleString()}</li>
+        <li><strong>Paid So Far:</strong> PKR ${amountPaid.toLocaleString()}</li>
+        <li><strong>Balance Due:</strong> PKR ${balanceDue.toLocaleString()}</li>
+      </ul>
+    </div>
+    
+    <a href="${trackingUrl}" class="button">View Your Order</a>
+    
+    <p style="margin-top: 20px;">Pay by bank transfer, JazzCash or EasyPaisa and share the receipt, and we'll dispatch your order as soon as it's verified.</p>
+    <p>If you've already paid, please ignore this email.</p>
+    
+    <p style="margin-top: 30px;">Best regards,<br><strong>The LaraibCreative Team</strong></p>
+  `;
+  
+  return emailWrapper(content, `Balance of PKR ${balanceDue.toLocaleString()} due for order ${orderNumber}`);
+};
+
+/**
+ * Return/alteration request status update
+ */
+const returnRequestUpdateEmail = ({ requestNumber, orderNumber, customerName, type, status, message, requestsUrl }) => {
+  const label = type.charAt(0).toUpperCase() + type.slice(1);
+  const content = `
+    <h1>${label} Request Update</h1>
+    <p>Hi ${customerName},</p>
+    <p>There's an update on your ${type} request for order <strong>${orderNumber}</strong>.</p>
+    
+    <div class="info-box">
+      <ul style="list-style: none; padding: 0;">
+        <li><strong>Request Number:</strong> ${requestNumber}</li>
+        <li><strong>Status:</strong> ${status.replace(/-/g, ' ')}</li>
+      </ul>
+    </div>
+    
+    <p>${message}</p>
+    
+    <a href="${requestsUrl}" class="button">View Your Requests</a>
+    
+    <p style="margin-top: 30px;">Best regards,<br><strong>The LaraibCreative Team</strong></p>
+  `;
+  
+  return emailWrapper(content, `${label} request ${requestNumber}: ${status.replace(/-/g, ' ')}`);
+};
+
 module.exports = {
   welcomeEmail,
   emailVerification,
@@ -491,5 +592,9 @@ module.exports = {
   profileUpdateNotification,
   customOrderConfirmationEmail,
   customOrderAdminNotificationEmail,
-  orderConfirmationEmail
+  orderConfirmationEmail,
+  festiveCollectionEmail,
+  customOrderDraftEmail,
+  balanceReminderEmail,
+  returnRequestUpdateEmail
 };
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 const PDFDocument = require('pdfkit');
 const logger = require('./logger');
+const { fromBase, formatAmount, BASE_CURRENCY } = require('../services/currencyService');
 
 /**
  * Generate invoice PDF for an order
@@ -29,6 +30,12 @@ exports.generateInvoicePDF = async (order) => {
       });
       doc.on('error', reject);
 
+      // Amounts are shown in the customer's currency at the rate locked on the order
+      const currency = order.displayCurrency?.code && order.displayCurrency.code !== BASE_CURRENCY
+        ? order.displayCurrency
+        : null;
+      const money = amount => (currency ? formatAmount(fromBase(amount, currency), currency) : formatAmount(amount));
+
       // Colors
       const primaryColor = '#D946A6';
       const textColor = '#111827';
@@ -97,7 +104,8 @@ exports.generateInvoicePDF = async (order) => {
         .fontSize(10)
         .fillColor(textColor)
         .text(order.shippingAddress.fullAddress, 320, 190, { width: 225 })
-        .text(`${order.shippingAddress.city}, ${order.shippingAddress.province}`, 320, yPosition + 30)
+        .text([order.shippingAddress.city, order.shippingAddress.province, order.shippingAddress.country !== 'PK' && order.shippingAddress.country]
+          .filter(Boolean).join(', '), 320, yPosition + 30)
         .text(order.shippingAddress.postalCode || '', 320, yPosition + 45);
 
       // Table Header
@@ -142,8 +150,8 @@ exports.generateInvoicePDF = async (order) => {
           .text(item.productSnapshot.title.substring(0, 30) + (item.productSnapshot.title.length > 30 ? '...' : ''), 60, yPosition, { width: 180 })
           .text(item.isCustom ? 'Custom' : 'Ready', 250, yPosition)
           .text(item.quantity.toString(), 350, yPosition)
-          .text(`PKR ${item.price.toLocaleString()}`, 410, yPosition)
-          .text(`PKR ${itemTotal.toLocaleString()}`, 480, yPosition);
+          .text(money(item.price), 410, yPosition)
+          .text(money(itemTotal), 480, yPosition);
 
         // Show measurements info for custom orders
         if (item.isCustom && item.measurements) {
@@ -184,19 +192,19 @@ exports.generateInvoicePDF = async (order) => {
         .fontSize(10)
         .fillColor(textColor)
         .text('Subtotal:', totalsX, yPosition)
-        .text(`PKR ${order.pricing.subtotal.toLocaleString()}`, 480, yPosition);
+        .text(money(order.pricing.subtotal), 480, yPosition);
 
       yPosition += 20;
 
       doc
         .text('Shipping:', totalsX, yPosition)
-        .text(`PKR ${order.pricing.shippingCharges.toLocaleString()}`, 480, yPosition);
+        .text(money(order.pricing.shippingCharges), 480, yPosition);
 
       if (order.pricing.discount > 0) {
         yPosition += 20;
         doc
           .text('Discount:', totalsX, yPosition)
-          .text(`- PKR ${order.pricing.discount.toLocaleString()}`, 480, yPosition);
+          .text(`- ${money(order.pricing.discount)}`, 480, yPosition);
       }
 
       // Total with background
@@ -209,7 +217,19 @@ exports.generateInvoicePDF = async (order) => {
         .fontSize(12)
         .fillColor('white')
         .text('TOTAL:', totalsX, yPosition)
-        .text(`PKR ${order.pricing.total.toLocaleString()}`, 480, yPosition);
+        .text(currency ? formatAmount(order.displayPricing?.total ?? fromBase(order.pricing.total, currency), currency) : money(order.pricing.total), 480, yPosition);
+
+      // Payments settle in PKR; show the amount charged and the rate used
+      if (currency) {
+        yPosition += 25;
+        doc
+          .fontSize(8)
+          .fillColor('#6B7280')
+          .text(
+            `Charged in PKR: ${formatAmount(order.pricing.total)} (1 ${currency.code} = PKR ${currency.rate.toLocaleString('en-US', { maximumFractionDigits: 4 })})`,
+            300, yPosition, { width: 245, align: 'right' }
+          );
+      }
 
       // Payment Information
       yPosition += 50;
@@ -276,6 +296,107 @@ exports.generateInvoicePDF = async (order) => {
   });
 };
 
+/**
+ * Generate a 4x6 inch airway bill / shipping label for a booked shipment
+ * @param {Object} order - Order with tracking details from the courier booking
+ * @param {Object} [options] - { courierName }
+ * @returns {Buffer} PDF buffer
+ */
+exports.generateShippingLabel = async (order, { courierName } = {}) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const tracking = order.tracking || {};
+      const address = order.shippingAddress || {};
+
+      const doc = new PDFDocument({
+        size: [288, 432],
+        margin: 16,
+        info: {
+          Title: `Label-${order.orderNumber}`,
+          Author: 'LaraibCreative',
+          Subject: 'Shipping Label'
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      const textColor = '#111827';
+      const width = 256;
+
+      // Courier and tracking number
+      doc
+        .fontSize(14)
+        .fillColor(textColor)
+        .text(courierName || tracking.courierService || 'Courier', 16, 16, { width });
+
+      doc
+        .fontSize(20)
+        .text(tracking.trackingNumber || '-', 16, 38, { width, characterSpacing: 1 });
+
+      doc
+        .fontSize(8)
+        .text(`Booked: ${tracking.bookedAt ? new Date(tracking.bookedAt).toLocaleDateString('en-PK') : '-'}`, 16, 66)
+        .text(`Ref: ${tracking.bookingReference || order.orderNumber}`, 150, 66, { width: 122, align: 'right' });
+
+      doc.lineWidth(1).moveTo(16, 82).lineTo(272, 82).stroke();
+
+      // Consignee
+      doc.fontSize(9).text('SHIP TO', 16, 92);
+      doc
+        .fontSize(12)
+        .text(address.fullName || order.customerInfo?.name || '', 16, 106, { width })
+        .fontSize(10)
+        .text([address.addressLine1, address.addressLine2, address.landmark].filter(Boolean).join(', '), { width })
+        .text(`${address.city || ''}${address.province ? `, ${address.province}` : ''} ${address.postalCode || ''}`.trim(), { width })
+        .text(`Phone: ${address.phone || order.customerInfo?.phone || ''}`, { width });
+
+      if (address.deliveryInstructions) {
+        doc.fontSize(8).text(`Note: ${address.deliveryInstructions}`, { width });
+      }
+
+      doc.lineWidth(1).moveTo(16, 250).lineTo(272, 250).stroke();
+
+      // Collection amount
+      doc.fontSize(9).text('COLLECT ON DELIVERY', 16, 260);
+      doc
+        .fontSize(22)
+        .text(tracking.codAmount ? `PKR ${tracking.codAmount.toLocaleString()}` : 'PREPAID', 16, 274, { width });
+
+      doc
+        .fontSize(9)
+        .text(`Weight: ${tracking.weight || '-'} kg`, 16, 306)
+        .text(`Pieces: ${tracking.pieces || 1}`, 150, 306, { width: 122, align: 'right' });
+
+      doc.lineWidth(1).moveTo(16, 324).lineTo(272, 324).stroke();
+
+      // Shipper
+      doc
+        .fontSize(9)
+        .text('FROM', 16, 334)
+        .fontSize(10)
+        .text('LaraibCreative', 16, 348)
+        .fontSize(8)
+        .text('Email: laraibcreative.business@gmail.com', 16, 362)
+        .text('Phone: +92-XXX-XXXXXXX', 16, 374);
+
+      doc
+        .fontSize(12)
+        .text(`Order ${order.orderNumber}`, 16, 398, { width, align: 'center' });
+
+      doc.end();
+
+      logger.info(`Shipping label generated for order ${order.orderNumber}`);
+
+    } catch (error) {
+      logger.error('Error generating shipping label:', error);
+      reject(error);
+    }
+  });
+};
+
 /**
  * Generate measurement sheet PDF
  * @param {Object} measurement - Measurement object
@@ -1,17 +1,42 @@
 const Joi = require('joi');
+const { ORDER_STATUSES } = require('../config/orderStatusMachine');
+const { getCourierNames } = require('../services/couriers');
 
 // Reusable schemas
 const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/).message('Invalid ID format');
 
+// ISO 4217 code
+const currencyCode = Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/).message('Invalid currency code');
+
+// Pakistani addresses keep the local phone, province and postal code formats
+const isDomestic = Joi.valid('PK');
+
 const addressSchema = Joi.object({
   fullName: Joi.string().required().trim(),
-  phone: Joi.string().required().pattern(/^(\+92|0|92)[0-9]{10}$/).message('Invalid phone number format'),
-  whatsapp: Joi.string().pattern(/^(\+92|0|92)[0-9]{10}$/).allow('', null),
+  phone: Joi.when('country', {
+    is: isDomestic,
+    then: Joi.string().required().pattern(/^(\+92|0|92)[0-9]{10}$/).message('Invalid phone number format'),
+    otherwise: Joi.string().required().pattern(/^\+?[0-9]{7,15}$/).message('Invalid phone number format')
+  }),
+  whatsapp: Joi.when('country', {
+    is: isDomestic,
+    then: Joi.string().pattern(/^(\+92|0|92)[0-9]{10}$/).allow('', null),
+    otherwise: Joi.string().pattern(/^\+?[0-9]{7,15}$/).allow('', null)
+  }),
   addressLine1: Joi.string().required(),
   addressLine2: Joi.string().allow('', null),
-  city: Joi.string().required(),
-  province: Joi.string().required(),
-  postalCode: Joi.string().pattern(/^[0-9]{5}$/).message('Invalid postal code'),
+  city: Joi.string().trim().max(100).required(),
+  province: Joi.when('country', {
+    is: isDomestic,
+    then: Joi.string().required(),
+    otherwise: Joi.string().allow('', null)
+  }),
+  postalCode: Joi.when('country', {
+    is: isDomestic,
+    then: Joi.string().pattern(/^[0-9]{5}$/).message('Invalid postal code'),
+    otherwise: Joi.string().pattern(/^[A-Za-z0-9 -]{3,10}$/).message('Invalid postal code')
+  }),
+  country: Joi.string().trim().replace(/^pakistan$/i, 'PK').uppercase().length(2).default('PK'),
   deliveryInstructions: Joi.string().max(500).allow('', null)
 });
 
@@ -40,7 +65,9 @@ const measurementSchema = Joi.object({
 
 const orderItemSchema = Joi.object({
   product: objectId.required(),
-  quantity: Joi.number().integer().min(1).required(),
+  // Colour x size variant, required for products that have variants
+  variant: objectId.allow(null),
+  quantity: Joi.number().integer().min(1).max(100).required(),
   isCustom: Joi.boolean().default(false),
   suitType: Joi.string().valid('ready-made', 'replica', 'karhai').optional(),
   measurements: Joi.when('isCustom', {
@@ -67,7 +94,9 @@ const createOrderSchema = Joi.object({
   items: Joi.array().items(orderItemSchema).min(1).required(),
   shippingAddress: addressSchema.required(),
   payment: Joi.object({
-    method: Joi.string().valid('bank-transfer', 'jazzcash', 'easypaisa', 'cod').required(),
+    method: Joi.string().valid('bank-transfer', 'jazzcash', 'easypaisa', 'cod', 'wallet').required(),
+    // Store credit applied to the order; the rest is paid with the method above
+    walletAmount: Joi.number().min(0).precision(2).default(0),
     receiptImage: Joi.when('method', {
       is: 'cod',
       then: Joi.object({
@@ -92,21 +121,18 @@ const createOrderSchema = Joi.object({
     phone: Joi.string().required(),
     whatsapp: Joi.string().allow('', null)
   }).allow(null), // Optional if user is logged in
-  specialInstructions: Joi.string().max(1000).allow('', null)
+  specialInstructions: Joi.string().max(1000).allow('', null),
+  // Shipping rate picked from the checkout quote (defaults to the cheapest)
+  shippingRate: Joi.string().max(50).allow('', null),
+  promoCode: Joi.string().trim().uppercase().max(50).allow('', null),
+  // Loyalty points to spend (logged-in customers)
+  loyaltyPoints: Joi.number().integer().min(0).max(10000000).default(0),
+  // Currency the customer is shopping in (prices are charged in PKR)
+  currency: currencyCode.default('PKR')
 });
 
 const updateOrderStatusSchema = Joi.object({
-  status: Joi.string().valid(
-    'pending-payment',
-    'payment-verified',
-    'fabric-arranged',
-    'stitching-in-progress',
-    'quality-check',
-    'ready-for-dispatch',
-    'out-for-delivery',
-    'delivered',
-    'cancelled'
-  ).required(),
+  status: Joi.string().valid(...ORDER_STATUSES).required(),
   note: Joi.string().allow('', null),
   assignedTailor: Joi.string().allow('', null),
   trackingInfo: Joi.object({
@@ -127,6 +153,420 @@ const verifyPaymentSchema = Joi.object({
   notes: Joi.string().allow('', null)
 });
 
+// Installment Schemas
+const submitInstallmentSchema = Joi.object({
+  amount: Joi.number().min(1).required(),
+  method: Joi.string().valid('bank-transfer', 'jazzcash', 'easypaisa').required(),
+  transactionId: Joi.string().trim().max(100).allow('', null),
+  receiptImage: Joi.object({
+    url: Joi.string().uri({ scheme: ['https'] }).required(),
+    cloudinaryId: Joi.string().allow('')
+  }).required(),
+  paidAt: Joi.date().max('now').allow(null),
+  notes: Joi.string().max(500).allow('', null),
+  // amount is in this currency (default PKR)
+  currency: currencyCode
+});
+
+const recordInstallmentSchema = Joi.object({
+  amount: Joi.number().min(1).required(),
+  method: Joi.string().valid('bank-transfer', 'jazzcash', 'easypaisa', 'cod', 'cash').required(),
+  currency: currencyCode,
+  transactionId: Joi.string().trim().max(100).allow('', null),
+  receiptImage: Joi.object({
+    url: Joi.string().uri().required(),
+    cloudinaryId: Joi.string().allow('')
+  }).allow(null),
+  paidAt: Joi.date().max('now').allow(null),
+  notes: Joi.string().max(500).allow('', null)
+});
+
+const walletPaymentSchema = Joi.object({
+  // Defaults to the amount due now (deposit or balance)
+  amount: Joi.number().min(1).precision(2)
+});
+
+const reviewInstallmentSchema = Joi.object({
+  approved: Joi.boolean().required(),
+  rejectionReason: Joi.string().max(500).when('approved', {
+    is: false,
+    then: Joi.required(),
+    otherwise: Joi.allow('', null)
+  }),
+  notes: Joi.string().max(500).allow('', null)
+});
+
+const courierServices = ['TCS', 'Leopards', 'M&P', 'BlueEx', 'Trax', 'Call Courier', 'Self-Pickup', 'Other'];
+
+const createReturnRequestSchema = Joi.object({
+  orderId: objectId.required(),
+  type: Joi.string().valid('alteration', 'return', 'exchange').required(),
+  reason: Joi.string().valid('fitting', 'defect', 'wrong-item', 'other').required(),
+  description: Joi.string().trim().max(1000).when('reason', {
+    is: 'other',
+    then: Joi.required(),
+    otherwise: Joi.allow('', null)
+  }),
+  items: Joi.array().items(Joi.object({
+    orderItem: objectId.required(),
+    quantity: Joi.number().integer().min(1).default(1)
+  })).min(1).unique('orderItem').required(),
+  // Defects and wrong items need photo evidence
+  photos: Joi.array().items(Joi.object({
+    url: Joi.string().uri({ scheme: ['https'] }).required(),
+    publicId: Joi.string().allow('')
+  })).max(5).when('reason', {
+    is: Joi.valid('defect', 'wrong-item'),
+    then: Joi.array().min(1).required(),
+    otherwise: Joi.array().default([])
+  })
+});
+
+const reviewReturnRequestSchema = Joi.object({
+  approved: Joi.boolean().required(),
+  rejectionReason: Joi.string().max(500).when('approved', {
+    is: false,
+    then: Joi.required(),
+    otherwise: Joi.allow('', null)
+  }),
+  notes: Joi.string().max(500).allow('', null)
+});
+
+const returnPickupSchema = Joi.object({
+  courierService: Joi.string().valid(...courierServices).required(),
+  trackingNumber: Joi.string().trim().max(100).allow('', null),
+  trackingUrl: Joi.string().uri().allow('', null),
+  scheduledAt: Joi.date().allow(null)
+});
+
+const resolveReturnRequestSchema = Joi.object({
+  type: Joi.string().valid('refund', 'store-credit', 'exchange', 'altered').required(),
+  amount: Joi.number().min(1).when('type', {
+    is: Joi.valid('refund', 'store-credit'),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  notes: Joi.string().max(500).allow('', null),
+  returnShipment: Joi.object({
+    courierService: Joi.string().valid(...courierServices).required(),
+    trackingNumber: Joi.string().trim().max(100).allow('', null),
+    trackingUrl: Joi.string().uri().allow('', null)
+  }).when('type', {
+    is: Joi.valid('exchange', 'altered'),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// Manual wallet credit/debit by an admin
+const walletAdjustmentSchema = Joi.object({
+  type: Joi.string().valid('credit', 'debit').required(),
+  amount: Joi.number().min(1).max(1000000).precision(2).required(),
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+const bookShipmentSchema = Joi.object({
+  courier: Joi.string().valid(...getCourierNames()).required(),
+  weight: Joi.number().min(0.1).max(50).default(0.5), // kg
+  pieces: Joi.number().integer().min(1).max(20).default(1),
+  notes: Joi.string().trim().max(250).allow('', null)
+});
+
+// Courier COD remittance statement (CSV arrives as the upload or the csv field)
+const importCodRemittanceSchema = Joi.object({
+  courierService: Joi.string().valid('TCS', 'Leopards', 'M&P', 'BlueEx', 'Trax', 'Call Courier', 'Other').required(),
+  settlementReference: Joi.string().trim().max(100).required(),
+  statementDate: Joi.date().max('now'),
+  notes: Joi.string().trim().max(500).allow('', null),
+  csv: Joi.string().max(2 * 1024 * 1024)
+});
+
+const applyCodRemittanceSchema = Joi.object({
+  lineIds: Joi.array().items(objectId).max(1000)
+});
+
+const markCodCollectedSchema = Joi.object({
+  orderIds: Joi.array().items(objectId).min(1).max(500).required(),
+  settlementReference: Joi.string().trim().max(100).required()
+});
+
+const shippingRateSchema = Joi.object({
+  _id: objectId,
+  courier: Joi.string().valid(...getCourierNames()).allow('', null),
+  label: Joi.string().trim().max(60).required(),
+  basis: Joi.string().valid('flat', 'weight', 'items').default('flat'),
+  baseRate: Joi.number().min(0).max(100000).required(),
+  brackets: Joi.array().items(Joi.object({
+    upTo: Joi.number().min(0).required(),
+    rate: Joi.number().min(0).max(100000).required()
+  })).max(20).default([]),
+  extraPerUnit: Joi.number().min(0).max(100000).default(0),
+  customItemSurcharge: Joi.number().min(0).max(100000).default(0),
+  estimatedDays: Joi.object({
+    min: Joi.number().integer().min(0).max(60),
+    max: Joi.number().integer().min(Joi.ref('min')).max(60)
+  }),
+  isActive: Joi.boolean().default(true)
+});
+
+// Admin shipping zone create/update
+const shippingZoneSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().trim().max(500).allow('', null),
+  scope: Joi.string().valid('domestic', 'international').default('domestic'),
+  cities: Joi.array().items(Joi.string().trim().max(100)).max(500).default([]),
+  provinces: Joi.array().items(Joi.string().trim().max(100)).max(20).default([]),
+  countries: Joi.array().items(Joi.string().trim().uppercase().length(2)).max(250).default([]),
+  isDefault: Joi.boolean().default(false),
+  priority: Joi.number().integer().min(-100).max(100).default(0),
+  rates: Joi.array().items(shippingRateSchema).min(1).max(20).required(),
+  freeShippingThreshold: Joi.number().min(0).allow(null),
+  estimatedDays: Joi.object({
+    min: Joi.number().integer().min(0).max(60),
+    max: Joi.number().integer().min(Joi.ref('min')).max(60)
+  }),
+  isActive: Joi.boolean().default(true)
+});
+
+// Admin exchange rate update (rate is PKR per unit of the currency)
+const exchangeRateSchema = Joi.object({
+  rate: Joi.number().positive().max(1000000),
+  name: Joi.string().trim().max(60).allow(''),
+  symbol: Joi.string().trim().max(5).allow(''),
+  decimals: Joi.number().integer().min(0).max(3),
+  isActive: Joi.boolean()
+}).min(1);
+
+// Manual stock change: a signed quantity, or the counted stock as setTo
+const stockAdjustmentSchema = Joi.object({
+  itemType: Joi.string().valid('product', 'fabric', 'accessory').default('product'),
+  product: objectId.when('itemType', { is: 'product', then: Joi.required(), otherwise: Joi.forbidden() }),
+  variant: objectId.allow(null),
+  fabric: objectId.when('itemType', { is: 'fabric', then: Joi.required(), otherwise: Joi.forbidden() }),
+  accessory: objectId.when('itemType', { is: 'accessory', then: Joi.required(), otherwise: Joi.forbidden() }),
+  type: Joi.string().valid('adjustment', 'purchase', 'production').default('adjustment'),
+  quantity: Joi.number().invalid(0).min(-100000).max(100000),
+  setTo: Joi.number().min(0).max(100000),
+  reference: Joi.string().trim().max(100).allow(''),
+  note: Joi.string().trim().min(3).max(500).required()
+}).xor('quantity', 'setTo');
+
+const supplierSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  contactName: Joi.string().trim().max(100).allow(''),
+  phone: Joi.string().trim().max(20).allow(''),
+  whatsapp: Joi.string().trim().max(20).allow(''),
+  email: Joi.string().trim().email().allow(''),
+  address: Joi.string().trim().max(300).allow(''),
+  city: Joi.string().trim().max(100).allow(''),
+  supplies: Joi.array().items(Joi.string().valid('fabric', 'accessory')).min(1).unique(),
+  leadTimeDays: Joi.number().integer().min(0).max(180),
+  paymentTerms: Joi.string().trim().max(100).allow(''),
+  notes: Joi.string().trim().max(500).allow(''),
+  isActive: Joi.boolean()
+});
+
+const accessorySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  category: Joi.string().valid('lace', 'button', 'dupatta-border', 'thread', 'zip', 'tassel', 'embellishment', 'other').required(),
+  sku: Joi.string().trim().max(50).allow('', null),
+  color: Joi.string().trim().max(50).allow(''),
+  stock: Joi.object({
+    // Opening stock only; later changes go through stock adjustments
+    quantity: Joi.number().min(0).max(100000),
+    unit: Joi.string().valid('pieces', 'meters', 'yards', 'packs'),
+    lowStockThreshold: Joi.number().min(0).max(100000),
+    reorderPoint: Joi.number().min(0).max(100000),
+    reorderQuantity: Joi.number().min(0).max(100000).allow(null)
+  }),
+  costPerUnit: Joi.number().min(0).max(1000000),
+  preferredSupplier: objectId.allow(null),
+  status: Joi.string().valid('in-stock', 'discontinued'),
+  notes: Joi.string().trim().max(500).allow('')
+});
+
+const purchaseOrderLineSchema = Joi.object({
+  itemType: Joi.string().valid('fabric', 'accessory').required(),
+  fabric: objectId.when('itemType', { is: 'fabric', then: Joi.required(), otherwise: Joi.forbidden() }),
+  accessory: objectId.when('itemType', { is: 'accessory', then: Joi.required(), otherwise: Joi.forbidden() }),
+  quantityOrdered: Joi.number().positive().max(100000).required(),
+  unitCost: Joi.number().min(0).max(1000000)
+});
+
+const purchaseOrderSchema = Joi.object({
+  supplier: objectId.required(),
+  items: Joi.array().items(purchaseOrderLineSchema).min(1).max(100).required(),
+  expectedDate: Joi.date().iso().allow(null),
+  notes: Joi.string().trim().max(1000).allow('')
+});
+
+// Draft edits: the supplier is fixed once the order is created
+const updatePurchaseOrderSchema = purchaseOrderSchema
+  .fork(['supplier'], schema => schema.forbidden())
+  .fork(['items'], schema => schema.optional())
+  .min(1);
+
+const receivePurchaseOrderSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    line: objectId.required(),
+    quantity: Joi.number().positive().max(100000).required()
+  })).min(1).required(),
+  reference: Joi.string().trim().max(100).allow(''),
+  note: Joi.string().trim().max(500).allow('')
+});
+
+const promotionSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().trim().max(300).allow(''),
+  type: Joi.string().valid('buy-x-get-y', 'tiered-spend', 'free-stitching', 'bundle').required(),
+  appliesTo: Joi.object({
+    categories: Joi.array().items(objectId).max(100),
+    products: Joi.array().items(objectId).max(500),
+    excludeProducts: Joi.array().items(objectId).max(500),
+    threePieceOnly: Joi.boolean()
+  }),
+  buyXGetY: Joi.object({
+    buyQuantity: Joi.number().integer().min(1).max(20).required(),
+    getQuantity: Joi.number().integer().min(1).max(20).required(),
+    discountPercent: Joi.number().min(1).max(100)
+  }).when('type', { is: 'buy-x-get-y', then: Joi.required(), otherwise: Joi.forbidden() }),
+  tiers: Joi.array().items(Joi.object({
+    minSpend: Joi.number().min(0).max(10000000).required(),
+    discountType: Joi.string().valid('percentage', 'fixed').default('percentage'),
+    value: Joi.number().min(0).max(10000000).required()
+      .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+    maxDiscount: Joi.number().min(0).max(10000000).allow(null)
+  })).min(1).max(10).unique('minSpend')
+    .when('type', { is: 'tiered-spend', then: Joi.required(), otherwise: Joi.forbidden() }),
+  freeStitching: Joi.object({
+    minSpend: Joi.number().min(0).max(10000000).required()
+  }).when('type', { is: 'free-stitching', then: Joi.required(), otherwise: Joi.forbidden() }),
+  bundle: Joi.object({
+    quantity: Joi.number().integer().min(2).max(20).required(),
+    price: Joi.number().min(0).max(10000000).required()
+  }).when('type', { is: 'bundle', then: Joi.required(), otherwise: Joi.forbidden() }),
+  priority: Joi.number().integer().min(-1000).max(1000),
+  stackable: Joi.boolean(),
+  combinesWithPromoCode: Joi.boolean(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().allow(null).when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('startDate'))
+  }),
+  isActive: Joi.boolean()
+});
+
+// Partial edits, e.g. switching a promotion off; changing the type needs its settings
+const updatePromotionSchema = promotionSchema
+  .fork(['name', 'type'], schema => schema.optional())
+  .min(1);
+
+// Loyalty earning rules, expiry, redemption limits and tiers; sections merge into the saved rules
+const loyaltySettingsSchema = Joi.object({
+  enabled: Joi.boolean(),
+  earning: Joi.object({
+    spendPerPoint: Joi.number().min(1).max(100000),
+    reviewPoints: Joi.number().integer().min(0).max(100000),
+    birthdayPoints: Joi.number().integer().min(0).max(100000),
+    socialSharePoints: Joi.number().integer().min(0).max(100000),
+    socialSharesPerDay: Joi.number().integer().min(0).max(20)
+  }),
+  expiryMonths: Joi.number().integer().min(1).max(60),
+  redemption: Joi.object({
+    pointValue: Joi.number().min(0).max(1000),
+    minPoints: Joi.number().integer().min(0).max(1000000),
+    maxOrderPercentage: Joi.number().min(0).max(100)
+  }),
+  // The whole ladder is replaced; bronze is where everyone starts
+  tiers: Joi.array().items(Joi.object({
+    tier: Joi.string().valid('bronze', 'silver', 'gold', 'platinum').required(),
+    minPoints: Joi.number().integer().min(0).max(100000000).required()
+      .when('tier', { is: 'bronze', then: Joi.valid(0) }),
+    discountPercentage: Joi.number().min(0).max(100).default(0),
+    freeShipping: Joi.boolean().default(false)
+  })).min(1).max(4).unique('tier').unique('minPoints')
+    .has(Joi.object({ tier: Joi.valid('bronze') }).unknown(true))
+    .messages({ 'array.hasUnknown': 'Tiers must include bronze' })
+}).min(1);
+
+const referralSettingsSchema = Joi.object({
+  enabled: Joi.boolean(),
+  rewardMethod: Joi.string().valid('loyalty', 'wallet'),
+  referrerReward: Joi.number().integer().min(0).max(100000),
+  refereeReward: Joi.number().integer().min(0).max(100000),
+  monthlyReferrerCap: Joi.number().integer().min(0).max(1000)
+}).min(1);
+
+const applyReferralSchema = Joi.object({
+  code: Joi.string().trim().uppercase().max(30).required()
+});
+
+// Admin decision on a referral held for fraud review
+const referralReviewSchema = Joi.object({
+  decision: Joi.string().valid('approve', 'reject').required(),
+  notes: Joi.string().trim().max(500).allow('')
+});
+
+// Single-use codes generated together; each gets the same discount
+const promoCodeBatchSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  channel: Joi.string().valid('influencer', 'whatsapp', 'email', 'event', 'other').default('other'),
+  prefix: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]{2,12}$/).message('Prefix must be 2-12 letters or digits'),
+  quantity: Joi.number().integer().min(1).max(5000).required(),
+  notes: Joi.string().trim().max(500).allow(''),
+  description: Joi.string().trim().max(200).allow(''),
+  discountType: Joi.string().valid('percentage', 'fixed').required(),
+  discountValue: Joi.number().min(0).max(10000000).required()
+    .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+  maxDiscount: Joi.number().min(0).max(10000000).allow(null),
+  minOrderValue: Joi.number().min(0).max(10000000),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().required().when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('startDate'))
+  }),
+  applicableCategories: Joi.array().items(objectId).max(100),
+  applicableProducts: Joi.array().items(objectId).max(500),
+  excludeCategories: Joi.array().items(objectId).max(100),
+  excludeProducts: Joi.array().items(objectId).max(500)
+});
+
+// Cart/checkout price breakdown; items fall back to the customer's cart
+const cartPricingSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    product: objectId.required(),
+    variant: objectId.allow(null),
+    quantity: Joi.number().integer().min(1).max(100).default(1),
+    isCustom: Joi.boolean().default(false)
+  }).unknown(true)).max(100),
+  promoCode: Joi.string().trim().uppercase().max(50).allow('', null),
+  loyaltyPoints: Joi.number().integer().min(0).max(10000000).default(0),
+  shippingCharges: Joi.number().min(0).max(1000000).default(0)
+});
+
+// Customer shared the shop on social media
+const loyaltyShareSchema = Joi.object({
+  platform: Joi.string().valid('facebook', 'instagram', 'whatsapp', 'tiktok', 'pinterest', 'twitter').required(),
+  url: Joi.string().uri().max(500).allow('')
+});
+
+// Cart/checkout shipping quote; items fall back to the customer's cart
+const shippingQuoteSchema = Joi.object({
+  address: Joi.object({
+    city: Joi.string().trim().max(100).required(),
+    province: Joi.string().trim().max(100).allow('', null),
+    state: Joi.string().trim().max(100).allow('', null),
+    country: Joi.string().trim().max(60).allow('', null)
+  }).unknown(true).required(),
+  items: Joi.array().items(Joi.object({
+    product: objectId.required(),
+    quantity: Joi.number().integer().min(1).max(100).default(1),
+    price: Joi.number().min(0),
+    isCustom: Joi.boolean().default(false)
+  }).unknown(true)).max(100),
+  shippingRate: Joi.string().max(50).allow('', null),
+  promoCode: Joi.string().trim().uppercase().max(50).allow('', null)
+});
+
 const productSchema = Joi.object({
   title: Joi.string().required().trim().max(200),
   description: Joi.string().required(),
@@ -154,5 +594,37 @@ module.exports = {
   createOrderSchema,
   updateOrderStatusSchema,
   verifyPaymentSchema,
+  submitInstallmentSchema,
+  recordInstallmentSchema,
+  reviewInstallmentSchema,
+  walletPaymentSchema,
+  createReturnRequestSchema,
+  reviewReturnRequestSchema,
+  returnPickupSchema,
+  resolveReturnRequestSchema,
+  walletAdjustmentSchema,
+  bookShipmentSchema,
+  importCodRemittanceSchema,
+  applyCodRemittanceSchema,
+  markCodCollectedSchema,
+  shippingZoneSchema,
+  shippingQuoteSchema,
+  stockAdjustmentSchema,
+  supplierSchema,
+  accessorySchema,
+  purchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  receivePurchaseOrderSchema,
+  promotionSchema,
+  updatePromotionSchema,
+  cartPricingSchema,
+  promoCodeBatchSchema,
+  loyaltySettingsSchema,
+  loyaltyShareSchema,
+  referralSettingsSchema,
+  applyReferralSchema,
+  referralReviewSchema,
+  exchangeRateSchema,
+  currencyCode,
   productSchema
 };
\ No newline at end of file
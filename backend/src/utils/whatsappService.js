@@ -383,11 +383,11 @@ exports.sendStatusUpdate = async (phone, order, statusMessage) => {
 
   const statusEmojis = {
     'payment-verified': '✅',
-    'fabric-arranged': '🧵',
-    'stitching-in-progress': '✂️',
+    'material-arranged': '🧵',
+    'in-progress': '✂️',
     'quality-check': '🔍',
-    'ready-for-dispatch': '📦',
-    'out-for-delivery': '🚚',
+    'ready-dispatch': '📦',
+    'dispatched': '🚚',
     'delivered': '🎉',
   };
 
@@ -117,5 +117,100 @@ Best regards,
 *The LaraibCreative Team*`;
 };
 
+/**
+ * Balance due before dispatch
+ */
+exports.orderBalanceReminder = ({ orderNumber, customerName, total, amountPaid, balanceDue, trackingUrl }) => {
+  return `📦 *Your Order is Almost Ready*
+
+Hi ${customerName},
+
+Your order *${orderNumber}* is nearly ready to dispatch. Please pay the remaining balance so we can send it out.
+
+💰 Order Total: PKR ${total.toLocaleString()}
+✅ Paid So Far: PKR ${amountPaid.toLocaleString()}
+⏳ *Balance Due: PKR ${balanceDue.toLocaleString()}*
+
+You can pay by bank transfer, JazzCash or EasyPaisa. Just reply with your payment receipt and we'll dispatch as soon as it's verified.
+
+👉 View your order: ${trackingUrl}
+
+If you've already paid, please ignore this message.
+
+Best regards,
+*The LaraibCreative Team*`;
+};
+
+/**
+ * Custom order draft resume reminder
+ */
+exports.customOrderDraftReminder = ({ customerName, resumeUrl }) => {
+  return `✂️ *Your Custom Design is Waiting*
+
+Hi ${customerName},
+
+You started designing a custom outfit with LaraibCreative but didn't finish. We've saved your progress, so you can pick up exactly where you left off.
+
+👉 Continue your order: ${resumeUrl}
+
+This link stays active for 30 days. Need help with measurements or fabric? Just reply to this message.
+
+Best regards,
+*The LaraibCreative Team*`;
+};
+
+/**
+ * Return/alteration request status update
+ */
+exports.returnRequestUpdate = ({ requestNumber, orderNumber, customerName, type, status, message, requestsUrl }) => {
+  const statusEmojis = {
+    'requested': '📝',
+    'approved': '✅',
+    'rejected': '❌',
+    'pickup-scheduled': '🚚',
+    'received': '📦',
+    'in-production': '✂️',
+    'resolved': '🎉'
+  };
+
+  const emoji = statusEmojis[status] || '📋';
+
+  return `${emoji} *${type.charAt(0).toUpperCase() + type.slice(1)} Request Update*
+
+Hi ${customerName},
+
+📋 Request: *${requestNumber}* (order ${orderNumber})
+📊 Status: *${status.replace(/-/g, ' ').toUpperCase()}*
+
+${message}
+
+View your requests: ${requestsUrl}
+
+Best regards,
+*The LaraibCreative Team*`;
+};
+
+/**
+ * Overdue production reminder for a tailor
+ */
+exports.tailorOverdueReminder = ({ tailorName, items }) => {
+  const lines = items
+    .map(item => `• *${item.orderNumber}* - due ${new Date(item.dueDate).toLocaleDateString('en-PK')} (${item.status})`)
+    .join('\n');
+
+  return `⏰ *Overdue Orders Reminder*
+
+Hi ${tailorName},
+
+The following orders assigned to you are past their completion date:
+
+${lines}
+
+Please update the status in the production queue or let the team know if you need help.
+
+Thank you,
+*The LaraibCreative Team*`;
+};
+
 module.exports = exports;
 
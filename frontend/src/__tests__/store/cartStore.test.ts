@@ -89,6 +89,26 @@ describe('Cart Store', () => {
       expect(result.current.items[0].isCustom).toBe(true);
     });
 
+    it('should keep each colour x size variant on its own line', async () => {
+      const { result } = renderHook(() => useCartStore());
+      const maroon = { _id: 'var1', color: 'Maroon', size: 'M', sku: 'PS-001-MAROON-M', stockQuantity: 3 };
+      const teal = { _id: 'var2', color: 'Teal', size: 'M', sku: 'PS-001-TEAL-M', stockQuantity: 5, priceOverride: 6500 };
+
+      await act(async () => {
+        await result.current.addItem(mockProducts[0], 1, undefined, maroon);
+        await result.current.addItem(mockProducts[0], 1, undefined, teal);
+        await result.current.addItem(mockProducts[0], 1, undefined, teal);
+      });
+
+      expect(result.current.items).toHaveLength(2);
+      expect(result.current.items[0]).toMatchObject({
+        variantId: 'var1',
+        variantSnapshot: { color: 'Maroon', size: 'M', sku: 'PS-001-MAROON-M' },
+        priceAtAdd: 5000
+      });
+      expect(result.current.items[1]).toMatchObject({ variantId: 'var2', quantity: 2, priceAtAdd: 6500 });
+    });
+
     it('should throw error if quantity is invalid', async () => {
       const { result } = renderHook(() => useCartStore());
 
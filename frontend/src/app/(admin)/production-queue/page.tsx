@@ -168,6 +168,11 @@ export default function ProductionQueuePage() {
                                   {item.priority}
                                 </span>
                               )}
+                              {item.rework?.some((entry: any) => !entry.completedAt) && (
+                                <span className="ml-1 px-2 py-0.5 rounded bg-purple-100 text-purple-800">
+                                  alteration
+                                </span>
+                              )}
                             </div>
                             {item.assignedTailor?.tailorId && (
                               <div className="text-xs text-gray-500 mt-1">
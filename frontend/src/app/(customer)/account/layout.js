@@ -12,6 +12,8 @@ import {
   Ruler, 
   Heart, 
   MapPin, 
+  RotateCcw,
+  Wallet,
   LogOut,
   Menu,
   X,
@@ -51,6 +53,16 @@ export default function AccountLayout({ children }) {
       icon: ShoppingBag,
       badge: 2 // Active orders count
     },
+    {
+      name: 'Returns',
+      href: '/account/returns',
+      icon: RotateCcw
+    },
+    {
+      name: 'Store Credit',
+      href: '/account/wallet',
+      icon: Wallet
+    },
     {
       name: 'Measurements',
       href: '/account/measurements',
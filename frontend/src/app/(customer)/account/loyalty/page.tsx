@@ -1,6 +1,7 @@
 /**
  * Loyalty Points Page
- * Display points balance, transactions, and redemption
+ * Display points balance, tier benefits and transactions
+ * Points are spent at checkout
  */
 
 'use client';
@@ -8,16 +9,15 @@ export const dynamic = 'force-dynamic';
 import { useState, useEffect } from 'react';
 import axiosInstance from '@/lib/axios';
 import { Coins, TrendingUp, History, Gift } from 'lucide-react';
-import toast from 'react-hot-toast';
+import type { ApiResponse } from '@/types/api';
+import type { LoyaltyRules } from '@/types/cart';
 
 export default function LoyaltyPage() {
-  const [redeemAmount, setRedeemAmount] = useState('');
-  const [showRedeemModal, setShowRedeemModal] = useState(false);
+  const [rules, setRules] = useState<LoyaltyRules | null>(null);
   const [account, setAccount] = useState<any>(null);
   const [transactionsData, setTransactionsData] = useState<any>(null);
   const [accountLoading, setAccountLoading] = useState(true);
   const [transactionsLoading, setTransactionsLoading] = useState(true);
-  const [isRedeeming, setIsRedeeming] = useState(false);
 
   const fetchAccount = async () => {
     try {
@@ -45,36 +45,21 @@ export default function LoyaltyPage() {
     }
   };
 
+  const fetchRules = async () => {
+    try {
+      const response = await axiosInstance.get('/api/v1/loyalty/rules') as unknown as ApiResponse<LoyaltyRules>;
+      setRules(response.data || null);
+    } catch (error) {
+      console.error('Failed to fetch loyalty rules:', error);
+    }
+  };
+
   useEffect(() => {
     fetchAccount();
     fetchTransactions();
+    fetchRules();
   }, []);
 
-  const handleRedeem = async () => {
-    const points = parseInt(redeemAmount);
-    if (!points || points < 1) {
-      toast.error('Please enter a valid amount');
-      return;
-    }
-    if (points > (account?.currentBalance || 0)) {
-      toast.error('Insufficient points');
-      return;
-    }
-    
-    try {
-      setIsRedeeming(true);
-      await axiosInstance.post('/api/v1/loyalty/redeem', { points });
-      toast.success('Points redeemed successfully!');
-      setShowRedeemModal(false);
-      setRedeemAmount('');
-      fetchAccount();
-    } catch (error: any) {
-      toast.error(error.response?.data?.message || 'Failed to redeem points');
-    } finally {
-      setIsRedeeming(false);
-    }
-  };
-
   if (accountLoading) {
     return (
       <div className="p-6">
@@ -90,6 +75,7 @@ export default function LoyaltyPage() {
   const totalEarned = account?.totalPointsEarned || 0;
   const totalRedeemed = account?.totalPointsRedeemed || 0;
   const tier = account?.tier || 'bronze';
+  const tierBenefits = rules?.tiers?.find(entry => entry.tier === tier);
 
   return (
     <div className="p-6 max-w-4xl mx-auto">
@@ -156,71 +142,35 @@ export default function LoyaltyPage() {
 
       {/* Redeem Section */}
       <div className="bg-white rounded-lg p-6 shadow-sm border mb-6">
-        <div className="flex items-center justify-between">
-          <div>
-            <h3 className="text-xl font-semibold mb-2">Redeem Points</h3>
-            <p className="text-gray-600 text-sm">
-              1 point = Rs. 1. Redeem your points for discounts on your next order.
+        <h3 className="text-xl font-semibold mb-2">Use Your Points</h3>
+        {rules?.enabled ? (
+          <div className="space-y-2 text-gray-600 text-sm">
+            <p>
+              Enter your points at checkout: 1 point = Rs. {rules.redemption.pointValue}.
+              Use at least {rules.redemption.minPoints} points, for up to {rules.redemption.maxOrderPercentage}% of an order.
+            </p>
+            <p>
+              Earn 1 point for every Rs. {rules.earning.spendPerPoint} spent once your order is delivered,
+              {' '}{rules.earning.reviewPoints} points for an approved review
+              and {rules.earning.birthdayPoints} points on your birthday.
+              Points expire {rules.expiryMonths} months after you earn them.
             </p>
+            {tierBenefits && (tierBenefits.discountPercentage > 0 || tierBenefits.freeShipping) && (
+              <p className="text-purple-700 font-medium">
+                Your {tier} benefits:
+                {tierBenefits.discountPercentage > 0 && ` ${tierBenefits.discountPercentage}% off every order`}
+                {tierBenefits.discountPercentage > 0 && tierBenefits.freeShipping && ' and'}
+                {tierBenefits.freeShipping && ' free shipping'}
+              </p>
+            )}
           </div>
-          <button
-            onClick={() => setShowRedeemModal(true)}
-            disabled={currentBalance === 0}
-            className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition"
-          >
-            Redeem Points
-          </button>
-        </div>
+        ) : (
+          <p className="text-gray-600 text-sm">
+            Redeem your points for discounts at checkout.
+          </p>
+        )}
       </div>
 
-      {/* Redeem Modal */}
-      {showRedeemModal && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
-            <h3 className="text-xl font-semibold mb-4">Redeem Points</h3>
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium mb-2">
-                  Points to Redeem
-                </label>
-                <input
-                  type="number"
-                  value={redeemAmount}
-                  onChange={(e) => setRedeemAmount(e.target.value)}
-                  placeholder="Enter points"
-                  className="w-full px-4 py-2 border rounded-lg"
-                  max={currentBalance}
-                  min={1}
-                />
-                <p className="text-sm text-gray-600 mt-1">
-                  Available: {currentBalance.toLocaleString()} points
-                </p>
-                {redeemAmount && (
-                  <p className="text-sm text-purple-600 mt-1">
-                    = Rs. {parseInt(redeemAmount) || 0}
-                  </p>
-                )}
-              </div>
-              <div className="flex gap-3">
-                <button
-                  onClick={() => setShowRedeemModal(false)}
-                  className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50"
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={handleRedeem}
-                  disabled={isRedeeming || !redeemAmount || parseInt(redeemAmount) < 1}
-                  className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
-                >
-                  {isRedeeming ? 'Processing...' : 'Redeem'}
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
-
       {/* Transactions */}
       <div className="bg-white rounded-lg p-6 shadow-sm border">
         <div className="flex items-center justify-between mb-4">
@@ -247,10 +197,10 @@ export default function LoyaltyPage() {
                 <div className="text-right">
                   <p
                     className={`font-semibold ${
-                      transaction.type === 'earned' ? 'text-green-600' : 'text-red-600'
+                      transaction.points >= 0 ? 'text-green-600' : 'text-red-600'
                     }`}
                   >
-                    {transaction.type === 'earned' ? '+' : '-'}
+                    {transaction.points >= 0 ? '+' : ''}
                     {transaction.points} pts
                   </p>
                   <p className="text-xs text-gray-500">
@@ -14,7 +14,8 @@ import {
   DollarSign,
   MapPin,
   X,
-  ChevronDown
+  ChevronDown,
+  RotateCcw
 } from 'lucide-react';
 
 // Order Status Badge Component (reusable)
@@ -463,6 +464,16 @@ export default function OrdersPage() {
                     Track Order
                   </Link>
                   
+                  {order.status === 'delivered' && (
+                    <Link
+                      href={`/account/returns?order=${order.id}`}
+                      className="flex items-center justify-center gap-2 px-4 py-3 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      <RotateCcw className="w-5 h-5" />
+                      Return / Alter
+                    </Link>
+                  )}
+                  
                   <button
                     onClick={() => handleDownloadInvoice(order.id)}
                     className="flex items-center justify-center gap-2 px-4 py-3 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
@@ -6,9 +6,32 @@
 'use client';
 export const dynamic = 'force-dynamic';
 import { useState, useEffect } from 'react';
-import axiosInstance from '@/lib/axios';
+import api from '@/lib/api';
 import { Copy, Share2, Gift, Users, TrendingUp } from 'lucide-react';
 import toast from 'react-hot-toast';
+import type { ApiResponse } from '@/types/api';
+import type { CustomerReferral, ReferralCodeResponse, ReferralStats } from '@/types/order-management';
+
+const STATUS_LABELS: Record<string, string> = {
+  pending: 'Waiting for their first delivery',
+  flagged: 'Being checked',
+  completed: 'Completed',
+  rejected: 'Not eligible',
+  cancelled: 'Cancelled',
+};
+
+const formatReward = (amount: number, method?: string) =>
+  method === 'wallet' ? `Rs. ${(amount || 0).toLocaleString()}` : `${(amount || 0).toLocaleString()} points`;
+
+// What happened to the referrer's reward once the referral completed
+const rewardLabel = (referral: CustomerReferral) => {
+  if (referral.status !== 'completed') return 'Pending';
+  if (referral.referrerReward?.status === 'credited') return 'Credited';
+  if (referral.referrerReward?.status === 'withheld') {
+    return referral.referrerReward.withheldReason?.startsWith('Monthly limit') ? 'Monthly limit reached' : 'Not credited';
+  }
+  return 'Pending';
+};
 
 export default function ReferralsPage() {
   const [referralData, setReferralData] = useState<any>(null);
@@ -19,8 +42,8 @@ export default function ReferralsPage() {
     try {
       setIsLoading(true);
       const [referralRes, statsRes] = await Promise.all([
-        axiosInstance.get('/api/v1/referrals/code'),
-        axiosInstance.get('/api/v1/referrals/stats'),
+        api.referrals.getCode() as unknown as Promise<ApiResponse<ReferralCodeResponse>>,
+        api.referrals.getStats() as unknown as Promise<ApiResponse<ReferralStats>>,
       ]);
       setReferralData(referralRes.data);
       setStats(statsRes.data);
@@ -36,9 +59,12 @@ export default function ReferralsPage() {
   }, []);
 
   const referralCode = referralData?.referralCode || '';
+  const rewards = referralData?.rewards;
   const referralUrl = typeof window !== 'undefined' 
-    ? `${window.location.origin}/register?ref=${referralCode}`
+    ? `${window.location.origin}/auth/register?ref=${referralCode}`
     : '';
+  const friendReward = rewards ? formatReward(rewards.referee, rewards.method) : '';
+  const yourReward = rewards ? formatReward(rewards.referrer, rewards.method) : '';
 
   const handleCopy = () => {
     if (referralUrl) {
@@ -51,8 +77,8 @@ export default function ReferralsPage() {
     if (navigator.share && referralUrl) {
       try {
         await navigator.share({
-          title: 'Join LaraibCreative and get Rs.500 off!',
-          text: 'Use my referral code to get Rs.500 off your first order',
+          title: `Join LaraibCreative and get ${friendReward}!`,
+          text: `Sign up with my referral code ${referralCode} and get ${friendReward} once your first order is delivered`,
           url: referralUrl,
         });
         toast.success('Shared successfully!');
@@ -104,7 +130,9 @@ export default function ReferralsPage() {
               </button>
             </div>
             <p className="text-sm mt-3 opacity-90">
-              Share this code with friends. Both of you get Rs.500 off!
+              {rewards?.enabled === false
+                ? 'Referral rewards are paused right now.'
+                : `Share this code with friends. They get ${friendReward} and you get ${yourReward}!`}
             </p>
           </div>
           <Gift className="w-16 h-16 opacity-80" />
@@ -137,7 +165,7 @@ export default function ReferralsPage() {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-gray-600 text-sm">Total Earned</p>
-              <p className="text-3xl font-bold mt-1">Rs. {stats?.totalEarned || 0}</p>
+              <p className="text-3xl font-bold mt-1">{formatReward(stats?.totalEarned || 0, rewards?.method)}</p>
             </div>
             <Gift className="w-8 h-8 text-purple-500" />
           </div>
@@ -158,13 +186,16 @@ export default function ReferralsPage() {
             <span className="flex-shrink-0 w-6 h-6 bg-pink-100 text-pink-600 rounded-full flex items-center justify-center font-semibold">
               2
             </span>
-            <span>They sign up using your code and place their first order</span>
+            <span>They sign up with your code as a new customer and place their first order</span>
           </li>
           <li className="flex gap-3">
             <span className="flex-shrink-0 w-6 h-6 bg-pink-100 text-pink-600 rounded-full flex items-center justify-center font-semibold">
               3
             </span>
-            <span>Both of you get Rs.500 off your next order!</span>
+            <span>
+              Once that order is delivered, they get {friendReward} and you get {yourReward}
+              {rewards?.method === 'wallet' ? ' as store credit' : ''}
+            </span>
           </li>
         </ol>
       </div>
@@ -184,15 +215,15 @@ export default function ReferralsPage() {
                     {referral.refereeId?.fullName || 'Friend'}
                   </p>
                   <p className="text-sm text-gray-600">
-                    {referral.status === 'completed' ? 'Completed' : 'Pending'}
+                    {STATUS_LABELS[referral.status] || referral.status}
                   </p>
                 </div>
                 <div className="text-right">
                   <p className="font-semibold text-green-600">
-                    Rs. {referral.referrerReward?.amount || 0}
+                    {formatReward(referral.referrerReward?.amount, referral.referrerReward?.method)}
                   </p>
                   <p className="text-xs text-gray-500">
-                    {referral.status === 'completed' ? 'Credited' : 'Pending'}
+                    {rewardLabel(referral)}
                   </p>
                 </div>
               </div>
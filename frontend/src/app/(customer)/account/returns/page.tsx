@@ -0,0 +1,185 @@
+/**
+ * Returns & Alterations Page
+ * Customer's return, exchange and alteration requests, and a form to open one
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { RotateCcw, Plus } from 'lucide-react';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import ReturnRequestForm from '@/components/customer/ReturnRequestForm';
+import type { ApiResponse } from '@/types/api';
+import type { ReturnRequest, ReturnRequestStatus } from '@/types/order-management';
+
+const STATUS_STYLES: Record<ReturnRequestStatus, { label: string; className: string }> = {
+  requested: { label: 'Under Review', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', className: 'bg-blue-100 text-blue-800' },
+  rejected: { label: 'Not Approved', className: 'bg-red-100 text-red-800' },
+  'pickup-scheduled': { label: 'Pickup Scheduled', className: 'bg-cyan-100 text-cyan-800' },
+  received: { label: 'Received', className: 'bg-indigo-100 text-indigo-800' },
+  'in-production': { label: 'Being Altered', className: 'bg-purple-100 text-purple-800' },
+  resolved: { label: 'Resolved', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-700' },
+};
+
+const RESOLUTION_LABELS: Record<string, string> = {
+  refund: 'Refunded',
+  'store-credit': 'Store credit issued',
+  exchange: 'Replacement sent',
+  altered: 'Alteration completed',
+};
+
+const formatDate = (date: Date | string) => new Date(date).toLocaleDateString('en-PK', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+export default function ReturnsPage() {
+  const searchParams = useSearchParams();
+  const preselectedOrder = searchParams?.get('order');
+
+  const [requests, setRequests] = useState<ReturnRequest[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(Boolean(preselectedOrder));
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const response = await api.returns.getMine() as unknown as ApiResponse<{ returnRequests: ReturnRequest[] }>;
+      setRequests(response.data?.returnRequests || []);
+    } catch (error) {
+      console.error('Failed to fetch return requests:', error);
+      toast.error('Failed to load your requests');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handleCancel = async (request: ReturnRequest) => {
+    if (!window.confirm(`Cancel request ${request.requestNumber}?`)) return;
+
+    try {
+      await api.returns.cancel(request._id);
+      toast.success('Request cancelled');
+      fetchRequests();
+    } catch (error) {
+      toast.error(getApiErrorMessage(error, 'Failed to cancel request'));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Returns & Alterations</h1>
+          <p className="text-gray-600 mt-1">
+            Request a fitting alteration, exchange or return within 7 days of delivery.
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="flex items-center justify-center gap-2 px-4 py-3 bg-gradient-to-r from-pink-600 to-purple-600 text-white font-medium rounded-lg hover:shadow-lg transition-all"
+          >
+            <Plus className="w-5 h-5" />
+            New Request
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <ReturnRequestForm
+          orderNumber={preselectedOrder}
+          onSubmitted={() => {
+            setShowForm(false);
+            fetchRequests();
+          }}
+          onCancel={() => setShowForm(false)}
+        />
+      )}
+
+      {loading ? (
+        <div className="space-y-4">
+          {[1, 2].map(i => (
+            <div key={i} className="h-32 bg-gray-100 rounded-lg animate-pulse" />
+          ))}
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="text-center py-12 bg-white border border-gray-200 rounded-lg">
+          <RotateCcw className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">You haven&apos;t made any requests yet.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {requests.map(request => {
+            const status = STATUS_STYLES[request.status];
+            return (
+              <div key={request._id} className="p-5 bg-white border border-gray-200 rounded-lg">
+                <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                  <div>
+                    <p className="font-semibold text-gray-900">
+                      {request.requestNumber}
+                      <span className="ml-2 text-sm font-normal text-gray-500 capitalize">
+                        {request.type} · order {request.orderNumber}
+                      </span>
+                    </p>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {request.items.map(item => `${item.title || 'Item'} × ${item.quantity}`).join(', ')}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">Requested {formatDate(request.createdAt)}</p>
+                  </div>
+                  <span className={`self-start px-3 py-1 rounded-full text-xs font-semibold ${status.className}`}>
+                    {status.label}
+                  </span>
+                </div>
+
+                {request.isChargeable && request.status !== 'cancelled' && (
+                  <p className="mt-3 text-sm text-orange-700">
+                    Your free alteration has been used, so this alteration will be charged.
+                  </p>
+                )}
+
+                {request.status === 'rejected' && request.review?.rejectionReason && (
+                  <p className="mt-3 text-sm text-red-700">{request.review.rejectionReason}</p>
+                )}
+
+                {request.status === 'pickup-scheduled' && request.pickup?.courierService && (
+                  <p className="mt-3 text-sm text-gray-700">
+                    Pickup by {request.pickup.courierService}
+                    {request.pickup.trackingNumber && ` · Tracking ${request.pickup.trackingNumber}`}
+                  </p>
+                )}
+
+                {request.status === 'resolved' && request.resolution && (
+                  <p className="mt-3 text-sm text-green-700">
+                    {RESOLUTION_LABELS[request.resolution.type]}
+                    {request.resolution.amount ? `: PKR ${request.resolution.amount.toLocaleString()}` : ''}
+                    {request.resolution.returnShipment?.trackingNumber &&
+                      ` · ${request.resolution.returnShipment.courierService} ${request.resolution.returnShipment.trackingNumber}`}
+                  </p>
+                )}
+
+                {['requested', 'approved'].includes(request.status) && (
+                  <button
+                    onClick={() => handleCancel(request)}
+                    className="mt-4 text-sm text-gray-600 hover:text-red-600 underline"
+                  >
+                    Cancel request
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+/**
+ * Store Credit Page
+ * Customer's wallet balance and transaction history
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { Wallet, ArrowDownLeft, ArrowUpRight } from 'lucide-react';
+import api from '@/lib/api';
+import toast from 'react-hot-toast';
+import type { ApiResponse } from '@/types/api';
+import type { WalletSummary, WalletTransactionSource } from '@/types/order-management';
+
+const SOURCE_LABELS: Record<WalletTransactionSource, string> = {
+  refund: 'Order refund',
+  return: 'Return credit',
+  'order-payment': 'Order payment',
+  'order-reversal': 'Returned from order',
+  adjustment: 'Adjustment',
+  referral: 'Referral reward',
+};
+
+const formatDate = (date: Date | string) => new Date(date).toLocaleDateString('en-PK', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+export default function WalletPage() {
+  const [wallet, setWallet] = useState<WalletSummary | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+
+  const fetchWallet = useCallback(async () => {
+    try {
+      const response = await api.wallet.get({ page, limit: 20 }) as unknown as ApiResponse<WalletSummary>;
+      setWallet(response.data ?? null);
+    } catch (error) {
+      console.error('Failed to fetch wallet:', error);
+      toast.error('Failed to load your store credit');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchWallet();
+  }, [fetchWallet]);
+
+  if (loading) {
+    return (
+      <div className="space-y-4">
+        <div className="h-32 bg-gray-100 rounded-lg animate-pulse" />
+        <div className="h-64 bg-gray-100 rounded-lg animate-pulse" />
+      </div>
+    );
+  }
+
+  const pages = wallet?.pagination?.pages || 1;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Store Credit</h1>
+        <p className="text-gray-600 mt-1">
+          Refunds and return credits land here. Use your balance at checkout or towards an order balance.
+        </p>
+      </div>
+
+      {/* Balance */}
+      <div className="p-6 bg-gradient-to-r from-pink-600 to-purple-600 text-white rounded-lg">
+        <div className="flex items-center gap-3">
+          <Wallet className="w-8 h-8" />
+          <div>
+            <p className="text-sm opacity-90">Available balance</p>
+            <p className="text-3xl font-bold">PKR {(wallet?.balance || 0).toLocaleString()}</p>
+          </div>
+        </div>
+        {(wallet?.balance || 0) > 0 && (
+          <Link href="/products" className="inline-block mt-4 text-sm font-medium underline">
+            Shop now
+          </Link>
+        )}
+      </div>
+
+      {/* Transactions */}
+      <div className="bg-white border border-gray-200 rounded-lg">
+        <h2 className="px-5 py-4 border-b border-gray-200 font-semibold text-gray-900">History</h2>
+        {!wallet || wallet.transactions.length === 0 ? (
+          <p className="px-5 py-10 text-center text-gray-600">No store credit activity yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {wallet.transactions.map(transaction => (
+              <li key={transaction._id} className="flex items-center justify-between gap-4 px-5 py-4">
+                <div className="flex items-center gap-3">
+                  <div className={`p-2 rounded-full ${transaction.type === 'credit' ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'}`}>
+                    {transaction.type === 'credit'
+                      ? <ArrowDownLeft className="w-4 h-4" />
+                      : <ArrowUpRight className="w-4 h-4" />}
+                  </div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {SOURCE_LABELS[transaction.source]}
+                      {transaction.orderNumber && (
+                        <span className="font-normal text-gray-500"> · {transaction.orderNumber}</span>
+                      )}
+                    </p>
+                    {transaction.description && (
+                      <p className="text-xs text-gray-600">{transaction.description}</p>
+                    )}
+                    <p className="text-xs text-gray-500">{formatDate(transaction.createdAt)}</p>
+                  </div>
+                </div>
+                <div className="text-right">
+                  <p className={`font-semibold ${transaction.type === 'credit' ? 'text-green-700' : 'text-gray-900'}`}>
+                    {transaction.type === 'credit' ? '+' : '-'}PKR {transaction.amount.toLocaleString()}
+                  </p>
+                  <p className="text-xs text-gray-500">Balance PKR {transaction.balanceAfter.toLocaleString()}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-3">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {pages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pages}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,7 +6,7 @@ import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
 import Link from 'next/link'
 import { motion } from 'framer-motion'
-import { Mail, Lock, User, Phone, Eye, EyeOff, ArrowRight, Loader2, Check } from 'lucide-react'
+import { Mail, Lock, User, Phone, Eye, EyeOff, ArrowRight, Loader2, Check, Gift } from 'lucide-react'
 import useAuth from '@/hooks/useAuth'
 import { toast } from 'react-hot-toast'
 
@@ -20,13 +20,22 @@ export default function RegisterPage() {
     password: '',
     confirmPassword: '',
     phone: '',
-    whatsapp: ''
+    whatsapp: '',
+    referralCode: ''
   })
   const [showPassword, setShowPassword] = useState(false)
   const [showConfirmPassword, setShowConfirmPassword] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [agreedToTerms, setAgreedToTerms] = useState(false)
 
+  // Referral links point here as /auth/register?ref=CODE
+  useEffect(() => {
+    const ref = new URLSearchParams(window.location.search).get('ref')
+    if (ref) {
+      setFormData(prev => ({ ...prev, referralCode: ref.toUpperCase() }))
+    }
+  }, [])
+
   useEffect(() => {
     if (isAuthenticated) {
       router.push('/account')
@@ -59,11 +68,15 @@ export default function RegisterPage() {
         email: formData.email,
         password: formData.password,
         phone: formData.phone,
-        whatsapp: formData.whatsapp || undefined
+        whatsapp: formData.whatsapp || undefined,
+        referralCode: formData.referralCode.trim() || undefined
       })
 
       if (result.success) {
         toast.success('Registration successful! Please verify your email.')
+        if (result.referral && !result.referral.applied) {
+          toast.error(result.referral.message || 'Referral code could not be applied')
+        }
         setTimeout(() => {
           router.push('/auth/verify-email')
         }, 1500)
@@ -198,6 +211,26 @@ export default function RegisterPage() {
               </div>
             </div>
 
+            <div>
+              <label htmlFor="referralCode" className="block text-sm font-medium text-gray-700 mb-2">
+                Referral Code <span className="text-gray-400 font-normal">(optional)</span>
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Gift className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id="referralCode"
+                  name="referralCode"
+                  type="text"
+                  value={formData.referralCode}
+                  onChange={handleChange}
+                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-primary-gold focus:border-transparent transition-all"
+                  placeholder="Code from a friend"
+                />
+              </div>
+            </div>
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
                 <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
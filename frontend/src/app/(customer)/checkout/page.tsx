@@ -7,9 +7,10 @@
 
 'use client';
 export const dynamic = 'force-dynamic';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import { useCart } from '@/hooks/useCart';
+import useAuth from '@/hooks/useAuth';
 import CheckoutStepper from '@/components/checkout/CheckoutStepper';
 import CustomerInfoForm from '@/components/checkout/CustomerInfoForm';
 import ShippingAddressForm from '@/components/checkout/ShippingAddressForm';
@@ -22,7 +23,7 @@ import { checkoutFormSchema, type CheckoutFormInput, type CustomerInfoInput } fr
 import api from '@/lib/api';
 import toast from 'react-hot-toast';
 import type { OrderSubmissionResponse } from '@/types/checkout';
-import type { CartItem } from '@/types/cart';
+import type { CartItem, CartPricing } from '@/types/cart';
 
 const CHECKOUT_STEPS: Array<{ number: number; title: string }> = [
   { number: 1, title: 'Customer Info' },
@@ -33,7 +34,7 @@ const CHECKOUT_STEPS: Array<{ number: number; title: string }> = [
 
 export default function CheckoutPage() {
   const router = useRouter();
-  const { items, subtotal, tax, shipping, discount, total, clearCart } = useCart();
+  const { items, subtotal, tax, shipping, discount, total, promoCode, clearCart } = useCart();
   
   const [currentStep, setCurrentStep] = useState(1);
   const [formData, setFormData] = useState<Partial<CheckoutFormInput>>({
@@ -61,6 +62,44 @@ export default function CheckoutPage() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submittedOrder, setSubmittedOrder] = useState<OrderSubmissionResponse['data'] | null>(null);
   const [errors, setErrors] = useState<Record<string, string>>({});
+  const [pricing, setPricing] = useState<CartPricing | null>(null);
+  const [loyaltyPoints, setLoyaltyPoints] = useState(0);
+  const { isAuthenticated } = useAuth();
+
+  const appliedCode = formData.promoCode || promoCode;
+
+  // Price with the server's promotions and code so the discount shown is the one charged
+  useEffect(() => {
+    if (items.length === 0) return;
+
+    let cancelled = false;
+    api.cart.getPricing(
+      items.map((item: CartItem) => ({
+        product: item.productId,
+        variant: item.variantId || null,
+        quantity: item.quantity,
+        isCustom: item.isCustom || false,
+      })),
+      appliedCode || undefined,
+      shipping,
+      loyaltyPoints || undefined
+    )
+      .then((response) => {
+        if (!cancelled) setPricing(response as unknown as CartPricing);
+      })
+      .catch(() => {
+        if (!cancelled) setPricing(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [items, appliedCode, shipping, loyaltyPoints]);
+
+  const orderSubtotal = pricing ? pricing.subtotal : subtotal;
+  const orderShipping = pricing ? pricing.shipping : shipping;
+  const orderDiscount = pricing ? pricing.discount : discount;
+  const orderTotal = pricing ? pricing.total : total;
 
   // Redirect if cart is empty
   useEffect(() => {
@@ -73,7 +112,7 @@ export default function CheckoutPage() {
   /**
    * Update form data
    */
-  const updateFormData = (field: string, value: any) => {
+  const updateFormData = useCallback((field: string, value: any) => {
     setFormData(prev => {
       if (field.includes('.')) {
         const [parent, child] = field.split('.');
@@ -91,14 +130,13 @@ export default function CheckoutPage() {
       };
     });
     // Clear errors for this field
-    if (errors[field]) {
-      setErrors(prev => {
-        const newErrors = { ...prev };
-        delete newErrors[field];
-        return newErrors;
-      });
-    }
-  };
+    setErrors(prev => {
+      if (!prev[field]) return prev;
+      const newErrors = { ...prev };
+      delete newErrors[field];
+      return newErrors;
+    });
+  }, []);
 
   /**
    * Validate current step
@@ -224,6 +262,7 @@ export default function CheckoutPage() {
       // Prepare order items from cart
       const orderItems = items.map((item: CartItem) => ({
         product: item.productId,
+        variant: item.variantId || null,
         quantity: item.quantity,
         isCustom: item.isCustom || false,
         customizations: item.customizations,
@@ -263,7 +302,10 @@ export default function CheckoutPage() {
       }
       if (validatedData.payment.method === 'cod') {
         paymentData.advanceAmount = validatedData.payment.advanceAmount || 0;
-        paymentData.remainingAmount = total - (validatedData.payment.advanceAmount || 0);
+        paymentData.remainingAmount = orderTotal - (validatedData.payment.advanceAmount || 0) - (validatedData.payment.walletAmount || 0);
+      }
+      if (validatedData.payment.walletAmount && validatedData.payment.method !== 'wallet') {
+        paymentData.walletAmount = validatedData.payment.walletAmount;
       }
       
       // Add WhatsApp notification preference
@@ -278,6 +320,10 @@ export default function CheckoutPage() {
         payment: paymentData,
         customerInfo: validatedData.customerInfo,
         specialInstructions: validatedData.specialInstructions || '',
+        // Only the code the server accepted when pricing the cart
+        promoCode: pricing?.discountCode,
+        // Only the points the server accepted (it may cap them)
+        loyaltyPoints: pricing?.loyalty?.pointsRedeemed || undefined,
       };
 
       // Submit order
@@ -311,17 +357,17 @@ export default function CheckoutPage() {
   if (submittedOrder) {
     const confirmationData: OrderConfirmationData = {
       orderNumber: submittedOrder.order.orderNumber,
-      total: submittedOrder.order.total || total,
+      total: submittedOrder.order.pricing?.total ?? submittedOrder.order.total ?? orderTotal,
       itemCount: items.length,
-      paymentMethod: (formData.payment?.method as 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod') || 'bank-transfer',
+      paymentMethod: (formData.payment?.method as 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod' | 'wallet') || 'bank-transfer',
       customerName: formData.customerInfo?.fullName || '',
       customerEmail: formData.customerInfo?.email || '',
       customerPhone: formData.customerInfo?.phone || '',
       customerWhatsApp: formData.customerInfo?.whatsapp,
       shippingAddress: `${formData.shippingAddress?.fullAddress}, ${formData.shippingAddress?.city}, ${formData.shippingAddress?.province}`,
-      subtotal: subtotal,
+      subtotal: submittedOrder.order.pricing?.subtotal ?? orderSubtotal,
       shipping: shipping,
-      discount: discount,
+      discount: submittedOrder.order.pricing?.discount ?? orderDiscount,
       tax: tax,
     };
     
@@ -422,7 +468,7 @@ export default function CheckoutPage() {
                   onNext={handleNext}
                   onBack={handleBack}
                   errors={errors}
-                  total={total}
+                  total={orderTotal}
                 />
               )}
 
@@ -442,11 +488,11 @@ export default function CheckoutPage() {
                       quantity: item.quantity,
                       isCustom: item.isCustom || false,
                     })),
-                    subtotal,
+                    subtotal: orderSubtotal,
                     shipping,
-                    discount,
+                    discount: orderDiscount,
                     tax,
-                    total,
+                    total: orderTotal,
                   }}
                   errors={errors}
                 />
@@ -459,13 +505,18 @@ export default function CheckoutPage() {
             <div className="sticky top-24">
               <OrderSummary
                 items={items}
-                subtotal={subtotal}
-                shipping={shipping}
-                discount={discount}
+                subtotal={orderSubtotal}
+                shipping={orderShipping}
+                discount={orderDiscount}
                 tax={tax}
-                total={total}
+                total={orderTotal}
+                promotions={pricing?.promotions}
+                promoCodeError={pricing?.promoCodeError}
                 promoCode={formData.promoCode}
                 onPromoCodeChange={(code) => updateFormData('promoCode', code)}
+                loyalty={pricing?.loyalty}
+                loyaltyError={pricing?.loyaltyError}
+                onLoyaltyPointsChange={isAuthenticated ? setLoyaltyPoints : undefined}
               />
             </div>
           </div>
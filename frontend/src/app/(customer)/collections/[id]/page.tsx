@@ -0,0 +1,109 @@
+export const dynamic = 'force-dynamic';
+import Image from 'next/image';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import axios from 'axios';
+import api from '@/lib/api';
+import { SITE_URL } from '@/lib/constants';
+import ProductCard from '@/components/customer/ProductCard';
+import type { ApiResponse } from '@/types/api';
+import type { FestiveCollection } from '@/types/product-management';
+
+interface CollectionPageProps {
+  params: { id: string };
+}
+
+/**
+ * Published collection, or null if it doesn't exist or isn't live
+ */
+async function getCollection(id: string): Promise<FestiveCollection | null> {
+  try {
+    const response = await api.collections.getById(id) as unknown as ApiResponse<{ collection: FestiveCollection }>;
+    return response.data?.collection || null;
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+export async function generateMetadata({ params }: CollectionPageProps) {
+  const collection = await getCollection(params.id).catch(() => null);
+
+  if (!collection) {
+    return {
+      title: 'Collection Not Found | LaraibCreative',
+      robots: { index: false, follow: false },
+    };
+  }
+
+  const title = collection.seo?.metaTitle || `${collection.name} | LaraibCreative`;
+  const description = collection.seo?.metaDescription || collection.description;
+
+  return {
+    title,
+    description,
+    keywords: collection.seo?.keywords?.join(', '),
+    alternates: { canonical: `${SITE_URL}/collections/${collection._id}` },
+    openGraph: {
+      title,
+      description,
+      url: `${SITE_URL}/collections/${collection._id}`,
+      ...(collection.bannerImage?.url && { images: [collection.bannerImage.url] }),
+    },
+  };
+}
+
+/**
+ * Festive Collection Page
+ * Landing page for a published Eid/wedding-season collection, linked from
+ * the collection's email campaign
+ */
+export default async function CollectionPage({ params }: CollectionPageProps) {
+  const collection = await getCollection(params.id);
+
+  if (!collection) {
+    notFound();
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      {collection.bannerImage?.url && (
+        <div className="relative w-full aspect-[3/1] mb-8 rounded-2xl overflow-hidden bg-gray-100">
+          <Image
+            src={collection.bannerImage.url}
+            alt={collection.name}
+            fill
+            priority
+            sizes="100vw"
+            className="object-cover"
+          />
+        </div>
+      )}
+
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold mb-2 bg-gradient-to-r from-pink-600 to-purple-600 bg-clip-text text-transparent">
+          {collection.name}
+        </h1>
+        {collection.description && (
+          <p className="text-lg text-gray-600 max-w-3xl">{collection.description}</p>
+        )}
+      </div>
+
+      {collection.products.length === 0 ? (
+        <div className="text-center py-12">
+          <h3 className="text-xl font-semibold mb-2">No products in this collection yet</h3>
+          <p className="text-gray-600 mb-6">Check back soon, or browse the rest of the store.</p>
+          <Link href="/products" className="inline-block px-6 py-3 bg-pink-600 text-white rounded-full hover:bg-pink-700 transition-colors">
+            Browse All Products
+          </Link>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+          {collection.products.map(product => (
+            <ProductCard key={product._id} product={product} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
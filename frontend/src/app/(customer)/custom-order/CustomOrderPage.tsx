@@ -96,11 +96,14 @@ function CustomOrderPage() {
     isSavingDraft,
     draftSaved,
     priceBreakdown,
+    draftToken,
     updateFormData,
     updateNestedFormData,
     nextStep,
     prevStep,
     saveDraftManually,
+    uploadPendingImages,
+    clearDraftManually,
     validateCurrentStep,
   } = useWizard(TOTAL_STEPS);
 
@@ -139,14 +142,14 @@ function CustomOrderPage() {
     setIsSubmitting(true);
 
     try {
-      // Upload reference images first (if any)
+      // Upload reference images first (ones saved with a draft are already uploaded)
       let imageUrls: string[] = [];
       if (formData.referenceImages.length > 0) {
         try {
-          const uploadResponse = await api.customOrders.uploadImages(
-            formData.referenceImages.map(img => img.file)
-          );
-          imageUrls = uploadResponse.urls || [];
+          const uploadedImages = await uploadPendingImages(formData.referenceImages);
+          imageUrls = uploadedImages
+            .map(img => img.url)
+            .filter((url): url is string => Boolean(url));
         } catch (uploadError: any) {
           console.error('Image upload failed:', uploadError);
           toast.error('Failed to upload images. Please try again.');
@@ -156,7 +159,7 @@ function CustomOrderPage() {
       }
 
       // Prepare order data
-      const orderData: OrderSubmissionData = {
+      const orderData: OrderSubmissionData & { draftToken?: string } = {
         suitType: formData.suitType as 'ready-made' | 'replica' | 'karhai',
         serviceType: formData.serviceType as 'fully-custom' | 'brand-article',
         designIdea: formData.designIdea || undefined,
@@ -174,39 +177,19 @@ function CustomOrderPage() {
         rushOrder: formData.rushOrder,
         customerInfo: formData.customerInfo,
         estimatedPrice: priceBreakdown?.total || 0,
+        // Converts the saved draft into this order
+        draftToken: draftToken || undefined,
       };
 
-      // Convert order data to FormData
-      const formDataToSubmit = new FormData();
-      Object.entries(orderData).forEach(([key, value]) => {
-        if (value === undefined || value === null) {
-          return; // Skip undefined/null values
-        }
-        if (typeof value === 'object' && !Array.isArray(value)) {
-          // Handle nested objects (like customerInfo, measurements, selectedFabric)
-          formDataToSubmit.append(key, JSON.stringify(value));
-        } else if (Array.isArray(value)) {
-          // Handle arrays (like referenceImages)
-          if (value.length > 0) {
-            formDataToSubmit.append(key, JSON.stringify(value));
-          }
-        } else if (typeof value === 'boolean') {
-          // Handle boolean values
-          formDataToSubmit.append(key, String(value));
-        } else {
-          // Handle primitive values
-          formDataToSubmit.append(key, String(value));
-        }
-      });
-
       // Submit order
-      const response = await api.customOrders.submit(formDataToSubmit) as unknown as OrderSubmissionResponse;
+      const response = await api.customOrders.submit(orderData) as unknown as OrderSubmissionResponse;
 
       if (response.success) {
         setSubmittedOrder(response);
+        response.warnings?.forEach(warning => toast(warning));
 
-        // Clear draft
-        localStorage.removeItem('laraibcreative-custom-order-draft');
+        // Clear local and server draft references
+        clearDraftManually();
 
         // Trigger WhatsApp notification (if phone provided)
         // TODO: Implement WhatsApp notification
@@ -1,104 +1,22 @@
 import { useState, useEffect } from 'react';
-import { ShoppingBag, User, Search, CheckCircle } from 'lucide-react';
+import { ShoppingBag, User, Search, CheckCircle, AlertTriangle } from 'lucide-react';
+import api from '@/lib/api';
 
 /**
  * Fabric Selection Component - Step 3
  * 
  * Allows users to choose:
- * 1. LaraibCreative provides fabric (select from catalog)
+ * 1. LaraibCreative provides fabric (select from the fabric stock catalog)
  * 2. Customer provides own fabric (describe fabric)
  * 
- * @param {string} fabricSource - Selected fabric source
- * @param {object} selectedFabric - Selected fabric from catalog
- * @param {string} fabricDetails - Details if customer provides
- * @param {function} onChange - Handler for form changes
- * @param {object} errors - Validation errors
+ * @param {Object} props
+ * @param {string} props.fabricSource - Selected fabric source
+ * @param {Object|null} [props.selectedFabric] - Selected fabric from catalog
+ * @param {string} [props.fabricDetails] - Details if customer provides
+ * @param {Function} props.onChange - Handler for form changes
+ * @param {Object} [props.errors] - Validation errors
  */
 
-// Mock fabric catalog data (will come from API in production)
-const FABRIC_CATALOG = [
-  {
-    id: 1,
-    name: 'Premium Lawn',
-    type: 'Lawn',
-    color: 'White',
-    pattern: 'Solid',
-    price: 1500,
-    pricePerMeter: 500,
-    metersIncluded: 3,
-    image: '/api/placeholder/200/200',
-    description: 'Soft, breathable cotton lawn perfect for summer wear',
-    inStock: true,
-  },
-  {
-    id: 2,
-    name: 'Embroidered Chiffon',
-    type: 'Chiffon',
-    color: 'Pink',
-    pattern: 'Embroidered',
-    price: 3500,
-    pricePerMeter: 1200,
-    metersIncluded: 3,
-    image: '/api/placeholder/200/200',
-    description: 'Elegant chiffon with delicate embroidery work',
-    inStock: true,
-  },
-  {
-    id: 3,
-    name: 'Pure Silk',
-    type: 'Silk',
-    color: 'Royal Blue',
-    pattern: 'Solid',
-    price: 5000,
-    pricePerMeter: 2000,
-    metersIncluded: 2.5,
-    image: '/api/placeholder/200/200',
-    description: 'Luxurious pure silk with natural shine',
-    inStock: true,
-  },
-  {
-    id: 4,
-    name: 'Velvet Premium',
-    type: 'Velvet',
-    color: 'Maroon',
-    pattern: 'Solid',
-    price: 4000,
-    pricePerMeter: 1600,
-    metersIncluded: 2.5,
-    image: '/api/placeholder/200/200',
-    description: 'Rich velvet fabric perfect for winter wear',
-    inStock: true,
-  },
-  {
-    id: 5,
-    name: 'Cotton Net',
-    type: 'Net',
-    color: 'Cream',
-    pattern: 'Embellished',
-    price: 2800,
-    pricePerMeter: 900,
-    metersIncluded: 3,
-    image: '/api/placeholder/200/200',
-    description: 'Soft cotton net with subtle embellishments',
-    inStock: false,
-  },
-  {
-    id: 6,
-    name: 'Organza Jacquard',
-    type: 'Organza',
-    color: 'Gold',
-    pattern: 'Jacquard',
-    price: 3200,
-    pricePerMeter: 1100,
-    metersIncluded: 3,
-    image: '/api/placeholder/200/200',
-    description: 'Shimmering organza with jacquard weave',
-    inStock: true,
-  },
-];
-
-const FABRIC_TYPES = ['All', 'Lawn', 'Chiffon', 'Silk', 'Velvet', 'Net', 'Organza'];
-
 export default function FabricSelection({
   fabricSource,
   selectedFabric,
@@ -108,13 +26,38 @@ export default function FabricSelection({
 }) {
   const [searchTerm, setSearchTerm] = useState('');
   const [filterType, setFilterType] = useState('All');
-  const [filteredFabrics, setFilteredFabrics] = useState(FABRIC_CATALOG);
+  const [fabrics, setFabrics] = useState([]);
+  const [loadingFabrics, setLoadingFabrics] = useState(true);
+  const [filteredFabrics, setFilteredFabrics] = useState([]);
+
+  /**
+   * Load fabrics from stock
+   */
+  useEffect(() => {
+    const loadFabrics = async () => {
+      try {
+        setLoadingFabrics(true);
+        const response = await api.customOrders.getFabrics();
+        if (response.success && response.data?.fabrics) {
+          setFabrics(response.data.fabrics);
+        }
+      } catch (error) {
+        console.error('Failed to load fabrics:', error);
+      } finally {
+        setLoadingFabrics(false);
+      }
+    };
+
+    loadFabrics();
+  }, []);
+
+  const fabricTypes = ['All', ...new Set(fabrics.map(f => f.type))];
 
   /**
    * Filter fabrics based on search and type
    */
   useEffect(() => {
-    let filtered = FABRIC_CATALOG;
+    let filtered = fabrics;
 
     // Filter by type
     if (filterType !== 'All') {
@@ -131,7 +74,7 @@ export default function FabricSelection({
     }
 
     setFilteredFabrics(filtered);
-  }, [searchTerm, filterType]);
+  }, [fabrics, searchTerm, filterType]);
 
   /**
    * Handle fabric source selection
@@ -282,7 +225,7 @@ export default function FabricSelection({
               onChange={(e) => setFilterType(e.target.value)}
               className="px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500 focus:ring-4 focus:ring-purple-200"
             >
-              {FABRIC_TYPES.map(type => (
+              {fabricTypes.map(type => (
                 <option key={type} value={type}>{type}</option>
               ))}
             </select>
@@ -293,11 +236,9 @@ export default function FabricSelection({
             {filteredFabrics.map((fabric) => (
               <button
                 key={fabric.id}
-                onClick={() => fabric.inStock && handleFabricSelect(fabric)}
-                disabled={!fabric.inStock}
+                onClick={() => handleFabricSelect(fabric)}
                 className={`
                   relative p-4 rounded-xl border-2 transition-all duration-200 text-left
-                  ${!fabric.inStock ? 'opacity-50 cursor-not-allowed' : ''}
                   ${selectedFabric?.id === fabric.id
                     ? 'border-purple-500 bg-purple-50 shadow-lg'
                     : 'border-gray-300 hover:border-purple-300 hover:shadow-md'
@@ -311,10 +252,10 @@ export default function FabricSelection({
                   </div>
                 )}
 
-                {/* Out of Stock Badge */}
-                {!fabric.inStock && (
-                  <div className="absolute top-3 right-3 px-2 py-1 bg-red-600 text-white text-xs font-semibold rounded">
-                    Out of Stock
+                {/* Low Stock Badge */}
+                {!fabric.inStock && selectedFabric?.id !== fabric.id && (
+                  <div className="absolute top-3 right-3 px-2 py-1 bg-amber-500 text-white text-xs font-semibold rounded">
+                    Limited Stock
                   </div>
                 )}
 
@@ -348,8 +289,25 @@ export default function FabricSelection({
             ))}
           </div>
 
+          {/* Loading */}
+          {loadingFabrics && (
+            <div className="text-center py-12">
+              <p className="text-gray-600">Loading fabrics...</p>
+            </div>
+          )}
+
+          {/* Low Stock Warning */}
+          {selectedFabric && selectedFabric.inStock === false && (
+            <div className="flex items-start gap-2 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+              <AlertTriangle className="w-5 h-5 text-amber-600 flex-shrink-0" />
+              <p className="text-amber-800 text-sm">
+                We are running low on {selectedFabric.name}. We may need to source more, which can add a few days to your order.
+              </p>
+            </div>
+          )}
+
           {/* No Results */}
-          {filteredFabrics.length === 0 && (
+          {!loadingFabrics && filteredFabrics.length === 0 && (
             <div className="text-center py-12">
               <p className="text-gray-600">No fabrics found matching your criteria</p>
             </div>
@@ -13,7 +13,7 @@ import Pagination from '@/components/customer/Pagination';
 import { Spinner } from '@/components/ui/Spinner';
 import { useFilters } from '@/hooks/useFilters';
 import api from '@/lib/api';
-import type { ProductFilters as ProductFiltersType } from '@/types/filters';
+import type { ProductFilters as ProductFiltersType, FilterCounts } from '@/types/filters';
 
 /**
  * ProductsContent Component
@@ -26,12 +26,14 @@ function ProductsContent() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [isMobileFilterOpen, setIsMobileFilterOpen] = useState(false);
-  const [filterCounts, setFilterCounts] = useState({
+  const [filterCounts, setFilterCounts] = useState<Partial<FilterCounts>>({
     fabric: {} as Record<string, number>,
     color: {} as Record<string, number>,
     size: {} as Record<string, number>,
     occasion: {} as Record<string, number>,
   });
+  // Spelling correction from the search, e.g. "chifon" -> "chiffon"
+  const [didYouMean, setDidYouMean] = useState<string | null>(null);
 
   // Use filters hook with URL sync and localStorage
   // Note: onFilterChange is NOT used here - fetch is triggered via useEffect watching filter props
@@ -98,6 +100,11 @@ function ProductsContent() {
         params.occasion = activeFilters.occasion.join(',');
       }
 
+      // Add embroidery filter
+      if (activeFilters.embroidery && activeFilters.embroidery.length > 0) {
+        params.embroidery = activeFilters.embroidery.join(',');
+      }
+
       // Add color filter
       if (activeFilters.color && activeFilters.color.length > 0) {
         params.color = activeFilters.color.join(',');
@@ -143,6 +150,7 @@ function ProductsContent() {
 
         setProducts(products);
         setTotalProducts(total);
+        setDidYouMean(data.didYouMean || null);
 
         // Use facets from API if available, otherwise fallback to local calculation
         if (data.facets) {
@@ -217,7 +225,7 @@ function ProductsContent() {
     }
     // On subsequent filter/page changes, fetch again
     fetchProducts();
-  }, [filters.minPrice, filters.maxPrice, filters.fabric, filters.color, filters.size, filters.occasion, filters.availability, filters.sortBy, filters.search, filters.category, filters.suitType, currentPage]);
+  }, [filters.minPrice, filters.maxPrice, filters.fabric, filters.color, filters.size, filters.occasion, filters.availability, filters.embroidery, filters.sortBy, filters.search, filters.category, filters.suitType, currentPage]);
 
   const totalPages = Math.ceil(totalProducts / productsPerPage);
 
@@ -283,6 +291,19 @@ function ProductsContent() {
           </p>
         </header>
 
+        {/* Search spelling suggestion */}
+        {didYouMean && didYouMean !== filters.search && (
+          <p className="mb-4 text-gray-600 dark:text-gray-400">
+            Showing results for{' '}
+            <button
+              onClick={() => updateFilter('search', didYouMean)}
+              className="font-semibold text-primary-600 hover:underline"
+            >
+              {didYouMean}
+            </button>
+          </p>
+        )}
+
         {/* Active Filters Bar */}
         <ActiveFilters
           filters={filters}
@@ -305,6 +326,7 @@ function ProductsContent() {
             updateFilter('size', []);
             updateFilter('occasion', []);
             updateFilter('availability', []);
+            updateFilter('embroidery', []);
           }}
         />
 
@@ -366,6 +388,7 @@ function ProductsContent() {
                 className="px-4 py-2 border border-gray-200 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500 dark:focus:ring-primary-400 min-h-[44px]"
                 aria-label="Sort products"
               >
+                {filters.search && <option value="relevance">Best Match</option>}
                 <option value="newest">Newest First</option>
                 <option value="price-low">Price: Low to High</option>
                 <option value="price-high">Price: High to Low</option>
@@ -428,6 +451,7 @@ function ProductsContent() {
                     updateFilter('size', []);
                     updateFilter('occasion', []);
                     updateFilter('availability', []);
+                    updateFilter('embroidery', []);
                   }}
                   className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors min-h-[44px]"
                 >
@@ -13,6 +13,7 @@ import ReplicaUploadSection from '@/components/customer/ReplicaUploadSection';
 import KarhaiEmbroideryOptions from '@/components/customer/KarhaiEmbroideryOptions';
 import CustomPriceCalculator from '@/components/customer/CustomPriceCalculator';
 import RelatedProductsSlider from '@/components/customer/RelatedProductsSlider';
+import VariantSelector, { availableStock } from '@/components/customer/VariantSelector';
 import api from '@/lib/api';
 
 /**
@@ -30,6 +31,7 @@ export default function ProductDetailClient({ params: serverParams }) {
   const [loading, setLoading] = useState(true);
   const [selectedSize, setSelectedSize] = useState('');
   const [selectedColor, setSelectedColor] = useState('');
+  const [selectedVariant, setSelectedVariant] = useState(null);
   const [quantity, setQuantity] = useState(1);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [showZoom, setShowZoom] = useState(false);
@@ -95,8 +97,21 @@ export default function ProductDetailClient({ params: serverParams }) {
     fetchProduct();
   }, [params.id]);
 
+  const hasVariants = product?.variants?.some(variant => variant.isActive !== false) || false;
+  const variantUnavailable = hasVariants && (!selectedVariant || availableStock(selectedVariant) < quantity);
+
+  const handleVariantChange = ({ color, size, variant }) => {
+    setSelectedColor(color || '');
+    setSelectedSize(size || '');
+    setSelectedVariant(variant);
+    setCurrentImageIndex(0);
+    if (variant && availableStock(variant) > 0) {
+      setQuantity(current => Math.min(current, availableStock(variant)));
+    }
+  };
+
   const handleAddToCart = () => {
-    if (product) {
+    if (product && !variantUnavailable) {
       // Normalize pricing structure
       const pricing = product.pricing || {};
       const normalizedPrice = pricing.basePrice || pricing.base || pricing.price || product.price || 0;
@@ -124,13 +139,13 @@ export default function ProductDetailClient({ params: serverParams }) {
       console.log('Customizations:', customizations);
       console.log('=========================');
       
-      // Pass the full product object with quantity and customizations
-      addItem(product, quantity, customizations);
+      // Pass the full product object with quantity, customizations and the chosen variant
+      addItem(product, quantity, customizations, selectedVariant);
     }
   };
 
   // Safely handle images array
-  const images = product?.images?.length > 0 
+  const productImages = product?.images?.length > 0 
     ? product.images.map(img => {
         // Handle different image formats
         let imageUrl = '';
@@ -145,6 +160,9 @@ export default function ProductDetailClient({ params: serverParams }) {
         return imageUrl.replace(/^"|"$/g, '');
       })
     : (product?.primaryImage || product?.image ? [(product.primaryImage || product.image).replace(/^"|"$/g, '')] : []);
+  // The chosen variant's photos come first
+  const variantImages = selectedVariant?.images || [];
+  const images = [...variantImages, ...productImages.filter(url => !variantImages.includes(url))];
   const currentImage = (images[currentImageIndex] || images[0] || '/images/placeholder.png').replace(/^"|"$/g, '');
   
   // Ensure currentImageIndex is within bounds
@@ -153,7 +171,7 @@ export default function ProductDetailClient({ params: serverParams }) {
       setCurrentImageIndex(0);
     }
   }, [images.length, currentImageIndex]);
-  const basePrice = product?.pricing?.basePrice || product?.price || 0;
+  const basePrice = selectedVariant?.priceOverride ?? (product?.pricing?.basePrice || product?.price || 0);
   const productType = product?.type || 'ready-made';
 
   // Get current page URL for structured data
@@ -261,8 +279,8 @@ export default function ProductDetailClient({ params: serverParams }) {
                 {/* Title & Price */}
                 <div>
                   <h1 className="text-4xl font-bold mb-2">{product.title || product.name}</h1>
-                  {product.sku && (
-                    <p className="text-sm text-gray-500 mb-4">SKU: {product.sku}</p>
+                  {(selectedVariant?.sku || product.sku) && (
+                    <p className="text-sm text-gray-500 mb-4">SKU: {selectedVariant?.sku || product.sku}</p>
                   )}
                   <div className="flex items-baseline gap-4">
                     <p className="text-3xl font-bold text-pink-600">
@@ -330,8 +348,18 @@ export default function ProductDetailClient({ params: serverParams }) {
                   />
                 )}
 
+                {/* Colour x Size Variants */}
+                {hasVariants && (
+                  <VariantSelector
+                    variants={product.variants}
+                    selectedColor={selectedColor}
+                    selectedSize={selectedSize}
+                    onChange={handleVariantChange}
+                  />
+                )}
+
                 {/* Size Selection */}
-                {product.sizeAvailability?.standardSizes && product.sizeAvailability.standardSizes.length > 0 && (
+                {!hasVariants && product.sizeAvailability?.standardSizes && product.sizeAvailability.standardSizes.length > 0 && (
                   <div>
                     <label className="block text-sm font-medium mb-2">Size</label>
                     <div className="flex gap-2 flex-wrap">
@@ -370,7 +398,7 @@ export default function ProductDetailClient({ params: serverParams }) {
                     <motion.button
                       whileHover={{ scale: 1.1 }}
                       whileTap={{ scale: 0.9 }}
-                      onClick={() => setQuantity(quantity + 1)}
+                      onClick={() => setQuantity(selectedVariant ? Math.min(quantity + 1, availableStock(selectedVariant)) : quantity + 1)}
                       className="px-4 py-2 border rounded hover:bg-gray-50"
                     >
                       +
@@ -385,9 +413,14 @@ export default function ProductDetailClient({ params: serverParams }) {
                 >
                   <Button
                     onClick={handleAddToCart}
+                    disabled={variantUnavailable}
                     className="w-full bg-gradient-to-r from-pink-600 to-purple-600 hover:from-pink-700 hover:to-purple-700 text-lg py-4"
                   >
-                    Add to Cart
+                    {hasVariants && !selectedVariant
+                      ? 'Select Colour & Size'
+                      : variantUnavailable
+                        ? 'Out of Stock'
+                        : 'Add to Cart'}
                   </Button>
                 </motion.div>
 
@@ -50,6 +50,8 @@ export interface CheckoutData {
   // Pricing
   subtotal: number
   shippingFee: number
+  // Shipping zone rate picked from the quote
+  shippingRate?: string
   stitchingFee: number
   discountCode?: string
   discountAmount: number
@@ -165,26 +167,6 @@ export async function updateOrder(orderId: string, status: OrderStatus, note?: s
   }
 }
 
-/**
- * Calculate shipping fee based on city
- */
-export async function calculateShipping(city: string): Promise<number> {
-  // Pakistan shipping rates
-  const rates: Record<string, number> = {
-    'karachi': 200,
-    'lahore': 200,
-    'islamabad': 250,
-    'rawalpindi': 250,
-    'faisalabad': 250,
-    'multan': 300,
-    'peshawar': 350,
-    'quetta': 400,
-  }
-
-  const normalizedCity = city.toLowerCase().trim()
-  return rates[normalizedCity] || 350 // Default rate
-}
-
 /**
  * Validate discount code
  */
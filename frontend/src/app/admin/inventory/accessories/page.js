@@ -1,11 +0,0 @@
-"use client";
-export const dynamic = 'force-dynamic';
-
-export default function AccessoriesPage() {
-  return (
-    <div>
-      <h1 className="text-2xl font-bold mb-6">Accessories Inventory</h1>
-      <p className="text-gray-600">Manage accessories stock</p>
-    </div>
-  );
-}
\ No newline at end of file
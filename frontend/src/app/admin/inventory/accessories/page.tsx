@@ -0,0 +1,363 @@
+/**
+ * Admin Accessories Inventory Page
+ * Laces, buttons, dupatta borders and other trimmings: stock levels,
+ * reorder settings and stock adjustments through the movement ledger
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { RefreshCw, Package, Plus } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import type { ApiResponse } from '@/types/api';
+import type { Accessory, AccessoryCategory, Supplier } from '@/types/product-management';
+
+const CATEGORY_LABELS: Record<AccessoryCategory, string> = {
+  lace: 'Lace',
+  button: 'Buttons',
+  'dupatta-border': 'Dupatta Border',
+  thread: 'Thread',
+  zip: 'Zips',
+  tassel: 'Tassels',
+  embellishment: 'Embellishments',
+  other: 'Other',
+};
+
+const STATUS_BADGES: Record<Accessory['status'], { label: string; variant: 'success' | 'warning' | 'danger' | 'default' }> = {
+  'in-stock': { label: 'In Stock', variant: 'success' },
+  'low-stock': { label: 'Low Stock', variant: 'warning' },
+  'out-of-stock': { label: 'Out of Stock', variant: 'danger' },
+  discontinued: { label: 'Discontinued', variant: 'default' },
+};
+
+const EMPTY_FORM = {
+  name: '',
+  category: 'lace' as AccessoryCategory,
+  color: '',
+  unit: 'pieces' as Accessory['stock']['unit'],
+  quantity: '',
+  reorderPoint: '10',
+  reorderQuantity: '',
+  costPerUnit: '',
+  preferredSupplier: '',
+};
+
+export default function AdminAccessoriesPage() {
+  const [accessories, setAccessories] = useState<Accessory[]>([]);
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ category: '', search: '', lowStock: false });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAccessories = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params: Record<string, string | boolean> = {};
+      if (filters.category) params.category = filters.category;
+      if (filters.search) params.search = filters.search;
+      if (filters.lowStock) params.lowStock = true;
+
+      const response = await api.inventory.getAccessories(params) as unknown as ApiResponse<{ accessories: Accessory[] }>;
+      setAccessories(response.data?.accessories || []);
+    } catch (error) {
+      console.error('Error fetching accessories:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch accessories'));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters.category, filters.search, filters.lowStock]);
+
+  useEffect(() => {
+    fetchAccessories();
+  }, [fetchAccessories]);
+
+  useEffect(() => {
+    (api.purchasing.getSuppliers({ supplies: 'accessory', active: true }) as unknown as Promise<ApiResponse<{ suppliers: Supplier[] }>>)
+      .then(response => setSuppliers(response.data?.suppliers || []))
+      .catch(error => console.error('Error fetching suppliers:', error));
+  }, []);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('Enter the accessory name');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.inventory.createAccessory({
+        name: form.name.trim(),
+        category: form.category,
+        color: form.color.trim(),
+        stock: {
+          quantity: Number(form.quantity) || 0,
+          unit: form.unit,
+          reorderPoint: Number(form.reorderPoint) || 0,
+          reorderQuantity: form.reorderQuantity ? Number(form.reorderQuantity) : null,
+        },
+        costPerUnit: Number(form.costPerUnit) || 0,
+        preferredSupplier: form.preferredSupplier || null,
+      }) as unknown as ApiResponse;
+      toast.success(response.message || 'Accessory added');
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      await fetchAccessories();
+    } catch (error) {
+      console.error('Error adding accessory:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to add accessory'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdjust = async (accessory: Accessory) => {
+    const counted = prompt(`Counted stock of ${accessory.name} (${accessory.stock.unit})`, String(accessory.stock.quantity));
+    if (counted === null) return;
+
+    const setTo = Number(counted);
+    if (Number.isNaN(setTo) || setTo < 0) {
+      toast.error('Enter the counted quantity');
+      return;
+    }
+
+    const note = prompt('Reason for the change');
+    if (!note || note.trim().length < 3) {
+      toast.error('Please note why the stock changed');
+      return;
+    }
+
+    try {
+      const response = await api.inventory.adjust({
+        itemType: 'accessory',
+        accessory: accessory._id,
+        setTo,
+        note: note.trim(),
+      }) as unknown as ApiResponse;
+      toast.success(response.message || 'Stock adjusted');
+      await fetchAccessories();
+    } catch (error) {
+      console.error('Error adjusting stock:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to adjust stock'));
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Accessories Inventory</h1>
+            <p className="text-gray-600 mt-1">Laces, buttons, borders and trimmings used in stitching</p>
+          </div>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              onClick={fetchAccessories}
+              className="flex items-center gap-2"
+              disabled={loading}
+              ariaLabel="Refresh accessories"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+            <Button onClick={() => setShowForm(!showForm)} className="flex items-center gap-2" ariaLabel="Add accessory">
+              <Plus className="w-4 h-4" />
+              Add Accessory
+            </Button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+            placeholder="Search name, SKU or colour"
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <select
+            value={filters.category}
+            onChange={(e) => setFilters({ ...filters, category: e.target.value })}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="Category"
+          >
+            <option value="">All categories</option>
+            {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={filters.lowStock}
+              onChange={(e) => setFilters({ ...filters, lowStock: e.target.checked })}
+            />
+            Low stock only
+          </label>
+        </div>
+      </div>
+
+      {/* New Accessory */}
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+          <h2 className="font-semibold text-gray-900 mb-3">Add Accessory</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name, e.g. Gota lace 1 inch"
+              maxLength={100}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <select
+              value={form.category}
+              onChange={(e) => setForm({ ...form, category: e.target.value as AccessoryCategory })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Category"
+            >
+              {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={form.color}
+              onChange={(e) => setForm({ ...form, color: e.target.value })}
+              placeholder="Colour"
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <select
+              value={form.preferredSupplier}
+              onChange={(e) => setForm({ ...form, preferredSupplier: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Supplier"
+            >
+              <option value="">No supplier yet</option>
+              {suppliers.map(supplier => (
+                <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={form.quantity}
+              onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+              placeholder="Opening stock"
+              min={0}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <select
+              value={form.unit}
+              onChange={(e) => setForm({ ...form, unit: e.target.value as typeof form.unit })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Unit"
+            >
+              <option value="pieces">Pieces</option>
+              <option value="meters">Meters</option>
+              <option value="yards">Yards</option>
+              <option value="packs">Packs</option>
+            </select>
+            <input
+              type="number"
+              value={form.reorderPoint}
+              onChange={(e) => setForm({ ...form, reorderPoint: e.target.value })}
+              placeholder="Reorder at"
+              min={0}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="number"
+              value={form.reorderQuantity}
+              onChange={(e) => setForm({ ...form, reorderQuantity: e.target.value })}
+              placeholder="Reorder quantity"
+              min={0}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="number"
+              value={form.costPerUnit}
+              onChange={(e) => setForm({ ...form, costPerUnit: e.target.value })}
+              placeholder="Cost per unit (PKR)"
+              min={0}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <Button type="submit" disabled={saving} ariaLabel="Save accessory">
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {/* Accessories */}
+      {loading ? (
+        <div className="h-64 bg-white rounded-lg animate-pulse" />
+      ) : accessories.length === 0 ? (
+        <div className="text-center py-16 bg-white border border-gray-200 rounded-lg">
+          <Package className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No accessories found</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Accessory</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Category</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Supplier</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">In stock</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Reorder at</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Status</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {accessories.map(accessory => (
+                <tr key={accessory._id}>
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-gray-900">{accessory.name}</p>
+                    <p className="text-xs text-gray-500">{[accessory.color, accessory.sku].filter(Boolean).join(' · ')}</p>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{CATEGORY_LABELS[accessory.category]}</td>
+                  <td className="px-4 py-3 text-gray-600">
+                    {typeof accessory.preferredSupplier === 'object' && accessory.preferredSupplier?.name || '—'}
+                  </td>
+                  <td className="px-4 py-3 text-right font-semibold whitespace-nowrap">
+                    {accessory.stock.quantity} {accessory.stock.unit}
+                  </td>
+                  <td className="px-4 py-3 text-right text-gray-600">{accessory.stock.reorderPoint}</td>
+                  <td className="px-4 py-3">
+                    <Badge variant={STATUS_BADGES[accessory.status].variant}>
+                      {STATUS_BADGES[accessory.status].label}
+                    </Badge>
+                  </td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">
+                    <Button variant="ghost" size="sm" onClick={() => handleAdjust(accessory)} ariaLabel="Count stock">
+                      Count
+                    </Button>
+                    <Link
+                      href={`/admin/inventory/stock?accessory=${accessory._id}`}
+                      className="text-sm text-purple-600 hover:underline ml-2"
+                    >
+                      History
+                    </Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
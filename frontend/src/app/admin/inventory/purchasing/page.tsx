@@ -0,0 +1,443 @@
+/**
+ * Admin Purchasing Page
+ * Reorder suggestions, purchase orders to suppliers with partial deliveries
+ * received into stock, and the supplier list
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Truck, Plus } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatDate } from '@/lib/utils';
+import type {
+  PurchaseOrder,
+  PurchaseOrderStatus,
+  ReorderSuggestion,
+  Supplier,
+} from '@/types/product-management';
+import type { ApiResponse } from '@/types/api';
+
+const STATUS_BADGES: Record<PurchaseOrderStatus, { label: string; variant: 'success' | 'warning' | 'danger' | 'default' }> = {
+  draft: { label: 'Draft', variant: 'default' },
+  ordered: { label: 'Ordered', variant: 'warning' },
+  'partially-received': { label: 'Partly Received', variant: 'warning' },
+  received: { label: 'Received', variant: 'success' },
+  cancelled: { label: 'Cancelled', variant: 'danger' },
+};
+
+const EMPTY_SUPPLIER = {
+  name: '',
+  contactName: '',
+  phone: '',
+  city: '',
+  leadTimeDays: '7',
+  supplies: ['fabric'] as Supplier['supplies'],
+};
+
+const outstanding = (line: PurchaseOrder['items'][number]) =>
+  Math.max(0, Math.round((line.quantityOrdered - line.quantityReceived) * 100) / 100);
+
+export default function AdminPurchasingPage() {
+  const [suggestions, setSuggestions] = useState<ReorderSuggestion[]>([]);
+  const [purchaseOrders, setPurchaseOrders] = useState<PurchaseOrder[]>([]);
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('draft,ordered,partially-received');
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [received, setReceived] = useState<Record<string, string>>({});
+  const [reference, setReference] = useState('');
+  const [supplierForm, setSupplierForm] = useState(EMPTY_SUPPLIER);
+  const [showSupplierForm, setShowSupplierForm] = useState(false);
+
+  const fetchAll = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [suggestionResponse, orderResponse, supplierResponse] = await Promise.all([
+        api.purchasing.getReorderSuggestions() as unknown as ApiResponse<{ suggestions: ReorderSuggestion[] }>,
+        api.purchasing.getPurchaseOrders({ status: statusFilter || undefined, limit: 50 }) as unknown as ApiResponse<{ purchaseOrders: PurchaseOrder[] }>,
+        api.purchasing.getSuppliers() as unknown as ApiResponse<{ suppliers: Supplier[] }>,
+      ]);
+      setSuggestions(suggestionResponse.data?.suggestions || []);
+      setPurchaseOrders(orderResponse.data?.purchaseOrders || []);
+      setSuppliers(supplierResponse.data?.suppliers || []);
+    } catch (error) {
+      console.error('Error fetching purchasing data:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch purchasing data'));
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  /**
+   * Run a purchasing action, toast its message and reload
+   */
+  const run = async (action: () => Promise<unknown>, failure: string) => {
+    try {
+      const response = await action() as ApiResponse;
+      if (response.message) toast.success(response.message);
+      await fetchAll();
+      return true;
+    } catch (error) {
+      console.error(failure, error);
+      toast.error(getApiErrorMessage(error, failure));
+      return false;
+    }
+  };
+
+  const handleReceive = async (purchaseOrder: PurchaseOrder) => {
+    const items = purchaseOrder.items
+      .map(line => ({ line: line._id, quantity: Number(received[line._id]) }))
+      .filter(item => item.quantity > 0);
+
+    if (items.length === 0) {
+      toast.error('Enter the quantities delivered');
+      return;
+    }
+
+    const ok = await run(
+      () => api.purchasing.receivePurchaseOrder(purchaseOrder._id, { items, reference: reference.trim() }),
+      'Failed to receive delivery'
+    );
+    if (ok) {
+      setReceived({});
+      setReference('');
+    }
+  };
+
+  const handleCancel = (purchaseOrder: PurchaseOrder) => {
+    const reason = prompt(`Cancel ${purchaseOrder.poNumber}? Reason (optional)`);
+    if (reason === null) return;
+    run(() => api.purchasing.cancelPurchaseOrder(purchaseOrder._id, reason), 'Failed to cancel purchase order');
+  };
+
+  const handleCreateSupplier = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!supplierForm.name.trim()) {
+      toast.error('Enter the supplier name');
+      return;
+    }
+
+    const ok = await run(() => api.purchasing.createSupplier({
+      ...supplierForm,
+      name: supplierForm.name.trim(),
+      leadTimeDays: Number(supplierForm.leadTimeDays) || 0,
+    }), 'Failed to create supplier');
+    if (ok) {
+      setSupplierForm(EMPTY_SUPPLIER);
+      setShowSupplierForm(false);
+    }
+  };
+
+  const toggleSupplies = (kind: 'fabric' | 'accessory') => {
+    const supplies = supplierForm.supplies.includes(kind)
+      ? supplierForm.supplies.filter(entry => entry !== kind)
+      : [...supplierForm.supplies, kind];
+    setSupplierForm({ ...supplierForm, supplies });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Purchasing</h1>
+          <p className="text-gray-600 mt-1">Reorder fabric and accessories and receive deliveries into stock</p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={fetchAll}
+          className="flex items-center gap-2"
+          disabled={loading}
+          ariaLabel="Refresh purchasing"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Reorder Suggestions */}
+      <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+        <h2 className="font-semibold text-gray-900 mb-3">Reorder Suggestions</h2>
+        {suggestions.length === 0 ? (
+          <p className="text-sm text-gray-600">Everything is above its reorder point or already on order.</p>
+        ) : (
+          <div className="space-y-4">
+            {suggestions.map(group => (
+              <div key={group.supplier?._id || 'none'}>
+                <div className="flex items-center justify-between mb-2">
+                  <p className="font-medium text-gray-900">
+                    {group.supplier ? group.supplier.name : 'No supplier set'}
+                  </p>
+                  {group.supplier && (
+                    <Button
+                      size="sm"
+                      onClick={() => run(() => api.purchasing.draftFromSuggestions(group.supplier!._id), 'Failed to draft purchase order')}
+                      ariaLabel="Draft purchase order"
+                    >
+                      Draft Purchase Order
+                    </Button>
+                  )}
+                </div>
+                <table className="min-w-full text-sm">
+                  <tbody className="divide-y divide-gray-100">
+                    {group.items.map(item => (
+                      <tr key={item.fabric || item.accessory}>
+                        <td className="py-2">
+                          {item.name}
+                          <span className="text-xs text-gray-500"> · {item.itemType}</span>
+                        </td>
+                        <td className="py-2 text-right text-gray-600">{item.onHand} {item.unit} on hand</td>
+                        <td className="py-2 text-right text-gray-600">{item.onOrder > 0 ? `${item.onOrder} on order` : ''}</td>
+                        <td className="py-2 text-right font-semibold">Order {item.suggestedQuantity} {item.unit}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Purchase Orders */}
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-xl font-semibold text-gray-900">Purchase Orders</h2>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+          aria-label="Purchase order status"
+        >
+          <option value="draft,ordered,partially-received">Open</option>
+          <option value="received">Received</option>
+          <option value="cancelled">Cancelled</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="h-48 bg-white rounded-lg animate-pulse mb-6" />
+      ) : purchaseOrders.length === 0 ? (
+        <div className="text-center py-12 bg-white border border-gray-200 rounded-lg mb-6">
+          <Truck className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No purchase orders found</p>
+        </div>
+      ) : (
+        <div className="space-y-3 mb-6">
+          {purchaseOrders.map(purchaseOrder => {
+            const receivable = ['ordered', 'partially-received'].includes(purchaseOrder.status);
+            const isOpen = expanded === purchaseOrder._id;
+
+            return (
+              <div key={purchaseOrder._id} className="bg-white border border-gray-200 rounded-lg">
+                <button
+                  type="button"
+                  onClick={() => setExpanded(isOpen ? null : purchaseOrder._id)}
+                  className="w-full flex items-center justify-between p-4 text-left"
+                >
+                  <div>
+                    <p className="font-semibold text-gray-900">
+                      {purchaseOrder.poNumber} · {purchaseOrder.supplierName}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {purchaseOrder.items.length} item(s) · PKR {purchaseOrder.total.toLocaleString()}
+                      {purchaseOrder.expectedDate && ` · expected ${formatDate(purchaseOrder.expectedDate, 'short')}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {purchaseOrder.isOverdue && <Badge variant="danger">Overdue</Badge>}
+                    <Badge variant={STATUS_BADGES[purchaseOrder.status].variant}>
+                      {STATUS_BADGES[purchaseOrder.status].label}
+                    </Badge>
+                  </div>
+                </button>
+
+                {isOpen && (
+                  <div className="border-t border-gray-100 p-4">
+                    <table className="min-w-full text-sm mb-4">
+                      <thead>
+                        <tr className="text-gray-600">
+                          <th className="py-2 text-left font-medium">Item</th>
+                          <th className="py-2 text-right font-medium">Ordered</th>
+                          <th className="py-2 text-right font-medium">Received</th>
+                          <th className="py-2 text-right font-medium">Unit cost</th>
+                          {receivable && <th className="py-2 text-right font-medium">Delivered now</th>}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {purchaseOrder.items.map(line => (
+                          <tr key={line._id}>
+                            <td className="py-2">{line.name}</td>
+                            <td className="py-2 text-right">{line.quantityOrdered} {line.unit}</td>
+                            <td className="py-2 text-right">{line.quantityReceived}</td>
+                            <td className="py-2 text-right">PKR {line.unitCost.toLocaleString()}</td>
+                            {receivable && (
+                              <td className="py-2 text-right">
+                                <input
+                                  type="number"
+                                  value={received[line._id] ?? ''}
+                                  onChange={(e) => setReceived({ ...received, [line._id]: e.target.value })}
+                                  placeholder={String(outstanding(line))}
+                                  min={0}
+                                  step="any"
+                                  disabled={outstanding(line) === 0}
+                                  className="w-24 px-2 py-1 border border-gray-300 rounded text-right"
+                                  aria-label={`Delivered quantity of ${line.name}`}
+                                />
+                              </td>
+                            )}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+
+                    {purchaseOrder.receipts.length > 0 && (
+                      <p className="text-xs text-gray-500 mb-3">
+                        Deliveries: {purchaseOrder.receipts
+                          .map(receipt => [formatDate(receipt.receivedAt, 'short'), receipt.reference].filter(Boolean).join(' '))
+                          .join(', ')}
+                      </p>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2">
+                      {purchaseOrder.status === 'draft' && (
+                        <Button
+                          size="sm"
+                          onClick={() => run(() => api.purchasing.placePurchaseOrder(purchaseOrder._id), 'Failed to place purchase order')}
+                          ariaLabel="Mark as ordered"
+                        >
+                          Mark as Ordered
+                        </Button>
+                      )}
+                      {receivable && (
+                        <>
+                          <input
+                            type="text"
+                            value={reference}
+                            onChange={(e) => setReference(e.target.value)}
+                            placeholder="Delivery note / invoice no."
+                            maxLength={100}
+                            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+                          />
+                          <Button size="sm" onClick={() => handleReceive(purchaseOrder)} ariaLabel="Receive delivery">
+                            Receive Delivery
+                          </Button>
+                        </>
+                      )}
+                      {!['received', 'cancelled'].includes(purchaseOrder.status) && (
+                        <Button variant="ghost" size="sm" onClick={() => handleCancel(purchaseOrder)} ariaLabel="Cancel purchase order">
+                          Cancel
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Suppliers */}
+      <div className="bg-white border border-gray-200 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-semibold text-gray-900">Suppliers</h2>
+          <Button variant="outline" size="sm" onClick={() => setShowSupplierForm(!showSupplierForm)} className="flex items-center gap-2" ariaLabel="Add supplier">
+            <Plus className="w-4 h-4" />
+            Add Supplier
+          </Button>
+        </div>
+
+        {showSupplierForm && (
+          <form onSubmit={handleCreateSupplier} className="grid grid-cols-1 md:grid-cols-6 gap-3 mb-4">
+            <input
+              type="text"
+              value={supplierForm.name}
+              onChange={(e) => setSupplierForm({ ...supplierForm, name: e.target.value })}
+              placeholder="Business name"
+              maxLength={100}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="text"
+              value={supplierForm.contactName}
+              onChange={(e) => setSupplierForm({ ...supplierForm, contactName: e.target.value })}
+              placeholder="Contact person"
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="tel"
+              value={supplierForm.phone}
+              onChange={(e) => setSupplierForm({ ...supplierForm, phone: e.target.value })}
+              placeholder="Phone"
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="text"
+              value={supplierForm.city}
+              onChange={(e) => setSupplierForm({ ...supplierForm, city: e.target.value })}
+              placeholder="City"
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="number"
+              value={supplierForm.leadTimeDays}
+              onChange={(e) => setSupplierForm({ ...supplierForm, leadTimeDays: e.target.value })}
+              placeholder="Lead time (days)"
+              min={0}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <div className="flex items-center gap-3 text-sm text-gray-700">
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={supplierForm.supplies.includes('fabric')} onChange={() => toggleSupplies('fabric')} />
+                Fabric
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={supplierForm.supplies.includes('accessory')} onChange={() => toggleSupplies('accessory')} />
+                Accessories
+              </label>
+            </div>
+            <Button type="submit" ariaLabel="Save supplier">Save</Button>
+          </form>
+        )}
+
+        {suppliers.length === 0 ? (
+          <p className="text-sm text-gray-600">No suppliers yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {suppliers.map(supplier => (
+              <li key={supplier._id} className={`flex items-center justify-between py-2 ${supplier.isActive ? '' : 'text-gray-400'}`}>
+                <span>
+                  <span className="font-medium">{supplier.name}</span>
+                  {' '}· {[supplier.contactName, supplier.phone, supplier.city].filter(Boolean).join(' · ')}
+                  {' '}· {supplier.leadTimeDays} day lead time
+                  {!supplier.isActive && ' (inactive)'}
+                </span>
+                {supplier.isActive && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => confirm(`Remove ${supplier.name}?`) && run(() => api.purchasing.deleteSupplier(supplier._id), 'Failed to remove supplier')}
+                    ariaLabel="Remove supplier"
+                  >
+                    Remove
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
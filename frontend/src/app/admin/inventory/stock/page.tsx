@@ -0,0 +1,411 @@
+/**
+ * Admin Stock History Page
+ * Stock movement ledger, a product's on hand / reserved / available stock
+ * with the orders holding it, and manual stock adjustments
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { RefreshCw, History } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatDate } from '@/lib/utils';
+import type { ApiResponse } from '@/types/api';
+import type {
+  StockMovement,
+  StockMovementType,
+  StockAdjustment,
+  ProductStock,
+} from '@/types/product-management';
+
+const TYPE_LABELS: Record<StockMovementType, string> = {
+  sale: 'Sale',
+  return: 'Return',
+  cancellation: 'Cancellation',
+  adjustment: 'Adjustment',
+  purchase: 'Purchase',
+  production: 'Production',
+};
+
+const EMPTY_ADJUSTMENT = {
+  variant: '',
+  mode: 'change' as 'change' | 'count',
+  quantity: '',
+  type: 'adjustment' as NonNullable<StockAdjustment['type']>,
+  reference: '',
+  note: '',
+};
+
+export default function AdminStockHistoryPage() {
+  const searchParams = useSearchParams();
+  const [movements, setMovements] = useState<StockMovement[]>([]);
+  const [stock, setStock] = useState<ProductStock | null>(null);
+  const [loading, setLoading] = useState(true);
+  // Opened from the accessories page to show one accessory's history
+  const accessoryId = searchParams?.get('accessory') || '';
+  const [filters, setFilters] = useState({
+    product: searchParams?.get('product') || '',
+    type: '',
+    from: '',
+    to: '',
+  });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+  const [adjusting, setAdjusting] = useState(false);
+
+  const productId = /^[0-9a-fA-F]{24}$/.test(filters.product) ? filters.product : '';
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params: Record<string, string | number> = { page, limit: 50 };
+      if (productId) params.product = productId;
+      else if (accessoryId) params.accessory = accessoryId;
+      if (filters.type) params.type = filters.type;
+      if (filters.from) params.from = filters.from;
+      if (filters.to) params.to = filters.to;
+
+      const [history, productStock] = await Promise.all([
+        api.inventory.getMovements(params) as unknown as ApiResponse<{ movements: StockMovement[]; pagination: { pages: number } }>,
+        productId ? api.inventory.getProductStock(productId) as unknown as ApiResponse<ProductStock> : Promise.resolve(null),
+      ]);
+      setMovements(history.data?.movements || []);
+      setTotalPages(history.data?.pagination?.pages || 1);
+      setStock(productStock?.data || null);
+    } catch (error) {
+      console.error('Error fetching stock history:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch stock history'));
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, accessoryId, filters.type, filters.from, filters.to, page]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const updateFilter = (key: keyof typeof filters, value: string) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleAdjust = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const quantity = parseInt(adjustment.quantity, 10);
+    const hasVariants = (stock?.variants.length || 0) > 0;
+    if (!productId || Number.isNaN(quantity) || (adjustment.mode === 'change' && quantity === 0)) {
+      toast.error('Choose a product and enter a quantity');
+      return;
+    }
+    if (hasVariants && !adjustment.variant) {
+      toast.error('Choose the colour and size to adjust');
+      return;
+    }
+    if (adjustment.note.trim().length < 3) {
+      toast.error('Please note why the stock changed');
+      return;
+    }
+
+    setAdjusting(true);
+    try {
+      const data: StockAdjustment = {
+        product: productId,
+        variant: adjustment.variant || null,
+        type: adjustment.type,
+        reference: adjustment.reference.trim(),
+        note: adjustment.note.trim(),
+        ...(adjustment.mode === 'count' ? { setTo: quantity } : { quantity }),
+      };
+      const response = await api.inventory.adjust(data) as unknown as ApiResponse;
+      toast.success(response.message || 'Stock adjusted');
+      setAdjustment(EMPTY_ADJUSTMENT);
+      await fetchHistory();
+    } catch (error) {
+      console.error('Error adjusting stock:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to adjust stock'));
+    } finally {
+      setAdjusting(false);
+    }
+  };
+
+  const handleRelease = async (reservationId: string) => {
+    if (!confirm('Release this stock back to sale? The order will no longer hold it.')) return;
+
+    try {
+      const response = await api.inventory.releaseReservation(reservationId) as unknown as ApiResponse;
+      toast.success(response.message || 'Reservation released');
+      await fetchHistory();
+    } catch (error) {
+      console.error('Error releasing reservation:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to release reservation'));
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Stock History</h1>
+            <p className="text-gray-600 mt-1">Every sale, return, adjustment and delivery that changed stock</p>
+          </div>
+          <Button
+            variant="outline"
+            onClick={fetchHistory}
+            className="flex items-center gap-2"
+            disabled={loading}
+            ariaLabel="Refresh stock history"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            value={filters.product}
+            onChange={(e) => updateFilter('product', e.target.value.trim())}
+            placeholder="Product ID"
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <select
+            value={filters.type}
+            onChange={(e) => updateFilter('type', e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="Movement type"
+          >
+            <option value="">All movements</option>
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="To date"
+          />
+        </div>
+      </div>
+
+      {/* Product Stock */}
+      {stock && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+          <div className="flex items-baseline justify-between mb-3">
+            <h2 className="font-semibold text-gray-900">{stock.product.title}</h2>
+            {stock.product.sku && <span className="text-xs text-gray-500">SKU: {stock.product.sku}</span>}
+          </div>
+          <div className="grid grid-cols-3 gap-4 mb-4">
+            <div>
+              <p className="text-sm text-gray-600">On hand</p>
+              <p className="text-2xl font-bold text-gray-900">{stock.product.stockQuantity}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Reserved by unpaid orders</p>
+              <p className="text-2xl font-bold text-yellow-700">{stock.product.reservedQuantity}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Available to sell</p>
+              <p className="text-2xl font-bold text-green-700">{stock.product.availableQuantity}</p>
+            </div>
+          </div>
+
+          {stock.variants.length > 0 && (
+            <table className="min-w-full text-sm mb-4">
+              <thead>
+                <tr className="text-gray-600">
+                  <th className="py-2 text-left font-medium">Colour / Size</th>
+                  <th className="py-2 text-left font-medium">SKU</th>
+                  <th className="py-2 text-right font-medium">On hand</th>
+                  <th className="py-2 text-right font-medium">Reserved</th>
+                  <th className="py-2 text-right font-medium">Available</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {stock.variants.map(variant => (
+                  <tr key={variant._id} className={variant.isActive ? '' : 'text-gray-400'}>
+                    <td className="py-2">{variant.label}{!variant.isActive && ' (hidden)'}</td>
+                    <td className="py-2">{variant.sku}</td>
+                    <td className="py-2 text-right">{variant.stockQuantity}</td>
+                    <td className="py-2 text-right">{variant.reservedQuantity}</td>
+                    <td className="py-2 text-right font-medium">{variant.availableQuantity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {stock.reservations.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">Held for orders</h3>
+              <ul className="divide-y divide-gray-100 text-sm">
+                {stock.reservations.map(reservation => (
+                  <li key={reservation._id} className="flex items-center justify-between py-2">
+                    <span>
+                      <span className="font-medium text-gray-900">{reservation.orderNumber}</span>
+                      <span className="text-gray-600">
+                        {' '}· {reservation.items.reduce((sum, item) => sum + item.quantity, 0)} held until {formatDate(reservation.expiresAt, 'short')}
+                      </span>
+                    </span>
+                    <Button variant="ghost" size="sm" onClick={() => handleRelease(reservation._id)} ariaLabel="Release reservation">
+                      Release
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Manual Adjustment */}
+      <form onSubmit={handleAdjust} className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+        <h2 className="font-semibold text-gray-900 mb-3">Adjust Stock</h2>
+        {!stock ? (
+          <p className="text-sm text-gray-600">Enter a product ID above to adjust its stock.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-6 gap-3">
+            {stock.variants.length > 0 && (
+              <select
+                value={adjustment.variant}
+                onChange={(e) => setAdjustment({ ...adjustment, variant: e.target.value })}
+                className="px-4 py-2 border border-gray-300 rounded-lg"
+                aria-label="Colour and size"
+              >
+                <option value="">Colour / size...</option>
+                {stock.variants.map(variant => (
+                  <option key={variant._id} value={variant._id}>{variant.label}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={adjustment.type}
+              onChange={(e) => setAdjustment({ ...adjustment, type: e.target.value as typeof adjustment.type })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Reason type"
+            >
+              <option value="adjustment">Adjustment</option>
+              <option value="purchase">Purchase received</option>
+            </select>
+            <select
+              value={adjustment.mode}
+              onChange={(e) => setAdjustment({ ...adjustment, mode: e.target.value as typeof adjustment.mode })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Adjustment mode"
+            >
+              <option value="change">Add / remove</option>
+              <option value="count">Set counted stock</option>
+            </select>
+            <input
+              type="number"
+              value={adjustment.quantity}
+              onChange={(e) => setAdjustment({ ...adjustment, quantity: e.target.value })}
+              placeholder={adjustment.mode === 'count' ? 'Counted' : 'e.g. 5 or -2'}
+              min={adjustment.mode === 'count' ? 0 : undefined}
+              step="1"
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="text"
+              value={adjustment.note}
+              onChange={(e) => setAdjustment({ ...adjustment, note: e.target.value })}
+              placeholder="Reason"
+              maxLength={500}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <Button type="submit" disabled={adjusting} ariaLabel="Apply stock adjustment">
+              {adjusting ? 'Saving...' : 'Apply'}
+            </Button>
+          </div>
+        )}
+      </form>
+
+      {/* Movements */}
+      {loading ? (
+        <div className="h-64 bg-white rounded-lg animate-pulse" />
+      ) : movements.length === 0 ? (
+        <div className="text-center py-16 bg-white border border-gray-200 rounded-lg">
+          <History className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No stock movements found</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Date</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Item</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Type</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Details</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Change</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {movements.map(movement => (
+                <tr key={movement._id}>
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-600">{formatDate(movement.createdAt, 'short')}</td>
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-gray-900">{movement.itemName}</p>
+                    <p className="text-xs text-gray-500">
+                      {[movement.variantLabel, movement.sku].filter(Boolean).join(' · ')}
+                    </p>
+                  </td>
+                  <td className="px-4 py-3">
+                    <Badge variant={movement.quantity > 0 ? 'success' : 'default'}>
+                      {TYPE_LABELS[movement.type] || movement.type}
+                    </Badge>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">
+                    {movement.orderNumber && <p className="font-medium text-gray-900">{movement.orderNumber}</p>}
+                    {movement.reference && <p>{movement.reference}</p>}
+                    {movement.note && <p>{movement.note}</p>}
+                    {typeof movement.createdBy === 'object' && movement.createdBy?.fullName && (
+                      <p className="text-xs text-gray-500">By {movement.createdBy.fullName}</p>
+                    )}
+                  </td>
+                  <td className={`px-4 py-3 text-right font-semibold whitespace-nowrap ${movement.quantity > 0 ? 'text-green-700' : 'text-gray-900'}`}>
+                    {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+                    {movement.unit !== 'pieces' && ` ${movement.unit}`}
+                  </td>
+                  <td className="px-4 py-3 text-right text-gray-600 whitespace-nowrap">{movement.balanceAfter}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-6">
+          <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1} ariaLabel="Previous page">
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages} ariaLabel="Next page">
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
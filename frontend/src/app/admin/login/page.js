@@ -14,6 +14,15 @@ export default function AdminLoginPage() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [checkingAuth, setCheckingAuth] = useState(true);
+  // Two-factor step after the password: 'verify', 'setup' or 'backup-codes'
+  const [twoFactorStep, setTwoFactorStep] = useState(null);
+  const [challengeToken, setChallengeToken] = useState('');
+  const [setupData, setSetupData] = useState(null);
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [rememberDevice, setRememberDevice] = useState(false);
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [signedInUser, setSignedInUser] = useState(null);
   const hasRedirected = useCallback(() => {
     if (typeof window !== 'undefined') {
       window.location.href = '/admin/dashboard';
@@ -71,6 +80,20 @@ export default function AdminLoginPage() {
       const { success, message, data } = response;
       
       console.log('📦 Extracted:', { success, hasMessage: !!message, hasData: !!data });
+
+      // Password was right; finish with the authenticator app
+      if (success && (data?.requiresTwoFactor || data?.requiresTwoFactorSetup)) {
+        setChallengeToken(data.challengeToken);
+        setCode('');
+        if (data.requiresTwoFactorSetup) {
+          const setup = await api.auth.twoFactor.setup(data.challengeToken);
+          setSetupData(setup.data);
+          setTwoFactorStep('setup');
+        } else {
+          setTwoFactorStep('verify');
+        }
+        return;
+      }
       
       if (success && data) {
         const { user, tokens } = data;
@@ -119,6 +142,96 @@ export default function AdminLoginPage() {
     }
   };
 
+  const goToDashboard = (user) => {
+    toast.success(`Welcome back, ${user.fullName || user.email}!`);
+    setTimeout(() => {
+      window.location.href = '/admin/dashboard';
+    }, 500);
+  };
+
+  const handleTwoFactorError = (err) => {
+    const errorMessage = err.response?.data?.message || err.message || 'Invalid authentication code.';
+    // Expired challenge or locked account: back to the password
+    if (err.response?.status === 401 && errorMessage.includes('expired')) {
+      setTwoFactorStep(null);
+      setChallengeToken('');
+    }
+    setError(errorMessage);
+    toast.error(errorMessage);
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.auth.twoFactor.verify(challengeToken, {
+        ...(useBackupCode ? { backupCode: code } : { code }),
+        rememberDevice
+      });
+      if (response.data?.backupCodesRemaining !== undefined) {
+        toast(`${response.data.backupCodesRemaining} backup codes left`);
+      }
+      goToDashboard(response.data.user);
+    } catch (err) {
+      handleTwoFactorError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.auth.twoFactor.enable(challengeToken, code, rememberDevice);
+      setBackupCodes(response.data.backupCodes);
+      setCredentials((prev) => ({ ...prev, password: '' }));
+      setSignedInUser(response.data.user);
+      setTwoFactorStep('backup-codes');
+    } catch (err) {
+      handleTwoFactorError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCopyBackupCodes = () => {
+    navigator.clipboard.writeText(backupCodes.join('\n'));
+    toast.success('Backup codes copied');
+  };
+
+  const codeInput = (
+    <Input
+      type="text"
+      label={useBackupCode ? 'Backup Code' : 'Authentication Code'}
+      placeholder={useBackupCode ? 'xxxxx-xxxxx' : '123456'}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputMode={useBackupCode ? 'text' : 'numeric'}
+      autoComplete="one-time-code"
+      maxLength={useBackupCode ? 11 : 6}
+      required
+      disabled={isLoading}
+      autoFocus
+    />
+  );
+
+  const rememberDeviceCheckbox = (
+    <label className="flex items-center gap-2 text-sm text-gray-600">
+      <input
+        type="checkbox"
+        checked={rememberDevice}
+        onChange={(e) => setRememberDevice(e.target.checked)}
+        className="rounded border-gray-300 text-rose-600 focus:ring-rose-500"
+      />
+      Remember this device for 30 days
+    </label>
+  );
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
       <div className="max-w-md w-full bg-white rounded-2xl shadow-2xl p-8 m-4">
@@ -145,47 +258,132 @@ export default function AdminLoginPage() {
           </div>
         )}
 
+        {/* Two-factor: code from the authenticator app */}
+        {twoFactorStep === 'verify' && (
+          <form onSubmit={handleVerify} className="space-y-6">
+            <p className="text-sm text-gray-600">
+              {useBackupCode
+                ? 'Enter one of the backup codes you saved when you set up two-factor authentication.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+            {codeInput}
+            {rememberDeviceCheckbox}
+            <Button
+              type="submit"
+              className="w-full bg-rose-600 hover:bg-rose-700 text-white py-3 text-lg font-semibold"
+              disabled={isLoading}
+            >
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </Button>
+            <button
+              type="button"
+              onClick={() => {
+                setUseBackupCode(!useBackupCode);
+                setCode('');
+              }}
+              className="w-full text-sm text-rose-600 hover:text-rose-700"
+            >
+              {useBackupCode ? 'Use authenticator app instead' : 'Lost your device? Use a backup code'}
+            </button>
+          </form>
+        )}
+
+        {/* Two-factor: first-time setup */}
+        {twoFactorStep === 'setup' && setupData && (
+          <form onSubmit={handleEnable} className="space-y-6">
+            <p className="text-sm text-gray-600">
+              Admin accounts need two-factor authentication. Scan this QR code with Google Authenticator,
+              Authy or 1Password, then enter the code it shows.
+            </p>
+            <img src={setupData.qrCode} alt="Two-factor QR code" className="mx-auto w-48 h-48" />
+            <p className="text-xs text-gray-500 text-center break-all">
+              Can&apos;t scan it? Enter this key: <code className="font-mono">{setupData.secret}</code>
+            </p>
+            {codeInput}
+            {rememberDeviceCheckbox}
+            <Button
+              type="submit"
+              className="w-full bg-rose-600 hover:bg-rose-700 text-white py-3 text-lg font-semibold"
+              disabled={isLoading}
+            >
+              {isLoading ? 'Verifying...' : 'Turn On & Sign In'}
+            </Button>
+          </form>
+        )}
+
+        {/* Two-factor: backup codes, shown once */}
+        {twoFactorStep === 'backup-codes' && (
+          <div className="space-y-6">
+            <p className="text-sm text-gray-600">
+              Save these backup codes somewhere safe. Each one signs you in once if you lose your device.
+              They won&apos;t be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-lg p-4">
+              {backupCodes.map((backupCode) => (
+                <code key={backupCode} className="font-mono text-sm text-gray-900 text-center">{backupCode}</code>
+              ))}
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              className="w-full"
+              onClick={handleCopyBackupCodes}
+            >
+              Copy Codes
+            </Button>
+            <Button
+              type="button"
+              className="w-full bg-rose-600 hover:bg-rose-700 text-white py-3 text-lg font-semibold"
+              onClick={() => goToDashboard(signedInUser)}
+            >
+              I&apos;ve Saved Them, Continue
+            </Button>
+          </div>
+        )}
+
         {/* Login Form */}
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <Input
-            type="email"
-            label="Admin Email"
-            placeholder="admin@laraibcreative.studio"
-            value={credentials.email}
-            onChange={(e) => setCredentials({...credentials, email: e.target.value})}
-            required
-            disabled={isLoading}
-            autoComplete="email"
-          />
-          <Input
-            type="password"
-            label="Password"
-            placeholder="Enter your password"
-            value={credentials.password}
-            onChange={(e) => setCredentials({...credentials, password: e.target.value})}
-            required
-            disabled={isLoading}
-            autoComplete="current-password"
-          />
+        {!twoFactorStep && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <Input
+              type="email"
+              label="Admin Email"
+              placeholder="admin@laraibcreative.studio"
+              value={credentials.email}
+              onChange={(e) => setCredentials({...credentials, email: e.target.value})}
+              required
+              disabled={isLoading}
+              autoComplete="email"
+            />
+            <Input
+              type="password"
+              label="Password"
+              placeholder="Enter your password"
+              value={credentials.password}
+              onChange={(e) => setCredentials({...credentials, password: e.target.value})}
+              required
+              disabled={isLoading}
+              autoComplete="current-password"
+            />
           
-          <Button 
-            type="submit" 
-            className="w-full bg-rose-600 hover:bg-rose-700 text-white py-3 text-lg font-semibold"
-            disabled={isLoading}
-          >
-            {isLoading ? (
-              <span className="flex items-center justify-center">
-                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Signing in...
-              </span>
-            ) : (
-              'Sign In'
-            )}
-          </Button>
-        </form>
+            <Button 
+              type="submit" 
+              className="w-full bg-rose-600 hover:bg-rose-700 text-white py-3 text-lg font-semibold"
+              disabled={isLoading}
+            >
+              {isLoading ? (
+                <span className="flex items-center justify-center">
+                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Signing in...
+                </span>
+              ) : (
+                'Sign In'
+              )}
+            </Button>
+          </form>
+        )}
 
         {/* Footer */}
         <div className="mt-6 text-center">
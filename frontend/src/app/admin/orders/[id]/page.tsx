@@ -20,12 +20,15 @@ import { Textarea } from '@/components/ui/Textarea';
 import Input from '@/components/ui/Input';
 import OrderDetailView from '@/components/admin/orders/OrderDetailView';
 import PaymentVerification from '@/components/admin/orders/PaymentVerification';
+import PaymentLedger from '@/components/admin/orders/PaymentLedger';
 import StatusUpdateModal from '@/components/admin/orders/StatusUpdateModal';
 import OrderTimeline from '@/components/admin/orders/OrderTimeline';
 import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
 import toast from 'react-hot-toast';
 import { formatCurrency, formatDate } from '@/lib/utils';
-import type { Order, OrderStatus, StatusUpdateRequest, PaymentVerificationRequest, CancelOrderRequest, AdminNoteRequest, TrackingUpdate, ShippingAddressUpdate } from '@/types/order-management';
+import type { ApiResponse } from '@/types/api';
+import type { Order, OrderStatus, StatusUpdateRequest, PaymentVerificationRequest, CancelOrderRequest, AdminNoteRequest, TrackingUpdate, ShippingAddressUpdate, RefundDestination, CourierOption, ShipmentBookingRequest } from '@/types/order-management';
 
 const router = useRouter();
 
@@ -60,11 +63,14 @@ export default function AdminOrderDetailPage({
   const [adminNotes, setAdminNotes] = useState('');
   const [cancelReason, setCancelReason] = useState('');
   const [refundAmount, setRefundAmount] = useState('');
+  const [refundTo, setRefundTo] = useState<RefundDestination>('original');
   const [trackingInfo, setTrackingInfo] = useState<TrackingUpdate>({
     courierService: '',
     trackingNumber: '',
     trackingUrl: '',
   });
+  const [couriers, setCouriers] = useState<CourierOption[]>([]);
+  const [booking, setBooking] = useState<ShipmentBookingRequest>({ courier: '', weight: 0.5, pieces: 1 });
   const [shippingAddress, setShippingAddress] = useState<ShippingAddressUpdate>({
     addressLine1: '',
     addressLine2: '',
@@ -97,6 +103,18 @@ export default function AdminOrderDetailPage({
     }
   }, [orderId, fetchOrderDetails]);
 
+  // Couriers available for booking
+  useEffect(() => {
+    api.orders.admin.getCouriers()
+      .then((response) => {
+        const { data } = response as unknown as ApiResponse<{ couriers: CourierOption[] }>;
+        const available = data?.couriers || [];
+        setCouriers(available);
+        if (available.length) setBooking(prev => ({ ...prev, courier: prev.courier || available[0].name }));
+      })
+      .catch((error: unknown) => console.error('Error fetching couriers:', error));
+  }, []);
+
   // Load shipping address when order loads
   useEffect(() => {
     if (order?.shippingAddress) {
@@ -191,6 +209,57 @@ export default function AdminOrderDetailPage({
     }
   };
 
+  // Book a courier shipment
+  const handleBookShipment = async () => {
+    if (!booking.courier) {
+      toast.error('Please select a courier');
+      return;
+    }
+
+    setUpdating(true);
+    try {
+      const response = await api.orders.admin.bookShipment(orderId, booking) as unknown as ApiResponse<{ tracking: { trackingNumber: string } }>;
+      toast.success(`Shipment booked: ${response.data?.tracking.trackingNumber}`);
+      await fetchOrderDetails();
+    } catch (error) {
+      console.error('Error booking shipment:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to book shipment'));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  // Download airway bill
+  const handleDownloadLabel = async () => {
+    try {
+      const blob = await api.orders.admin.downloadLabel(orderId) as Blob;
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `label-${order?.orderNumber || orderId}.pdf`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading label:', error);
+      toast.error('Failed to download label');
+    }
+  };
+
+  // Pull courier tracking now
+  const handleSyncShipment = async () => {
+    setUpdating(true);
+    try {
+      const response = await api.orders.admin.syncShipment(orderId) as unknown as ApiResponse;
+      toast.success(response.message || 'Tracking updated');
+      await fetchOrderDetails();
+    } catch (error) {
+      console.error('Error syncing tracking:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to sync tracking'));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
   // Update shipping address
   const handleUpdateShippingAddress = async () => {
     if (!shippingAddress.addressLine1 || !shippingAddress.city || !shippingAddress.province) {
@@ -224,6 +293,7 @@ export default function AdminOrderDetailPage({
       const data: CancelOrderRequest = {
         reason: cancelReason.trim(),
         refundAmount: refundAmount ? parseFloat(refundAmount) : undefined,
+        refundTo,
         notifyCustomer: true,
       };
       await api.orders.admin.cancel(orderId, data);
@@ -232,6 +302,7 @@ export default function AdminOrderDetailPage({
       setShowCancelModal(false);
       setCancelReason('');
       setRefundAmount('');
+      setRefundTo('original');
     } catch (error: any) {
       console.error('Error cancelling order:', error);
       toast.error(error.response?.data?.message || 'Failed to cancel order');
@@ -251,14 +322,17 @@ export default function AdminOrderDetailPage({
       return;
     }
 
+    const toWallet = confirm('Refund as store credit to the customer wallet?\n\nOK = store credit, Cancel = original payment method');
+
     setUpdating(true);
     try {
       await api.orders.admin.processRefund(orderId, {
         reason: reason.trim(),
         amount: parseFloat(amount),
+        refundTo: toWallet ? 'wallet' : 'original',
         notifyCustomer: true,
       });
-      toast.success('Refund processed successfully');
+      toast.success(toWallet ? 'Refund added as store credit' : 'Refund processed successfully');
       await fetchOrderDetails();
     } catch (error: any) {
       console.error('Error processing refund:', error);
@@ -673,6 +747,7 @@ export default function AdminOrderDetailPage({
                           <span className="text-sm text-gray-600">Payment Status</span>
                           <Badge className={
                             order.payment.status === 'verified' ? 'bg-green-100 text-green-700' :
+                            order.payment.status === 'partial' ? 'bg-blue-100 text-blue-700' :
                             order.payment.status === 'pending' ? 'bg-orange-100 text-orange-700' :
                             'bg-red-100 text-red-700'
                           }>
@@ -696,6 +771,8 @@ export default function AdminOrderDetailPage({
                       </div>
                     </div>
 
+                    <PaymentLedger orderId={orderId} onChange={fetchOrderDetails} />
+
                     {/* Payment Receipt */}
                     {order.payment.receiptImage && (
                       <div>
@@ -897,6 +974,22 @@ export default function AdminOrderDetailPage({
                     <span className="text-gray-600">Tracking #:</span>
                     <span className="font-medium">{order.tracking.trackingNumber}</span>
                   </div>
+                  {order.tracking.courierStatus && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Courier status:</span>
+                      <Badge variant={order.tracking.courierStatus === 'delivered' ? 'success' : 'default'}>
+                        {order.tracking.courierStatus.replace(/-/g, ' ')}
+                      </Badge>
+                    </div>
+                  )}
+                  {order.tracking.courier && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Collect on delivery:</span>
+                      <span className="font-medium">
+                        {order.tracking.codAmount ? formatCurrency(order.tracking.codAmount) : 'Prepaid'}
+                      </span>
+                    </div>
+                  )}
                   {order.tracking.trackingUrl && (
                     <div className="mt-3">
                       <a
@@ -909,9 +1002,89 @@ export default function AdminOrderDetailPage({
                       </a>
                     </div>
                   )}
+                  {order.tracking.courier && (
+                    <>
+                      {order.tracking.events && order.tracking.events.length > 0 && (
+                        <ul className="mt-3 space-y-2 border-t border-gray-100 pt-3">
+                          {[...order.tracking.events].reverse().map((event, index) => (
+                            <li key={index} className="text-xs">
+                              <p className="font-medium text-gray-900">
+                                {event.description || event.status}
+                                {event.location && <span className="font-normal text-gray-500"> · {event.location}</span>}
+                              </p>
+                              <p className="text-gray-500">{formatDate(event.timestamp, 'short')}</p>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {order.tracking.syncError && (
+                        <p className="text-xs text-red-600">Last sync failed: {order.tracking.syncError}</p>
+                      )}
+                      <div className="flex gap-2 pt-2">
+                        <Button variant="outline" size="sm" className="flex-1" onClick={handleDownloadLabel} ariaLabel="Download shipping label">
+                          <Printer className="w-4 h-4 mr-1" />
+                          Label
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="flex-1"
+                          onClick={handleSyncShipment}
+                          disabled={updating || order.status !== 'dispatched'}
+                          ariaLabel="Sync courier tracking"
+                        >
+                          Sync
+                        </Button>
+                      </div>
+                    </>
+                  )}
                 </div>
               ) : (
                 <div className="space-y-3">
+                  {order.status === 'ready-dispatch' && couriers.length > 0 && (
+                    <div className="space-y-3 pb-3 border-b border-gray-100">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Book with courier</label>
+                        <select
+                          value={booking.courier}
+                          onChange={(e) => setBooking({ ...booking, courier: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          aria-label="Courier"
+                        >
+                          {couriers.map(courier => (
+                            <option key={courier.name} value={courier.name}>{courier.displayName}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <Input
+                          type="number"
+                          label="Weight (kg)"
+                          min="0.1"
+                          step="0.1"
+                          value={String(booking.weight ?? '')}
+                          onChange={(e) => setBooking({ ...booking, weight: parseFloat(e.target.value) || 0.5 })}
+                        />
+                        <Input
+                          type="number"
+                          label="Pieces"
+                          min="1"
+                          value={String(booking.pieces ?? '')}
+                          onChange={(e) => setBooking({ ...booking, pieces: parseInt(e.target.value, 10) || 1 })}
+                        />
+                      </div>
+                      <Button
+                        onClick={handleBookShipment}
+                        size="sm"
+                        className="w-full"
+                        disabled={!booking.courier || updating}
+                        ariaLabel="Book courier shipment"
+                      >
+                        {updating ? 'Booking...' : 'Book Shipment'}
+                      </Button>
+                      <p className="text-xs text-gray-500 text-center">or enter tracking from another courier</p>
+                    </div>
+                  )}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
                       Courier Service <span className="text-red-500">*</span>
@@ -1008,6 +1181,7 @@ export default function AdminOrderDetailPage({
       {showStatusModal && (
         <StatusUpdateModal
           isOpen={showStatusModal}
+          orderId={orderId}
           currentStatus={order.status}
           orderNumber={order.orderNumber}
           onClose={() => setShowStatusModal(false)}
@@ -1064,6 +1238,17 @@ export default function AdminOrderDetailPage({
                       min="0"
                       max={order.pricing.total}
                     />
+                    <label className="block text-sm font-medium text-gray-700 mt-3 mb-2">
+                      Refund To
+                    </label>
+                    <select
+                      value={refundTo}
+                      onChange={(e) => setRefundTo(e.target.value as RefundDestination)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    >
+                      <option value="original">Original payment method</option>
+                      <option value="wallet">Store credit (customer wallet)</option>
+                    </select>
                   </div>
                 )}
                 <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
@@ -0,0 +1,470 @@
+/**
+ * Admin COD Reconciliation Page
+ * Import courier COD remittance statements, settle matched orders and
+ * follow up unpaid, short-paid and returned parcels
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { Download, RefreshCw, Upload } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatCurrency, formatDate } from '@/lib/utils';
+import type { ApiResponse } from '@/types/api';
+import type {
+  CodRemittance,
+  CodRemittanceMatch,
+  CodReconciliationReport,
+} from '@/types/order-management';
+
+const COURIERS = ['TCS', 'Leopards', 'M&P', 'BlueEx', 'Trax', 'Call Courier', 'Other'];
+
+const MATCH_LABELS: Record<CodRemittanceMatch, string> = {
+  matched: 'Matched',
+  'over-paid': 'Over-paid',
+  'short-paid': 'Short-paid',
+  returned: 'Returned',
+  duplicate: 'Duplicate',
+  'not-cod': 'Not COD',
+  unmatched: 'Unmatched',
+};
+
+const MATCH_VARIANTS: Record<CodRemittanceMatch, 'success' | 'warning' | 'danger' | 'default'> = {
+  matched: 'success',
+  'over-paid': 'warning',
+  'short-paid': 'danger',
+  returned: 'warning',
+  duplicate: 'default',
+  'not-cod': 'default',
+  unmatched: 'danger',
+};
+
+// Import, fetch and apply all send back the statement; apply also lists the lines it left
+type RemittanceResponse = ApiResponse<{ remittance: CodRemittance; skipped?: { reason: string }[] }>;
+
+const EMPTY_IMPORT = { courierService: 'TCS', settlementReference: '', statementDate: '' };
+
+export default function CodReconciliationPage() {
+  const [report, setReport] = useState<CodReconciliationReport | null>(null);
+  const [remittances, setRemittances] = useState<CodRemittance[]>([]);
+  const [selected, setSelected] = useState<CodRemittance | null>(null);
+  const [courierFilter, setCourierFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [file, setFile] = useState<File | null>(null);
+  const [importForm, setImportForm] = useState(EMPTY_IMPORT);
+  const [unpaidSelection, setUnpaidSelection] = useState<string[]>([]);
+  const [bulkReference, setBulkReference] = useState('');
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = courierFilter ? { courierService: courierFilter } : {};
+      const [reportResponse, listResponse] = await Promise.all([
+        api.codRemittances.getReport(params) as unknown as ApiResponse<CodReconciliationReport>,
+        api.codRemittances.getAll(params) as unknown as ApiResponse<{ remittances: CodRemittance[] }>,
+      ]);
+      setReport(reportResponse.data || null);
+      setRemittances(listResponse.data?.remittances || []);
+      setUnpaidSelection([]);
+    } catch (error) {
+      console.error('Error fetching COD reconciliation:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch COD reconciliation'));
+    } finally {
+      setLoading(false);
+    }
+  }, [courierFilter]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const openRemittance = async (id: string) => {
+    try {
+      const response = await api.codRemittances.getById(id) as unknown as RemittanceResponse;
+      setSelected(response.data?.remittance || null);
+    } catch (error) {
+      toast.error(getApiErrorMessage(error, 'Failed to fetch statement'));
+    }
+  };
+
+  const handleImport = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!file || !importForm.settlementReference.trim()) {
+      toast.error('Choose the statement CSV and enter the settlement reference');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.codRemittances.import(file, {
+        ...importForm,
+        settlementReference: importForm.settlementReference.trim(),
+      }) as unknown as RemittanceResponse;
+      toast.success(response.message || 'Statement imported');
+      setSelected(response.data?.remittance || null);
+      setImportForm(EMPTY_IMPORT);
+      setFile(null);
+      await fetchData();
+    } catch (error) {
+      console.error('Error importing statement:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to import statement'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Settle matched lines, or just the given ones (e.g. an accepted short payment)
+  const handleApply = async (remittanceId: string, lineIds?: string[]) => {
+    setSaving(true);
+    try {
+      const response = await api.codRemittances.apply(remittanceId, lineIds) as unknown as RemittanceResponse;
+      toast.success(response.message || 'Remittance applied');
+      if (response.data?.skipped?.length) {
+        toast(`${response.data.skipped.length} lines skipped`);
+      }
+      if (selected?._id === remittanceId) {
+        setSelected(response.data?.remittance || null);
+      }
+      await fetchData();
+    } catch (error) {
+      console.error('Error applying remittance:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to apply remittance'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMarkCollected = async () => {
+    if (!unpaidSelection.length || !bulkReference.trim()) {
+      toast.error('Select orders and enter the settlement reference');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.codRemittances.markCollected(unpaidSelection, bulkReference.trim()) as unknown as ApiResponse;
+      toast.success(response.message || 'Orders marked collected');
+      setBulkReference('');
+      await fetchData();
+    } catch (error) {
+      console.error('Error marking orders collected:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to mark orders collected'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const blob = await api.codRemittances.downloadReport(courierFilter ? { courierService: courierFilter } : {}) as Blob;
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `cod-reconciliation-${new Date().toISOString().split('T')[0]}.csv`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading report:', error);
+      toast.error('Failed to download report');
+    }
+  };
+
+  const toggleUnpaid = (orderId: string) => {
+    setUnpaidSelection(prev => (
+      prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]
+    ));
+  };
+
+  const summary = report?.summary;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">COD Reconciliation</h1>
+            <p className="text-gray-600 mt-1">Match courier remittances to cash on delivery orders</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={courierFilter}
+              onChange={(e) => setCourierFilter(e.target.value)}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Courier"
+            >
+              <option value="">All couriers</option>
+              {COURIERS.map(courier => <option key={courier} value={courier}>{courier}</option>)}
+            </select>
+            <Button variant="outline" onClick={handleDownload} className="flex items-center gap-2" ariaLabel="Download report">
+              <Download className="w-4 h-4" />
+              CSV
+            </Button>
+            <Button
+              variant="outline"
+              onClick={fetchData}
+              className="flex items-center gap-2"
+              disabled={loading}
+              ariaLabel="Refresh"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          </div>
+        </div>
+
+        {/* Summary */}
+        {summary && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <p className="text-sm text-gray-600">Delivered, not remitted ({summary.unpaidCount})</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(summary.unpaidAmount)}</p>
+            </div>
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <p className="text-sm text-gray-600">Short-paid ({summary.shortPaidCount})</p>
+              <p className="text-2xl font-bold text-red-700">{formatCurrency(summary.shortPaidAmount)}</p>
+            </div>
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <p className="text-sm text-gray-600">Returned parcels ({summary.returnedCount})</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(summary.returnedAmount)}</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Import Statement */}
+      <form onSubmit={handleImport} className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+        <h2 className="font-semibold text-gray-900 mb-3">Import Remittance Statement</h2>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm"
+            aria-label="Statement CSV"
+          />
+          <select
+            value={importForm.courierService}
+            onChange={(e) => setImportForm({ ...importForm, courierService: e.target.value })}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="Statement courier"
+          >
+            {COURIERS.map(courier => <option key={courier} value={courier}>{courier}</option>)}
+          </select>
+          <input
+            type="text"
+            value={importForm.settlementReference}
+            onChange={(e) => setImportForm({ ...importForm, settlementReference: e.target.value })}
+            placeholder="Settlement reference"
+            maxLength={100}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <input
+            type="date"
+            value={importForm.statementDate}
+            onChange={(e) => setImportForm({ ...importForm, statementDate: e.target.value })}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="Statement date"
+          />
+          <Button type="submit" disabled={saving} className="flex items-center justify-center gap-2" ariaLabel="Import statement">
+            <Upload className="w-4 h-4" />
+            {saving ? 'Importing...' : 'Import'}
+          </Button>
+        </div>
+      </form>
+
+      {/* Selected Statement */}
+      {selected && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <h2 className="font-semibold text-gray-900">
+                {selected.courierService} · {selected.settlementReference}
+              </h2>
+              <p className="text-sm text-gray-600">
+                {selected.totals.matched} of {selected.totals.lines} matched · remitted {formatCurrency(selected.totals.remitted)}
+                {' '}against {formatCurrency(selected.totals.expected)} expected
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button
+                onClick={() => handleApply(selected._id)}
+                disabled={saving || selected.status === 'applied'}
+                ariaLabel="Mark matched orders collected"
+              >
+                Mark matched collected
+              </Button>
+              <Button variant="outline" onClick={() => setSelected(null)} ariaLabel="Close statement">
+                Close
+              </Button>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Tracking</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Order</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Result</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-600">Remitted</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-600">Expected</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-600"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {(selected.lines || []).map(line => (
+                  <tr key={line._id}>
+                    <td className="px-4 py-2 font-mono text-gray-900">{line.trackingNumber}</td>
+                    <td className="px-4 py-2 text-gray-600">{line.orderNumber || '—'}</td>
+                    <td className="px-4 py-2">
+                      <Badge variant={MATCH_VARIANTS[line.match]}>{MATCH_LABELS[line.match]}</Badge>
+                      {line.note && <p className="text-xs text-gray-500 mt-1">{line.note}</p>}
+                    </td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">{formatCurrency(line.amount)}</td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap text-gray-600">
+                      {line.expectedAmount != null ? formatCurrency(line.expectedAmount) : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      {line.applied ? (
+                        <span className="text-green-700">Collected</span>
+                      ) : ['over-paid', 'short-paid'].includes(line.match) ? (
+                        <Button size="sm" variant="outline" onClick={() => handleApply(selected._id, [line._id])} disabled={saving} ariaLabel="Accept remitted amount">
+                          Accept
+                        </Button>
+                      ) : null}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="h-64 bg-white rounded-lg animate-pulse" />
+      ) : (
+        <div className="space-y-6">
+          {/* Unpaid */}
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-3">
+              <h2 className="font-semibold text-gray-900">Delivered, Not Remitted</h2>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={bulkReference}
+                  onChange={(e) => setBulkReference(e.target.value)}
+                  placeholder="Settlement reference"
+                  maxLength={100}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+                />
+                <Button size="sm" onClick={handleMarkCollected} disabled={saving || !unpaidSelection.length} ariaLabel="Mark selected orders collected">
+                  Mark {unpaidSelection.length || ''} collected
+                </Button>
+              </div>
+            </div>
+            {!report?.unpaid.length ? (
+              <p className="text-sm text-gray-600">Every delivered COD order has been remitted</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  {report.unpaid.map(item => (
+                    <tr key={item.orderId}>
+                      <td className="py-2 pr-3 w-8">
+                        <input
+                          type="checkbox"
+                          checked={unpaidSelection.includes(item.orderId as string)}
+                          onChange={() => toggleUnpaid(item.orderId as string)}
+                          aria-label={`Select ${item.orderNumber}`}
+                        />
+                      </td>
+                      <td className="py-2 pr-3 font-medium text-gray-900">{item.orderNumber}</td>
+                      <td className="py-2 pr-3 text-gray-600">{item.customerName}</td>
+                      <td className="py-2 pr-3 text-gray-600">{item.courierService} {item.trackingNumber}</td>
+                      <td className="py-2 pr-3 text-gray-600">
+                        {item.deliveredAt ? `${formatDate(item.deliveredAt, 'short')} (${item.daysOutstanding} days)` : '—'}
+                      </td>
+                      <td className="py-2 text-right font-semibold">{formatCurrency(item.codAmount || 0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {/* Short-paid and returned */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <h2 className="font-semibold text-gray-900 mb-3">Short-paid</h2>
+              {!report?.shortPaid.length ? (
+                <p className="text-sm text-gray-600">No short payments</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {report.shortPaid.map(item => (
+                    <li key={item.lineId} className="py-2 flex items-center justify-between gap-3">
+                      <div>
+                        <p className="font-medium text-gray-900">{item.orderNumber} · {item.trackingNumber}</p>
+                        <p className="text-xs text-gray-500">
+                          {item.settlementReference}: {formatCurrency(item.remitted || 0)} of {formatCurrency(item.codAmount || 0)}
+                        </p>
+                      </div>
+                      <span className="font-semibold text-red-700 whitespace-nowrap">{formatCurrency(item.difference || 0)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <h2 className="font-semibold text-gray-900 mb-3">Returned Parcels</h2>
+              {!report?.returned.length ? (
+                <p className="text-sm text-gray-600">No returned parcels</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {report.returned.map(item => (
+                    <li key={item.trackingNumber} className="py-2 flex items-center justify-between gap-3">
+                      <p className="font-medium text-gray-900">{item.orderNumber || 'Unknown order'} · {item.trackingNumber}</p>
+                      <span className="text-gray-600 whitespace-nowrap">{formatCurrency(item.codAmount || 0)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {/* Statements */}
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <h2 className="font-semibold text-gray-900 mb-3">Imported Statements</h2>
+            {!remittances.length ? (
+              <p className="text-sm text-gray-600">No statements imported yet</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 text-sm">
+                {remittances.map(remittance => (
+                  <li key={remittance._id} className="py-2 flex items-center justify-between gap-3">
+                    <button type="button" onClick={() => openRemittance(remittance._id)} className="text-left">
+                      <p className="font-medium text-primary-600 hover:underline">
+                        {remittance.courierService} · {remittance.settlementReference}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(remittance.createdAt, 'short')} · {remittance.totals.matched}/{remittance.totals.lines} matched
+                      </p>
+                    </button>
+                    <div className="flex items-center gap-3">
+                      <span className="font-semibold whitespace-nowrap">{formatCurrency(remittance.totals.remitted)}</span>
+                      <Badge variant={remittance.status === 'applied' ? 'success' : 'default'}>{remittance.status}</Badge>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+/**
+ * Admin Returns & Alterations Page
+ * Review, collect and resolve customer return, exchange and alteration requests
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, RotateCcw } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import ReturnRequestCard from '@/components/admin/orders/ReturnRequestCard';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import type { ApiResponse } from '@/types/api';
+import type { ReturnRequest } from '@/types/order-management';
+
+interface ReturnRequestList {
+  returnRequests: ReturnRequest[];
+  summary: Record<string, number>;
+  pagination: { pages: number };
+}
+
+type TabType = 'open' | 'requested' | 'in-production' | 'resolved' | 'all';
+
+const OPEN_STATUSES = ['requested', 'approved', 'pickup-scheduled', 'received', 'in-production'];
+
+export default function AdminReturnsPage() {
+  const [requests, setRequests] = useState<ReturnRequest[]>([]);
+  const [summary, setSummary] = useState<Record<string, number>>({});
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState<TabType>('open');
+  const [type, setType] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params: Record<string, string | number> = { status: activeTab, page, limit: 20 };
+      if (type) params.type = type;
+      if (search) params.search = search;
+
+      const response = await api.returns.getAll(params) as unknown as ApiResponse<ReturnRequestList>;
+      setRequests(response.data?.returnRequests || []);
+      setSummary(response.data?.summary || {});
+      setTotalPages(response.data?.pagination?.pages || 1);
+    } catch (error) {
+      console.error('Error fetching return requests:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch requests'));
+    } finally {
+      setLoading(false);
+    }
+  }, [activeTab, type, search, page]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const countFor = (statuses: string[]) =>
+    statuses.reduce((total, status) => total + (summary[status] || 0), 0);
+
+  const tabs: Array<{ id: TabType; label: string; count: number; color: string }> = [
+    { id: 'open', label: 'Open', count: countFor(OPEN_STATUSES), color: 'bg-orange-500' },
+    { id: 'requested', label: 'Awaiting Review', count: countFor(['requested']), color: 'bg-yellow-500' },
+    { id: 'in-production', label: 'In Production', count: countFor(['in-production']), color: 'bg-purple-500' },
+    { id: 'resolved', label: 'Resolved', count: countFor(['resolved']), color: 'bg-green-500' },
+    { id: 'all', label: 'All', count: Object.values(summary).reduce((a, b) => a + b, 0), color: 'bg-gray-500' },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Returns & Alterations</h1>
+            <p className="text-gray-600 mt-1">Post-delivery alterations, exchanges and returns</p>
+          </div>
+          <Button
+            variant="outline"
+            onClick={fetchRequests}
+            className="flex items-center gap-2"
+            disabled={loading}
+            ariaLabel="Refresh requests"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {/* Status Tabs */}
+        <div className="flex gap-2 overflow-x-auto pb-2">
+          {tabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => {
+                setActiveTab(tab.id);
+                setPage(1);
+              }}
+              className={`
+                px-6 py-3 rounded-lg font-medium text-sm whitespace-nowrap
+                transition-all duration-200 flex items-center gap-2
+                ${activeTab === tab.id
+                  ? 'bg-purple-600 text-white shadow-lg'
+                  : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-200'
+                }
+              `}
+            >
+              {tab.label}
+              <span className={`
+                px-2 py-0.5 rounded-full text-xs font-bold
+                ${activeTab === tab.id ? 'bg-white text-purple-600' : `${tab.color} text-white`}
+              `}>
+                {tab.count}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-col md:flex-row gap-3 mt-4">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            placeholder="Search by request or order number"
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <select
+            value={type}
+            onChange={(e) => {
+              setType(e.target.value);
+              setPage(1);
+            }}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="Request type"
+          >
+            <option value="">All types</option>
+            <option value="alteration">Alteration</option>
+            <option value="exchange">Exchange</option>
+            <option value="return">Return</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Requests */}
+      {loading ? (
+        <div className="space-y-4">
+          {[1, 2, 3].map(i => (
+            <div key={i} className="h-40 bg-white rounded-lg animate-pulse" />
+          ))}
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="text-center py-16 bg-white border border-gray-200 rounded-lg">
+          <RotateCcw className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No requests found</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {requests.map(request => (
+            <ReturnRequestCard key={request._id} request={request} onChange={fetchRequests} />
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-6">
+          <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1} ariaLabel="Previous page">
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages} ariaLabel="Next page">
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
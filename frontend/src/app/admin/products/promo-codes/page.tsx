@@ -0,0 +1,380 @@
+/**
+ * Admin Promo Codes Page
+ * Redemption analytics, and batches of single-use codes for influencer and
+ * WhatsApp campaigns with a CSV of who redeemed each code
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Plus, Download, Ticket } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import axios from 'axios';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatDate } from '@/lib/utils';
+import type { ApiResponse } from '@/types/api';
+import type { PromoCodeBatch, PromoCodeBatchChannel, PromoCodeStats } from '@/types/product-management';
+
+const CHANNEL_LABELS: Record<PromoCodeBatchChannel, string> = {
+  influencer: 'Influencer',
+  whatsapp: 'WhatsApp',
+  email: 'Email',
+  event: 'Event',
+  other: 'Other',
+};
+
+const EMPTY_FORM = {
+  name: '',
+  channel: 'influencer' as PromoCodeBatchChannel,
+  prefix: '',
+  quantity: '100',
+  discountType: 'percentage' as 'percentage' | 'fixed',
+  discountValue: '',
+  maxDiscount: '',
+  minOrderValue: '',
+  endDate: '',
+  notes: '',
+};
+
+export default function AdminPromoCodesPage() {
+  const [stats, setStats] = useState<PromoCodeStats | null>(null);
+  const [batches, setBatches] = useState<PromoCodeBatch[]>([]);
+  const [days, setDays] = useState('30');
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [statsResponse, batchesResponse] = await Promise.all([
+        api.promoCodes.getStats({ days }) as unknown as ApiResponse<PromoCodeStats>,
+        api.promoCodes.getBatches() as unknown as ApiResponse<PromoCodeBatch[]>,
+      ]);
+      setStats(statsResponse.data || null);
+      setBatches(batchesResponse.data || []);
+    } catch (error) {
+      console.error('Error fetching promo codes:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch promo codes'));
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!form.name.trim() || !form.discountValue || !form.endDate) {
+      toast.error('Enter the batch name, discount and expiry date');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.promoCodes.createBatch({
+        name: form.name.trim(),
+        channel: form.channel,
+        ...(form.prefix.trim() && { prefix: form.prefix.trim().toUpperCase() }),
+        quantity: Number(form.quantity),
+        discountType: form.discountType,
+        discountValue: Number(form.discountValue),
+        ...(form.maxDiscount && { maxDiscount: Number(form.maxDiscount) }),
+        ...(form.minOrderValue && { minOrderValue: Number(form.minOrderValue) }),
+        endDate: new Date(form.endDate).toISOString(),
+        notes: form.notes.trim(),
+      }) as unknown as ApiResponse<{ batch: PromoCodeBatch }>;
+      toast.success(response.message || 'Promo codes generated');
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      await fetchData();
+      if (response.data) await handleExport(response.data.batch);
+    } catch (error) {
+      console.error('Error generating promo codes:', error);
+      const errors = axios.isAxiosError<{ errors?: string[] }>(error) ? error.response?.data?.errors : undefined;
+      toast.error(errors?.[0] || getApiErrorMessage(error, 'Failed to generate promo codes'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async (batch: Pick<PromoCodeBatch, '_id' | 'name'>) => {
+    try {
+      const blob = await api.promoCodes.exportBatch(batch._id) as Blob;
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `promo-codes-${batch.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.csv`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting promo codes:', error);
+      toast.error('Failed to export promo codes');
+    }
+  };
+
+  const redemptions = stats?.redemptions;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Promo Codes</h1>
+            <p className="text-gray-600 mt-1">
+              Who redeemed which code, and single-use code batches for influencer and WhatsApp campaigns
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              onClick={fetchData}
+              className="flex items-center gap-2"
+              disabled={loading}
+              ariaLabel="Refresh promo codes"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+            <Button onClick={() => setShowForm(!showForm)} className="flex items-center gap-2" ariaLabel="Generate codes">
+              <Plus className="w-4 h-4" />
+              Generate Codes
+            </Button>
+          </div>
+        </div>
+
+        <select
+          value={days}
+          onChange={(e) => setDays(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+          aria-label="Period"
+        >
+          <option value="7">Last 7 days</option>
+          <option value="30">Last 30 days</option>
+          <option value="90">Last 90 days</option>
+        </select>
+      </div>
+
+      {/* Generate Codes */}
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-white border border-gray-200 rounded-lg p-4 mb-6 space-y-3">
+          <h2 className="font-semibold text-gray-900">Generate Single-Use Codes</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Campaign, e.g. Ayesha Instagram Eid"
+              maxLength={100}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <select
+              value={form.channel}
+              onChange={(e) => setForm({ ...form, channel: e.target.value as PromoCodeBatchChannel })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Channel"
+            >
+              {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={form.prefix}
+                onChange={(e) => setForm({ ...form, prefix: e.target.value })}
+                placeholder="Prefix, e.g. AYESHA"
+                maxLength={12}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg uppercase"
+                aria-label="Code prefix"
+              />
+              <input
+                type="number"
+                value={form.quantity}
+                onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+                placeholder="Codes"
+                min={1}
+                max={5000}
+                className="w-28 px-4 py-2 border border-gray-300 rounded-lg"
+                aria-label="Number of codes"
+              />
+            </div>
+            <div className="flex gap-2">
+              <select
+                value={form.discountType}
+                onChange={(e) => setForm({ ...form, discountType: e.target.value as 'percentage' | 'fixed' })}
+                className="px-4 py-2 border border-gray-300 rounded-lg"
+                aria-label="Discount type"
+              >
+                <option value="percentage">% off</option>
+                <option value="fixed">PKR off</option>
+              </select>
+              <input
+                type="number"
+                value={form.discountValue}
+                onChange={(e) => setForm({ ...form, discountValue: e.target.value })}
+                placeholder="Discount"
+                min={0}
+                max={form.discountType === 'percentage' ? 100 : undefined}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+                aria-label="Discount"
+              />
+            </div>
+            <input
+              type="number"
+              value={form.maxDiscount}
+              onChange={(e) => setForm({ ...form, maxDiscount: e.target.value })}
+              placeholder="Maximum discount (PKR, optional)"
+              min={0}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="number"
+              value={form.minOrderValue}
+              onChange={(e) => setForm({ ...form, minOrderValue: e.target.value })}
+              placeholder="Minimum order (PKR, optional)"
+              min={0}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="datetime-local"
+              value={form.endDate}
+              onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Expires"
+            />
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              placeholder="Notes (optional)"
+              maxLength={500}
+              className="px-4 py-2 border border-gray-300 rounded-lg md:col-span-2"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Each code can be used once, by one customer. The CSV downloads once the codes are generated
+          </p>
+
+          <Button type="submit" disabled={saving} ariaLabel="Generate codes">
+            {saving ? 'Generating...' : 'Generate'}
+          </Button>
+        </form>
+      )}
+
+      {/* Redemption Analytics */}
+      {redemptions && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-sm text-gray-600">Redemptions</p>
+            <p className="text-2xl font-bold text-gray-900">{redemptions.window.redemptions.toLocaleString()}</p>
+            <p className="text-xs text-gray-500">{redemptions.redemptions.toLocaleString()} all time</p>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-sm text-gray-600">Discount given</p>
+            <p className="text-2xl font-bold text-gray-900">PKR {redemptions.window.discountGiven.toLocaleString()}</p>
+            <p className="text-xs text-gray-500">PKR {redemptions.discountGiven.toLocaleString()} all time</p>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-sm text-gray-600">Order revenue</p>
+            <p className="text-2xl font-bold text-gray-900">PKR {redemptions.window.revenue.toLocaleString()}</p>
+            <p className="text-xs text-gray-500">{redemptions.window.reversed} released by cancellations</p>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-sm text-gray-600">Codes</p>
+            <p className="text-2xl font-bold text-gray-900">{stats!.active.toLocaleString()} active</p>
+            <p className="text-xs text-gray-500">
+              {redemptions.uniqueCustomers.toLocaleString()} customers have used a code
+            </p>
+          </div>
+        </div>
+      )}
+
+      {redemptions && redemptions.topCodes.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto mb-6">
+          <h2 className="px-4 pt-4 font-semibold text-gray-900">Top Codes</h2>
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Code</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Redemptions</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Customers</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Discount</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Revenue</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {redemptions.topCodes.map(entry => (
+                <tr key={entry.code}>
+                  <td className="px-4 py-3 font-mono text-gray-900">{entry.code}</td>
+                  <td className="px-4 py-3 text-right text-gray-700">{entry.redemptions}</td>
+                  <td className="px-4 py-3 text-right text-gray-700">{entry.customers}</td>
+                  <td className="px-4 py-3 text-right text-gray-700">PKR {entry.discount.toLocaleString()}</td>
+                  <td className="px-4 py-3 text-right text-gray-700">PKR {entry.revenue.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Batches */}
+      {loading ? (
+        <div className="h-64 bg-white rounded-lg animate-pulse" />
+      ) : batches.length === 0 ? (
+        <div className="text-center py-16 bg-white border border-gray-200 rounded-lg">
+          <Ticket className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No code batches yet</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Batch</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Channel</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Codes</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Redeemed</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Discount</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Created</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {batches.map(batch => (
+                <tr key={batch._id}>
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-gray-900">{batch.name}</p>
+                    {batch.prefix && <p className="text-xs text-gray-500 font-mono">{batch.prefix}-XXXXXX</p>}
+                  </td>
+                  <td className="px-4 py-3">
+                    <Badge variant="default">{CHANNEL_LABELS[batch.channel]}</Badge>
+                  </td>
+                  <td className="px-4 py-3 text-right text-gray-700">{batch.quantity.toLocaleString()}</td>
+                  <td className="px-4 py-3 text-right text-gray-700">
+                    {batch.redeemed.toLocaleString()} ({batch.redemptionRate}%)
+                  </td>
+                  <td className="px-4 py-3 text-right text-gray-700">PKR {batch.discount.toLocaleString()}</td>
+                  <td className="px-4 py-3 text-gray-600 whitespace-nowrap">{formatDate(batch.createdAt, 'short')}</td>
+                  <td className="px-4 py-3 text-right">
+                    <Button variant="ghost" size="sm" onClick={() => handleExport(batch)} ariaLabel="Export CSV">
+                      <Download className="w-4 h-4" />
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
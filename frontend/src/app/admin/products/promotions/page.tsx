@@ -0,0 +1,480 @@
+/**
+ * Admin Promotions Page
+ * Automatic offers applied at checkout without a code: buy-X-get-Y, spend
+ * tiers, free stitching and bundle prices, with priority and stacking
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Plus, Tag, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import axios from 'axios';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatDate } from '@/lib/utils';
+import type { ApiResponse } from '@/types/api';
+import type { Promotion, PromotionType } from '@/types/product-management';
+
+const TYPE_LABELS: Record<PromotionType, string> = {
+  'buy-x-get-y': 'Buy X Get Y',
+  'tiered-spend': 'Spend Tiers',
+  'free-stitching': 'Free Stitching',
+  bundle: 'Bundle Price',
+};
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  type: 'buy-x-get-y' as PromotionType,
+  buyQuantity: '2',
+  getQuantity: '1',
+  discountPercent: '100',
+  // One tier per line: "minimum spend, discount" e.g. "10000, 10%" or "20000, 3000"
+  tiers: '',
+  minSpend: '',
+  bundleQuantity: '3',
+  bundlePrice: '',
+  threePieceOnly: false,
+  priority: '0',
+  stackable: true,
+  combinesWithPromoCode: true,
+  startDate: '',
+  endDate: '',
+};
+
+/**
+ * One-line description of what the promotion gives
+ */
+const describe = (promotion: Promotion): string => {
+  switch (promotion.type) {
+    case 'buy-x-get-y': {
+      const { buyQuantity, getQuantity, discountPercent } = promotion.buyXGetY!;
+      return `Buy ${buyQuantity}, get ${getQuantity} ${discountPercent === 100 ? 'free' : `${discountPercent}% off`}`;
+    }
+    case 'tiered-spend':
+      return (promotion.tiers || [])
+        .map(tier => `${tier.discountType === 'percentage' ? `${tier.value}%` : `PKR ${tier.value.toLocaleString()}`} off over PKR ${tier.minSpend.toLocaleString()}`)
+        .join(' · ');
+    case 'free-stitching':
+      return `Free stitching over PKR ${(promotion.freeStitching?.minSpend || 0).toLocaleString()}`;
+    case 'bundle':
+      return `Any ${promotion.bundle!.quantity} for PKR ${promotion.bundle!.price.toLocaleString()}`;
+    default:
+      return '';
+  }
+};
+
+const statusOf = (promotion: Promotion): { label: string; variant: 'success' | 'warning' | 'danger' | 'default' } => {
+  if (!promotion.isActive) return { label: 'Off', variant: 'default' };
+  if (promotion.isLive) return { label: 'Live', variant: 'success' };
+  if (new Date(promotion.startDate) > new Date()) return { label: 'Scheduled', variant: 'warning' };
+  return { label: 'Ended', variant: 'danger' };
+};
+
+export default function AdminPromotionsPage() {
+  const [promotions, setPromotions] = useState<Promotion[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPromotions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.promotions.getAll(status ? { status } : {}) as unknown as ApiResponse<{ promotions: Promotion[] }>;
+      setPromotions(response.data?.promotions || []);
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch promotions'));
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, [fetchPromotions]);
+
+  /**
+   * Settings for the chosen type, or an error message
+   */
+  const typeSettings = (): Record<string, unknown> | string => {
+    switch (form.type) {
+      case 'buy-x-get-y':
+        return {
+          buyXGetY: {
+            buyQuantity: Number(form.buyQuantity),
+            getQuantity: Number(form.getQuantity),
+            discountPercent: Number(form.discountPercent) || 100,
+          },
+        };
+      case 'tiered-spend': {
+        const tiers = form.tiers.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+          const [minSpend, value = ''] = line.split(',').map(part => part.trim());
+          const percentage = value.endsWith('%');
+          return { minSpend: Number(minSpend), discountType: percentage ? 'percentage' : 'fixed', value: parseFloat(value) };
+        });
+        if (tiers.length === 0 || tiers.some(tier => Number.isNaN(tier.minSpend) || Number.isNaN(tier.value))) {
+          return 'Enter each tier as "minimum spend, discount", e.g. "10000, 10%"';
+        }
+        return { tiers };
+      }
+      case 'free-stitching':
+        return { freeStitching: { minSpend: Number(form.minSpend) || 0 } };
+      case 'bundle':
+        if (!form.bundlePrice) return 'Enter the bundle price';
+        return { bundle: { quantity: Number(form.bundleQuantity), price: Number(form.bundlePrice) } };
+      default:
+        return 'Choose a promotion type';
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('Enter the promotion name');
+      return;
+    }
+
+    const settings = typeSettings();
+    if (typeof settings === 'string') {
+      toast.error(settings);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.promotions.create({
+        name: form.name.trim(),
+        description: form.description.trim(),
+        type: form.type,
+        ...settings,
+        appliesTo: { threePieceOnly: form.threePieceOnly },
+        priority: Number(form.priority) || 0,
+        stackable: form.stackable,
+        combinesWithPromoCode: form.combinesWithPromoCode,
+        ...(form.startDate && { startDate: new Date(form.startDate).toISOString() }),
+        ...(form.endDate && { endDate: new Date(form.endDate).toISOString() }),
+      }) as unknown as ApiResponse;
+      toast.success(response.message || 'Promotion created');
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      await fetchPromotions();
+    } catch (error) {
+      console.error('Error creating promotion:', error);
+      const errors = axios.isAxiosError<{ errors?: string[] }>(error) ? error.response?.data?.errors : undefined;
+      toast.error(errors?.[0] || getApiErrorMessage(error, 'Failed to create promotion'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (promotion: Promotion) => {
+    try {
+      await api.promotions.update(promotion._id, { isActive: !promotion.isActive });
+      toast.success(promotion.isActive ? 'Promotion switched off' : 'Promotion switched on');
+      await fetchPromotions();
+    } catch (error) {
+      console.error('Error updating promotion:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to update promotion'));
+    }
+  };
+
+  const handleDelete = async (promotion: Promotion) => {
+    if (!confirm(`Delete ${promotion.name}?`)) return;
+
+    try {
+      const response = await api.promotions.delete(promotion._id) as unknown as ApiResponse;
+      toast.success(response.message || 'Promotion deleted');
+      await fetchPromotions();
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to delete promotion'));
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Promotions</h1>
+            <p className="text-gray-600 mt-1">
+              Applied automatically at checkout. Higher priority runs first; an exclusive promotion
+              only applies on its own when it saves more than the rest together
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              onClick={fetchPromotions}
+              className="flex items-center gap-2"
+              disabled={loading}
+              ariaLabel="Refresh promotions"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+            <Button onClick={() => setShowForm(!showForm)} className="flex items-center gap-2" ariaLabel="New promotion">
+              <Plus className="w-4 h-4" />
+              New Promotion
+            </Button>
+          </div>
+        </div>
+
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+          aria-label="Status"
+        >
+          <option value="">All promotions</option>
+          <option value="live">Live</option>
+          <option value="scheduled">Scheduled</option>
+          <option value="ended">Ended</option>
+          <option value="inactive">Switched off</option>
+        </select>
+      </div>
+
+      {/* New Promotion */}
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-white border border-gray-200 rounded-lg p-4 mb-6 space-y-3">
+          <h2 className="font-semibold text-gray-900">New Promotion</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name, e.g. Eid buy 2 get 1"
+              maxLength={100}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+            />
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Shown to customers at checkout"
+              maxLength={300}
+              className="px-4 py-2 border border-gray-300 rounded-lg md:col-span-2"
+            />
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value as PromotionType })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Promotion type"
+            >
+              {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+
+            {form.type === 'buy-x-get-y' && (
+              <div className="flex gap-2 md:col-span-2">
+                <input
+                  type="number"
+                  value={form.buyQuantity}
+                  onChange={(e) => setForm({ ...form, buyQuantity: e.target.value })}
+                  placeholder="Buy"
+                  min={1}
+                  className="w-24 px-4 py-2 border border-gray-300 rounded-lg"
+                  aria-label="Buy quantity"
+                />
+                <input
+                  type="number"
+                  value={form.getQuantity}
+                  onChange={(e) => setForm({ ...form, getQuantity: e.target.value })}
+                  placeholder="Get"
+                  min={1}
+                  className="w-24 px-4 py-2 border border-gray-300 rounded-lg"
+                  aria-label="Get quantity"
+                />
+                <input
+                  type="number"
+                  value={form.discountPercent}
+                  onChange={(e) => setForm({ ...form, discountPercent: e.target.value })}
+                  placeholder="% off (100 = free)"
+                  min={1}
+                  max={100}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+                  aria-label="Discount percent on the items got"
+                />
+              </div>
+            )}
+
+            {form.type === 'tiered-spend' && (
+              <textarea
+                value={form.tiers}
+                onChange={(e) => setForm({ ...form, tiers: e.target.value })}
+                placeholder={'One tier per line: minimum spend, discount\n10000, 5%\n20000, 2500'}
+                rows={3}
+                className="px-4 py-2 border border-gray-300 rounded-lg md:col-span-2 font-mono text-sm"
+              />
+            )}
+
+            {form.type === 'free-stitching' && (
+              <input
+                type="number"
+                value={form.minSpend}
+                onChange={(e) => setForm({ ...form, minSpend: e.target.value })}
+                placeholder="Minimum spend (PKR)"
+                min={0}
+                className="px-4 py-2 border border-gray-300 rounded-lg md:col-span-2"
+              />
+            )}
+
+            {form.type === 'bundle' && (
+              <div className="flex gap-2 md:col-span-2">
+                <input
+                  type="number"
+                  value={form.bundleQuantity}
+                  onChange={(e) => setForm({ ...form, bundleQuantity: e.target.value })}
+                  placeholder="Items"
+                  min={2}
+                  className="w-24 px-4 py-2 border border-gray-300 rounded-lg"
+                  aria-label="Items in the bundle"
+                />
+                <input
+                  type="number"
+                  value={form.bundlePrice}
+                  onChange={(e) => setForm({ ...form, bundlePrice: e.target.value })}
+                  placeholder="Bundle price (PKR)"
+                  min={0}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+            )}
+
+            <input
+              type="number"
+              value={form.priority}
+              onChange={(e) => setForm({ ...form, priority: e.target.value })}
+              placeholder="Priority"
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Priority"
+            />
+            <input
+              type="datetime-local"
+              value={form.startDate}
+              onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Starts"
+            />
+            <input
+              type="datetime-local"
+              value={form.endDate}
+              onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg"
+              aria-label="Ends"
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.threePieceOnly}
+                onChange={(e) => setForm({ ...form, threePieceOnly: e.target.checked })}
+              />
+              3-piece suits only
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.stackable}
+                onChange={(e) => setForm({ ...form, stackable: e.target.checked })}
+              />
+              Combines with other promotions
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.combinesWithPromoCode}
+                onChange={(e) => setForm({ ...form, combinesWithPromoCode: e.target.checked })}
+              />
+              Combines with promo codes
+            </label>
+          </div>
+
+          <Button type="submit" disabled={saving} ariaLabel="Save promotion">
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </form>
+      )}
+
+      {/* Promotions */}
+      {loading ? (
+        <div className="h-64 bg-white rounded-lg animate-pulse" />
+      ) : promotions.length === 0 ? (
+        <div className="text-center py-16 bg-white border border-gray-200 rounded-lg">
+          <Tag className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No promotions found</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Promotion</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Offer</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Priority</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Runs</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Orders</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Status</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {promotions.map(promotion => {
+                const badge = statusOf(promotion);
+                return (
+                  <tr key={promotion._id}>
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-gray-900">{promotion.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {[
+                          TYPE_LABELS[promotion.type],
+                          promotion.appliesTo?.threePieceOnly && '3-piece only',
+                          !promotion.stackable && 'Exclusive',
+                          !promotion.combinesWithPromoCode && 'No promo codes',
+                        ].filter(Boolean).join(' · ')}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3 text-gray-700">{describe(promotion)}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{promotion.priority}</td>
+                    <td className="px-4 py-3 text-gray-600 whitespace-nowrap">
+                      {formatDate(promotion.startDate, 'short')}
+                      {promotion.endDate ? ` – ${formatDate(promotion.endDate, 'short')}` : ' onwards'}
+                    </td>
+                    <td className="px-4 py-3 text-right text-gray-600">{promotion.usedCount}</td>
+                    <td className="px-4 py-3">
+                      <Badge variant={badge.variant}>{badge.label}</Badge>
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleToggle(promotion)}
+                        ariaLabel={promotion.isActive ? 'Switch off' : 'Switch on'}
+                      >
+                        {promotion.isActive ? 'Switch off' : 'Switch on'}
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleDelete(promotion)} ariaLabel="Delete promotion">
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
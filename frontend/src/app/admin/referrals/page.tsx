@@ -0,0 +1,270 @@
+/**
+ * Admin Referrals Page
+ * Top referrers and the review list for referrals flagged as possible abuse
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, ShieldAlert, Trophy } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatDate } from '@/lib/utils';
+import type { ApiResponse } from '@/types/api';
+import type { FlaggedReferral, ReferralLeaderboardEntry } from '@/types/order-management';
+
+const FLAG_LABELS: Record<string, string> = {
+  'same-device-as-referrer': 'Same device as referrer',
+  'device-reused': 'Device used before',
+  'phone-reused': 'Phone used before',
+};
+
+const PERIODS = [7, 30, 90, 365];
+
+export default function AdminReferralsPage() {
+  const [days, setDays] = useState(30);
+  const [leaderboard, setLeaderboard] = useState<ReferralLeaderboardEntry[]>([]);
+  const [reviewStatus, setReviewStatus] = useState<'flagged' | 'rejected'>('flagged');
+  const [referrals, setReferrals] = useState<FlaggedReferral[]>([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+  const [reviewing, setReviewing] = useState<string | null>(null);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [leaderboardRes, flaggedRes] = await Promise.all([
+        api.referrals.admin.getLeaderboard({ days }) as unknown as ApiResponse<{ leaderboard: ReferralLeaderboardEntry[] }>,
+        api.referrals.admin.getFlagged({ status: reviewStatus, page, limit: 20 }) as unknown as ApiResponse<FlaggedReferral[]> & { pagination?: { pages: number } },
+      ]);
+      setLeaderboard(leaderboardRes.data?.leaderboard || []);
+      setReferrals(flaggedRes.data || []);
+      setTotalPages(flaggedRes.pagination?.pages || 1);
+    } catch (error) {
+      console.error('Error fetching referrals:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch referrals'));
+    } finally {
+      setLoading(false);
+    }
+  }, [days, reviewStatus, page]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleReview = async (referral: FlaggedReferral, decision: 'approve' | 'reject') => {
+    setReviewing(referral._id);
+    try {
+      const response = await api.referrals.admin.review(referral._id, {
+        decision,
+        notes: notes[referral._id]?.trim() || undefined,
+      }) as unknown as ApiResponse;
+      toast.success(response.message || 'Referral reviewed');
+      await fetchData();
+    } catch (error) {
+      console.error('Error reviewing referral:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to review referral'));
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Referrals</h1>
+          <p className="text-gray-600 mt-1">Top referrers and referrals held for review</p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={fetchData}
+          className="flex items-center gap-2"
+          disabled={loading}
+          ariaLabel="Refresh referrals"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Leaderboard */}
+      <div className="bg-white border border-gray-200 rounded-lg mb-6">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="font-semibold text-gray-900 flex items-center gap-2">
+            <Trophy className="w-5 h-5 text-amber-500" />
+            Leaderboard
+          </h2>
+          <select
+            value={days}
+            onChange={(e) => setDays(parseInt(e.target.value))}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+            aria-label="Period"
+          >
+            {PERIODS.map(period => (
+              <option key={period} value={period}>Last {period} days</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="h-40 animate-pulse" />
+        ) : leaderboard.length === 0 ? (
+          <p className="text-center text-gray-600 py-10">No completed referrals in this period</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-600">#</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-600">Referrer</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-600">Completed</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-600">Rewarded</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-600">Over cap</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-600">Pending</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-600">Flagged / Rejected</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-600">Last completed</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {leaderboard.map((entry, index) => (
+                  <tr key={entry.referrer._id}>
+                    <td className="px-4 py-3 text-gray-600">{index + 1}</td>
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-gray-900">{entry.referrer.fullName || 'Unknown'}</p>
+                      <p className="text-xs text-gray-500">
+                        {entry.referrer.email}{entry.referrer.referralCode && ` · ${entry.referrer.referralCode}`}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3 text-right font-semibold text-gray-900">{entry.completed}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{entry.rewarded.toLocaleString()}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{entry.withheld}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">{entry.pending}</td>
+                    <td className={`px-4 py-3 text-right ${entry.flagged + entry.rejected > 0 ? 'text-red-700 font-medium' : 'text-gray-600'}`}>
+                      {entry.flagged} / {entry.rejected}
+                    </td>
+                    <td className="px-4 py-3 text-right text-gray-600 whitespace-nowrap">{formatDate(entry.lastCompletedAt, 'short')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Fraud Review */}
+      <div className="bg-white border border-gray-200 rounded-lg">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="font-semibold text-gray-900 flex items-center gap-2">
+            <ShieldAlert className="w-5 h-5 text-red-500" />
+            Fraud Review
+          </h2>
+          <select
+            value={reviewStatus}
+            onChange={(e) => {
+              setReviewStatus(e.target.value as 'flagged' | 'rejected');
+              setPage(1);
+            }}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+            aria-label="Review status"
+          >
+            <option value="flagged">Awaiting review</option>
+            <option value="rejected">Rejected</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="h-40 animate-pulse" />
+        ) : referrals.length === 0 ? (
+          <p className="text-center text-gray-600 py-10">
+            {reviewStatus === 'flagged' ? 'No referrals waiting for review' : 'No rejected referrals'}
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {referrals.map(referral => (
+              <div key={referral._id} className="p-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <p className="text-xs text-gray-500 mb-1">Referrer · {referral.referralCode}</p>
+                    <p className="font-medium text-gray-900">{referral.referrerId?.fullName || 'Unknown'}</p>
+                    <p className="text-gray-600">{referral.referrerId?.email}</p>
+                    <p className="text-gray-600">{referral.referrerId?.phone}</p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 mb-1">New customer · {formatDate(referral.createdAt, 'short')}</p>
+                    <p className="font-medium text-gray-900">{referral.refereeId?.fullName || 'Unknown'}</p>
+                    <p className="text-gray-600">{referral.refereeId?.email}</p>
+                    <p className="text-gray-600">{referral.refereeId?.phone}</p>
+                  </div>
+                  <div>
+                    <div className="flex flex-wrap gap-1 mb-2">
+                      {referral.fraud.flags.map(flag => (
+                        <Badge key={flag.code} variant="danger">{FLAG_LABELS[flag.code] || flag.code}</Badge>
+                      ))}
+                    </div>
+                    {referral.signals?.ip && <p className="text-xs text-gray-500">IP {referral.signals.ip}</p>}
+                    {referral.fraud.reviewedAt && (
+                      <p className="text-xs text-gray-500">
+                        Rejected by {referral.fraud.reviewedBy?.fullName || 'admin'} on {formatDate(referral.fraud.reviewedAt, 'short')}
+                        {referral.fraud.notes && ` · ${referral.fraud.notes}`}
+                      </p>
+                    )}
+                  </div>
+                </div>
+
+                {referral.status === 'flagged' && (
+                  <div className="flex flex-col md:flex-row gap-3 mt-4">
+                    <input
+                      type="text"
+                      value={notes[referral._id] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [referral._id]: e.target.value }))}
+                      placeholder="Review notes (optional)"
+                      maxLength={500}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <Button
+                      size="sm"
+                      onClick={() => handleReview(referral, 'approve')}
+                      disabled={reviewing === referral._id}
+                      ariaLabel="Approve referral"
+                    >
+                      Approve
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleReview(referral, 'reject')}
+                      disabled={reviewing === referral._id}
+                      ariaLabel="Reject referral"
+                    >
+                      Reject
+                    </Button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-6">
+          <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1} ariaLabel="Previous page">
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages} ariaLabel="Next page">
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+"use client";
+export const dynamic = 'force-dynamic';
+
+/**
+ * Admin Currency Settings Page
+ * Exchange rates for the currencies customers can shop in, edited by hand
+ * or imported from a CSV
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Plus, Upload } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import api from '@/lib/api';
+import toast from 'react-hot-toast';
+import { formatDate } from '@/lib/utils';
+
+const EMPTY_CURRENCY = {
+  currency: '',
+  name: '',
+  symbol: '',
+  decimals: 2,
+  rate: '',
+  isActive: true
+};
+
+const SOURCE_LABELS = {
+  manual: 'Manual',
+  import: 'CSV import',
+  seed: 'Default'
+};
+
+export default function CurrencySettingsPage() {
+  const [currencies, setCurrencies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [isNew, setIsNew] = useState(false);
+  const [form, setForm] = useState(null);
+  const [skipped, setSkipped] = useState([]);
+  const fileInput = useRef(null);
+
+  const fetchRates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.currencies.getAdmin();
+      setCurrencies(response.data?.currencies || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load exchange rates');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const startEdit = (currency) => {
+    setIsNew(!currency);
+    setForm(currency
+      ? {
+        currency: currency.currency,
+        name: currency.name || '',
+        symbol: currency.symbol || '',
+        decimals: currency.decimals ?? 2,
+        rate: currency.rate,
+        isActive: currency.isActive
+      }
+      : { ...EMPTY_CURRENCY });
+  };
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      await api.currencies.updateRate(form.currency.trim().toUpperCase(), {
+        rate: Number(form.rate),
+        name: form.name,
+        symbol: form.symbol,
+        decimals: Number(form.decimals),
+        isActive: form.isActive
+      });
+      toast.success('Exchange rate saved');
+      setForm(null);
+      fetchRates();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.message || 'Failed to save exchange rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const response = await api.currencies.importRates(file);
+      toast.success(response.message || 'Exchange rates imported');
+      setSkipped(response.data?.skipped || []);
+      fetchRates();
+    } catch (error) {
+      toast.error(error.message || 'Failed to import exchange rates');
+      setSkipped(error.response?.data?.data?.skipped || []);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
+  // The base currency is listed first and isn't editable
+  const rates = currencies.filter(currency => currency.currency !== 'PKR');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold">Currencies</h1>
+          <p className="text-gray-600">
+            Prices and payments are kept in PKR. Rates are the PKR value of one unit and are locked
+            on each order when it is placed
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <input ref={fileInput} type="file" accept=".csv,text/csv" className="hidden" onChange={handleImport} />
+          <Button variant="outline" disabled={importing} onClick={() => fileInput.current?.click()}>
+            <Upload className="w-4 h-4 mr-2" />
+            {importing ? 'Importing...' : 'Import CSV'}
+          </Button>
+          <Button onClick={() => startEdit(null)}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Currency
+          </Button>
+        </div>
+      </div>
+
+      {skipped.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm">
+          <div className="font-medium mb-1">Rows skipped in the last import</div>
+          {skipped.map(row => (
+            <div key={row.line}>Line {row.line}{row.currency ? ` (${row.currency})` : ''}: {row.reason}</div>
+          ))}
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-6 space-y-4">
+          <h2 className="text-lg font-semibold">{isNew ? 'New Currency' : `Edit ${form.currency}`}</h2>
+
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <label className="text-sm">
+              Code
+              <input
+                className={inputClass}
+                value={form.currency}
+                onChange={e => updateForm('currency', e.target.value)}
+                maxLength={3}
+                placeholder="USD"
+                disabled={!isNew}
+                required
+              />
+            </label>
+            <label className="text-sm">
+              Name
+              <input className={inputClass} value={form.name} onChange={e => updateForm('name', e.target.value)} />
+            </label>
+            <label className="text-sm">
+              Symbol
+              <input className={inputClass} value={form.symbol} onChange={e => updateForm('symbol', e.target.value)} maxLength={5} />
+            </label>
+            <label className="text-sm">
+              Decimals
+              <input type="number" min="0" max="3" className={inputClass} value={form.decimals} onChange={e => updateForm('decimals', e.target.value)} />
+            </label>
+            <label className="text-sm">
+              PKR per unit
+              <input type="number" min="0" step="any" className={inputClass} value={form.rate} onChange={e => updateForm('rate', e.target.value)} required />
+            </label>
+          </div>
+
+          <label className="text-sm flex items-center gap-2">
+            <input type="checkbox" checked={form.isActive} onChange={e => updateForm('isActive', e.target.checked)} />
+            Customers can shop in this currency
+          </label>
+
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => setForm(null)}>Cancel</Button>
+            <Button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save Rate'}</Button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left">
+            <tr>
+              <th className="px-4 py-3">Currency</th>
+              <th className="px-4 py-3">Rate (PKR)</th>
+              <th className="px-4 py-3">Last change</th>
+              <th className="px-4 py-3">Previous rates</th>
+              <th className="px-4 py-3">Status</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {loading ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : rates.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Only PKR is offered</td></tr>
+            ) : rates.map(currency => (
+              <tr key={currency.currency}>
+                <td className="px-4 py-3">
+                  <div className="font-medium">{currency.currency} {currency.symbol && `(${currency.symbol})`}</div>
+                  <div className="text-gray-500">{currency.name}</div>
+                </td>
+                <td className="px-4 py-3">{currency.rate}</td>
+                <td className="px-4 py-3 text-gray-600">
+                  {currency.updatedAt && formatDate(currency.updatedAt)}
+                  <div className="text-xs">{SOURCE_LABELS[currency.source] || currency.source}</div>
+                </td>
+                <td className="px-4 py-3 text-gray-600">
+                  {(currency.history || []).slice(0, -1).slice(-3).reverse().map(entry => entry.rate).join(', ') || '—'}
+                </td>
+                <td className="px-4 py-3">
+                  <Badge variant={currency.isActive ? 'success' : 'default'}>{currency.isActive ? 'Active' : 'Inactive'}</Badge>
+                </td>
+                <td className="px-4 py-3 text-right">
+                  <Button variant="outline" size="sm" onClick={() => startEdit(currency)}>Edit</Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-sm text-gray-500">
+        CSV imports need a currency and a rate column (PKR per unit); name and symbol columns are optional.
+      </p>
+    </div>
+  );
+}
@@ -1,11 +1,368 @@
 "use client";
 export const dynamic = 'force-dynamic';
 
+/**
+ * Admin Shipping Settings Page
+ * Shipping zones (cities, provinces or countries) and their flat,
+ * weight or item-count rates per courier
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import api from '@/lib/api';
+import toast from 'react-hot-toast';
+import { formatCurrency } from '@/lib/utils';
+
+const EMPTY_RATE = {
+  label: 'Standard',
+  courier: '',
+  basis: 'flat',
+  baseRate: 200,
+  brackets: '',
+  extraPerUnit: 0,
+  customItemSurcharge: 0,
+  isActive: true
+};
+
+const EMPTY_ZONE = {
+  name: '',
+  scope: 'domestic',
+  cities: '',
+  provinces: '',
+  countries: '',
+  isDefault: false,
+  priority: 0,
+  freeShippingThreshold: '',
+  isActive: true,
+  rates: [EMPTY_RATE]
+};
+
+const BASIS_LABELS = {
+  flat: 'Flat',
+  weight: 'By weight (kg)',
+  items: 'By item count'
+};
+
+const toList = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Brackets are edited as "upTo:rate" pairs, e.g. "1:250, 3:400"
+const toBrackets = (value) => toList(value).map(pair => {
+  const [upTo, rate] = pair.split(':').map(Number);
+  return { upTo, rate };
+});
+
+const toForm = (zone) => ({
+  name: zone.name,
+  scope: zone.scope,
+  cities: zone.cities.join(', '),
+  provinces: zone.provinces.join(', '),
+  countries: zone.countries.join(', '),
+  isDefault: zone.isDefault,
+  priority: zone.priority,
+  freeShippingThreshold: zone.freeShippingThreshold ?? '',
+  isActive: zone.isActive,
+  rates: zone.rates.map(rate => ({
+    ...EMPTY_RATE,
+    ...rate,
+    courier: rate.courier || '',
+    brackets: (rate.brackets || []).map(bracket => `${bracket.upTo}:${bracket.rate}`).join(', ')
+  }))
+});
+
+const toPayload = (form) => ({
+  name: form.name,
+  scope: form.scope,
+  cities: toList(form.cities),
+  provinces: toList(form.provinces),
+  countries: toList(form.countries),
+  isDefault: form.isDefault,
+  priority: Number(form.priority) || 0,
+  freeShippingThreshold: form.freeShippingThreshold === '' ? null : Number(form.freeShippingThreshold),
+  isActive: form.isActive,
+  rates: form.rates.map(rate => ({
+    ...(rate._id && { _id: rate._id }),
+    label: rate.label,
+    courier: rate.courier || null,
+    basis: rate.basis,
+    baseRate: Number(rate.baseRate) || 0,
+    brackets: rate.basis === 'flat' ? [] : toBrackets(rate.brackets),
+    extraPerUnit: Number(rate.extraPerUnit) || 0,
+    customItemSurcharge: Number(rate.customItemSurcharge) || 0,
+    isActive: rate.isActive
+  }))
+});
+
+const describeRate = (rate) => {
+  if (rate.basis === 'flat') return formatCurrency(rate.baseRate);
+  const unit = rate.basis === 'weight' ? 'kg' : 'item';
+  if (rate.brackets?.length) {
+    return rate.brackets.map(bracket => `≤${bracket.upTo}${unit}: ${formatCurrency(bracket.rate)}`).join(', ');
+  }
+  return `${formatCurrency(rate.baseRate)} + ${formatCurrency(rate.extraPerUnit)}/${unit}`;
+};
+
 export default function ShippingSettingsPage() {
+  const [zones, setZones] = useState([]);
+  const [couriers, setCouriers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(null);
+
+  const fetchZones = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.shipping.getZones();
+      setZones(response.data?.zones || []);
+      setCouriers(response.data?.couriers || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load shipping zones');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchZones();
+  }, [fetchZones]);
+
+  const startEdit = (zone) => {
+    setEditingId(zone?._id || null);
+    setForm(zone ? toForm(zone) : { ...EMPTY_ZONE, rates: [{ ...EMPTY_RATE }] });
+  };
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const updateRate = (index, field, value) => setForm(prev => ({
+    ...prev,
+    rates: prev.rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate))
+  }));
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const payload = toPayload(form);
+      if (editingId) {
+        await api.shipping.updateZone(editingId, payload);
+      } else {
+        await api.shipping.createZone(payload);
+      }
+      toast.success(editingId ? 'Shipping zone updated' : 'Shipping zone created');
+      setForm(null);
+      setEditingId(null);
+      fetchZones();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.message || 'Failed to save shipping zone');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (zone) => {
+    if (!window.confirm(`Delete the "${zone.name}" zone?`)) return;
+    try {
+      await api.shipping.deleteZone(zone._id);
+      toast.success('Shipping zone deleted');
+      fetchZones();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete shipping zone');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
   return (
-    <div>
-      <h1 className="text-2xl font-bold mb-6">Shipping Settings</h1>
-      <p className="text-gray-600">Configure shipping zones and rates</p>
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold">Shipping Settings</h1>
+          <p className="text-gray-600">
+            Addresses use the most specific active zone listing their city, then province, then country;
+            anything else falls into the default zone
+          </p>
+        </div>
+        <Button onClick={() => startEdit(null)}>
+          <Plus className="w-4 h-4 mr-2" />
+          Add Zone
+        </Button>
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-6 space-y-4">
+          <h2 className="text-lg font-semibold">{editingId ? 'Edit Zone' : 'New Zone'}</h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="text-sm">
+              Name
+              <input className={inputClass} value={form.name} onChange={e => updateForm('name', e.target.value)} required />
+            </label>
+            <label className="text-sm">
+              Scope
+              <select className={inputClass} value={form.scope} onChange={e => updateForm('scope', e.target.value)}>
+                <option value="domestic">Domestic (Pakistan)</option>
+                <option value="international">International</option>
+              </select>
+            </label>
+            <label className="text-sm">
+              Priority (higher wins ties)
+              <input type="number" className={inputClass} value={form.priority} onChange={e => updateForm('priority', e.target.value)} />
+            </label>
+          </div>
+
+          {form.scope === 'domestic' ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="text-sm">
+                Cities (comma separated)
+                <input className={inputClass} value={form.cities} onChange={e => updateForm('cities', e.target.value)} />
+              </label>
+              <label className="text-sm">
+                Provinces (comma separated)
+                <input className={inputClass} value={form.provinces} onChange={e => updateForm('provinces', e.target.value)} />
+              </label>
+            </div>
+          ) : (
+            <label className="text-sm block">
+              Countries (2-letter codes, comma separated)
+              <input className={inputClass} value={form.countries} onChange={e => updateForm('countries', e.target.value)} placeholder="AE, SA, QA" />
+            </label>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <label className="text-sm">
+              Free shipping from (blank = store default)
+              <input type="number" min="0" className={inputClass} value={form.freeShippingThreshold} onChange={e => updateForm('freeShippingThreshold', e.target.value)} />
+            </label>
+            <label className="text-sm flex items-center gap-2">
+              <input type="checkbox" checked={form.isDefault} onChange={e => updateForm('isDefault', e.target.checked)} />
+              Default zone for this scope
+            </label>
+            <label className="text-sm flex items-center gap-2">
+              <input type="checkbox" checked={form.isActive} onChange={e => updateForm('isActive', e.target.checked)} />
+              Active
+            </label>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-medium">Rates</h3>
+            {form.rates.map((rate, index) => (
+              <div key={rate._id || index} className="grid grid-cols-2 md:grid-cols-7 gap-2 items-end border rounded-lg p-3">
+                <label className="text-xs">
+                  Label
+                  <input className={inputClass} value={rate.label} onChange={e => updateRate(index, 'label', e.target.value)} required />
+                </label>
+                <label className="text-xs">
+                  Courier
+                  <select className={inputClass} value={rate.courier} onChange={e => updateRate(index, 'courier', e.target.value)}>
+                    <option value="">Store delivery</option>
+                    {couriers.map(courier => (
+                      <option key={courier.name} value={courier.name}>{courier.displayName}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs">
+                  Basis
+                  <select className={inputClass} value={rate.basis} onChange={e => updateRate(index, 'basis', e.target.value)}>
+                    {Object.entries(BASIS_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs">
+                  Base rate
+                  <input type="number" min="0" className={inputClass} value={rate.baseRate} onChange={e => updateRate(index, 'baseRate', e.target.value)} />
+                </label>
+                <label className="text-xs">
+                  Brackets (upTo:rate)
+                  <input className={inputClass} value={rate.brackets} disabled={rate.basis === 'flat'} onChange={e => updateRate(index, 'brackets', e.target.value)} placeholder="1:250, 3:400" />
+                </label>
+                <label className="text-xs">
+                  Extra per unit
+                  <input type="number" min="0" className={inputClass} value={rate.extraPerUnit} disabled={rate.basis === 'flat'} onChange={e => updateRate(index, 'extraPerUnit', e.target.value)} />
+                </label>
+                <div className="flex items-center gap-2">
+                  <label className="text-xs flex-1">
+                    Custom surcharge
+                    <input type="number" min="0" className={inputClass} value={rate.customItemSurcharge} onChange={e => updateRate(index, 'customItemSurcharge', e.target.value)} />
+                  </label>
+                  <button
+                    type="button"
+                    className="text-red-600 disabled:opacity-30"
+                    disabled={form.rates.length === 1}
+                    onClick={() => updateForm('rates', form.rates.filter((_, i) => i !== index))}
+                    aria-label="Remove rate"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <Button type="button" variant="outline" onClick={() => updateForm('rates', [...form.rates, { ...EMPTY_RATE, label: '' }])}>
+              Add Rate
+            </Button>
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => setForm(null)}>Cancel</Button>
+            <Button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save Zone'}</Button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left">
+            <tr>
+              <th className="px-4 py-3">Zone</th>
+              <th className="px-4 py-3">Covers</th>
+              <th className="px-4 py-3">Rates</th>
+              <th className="px-4 py-3">Free from</th>
+              <th className="px-4 py-3">Status</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {loading ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : zones.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">No shipping zones yet</td></tr>
+            ) : zones.map(zone => (
+              <tr key={zone._id}>
+                <td className="px-4 py-3">
+                  <div className="font-medium">{zone.name}</div>
+                  <div className="text-gray-500 capitalize">{zone.scope}</div>
+                </td>
+                <td className="px-4 py-3 text-gray-600">
+                  {zone.isDefault
+                    ? 'Everywhere else'
+                    : [...zone.cities, ...zone.provinces, ...zone.countries].join(', ')}
+                </td>
+                <td className="px-4 py-3">
+                  {zone.rates.map(rate => (
+                    <div key={rate._id} className={rate.isActive ? '' : 'text-gray-400 line-through'}>
+                      {rate.label}: {describeRate(rate)}
+                    </div>
+                  ))}
+                </td>
+                <td className="px-4 py-3">
+                  {zone.freeShippingThreshold != null ? formatCurrency(zone.freeShippingThreshold) : 'Store default'}
+                </td>
+                <td className="px-4 py-3">
+                  <Badge variant={zone.isActive ? 'success' : 'default'}>{zone.isActive ? 'Active' : 'Inactive'}</Badge>
+                </td>
+                <td className="px-4 py-3 text-right whitespace-nowrap">
+                  <Button variant="outline" size="sm" onClick={() => startEdit(zone)}>Edit</Button>
+                  <button className="ml-2 text-red-600" onClick={() => handleDelete(zone)} aria-label="Delete zone">
+                    <Trash2 className="w-4 h-4 inline" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,291 @@
+/**
+ * Admin Store Credit Page
+ * Audit of wallet transactions across customers and manual adjustments
+ */
+
+'use client';
+export const dynamic = 'force-dynamic';
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Wallet } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatCurrency, formatDate } from '@/lib/utils';
+import type { ApiResponse } from '@/types/api';
+import type { WalletTransaction, WalletAdjustment } from '@/types/order-management';
+
+interface WalletTransactionList {
+  transactions: WalletTransaction[];
+  outstanding: { balance: number; wallets: number };
+  pagination: { pages: number };
+}
+
+const SOURCE_LABELS: Record<string, string> = {
+  refund: 'Refund',
+  return: 'Return credit',
+  'order-payment': 'Order payment',
+  'order-reversal': 'Order reversal',
+  adjustment: 'Adjustment',
+  referral: 'Referral reward',
+};
+
+const EMPTY_ADJUSTMENT = { userId: '', type: 'credit' as WalletAdjustment['type'], amount: '', reason: '' };
+
+export default function AdminWalletPage() {
+  const [transactions, setTransactions] = useState<WalletTransaction[]>([]);
+  const [outstanding, setOutstanding] = useState({ balance: 0, wallets: 0 });
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ source: '', type: '', user: '', from: '', to: '' });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+  const [adjusting, setAdjusting] = useState(false);
+
+  const fetchTransactions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params: Record<string, string | number> = { page, limit: 50 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await api.wallet.admin.getTransactions(params) as unknown as ApiResponse<WalletTransactionList>;
+      setTransactions(response.data?.transactions || []);
+      setOutstanding(response.data?.outstanding || { balance: 0, wallets: 0 });
+      setTotalPages(response.data?.pagination?.pages || 1);
+    } catch (error) {
+      console.error('Error fetching wallet transactions:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch wallet transactions'));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const updateFilter = (key: keyof typeof filters, value: string) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleAdjust = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const amount = parseFloat(adjustment.amount);
+    if (!adjustment.userId.trim() || !amount || amount <= 0 || adjustment.reason.trim().length < 3) {
+      toast.error('Customer ID, a positive amount and a reason are required');
+      return;
+    }
+
+    setAdjusting(true);
+    try {
+      const data: WalletAdjustment = {
+        type: adjustment.type,
+        amount,
+        reason: adjustment.reason.trim(),
+      };
+      const response = await api.wallet.admin.adjust(adjustment.userId.trim(), data) as unknown as ApiResponse<{ balance: number }>;
+      toast.success(`${response.message} (balance ${formatCurrency(response.data?.balance ?? 0)})`);
+      setAdjustment(EMPTY_ADJUSTMENT);
+      await fetchTransactions();
+    } catch (error) {
+      console.error('Error adjusting wallet:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to adjust wallet'));
+    } finally {
+      setAdjusting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Page Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Store Credit</h1>
+            <p className="text-gray-600 mt-1">Wallet transactions across all customers</p>
+          </div>
+          <Button
+            variant="outline"
+            onClick={fetchTransactions}
+            className="flex items-center gap-2"
+            disabled={loading}
+            ariaLabel="Refresh transactions"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {/* Outstanding */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-sm text-gray-600">Outstanding store credit</p>
+            <p className="text-2xl font-bold text-gray-900">{formatCurrency(outstanding.balance)}</p>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-sm text-gray-600">Customers with a balance</p>
+            <p className="text-2xl font-bold text-gray-900">{outstanding.wallets}</p>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            value={filters.user}
+            onChange={(e) => updateFilter('user', e.target.value.trim())}
+            placeholder="Customer ID"
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <select
+            value={filters.source}
+            onChange={(e) => updateFilter('source', e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="Source"
+          >
+            <option value="">All sources</option>
+            {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.type}
+            onChange={(e) => updateFilter('type', e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="Type"
+          >
+            <option value="">Credits & debits</option>
+            <option value="credit">Credits</option>
+            <option value="debit">Debits</option>
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="To date"
+          />
+        </div>
+      </div>
+
+      {/* Manual Adjustment */}
+      <form onSubmit={handleAdjust} className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+        <h2 className="font-semibold text-gray-900 mb-3">Manual Adjustment</h2>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          <input
+            type="text"
+            value={adjustment.userId}
+            onChange={(e) => setAdjustment({ ...adjustment, userId: e.target.value })}
+            placeholder="Customer ID"
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <select
+            value={adjustment.type}
+            onChange={(e) => setAdjustment({ ...adjustment, type: e.target.value as WalletAdjustment['type'] })}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+            aria-label="Adjustment type"
+          >
+            <option value="credit">Credit</option>
+            <option value="debit">Debit</option>
+          </select>
+          <input
+            type="number"
+            value={adjustment.amount}
+            onChange={(e) => setAdjustment({ ...adjustment, amount: e.target.value })}
+            placeholder="Amount (PKR)"
+            min="1"
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <input
+            type="text"
+            value={adjustment.reason}
+            onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+            placeholder="Reason"
+            maxLength={500}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <Button type="submit" disabled={adjusting} ariaLabel="Apply adjustment">
+            {adjusting ? 'Saving...' : 'Apply'}
+          </Button>
+        </div>
+      </form>
+
+      {/* Transactions */}
+      {loading ? (
+        <div className="h-64 bg-white rounded-lg animate-pulse" />
+      ) : transactions.length === 0 ? (
+        <div className="text-center py-16 bg-white border border-gray-200 rounded-lg">
+          <Wallet className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No wallet transactions found</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Date</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Customer</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Source</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-600">Details</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Amount</th>
+                <th className="px-4 py-3 text-right font-medium text-gray-600">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {transactions.map(transaction => (
+                <tr key={transaction._id}>
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-600">{formatDate(transaction.createdAt, 'short')}</td>
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-gray-900">{transaction.customer?.fullName || 'Unknown'}</p>
+                    <p className="text-xs text-gray-500">{transaction.customer?.email}</p>
+                  </td>
+                  <td className="px-4 py-3">
+                    <Badge variant={transaction.type === 'credit' ? 'success' : 'default'}>
+                      {SOURCE_LABELS[transaction.source] || transaction.source}
+                    </Badge>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">
+                    {transaction.orderNumber && <p className="font-medium text-gray-900">{transaction.orderNumber}</p>}
+                    {transaction.description && <p>{transaction.description}</p>}
+                    {typeof transaction.createdBy === 'object' && transaction.createdBy?.fullName && (
+                      <p className="text-xs text-gray-500">By {transaction.createdBy.fullName}</p>
+                    )}
+                  </td>
+                  <td className={`px-4 py-3 text-right font-semibold whitespace-nowrap ${transaction.type === 'credit' ? 'text-green-700' : 'text-gray-900'}`}>
+                    {transaction.type === 'credit' ? '+' : '-'}{formatCurrency(transaction.amount)}
+                  </td>
+                  <td className="px-4 py-3 text-right text-gray-600 whitespace-nowrap">{formatCurrency(transaction.balanceAfter)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-6">
+          <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1} ariaLabel="Previous page">
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages} ariaLabel="Next page">
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
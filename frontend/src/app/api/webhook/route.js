@@ -1,20 +1,56 @@
 import { NextResponse } from 'next/server';
+import { API_BASE_URL } from '@/lib/constants';
+
+/**
+ * Payment Gateway Webhook Relay
+ *
+ * Lets JazzCash/Easypaisa post callbacks to the storefront domain and relays
+ * them unchanged to the backend, which verifies the signature, logs the event
+ * and updates the order.
+ *
+ * Usage:
+ * POST /api/webhook?provider=jazzcash
+ * POST /api/webhook?provider=easypaisa
+ */
+
+const PROVIDERS = ['jazzcash', 'easypaisa'];
+
+// Headers the backend needs to verify and log the callback
+const FORWARDED_HEADERS = ['content-type', 'x-easypaisa-signature', 'x-forwarded-for'];
 
 export async function POST(request) {
   try {
-    const body = await request.json();
-    
-    // TODO: Handle webhook events (payment confirmations, etc.)
-    // console.log('Webhook received:', body);
-
-    return NextResponse.json({
-      success: true,
-      message: 'Webhook processed'
+    const { searchParams } = new URL(request.url);
+    const provider = searchParams.get('provider');
+
+    if (!PROVIDERS.includes(provider)) {
+      return NextResponse.json(
+        { success: false, message: 'Unsupported payment provider' },
+        { status: 404 }
+      );
+    }
+
+    const headers = {};
+    FORWARDED_HEADERS.forEach((name) => {
+      const value = request.headers.get(name);
+      if (value) headers[name] = value;
+    });
+
+    // Forward the raw body so form-encoded JazzCash callbacks stay intact
+    const response = await fetch(`${API_BASE_URL}/payments/webhooks/${provider}`, {
+      method: 'POST',
+      headers,
+      body: await request.text(),
+      cache: 'no-store'
     });
+
+    const body = await response.json().catch(() => ({ success: response.ok }));
+    return NextResponse.json(body, { status: response.status });
   } catch (error) {
+    console.error('Webhook relay failed:', error);
     return NextResponse.json(
-      { error: 'Webhook processing failed' },
-      { status: 500 }
+      { success: false, message: 'Webhook processing failed' },
+      { status: 502 }
     );
   }
-}
\ No newline at end of file
+}
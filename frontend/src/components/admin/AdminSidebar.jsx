@@ -70,7 +70,9 @@ export default function AdminSidebar({ isOpen, onClose, stats = null }) {
       subItems: [
         { label: 'All Products', path: '/admin/products' },
         { label: 'Add New', path: '/admin/products/new' },
-        { label: 'Categories', path: '/admin/products/categories' }
+        { label: 'Categories', path: '/admin/products/categories' },
+        { label: 'Promotions', path: '/admin/products/promotions' },
+        { label: 'Promo Codes', path: '/admin/products/promo-codes' }
       ]
     },
     {
@@ -83,7 +85,9 @@ export default function AdminSidebar({ isOpen, onClose, stats = null }) {
         { label: 'All Orders', path: '/admin/orders' },
         { label: 'Pending Payment', path: '/admin/orders?status=pending-payment' },
         { label: 'In Progress', path: '/admin/orders?status=in-progress' },
-        { label: 'Completed', path: '/admin/orders?status=completed' }
+        { label: 'Completed', path: '/admin/orders?status=completed' },
+        { label: 'Returns & Alterations', path: '/admin/orders/returns' },
+        { label: 'COD Reconciliation', path: '/admin/orders/cod-reconciliation' }
       ]
     },
     {
@@ -91,7 +95,12 @@ export default function AdminSidebar({ isOpen, onClose, stats = null }) {
       label: 'Customers',
       icon: Users,
       path: '/admin/customers',
-      badge: null
+      badge: null,
+      subItems: [
+        { label: 'All Customers', path: '/admin/customers' },
+        { label: 'Store Credit', path: '/admin/wallet' },
+        { label: 'Referrals', path: '/admin/referrals' }
+      ]
     },
     {
       id: 'inventory',
@@ -101,7 +110,9 @@ export default function AdminSidebar({ isOpen, onClose, stats = null }) {
       badge: null,
       subItems: [
         { label: 'Fabrics', path: '/admin/inventory/fabrics' },
-        { label: 'Accessories', path: '/admin/inventory/accessories' }
+        { label: 'Accessories', path: '/admin/inventory/accessories' },
+        { label: 'Purchasing', path: '/admin/inventory/purchasing' },
+        { label: 'Stock History', path: '/admin/inventory/stock' }
       ]
     },
     {
@@ -149,6 +160,7 @@ export default function AdminSidebar({ isOpen, onClose, stats = null }) {
         { label: 'General', path: '/admin/settings/general' },
         { label: 'Payment', path: '/admin/settings/payment' },
         { label: 'Shipping', path: '/admin/settings/shipping' },
+        { label: 'Currencies', path: '/admin/settings/currencies' },
         { label: 'Email', path: '/admin/settings/email' },
         { label: 'SEO', path: '/admin/settings/seo' },
         { label: 'Users', path: '/admin/settings/users' }
@@ -123,7 +123,9 @@ export default function ProductForm({
       standardSizes: ['XS', 'S', 'M', 'L', 'XL', 'XXL'],
       customSizeOnly: false,
       measurementGuide: ''
-    }
+    },
+    // Colour x size variants, each with its own SKU, image, price and stock
+    variants: []
   });
 
   const [categories, setCategories] = useState([]);
@@ -211,7 +213,18 @@ export default function ProductForm({
           standardSizes: initialData.sizeAvailability?.standardSizes || ['XS', 'S', 'M', 'L', 'XL', 'XXL'],
           customSizeOnly: initialData.sizeAvailability?.customSizeOnly ?? false,
           measurementGuide: initialData.sizeAvailability?.measurementGuide || ''
-        }
+        },
+        variants: (initialData.variants || []).map(variant => ({
+          _id: variant._id,
+          color: variant.color || '',
+          hexCode: variant.hexCode || '',
+          size: variant.size || '',
+          sku: variant.sku || '',
+          image: variant.images?.[0] || '',
+          priceOverride: variant.priceOverride ?? '',
+          stockQuantity: variant.stockQuantity ?? 0,
+          isActive: variant.isActive ?? true
+        }))
       });
     }
   }, [initialData, isEdit]);
@@ -382,6 +395,33 @@ export default function ProductForm({
     }));
   };
 
+  /**
+   * Variant rows
+   */
+  const handleAddVariant = () => {
+    setFormData(prev => ({
+      ...prev,
+      variants: [
+        ...prev.variants,
+        { color: '', hexCode: '', size: '', sku: '', image: '', priceOverride: '', stockQuantity: 0, isActive: true }
+      ]
+    }));
+  };
+
+  const handleVariantChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      variants: prev.variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant))
+    }));
+  };
+
+  const handleRemoveVariant = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      variants: prev.variants.filter((_, i) => i !== index)
+    }));
+  };
+
   /**
    * Handle image upload
    */
@@ -523,6 +563,21 @@ export default function ProductForm({
       newErrors.basePrice = 'Base price must be greater than 0';
     }
 
+    // Variants: colour and size required, one row per combination
+    const variantKeys = new Set();
+    for (const variant of formData.variants) {
+      const key = `${variant.color.trim().toLowerCase()}|${variant.size}`;
+      if (!variant.color.trim() || !variant.size) {
+        newErrors.variants = 'Every variant needs a colour and a size';
+        break;
+      }
+      if (variantKeys.has(key)) {
+        newErrors.variants = `${variant.color} / ${variant.size} is listed twice`;
+        break;
+      }
+      variantKeys.add(key);
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -557,7 +612,15 @@ export default function ProductForm({
         basePrice: parseFloat(formData.pricing.basePrice) || 0,
         customStitchingCharge: parseFloat(formData.pricing.customStitchingCharge) || 0,
         discount: parseFloat(formData.pricing.discount) || 0
-      }
+      },
+      variants: formData.variants.map(({ image, ...variant }) => ({
+        ...variant,
+        hexCode: variant.hexCode || undefined,
+        sku: variant.sku || undefined,
+        images: image ? [image] : [],
+        priceOverride: variant.priceOverride === '' ? null : parseFloat(variant.priceOverride),
+        stockQuantity: parseInt(variant.stockQuantity, 10) || 0
+      }))
     };
 
     // Submit transformed form data
@@ -1184,6 +1247,124 @@ export default function ProductForm({
         </div>
       </section>
 
+      {/* Variants */}
+      <section>
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 pb-2 border-b border-gray-200">
+          Colour &amp; Size Variants
+        </h2>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Add a row per colour and size to stock them separately. Leave SKU empty to generate it,
+          and price empty to use the base price.
+        </p>
+
+        {formData.variants.length > 0 && (
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-2 pr-2 font-medium">Colour</th>
+                  <th className="py-2 pr-2 font-medium">Hex</th>
+                  <th className="py-2 pr-2 font-medium">Size</th>
+                  <th className="py-2 pr-2 font-medium">SKU</th>
+                  <th className="py-2 pr-2 font-medium">Image URL</th>
+                  <th className="py-2 pr-2 font-medium">Price (PKR)</th>
+                  <th className="py-2 pr-2 font-medium">Stock</th>
+                  <th className="py-2 pr-2 font-medium">Active</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {formData.variants.map((variant, index) => (
+                  <tr key={variant._id || index} className="border-t border-gray-100">
+                    <td className="py-2 pr-2">
+                      <Input
+                        value={variant.color}
+                        placeholder="Maroon"
+                        onChange={(e) => handleVariantChange(index, 'color', e.target.value)}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <Input
+                        value={variant.hexCode}
+                        placeholder="#800000"
+                        onChange={(e) => handleVariantChange(index, 'hexCode', e.target.value)}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <Select
+                        value={variant.size}
+                        onChange={(e) => handleVariantChange(index, 'size', e.target.value)}
+                      >
+                        <option value="">Size</option>
+                        {['XS', 'S', 'M', 'L', 'XL', 'XXL', '3XL'].map(size => (
+                          <option key={size} value={size}>{size}</option>
+                        ))}
+                      </Select>
+                    </td>
+                    <td className="py-2 pr-2">
+                      <Input
+                        value={variant.sku}
+                        placeholder="Auto"
+                        onChange={(e) => handleVariantChange(index, 'sku', e.target.value)}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <Input
+                        value={variant.image}
+                        placeholder="https://"
+                        onChange={(e) => handleVariantChange(index, 'image', e.target.value)}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <Input
+                        type="number"
+                        value={variant.priceOverride}
+                        placeholder={formData.pricing.basePrice || 'Base'}
+                        min="0"
+                        onChange={(e) => handleVariantChange(index, 'priceOverride', e.target.value)}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <Input
+                        type="number"
+                        value={variant.stockQuantity}
+                        min="0"
+                        onChange={(e) => handleVariantChange(index, 'stockQuantity', e.target.value)}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <Checkbox
+                        checked={variant.isActive}
+                        onChange={(e) => handleVariantChange(index, 'isActive', e.target.checked)}
+                      />
+                    </td>
+                    <td className="py-2">
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveVariant(index)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        aria-label="Remove variant"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {errors.variants && (
+          <p className="text-sm text-red-600 mb-2">{errors.variants}</p>
+        )}
+
+        <Button type="button" variant="outlined" onClick={handleAddVariant}>
+          Add Variant
+        </Button>
+      </section>
+
       {/* Availability */}
       <section>
         <h2 className="text-lg font-semibold text-gray-900 mb-4 pb-2 border-b border-gray-200">
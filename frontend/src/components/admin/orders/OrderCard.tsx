@@ -17,7 +17,7 @@ import {
 import { Badge } from '@/components/ui/Badge';
 import { Button } from '@/components/ui/Button';
 import { formatCurrency, formatDate } from '@/lib/utils';
-import type { Order, OrderStatus } from '@/types/order-management';
+import type { Order, OrderStatus, PaymentStatus } from '@/types/order-management';
 
 interface OrderCardProps {
   order: Order;
@@ -37,8 +37,9 @@ const statusConfig: Record<OrderStatus, { label: string; color: string; bgColor:
   'refunded': { label: 'Refunded', color: 'text-gray-700', bgColor: 'bg-gray-100' },
 };
 
-const paymentStatusConfig = {
+const paymentStatusConfig: Record<PaymentStatus, { label: string; color: string; bgColor: string; icon: typeof Clock }> = {
   pending: { label: 'Pending', color: 'text-orange-700', bgColor: 'bg-orange-100', icon: Clock },
+  partial: { label: 'Partially Paid', color: 'text-amber-700', bgColor: 'bg-amber-100', icon: Clock },
   verified: { label: 'Verified', color: 'text-green-700', bgColor: 'bg-green-100', icon: CheckCircle },
   failed: { label: 'Failed', color: 'text-red-700', bgColor: 'bg-red-100', icon: XCircle },
   refunded: { label: 'Refunded', color: 'text-gray-700', bgColor: 'bg-gray-100', icon: AlertCircle },
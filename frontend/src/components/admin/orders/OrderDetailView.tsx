@@ -60,6 +60,11 @@ export default function OrderDetailView({ order }: OrderDetailViewProps) {
                           SKU: {item.productSnapshot.sku}
                         </p>
                       )}
+                      {item.variantSnapshot && (
+                        <p className="text-xs text-gray-600 mb-1">
+                          {item.variantSnapshot.color} / {item.variantSnapshot.size}
+                        </p>
+                      )}
                       {item.isCustom && (
                         <Badge variant="secondary" className="mt-1">
                           Custom Order
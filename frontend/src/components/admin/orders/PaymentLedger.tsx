@@ -0,0 +1,276 @@
+/**
+ * PaymentLedger Component
+ * Installment payments for an order: deposit, balance due, verification
+ * of submitted receipts, offline payments and balance reminders
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { CheckCircle, XCircle, Bell, Plus, ExternalLink } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import Input from '@/components/ui/Input';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatCurrency, formatDate } from '@/lib/utils';
+import type { ApiResponse } from '@/types/api';
+import type { PaymentLedger as Ledger, PaymentInstallment, RecordPaymentRequest } from '@/types/order-management';
+
+interface PaymentLedgerProps {
+  orderId: string;
+  onChange?: () => void;
+}
+
+const INSTALLMENT_BADGES: Record<PaymentInstallment['status'], string> = {
+  pending: 'bg-orange-100 text-orange-700',
+  verified: 'bg-green-100 text-green-700',
+  rejected: 'bg-red-100 text-red-700',
+};
+
+const METHOD_OPTIONS: { value: RecordPaymentRequest['method']; label: string }[] = [
+  { value: 'bank-transfer', label: 'Bank Transfer' },
+  { value: 'jazzcash', label: 'JazzCash' },
+  { value: 'easypaisa', label: 'EasyPaisa' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'cod', label: 'COD Collection' },
+];
+
+export default function PaymentLedger({ orderId, onChange }: PaymentLedgerProps) {
+  const [ledger, setLedger] = useState<Ledger | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [showRecordForm, setShowRecordForm] = useState(false);
+  const [payment, setPayment] = useState<RecordPaymentRequest>({ amount: 0, method: 'bank-transfer' });
+
+  const fetchLedger = useCallback(async () => {
+    try {
+      const response = await api.orders.admin.getPayments(orderId) as unknown as ApiResponse<{ ledger: Ledger }>;
+      setLedger(response.data?.ledger ?? null);
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      toast.error(getApiErrorMessage(error, 'Failed to fetch payments'));
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    fetchLedger();
+  }, [fetchLedger]);
+
+  const afterUpdate = async (message: string) => {
+    toast.success(message);
+    await fetchLedger();
+    onChange?.();
+  };
+
+  const handleReview = async (installment: PaymentInstallment, approved: boolean) => {
+    let rejectionReason: string | undefined;
+    if (!approved) {
+      rejectionReason = window.prompt('Reason for rejecting this payment') || undefined;
+      if (!rejectionReason) return;
+    }
+
+    setBusy(true);
+    try {
+      await api.orders.admin.reviewPayment(orderId, installment._id, { approved, rejectionReason });
+      await afterUpdate(approved ? 'Payment verified' : 'Payment rejected');
+    } catch (error) {
+      toast.error(getApiErrorMessage(error, 'Failed to review payment'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRecord = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!payment.amount || payment.amount <= 0) {
+      toast.error('Please enter the amount received');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await api.orders.admin.recordPayment(orderId, payment);
+      setShowRecordForm(false);
+      setPayment({ amount: 0, method: 'bank-transfer' });
+      await afterUpdate('Payment recorded');
+    } catch (error) {
+      toast.error(getApiErrorMessage(error, 'Failed to record payment'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReminder = async () => {
+    setBusy(true);
+    try {
+      await api.orders.admin.sendBalanceReminder(orderId);
+      await afterUpdate('Balance reminder sent');
+    } catch (error) {
+      toast.error(getApiErrorMessage(error, 'Failed to send reminder'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="h-32 bg-gray-100 rounded-lg animate-pulse" />;
+  }
+
+  if (!ledger) return null;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Payment Ledger</h3>
+        <div className="flex gap-2">
+          {ledger.balanceDue > 0 && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleReminder}
+              disabled={busy}
+              className="flex items-center gap-2"
+              ariaLabel="Send balance reminder"
+            >
+              <Bell className="w-4 h-4" />
+              Remind
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setShowRecordForm(!showRecordForm)}
+            className="flex items-center gap-2"
+            ariaLabel="Record a payment"
+          >
+            <Plus className="w-4 h-4" />
+            Record Payment
+          </Button>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Order Total</p>
+          <p className="text-sm font-semibold text-gray-900">{formatCurrency(ledger.total)}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Deposit ({ledger.depositPercentage}%)</p>
+          <p className="text-sm font-semibold text-gray-900">{formatCurrency(ledger.depositAmount)}</p>
+        </div>
+        <div className="p-3 bg-green-50 rounded-lg">
+          <p className="text-xs text-green-700">Paid</p>
+          <p className="text-sm font-semibold text-green-800">{formatCurrency(ledger.amountPaid)}</p>
+        </div>
+        <div className={ledger.balanceDue > 0 ? 'p-3 bg-orange-50 rounded-lg' : 'p-3 bg-gray-50 rounded-lg'}>
+          <p className="text-xs text-orange-700">Balance Due</p>
+          <p className="text-sm font-semibold text-orange-800">{formatCurrency(ledger.balanceDue)}</p>
+        </div>
+      </div>
+
+      {!ledger.canDispatch && (
+        <p className="text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3">
+          The balance must be paid before this order can be dispatched.
+          {ledger.balanceReminder?.lastSentAt && (
+            <> Last reminder sent {formatDate(ledger.balanceReminder.lastSentAt, 'short')}.</>
+          )}
+        </p>
+      )}
+
+      {/* Record offline payment */}
+      {showRecordForm && (
+        <form onSubmit={handleRecord} className="grid grid-cols-1 md:grid-cols-4 gap-3 p-4 border border-gray-200 rounded-lg">
+          <Input
+            type="number"
+            value={payment.amount ? String(payment.amount) : ''}
+            onChange={(e) => setPayment({ ...payment, amount: Number(e.target.value) })}
+            placeholder="Amount (PKR)"
+            required
+          />
+          <select
+            value={payment.method}
+            onChange={(e) => setPayment({ ...payment, method: e.target.value as RecordPaymentRequest['method'] })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {METHOD_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <Input
+            type="text"
+            value={payment.transactionId || ''}
+            onChange={(e) => setPayment({ ...payment, transactionId: e.target.value })}
+            placeholder="Transaction ID (optional)"
+          />
+          <Button type="submit" disabled={busy} ariaLabel="Save payment">
+            Save
+          </Button>
+        </form>
+      )}
+
+      {/* Installments */}
+      {ledger.installments.length === 0 ? (
+        <p className="text-sm text-gray-500">No installments recorded yet.</p>
+      ) : (
+        <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {ledger.installments.map(installment => (
+            <div key={installment._id} className="flex items-center justify-between p-3 gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-semibold text-gray-900">{formatCurrency(installment.amount)}</span>
+                  <Badge className={INSTALLMENT_BADGES[installment.status]}>{installment.status}</Badge>
+                  <span className="text-xs text-gray-500 capitalize">{installment.method.replace('-', ' ')}</span>
+                </div>
+                <p className="text-xs text-gray-500 truncate">
+                  {formatDate(installment.paidAt, 'short')}
+                  {installment.transactionId && ` · ${installment.transactionId}`}
+                  {installment.rejectionReason && ` · ${installment.rejectionReason}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                {installment.receiptImage?.url && (
+                  <a
+                    href={installment.receiptImage.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-gray-500 hover:text-gray-700"
+                    aria-label="Open receipt"
+                  >
+                    <ExternalLink className="w-4 h-4" />
+                  </a>
+                )}
+                {installment.status === 'pending' && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => handleReview(installment, true)}
+                      disabled={busy}
+                      className="text-green-600 hover:text-green-700 disabled:opacity-50"
+                      aria-label="Verify payment"
+                    >
+                      <CheckCircle className="w-5 h-5" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleReview(installment, false)}
+                      disabled={busy}
+                      className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                      aria-label="Reject payment"
+                    >
+                      <XCircle className="w-5 h-5" />
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
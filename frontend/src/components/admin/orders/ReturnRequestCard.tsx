@@ -0,0 +1,290 @@
+/**
+ * ReturnRequestCard Component
+ * A return/alteration request with the admin action for its current status:
+ * review, schedule pickup, mark received and resolve
+ */
+
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import Image from 'next/image';
+import { CheckCircle, XCircle, Truck, PackageCheck, ExternalLink } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import Input from '@/components/ui/Input';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import { formatCurrency, formatDate } from '@/lib/utils';
+import type { ReturnRequest, ReturnResolutionType, ResolveReturnRequest } from '@/types/order-management';
+
+interface ReturnRequestCardProps {
+  request: ReturnRequest;
+  onChange: () => void;
+}
+
+const STATUS_BADGES: Record<ReturnRequest['status'], string> = {
+  requested: 'bg-yellow-100 text-yellow-700',
+  approved: 'bg-blue-100 text-blue-700',
+  rejected: 'bg-red-100 text-red-700',
+  'pickup-scheduled': 'bg-cyan-100 text-cyan-700',
+  received: 'bg-indigo-100 text-indigo-700',
+  'in-production': 'bg-purple-100 text-purple-700',
+  resolved: 'bg-green-100 text-green-700',
+  cancelled: 'bg-gray-100 text-gray-700',
+};
+
+const COURIERS = ['TCS', 'Leopards', 'M&P', 'BlueEx', 'Trax', 'Call Courier', 'Self-Pickup', 'Other'];
+
+// Resolutions allowed for each request type (matches the API)
+const RESOLUTIONS: Record<ReturnRequest['type'], { value: ReturnResolutionType; label: string }[]> = {
+  alteration: [
+    { value: 'altered', label: 'Alteration completed' },
+    { value: 'refund', label: 'Refund' },
+    { value: 'store-credit', label: 'Store credit' },
+  ],
+  return: [
+    { value: 'refund', label: 'Refund' },
+    { value: 'store-credit', label: 'Store credit' },
+  ],
+  exchange: [
+    { value: 'exchange', label: 'Replacement sent' },
+    { value: 'refund', label: 'Refund' },
+    { value: 'store-credit', label: 'Store credit' },
+  ],
+};
+
+export default function ReturnRequestCard({ request, onChange }: ReturnRequestCardProps) {
+  const [busy, setBusy] = useState(false);
+  const [pickup, setPickup] = useState({ courierService: 'TCS', trackingNumber: '' });
+  const [resolution, setResolution] = useState<ResolveReturnRequest>({
+    type: RESOLUTIONS[request.type][0].value,
+    amount: request.itemsValue || undefined,
+  });
+  const [shipment, setShipment] = useState({ courierService: 'TCS', trackingNumber: '' });
+
+  const customer = typeof request.customer === 'object' ? request.customer : null;
+  const productionStatus = typeof request.productionQueue === 'object' ? request.productionQueue?.status : null;
+  const needsAmount = resolution.type === 'refund' || resolution.type === 'store-credit';
+
+  const run = async (action: () => Promise<unknown>, message: string) => {
+    setBusy(true);
+    try {
+      await action();
+      toast.success(message);
+      onChange();
+    } catch (error) {
+      toast.error(getApiErrorMessage(error, 'Action failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReview = (approved: boolean) => {
+    let rejectionReason: string | undefined;
+    if (!approved) {
+      rejectionReason = window.prompt('Reason for rejecting this request') || undefined;
+      if (!rejectionReason) return;
+    }
+    run(
+      () => api.returns.review(request._id, { approved, rejectionReason }),
+      approved ? 'Request approved' : 'Request rejected'
+    );
+  };
+
+  const handleResolve = () => {
+    const data: ResolveReturnRequest = { type: resolution.type, notes: resolution.notes };
+    if (needsAmount) {
+      if (!resolution.amount || resolution.amount <= 0) {
+        toast.error('Please enter the amount');
+        return;
+      }
+      data.amount = resolution.amount;
+    } else if (shipment.trackingNumber) {
+      data.returnShipment = shipment;
+    }
+    run(() => api.returns.resolve(request._id, data), 'Request resolved');
+  };
+
+  return (
+    <div className="p-5 bg-white border border-gray-200 rounded-lg space-y-4">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+        <div>
+          <div className="flex items-center gap-2">
+            <span className="font-semibold text-gray-900">{request.requestNumber}</span>
+            <Badge className={STATUS_BADGES[request.status]}>{request.status.replace(/-/g, ' ')}</Badge>
+            <span className="text-sm text-gray-600 capitalize">{request.type}</span>
+            {request.isChargeable && <Badge className="bg-orange-100 text-orange-700">chargeable</Badge>}
+          </div>
+          <p className="text-sm text-gray-600 mt-1">
+            <Link href={`/admin/orders/${request.order}`} className="text-purple-600 hover:underline">
+              {request.orderNumber}
+            </Link>
+            {customer && ` · ${customer.fullName} · ${customer.phone || customer.email}`}
+          </p>
+          <p className="text-xs text-gray-500 mt-1">Requested {formatDate(request.createdAt, 'short')}</p>
+        </div>
+        <div className="text-sm text-gray-700 md:text-right">
+          <p className="capitalize">Reason: {request.reason.replace(/-/g, ' ')}</p>
+          <p>Value: {formatCurrency(request.itemsValue)}</p>
+        </div>
+      </div>
+
+      {/* Details */}
+      <div className="text-sm text-gray-700 space-y-1">
+        <p>{request.items.map(item => `${item.title || 'Item'} × ${item.quantity}`).join(', ')}</p>
+        {request.description && <p className="text-gray-600">{request.description}</p>}
+      </div>
+
+      {request.photos.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {request.photos.map(photo => (
+            <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer" className="relative block">
+              <Image src={photo.url} alt="Customer evidence" width={64} height={64} className="w-16 h-16 object-cover rounded border border-gray-200" />
+              <ExternalLink className="absolute bottom-1 right-1 w-3 h-3 text-white drop-shadow" />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {request.pickup?.courierService && (
+        <p className="text-sm text-gray-600">
+          Pickup: {request.pickup.courierService}
+          {request.pickup.trackingNumber && ` · ${request.pickup.trackingNumber}`}
+          {request.pickup.receivedAt && ` · received ${formatDate(request.pickup.receivedAt, 'short')}`}
+        </p>
+      )}
+
+      {request.status === 'rejected' && request.review?.rejectionReason && (
+        <p className="text-sm text-red-700">Rejected: {request.review.rejectionReason}</p>
+      )}
+
+      {request.status === 'resolved' && request.resolution && (
+        <p className="text-sm text-green-700">
+          Resolved ({request.resolution.type.replace('-', ' ')})
+          {request.resolution.amount ? ` · ${formatCurrency(request.resolution.amount)}` : ''}
+          {request.resolution.returnShipment?.trackingNumber &&
+            ` · ${request.resolution.returnShipment.courierService} ${request.resolution.returnShipment.trackingNumber}`}
+        </p>
+      )}
+
+      {/* Actions */}
+      {request.status === 'requested' && (
+        <div className="flex gap-2">
+          <Button size="sm" onClick={() => handleReview(true)} disabled={busy} className="flex items-center gap-2" ariaLabel="Approve request">
+            <CheckCircle className="w-4 h-4" />
+            Approve
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => handleReview(false)} disabled={busy} className="flex items-center gap-2" ariaLabel="Reject request">
+            <XCircle className="w-4 h-4" />
+            Reject
+          </Button>
+        </div>
+      )}
+
+      {request.status === 'approved' && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2 p-3 bg-gray-50 rounded-lg">
+          <select
+            value={pickup.courierService}
+            onChange={(e) => setPickup({ ...pickup, courierService: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            aria-label="Pickup courier"
+          >
+            {COURIERS.map(courier => <option key={courier} value={courier}>{courier}</option>)}
+          </select>
+          <Input
+            type="text"
+            value={pickup.trackingNumber}
+            onChange={(e) => setPickup({ ...pickup, trackingNumber: e.target.value })}
+            placeholder="Tracking number"
+          />
+          <Button
+            size="sm"
+            onClick={() => run(() => api.returns.schedulePickup(request._id, pickup), 'Pickup scheduled')}
+            disabled={busy}
+            className="flex items-center gap-2"
+            ariaLabel="Schedule pickup"
+          >
+            <Truck className="w-4 h-4" />
+            Schedule Pickup
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => run(() => api.returns.markReceived(request._id), 'Item received')}
+            disabled={busy}
+            ariaLabel="Mark item as received"
+          >
+            Dropped Off
+          </Button>
+        </div>
+      )}
+
+      {request.status === 'pickup-scheduled' && (
+        <Button
+          size="sm"
+          onClick={() => run(() => api.returns.markReceived(request._id), 'Item received')}
+          disabled={busy}
+          className="flex items-center gap-2"
+          ariaLabel="Mark item as received"
+        >
+          <PackageCheck className="w-4 h-4" />
+          Mark Received
+        </Button>
+      )}
+
+      {['received', 'in-production'].includes(request.status) && (
+        <div className="space-y-2 p-3 bg-gray-50 rounded-lg">
+          {request.status === 'in-production' && (
+            <p className="text-sm text-purple-700">
+              In the production queue{productionStatus ? ` (${productionStatus.replace(/-/g, ' ')})` : ''}.
+              Resolve once the alteration is ready for shipment.
+            </p>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+            <select
+              value={resolution.type}
+              onChange={(e) => setResolution({ ...resolution, type: e.target.value as ReturnResolutionType })}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              aria-label="Resolution"
+            >
+              {RESOLUTIONS[request.type].map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {needsAmount ? (
+              <Input
+                type="number"
+                value={resolution.amount ? String(resolution.amount) : ''}
+                onChange={(e) => setResolution({ ...resolution, amount: Number(e.target.value) })}
+                placeholder="Amount (PKR)"
+              />
+            ) : (
+              <>
+                <select
+                  value={shipment.courierService}
+                  onChange={(e) => setShipment({ ...shipment, courierService: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  aria-label="Return courier"
+                >
+                  {COURIERS.map(courier => <option key={courier} value={courier}>{courier}</option>)}
+                </select>
+                <Input
+                  type="text"
+                  value={shipment.trackingNumber}
+                  onChange={(e) => setShipment({ ...shipment, trackingNumber: e.target.value })}
+                  placeholder="Tracking number"
+                />
+              </>
+            )}
+            <Button size="sm" onClick={handleResolve} disabled={busy} ariaLabel="Resolve request">
+              Resolve
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,42 +1,40 @@
 /**
  * StatusUpdateModal Component
  * Modal for updating order status with confirmation
+ * Offers the moves the backend status machine allows from the current status
  */
 
 'use client';
 
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { X, AlertCircle, CheckCircle } from 'lucide-react';
 import { Button } from '@/components/ui/Button';
 import { Select } from '@/components/ui/Select';
 import { Textarea } from '@/components/ui/Textarea';
 import { Checkbox } from '@/components/ui/Checkbox';
-import type { OrderStatus, StatusUpdateRequest } from '@/types/order-management';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import type { ApiResponse } from '@/types/api';
+import type {
+  OrderStatus,
+  OrderStatusTransition,
+  OrderTransitionsResponse,
+  StatusUpdateRequest,
+} from '@/types/order-management';
 
 interface StatusUpdateModalProps {
   isOpen: boolean;
+  orderId: string;
   currentStatus: OrderStatus;
   orderNumber: string;
   onClose: () => void;
   onUpdate: (data: StatusUpdateRequest) => Promise<void>;
 }
 
-const statusOptions: Array<{ value: OrderStatus; label: string; description?: string }> = [
-  { value: 'pending-payment', label: 'Pending Payment', description: 'Waiting for payment verification' },
-  { value: 'payment-verified', label: 'Payment Verified', description: 'Payment confirmed, ready to process' },
-  { value: 'material-arranged', label: 'Material Arranged', description: 'Materials collected and ready' },
-  { value: 'in-progress', label: 'In Progress', description: 'Order is being processed' },
-  { value: 'quality-check', label: 'Quality Check', description: 'Quality inspection in progress' },
-  { value: 'ready-dispatch', label: 'Ready for Dispatch', description: 'Order ready to ship' },
-  { value: 'dispatched', label: 'Dispatched', description: 'Order shipped to customer' },
-  { value: 'delivered', label: 'Delivered', description: 'Order delivered successfully' },
-  { value: 'cancelled', label: 'Cancelled', description: 'Order has been cancelled' },
-  { value: 'refunded', label: 'Refunded', description: 'Order refund processed' },
-];
-
 export default function StatusUpdateModal({
   isOpen,
+  orderId,
   currentStatus,
   orderNumber,
   onClose,
@@ -47,6 +45,32 @@ export default function StatusUpdateModal({
   const [notifyCustomer, setNotifyCustomer] = useState(true);
   const [isUpdating, setIsUpdating] = useState(false);
   const [error, setError] = useState('');
+  const [transitions, setTransitions] = useState<OrderStatusTransition[]>([]);
+  const [currentLabel, setCurrentLabel] = useState<string>(currentStatus);
+  const [loadingTransitions, setLoadingTransitions] = useState(false);
+
+  // Load the moves available from the current status each time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchTransitions = async () => {
+      setLoadingTransitions(true);
+      setError('');
+      try {
+        const response = await api.orders.admin.getTransitions(orderId) as unknown as ApiResponse<OrderTransitionsResponse>;
+        const available = response.data?.transitions || [];
+        setTransitions(available);
+        setCurrentLabel(response.data?.label || currentStatus);
+        setNewStatus(available.find(t => t.allowed)?.to || currentStatus);
+      } catch (err) {
+        setError(getApiErrorMessage(err, 'Failed to load available statuses'));
+      } finally {
+        setLoadingTransitions(false);
+      }
+    };
+
+    fetchTransitions();
+  }, [isOpen, orderId, currentStatus]);
 
   if (!isOpen) return null;
 
@@ -70,13 +94,14 @@ export default function StatusUpdateModal({
       setNote('');
       setNotifyCustomer(true);
     } catch (err: any) {
-      setError(err.message || 'Failed to update status');
+      setError(err.response?.data?.message || err.message || 'Failed to update status');
     } finally {
       setIsUpdating(false);
     }
   };
 
-  const selectedStatus = statusOptions.find(s => s.value === newStatus);
+  const selectedStatus = transitions.find(t => t.to === newStatus);
+  const blocked = transitions.filter(t => !t.allowed);
 
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto">
@@ -116,7 +141,7 @@ export default function StatusUpdateModal({
               </label>
               <div className="px-3 py-2 bg-gray-50 rounded-lg">
                 <span className="text-sm text-gray-600">
-                  {statusOptions.find(s => s.value === currentStatus)?.label}
+                  {currentLabel}
                 </span>
               </div>
             </div>
@@ -126,24 +151,39 @@ export default function StatusUpdateModal({
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 New Status <span className="text-red-500">*</span>
               </label>
-              <Select
-                value={newStatus}
-                onChange={(e) => setNewStatus(e.target.value as OrderStatus)}
-                required
-              >
-                {statusOptions
-                  .filter(option => option.value !== currentStatus)
-                  .map(option => (
-                    <option key={option.value} value={option.value}>
-                      {option.label}
+              {loadingTransitions ? (
+                <div className="h-10 bg-gray-100 rounded-lg animate-pulse" />
+              ) : transitions.length === 0 ? (
+                <p className="text-sm text-gray-600">
+                  No further status changes are possible for this order.
+                </p>
+              ) : (
+                <Select
+                  value={newStatus}
+                  onChange={(e) => setNewStatus(e.target.value as OrderStatus)}
+                  required
+                >
+                  {transitions.map(transition => (
+                    <option key={transition.to} value={transition.to} disabled={!transition.allowed}>
+                      {transition.label}
                     </option>
                   ))}
-              </Select>
+                </Select>
+              )}
               {selectedStatus?.description && (
                 <p className="text-xs text-gray-500 mt-1">
                   {selectedStatus.description}
                 </p>
               )}
+              {blocked.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {blocked.map(transition => (
+                    <li key={transition.to} className="text-xs text-orange-700">
+                      {transition.label}: {transition.reason}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
 
             {/* Note */}
@@ -194,7 +234,7 @@ export default function StatusUpdateModal({
               </Button>
               <Button
                 type="submit"
-                disabled={isUpdating || newStatus === currentStatus}
+                disabled={isUpdating || loadingTransitions || newStatus === currentStatus || !selectedStatus?.allowed}
                 className="flex items-center gap-2"
               >
                 {isUpdating ? (
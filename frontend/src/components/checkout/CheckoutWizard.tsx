@@ -6,10 +6,12 @@
  */
 
 import { useState } from 'react'
+import { useSearchParams } from 'next/navigation'
 import { motion, AnimatePresence } from 'framer-motion'
 import { Check, ChevronRight, Truck, CreditCard, ClipboardCheck, Scissors } from 'lucide-react'
 import { useCartStore } from '@/store/cartStore'
-import { createNewOrder, calculateShipping, type CheckoutData } from '@/app/actions/orders'
+import { createNewOrder, type CheckoutData } from '@/app/actions/orders'
+import { isOnlinePaymentMethod, startOnlinePayment } from '@/lib/payment-gateway'
 import { cn } from '@/lib/utils'
 
 // Step components (to be created separately)
@@ -31,7 +33,12 @@ export function CheckoutWizard() {
   const subtotal = useCartStore((state) => state.subtotal)
   const clearCart = useCartStore((state) => state.clearCart)
 
-  const [currentStep, setCurrentStep] = useState<Step>('shipping')
+  const searchParams = useSearchParams()
+
+  // Coming back from JazzCash/EasyPaisa lands on the payment step to show the result
+  const [currentStep, setCurrentStep] = useState<Step>(
+    searchParams?.get('paymentAttempt') ? 'payment' : 'shipping'
+  )
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [orderResult, setOrderResult] = useState<{ orderNumber: string } | null>(null)
 
@@ -91,7 +98,8 @@ export function CheckoutWizard() {
     setIsSubmitting(true)
 
     try {
-      const shippingFee = await calculateShipping(checkoutData.shippingAddress.city)
+      // Quoted for the address and chosen delivery method in the shipping step
+      const shippingFee = checkoutData.shippingFee || 0
 
       const orderData: CheckoutData = {
         email: checkoutData.email!,
@@ -100,6 +108,7 @@ export function CheckoutWizard() {
         items: checkoutData.items!,
         subtotal: checkoutData.subtotal!,
         shippingFee,
+        shippingRate: checkoutData.shippingRate,
         stitchingFee: checkoutData.stitchingFee!,
         discountCode: checkoutData.discountCode,
         discountAmount: checkoutData.discountAmount!,
@@ -111,6 +120,18 @@ export function CheckoutWizard() {
 
       if (result.success && result.orderNumber) {
         clearCart()
+
+        if (isOnlinePaymentMethod(orderData.paymentMethod)) {
+          try {
+            await startOnlinePayment(result.orderNumber, orderData.paymentMethod)
+            return
+          } catch (paymentError) {
+            // The order is placed; show it so the customer can contact us to pay
+            console.error('Payment redirect error:', paymentError)
+            alert('Your order was placed but we could not open the payment page. Please contact us to complete payment.')
+          }
+        }
+
         setOrderResult({ orderNumber: result.orderNumber })
       } else {
         throw new Error(result.error || 'Order failed')
@@ -30,7 +30,7 @@ export interface OrderConfirmationData {
   orderNumber: string;
   total: number;
   itemCount: number;
-  paymentMethod: 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod';
+  paymentMethod: 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod' | 'wallet';
   customerName: string;
   customerEmail: string;
   customerPhone: string;
@@ -101,6 +101,7 @@ export default function OrderConfirmation({ order }: OrderConfirmationProps) {
       'jazzcash': 'JazzCash',
       'easypaisa': 'Easypaisa',
       'cod': 'Cash on Delivery',
+      'wallet': 'Store Credit',
     };
     return methods[method] || method;
   };
@@ -1,6 +1,6 @@
 /**
  * Order Summary Component
- * Sidebar showing order summary with promo code
+ * Sidebar showing order summary with promo code and loyalty points
  * 
  * @module components/checkout/OrderSummary
  */
@@ -10,9 +10,9 @@
 
 import { useState } from 'react';
 import { useCart } from '@/hooks/useCart';
-import { Tag, X, AlertCircle } from 'lucide-react';
+import { Tag, X, AlertCircle, Coins } from 'lucide-react';
 import { formatCurrency } from '@/lib/utils';
-import type { CartItem } from '@/types/cart';
+import type { AppliedPromotion, CartItem, CartLoyalty } from '@/types/cart';
 
 interface OrderSummaryProps {
   items: CartItem[];
@@ -21,8 +21,18 @@ interface OrderSummaryProps {
   discount: number;
   tax: number;
   total: number;
+  /** Automatic promotions in the discount */
+  promotions?: AppliedPromotion[];
+  /** Why the entered code was not applied */
+  promoCodeError?: string;
   promoCode?: string;
   onPromoCodeChange?: (code: string) => void;
+  /** Tier discount and points in the discount */
+  loyalty?: CartLoyalty;
+  /** Why the points were not applied */
+  loyaltyError?: string;
+  /** Points to spend; the points field is only shown when set (logged-in customers) */
+  onLoyaltyPointsChange?: (points: number) => void;
 }
 
 export default function OrderSummary({
@@ -32,13 +42,20 @@ export default function OrderSummary({
   discount,
   tax,
   total,
+  promotions = [],
+  promoCodeError,
   promoCode,
   onPromoCodeChange,
+  loyalty,
+  loyaltyError,
+  onLoyaltyPointsChange,
 }: OrderSummaryProps) {
   const { applyPromoCode, removePromoCode, isLoading } = useCart();
   const [promoInput, setPromoInput] = useState(promoCode || '');
   const [promoError, setPromoError] = useState('');
   const [promoSuccess, setPromoSuccess] = useState('');
+  const [pointsInput, setPointsInput] = useState('');
+  const pointsApplied = Boolean(loyalty?.pointsRedeemed);
 
   const handleApplyPromo = async () => {
     if (!promoInput.trim()) {
@@ -167,6 +184,66 @@ export default function OrderSummary({
               <X className="w-4 h-4" />
             </button>
           </div>
+          {promoCodeError && (
+            <p className="mt-2 text-sm text-amber-700 flex items-center gap-1">
+              <AlertCircle className="w-4 h-4" />
+              {promoCodeError}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Loyalty Points */}
+      {onLoyaltyPointsChange && (
+        <div className="mb-6">
+          <label htmlFor="loyalty-points" className="block text-sm font-medium text-gray-700 mb-2">
+            Loyalty Points
+          </label>
+          {pointsApplied ? (
+            <div className="p-3 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <Coins className="w-4 h-4 text-green-600" />
+                <span className="text-sm font-medium text-green-800">
+                  {loyalty?.pointsRedeemed.toLocaleString()} points applied
+                </span>
+              </div>
+              <button
+                onClick={() => {
+                  setPointsInput('');
+                  onLoyaltyPointsChange(0);
+                }}
+                className="text-green-600 hover:text-green-800"
+                aria-label="Remove loyalty points"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ) : (
+            <div className="flex gap-2">
+              <input
+                id="loyalty-points"
+                type="number"
+                min={1}
+                value={pointsInput}
+                onChange={(e) => setPointsInput(e.target.value)}
+                placeholder="Points to use"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+              <button
+                onClick={() => onLoyaltyPointsChange(parseInt(pointsInput, 10) || 0)}
+                disabled={!(parseInt(pointsInput, 10) > 0)}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Use
+              </button>
+            </div>
+          )}
+          {loyaltyError && (
+            <p className="mt-2 text-sm text-amber-700 flex items-center gap-1">
+              <AlertCircle className="w-4 h-4" />
+              {loyaltyError}
+            </p>
+          )}
         </div>
       )}
 
@@ -184,6 +261,27 @@ export default function OrderSummary({
           </div>
         )}
 
+        {promotions.map((promotion) => (
+          <div key={promotion.promotion} className="flex justify-between text-xs pl-3">
+            <span className="text-gray-500">{promotion.description || promotion.name}</span>
+            <span className="text-green-600">-{formatCurrency(promotion.amount)}</span>
+          </div>
+        ))}
+
+        {loyalty && loyalty.tierDiscount > 0 && (
+          <div className="flex justify-between text-xs pl-3">
+            <span className="text-gray-500 capitalize">{loyalty.tier} member discount</span>
+            <span className="text-green-600">-{formatCurrency(loyalty.tierDiscount)}</span>
+          </div>
+        )}
+
+        {loyalty && loyalty.pointsDiscount > 0 && (
+          <div className="flex justify-between text-xs pl-3">
+            <span className="text-gray-500">{loyalty.pointsRedeemed.toLocaleString()} loyalty points</span>
+            <span className="text-green-600">-{formatCurrency(loyalty.pointsDiscount)}</span>
+          </div>
+        )}
+
         <div className="flex justify-between text-sm">
           <span className="text-gray-600">Shipping</span>
           <span className="font-medium text-gray-900">
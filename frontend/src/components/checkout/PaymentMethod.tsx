@@ -8,11 +8,12 @@
 'use client';
 
 
-import { useState, useRef } from 'react';
-import { CreditCard, Building2, Smartphone, Truck, Upload, X, AlertCircle, Info } from 'lucide-react';
+import { useState, useRef, useEffect } from 'react';
+import { CreditCard, Building2, Smartphone, Truck, Upload, X, AlertCircle, Info, Wallet } from 'lucide-react';
 import { formatCurrency } from '@/lib/utils';
 import api from '@/lib/api';
 import toast from 'react-hot-toast';
+import type { ApiResponse } from '@/types/api';
 import type { PaymentMethod, PaymentMethodOption } from '@/types/checkout';
 
 interface PaymentMethodProps {
@@ -110,8 +111,10 @@ export default function PaymentMethod({
   total,
 }: PaymentMethodProps) {
   const [selectedMethod, setSelectedMethod] = useState<PaymentMethod>(
-    formData.payment?.method || 'bank-transfer'
+    formData.payment?.method && formData.payment.method !== 'wallet' ? formData.payment.method : 'bank-transfer'
   );
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [useStoreCredit, setUseStoreCredit] = useState<boolean>((formData.payment?.walletAmount || 0) > 0);
   const [receiptFile, setReceiptFile] = useState<File | null>(null);
   const [receiptPreview, setReceiptPreview] = useState<string>('');
   const [transactionId, setTransactionId] = useState(formData.payment?.transactionId || '');
@@ -126,6 +129,28 @@ export default function PaymentMethod({
 
   const selectedMethodData = PAYMENT_METHODS.find(m => m.value === selectedMethod);
 
+  // Store credit applied to the order; the rest is paid with the selected method
+  const walletAmount = useStoreCredit ? Math.min(walletBalance, total) : 0;
+  const coveredByWallet = walletAmount > 0 && walletAmount >= total;
+  const requiredAdvance = Math.max(Math.round(total * 0.5) - walletAmount, 0);
+
+  /**
+   * Load the customer's store credit (guests have none)
+   */
+  useEffect(() => {
+    (api.wallet.get({ limit: 1 }) as unknown as Promise<ApiResponse<{ balance: number }>>)
+      .then((response) => setWalletBalance(response.data?.balance || 0))
+      .catch(() => setWalletBalance(0));
+  }, []);
+
+  /**
+   * Keep the store credit portion in the form data
+   */
+  useEffect(() => {
+    updateFormData('payment.walletAmount', walletAmount || undefined);
+    updateFormData('payment.method', coveredByWallet ? 'wallet' : selectedMethod);
+  }, [walletAmount, coveredByWallet, selectedMethod, updateFormData]);
+
   /**
    * Handle payment method selection
    */
@@ -142,10 +167,9 @@ export default function PaymentMethod({
     
     // For COD, calculate 50% advance
     if (method === 'cod') {
-      const requiredAdvance = Math.round(total * 0.5);
       setAdvanceAmount(requiredAdvance);
       updateFormData('payment.advanceAmount', requiredAdvance);
-      updateFormData('payment.remainingAmount', total - requiredAdvance);
+      updateFormData('payment.remainingAmount', total - walletAmount - requiredAdvance);
     } else {
       setAdvanceAmount(0);
       updateFormData('payment.advanceAmount', undefined);
@@ -226,6 +250,12 @@ export default function PaymentMethod({
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
 
+    // Nothing else to pay when store credit covers the order
+    if (coveredByWallet) {
+      onNext();
+      return;
+    }
+
     // Validate based on payment method
     if (['bank-transfer', 'jazzcash', 'easypaisa'].includes(selectedMethod)) {
       if (!formData.payment?.receiptImage && !receiptFile) {
@@ -243,7 +273,7 @@ export default function PaymentMethod({
         toast.error('Please upload advance payment receipt');
         return;
       }
-      if (advanceAmount < total * 0.5) {
+      if (advanceAmount < requiredAdvance) {
         toast.error('Advance payment must be at least 50% of total');
         return;
       }
@@ -254,7 +284,7 @@ export default function PaymentMethod({
     updateFormData('payment.transactionDate', transactionDate);
     if (selectedMethod === 'cod') {
       updateFormData('payment.advanceAmount', advanceAmount);
-      updateFormData('payment.remainingAmount', total - advanceAmount);
+      updateFormData('payment.remainingAmount', total - walletAmount - advanceAmount);
     }
 
     onNext();
@@ -285,49 +315,78 @@ export default function PaymentMethod({
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Store Credit */}
+        {walletBalance > 0 && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={useStoreCredit}
+                onChange={(e) => setUseStoreCredit(e.target.checked)}
+                className="mt-1 w-4 h-4 text-purple-600 border-gray-300 rounded focus:ring-purple-500"
+              />
+              <div className="flex-1">
+                <span className="font-semibold text-green-900 flex items-center gap-2">
+                  <Wallet className="w-5 h-5" />
+                  Use store credit ({formatCurrency(walletBalance)} available)
+                </span>
+                {useStoreCredit && (
+                  <p className="mt-1 text-sm text-green-800">
+                    {coveredByWallet
+                      ? 'Your store credit covers this order. No further payment is needed.'
+                      : `${formatCurrency(walletAmount)} applied. Pay the remaining ${formatCurrency(total - walletAmount)} below.`}
+                  </p>
+                )}
+              </div>
+            </label>
+          </div>
+        )}
+
         {/* Payment Method Selection */}
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          {PAYMENT_METHODS.map((method) => (
-            <button
-              key={method.value}
-              type="button"
-              onClick={() => handleMethodSelect(method.value)}
-              className={`
-                p-4 border-2 rounded-lg text-left transition-all
-                ${selectedMethod === method.value
-                  ? 'border-purple-600 bg-purple-50'
-                  : 'border-gray-200 hover:border-gray-300'
-                }
-              `}
-            >
-              <div className="flex items-start gap-3">
-                <div className={`
-                  p-2 rounded-lg
+        {!coveredByWallet && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {PAYMENT_METHODS.map((method) => (
+              <button
+                key={method.value}
+                type="button"
+                onClick={() => handleMethodSelect(method.value)}
+                className={`
+                  p-4 border-2 rounded-lg text-left transition-all
                   ${selectedMethod === method.value
-                    ? 'bg-purple-600 text-white'
-                    : 'bg-gray-100 text-gray-600'
+                    ? 'border-purple-600 bg-purple-50'
+                    : 'border-gray-200 hover:border-gray-300'
                   }
-                `}>
-                  {getIcon(method.icon)}
-                </div>
-                <div className="flex-1">
-                  <h3 className="font-semibold text-gray-900">{method.label}</h3>
-                  <p className="text-sm text-gray-600 mt-1">{method.description}</p>
-                </div>
-                {selectedMethod === method.value && (
-                  <div className="w-5 h-5 bg-purple-600 rounded-full flex items-center justify-center">
-                    <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
-                    </svg>
+                `}
+              >
+                <div className="flex items-start gap-3">
+                  <div className={`
+                    p-2 rounded-lg
+                    ${selectedMethod === method.value
+                      ? 'bg-purple-600 text-white'
+                      : 'bg-gray-100 text-gray-600'
+                    }
+                  `}>
+                    {getIcon(method.icon)}
                   </div>
-                )}
-              </div>
-            </button>
-          ))}
-        </div>
+                  <div className="flex-1">
+                    <h3 className="font-semibold text-gray-900">{method.label}</h3>
+                    <p className="text-sm text-gray-600 mt-1">{method.description}</p>
+                  </div>
+                  {selectedMethod === method.value && (
+                    <div className="w-5 h-5 bg-purple-600 rounded-full flex items-center justify-center">
+                      <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+                      </svg>
+                    </div>
+                  )}
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
 
         {/* Payment Instructions */}
-        {selectedMethodData && (
+        {selectedMethodData && !coveredByWallet && (
           <div className="space-y-4">
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
               <div className="flex items-start gap-3">
@@ -429,12 +488,12 @@ export default function PaymentMethod({
         )}
 
         {/* Receipt Upload */}
-        {selectedMethod !== 'cod' || (selectedMethod === 'cod' && advanceAmount > 0) ? (
+        {!coveredByWallet && (selectedMethod !== 'cod' || (selectedMethod === 'cod' && advanceAmount > 0)) ? (
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               {selectedMethod === 'cod' ? 'Advance Payment Receipt' : 'Payment Receipt'} <span className="text-red-500">*</span>
             </label>
-            
+          
             {!receiptPreview && !formData.payment?.receiptImage ? (
               <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-purple-500 transition-colors">
                 <input
@@ -506,7 +565,7 @@ export default function PaymentMethod({
         ) : null}
 
         {/* Transaction ID */}
-        {selectedMethod !== 'cod' && (
+        {selectedMethod !== 'cod' && !coveredByWallet && (
           <div>
             <label htmlFor="transaction-id" className="block text-sm font-medium text-gray-700 mb-2">
               Transaction ID / Reference Number <span className="text-red-500">*</span>
@@ -532,7 +591,7 @@ export default function PaymentMethod({
         )}
 
         {/* Transaction Date */}
-        {selectedMethod !== 'cod' && (
+        {selectedMethod !== 'cod' && !coveredByWallet && (
           <div>
             <label htmlFor="transaction-date" className="block text-sm font-medium text-gray-700 mb-2">
               Transaction Date
@@ -552,7 +611,7 @@ export default function PaymentMethod({
         )}
 
         {/* COD Advance Payment */}
-        {selectedMethod === 'cod' && (
+        {selectedMethod === 'cod' && !coveredByWallet && (
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
             <h4 className="font-semibold text-yellow-900 mb-3">Advance Payment Required</h4>
             <div className="space-y-3">
@@ -560,13 +619,19 @@ export default function PaymentMethod({
                 <span className="text-gray-700">Total Amount:</span>
                 <span className="font-semibold text-gray-900">{formatCurrency(total)}</span>
               </div>
+              {walletAmount > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-700">Store Credit:</span>
+                  <span className="font-semibold text-green-700">-{formatCurrency(walletAmount)}</span>
+                </div>
+              )}
               <div className="flex justify-between text-sm">
                 <span className="text-gray-700">Required Advance (50%):</span>
-                <span className="font-semibold text-yellow-800">{formatCurrency(Math.round(total * 0.5))}</span>
+                <span className="font-semibold text-yellow-800">{formatCurrency(requiredAdvance)}</span>
               </div>
               <div className="flex justify-between text-sm pt-2 border-t border-yellow-200">
                 <span className="text-gray-700">Payable on Delivery:</span>
-                <span className="font-semibold text-gray-900">{formatCurrency(Math.round(total * 0.5))}</span>
+                <span className="font-semibold text-gray-900">{formatCurrency(total - walletAmount - requiredAdvance)}</span>
               </div>
             </div>
             <div className="mt-4">
@@ -581,10 +646,10 @@ export default function PaymentMethod({
                   const amount = parseFloat(e.target.value) || 0;
                   setAdvanceAmount(amount);
                   updateFormData('payment.advanceAmount', amount);
-                  updateFormData('payment.remainingAmount', total - amount);
+                  updateFormData('payment.remainingAmount', total - walletAmount - amount);
                 }}
-                min={Math.round(total * 0.5)}
-                max={total}
+                min={requiredAdvance}
+                max={total - walletAmount}
                 step="0.01"
                 placeholder="Enter advance amount"
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
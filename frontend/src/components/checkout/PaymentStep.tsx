@@ -1,9 +1,14 @@
 'use client'
 
-import { useState } from 'react'
-import { Smartphone, Building2, Truck } from 'lucide-react'
+import { useEffect, useState } from 'react'
+import { useSearchParams } from 'next/navigation'
+import { Smartphone, Building2, Truck, CheckCircle2, XCircle, Loader2 } from 'lucide-react'
 import { validateDiscountCode } from '@/app/actions/orders'
 import type { CheckoutData } from '@/app/actions/orders'
+import api from '@/lib/api'
+import { getApiErrorMessage } from '@/lib/api-error'
+import { startOnlinePayment, type PaymentAttempt } from '@/lib/payment-gateway'
+import type { ApiResponse } from '@/types/api'
 import { cn } from '@/lib/utils'
 
 interface PaymentStepProps {
@@ -27,13 +32,13 @@ const PAYMENT_METHODS = [
   {
     id: 'jazzcash' as PaymentMethod,
     name: 'JazzCash',
-    description: 'Pay via JazzCash wallet',
+    description: 'Redirects to JazzCash to pay securely',
     icon: Smartphone,
   },
   {
     id: 'easypaisa' as PaymentMethod,
     name: 'EasyPaisa',
-    description: 'Pay via EasyPaisa wallet',
+    description: 'Redirects to EasyPaisa to pay securely',
     icon: Smartphone,
   },
   {
@@ -44,12 +49,127 @@ const PAYMENT_METHODS = [
   },
 ]
 
+// How often to re-check an attempt while the gateway confirmation is on its way
+const ATTEMPT_POLL_INTERVAL_MS = 3000
+const ATTEMPT_POLL_LIMIT = 20
+
+/**
+ * Result of a hosted JazzCash/EasyPaisa payment after the customer returns
+ */
+function PaymentResult({ attemptId }: { attemptId: string }) {
+  const [attempt, setAttempt] = useState<PaymentAttempt | null>(null)
+  const [error, setError] = useState('')
+  const [isRetrying, setIsRetrying] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    let polls = 0
+    let timer: ReturnType<typeof setTimeout>
+
+    const load = async () => {
+      try {
+        const response = await api.payments.getAttempt(attemptId) as unknown as ApiResponse<{ attempt: PaymentAttempt }>
+        if (cancelled || !response.data) return
+        const current = response.data.attempt
+        setAttempt(current)
+
+        // The gateway's server callback can land after the browser returns
+        if (current.status === 'pending' && ++polls < ATTEMPT_POLL_LIMIT) {
+          timer = setTimeout(load, ATTEMPT_POLL_INTERVAL_MS)
+        }
+      } catch {
+        if (!cancelled) setError('We could not check your payment status')
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [attemptId])
+
+  const handleRetry = async () => {
+    if (!attempt) return
+    setIsRetrying(true)
+    setError('')
+    try {
+      await startOnlinePayment(attempt.orderNumber, attempt.provider)
+    } catch (err) {
+      setError(getApiErrorMessage(err, err instanceof Error ? err.message : 'Could not start payment'))
+      setIsRetrying(false)
+    }
+  }
+
+  if (error && !attempt) {
+    return (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">{error}</div>
+    )
+  }
+
+  if (!attempt || attempt.status === 'pending') {
+    return (
+      <div className="flex items-center gap-3 p-4 bg-neutral-50 border border-neutral-200 rounded-xl">
+        <Loader2 className="w-5 h-5 text-primary-gold animate-spin" />
+        <p className="text-sm text-neutral-700">
+          Confirming your payment{attempt ? ` for order ${attempt.orderNumber}` : ''}...
+        </p>
+      </div>
+    )
+  }
+
+  if (attempt.status === 'succeeded') {
+    return (
+      <div className="flex items-start gap-3 p-4 bg-green-50 border border-green-200 rounded-xl">
+        <CheckCircle2 className="w-5 h-5 text-green-600 mt-0.5" />
+        <div className="flex-1">
+          <p className="font-semibold text-green-800">Payment received</p>
+          <p className="text-sm text-green-700">
+            PKR {attempt.amount.toLocaleString()} paid for order {attempt.orderNumber}.
+          </p>
+          <a
+            href={`/track/${attempt.orderNumber}`}
+            className="inline-block mt-2 text-sm font-semibold text-green-800 underline"
+          >
+            Track your order
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-start gap-3 p-4 bg-red-50 border border-red-200 rounded-xl">
+      <XCircle className="w-5 h-5 text-red-600 mt-0.5" />
+      <div className="flex-1">
+        <p className="font-semibold text-red-800">
+          {attempt.status === 'expired' ? 'Payment session expired' : 'Payment not completed'}
+        </p>
+        <p className="text-sm text-red-700">
+          {attempt.failureReason || 'Your payment was not completed.'} Your order {attempt.orderNumber} is saved.
+        </p>
+        {error && <p className="text-sm text-red-700 mt-1">{error}</p>}
+        <button
+          type="button"
+          onClick={handleRetry}
+          disabled={isRetrying}
+          className="mt-3 px-4 py-2 bg-red-600 text-white text-sm font-semibold rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors"
+        >
+          {isRetrying ? 'Redirecting...' : 'Try again'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
 export function PaymentStep({ data, onUpdate, onNext, onBack }: PaymentStepProps) {
   const [selectedMethod, setSelectedMethod] = useState<PaymentMethod>(data.paymentMethod || 'cod')
   const [discountCode, setDiscountCode] = useState(data.discountCode || '')
   const [discountError, setDiscountError] = useState('')
   const [discountApplied, setDiscountApplied] = useState(data.discountAmount ? true : false)
   const [isValidating, setIsValidating] = useState(false)
+  const searchParams = useSearchParams()
+  const paymentAttemptId = searchParams?.get('paymentAttempt')
 
   const handleApplyDiscount = async () => {
     if (!discountCode.trim()) return
@@ -99,6 +219,8 @@ export function PaymentStep({ data, onUpdate, onNext, onBack }: PaymentStepProps
         Payment Method
       </h2>
 
+      {paymentAttemptId && <PaymentResult attemptId={paymentAttemptId} />}
+
       {/* Payment Methods */}
       <div className="space-y-3">
         {PAYMENT_METHODS.map(method => {
@@ -22,7 +22,7 @@ const PAYMENT_LABELS: Record<string, string> = {
 }
 
 export function ReviewStep({ data, items, onPlaceOrder, onBack, isSubmitting }: ReviewStepProps) {
-  const shippingFee = 200 // Will be calculated based on city
+  const shippingFee = data.shippingFee || 0 // Quoted in the shipping step
   const codFee = data.paymentMethod === 'cod' && (data.subtotal || 0) < 5000 ? 100 : 0
   const total = (data.subtotal || 0) + (data.stitchingFee || 0) + shippingFee + codFee - (data.discountAmount || 0)
 
@@ -126,7 +126,7 @@ export function ReviewStep({ data, items, onPlaceOrder, onBack, isSubmitting }:
           
           <div className="flex justify-between text-neutral-600">
             <span>Shipping</span>
-            <span>PKR {shippingFee.toLocaleString()}</span>
+            <span>{shippingFee > 0 ? `PKR ${shippingFee.toLocaleString()}` : 'Free'}</span>
           </div>
           
           {codFee > 0 && (
@@ -1,8 +1,14 @@
 'use client'
 
+import { useEffect, useState } from 'react'
 import { useForm } from 'react-hook-form'
 import useAuth from '@/hooks/useAuth'
+import api from '@/lib/api'
+import { getApiErrorMessage } from '@/lib/api-error'
+import { formatCurrency } from '@/lib/utils'
 import type { CheckoutData } from '@/app/actions/orders'
+import type { ApiResponse } from '@/types/api'
+import type { ShippingQuote } from '@/types/order-management'
 
 interface ShippingStepProps {
   data: Partial<CheckoutData>
@@ -17,6 +23,7 @@ interface ShippingForm {
   address_line1: string
   address_line2: string
   city: string
+  country: string
   postal_code: string
   delivery_instructions: string
 }
@@ -24,13 +31,32 @@ interface ShippingForm {
 const CITIES = [
   'Karachi', 'Lahore', 'Islamabad', 'Rawalpindi', 'Faisalabad',
   'Multan', 'Peshawar', 'Quetta', 'Sialkot', 'Gujranwala',
-  'Hyderabad', 'Bahawalpur', 'Sargodha', 'Sukkur', 'Other'
+  'Hyderabad', 'Bahawalpur', 'Sargodha', 'Sukkur'
 ]
 
+// ISO codes; shipping zones decide which countries we actually deliver to
+const COUNTRIES = [
+  { code: 'PK', name: 'Pakistan' },
+  { code: 'AE', name: 'United Arab Emirates' },
+  { code: 'SA', name: 'Saudi Arabia' },
+  { code: 'QA', name: 'Qatar' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'US', name: 'United States' },
+  { code: 'CA', name: 'Canada' },
+]
+
+const toCountryCode = (country?: string) =>
+  !country || country === 'Pakistan' ? 'PK' : country
+
 export function ShippingStep({ data, onUpdate, onNext }: ShippingStepProps) {
   const { user } = useAuth()
 
-  const { register, handleSubmit, formState: { errors } } = useForm<ShippingForm>({
+  const [quote, setQuote] = useState<ShippingQuote | null>(null)
+  const [quoteError, setQuoteError] = useState<string | null>(null)
+  const [isQuoting, setIsQuoting] = useState(false)
+  const [shippingRate, setShippingRate] = useState<string | undefined>(data.shippingRate)
+
+  const { register, handleSubmit, watch, formState: { errors } } = useForm<ShippingForm>({
     defaultValues: {
       email: user?.email || data.email || '',
       phone: user?.phone || data.phone || '',
@@ -38,12 +64,66 @@ export function ShippingStep({ data, onUpdate, onNext }: ShippingStepProps) {
       address_line1: data.shippingAddress?.address_line1 || '',
       address_line2: data.shippingAddress?.address_line2 || '',
       city: data.shippingAddress?.city || '',
+      country: toCountryCode(data.shippingAddress?.country),
       postal_code: data.shippingAddress?.postal_code || '',
       delivery_instructions: data.shippingAddress?.delivery_instructions || '',
     }
   })
 
+  const city = watch('city')
+  const country = watch('country')
+  const isDomestic = country === 'PK'
+
+  // Re-quote when the destination changes (debounced while typing the city)
+  useEffect(() => {
+    if (!city?.trim()) {
+      setQuote(null)
+      setQuoteError(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      setIsQuoting(true)
+      try {
+        const response = await api.shipping.getQuote({
+          address: { city: city.trim(), country },
+          items: (data.items || []).map(item => ({
+            product: item.productId,
+            quantity: item.quantity,
+            price: item.unitPrice,
+            isCustom: item.isStitched,
+          })),
+          shippingRate,
+          promoCode: data.discountCode,
+        }) as unknown as ApiResponse<ShippingQuote>
+        if (cancelled || !response.data) return
+        const nextQuote = response.data
+        setQuote(nextQuote)
+        setQuoteError(null)
+        setShippingRate(nextQuote.selected.rateId)
+      } catch (error) {
+        if (cancelled) return
+        setQuote(null)
+        setQuoteError(getApiErrorMessage(error, 'Could not calculate shipping'))
+      } finally {
+        if (!cancelled) setIsQuoting(false)
+      }
+    }, 400)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+    // shippingRate is left out: picking an option reads the cost from the current quote
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [city, country, data.items, data.discountCode])
+
+  const selectedOption = quote?.options.find(option => option.rateId === shippingRate) || quote?.selected
+
   const onSubmit = (formData: ShippingForm) => {
+    if (!selectedOption) return
+
     onUpdate({
       email: formData.email,
       phone: formData.phone,
@@ -52,11 +132,13 @@ export function ShippingStep({ data, onUpdate, onNext }: ShippingStepProps) {
         phone: formData.phone,
         address_line1: formData.address_line1,
         address_line2: formData.address_line2,
-        city: formData.city,
+        city: formData.city.trim(),
         postal_code: formData.postal_code,
-        country: 'Pakistan',
+        country: formData.country,
         delivery_instructions: formData.delivery_instructions,
-      }
+      },
+      shippingFee: selectedOption.cost,
+      shippingRate: selectedOption.rateId,
     })
     onNext()
   }
@@ -92,10 +174,9 @@ export function ShippingStep({ data, onUpdate, onNext }: ShippingStepProps) {
             type="tel"
             {...register('phone', { 
               required: 'Phone is required',
-              pattern: {
-                value: /^(\+92|0)?[0-9]{10}$/,
-                message: 'Enter valid Pakistani phone number'
-              }
+              pattern: isDomestic
+                ? { value: /^(\+92|0)?[0-9]{10}$/, message: 'Enter valid Pakistani phone number' }
+                : { value: /^\+?[0-9]{7,15}$/, message: 'Enter phone number with country code' }
             })}
             className="w-full px-4 py-3 border border-neutral-300 rounded-xl focus:ring-2 focus:ring-primary-gold focus:border-transparent"
             placeholder="03001234567"
@@ -150,21 +231,38 @@ export function ShippingStep({ data, onUpdate, onNext }: ShippingStepProps) {
         />
       </div>
 
-      {/* City & Postal Code */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {/* Country, City & Postal Code */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div>
           <label className="block text-sm font-medium text-neutral-700 mb-1">
-            City *
+            Country *
           </label>
           <select
-            {...register('city', { required: 'City is required' })}
+            {...register('country', { required: 'Country is required' })}
             className="w-full px-4 py-3 border border-neutral-300 rounded-xl focus:ring-2 focus:ring-primary-gold focus:border-transparent"
           >
-            <option value="">Select City</option>
-            {CITIES.map(city => (
-              <option key={city} value={city}>{city}</option>
+            {COUNTRIES.map(option => (
+              <option key={option.code} value={option.code}>{option.name}</option>
             ))}
           </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-neutral-700 mb-1">
+            City *
+          </label>
+          <input
+            type="text"
+            list={isDomestic ? 'checkout-cities' : undefined}
+            {...register('city', { required: 'City is required' })}
+            className="w-full px-4 py-3 border border-neutral-300 rounded-xl focus:ring-2 focus:ring-primary-gold focus:border-transparent"
+            placeholder="Enter your city"
+          />
+          <datalist id="checkout-cities">
+            {CITIES.map(option => (
+              <option key={option} value={option} />
+            ))}
+          </datalist>
           {errors.city && (
             <p className="text-red-500 text-sm mt-1">{errors.city.message}</p>
           )}
@@ -196,10 +294,72 @@ export function ShippingStep({ data, onUpdate, onNext }: ShippingStepProps) {
         />
       </div>
 
+      {/* Delivery Options */}
+      {city?.trim() && (
+        <div>
+          <h3 className="text-sm font-medium text-neutral-700 mb-2">Delivery Method</h3>
+
+          {isQuoting && !quote && (
+            <p className="text-sm text-neutral-500">Calculating shipping...</p>
+          )}
+
+          {quoteError && (
+            <p className="text-red-500 text-sm">{quoteError}</p>
+          )}
+
+          {quote && (
+            <div className="space-y-2">
+              {quote.options.map(option => (
+                <label
+                  key={option.rateId}
+                  className="flex items-center justify-between gap-4 p-4 border border-neutral-300 rounded-xl cursor-pointer has-[:checked]:border-primary-gold"
+                >
+                  <span className="flex items-center gap-3">
+                    <input
+                      type="radio"
+                      name="shipping_rate"
+                      value={option.rateId}
+                      checked={selectedOption?.rateId === option.rateId}
+                      onChange={() => setShippingRate(option.rateId)}
+                    />
+                    <span>
+                      <span className="block font-medium text-neutral-800">{option.label}</span>
+                      {option.estimatedDays?.max && (
+                        <span className="block text-sm text-neutral-500">
+                          {option.estimatedDays.min}-{option.estimatedDays.max} business days
+                        </span>
+                      )}
+                      {option.freeShippingReason && (
+                        <span className="block text-sm text-green-600">{option.freeShippingReason}</span>
+                      )}
+                    </span>
+                  </span>
+                  <span className="font-semibold text-neutral-800">
+                    {option.freeShipping ? (
+                      <>
+                        <span className="line-through text-neutral-400 font-normal mr-2">{formatCurrency(option.originalCost)}</span>
+                        Free
+                      </>
+                    ) : formatCurrency(option.cost)}
+                  </span>
+                </label>
+              ))}
+
+              {quote.remainingForFreeShipping ? (
+                <p className="text-sm text-neutral-500">
+                  Add {formatCurrency(quote.remainingForFreeShipping)} more for free shipping
+                </p>
+              ) : null}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Submit */}
       <button
         type="submit"
-        className="w-full py-4 bg-primary-gold text-white font-semibold rounded-xl hover:bg-primary-gold-dark transition-colors"
+        disabled={!selectedOption || isQuoting}
+        className="w-full py-4 bg-primary-gold text-white font-semibold rounded-xl hover:bg-primary-gold-dark transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
       >
         Continue to {data.items?.some(i => i.isStitched) ? 'Stitching Details' : 'Payment'}
       </button>
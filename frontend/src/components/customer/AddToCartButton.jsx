@@ -2,27 +2,46 @@
 
 import { ShoppingCart, Check } from 'lucide-react';
 import { useState } from 'react';
+import { useCart } from '@/hooks/useCart';
+import { availableStock } from '@/components/customer/VariantSelector';
 
+/**
+ * Add To Cart Button
+ * Products with colour x size variants can only be added once a variant
+ * with enough stock is selected
+ */
 export default function AddToCartButton({ 
   product, 
   quantity = 1,
   size = null,
+  variant = null,
+  customizations = {},
   className = '' 
 }) {
+  const { addItem } = useCart();
   const [isAdding, setIsAdding] = useState(false);
   const [added, setAdded] = useState(false);
 
+  const hasVariants = product?.variants?.some(entry => entry.isActive !== false);
+  const needsVariant = hasVariants && !variant;
+  const soldOut = Boolean(variant) && availableStock(variant) < quantity;
+
   const handleAddToCart = async () => {
+    if (needsVariant || soldOut) return;
+
     setIsAdding(true);
     
     try {
-      // Simulate API call or cart addition
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Here you would typically:
-      // - Add to cart context/store
-      // - Call API endpoint
-      // - Update cart state
+      await addItem(
+        product,
+        quantity,
+        {
+          ...customizations,
+          size: variant?.size || size || customizations.size,
+          ...(variant && { color: variant.color })
+        },
+        variant
+      );
       
       setAdded(true);
       setTimeout(() => setAdded(false), 2000);
@@ -36,7 +55,7 @@ export default function AddToCartButton({
   return (
     <button
       onClick={handleAddToCart}
-      disabled={isAdding || added}
+      disabled={isAdding || added || needsVariant || soldOut}
       className={`
         flex items-center justify-center gap-2 
         px-6 py-3 
@@ -58,7 +77,13 @@ export default function AddToCartButton({
       ) : (
         <>
           <ShoppingCart className="w-5 h-5" />
-          {isAdding ? 'Adding...' : 'Add to Cart'}
+          {isAdding
+            ? 'Adding...'
+            : needsVariant
+              ? 'Select Colour & Size'
+              : soldOut
+                ? 'Out of Stock'
+                : 'Add to Cart'}
         </>
       )}
     </button>
@@ -6,9 +6,13 @@
 'use client';
 
 
-import { useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import Image from 'next/image';
 import { Heart, Upload, X } from 'lucide-react';
+import axios from 'axios';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import type { ApiResponse } from '@/types/api';
 import type { Product } from '@/types/product';
 
 interface CustomerPhoto {
@@ -21,24 +25,50 @@ interface CustomerPhoto {
   };
   isFeatured: boolean;
   likes: number;
+  likedByMe?: boolean;
 }
 
 interface CustomerPhotoGalleryProps {
-  productId: string;
+  /** Product page feed; omit to show the homepage featured feed */
+  productId?: string;
   product?: Product;
+  /** Pre-fetched photos; when omitted the gallery loads its own feed */
   photos?: CustomerPhoto[];
   showUpload?: boolean;
+  limit?: number;
 }
 
 export default function CustomerPhotoGallery({
   productId,
   product,
-  photos = [],
-  showUpload = false
+  photos: initialPhotos,
+  showUpload = false,
+  limit
 }: CustomerPhotoGalleryProps) {
+  const [photos, setPhotos] = useState<CustomerPhoto[]>(initialPhotos || []);
   const [selectedPhoto, setSelectedPhoto] = useState<CustomerPhoto | null>(null);
   const [showUploadModal, setShowUploadModal] = useState(false);
 
+  const loadPhotos = useCallback(async () => {
+    try {
+      const params = limit ? { limit } : {};
+      const response = (productId
+        ? await api.customerPhotos.getByProduct(productId, params)
+        : await api.customerPhotos.getFeatured(params)) as unknown as ApiResponse<{ photos: CustomerPhoto[] }>;
+      if (response.success && response.data) {
+        setPhotos(response.data.photos);
+      }
+    } catch (error) {
+      console.error('Error loading customer photos:', error);
+    }
+  }, [productId, limit]);
+
+  useEffect(() => {
+    if (!initialPhotos) {
+      loadPhotos();
+    }
+  }, [initialPhotos, loadPhotos]);
+
   if (photos.length === 0 && !showUpload) {
     return null;
   }
@@ -54,7 +84,7 @@ export default function CustomerPhotoGallery({
             Real photos from our happy customers
           </p>
         </div>
-        {showUpload && (
+        {showUpload && productId && (
           <button
             onClick={() => setShowUploadModal(true)}
             className="flex items-center gap-2 bg-pink-600 text-white px-4 py-2 rounded-lg hover:bg-pink-700 transition-colors"
@@ -85,14 +115,14 @@ export default function CustomerPhotoGallery({
       )}
 
       {/* Upload Modal */}
-      {showUploadModal && (
+      {showUploadModal && productId && (
         <PhotoUploadModal
           productId={productId}
           product={product}
           onClose={() => setShowUploadModal(false)}
           onSuccess={() => {
             setShowUploadModal(false);
-            // Refresh photos
+            loadPhotos();
           }}
         />
       )}
@@ -110,7 +140,30 @@ function PhotoCard({
   photo: CustomerPhoto;
   onClick: () => void;
 }) {
-  const [liked, setLiked] = useState(false);
+  const [liked, setLiked] = useState(Boolean(photo.likedByMe));
+  const [likes, setLikes] = useState(photo.likes);
+
+  const toggleLike = async () => {
+    const nextLiked = !liked;
+    setLiked(nextLiked);
+    setLikes((count) => count + (nextLiked ? 1 : -1));
+
+    try {
+      const response = (nextLiked
+        ? await api.customerPhotos.like(photo._id)
+        : await api.customerPhotos.unlike(photo._id)) as unknown as ApiResponse<Pick<CustomerPhoto, 'likes' | 'likedByMe'>>;
+      if (response.success && response.data) {
+        setLikes(response.data.likes);
+      }
+    } catch (error) {
+      // Roll back the optimistic update (e.g. when not logged in)
+      setLiked(!nextLiked);
+      setLikes((count) => count + (nextLiked ? -1 : 1));
+      if (axios.isAxiosError(error) && error.response?.status === 401) {
+        alert('Please log in to like photos');
+      }
+    }
+  };
 
   return (
     <div className="relative group cursor-pointer" onClick={onClick}>
@@ -131,7 +184,7 @@ function PhotoCard({
           <button
             onClick={(e) => {
               e.stopPropagation();
-              setLiked(!liked);
+              toggleLike();
             }}
             className={`hover:scale-110 transition-transform ${
               liked ? 'text-pink-400' : ''
@@ -139,7 +192,7 @@ function PhotoCard({
           >
             <Heart className={`w-4 h-4 ${liked ? 'fill-current' : ''}`} />
           </button>
-          <span>{photo.likes + (liked ? 1 : 0)}</span>
+          <span>{likes}</span>
         </div>
       </div>
       {photo.review && (
@@ -200,7 +253,7 @@ function PhotoModal({
  * Photo Upload Modal Component
  */
 function PhotoUploadModal({
-  productId: _productId,
+  productId,
   product: _product,
   onClose,
   onSuccess
@@ -228,18 +281,19 @@ function PhotoUploadModal({
 
     setUploading(true);
     try {
-      // TODO: Implement photo upload API
-      // await api.customerPhotos.upload({
-      //   productId,
-      //   images: files,
-      //   review,
-      //   consent
-      // });
+      const formData = new FormData();
+      files.forEach((file) => formData.append('images', file));
+      formData.append('productId', productId);
+      formData.append('rating', String(review.rating));
+      if (review.comment) formData.append('comment', review.comment);
+      formData.append('consent', String(consent));
+
+      await api.customerPhotos.upload(formData);
       alert('Photo uploaded successfully! It will be reviewed before publishing.');
       onSuccess();
     } catch (error) {
       console.error('Error uploading photo:', error);
-      alert('Failed to upload photo. Please try again.');
+      alert(getApiErrorMessage(error, 'Failed to upload photo. Please try again.'));
     } finally {
       setUploading(false);
     }
@@ -259,8 +313,8 @@ function PhotoUploadModal({
             <input
               type="file"
               multiple
-              accept="image/*"
-              onChange={(e) => setFiles(Array.from(e.target.files || []))}
+              accept="image/jpeg,image/png,image/webp"
+              onChange={(e) => setFiles(Array.from(e.target.files || []).slice(0, 5))}
               className="w-full"
             />
           </div>
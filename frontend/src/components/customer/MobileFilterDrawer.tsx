@@ -22,12 +22,7 @@ interface MobileFilterDrawerProps {
     key: K,
     value: import('@/types/filters').ProductFilters[K]
   ) => void;
-  filterCounts?: {
-    fabric?: Record<string, number>;
-    color?: Record<string, number>;
-    size?: Record<string, number>;
-    occasion?: Record<string, number>;
-  };
+  filterCounts?: Partial<import('@/types/filters').FilterCounts>;
 }
 
 export default function MobileFilterDrawer({ 
@@ -5,7 +5,31 @@ import { useState, useMemo, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ChevronDown } from 'lucide-react';
 import { useFilters } from '@/hooks/useFilters';
-import type { ProductFilters as ProductFiltersType, FilterOption } from '@/types/filters';
+import type { ProductFilters as ProductFiltersType, FilterOption, FilterCounts } from '@/types/filters';
+
+const EMBROIDERY_LABELS: Record<string, string> = {
+  'hand-karhai': 'Hand Karhai',
+  'machine-embroidery': 'Machine Embroidery',
+  'gota-kinari': 'Gota Kinari',
+  'thread-work': 'Thread Work',
+  'mirror-work': 'Mirror Work',
+  'shadow-work': 'Shadow Work',
+};
+
+const formatLabel = (value: string) =>
+  EMBROIDERY_LABELS[value] || value.replace(/-/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+
+// Price band facet keys ('5000-10000', '50000+') as slider ranges
+const toPriceBand = (band: string) => {
+  const [min, max] = band.replace('+', '').split('-').map(Number);
+  return {
+    min,
+    max: Number.isFinite(max) ? max : 50000,
+    label: Number.isFinite(max)
+      ? (min === 0 ? `Under PKR ${max.toLocaleString()}` : `PKR ${min.toLocaleString()} - ${max.toLocaleString()}`)
+      : `PKR ${min.toLocaleString()}+`,
+  };
+};
 
 /**
  * ProductFilters Component - Production Ready
@@ -16,6 +40,7 @@ import type { ProductFilters as ProductFiltersType, FilterOption } from '@/types
  * - Color picker with hex codes
  * - Size select dropdown
  * - Occasion checkboxes
+ * - Embroidery and price band options from the search facets
  * - Collapsible sections
  * - Filter count badges
  * - Smooth animations
@@ -26,12 +51,7 @@ import type { ProductFilters as ProductFiltersType, FilterOption } from '@/types
 interface ProductFiltersProps {
   filters?: ProductFiltersType;
   onFilterChange?: (filters: ProductFiltersType) => void;
-  filterCounts?: {
-    fabric?: Record<string, number>;
-    color?: Record<string, number>;
-    size?: Record<string, number>;
-    occasion?: Record<string, number>;
-  };
+  filterCounts?: Partial<FilterCounts>;
   className?: string;
 }
 
@@ -64,6 +84,7 @@ export default function ProductFilters({
     occasion: true,
     color: true,
     size: true,
+    embroidery: true,
     availability: true,
   });
 
@@ -117,8 +138,21 @@ export default function ProductFilters({
     { value: 'Custom', label: 'Custom', count: filterCounts.size?.Custom || 0 },
   ].filter(opt => opt.count > 0 || !hasSizeCounts), [filterCounts.size, hasSizeCounts]);
 
+  // Only work types that products in the current results have
+  const embroideryOptions: FilterOption[] = useMemo(() =>
+    Object.entries(filterCounts.embroidery || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([value, count]) => ({ value, label: formatLabel(value), count })),
+  [filterCounts.embroidery]);
+
+  const priceBands = useMemo(() =>
+    Object.entries(filterCounts.price || {})
+      .map(([band, count]) => ({ ...toPriceBand(band), count }))
+      .sort((a, b) => a.min - b.min),
+  [filterCounts.price]);
+
   // Handlers
-  const handleCheckboxChange = useCallback((filterType: 'fabric' | 'occasion' | 'color' | 'size' | 'availability', value: string) => {
+  const handleCheckboxChange = useCallback((filterType: 'fabric' | 'occasion' | 'color' | 'size' | 'availability' | 'embroidery', value: string) => {
     const currentValues = Array.isArray(filters[filterType]) ? filters[filterType] : [];
     const newValues = currentValues.includes(value)
       ? currentValues.filter(v => v !== value)
@@ -188,6 +222,31 @@ export default function ProductFilters({
                 className="absolute w-full h-2 bg-transparent rounded-lg appearance-none cursor-pointer accent-primary-600 z-20"
               />
             </div>
+
+            {/* Price bands with product counts */}
+            {priceBands.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-8">
+                {priceBands.map((band) => {
+                  const selected = filters.minPrice === band.min && filters.maxPrice === band.max;
+                  return (
+                    <button
+                      key={band.label}
+                      onClick={() => {
+                        handlePriceChange('minPrice', band.min);
+                        handlePriceChange('maxPrice', band.max);
+                      }}
+                      className={`px-3 py-1 rounded-full text-xs transition-colors ${
+                        selected
+                          ? 'bg-primary-600 text-white'
+                          : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+                      }`}
+                    >
+                      {band.label} ({band.count})
+                    </button>
+                  );
+                })}
+              </div>
+            )}
           </div>
         </FilterSection>
 
@@ -323,6 +382,36 @@ export default function ProductFilters({
           </div>
         </FilterSection>
 
+        {/* Embroidery */}
+        {embroideryOptions.length > 0 && (
+          <FilterSection
+            title="Embroidery"
+            isExpanded={expanded.embroidery}
+            onToggle={() => toggleSection('embroidery')}
+            badge={filters.embroidery?.length ? filters.embroidery.length : undefined}
+          >
+            <div className="space-y-1 px-4 py-2">
+              {embroideryOptions.map((option) => (
+                <label
+                  key={option.value}
+                  className="flex items-center justify-between py-2 px-3 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 cursor-pointer transition-colors min-h-[44px]"
+                >
+                  <div className="flex items-center gap-3">
+                    <input
+                      type="checkbox"
+                      checked={(filters.embroidery || []).includes(option.value)}
+                      onChange={() => handleCheckboxChange('embroidery', option.value)}
+                      className="w-4 h-4 text-primary-600 border-gray-300 dark:border-gray-600 rounded focus:ring-2 focus:ring-primary-500 dark:bg-gray-700"
+                    />
+                    <span className="text-sm text-gray-700 dark:text-gray-300">{option.label}</span>
+                  </div>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">({option.count})</span>
+                </label>
+              ))}
+            </div>
+          </FilterSection>
+        )}
+
         {/* Availability */}
         <FilterSection
           title="Availability"
@@ -346,7 +435,10 @@ export default function ProductFilters({
                   onChange={() => handleCheckboxChange('availability', option.value)}
                   className="w-4 h-4 text-primary-600 border-gray-300 dark:border-gray-600 rounded focus:ring-2 focus:ring-primary-500 dark:bg-gray-700"
                 />
-                <span className="text-sm text-gray-700 dark:text-gray-300">{option.label}</span>
+                <span className="text-sm text-gray-700 dark:text-gray-300 flex-1">{option.label}</span>
+                {filterCounts.availability?.[option.value] !== undefined && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">({filterCounts.availability[option.value]})</span>
+                )}
               </label>
             ))}
           </div>
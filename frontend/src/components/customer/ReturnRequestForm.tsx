@@ -0,0 +1,334 @@
+/**
+ * ReturnRequestForm Component
+ * Request an alteration, return or exchange for a delivered order,
+ * with the items involved and photo evidence
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+import { Camera, X, Loader2 } from 'lucide-react';
+import api from '@/lib/api';
+import { getApiErrorMessage } from '@/lib/api-error';
+import toast from 'react-hot-toast';
+import type { ApiResponse } from '@/types/api';
+import type { Order, OrderItem, ReturnReason, ReturnRequestType, CreateReturnRequest } from '@/types/order-management';
+
+// Saved orders always have item ids, which requests refer to
+type DeliveredOrder = Pick<Order, '_id' | 'orderNumber'> & {
+  items: (OrderItem & { _id: string })[];
+};
+
+type UploadedPhoto = { url: string; publicId?: string };
+
+interface ReturnRequestFormProps {
+  /** Order number to preselect */
+  orderNumber?: string | null;
+  onSubmitted?: () => void;
+  onCancel?: () => void;
+}
+
+const TYPE_OPTIONS: { value: ReturnRequestType; label: string; description: string }[] = [
+  { value: 'alteration', label: 'Alteration', description: 'Adjust the fitting of your outfit' },
+  { value: 'exchange', label: 'Exchange', description: 'Replace a defective or incorrect item' },
+  { value: 'return', label: 'Return', description: 'Send the item back for a refund or store credit' },
+];
+
+const REASON_OPTIONS: { value: ReturnReason; label: string }[] = [
+  { value: 'fitting', label: 'Fitting issue' },
+  { value: 'defect', label: 'Defect or damage' },
+  { value: 'wrong-item', label: 'Wrong item received' },
+  { value: 'other', label: 'Other' },
+];
+
+// Reasons that need photo evidence
+const PHOTO_REQUIRED: ReturnReason[] = ['defect', 'wrong-item'];
+
+const MAX_PHOTOS = 5;
+
+export default function ReturnRequestForm({ orderNumber, onSubmitted, onCancel }: ReturnRequestFormProps) {
+  const [orders, setOrders] = useState<DeliveredOrder[]>([]);
+  const [loadingOrders, setLoadingOrders] = useState(true);
+  const [orderId, setOrderId] = useState('');
+  const [type, setType] = useState<ReturnRequestType>('alteration');
+  const [reason, setReason] = useState<ReturnReason>('fitting');
+  const [description, setDescription] = useState('');
+  const [quantities, setQuantities] = useState<Record<string, number>>({});
+  const [photos, setPhotos] = useState<UploadedPhoto[]>([]);
+  const [uploading, setUploading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchOrders = async () => {
+      try {
+        const response = await api.orders.getAll({ status: 'delivered', limit: 50 }) as unknown as ApiResponse<{ orders: DeliveredOrder[] }>;
+        const delivered = response.data?.orders || [];
+        setOrders(delivered);
+
+        const preselected = delivered.find(order => order.orderNumber === orderNumber);
+        if (preselected) setOrderId(preselected._id);
+      } catch (error) {
+        console.error('Error fetching orders:', error);
+        toast.error('Failed to load your orders');
+      } finally {
+        setLoadingOrders(false);
+      }
+    };
+
+    fetchOrders();
+  }, [orderNumber]);
+
+  const selectedOrder = orders.find(order => order._id === orderId);
+
+  const toggleItem = (itemId: string) => {
+    setQuantities(prev => {
+      const next = { ...prev };
+      if (next[itemId]) {
+        delete next[itemId];
+      } else {
+        next[itemId] = 1;
+      }
+      return next;
+    });
+  };
+
+  const handlePhotoUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_PHOTOS - photos.length);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    try {
+      const response = await api.returns.uploadPhotos(files) as unknown as ApiResponse<{ images: UploadedPhoto[] }>;
+      const uploaded = (response.data?.images || []).map(image => ({
+        url: image.url,
+        publicId: image.publicId,
+      }));
+      setPhotos(prev => [...prev, ...uploaded]);
+    } catch (error) {
+      toast.error(getApiErrorMessage(error, 'Failed to upload photos'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const items = Object.entries(quantities).map(([orderItem, quantity]) => ({ orderItem, quantity }));
+
+    if (!orderId) {
+      toast.error('Please select an order');
+      return;
+    }
+    if (items.length === 0) {
+      toast.error('Please select at least one item');
+      return;
+    }
+    if (PHOTO_REQUIRED.includes(reason) && photos.length === 0) {
+      toast.error('Please add a photo showing the problem');
+      return;
+    }
+    if (reason === 'other' && !description.trim()) {
+      toast.error('Please describe the problem');
+      return;
+    }
+
+    const data: CreateReturnRequest = {
+      orderId,
+      type,
+      reason,
+      description: description.trim() || undefined,
+      items,
+      photos,
+    };
+
+    setSubmitting(true);
+    try {
+      await api.returns.create(data);
+      toast.success('Request submitted. We will review it within 48 hours.');
+      onSubmitted?.();
+    } catch (error) {
+      toast.error(getApiErrorMessage(error, 'Failed to submit request'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loadingOrders) {
+    return <div className="h-48 bg-gray-100 rounded-lg animate-pulse" />;
+  }
+
+  if (orders.length === 0) {
+    return (
+      <div className="p-6 bg-gray-50 border border-gray-200 rounded-lg text-center text-gray-600">
+        You have no delivered orders to return or alter.
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6 p-6 bg-white border border-gray-200 rounded-lg">
+      {/* Order */}
+      <div>
+        <label htmlFor="return-order" className="block text-sm font-medium text-gray-700 mb-2">Order</label>
+        <select
+          id="return-order"
+          value={orderId}
+          onChange={(e) => {
+            setOrderId(e.target.value);
+            setQuantities({});
+          }}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+        >
+          <option value="">Select an order</option>
+          {orders.map(order => (
+            <option key={order._id} value={order._id}>{order.orderNumber}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Items */}
+      {selectedOrder && (
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-2">Items</p>
+          <div className="space-y-2">
+            {selectedOrder.items.map(item => (
+              <div key={item._id} className="flex items-center justify-between gap-4 p-3 border border-gray-200 rounded-lg">
+                <label className="flex items-center gap-3 text-sm text-gray-800">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(quantities[item._id])}
+                    onChange={() => toggleItem(item._id)}
+                    className="w-4 h-4 text-pink-600 rounded"
+                  />
+                  {item.productSnapshot?.title || 'Custom outfit'}
+                </label>
+                {quantities[item._id] && item.quantity > 1 && (
+                  <input
+                    type="number"
+                    min={1}
+                    max={item.quantity}
+                    value={quantities[item._id]}
+                    onChange={(e) => setQuantities({
+                      ...quantities,
+                      [item._id]: Math.min(Math.max(Number(e.target.value) || 1, 1), item.quantity),
+                    })}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                    aria-label="Quantity"
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Type */}
+      <div>
+        <p className="block text-sm font-medium text-gray-700 mb-2">What would you like?</p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {TYPE_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setType(option.value)}
+              className={`p-3 text-left border rounded-lg transition-colors ${
+                type === option.value ? 'border-pink-600 bg-pink-50' : 'border-gray-200 hover:border-gray-300'
+              }`}
+            >
+              <span className="block text-sm font-semibold text-gray-900">{option.label}</span>
+              <span className="block text-xs text-gray-600 mt-1">{option.description}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Reason */}
+      <div>
+        <label htmlFor="return-reason" className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+        <select
+          id="return-reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value as ReturnReason)}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+        >
+          {REASON_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Description */}
+      <div>
+        <label htmlFor="return-description" className="block text-sm font-medium text-gray-700 mb-2">
+          Details {reason !== 'other' && <span className="text-gray-400">(optional)</span>}
+        </label>
+        <textarea
+          id="return-description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          maxLength={1000}
+          rows={3}
+          placeholder={reason === 'fitting' ? 'e.g. Shirt is loose at the waist by about 1 inch' : 'Tell us what went wrong'}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+        />
+      </div>
+
+      {/* Photos */}
+      <div>
+        <p className="block text-sm font-medium text-gray-700 mb-2">
+          Photos {PHOTO_REQUIRED.includes(reason) ? <span className="text-red-500">*</span> : <span className="text-gray-400">(optional)</span>}
+        </p>
+        <div className="flex flex-wrap gap-3">
+          {photos.map(photo => (
+            <div key={photo.url} className="relative w-20 h-20">
+              <Image src={photo.url} alt="Evidence" width={80} height={80} className="w-20 h-20 object-cover rounded-lg border border-gray-200" />
+              <button
+                type="button"
+                onClick={() => setPhotos(photos.filter(p => p.url !== photo.url))}
+                className="absolute -top-2 -right-2 p-1 bg-white border border-gray-300 rounded-full"
+                aria-label="Remove photo"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+          {photos.length < MAX_PHOTOS && (
+            <label className="flex flex-col items-center justify-center w-20 h-20 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-pink-400">
+              {uploading ? <Loader2 className="w-5 h-5 text-gray-400 animate-spin" /> : <Camera className="w-5 h-5 text-gray-400" />}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                onChange={handlePhotoUpload}
+                disabled={uploading}
+                className="hidden"
+              />
+            </label>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          type="submit"
+          disabled={submitting || uploading}
+          className="flex-1 px-4 py-3 bg-gradient-to-r from-pink-600 to-purple-600 text-white font-medium rounded-lg hover:shadow-lg transition-all disabled:opacity-50"
+        >
+          {submitting ? 'Submitting...' : 'Submit Request'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-3 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -6,6 +6,7 @@ import { motion, AnimatePresence } from 'framer-motion'
 import { Search, X, TrendingUp, Clock, Loader2 } from 'lucide-react'
 import Link from 'next/link'
 import Image from 'next/image'
+import api from '@/lib/api'
 
 /**
  * SearchBar Component - Production Ready
@@ -14,7 +15,8 @@ import Image from 'next/image'
  * - SEO optimized with semantic HTML and schema markup
  * - Fully accessible (ARIA labels, keyboard navigation)
  * - Modal overlay with backdrop blur
- * - Auto-complete suggestions with debouncing
+ * - Auto-complete suggestions with debouncing (synonym and typo tolerant)
+ * - Word completions and "did you mean" corrections
  * - Recent searches (stored in sessionStorage)
  * - Product quick results with images
  * - Popular searches chips
@@ -38,6 +40,8 @@ export default function SearchBar({ isOpen, onClose }) {
   
   const [query, setQuery] = useState('')
   const [suggestions, setSuggestions] = useState([])
+  const [completions, setCompletions] = useState([])
+  const [didYouMean, setDidYouMean] = useState(null)
   const [recentSearches, setRecentSearches] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [selectedIndex, setSelectedIndex] = useState(-1)
@@ -86,6 +90,8 @@ export default function SearchBar({ isOpen, onClose }) {
   useEffect(() => {
     if (!query.trim()) {
       setSuggestions([])
+      setCompletions([])
+      setDidYouMean(null)
       setError(null)
       return
     }
@@ -109,22 +115,21 @@ export default function SearchBar({ isOpen, onClose }) {
         abortControllerRef.current = new AbortController()
         
         const sanitizedQuery = sanitizeInput(query)
-        const response = await fetch(
-          `/api/search?q=${encodeURIComponent(sanitizedQuery)}&limit=5`,
-          { signal: abortControllerRef.current.signal }
-        )
-
-        if (!response.ok) {
-          throw new Error(`Search failed: ${response.status}`)
-        }
+        const response = await api.products.autocomplete(sanitizedQuery, {
+          limit: 5,
+          signal: abortControllerRef.current.signal
+        })
 
-        const data = await response.json()
-        setSuggestions(Array.isArray(data.results) ? data.results : [])
+        const data = response?.data || {}
+        setSuggestions(Array.isArray(data.products) ? data.products : [])
+        setCompletions(Array.isArray(data.completions) ? data.completions : [])
+        setDidYouMean(data.didYouMean || null)
       } catch (error) {
-        if (error.name !== 'AbortError') {
+        if (error.name !== 'AbortError' && error.name !== 'CanceledError') {
           console.error('Search error:', error)
           setError('Failed to load suggestions')
           setSuggestions([])
+          setCompletions([])
         }
       } finally {
         setIsLoading(false)
@@ -335,6 +340,31 @@ export default function SearchBar({ isOpen, onClose }) {
                     ) : suggestions.length > 0 ? (
                       // Product Results
                       <div className="space-y-2">
+                        {didYouMean && (
+                          <p className="px-3 text-sm text-gray-600">
+                            Showing results for{' '}
+                            <button
+                              onClick={() => setQuery(didYouMean)}
+                              className="font-semibold text-primary-600 hover:underline focus:outline-none focus:underline"
+                            >
+                              {didYouMean}
+                            </button>
+                          </p>
+                        )}
+                        {completions.length > 0 && (
+                          <div className="flex flex-wrap gap-2 px-3 pb-2" role="list" aria-label="Search suggestions">
+                            {completions.map((completion) => (
+                              <button
+                                key={completion}
+                                onClick={() => handleSearch(completion)}
+                                className="px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors focus:outline-none focus:ring-2 focus:ring-primary-500"
+                                role="listitem"
+                              >
+                                {completion}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                         {suggestions.map((product, index) => (
                           <Link
                             key={product.id}
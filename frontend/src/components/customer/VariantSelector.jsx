@@ -0,0 +1,163 @@
+'use client';
+
+import { useMemo } from 'react';
+import { Check } from 'lucide-react';
+
+const SIZE_ORDER = ['XS', 'S', 'M', 'L', 'XL', 'XXL', '3XL'];
+
+const sizeRank = (size) => {
+  const index = SIZE_ORDER.indexOf(size);
+  return index === -1 ? SIZE_ORDER.length : index;
+};
+
+/**
+ * Units of a variant customers can still buy (stock not held by unpaid orders)
+ */
+export function availableStock(variant) {
+  if (!variant) return 0;
+  return variant.availableQuantity ?? variant.stockQuantity ?? 0;
+}
+
+/**
+ * Find the active variant for a colour and size
+ */
+export function findVariant(variants = [], color, size) {
+  if (!color || !size) return null;
+  return variants.find(variant =>
+    variant.isActive !== false &&
+    variant.color.toLowerCase() === color.toLowerCase() &&
+    variant.size === size
+  ) || null;
+}
+
+/**
+ * Variant Selector Component
+ * Colour swatches and size buttons for products stocked per colour x size.
+ * Sizes that are sold out in the chosen colour are shown but disabled
+ */
+export default function VariantSelector({
+  variants = [],
+  selectedColor = '',
+  selectedSize = '',
+  onChange
+}) {
+  const activeVariants = useMemo(
+    () => variants.filter(variant => variant.isActive !== false),
+    [variants]
+  );
+
+  const colors = useMemo(() => {
+    const byName = new Map();
+    activeVariants.forEach(variant => {
+      const key = variant.color.toLowerCase();
+      const entry = byName.get(key) || { name: variant.color, hexCode: variant.hexCode, inStock: false };
+      entry.hexCode = entry.hexCode || variant.hexCode;
+      entry.inStock = entry.inStock || availableStock(variant) > 0;
+      byName.set(key, entry);
+    });
+    return Array.from(byName.values());
+  }, [activeVariants]);
+
+  const sizes = useMemo(() => {
+    const forColor = selectedColor
+      ? activeVariants.filter(variant => variant.color.toLowerCase() === selectedColor.toLowerCase())
+      : activeVariants;
+
+    const bySize = new Map();
+    forColor.forEach(variant => {
+      bySize.set(variant.size, (bySize.get(variant.size) || 0) + availableStock(variant));
+    });
+
+    return Array.from(bySize.entries())
+      .map(([size, stock]) => ({ size, inStock: stock > 0 }))
+      .sort((a, b) => sizeRank(a.size) - sizeRank(b.size));
+  }, [activeVariants, selectedColor]);
+
+  const selected = findVariant(activeVariants, selectedColor, selectedSize);
+
+  const select = (color, size) => {
+    // Keep the size only if the new colour comes in it
+    const nextSize = size && findVariant(activeVariants, color, size) ? size : '';
+    onChange?.({
+      color,
+      size: nextSize,
+      variant: findVariant(activeVariants, color, nextSize)
+    });
+  };
+
+  if (activeVariants.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      {/* Colour */}
+      <div>
+        <label className="block text-sm font-medium mb-2">
+          Colour{selectedColor && <span className="font-normal text-gray-600">: {selectedColor}</span>}
+        </label>
+        <div className="flex gap-2 flex-wrap">
+          {colors.map(color => {
+            const isSelected = selectedColor.toLowerCase() === color.name.toLowerCase();
+            return (
+              <button
+                key={color.name}
+                type="button"
+                title={color.inStock ? color.name : `${color.name} (sold out)`}
+                onClick={() => select(color.name, selectedSize)}
+                className={`flex items-center gap-2 px-3 py-2 border rounded transition-colors ${
+                  isSelected ? 'border-pink-600 ring-1 ring-pink-600' : 'bg-white hover:bg-gray-50'
+                } ${color.inStock ? '' : 'opacity-50'}`}
+              >
+                {color.hexCode && (
+                  <span
+                    className="w-5 h-5 rounded-full border border-gray-300 flex items-center justify-center"
+                    style={{ backgroundColor: color.hexCode }}
+                  >
+                    {isSelected && <Check className="w-3 h-3 text-white mix-blend-difference" />}
+                  </span>
+                )}
+                <span className="text-sm">{color.name}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Size */}
+      <div>
+        <label className="block text-sm font-medium mb-2">Size</label>
+        <div className="flex gap-2 flex-wrap">
+          {sizes.map(({ size, inStock }) => (
+            <button
+              key={size}
+              type="button"
+              disabled={!inStock}
+              onClick={() => select(
+                selectedColor || activeVariants.find(variant => variant.size === size && availableStock(variant) > 0)?.color,
+                size
+              )}
+              className={`px-4 py-2 border rounded transition-colors ${
+                selectedSize === size
+                  ? 'bg-pink-600 text-white border-pink-600'
+                  : 'bg-white hover:bg-gray-50'
+              } disabled:opacity-40 disabled:line-through disabled:cursor-not-allowed`}
+            >
+              {size}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Stock for the chosen combination */}
+      {selected && (
+        <p className={`text-sm ${availableStock(selected) > 0 ? 'text-gray-600' : 'text-red-600'}`}>
+          {availableStock(selected) === 0
+            ? 'Out of stock'
+            : availableStock(selected) <= 5
+              ? `Only ${availableStock(selected)} left`
+              : 'In stock'}
+          <span className="ml-2 text-xs text-gray-400">SKU: {selected.sku}</span>
+        </p>
+      )}
+    </div>
+  );
+}
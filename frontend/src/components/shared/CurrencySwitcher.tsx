@@ -1,6 +1,9 @@
 /**
  * Currency Switcher Component
- * Switch between PKR, USD, SAR
+ * Switch between the currencies offered by the store
+ *
+ * Rates come from the admin-maintained exchange rate table; prices are PKR
+ * and a rate is the PKR value of one unit of the currency
  */
 
 'use client';
@@ -8,24 +11,71 @@
 
 import { useState, useEffect } from 'react';
 import { DollarSign } from 'lucide-react';
+import api from '@/lib/api';
+import type { ApiResponse } from '@/types/api';
+import type { ExchangeRate } from '@/types/order-management';
 
-const currencies = {
-  PKR: { symbol: 'Rs.', name: 'Pakistani Rupee', rate: 1 },
-  USD: { symbol: '$', name: 'US Dollar', rate: 0.0036 }, // Approximate
-  SAR: { symbol: 'SR', name: 'Saudi Riyal', rate: 0.013 }, // Approximate
+export type Currency = string;
+
+type CurrencyInfo = Pick<ExchangeRate, 'name' | 'symbol' | 'decimals' | 'rate'>;
+
+const BASE_CURRENCY = 'PKR';
+
+// Used until the rate table has loaded (or if it can't be fetched)
+const baseCurrencies: Record<Currency, CurrencyInfo> = {
+  PKR: { symbol: 'Rs.', name: 'Pakistani Rupee', decimals: 0, rate: 1 },
 };
 
-export type Currency = keyof typeof currencies;
+// One request per page load, shared by every component using the hook
+let currenciesRequest: Promise<Record<Currency, CurrencyInfo>> | null = null;
+
+const loadCurrencies = () => {
+  if (!currenciesRequest) {
+    currenciesRequest = api.currencies.getAll()
+      .then((response) => {
+        const { data } = response as unknown as ApiResponse<{ currencies: ExchangeRate[] }>;
+        const list = data?.currencies || [];
+        return list.reduce((all, { currency, name, symbol, decimals, rate }) => {
+          all[currency] = { name, symbol, decimals, rate };
+          return all;
+        }, { ...baseCurrencies });
+      })
+      .catch(() => {
+        currenciesRequest = null;
+        return baseCurrencies;
+      });
+  }
+  return currenciesRequest;
+};
 
 export function useCurrency() {
-  const [currency, setCurrency] = useState<Currency>('PKR');
+  const [currency, setCurrency] = useState<Currency>(BASE_CURRENCY);
+  const [currencies, setCurrencies] = useState<Record<Currency, CurrencyInfo>>(baseCurrencies);
 
   useEffect(() => {
-    // Load from localStorage
-    const saved = localStorage.getItem('currency') as Currency;
-    if (saved && currencies[saved]) {
-      setCurrency(saved);
-    }
+    let active = true;
+
+    loadCurrencies().then((loaded) => {
+      if (!active) return;
+      setCurrencies(loaded);
+
+      // Load from localStorage, falling back to PKR if it's no longer offered
+      const saved = localStorage.getItem('currency');
+      if (saved && loaded[saved]) {
+        setCurrency(saved);
+      }
+    });
+
+    const handleChange = () => {
+      const saved = localStorage.getItem('currency');
+      if (saved) setCurrency(saved);
+    };
+    window.addEventListener('currencychange', handleChange);
+
+    return () => {
+      active = false;
+      window.removeEventListener('currencychange', handleChange);
+    };
   }, []);
 
   const changeCurrency = (newCurrency: Currency) => {
@@ -35,19 +85,21 @@ export function useCurrency() {
     window.dispatchEvent(new Event('currencychange'));
   };
 
-  const convert = (amount: number, from: Currency = 'PKR'): number => {
-    if (from === currency) return amount;
-    const fromRate = currencies[from].rate;
-    const toRate = currencies[currency].rate;
-    return (amount * toRate) / fromRate;
+  const convert = (amount: number, from: Currency = BASE_CURRENCY): number => {
+    const target = currencies[currency] ? currency : BASE_CURRENCY;
+    if (from === target) return amount;
+    const fromRate = currencies[from]?.rate ?? 1;
+    const toRate = currencies[target].rate;
+    return (amount * fromRate) / toRate;
   };
 
-  const format = (amount: number, from: Currency = 'PKR'): string => {
+  const format = (amount: number, from: Currency = BASE_CURRENCY): string => {
+    const target = currencies[currency] ? currency : BASE_CURRENCY;
     const converted = convert(amount, from);
-    const { symbol } = currencies[currency];
-    return `${symbol} ${converted.toLocaleString('en-US', {
-      minimumFractionDigits: currency === 'PKR' ? 0 : 2,
-      maximumFractionDigits: currency === 'PKR' ? 0 : 2,
+    const { symbol, decimals } = currencies[target];
+    return `${symbol || target} ${converted.toLocaleString('en-US', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
     })}`;
   };
 
@@ -57,12 +109,15 @@ export function useCurrency() {
 export default function CurrencySwitcher() {
   const { currency, changeCurrency, currencies: currencyList } = useCurrency();
 
+  // Nothing to switch to until the store offers another currency
+  if (Object.keys(currencyList).length < 2) return null;
+
   return (
     <div className="flex items-center gap-2">
       <DollarSign className="w-4 h-4" />
       <select
         value={currency}
-        onChange={(e) => changeCurrency(e.target.value as Currency)}
+        onChange={(e) => changeCurrency(e.target.value)}
         className="bg-transparent border-none outline-none cursor-pointer"
       >
         {Object.entries(currencyList).map(([code, info]) => (
@@ -74,4 +129,3 @@ export default function CurrencySwitcher() {
     </div>
   );
 }
-
@@ -27,7 +27,7 @@ export default function useAuth() {
     return result
   }, [login])
 
-  const registerWrapper = useCallback(async (userData: { email: string; password: string; fullName: string; phone?: string; whatsapp?: string }) => {
+  const registerWrapper = useCallback(async (userData: { email: string; password: string; fullName: string; phone?: string; whatsapp?: string; referralCode?: string }) => {
     const result = await register(userData)
     return result
   }, [register])
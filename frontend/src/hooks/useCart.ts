@@ -8,7 +8,7 @@
 import { useCartStore } from '@/store/cartStore';
 import { useCallback, useEffect } from 'react';
 import type { CartItemCustomizations } from '@/types/cart';
-import type { Product } from '@/types/product';
+import type { Product, ProductVariant } from '@/types/product';
 
 /**
  * useCart Hook
@@ -69,9 +69,9 @@ export function useCart() {
 
   // Wrapper functions with better error handling
   const addItem = useCallback(
-    async (product: Product, quantity: number = 1, customizations?: CartItemCustomizations) => {
+    async (product: Product, quantity: number = 1, customizations?: CartItemCustomizations, variant?: ProductVariant | null) => {
       try {
-        await addItemAction(product, quantity, customizations);
+        await addItemAction(product, quantity, customizations, variant);
       } catch (err: any) {
         throw new Error(err.message || 'Failed to add item to cart');
       }
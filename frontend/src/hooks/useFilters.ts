@@ -23,6 +23,7 @@ const DEFAULT_FILTERS: ProductFilters = {
   size: [],
   occasion: [],
   availability: [],
+  embroidery: [],
   suitType: [],
   sortBy: 'newest',
   search: '',
@@ -70,6 +71,14 @@ function getFilterLabel(type: keyof ProductFilters, value: string): string {
       'out-of-stock': 'Out of Stock',
       'custom-only': 'Custom Only',
     },
+    embroidery: {
+      'hand-karhai': 'Hand Karhai',
+      'machine-embroidery': 'Machine Embroidery',
+      'gota-kinari': 'Gota Kinari',
+      'thread-work': 'Thread Work',
+      'mirror-work': 'Mirror Work',
+      'shadow-work': 'Shadow Work',
+    },
   };
 
   return labelMap[type]?.[value] || value;
@@ -95,6 +104,10 @@ const parseFiltersFromURL = useCallback((urlSearchParams: URLSearchParams | null
   const occasion = urlSearchParams.get('occasion');
   if (occasion) filters.occasion = occasion.split(',') as string[];
 
+  // Parse embroidery
+  const embroidery = urlSearchParams.get('embroidery');
+  if (embroidery) filters.embroidery = embroidery.split(',') as string[];
+
   // Parse price range
   const minPrice = urlSearchParams.get('minPrice');
   const maxPrice = urlSearchParams.get('maxPrice');
@@ -102,12 +115,15 @@ const parseFiltersFromURL = useCallback((urlSearchParams: URLSearchParams | null
   if (maxPrice) filters.maxPrice = Number(maxPrice);
 
   // Parse sort
-  const sort = urlSearchParams.get('sort');
+  const sort = urlSearchParams.get('sort') || urlSearchParams.get('sortBy');
   if (sort) filters.sortBy = sort;
 
-  // Parse search query
+  // Parse search query (best matches first unless another sort was chosen)
   const search = urlSearchParams.get('search');
-  if (search) filters.search = search;
+  if (search) {
+    filters.search = search;
+    if (!sort) filters.sortBy = 'relevance';
+  }
 
   return filters;
 }, []);
@@ -127,7 +143,7 @@ function buildURLFromFilters(filters: ProductFilters): URLSearchParams {
   }
 
   // Array filters
-  const arrayFilters: (keyof ProductFilters)[] = ['fabric', 'color', 'size', 'occasion', 'availability'];
+  const arrayFilters: (keyof ProductFilters)[] = ['fabric', 'color', 'size', 'occasion', 'availability', 'embroidery'];
   arrayFilters.forEach((key) => {
     const value = filters[key];
     if (Array.isArray(value) && value.length > 0) {
@@ -328,7 +344,7 @@ export function useFilters(options: UseFiltersOptions = {}): UseFiltersReturn {
     }
 
     // Array filters
-    const arrayFilters: (keyof ProductFilters)[] = ['fabric', 'color', 'size', 'occasion', 'availability'];
+    const arrayFilters: (keyof ProductFilters)[] = ['fabric', 'color', 'size', 'occasion', 'availability', 'embroidery'];
     arrayFilters.forEach((type) => {
       const values = filters[type];
       if (Array.isArray(values) && values.length > 0) {
@@ -356,7 +372,7 @@ export function useFilters(options: UseFiltersOptions = {}): UseFiltersReturn {
     }
 
     // Count array filters
-    const arrayFilters: (keyof ProductFilters)[] = ['fabric', 'color', 'size', 'occasion', 'availability'];
+    const arrayFilters: (keyof ProductFilters)[] = ['fabric', 'color', 'size', 'occasion', 'availability', 'embroidery'];
     arrayFilters.forEach((key) => {
       const value = filters[key];
       if (Array.isArray(value)) {
@@ -6,10 +6,31 @@
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import type { CustomOrderFormData, PriceBreakdown } from '@/types/custom-order';
+import type { CustomOrderFormData, PriceBreakdown, ReferenceImage } from '@/types/custom-order';
 import { validateStep } from '@/lib/validations/custom-order-schemas';
 import { calculatePriceBreakdown } from '@/lib/utils/price-calculation';
-import { saveDraft, loadDraft, clearDraft } from '@/lib/utils/draft-manager';
+import {
+  saveDraft,
+  loadDraft,
+  clearDraft,
+  saveDraftToken,
+  loadDraftToken,
+  clearDraftToken,
+} from '@/lib/utils/draft-manager';
+import api from '@/lib/api';
+import type { ApiResponse } from '@/types/api';
+
+/**
+ * Server draft as returned by the draft endpoints
+ */
+interface ServerDraftResponse {
+  draft: {
+    resumeToken: string;
+    currentStep?: number;
+    formData: Partial<CustomOrderFormData>;
+  };
+  resumeUrl: string;
+}
 
 /**
  * Initial form data
@@ -53,15 +74,52 @@ export function useWizard(totalSteps: number = 5) {
   const [isSavingDraft, setIsSavingDraft] = useState(false);
   const [draftSaved, setDraftSaved] = useState(false);
   const [priceBreakdown, setPriceBreakdown] = useState<PriceBreakdown | null>(null);
+  const [draftToken, setDraftToken] = useState<string | null>(null);
+  const [resumeUrl, setResumeUrl] = useState<string | null>(null);
   const autoSaveTimeoutRef = useRef<NodeJS.Timeout | null>(null);
 
-  // Load draft on mount
+  // Load draft on mount: a ?resume=<token> link wins over the local draft
   useEffect(() => {
-    const savedDraft = loadDraft();
-    if (savedDraft) {
-      setFormData(savedDraft);
-      setDraftSaved(true);
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('resume') || loadDraftToken();
+
+    const loadLocalDraft = () => {
+      const savedDraft = loadDraft();
+      if (savedDraft) {
+        setFormData(savedDraft);
+        setDraftSaved(true);
+      }
+    };
+
+    if (!token) {
+      loadLocalDraft();
+      return;
     }
+
+    (api.customOrders.resumeDraft(token) as unknown as Promise<ApiResponse<ServerDraftResponse>>)
+      .then((response) => {
+        if (!response.data) throw new Error('Draft not found');
+        const { draft, resumeUrl } = response.data;
+        setFormData({
+          ...initialFormData,
+          ...draft.formData,
+          // Restored images are already uploaded; the URL doubles as the preview
+          referenceImages: (draft.formData.referenceImages || []).map((image) => ({
+            ...image,
+            preview: image.url,
+          })) as ReferenceImage[],
+        });
+        setCurrentStep(draft.currentStep || 1);
+        setDraftToken(draft.resumeToken);
+        setResumeUrl(resumeUrl);
+        saveDraftToken(draft.resumeToken);
+        setDraftSaved(true);
+      })
+      .catch(() => {
+        // Expired or already submitted
+        clearDraftToken();
+        loadLocalDraft();
+      });
   }, []);
 
   // Auto-save draft when formData changes
@@ -233,6 +291,62 @@ export function useWizard(totalSteps: number = 5) {
     return validation.valid;
   }, [currentStep, formData]);
 
+  /**
+   * Upload any reference images that only exist locally
+   */
+  const uploadPendingImages = useCallback(async (images: ReferenceImage[]): Promise<ReferenceImage[]> => {
+    const pending = images.filter(img => !img.url && img.file);
+    if (pending.length === 0) {
+      return images;
+    }
+
+    const uploadResponse = await api.customOrders.uploadImages(pending.map(img => img.file));
+    const urls: string[] = uploadResponse.urls || [];
+
+    let uploadIndex = 0;
+    return images.map(img => {
+      if (img.url || !img.file) return img;
+      const url = urls[uploadIndex++];
+      return url ? { ...img, url, uploadedAt: new Date().toISOString() } : img;
+    });
+  }, []);
+
+  /**
+   * Autosave the wizard to the server for the given step
+   * Creates the draft on first save; returns the resume token
+   */
+  const syncDraft = useCallback(async (step: number): Promise<string | null> => {
+    if (!formData.serviceType && !formData.suitType) {
+      return draftToken;
+    }
+
+    try {
+      const referenceImages = await uploadPendingImages(formData.referenceImages);
+      if (referenceImages !== formData.referenceImages) {
+        setFormData(prev => ({ ...prev, referenceImages }));
+      }
+
+      const data = { ...formData, referenceImages };
+
+      if (draftToken) {
+        await api.customOrders.saveDraftStep(draftToken, step, data);
+        return draftToken;
+      }
+
+      const response = await api.customOrders.createDraft(step, data) as unknown as ApiResponse<ServerDraftResponse>;
+      if (!response.data) return null;
+      const token = response.data.draft.resumeToken;
+      setDraftToken(token);
+      setResumeUrl(response.data.resumeUrl);
+      saveDraftToken(token);
+      return token;
+    } catch (error) {
+      // Local draft still works if the server is unreachable
+      console.error('Failed to sync draft:', error);
+      return null;
+    }
+  }, [formData, draftToken, uploadPendingImages]);
+
   /**
    * Navigate to next step
    */
@@ -240,10 +354,11 @@ export function useWizard(totalSteps: number = 5) {
     if (validateCurrentStep()) {
       if (currentStep < totalSteps) {
         setCurrentStep(prev => prev + 1);
+        syncDraft(currentStep + 1);
         window.scrollTo({ top: 0, behavior: 'smooth' });
       }
     }
-  }, [currentStep, totalSteps, validateCurrentStep]);
+  }, [currentStep, totalSteps, validateCurrentStep, syncDraft]);
 
   /**
    * Navigate to previous step
@@ -272,7 +387,8 @@ export function useWizard(totalSteps: number = 5) {
     setIsSavingDraft(true);
     try {
       const saved = saveDraft(formData);
-      if (saved) {
+      const token = await syncDraft(currentStep);
+      if (saved || token) {
         setDraftSaved(true);
         return true;
       }
@@ -283,13 +399,16 @@ export function useWizard(totalSteps: number = 5) {
     } finally {
       setIsSavingDraft(false);
     }
-  }, [formData]);
+  }, [formData, currentStep, syncDraft]);
 
   /**
    * Clear draft
    */
   const clearDraftManually = useCallback(() => {
     clearDraft();
+    clearDraftToken();
+    setDraftToken(null);
+    setResumeUrl(null);
     setDraftSaved(false);
   }, []);
 
@@ -301,6 +420,9 @@ export function useWizard(totalSteps: number = 5) {
     setErrors({});
     setCurrentStep(1);
     clearDraft();
+    clearDraftToken();
+    setDraftToken(null);
+    setResumeUrl(null);
     setDraftSaved(false);
   }, []);
 
@@ -315,6 +437,8 @@ export function useWizard(totalSteps: number = 5) {
     isSavingDraft,
     draftSaved,
     priceBreakdown,
+    draftToken,
+    resumeUrl,
 
     // Actions
     updateFormData,
@@ -324,6 +448,8 @@ export function useWizard(totalSteps: number = 5) {
     goToStep,
     validateCurrentStep,
     saveDraftManually,
+    syncDraft,
+    uploadPendingImages,
     clearDraftManually,
     resetForm,
   };
@@ -0,0 +1,20 @@
+/**
+ * API Error Messages
+ * Reads the message the backend sends with a failed request
+ *
+ * @module lib/api-error
+ */
+
+import axios from 'axios';
+
+/**
+ * Message to show for an error thrown by an API call
+ * @param error - Whatever the failed call threw
+ * @param fallback - Shown when the backend didn't send a message
+ */
+export function getApiErrorMessage(error: unknown, fallback: string): string {
+  if (axios.isAxiosError<{ message?: string }>(error)) {
+    return error.response?.data?.message || fallback;
+  }
+  return fallback;
+}
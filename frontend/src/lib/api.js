@@ -49,6 +49,47 @@ const api = {
     },
     async resendVerification() {
       return await axios.post('/auth/resend-verification');
+    },
+    /**
+     * Admin two-factor authentication
+     * Admin login answers a correct password with { requiresTwoFactor | requiresTwoFactorSetup, challengeToken }
+     */
+    twoFactor: {
+      /**
+       * New secret and QR code for an admin who hasn't enrolled
+       * @returns {Promise<{ success: boolean, data: { secret: string, otpauthUrl: string, qrCode: string } }>}
+       */
+      async setup(challengeToken) {
+        return await axios.post('/auth/2fa/setup', { challengeToken });
+      },
+      /**
+       * Finish enrolment and sign in; returns the backup codes once
+       */
+      async enable(challengeToken, code, rememberDevice = false) {
+        return await axios.post('/auth/2fa/enable', { challengeToken, code, rememberDevice });
+      },
+      /**
+       * Finish signing in
+       * @param {Object} data - { code } or { backupCode }, plus rememberDevice
+       */
+      async verify(challengeToken, data) {
+        return await axios.post('/auth/2fa/verify', { challengeToken, ...data });
+      },
+      async getStatus() {
+        return await axios.get('/auth/2fa/status');
+      },
+      async regenerateBackupCodes(code) {
+        return await axios.post('/auth/2fa/backup-codes', { code });
+      },
+      async forgetDevices() {
+        return await axios.delete('/auth/2fa/trusted-devices');
+      },
+      /**
+       * Super-admin recovery for an admin who lost their device
+       */
+      async reset(userId, reason) {
+        return await axios.post(`/auth/2fa/reset/${userId}`, { reason });
+      }
     }
   },
 
@@ -220,8 +261,20 @@ const api = {
       return await axios.get(`/products/slug/${slug}`);
     },
     async search(query, filters = {}) {
-      return await axios.get('/products/search', { 
-        params: { q: query, ...filters } 
+      return await axios.get('/products', { 
+        params: { search: query, ...filters } 
+      });
+    },
+    /**
+     * Search-as-you-type suggestions
+     * @param {string} query - What the customer has typed so far
+     * @param {Object} options - { limit, signal }
+     * @returns {Promise<Object>} { data: { products, completions, didYouMean } }
+     */
+    async autocomplete(query, { limit = 5, signal } = {}) {
+      return await axios.get('/products/search/autocomplete', {
+        params: { q: query, limit },
+        signal
       });
     },
     async getFeatured(limit = 8) {
@@ -380,6 +433,22 @@ const api = {
     }
   },
 
+  /**
+   * Festive collections on the storefront
+   */
+  collections: {
+    async getActive() {
+      return await axios.get('/collections/active');
+    },
+    /**
+     * Published collection with its products
+     * @param {string} id - Collection ID
+     */
+    async getById(id) {
+      return await axios.get(`/collections/${id}`);
+    }
+  },
+
   /**
    * SEO Management Endpoints (NEW)
    * For managing SEO settings via dashboard
@@ -747,6 +816,25 @@ const api = {
     async requestRefund(id, reason, items) {
       return await axios.post(`/orders/${id}/refund`, { reason, items });
     },
+    async getPayments(id) {
+      return await axios.get(`/orders/${id}/payments`);
+    },
+    /**
+     * Submit a deposit or balance payment receipt
+     * @param {string} id - Order ID
+     * @param {Object} data - { amount, method, transactionId, receiptImage: { url }, notes }
+     */
+    async submitPayment(id, data) {
+      return await axios.post(`/orders/${id}/payments`, data);
+    },
+    /**
+     * Pay a deposit or balance from store credit
+     * @param {string} id - Order ID
+     * @param {number} [amount] - Defaults to the amount due now
+     */
+    async payWithWallet(id, amount) {
+      return await axios.post(`/orders/${id}/payments/wallet`, amount ? { amount } : {});
+    },
     async downloadInvoice(id) {
       return await axios.get(`/orders/${id}/invoice`, {
         responseType: 'blob'
@@ -785,6 +873,23 @@ const api = {
         return await axios.put(`/admin/orders/${id}/status`, data);
       },
 
+      /**
+       * Get the order status machine (statuses, transitions, guards and effects)
+       * @returns {Promise<Object>} Status machine definition
+       */
+      async getStatusMachine() {
+        return await axios.get('/admin/orders/status-machine');
+      },
+
+      /**
+       * Get the status changes available for an order
+       * @param {string} id - Order ID
+       * @returns {Promise<Object>} Current status and transitions, with reasons for blocked ones
+       */
+      async getTransitions(id) {
+        return await axios.get(`/admin/orders/${id}/transitions`);
+      },
+
       /**
        * Verify payment
        * @param {string} id - Order ID
@@ -845,6 +950,75 @@ const api = {
         return await axios.put(`/admin/orders/${id}/tracking`, data);
       },
 
+      /**
+       * List couriers that can book shipments
+       * @returns {Promise<Object>} { couriers }
+       */
+      async getCouriers() {
+        return await axios.get('/admin/orders/couriers');
+      },
+
+      /**
+       * Book a courier shipment and dispatch the order
+       * @param {string} id - Order ID
+       * @param {Object} data - { courier, weight, pieces, notes }
+       * @returns {Promise<Object>} Updated order and tracking
+       */
+      async bookShipment(id, data) {
+        return await axios.post(`/admin/orders/${id}/shipment`, data);
+      },
+
+      /**
+       * Download the airway bill / shipping label
+       * @param {string} id - Order ID
+       * @returns {Promise<Blob>} PDF file
+       */
+      async downloadLabel(id) {
+        return await axios.get(`/admin/orders/${id}/shipment/label`, {
+          responseType: 'blob'
+        });
+      },
+
+      /**
+       * Pull the latest courier tracking into the order
+       * @param {string} id - Order ID
+       * @returns {Promise<Object>} Sync result and tracking
+       */
+      async syncShipment(id) {
+        return await axios.post(`/admin/orders/${id}/shipment/sync`);
+      },
+      /**
+       * Get payment ledger (deposit, installments, balance due)
+       * @param {string} id - Order ID
+       */
+      async getPayments(id) {
+        return await axios.get(`/admin/orders/${id}/payments`);
+      },
+      /**
+       * Record a payment received offline
+       * @param {string} id - Order ID
+       * @param {Object} data - { amount, method, transactionId, notes }
+       */
+      async recordPayment(id, data) {
+        return await axios.post(`/admin/orders/${id}/payments`, data);
+      },
+      /**
+       * Approve or reject a submitted payment
+       * @param {string} id - Order ID
+       * @param {string} installmentId - Installment ID
+       * @param {Object} data - { approved, rejectionReason, notes }
+       */
+      async reviewPayment(id, installmentId, data) {
+        return await axios.put(`/admin/orders/${id}/payments/${installmentId}`, data);
+      },
+      /**
+       * Send balance reminder to customer
+       * @param {string} id - Order ID
+       */
+      async sendBalanceReminder(id) {
+        return await axios.post(`/admin/orders/${id}/payments/reminder`);
+      },
+
       /**
        * Generate and download invoice PDF
        * @param {string} id - Order ID
@@ -1041,15 +1215,57 @@ const api = {
   customOrders: {
     /**
      * Submit custom order
-     * @param {FormData} orderData - Custom order data with images
+     * @param {Object} orderData - Custom order data (reference images as uploaded URLs, optional draftToken)
      * @returns {Promise<{ success: boolean, orderId: string, orderNumber: string }>}
      */
     async submit(orderData) {
-      return await axios.post('/orders/custom', orderData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
+      return await axios.post('/orders/custom', orderData);
+    },
+
+    /**
+     * Create a server-side draft from the first autosave
+     * @param {number} step - Wizard step
+     * @param {Object} data - Wizard form data
+     * @returns {Promise<{ success: boolean, data: { draft: Object, resumeUrl: string } }>}
+     */
+    async createDraft(step, data) {
+      return await axios.post('/orders/custom/drafts', { step, data });
+    },
+
+    /**
+     * Autosave a wizard step to an existing draft
+     * @param {string} token - Draft resume token
+     * @param {number} step - Wizard step
+     * @param {Object} data - Wizard form data
+     */
+    async saveDraftStep(token, step, data) {
+      return await axios.put(`/orders/custom/drafts/${token}`, { step, data });
+    },
+
+    /**
+     * Load a draft from its resume token
+     * @param {string} token - Draft resume token
+     * @returns {Promise<{ success: boolean, data: { draft: Object, resumeUrl: string } }>}
+     */
+    async resumeDraft(token) {
+      return await axios.get(`/orders/custom/drafts/${token}`);
+    },
+
+    async getMyDrafts() {
+      return await axios.get('/orders/custom/drafts');
+    },
+
+    /**
+     * Send the resume link by email/WhatsApp
+     * @param {string} token - Draft resume token
+     * @param {Object} contact - Optional { email, phone, whatsapp }
+     */
+    async sendDraftLink(token, contact = {}) {
+      return await axios.post(`/orders/custom/drafts/${token}/send-link`, contact);
+    },
+
+    async deleteDraft(token) {
+      return await axios.delete(`/orders/custom/drafts/${token}`);
     },
 
     /**
@@ -1076,6 +1292,15 @@ const api = {
     async getSavedMeasurements() {
       return await axios.get('/measurements');
     },
+
+    /**
+     * Fabrics we can supply, priced per suit; out-of-stock fabrics set to
+     * auto-disable are left out
+     * @returns {Promise<{ success: boolean, data: { fabrics: Array } }>}
+     */
+    async getFabrics() {
+      return await axios.get('/orders/custom/fabrics');
+    },
   },
 
   /**
@@ -1190,14 +1415,27 @@ const api = {
       return await axios.post('/cart/promo', { code, items });
     },
 
+    /**
+     * Price breakdown with automatic promotions and promo code, as the order will charge it
+     * @param {Array} [items] - [{ product, variant, quantity, isCustom }] (default: saved cart)
+     * @param {string} [promoCode]
+     * @param {number} [shippingCharges]
+     * @param {number} [loyaltyPoints] - Points to spend (logged-in customers)
+     * @returns {Promise<{ subtotal: number, discount: number, promotions: Array, loyalty: Object, total: number, promoCodeError?: string, loyaltyError?: string }>}
+     */
+    async getPricing(items, promoCode, shippingCharges, loyaltyPoints) {
+      return await axios.post('/cart/pricing', { items, promoCode, shippingCharges, loyaltyPoints });
+    },
+
     /**
      * Calculate shipping cost
      * @param {Object} address - Shipping address
-     * @param {Array} items - Cart items
-     * @returns {Promise<{ cost: number }>}
+     * @param {Array} [items] - [{ product, quantity, price, isCustom }] (default: saved cart)
+     * @param {string} [promoCode] - Applied promo code (free shipping rules)
+     * @returns {Promise<{ cost: number, options: Array }>}
      */
-    async calculateShipping(address, items) {
-      return await axios.post('/cart/shipping', { address, items });
+    async calculateShipping(address, items, promoCode) {
+      return await axios.post('/cart/shipping', { address, items, promoCode });
     },
 
     /**
@@ -1258,6 +1496,379 @@ const api = {
     }
   },
 
+  /**
+   * Customer photo gallery endpoints
+   */
+  customerPhotos: {
+    /**
+     * Get approved photos for a product
+     * @param {string} productId - Product ID
+     * @param {Object} params - Query parameters (limit)
+     * @returns {Promise<{ success: boolean, data: { photos: Array } }>}
+     */
+    async getByProduct(productId, params = {}) {
+      return await axios.get(`/customer-photos/product/${productId}`, { params });
+    },
+    /**
+     * Get featured photos for the homepage
+     * @param {Object} params - Query parameters (limit)
+     * @returns {Promise<{ success: boolean, data: { photos: Array } }>}
+     */
+    async getFeatured(params = {}) {
+      return await axios.get('/customer-photos/featured', { params });
+    },
+    /**
+     * Upload photos for a delivered order
+     * @param {FormData} formData - images[], productId/orderId, rating, comment, consent
+     * @returns {Promise<{ success: boolean, data: { photo: Object } }>}
+     */
+    async upload(formData) {
+      return await axios.post('/customer-photos', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    },
+    async getMine() {
+      return await axios.get('/customer-photos/mine');
+    },
+    async delete(id) {
+      return await axios.delete(`/customer-photos/${id}`);
+    },
+    async like(id) {
+      return await axios.post(`/customer-photos/${id}/like`);
+    },
+    async unlike(id) {
+      return await axios.delete(`/customer-photos/${id}/like`);
+    },
+    async getModerationQueue(params = {}) {
+      return await axios.get('/customer-photos/admin/queue', { params });
+    },
+    async moderate(id, status, notes) {
+      return await axios.put(`/customer-photos/admin/${id}/moderate`, { status, notes });
+    },
+    async bulkModerate(photoIds, status, notes) {
+      return await axios.post('/customer-photos/admin/bulk-moderate', { photoIds, status, notes });
+    },
+    async toggleFeatured(id) {
+      return await axios.put(`/customer-photos/admin/${id}/featured`);
+    }
+  },
+
+  /**
+   * Online payment (JazzCash/Easypaisa hosted checkout) endpoints
+   */
+  payments: {
+    /**
+     * Start a hosted payment for an order
+     * @param {Object} data - { orderNumber | orderId, provider: 'jazzcash' | 'easypaisa', returnUrl, guestToken }
+     * @returns {Promise<{ success: boolean, data: { attempt: Object, redirect: { url, method, fields } } }>}
+     */
+    async initiate(data) {
+      return await axios.post('/payments/checkout', data);
+    },
+    /**
+     * Get the status of a payment attempt after returning from the gateway
+     * @param {string} id - Payment attempt ID
+     * @returns {Promise<{ success: boolean, data: { attempt: Object } }>}
+     */
+    async getAttempt(id) {
+      return await axios.get(`/payments/attempts/${id}`);
+    },
+    async getWebhookEvents(params = {}) {
+      return await axios.get('/payments/webhooks/events', { params });
+    },
+    async getWebhookEvent(id) {
+      return await axios.get(`/payments/webhooks/events/${id}`);
+    },
+    async replayWebhookEvent(id) {
+      return await axios.post(`/payments/webhooks/events/${id}/replay`);
+    },
+    async simulateWebhook(provider, data) {
+      return await axios.post(`/payments/webhooks/simulate/${provider}`, data);
+    }
+  },
+
+  /**
+   * Returns, exchanges and alterations (RMA) endpoints
+   */
+  returns: {
+    /**
+     * Request an alteration, return or exchange for a delivered order
+     * @param {Object} data - { orderId, type, reason, description, items: [{ orderItem, quantity }], photos }
+     * @returns {Promise<{ success: boolean, data: { returnRequest: Object } }>}
+     */
+    async create(data) {
+      return await axios.post('/returns', data);
+    },
+    /**
+     * Upload photo evidence before submitting a request
+     * @param {File[]} files - Image files (max 5)
+     * @returns {Promise<{ success: boolean, data: { images: Array<{ url, publicId }> } }>}
+     */
+    async uploadPhotos(files) {
+      const formData = new FormData();
+      files.forEach((file) => formData.append('images', file));
+      return await axios.post('/upload/reference', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    },
+    async getMine() {
+      return await axios.get('/returns/mine');
+    },
+    async getById(id) {
+      return await axios.get(`/returns/${id}`);
+    },
+    async cancel(id) {
+      return await axios.post(`/returns/${id}/cancel`);
+    },
+    async getAll(params = {}) {
+      return await axios.get('/returns/admin', { params });
+    },
+    async review(id, data) {
+      return await axios.put(`/returns/admin/${id}/review`, data);
+    },
+    async schedulePickup(id, data) {
+      return await axios.put(`/returns/admin/${id}/pickup`, data);
+    },
+    async markReceived(id, notes) {
+      return await axios.put(`/returns/admin/${id}/receive`, { notes });
+    },
+    /**
+     * Resolve a request
+     * @param {string} id - Return request ID
+     * @param {Object} data - { type: 'refund' | 'store-credit' | 'exchange' | 'altered', amount, notes, returnShipment }
+     */
+    async resolve(id, data) {
+      return await axios.put(`/returns/admin/${id}/resolve`, data);
+    }
+  },
+
+  /**
+   * Store credit wallet endpoints
+   */
+  wallet: {
+    /**
+     * Own balance and transactions
+     * @param {Object} params - { page, limit }
+     * @returns {Promise<{ success: boolean, data: { balance: number, transactions: Array, pagination: Object } }>}
+     */
+    async get(params = {}) {
+      return await axios.get('/wallet', { params });
+    },
+    admin: {
+      /**
+       * Wallet transactions across all customers
+       * @param {Object} params - { source, type, user, from, to, page, limit }
+       */
+      async getTransactions(params = {}) {
+        return await axios.get('/wallet/admin/transactions', { params });
+      },
+      async getUserWallet(userId) {
+        return await axios.get(`/wallet/admin/users/${userId}`);
+      },
+      /**
+       * Manually credit or debit a customer's wallet
+       * @param {string} userId - Customer ID
+       * @param {Object} data - { type: 'credit' | 'debit', amount, reason }
+       */
+      async adjust(userId, data) {
+        return await axios.post(`/wallet/admin/users/${userId}/adjust`, data);
+      }
+    }
+  },
+
+  /**
+   * Loyalty points endpoints
+   */
+  loyalty: {
+    /**
+     * Earning rules, tiers and redemption limits
+     * @returns {Promise<{ success: boolean, data: Object }>}
+     */
+    async getRules() {
+      return await axios.get('/loyalty/rules');
+    },
+    /**
+     * Earn points for sharing on social media (capped per day)
+     * @param {Object} data - { platform, url }
+     */
+    async share(data) {
+      return await axios.post('/loyalty/share', data);
+    }
+  },
+
+  /**
+   * Referral program endpoints
+   */
+  referrals: {
+    /**
+     * Own referral code and the current rewards
+     * @returns {Promise<{ success: boolean, data: { referralCode: string, rewards: Object } }>}
+     */
+    async getCode() {
+      return await axios.get('/referrals/code');
+    },
+    async getStats() {
+      return await axios.get('/referrals/stats');
+    },
+    /**
+     * Apply someone else's code (new customers only)
+     * @param {string} code
+     */
+    async apply(code) {
+      return await axios.post('/referrals/apply', { code });
+    },
+    admin: {
+      /**
+       * Top referrers by completed referrals
+       * @param {Object} params - { days, limit }
+       */
+      async getLeaderboard(params = {}) {
+        return await axios.get('/referrals/admin/leaderboard', { params });
+      },
+      /**
+       * Fraud review list
+       * @param {Object} params - { status: 'flagged' | 'rejected', page, limit }
+       */
+      async getFlagged(params = {}) {
+        return await axios.get('/referrals/admin/flagged', { params });
+      },
+      /**
+       * @param {string} id - Referral ID
+       * @param {Object} data - { decision: 'approve' | 'reject', notes }
+       */
+      async review(id, data) {
+        return await axios.put(`/referrals/admin/${id}/review`, data);
+      }
+    }
+  },
+
+  /**
+   * Courier COD remittance reconciliation endpoints (admin)
+   */
+  codRemittances: {
+    /**
+     * Import a courier remittance statement
+     * @param {File} file - Statement CSV
+     * @param {Object} data - { courierService, settlementReference, statementDate, notes }
+     */
+    async import(file, data) {
+      const formData = new FormData();
+      formData.append('statement', file);
+      Object.entries(data).forEach(([key, value]) => {
+        if (value) formData.append(key, value);
+      });
+      return await axios.post('/admin/cod-remittances', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    },
+    /**
+     * @param {Object} params - { courierService, status, page, limit }
+     */
+    async getAll(params = {}) {
+      return await axios.get('/admin/cod-remittances', { params });
+    },
+    async getById(id) {
+      return await axios.get(`/admin/cod-remittances/${id}`);
+    },
+    /**
+     * Mark the statement's orders COD collected
+     * @param {string} id - Remittance ID
+     * @param {Array<string>} [lineIds] - Lines to settle (default: every matched line)
+     */
+    async apply(id, lineIds) {
+      return await axios.post(`/admin/cod-remittances/${id}/apply`, lineIds ? { lineIds } : {});
+    },
+    /**
+     * Mark COD orders collected without a statement
+     * @param {Array<string>} orderIds
+     * @param {string} settlementReference
+     */
+    async markCollected(orderIds, settlementReference) {
+      return await axios.post('/admin/cod-remittances/mark-collected', { orderIds, settlementReference });
+    },
+    /**
+     * Unpaid, short-paid and returned COD parcels
+     * @param {Object} params - { courierService }
+     */
+    async getReport(params = {}) {
+      return await axios.get('/admin/cod-remittances/report', { params });
+    },
+    /**
+     * @returns {Promise<Blob>} CSV file
+     */
+    async downloadReport(params = {}) {
+      return await axios.get('/admin/cod-remittances/report', {
+        params: { ...params, format: 'csv' },
+        responseType: 'blob'
+      });
+    }
+  },
+
+  /**
+   * Shipping quote and shipping zone endpoints
+   */
+  shipping: {
+    /**
+     * Shipping options and cost for an address
+     * @param {Object} data - { address: { city, province, country }, items, shippingRate, promoCode }
+     */
+    async getQuote(data) {
+      return await axios.post('/shipping/quote', data);
+    },
+    /**
+     * @param {Object} params - { scope, active }
+     */
+    async getZones(params = {}) {
+      return await axios.get('/shipping/admin/zones', { params });
+    },
+    async createZone(data) {
+      return await axios.post('/shipping/admin/zones', data);
+    },
+    async updateZone(id, data) {
+      return await axios.put(`/shipping/admin/zones/${id}`, data);
+    },
+    async deleteZone(id) {
+      return await axios.delete(`/shipping/admin/zones/${id}`);
+    }
+  },
+
+  /**
+   * Currency and exchange rate endpoints
+   */
+  currencies: {
+    /**
+     * Currencies customers can shop in (rate = PKR per unit)
+     */
+    async getAll() {
+      return await axios.get('/currencies');
+    },
+    /**
+     * Exchange rate table including inactive currencies and rate history
+     */
+    async getAdmin() {
+      return await axios.get('/currencies/admin');
+    },
+    /**
+     * Add a currency or change its rate / details
+     * @param {string} code - ISO code
+     * @param {Object} data - { rate, name, symbol, decimals, isActive }
+     */
+    async updateRate(code, data) {
+      return await axios.put(`/currencies/admin/${code}`, data);
+    },
+    /**
+     * Import rates from a CSV with currency and rate columns
+     * @param {File} file - Rates CSV
+     */
+    async importRates(file) {
+      const formData = new FormData();
+      formData.append('file', file);
+      return await axios.post('/currencies/admin/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    }
+  },
+
   /**
    * Admin Settings endpoints
    */
@@ -1288,6 +1899,20 @@ const api = {
     },
     async testEmail(email) {
       return await axios.post('/admin/settings/email/test', { email });
+    },
+    /**
+     * Loyalty earning rules, expiry, redemption limits and tiers
+     * @param {Object} data - { enabled, earning, expiryMonths, redemption, tiers }
+     */
+    async updateLoyalty(data) {
+      return await axios.put('/settings/loyalty', data);
+    },
+    /**
+     * Referral rewards and the monthly cap per referrer
+     * @param {Object} data - { enabled, rewardMethod, referrerReward, refereeReward, monthlyReferrerCap }
+     */
+    async updateReferrals(data) {
+      return await axios.put('/settings/referrals', data);
     }
   },
 
@@ -1322,14 +1947,186 @@ const api = {
     async getFabrics(params = {}) {
       return await axios.get('/admin/inventory/fabrics', { params });
     },
+    /**
+     * @param {Object} params - { category, status, supplier, search, lowStock }
+     */
     async getAccessories(params = {}) {
       return await axios.get('/admin/inventory/accessories', { params });
     },
+    /**
+     * Add an accessory; stock.quantity is recorded as opening stock
+     */
+    async createAccessory(data) {
+      return await axios.post('/admin/inventory/accessories', data);
+    },
+    /**
+     * Update an accessory's details; stock changes go through adjust()
+     */
+    async updateAccessory(id, data) {
+      return await axios.put(`/admin/inventory/accessories/${id}`, data);
+    },
     async updateStock(productId, quantity) {
       return await axios.put(`/admin/inventory/${productId}/stock`, { quantity });
     },
     async getLowStock() {
       return await axios.get('/admin/inventory/low-stock');
+    },
+    /**
+     * Stock movement ledger, newest first
+     * @param {Object} params - { itemType, product, variant, fabric, type, order, from, to, page, limit }
+     */
+    async getMovements(params = {}) {
+      return await axios.get('/admin/inventory/movements', { params });
+    },
+    /**
+     * Adjust product or fabric stock
+     * @param {Object} data - { itemType, product, variant, fabric, type, quantity | setTo, reference, note }
+     */
+    async adjust(data) {
+      return await axios.post('/admin/inventory/adjustments', data);
+    },
+    /**
+     * On hand, reserved and available stock of a product, per variant
+     */
+    async getProductStock(productId) {
+      return await axios.get(`/admin/inventory/products/${productId}`);
+    },
+    /**
+     * @param {Object} params - { status, page, limit }
+     */
+    async getReservations(params = {}) {
+      return await axios.get('/admin/inventory/reservations', { params });
+    },
+    async releaseReservation(id) {
+      return await axios.post(`/admin/inventory/reservations/${id}/release`);
+    }
+  },
+
+  /**
+   * Purchasing endpoints (Admin): suppliers, purchase orders, reorder suggestions
+   */
+  purchasing: {
+    /**
+     * @param {Object} params - { supplies, active, search }
+     */
+    async getSuppliers(params = {}) {
+      return await axios.get('/admin/purchasing/suppliers', { params });
+    },
+    async createSupplier(data) {
+      return await axios.post('/admin/purchasing/suppliers', data);
+    },
+    async updateSupplier(id, data) {
+      return await axios.put(`/admin/purchasing/suppliers/${id}`, data);
+    },
+    async deleteSupplier(id) {
+      return await axios.delete(`/admin/purchasing/suppliers/${id}`);
+    },
+    /**
+     * @param {Object} params - { status, supplier, overdue, page, limit }
+     */
+    async getPurchaseOrders(params = {}) {
+      return await axios.get('/admin/purchasing/purchase-orders', { params });
+    },
+    async getPurchaseOrder(id) {
+      return await axios.get(`/admin/purchasing/purchase-orders/${id}`);
+    },
+    /**
+     * Draft a purchase order
+     * @param {Object} data - { supplier, items: [{ itemType, fabric | accessory, quantityOrdered, unitCost }], expectedDate, notes }
+     */
+    async createPurchaseOrder(data) {
+      return await axios.post('/admin/purchasing/purchase-orders', data);
+    },
+    async updatePurchaseOrder(id, data) {
+      return await axios.put(`/admin/purchasing/purchase-orders/${id}`, data);
+    },
+    async placePurchaseOrder(id, expectedDate) {
+      return await axios.post(`/admin/purchasing/purchase-orders/${id}/place`, { expectedDate });
+    },
+    /**
+     * Receive a delivery into stock
+     * @param {Object} data - { items: [{ line, quantity }], reference, note }
+     */
+    async receivePurchaseOrder(id, data) {
+      return await axios.post(`/admin/purchasing/purchase-orders/${id}/receive`, data);
+    },
+    async cancelPurchaseOrder(id, reason) {
+      return await axios.post(`/admin/purchasing/purchase-orders/${id}/cancel`, { reason });
+    },
+    async getReorderSuggestions() {
+      return await axios.get('/admin/purchasing/reorder-suggestions');
+    },
+    async draftFromSuggestions(supplier) {
+      return await axios.post('/admin/purchasing/reorder-suggestions/draft', { supplier });
+    }
+  },
+
+  /**
+   * Automatic promotions (Admin): buy-X-get-Y, spend tiers, free stitching, bundles
+   */
+  promotions: {
+    /**
+     * @param {Object} params - { status (live|scheduled|ended|inactive), type }
+     */
+    async getAll(params = {}) {
+      return await axios.get('/admin/promotions', { params });
+    },
+    async getById(id) {
+      return await axios.get(`/admin/promotions/${id}`);
+    },
+    async create(data) {
+      return await axios.post('/admin/promotions', data);
+    },
+    async update(id, data) {
+      return await axios.put(`/admin/promotions/${id}`, data);
+    },
+    async delete(id) {
+      return await axios.delete(`/admin/promotions/${id}`);
+    },
+    /**
+     * Price a basket with the live promotions
+     * @param {Object} data - { items: [{ product, quantity, isCustom }], promoCode }
+     */
+    async preview(data) {
+      return await axios.post('/admin/promotions/preview', data);
+    }
+  },
+
+  /**
+   * Promo codes (Admin): redemption ledger, analytics and single-use code batches
+   */
+  promoCodes: {
+    /**
+     * @param {Object} params - { days } window for the daily series and top codes
+     */
+    async getStats(params = {}) {
+      return await axios.get('/admin/promo-codes/stats', { params });
+    },
+    /**
+     * @param {Object} params - { page, limit, status (active|reversed) }
+     */
+    async getRedemptions(id, params = {}) {
+      return await axios.get(`/admin/promo-codes/${id}/redemptions`, { params });
+    },
+    async getBatches() {
+      return await axios.get('/admin/promo-codes/batches');
+    },
+    /**
+     * Generate unique single-use codes
+     * @param {Object} data - { name, channel, prefix, quantity, discountType, discountValue, endDate, ... }
+     */
+    async createBatch(data) {
+      return await axios.post('/admin/promo-codes/batches', data);
+    },
+    /**
+     * Download a batch's codes and who redeemed them
+     * @param {string} batchId - Batch ID
+     * @returns {Promise<Blob>} CSV file
+     */
+    async exportBatch(batchId) {
+      return await axios.get(`/admin/promo-codes/batches/${batchId}/export`, {
+        responseType: 'blob'
+      });
     }
   }
 };
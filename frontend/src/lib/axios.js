@@ -29,6 +29,26 @@ const ongoingRequests = new Map();
 const MAX_RETRIES = 2;
 const RETRY_DELAY = 1000; // 1 second
 
+/**
+ * Stable id for this browser, sent as X-Device-Id
+ * The backend uses it to spot referral codes applied from the referrer's own device
+ */
+const DEVICE_ID_KEY = 'deviceId';
+const getDeviceId = () => {
+  if (!isBrowser) return null;
+  try {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 12)}`;
+      localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  } catch {
+    // Storage blocked (private mode)
+    return null;
+  }
+};
+
 /**
  * Request Interceptor
  * - JWT httpOnly cookies are sent automatically with withCredentials: true
@@ -44,6 +64,11 @@ axiosInstance.interceptors.request.use(
     // Add request timestamp for performance tracking
     config.metadata = { startTime: Date.now() };
 
+    const deviceId = getDeviceId();
+    if (deviceId) {
+      config.headers['X-Device-Id'] = deviceId;
+    }
+
     // Log requests in development
     if (process.env.NODE_ENV === 'development') {
       // console.log(
@@ -0,0 +1,95 @@
+/**
+ * Payment Gateway Redirect
+ * Sends the browser to a JazzCash/Easypaisa hosted checkout page
+ *
+ * @module lib/payment-gateway
+ */
+
+import api from '@/lib/api';
+import type { ApiResponse } from '@/types/api';
+
+export type OnlinePaymentProvider = 'jazzcash' | 'easypaisa';
+
+export interface GatewayRedirect {
+  url: string;
+  method: 'GET' | 'POST';
+  fields?: Record<string, string>;
+}
+
+export interface PaymentAttempt {
+  _id: string;
+  orderNumber: string;
+  provider: OnlinePaymentProvider;
+  mode: 'mock' | 'sandbox' | 'live';
+  amount: number;
+  currency: string;
+  status: 'pending' | 'succeeded' | 'failed' | 'cancelled' | 'expired';
+  failureReason?: string;
+  expiresAt: string;
+  completedAt?: string;
+}
+
+export interface PaymentCheckout {
+  attempt: PaymentAttempt;
+  redirect: GatewayRedirect;
+}
+
+/**
+ * Check whether a payment method is paid through a hosted gateway
+ */
+export function isOnlinePaymentMethod(method?: string): method is OnlinePaymentProvider {
+  return method === 'jazzcash' || method === 'easypaisa';
+}
+
+/**
+ * Navigate to the gateway; POST requests are submitted through a hidden form
+ */
+export function redirectToGateway(redirect: GatewayRedirect): void {
+  if (redirect.method === 'GET') {
+    window.location.assign(redirect.url);
+    return;
+  }
+
+  const form = document.createElement('form');
+  form.method = 'POST';
+  form.action = redirect.url;
+  form.style.display = 'none';
+
+  Object.entries(redirect.fields || {}).forEach(([name, value]) => {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
+  });
+
+  document.body.appendChild(form);
+  form.submit();
+}
+
+/**
+ * Create a payment attempt for an order and redirect to the gateway
+ * @param orderNumber - Order to pay for
+ * @param provider - Gateway to pay with
+ * @param returnPath - Page the customer comes back to (same origin)
+ * @param guestToken - Given with a guest's order; not needed when signed in
+ */
+export async function startOnlinePayment(
+  orderNumber: string,
+  provider: OnlinePaymentProvider,
+  returnPath: string = '/checkout',
+  guestToken?: string
+): Promise<void> {
+  const response = await api.payments.initiate({
+    orderNumber,
+    provider,
+    returnUrl: `${window.location.origin}${returnPath}`,
+    guestToken,
+  }) as unknown as ApiResponse<PaymentCheckout>;
+
+  if (!response?.success || !response.data?.redirect) {
+    throw new Error(response?.message || 'Could not start payment');
+  }
+
+  redirectToGateway(response.data.redirect);
+}
@@ -8,6 +8,7 @@
 import type { CustomOrderFormData, DraftData } from '@/types/custom-order';
 
 const DRAFT_STORAGE_KEY = 'laraibcreative-custom-order-draft';
+const DRAFT_TOKEN_STORAGE_KEY = 'laraibcreative-custom-order-draft-token';
 const DRAFT_VERSION = 1;
 const DRAFT_EXPIRY_DAYS = 30;
 
@@ -24,6 +25,7 @@ export function saveDraft(formData: CustomOrderFormData): boolean {
           name: img.name,
           size: img.size,
           preview: img.preview,
+          url: img.url,
           uploadedAt: img.uploadedAt || new Date().toISOString(),
         })) as any[],
       },
@@ -88,6 +90,39 @@ export function clearDraft(): void {
   }
 }
 
+/**
+ * Remember the server draft's resume token
+ */
+export function saveDraftToken(token: string): void {
+  try {
+    localStorage.setItem(DRAFT_TOKEN_STORAGE_KEY, token);
+  } catch (error) {
+    console.error('Failed to save draft token:', error);
+  }
+}
+
+/**
+ * Get the server draft's resume token
+ */
+export function loadDraftToken(): string | null {
+  try {
+    return localStorage.getItem(DRAFT_TOKEN_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Forget the server draft's resume token
+ */
+export function clearDraftToken(): void {
+  try {
+    localStorage.removeItem(DRAFT_TOKEN_STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to clear draft token:', error);
+  }
+}
+
 /**
  * Check if draft exists
  */
@@ -123,6 +158,9 @@ export default {
   saveDraft,
   loadDraft,
   clearDraft,
+  saveDraftToken,
+  loadDraftToken,
+  clearDraftToken,
   hasDraft,
   getDraftMetadata,
   DRAFT_VERSION,
@@ -58,7 +58,7 @@ export const shippingAddressSchema = z.object({
  * Payment Details Schema
  */
 export const paymentDetailsSchema = z.object({
-  method: z.enum(['bank-transfer', 'jazzcash', 'easypaisa', 'cod'], {
+  method: z.enum(['bank-transfer', 'jazzcash', 'easypaisa', 'cod', 'wallet'], {
     required_error: 'Please select a payment method',
   }),
   receiptImage: z.string().optional(),
@@ -75,6 +75,9 @@ export const paymentDetailsSchema = z.object({
   remainingAmount: z.number()
     .min(0, 'Remaining amount cannot be negative')
     .optional(),
+  walletAmount: z.number()
+    .min(0, 'Store credit amount cannot be negative')
+    .optional(),
 }).superRefine((data, ctx) => {
   // For bank transfer, jazzcash, easypaisa - require receipt and transaction ID
   if (['bank-transfer', 'jazzcash', 'easypaisa'].includes(data.method)) {
@@ -94,9 +97,9 @@ export const paymentDetailsSchema = z.object({
     }
   }
 
-  // For COD - require 50% advance payment
+  // For COD - require 50% advance payment (store credit counts towards it)
   if (data.method === 'cod') {
-    if (!data.advanceAmount || data.advanceAmount <= 0) {
+    if ((!data.advanceAmount || data.advanceAmount <= 0) && !data.walletAmount) {
       ctx.addIssue({
         code: z.ZodIssueCode.custom,
         message: 'Advance payment amount is required for COD',
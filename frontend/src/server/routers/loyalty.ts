@@ -75,14 +75,18 @@ export const loyaltyRouter = router({
     }),
 
   /**
-   * Redeem points
+   * Earn points for sharing on social media
+   * Points are spent at checkout, not here
    */
-  redeemPoints: protectedProcedure
-    .input(z.object({ points: z.number().min(1) }))
+  share: protectedProcedure
+    .input(z.object({
+      platform: z.enum(['facebook', 'instagram', 'whatsapp', 'tiktok', 'pinterest', 'twitter']),
+      url: z.string().url().optional(),
+    }))
     .mutation(async ({ input, ctx }) => {
       try {
         const response = await fetch(
-          `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000'}/api/v1/loyalty/redeem`,
+          `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000'}/api/v1/loyalty/share`,
           {
             method: 'POST',
             headers: {
@@ -90,7 +94,7 @@ export const loyaltyRouter = router({
               'Cookie': ctx.req?.headers.get('cookie') || '',
             },
             credentials: 'include',
-            body: JSON.stringify({ points: input.points }),
+            body: JSON.stringify(input),
           }
         );
 
@@ -98,7 +102,7 @@ export const loyaltyRouter = router({
         if (!data.success) {
           throw new TRPCError({
             code: 'BAD_REQUEST',
-            message: data.message || 'Failed to redeem points',
+            message: data.message || 'Failed to record share',
           });
         }
 
@@ -107,7 +111,7 @@ export const loyaltyRouter = router({
         if (error instanceof TRPCError) throw error;
         throw new TRPCError({
           code: 'INTERNAL_SERVER_ERROR',
-          message: error.message || 'Failed to redeem points',
+          message: error.message || 'Failed to record share',
         });
       }
     }),
@@ -4,7 +4,14 @@
  */
 
 import { z } from 'zod';
-import { router, protectedProcedure } from '../trpc';
+import { router, protectedProcedure, adminProcedure } from '../trpc';
+
+const updateStatusSchema = z.object({
+  id: z.string(),
+  status: z.string(),
+  note: z.string().optional(),
+  notifyCustomer: z.boolean().default(true),
+});
 
 export const orderRouter = router({
   /**
@@ -52,5 +59,71 @@ export const orderRouter = router({
       // TODO: Implement order creation
       return { success: true, orderId: '' };
     }),
+
+  /**
+   * Get the order status machine (statuses, transitions, guards and effects)
+   */
+  getStatusMachine: adminProcedure
+    .query(async ({ ctx }) => {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000'}/api/v1/admin/orders/status-machine`,
+        {
+          credentials: 'include',
+          headers: {
+            'Cookie': ctx.req?.headers.get('cookie') || '',
+          },
+        }
+      );
+
+      const data = await response.json();
+      return data.data || null;
+    }),
+
+  /**
+   * Get the status changes available for an order
+   */
+  getTransitions: adminProcedure
+    .input(z.object({ id: z.string() }))
+    .query(async ({ input, ctx }) => {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000'}/api/v1/admin/orders/${input.id}/transitions`,
+        {
+          credentials: 'include',
+          headers: {
+            'Cookie': ctx.req?.headers.get('cookie') || '',
+          },
+        }
+      );
+
+      const data = await response.json();
+      return data.data || null;
+    }),
+
+  /**
+   * Update order status (validated against the status machine by the API)
+   */
+  updateStatus: adminProcedure
+    .input(updateStatusSchema)
+    .mutation(async ({ input, ctx }) => {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000'}/api/v1/admin/orders/${input.id}/status`,
+        {
+          method: 'PUT',
+          credentials: 'include',
+          headers: {
+            'Content-Type': 'application/json',
+            'Cookie': ctx.req?.headers.get('cookie') || '',
+          },
+          body: JSON.stringify({
+            status: input.status,
+            note: input.note,
+            notifyCustomer: input.notifyCustomer,
+          }),
+        }
+      );
+
+      const data = await response.json();
+      return data;
+    }),
 });
 
@@ -34,7 +34,8 @@ interface AuthState {
     password: string;
     phone: string;
     whatsapp?: string;
-  }) => Promise<{ success: boolean; error?: string }>;
+    referralCode?: string;
+  }) => Promise<{ success: boolean; error?: string; referral?: { applied: boolean; message?: string } }>;
   logout: () => Promise<void>;
   checkAuth: () => Promise<void>;
   updateUser: (user: Partial<User>) => void;
@@ -90,6 +91,11 @@ export const useAuthStore = typeof window === 'undefined'
                 
                 return response.data.user;
               }
+
+              // Admin accounts finish signing in with their authenticator app
+              if (response.data?.requiresTwoFactor || response.data?.requiresTwoFactorSetup) {
+                throw new Error('Admin accounts sign in through the admin portal at /admin/login');
+              }
               
               throw new Error(response.message || 'Login failed');
             } catch (error: any) {
@@ -110,7 +116,7 @@ export const useAuthStore = typeof window === 'undefined'
                   isAdmin: response.data.user.role === 'admin' || response.data.user.role === 'super-admin',
                   loading: false,
                 });
-                return { success: true };
+                return { success: true, referral: response.data.referral };
               }
               
               throw new Error(response.message || 'Registration failed');
@@ -5,7 +5,7 @@
 
 import { create } from 'zustand'
 import { persist, createJSONStorage } from 'zustand/middleware'
-import type { Product } from '@/types/product'
+import type { Product, ProductVariant } from '@/types/product'
 import type { CartItem, CartItemCustomizations, ShippingAddress } from '@/types/cart'
 
 // API Base URL for cart operations
@@ -27,7 +27,7 @@ interface CartState {
 }
 
 interface CartActions {
-  addItem: (product: Product, quantity?: number, customizations?: CartItemCustomizations) => Promise<void>
+  addItem: (product: Product, quantity?: number, customizations?: CartItemCustomizations, variant?: ProductVariant | null) => Promise<void>
   removeItem: (itemId: string) => Promise<void>
   updateQuantity: (itemId: string, quantity: number) => Promise<void>
   clearCart: () => Promise<void>
@@ -67,12 +67,13 @@ export const useCartStore = create<CartStore>()(
       isOpen: false,
       stitchingTotal: 0,
 
-      addItem: async (product, quantity = 1, customizations) => {
+      addItem: async (product, quantity = 1, customizations, variant = null) => {
         set({ isLoading: true, error: null })
 
         try {
           const productId = product._id || product.id || ''
-          const priceAtAdd = product.pricing?.comparePrice || product.pricing?.basePrice || product.price || 0
+          const variantId = variant?._id || null
+          const priceAtAdd = variant?.priceOverride ?? (product.pricing?.comparePrice || product.pricing?.basePrice || product.price || 0)
 
           const newItem: CartItem = {
             id: `${productId}-${Date.now()}`,
@@ -82,12 +83,23 @@ export const useCartStore = create<CartStore>()(
             customizations,
             addedAt: new Date().toISOString(),
             priceAtAdd,
+            ...(variant && {
+              variantId,
+              variantSnapshot: {
+                color: variant.color,
+                size: variant.size,
+                sku: variant.sku,
+                image: variant.images?.[0]
+              },
+              stockAvailable: variant.availableQuantity ?? variant.stockQuantity
+            })
           }
 
           set((state) => {
             const existingIndex = state.items.findIndex(
               item =>
                 item.productId === productId &&
+                (item.variantId || null) === variantId &&
                 JSON.stringify(item.customizations) === JSON.stringify(customizations)
             )
 
@@ -204,7 +216,16 @@ export const useCartStore = create<CartStore>()(
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             credentials: 'include',
-            body: JSON.stringify({ code })
+            // Priced on the server from the products, the same way the order will be
+            body: JSON.stringify({
+              code,
+              items: get().items.map(item => ({
+                product: item.productId,
+                variant: item.variantId || null,
+                quantity: item.quantity,
+                isCustom: item.isCustom || false
+              }))
+            })
           })
 
           const data = await response.json()
@@ -243,7 +264,16 @@ export const useCartStore = create<CartStore>()(
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             credentials: 'include',
-            body: JSON.stringify({ address })
+            body: JSON.stringify({
+              address,
+              items: get().items.map(item => ({
+                product: item.productId,
+                quantity: item.quantity,
+                price: item.priceAtAdd,
+                isCustom: item.isCustom || false
+              })),
+              promoCode: get().promoCode
+            })
           })
 
           const data = await response.json()
@@ -277,6 +307,7 @@ export const useCartStore = create<CartStore>()(
             body: JSON.stringify({
               items: get().items.map(item => ({
                 productId: item.productId,
+                variantId: item.variantId || null,
                 quantity: item.quantity,
                 priceAtAdd: item.priceAtAdd,
                 customizations: item.customizations,
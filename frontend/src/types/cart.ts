@@ -5,7 +5,7 @@
  * @module types/cart
  */
 
-import type { Product } from './product';
+import type { Product, ProductVariant } from './product';
 
 /**
  * Cart Item Customizations
@@ -30,6 +30,17 @@ export interface CartItem {
   /** Product ID */
   productId: string;
   
+  /** Selected colour x size variant ID */
+  variantId?: string | null;
+  
+  /** Variant details at time of adding */
+  variantSnapshot?: {
+    color: string;
+    size: string;
+    sku?: string;
+    image?: string;
+  };
+  
   /** Full product object */
   product: Product;
   
@@ -98,7 +109,8 @@ export interface CartActions {
   addItem: (
     product: Product,
     quantity?: number,
-    customizations?: CartItemCustomizations
+    customizations?: CartItemCustomizations,
+    variant?: ProductVariant | null
   ) => Promise<void>;
   
   /** Remove item from cart */
@@ -154,13 +166,86 @@ export interface ShippingAddress {
   country?: string;
 }
 
+/**
+ * Automatic promotion applied to the cart
+ */
+export interface AppliedPromotion {
+  promotion: string;
+  name: string;
+  description?: string;
+  type: 'buy-x-get-y' | 'tiered-spend' | 'free-stitching' | 'bundle';
+  amount: number;
+}
+
+/**
+ * Loyalty tier benefits and points in the price
+ */
+export interface CartLoyalty {
+  tier?: LoyaltyTier;
+  tierDiscount: number;
+  /** Tier benefit: shipping was waived */
+  freeShipping: boolean;
+  pointsRedeemed: number;
+  pointsDiscount: number;
+}
+
+export type LoyaltyTier = 'bronze' | 'silver' | 'gold' | 'platinum';
+
+/**
+ * Loyalty earning and redemption rules (GET /loyalty/rules)
+ * Only `enabled` is sent while the program is switched off
+ */
+export interface LoyaltyRules {
+  enabled: boolean;
+  earning: {
+    spendPerPoint: number;
+    reviewPoints: number;
+    birthdayPoints: number;
+    socialSharePoints: number;
+    socialSharesPerDay: number;
+  };
+  expiryMonths: number;
+  redemption: {
+    pointValue: number;
+    minPoints: number;
+    maxOrderPercentage: number;
+  };
+  tiers: Array<{
+    tier: LoyaltyTier;
+    minPoints: number;
+    discountPercentage: number;
+    freeShipping: boolean;
+  }>;
+}
+
+/**
+ * Server price breakdown (POST /cart/pricing), the same as the order will charge
+ */
+export interface CartPricing {
+  success: boolean;
+  subtotal: number;
+  /** Promotions, promo code and loyalty together */
+  discount: number;
+  discountCode?: string;
+  codeDiscount: number;
+  promotions: AppliedPromotion[];
+  loyalty?: CartLoyalty;
+  shipping: number;
+  total: number;
+  /** Why the promo code was not applied */
+  promoCodeError?: string;
+  /** Why the loyalty points were not applied */
+  loyaltyError?: string;
+}
+
 /**
  * Promo Code Response
  */
-export interface PromoCodeResponse {
+export interface PromoCodeResponse extends Partial<CartPricing> {
   success: boolean;
   discount: number;
   discountType: 'percentage' | 'fixed';
+  discountValue?: number;
   message?: string;
   code?: string;
   minPurchase?: number;
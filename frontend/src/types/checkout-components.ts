@@ -116,7 +116,7 @@ export interface OrderConfirmationData {
   orderNumber: string;
   total: number;
   itemCount: number;
-  paymentMethod: 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod';
+  paymentMethod: 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod' | 'wallet';
   customerName: string;
   customerEmail: string;
   customerPhone: string;
@@ -5,7 +5,7 @@
  * @module types/checkout
  */
 
-export type PaymentMethod = 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod';
+export type PaymentMethod = 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod' | 'wallet';
 
 export interface CustomerInfo {
   fullName: string;
@@ -32,6 +32,7 @@ export interface PaymentDetails {
   transactionDate?: string;
   advanceAmount?: number; // For COD
   remainingAmount?: number; // For COD
+  walletAmount?: number; // Store credit applied
 }
 
 export interface CheckoutFormData {
@@ -63,6 +64,13 @@ export interface OrderSubmissionResponse {
       orderNumber: string;
       status: string;
       total: number;
+      pricing?: {
+        subtotal: number;
+        shippingCharges: number;
+        discount: number;
+        discountCode?: string;
+        total: number;
+      };
       createdAt: string;
     };
     trackingUrl: string;
@@ -195,6 +195,8 @@ export interface OrderSubmissionResponse {
   orderNumber: string;
   message?: string;
   error?: string;
+  // e.g. the chosen fabric is low and may delay the order
+  warnings?: string[];
 }
 
 /**
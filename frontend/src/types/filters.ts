@@ -22,6 +22,9 @@ export interface ProductFilters {
   // Availability status
   availability: string[];
   
+  // Embroidery work type (hand-karhai, zardozi...)
+  embroidery: string[];
+  
   // Suit type (NEW: ready-made, replica, karhai)
   suitType: string[];
   
@@ -56,6 +59,9 @@ export interface FilterCounts {
   size: Record<string, number>;
   occasion: Record<string, number>;
   availability: Record<string, number>;
+  embroidery?: Record<string, number>;
+  // Price bands ('0-5000', '50000+') from the search facets
+  price?: Record<string, number>;
 }
 
 export interface UseFiltersOptions {
@@ -15,9 +15,11 @@ export type OrderStatus =
   | 'cancelled'
   | 'refunded';
 
-export type PaymentMethod = 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod';
+export type PaymentMethod = 'bank-transfer' | 'jazzcash' | 'easypaisa' | 'cod' | 'wallet';
 
-export type PaymentStatus = 'pending' | 'verified' | 'failed' | 'refunded';
+export type PaymentStatus = 'pending' | 'partial' | 'verified' | 'failed' | 'refunded';
+
+export type InstallmentStatus = 'pending' | 'verified' | 'rejected';
 
 export type Priority = 'normal' | 'high' | 'urgent';
 
@@ -25,6 +27,8 @@ export interface OrderItem {
   _id?: string;
   product: string | ProductSnapshot;
   productSnapshot: ProductSnapshot;
+  variant?: string | null;
+  variantSnapshot?: VariantSnapshot;
   isCustom: boolean;
   customDetails?: CustomOrderDetails;
   price: number;
@@ -32,6 +36,13 @@ export interface OrderItem {
   subtotal: number;
 }
 
+export interface VariantSnapshot {
+  color: string;
+  size: string;
+  sku?: string;
+  image?: string;
+}
+
 export interface ProductSnapshot {
   title: string;
   sku?: string;
@@ -78,9 +89,49 @@ export interface ShippingAddress {
   contactPhone?: string;
 }
 
+export interface PaymentInstallment {
+  _id: string;
+  amount: number;
+  method: PaymentMethod | 'cash';
+  status: InstallmentStatus;
+  source: 'customer' | 'admin' | 'gateway';
+  receiptImage?: {
+    url: string;
+    cloudinaryId?: string;
+    uploadedAt?: Date;
+  };
+  transactionId?: string;
+  paidAt: Date;
+  verifiedAt?: Date;
+  rejectionReason?: string;
+  notes?: string;
+  currency?: string; // Set when paid in another currency; amount is the PKR equivalent
+  originalAmount?: number;
+  exchangeRate?: number;
+}
+
+export interface PaymentLedger {
+  orderNumber: string;
+  total: number;
+  depositPercentage: number;
+  depositAmount: number;
+  amountPaid: number;
+  balanceDue: number;
+  paymentStatus: PaymentStatus;
+  canDispatch: boolean;
+  installments: PaymentInstallment[];
+  balanceReminder?: {
+    lastSentAt?: Date;
+    count: number;
+  };
+  displayCurrency?: OrderDisplayCurrency | null;
+}
+
 export interface PaymentInfo {
   method: PaymentMethod;
   status: PaymentStatus;
+  installments?: PaymentInstallment[];
+  depositPercentage?: number;
   bankDetails?: {
     accountTitle?: string;
     accountNumber?: string;
@@ -100,8 +151,16 @@ export interface PaymentInfo {
   verificationNotes?: string;
   codCollected?: boolean;
   codCollectedAt?: Date;
+  codSettlement?: {
+    reference: string;
+    remittance?: string;
+    amount: number;
+    settledAt: Date;
+    settledBy?: string;
+  };
   refund?: {
     amount: number;
+    walletAmount?: number; // Part issued as store credit
     reason: string;
     processedAt: Date;
     processedBy: string;
@@ -117,6 +176,32 @@ export interface OrderPricing {
   total: number;
 }
 
+export interface ExchangeRate {
+  currency: string;
+  name?: string;
+  symbol?: string;
+  decimals: number;
+  rate: number; // PKR per 1 unit
+  isActive: boolean;
+  source?: 'manual' | 'import' | 'seed';
+  history?: {
+    rate: number;
+    source?: 'manual' | 'import' | 'seed';
+    changedAt: Date;
+    changedBy?: string;
+  }[];
+  updatedAt?: Date;
+}
+
+// Currency the customer shopped in, with the rate locked when the order was placed
+export interface OrderDisplayCurrency {
+  code: string;
+  symbol?: string;
+  decimals?: number;
+  rate: number;
+  lockedAt?: Date;
+}
+
 export interface StatusHistoryItem {
   _id?: string;
   status: OrderStatus;
@@ -137,6 +222,40 @@ export interface TrackingInfo {
     recipientName?: string;
     signature?: string;
   };
+  // Set when booked through a courier integration
+  courier?: string;
+  bookingReference?: string;
+  bookedAt?: Date;
+  weight?: number;
+  pieces?: number;
+  codAmount?: number;
+  labelUrl?: string;
+  courierStatus?: CourierStatus;
+  events?: TrackingEvent[];
+  lastSyncedAt?: Date;
+  syncError?: string;
+}
+
+export type CourierStatus = 'booked' | 'picked-up' | 'in-transit' | 'out-for-delivery' | 'delivered' | 'delivery-failed' | 'returned' | 'cancelled';
+
+export interface TrackingEvent {
+  status: CourierStatus;
+  description?: string;
+  location?: string;
+  timestamp: Date;
+}
+
+export interface CourierOption {
+  name: string;
+  displayName: string;
+  courierService: TrackingInfo['courierService'];
+}
+
+export interface ShipmentBookingRequest {
+  courier: string;
+  weight?: number;
+  pieces?: number;
+  notes?: string;
 }
 
 export interface AdminNote {
@@ -167,8 +286,19 @@ export interface Order {
   items: OrderItem[];
   shippingAddress: ShippingAddress;
   tracking?: TrackingInfo;
+  shippingMethod?: {
+    zone?: string;
+    zoneName?: string;
+    rateId?: string;
+    courier?: string;
+    label?: string;
+    weight?: number;
+    freeShippingReason?: string;
+  };
   payment: PaymentInfo;
   pricing: OrderPricing;
+  displayCurrency?: OrderDisplayCurrency;
+  displayPricing?: Omit<OrderPricing, 'discountCode'>;
   status: OrderStatus;
   statusHistory: StatusHistoryItem[];
   assignedTailor?: string;
@@ -233,6 +363,34 @@ export interface StatusUpdateRequest {
   notifyCustomer?: boolean;
 }
 
+export interface OrderStatusTransition {
+  to: OrderStatus;
+  label: string;
+  description: string;
+  allowed: boolean;
+  reason?: string;
+}
+
+export interface OrderTransitionsResponse {
+  status: OrderStatus;
+  label: string;
+  transitions: OrderStatusTransition[];
+}
+
+export interface OrderStatusMachine {
+  states: Array<{
+    status: OrderStatus;
+    label: string;
+    description: string;
+    customerCancellable?: boolean;
+    terminal?: boolean;
+    onEnter: string[];
+  }>;
+  transitions: Array<{ from: OrderStatus; to: OrderStatus; label: string; guards: string[] }>;
+  guards: Record<string, string>;
+  effects: Record<string, string>;
+}
+
 export interface PaymentVerificationRequest {
   verified: boolean;
   verificationNotes?: string;
@@ -241,9 +399,23 @@ export interface PaymentVerificationRequest {
   amountPaid?: number;
 }
 
+export interface RecordPaymentRequest {
+  amount: number;
+  method: PaymentMethod | 'cash';
+  transactionId?: string;
+  notes?: string;
+}
+
+export interface ReviewPaymentRequest {
+  approved: boolean;
+  rejectionReason?: string;
+  notes?: string;
+}
+
 export interface CancelOrderRequest {
   reason: string;
   refundAmount?: number;
+  refundTo?: RefundDestination;
   notifyCustomer?: boolean;
 }
 
@@ -251,6 +423,7 @@ export interface RefundRequest {
   reason: string;
   amount: number;
   items?: string[]; // Order item IDs to refund
+  refundTo?: RefundDestination;
   notifyCustomer?: boolean;
 }
 
@@ -279,3 +452,347 @@ export interface TrackingUpdate {
   estimatedDeliveryDate?: Date;
 }
 
+
+export type ReturnRequestType = 'alteration' | 'return' | 'exchange';
+
+export type ReturnReason = 'fitting' | 'defect' | 'wrong-item' | 'other';
+
+export type ReturnRequestStatus =
+  | 'requested'
+  | 'approved'
+  | 'rejected'
+  | 'pickup-scheduled'
+  | 'received'
+  | 'in-production'
+  | 'resolved'
+  | 'cancelled';
+
+export type ReturnResolutionType = 'refund' | 'store-credit' | 'exchange' | 'altered';
+
+export interface ReturnShipment {
+  courierService: string;
+  trackingNumber?: string;
+  trackingUrl?: string;
+}
+
+export interface ReturnRequest {
+  _id: string;
+  requestNumber: string;
+  order: string;
+  orderNumber: string;
+  customer: string | { _id: string; fullName: string; email: string; phone?: string };
+  type: ReturnRequestType;
+  reason: ReturnReason;
+  description?: string;
+  items: {
+    orderItem: string;
+    title?: string;
+    quantity: number;
+    price?: number;
+  }[];
+  photos: { url: string; publicId?: string }[];
+  status: ReturnRequestStatus;
+  statusHistory: { status: ReturnRequestStatus; note?: string; timestamp: Date }[];
+  isChargeable: boolean;
+  itemsValue: number;
+  review?: {
+    reviewedAt?: Date;
+    rejectionReason?: string;
+    notes?: string;
+  };
+  pickup?: ReturnShipment & {
+    scheduledAt?: Date;
+    pickedUpAt?: Date;
+    receivedAt?: Date;
+  };
+  productionQueue?: string | { _id: string; status: string };
+  resolution?: {
+    type: ReturnResolutionType;
+    amount?: number;
+    notes?: string;
+    returnShipment?: ReturnShipment;
+    processedAt?: Date;
+  };
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface CreateReturnRequest {
+  orderId: string;
+  type: ReturnRequestType;
+  reason: ReturnReason;
+  description?: string;
+  items: { orderItem: string; quantity: number }[];
+  photos?: { url: string; publicId?: string }[];
+}
+
+export interface ResolveReturnRequest {
+  type: ReturnResolutionType;
+  amount?: number;
+  notes?: string;
+  returnShipment?: ReturnShipment;
+}
+
+// Store credit wallet
+export type RefundDestination = 'original' | 'wallet';
+
+export type WalletTransactionSource = 'refund' | 'return' | 'order-payment' | 'order-reversal' | 'adjustment' | 'referral';
+
+export interface WalletTransaction {
+  _id: string;
+  type: 'credit' | 'debit';
+  amount: number;
+  balanceAfter: number;
+  source: WalletTransactionSource;
+  order?: string;
+  orderNumber?: string;
+  returnRequest?: string;
+  description?: string;
+  createdBy?: string | { _id: string; fullName?: string };
+  customer?: { _id: string; fullName?: string; email?: string; phone?: string };
+  createdAt: Date;
+}
+
+export interface WalletSummary {
+  balance: number;
+  currency: string;
+  totalCredited: number;
+  totalDebited: number;
+  transactions: WalletTransaction[];
+  pagination?: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+export interface WalletAdjustment {
+  type: 'credit' | 'debit';
+  amount: number;
+  reason: string;
+}
+
+// Referral program
+export type ReferralStatus = 'pending' | 'flagged' | 'completed' | 'rejected' | 'cancelled';
+
+export type ReferralFraudFlag = 'same-device-as-referrer' | 'device-reused' | 'phone-reused';
+
+export interface ReferralReward {
+  amount: number;
+  method: 'loyalty' | 'wallet';
+  status: 'pending' | 'credited' | 'withheld' | 'used' | 'expired';
+  withheldReason?: string;
+  creditedAt?: Date;
+}
+
+interface ReferralParty {
+  _id: string;
+  fullName?: string;
+  email?: string;
+  phone?: string;
+  referralCode?: string;
+  createdAt?: Date;
+}
+
+export interface FlaggedReferral {
+  _id: string;
+  referralCode: string;
+  status: ReferralStatus;
+  referrerId: ReferralParty;
+  refereeId: ReferralParty;
+  referrerReward: ReferralReward;
+  refereeReward: ReferralReward;
+  signals?: { deviceId?: string; phone?: string; ip?: string };
+  fraud: {
+    flags: { code: ReferralFraudFlag; detail?: string }[];
+    decision?: 'approved' | 'rejected';
+    reviewedBy?: { _id: string; fullName?: string; email?: string };
+    reviewedAt?: Date;
+    notes?: string;
+  };
+  createdAt: Date;
+}
+
+/**
+ * A customer's own referral code and what it pays (GET /referrals/code)
+ */
+export interface ReferralCodeResponse {
+  referralCode: string;
+  rewards: {
+    enabled: boolean;
+    method: ReferralReward['method'];
+    referrer: number;
+    referee: number;
+  };
+}
+
+export interface CustomerReferral {
+  _id: string;
+  referralCode: string;
+  status: ReferralStatus;
+  refereeId?: { _id: string; fullName?: string };
+  triggerOrderId?: { _id: string; orderNumber: string };
+  referrerReward: ReferralReward;
+  refereeReward: ReferralReward;
+  createdAt: Date;
+}
+
+/**
+ * The referrer's side of the program (GET /referrals/stats)
+ */
+export interface ReferralStats {
+  totalReferrals: number;
+  completedReferrals: number;
+  pendingReferrals: number;
+  totalEarned: number;
+  referrals: CustomerReferral[];
+}
+
+export interface ReferralLeaderboardEntry {
+  referrer: { _id: string; fullName?: string; email?: string; referralCode?: string };
+  completed: number;
+  rewarded: number;
+  withheld: number;
+  pending: number;
+  flagged: number;
+  rejected: number;
+  lastCompletedAt: Date;
+}
+
+// ============================================
+// COD REMITTANCE TYPES
+// ============================================
+
+export type CodRemittanceMatch =
+  | 'matched'
+  | 'over-paid'
+  | 'short-paid'
+  | 'returned'
+  | 'duplicate'
+  | 'not-cod'
+  | 'unmatched';
+
+export interface CodRemittanceLine {
+  _id: string;
+  line?: number;
+  trackingNumber: string;
+  amount: number;
+  courierStatus?: string;
+  order?: string;
+  orderNumber?: string;
+  expectedAmount?: number;
+  difference?: number;
+  match: CodRemittanceMatch;
+  note?: string;
+  applied: boolean;
+  appliedAt?: Date;
+}
+
+export interface CodRemittance {
+  _id: string;
+  courierService: string;
+  settlementReference: string;
+  statementDate?: Date;
+  fileName?: string;
+  lines?: CodRemittanceLine[];
+  totals: {
+    lines: number;
+    remitted: number;
+    expected: number;
+    matched: number;
+    applied: number;
+  };
+  status: 'imported' | 'partially-applied' | 'applied';
+  importedBy?: string | { _id: string; fullName?: string };
+  appliedAt?: Date;
+  notes?: string;
+  createdAt: Date;
+}
+
+export interface CodReconciliationItem {
+  orderId?: string;
+  orderNumber?: string;
+  customerName?: string;
+  courierService?: string;
+  trackingNumber?: string;
+  codAmount?: number;
+  remitted?: number;
+  difference?: number;
+  settlementReference?: string;
+  remittanceId?: string;
+  lineId?: string;
+  deliveredAt?: Date;
+  daysOutstanding?: number | null;
+}
+
+export interface CodReconciliationReport {
+  unpaid: CodReconciliationItem[];
+  shortPaid: CodReconciliationItem[];
+  returned: CodReconciliationItem[];
+  summary: {
+    unpaidCount: number;
+    unpaidAmount: number;
+    shortPaidCount: number;
+    shortPaidAmount: number;
+    returnedCount: number;
+    returnedAmount: number;
+  };
+}
+
+// ============================================
+// SHIPPING TYPES
+// ============================================
+
+export type ShippingRateBasis = 'flat' | 'weight' | 'items';
+
+export interface ShippingRate {
+  _id?: string;
+  courier?: string | null;
+  label: string;
+  basis: ShippingRateBasis;
+  baseRate: number;
+  brackets?: { upTo: number; rate: number }[];
+  extraPerUnit?: number;
+  customItemSurcharge?: number;
+  estimatedDays?: { min?: number; max?: number };
+  isActive: boolean;
+}
+
+export interface ShippingZone {
+  _id: string;
+  name: string;
+  description?: string;
+  scope: 'domestic' | 'international';
+  cities: string[];
+  provinces: string[];
+  countries: string[];
+  isDefault: boolean;
+  priority: number;
+  rates: ShippingRate[];
+  freeShippingThreshold?: number | null;
+  estimatedDays?: { min?: number; max?: number };
+  isActive: boolean;
+}
+
+export interface ShippingOption {
+  rateId: string;
+  courier: string | null;
+  label: string;
+  cost: number;
+  originalCost: number;
+  freeShipping: boolean;
+  freeShippingReason: string | null;
+  estimatedDays?: { min?: number; max?: number };
+}
+
+export interface ShippingQuote {
+  available: boolean;
+  zone: { _id: string | null; name: string; scope: 'domestic' | 'international' };
+  parcel: { weight: number; itemCount: number; subtotal: number };
+  options: ShippingOption[];
+  selected: ShippingOption;
+  cost: number;
+  freeShippingThreshold: number | null;
+  remainingForFreeShipping: number | null;
+}
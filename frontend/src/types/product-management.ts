@@ -195,3 +195,278 @@ export interface ProductPreviewData extends ProductFormData {
   previewMode: boolean;
 }
 
+// ============================================
+// STOCK LEDGER TYPES
+// ============================================
+
+export type StockMovementType =
+  | 'sale'
+  | 'return'
+  | 'cancellation'
+  | 'adjustment'
+  | 'purchase'
+  | 'production';
+
+export interface StockMovement {
+  _id: string;
+  itemType: 'product' | 'fabric' | 'accessory';
+  product?: string;
+  variant?: string | null;
+  fabric?: string;
+  accessory?: string;
+  itemName?: string;
+  sku?: string;
+  variantLabel?: string;
+  type: StockMovementType;
+  quantity: number;
+  unit: 'pieces' | 'meters' | 'yards' | 'packs';
+  balanceAfter?: number;
+  order?: string;
+  orderNumber?: string;
+  returnRequest?: string;
+  purchaseOrder?: string;
+  reference?: string;
+  note?: string;
+  createdBy?: string | { _id: string; fullName?: string; email?: string };
+  createdAt: Date;
+}
+
+export interface StockAdjustment {
+  itemType?: 'product' | 'fabric' | 'accessory';
+  product?: string;
+  variant?: string | null;
+  fabric?: string;
+  accessory?: string;
+  type?: 'adjustment' | 'purchase' | 'production';
+  quantity?: number;
+  setTo?: number;
+  reference?: string;
+  note: string;
+}
+
+export interface StockLevel {
+  stockQuantity: number;
+  reservedQuantity: number;
+  availableQuantity: number;
+}
+
+export interface ProductStock {
+  product: StockLevel & {
+    _id: string;
+    title: string;
+    slug: string;
+    sku?: string;
+    trackInventory: boolean;
+  };
+  variants: Array<StockLevel & {
+    _id: string;
+    label: string;
+    sku?: string;
+    isActive: boolean;
+  }>;
+  reservations: Array<{
+    _id: string;
+    order: string;
+    orderNumber?: string;
+    items: Array<{ product: string; variant?: string | null; quantity: number }>;
+    expiresAt: Date;
+    createdAt: Date;
+  }>;
+}
+
+export interface Supplier {
+  _id: string;
+  name: string;
+  contactName?: string;
+  phone?: string;
+  whatsapp?: string;
+  email?: string;
+  address?: string;
+  city?: string;
+  supplies: Array<'fabric' | 'accessory'>;
+  leadTimeDays: number;
+  paymentTerms?: string;
+  notes?: string;
+  isActive: boolean;
+}
+
+export type AccessoryCategory =
+  | 'lace'
+  | 'button'
+  | 'dupatta-border'
+  | 'thread'
+  | 'zip'
+  | 'tassel'
+  | 'embellishment'
+  | 'other';
+
+export interface Accessory {
+  _id: string;
+  name: string;
+  category: AccessoryCategory;
+  sku?: string;
+  color?: string;
+  stock: {
+    quantity: number;
+    unit: 'pieces' | 'meters' | 'yards' | 'packs';
+    lowStockThreshold: number;
+    reorderPoint: number;
+    reorderQuantity?: number | null;
+  };
+  costPerUnit: number;
+  preferredSupplier?: string | { _id: string; name: string } | null;
+  status: 'in-stock' | 'low-stock' | 'out-of-stock' | 'discontinued';
+  notes?: string;
+}
+
+export type PurchaseOrderStatus = 'draft' | 'ordered' | 'partially-received' | 'received' | 'cancelled';
+
+export interface PurchaseOrderLine {
+  _id: string;
+  itemType: 'fabric' | 'accessory';
+  fabric?: string;
+  accessory?: string;
+  name: string;
+  unit: string;
+  quantityOrdered: number;
+  quantityReceived: number;
+  unitCost: number;
+}
+
+export interface PurchaseOrder {
+  _id: string;
+  poNumber: string;
+  supplier: string | Pick<Supplier, '_id' | 'name' | 'phone'>;
+  supplierName: string;
+  status: PurchaseOrderStatus;
+  items: PurchaseOrderLine[];
+  expectedDate?: Date;
+  orderedAt?: Date;
+  receivedAt?: Date;
+  cancelledAt?: Date;
+  receipts: Array<{
+    _id: string;
+    receivedAt: Date;
+    reference?: string;
+    note?: string;
+    items: Array<{ line: string; quantity: number }>;
+  }>;
+  notes?: string;
+  total: number;
+  isOverdue: boolean;
+  createdAt: Date;
+}
+
+export interface ReorderSuggestion {
+  supplier: Pick<Supplier, '_id' | 'name' | 'phone' | 'leadTimeDays' | 'isActive'> | null;
+  items: Array<{
+    itemType: 'fabric' | 'accessory';
+    fabric?: string;
+    accessory?: string;
+    name: string;
+    unit: string;
+    onHand: number;
+    onOrder: number;
+    reorderPoint: number;
+    suggestedQuantity: number;
+    unitCost: number;
+  }>;
+}
+
+/**
+ * Automatic promotion (no code needed); see services/pricingService
+ */
+export type PromotionType = 'buy-x-get-y' | 'tiered-spend' | 'free-stitching' | 'bundle';
+
+export interface PromotionTier {
+  minSpend: number;
+  discountType: 'percentage' | 'fixed';
+  value: number;
+  maxDiscount?: number | null;
+}
+
+export interface Promotion {
+  _id: string;
+  name: string;
+  description?: string;
+  type: PromotionType;
+  appliesTo?: {
+    categories?: string[];
+    products?: string[];
+    excludeProducts?: string[];
+    threePieceOnly?: boolean;
+  };
+  buyXGetY?: { buyQuantity: number; getQuantity: number; discountPercent: number };
+  tiers?: PromotionTier[];
+  freeStitching?: { minSpend: number };
+  bundle?: { quantity: number; price: number };
+  priority: number;
+  stackable: boolean;
+  combinesWithPromoCode: boolean;
+  startDate: string;
+  endDate?: string | null;
+  isActive: boolean;
+  /** Running now (list responses only) */
+  isLive?: boolean;
+  usedCount: number;
+  createdAt: string;
+}
+
+/**
+ * Run of single-use promo codes, e.g. for an influencer or a WhatsApp broadcast
+ */
+export type PromoCodeBatchChannel = 'influencer' | 'whatsapp' | 'email' | 'event' | 'other';
+
+export interface PromoCodeBatch {
+  _id: string;
+  name: string;
+  channel: PromoCodeBatchChannel;
+  prefix?: string;
+  quantity: number;
+  notes?: string;
+  /** Codes redeemed on orders that weren't cancelled */
+  redeemed: number;
+  discount: number;
+  /** Percentage of the batch redeemed */
+  redemptionRate: number;
+  createdAt: string;
+}
+
+export interface PromoCodeRedemptionStats {
+  redemptions: number;
+  discountGiven: number;
+  revenue: number;
+  uniqueCustomers: number;
+  window: { days: number; redemptions: number; discountGiven: number; revenue: number; reversed: number };
+  topCodes: Array<{ code: string; redemptions: number; discount: number; revenue: number; customers: number }>;
+  daily: Array<{ date: string; redemptions: number; discount: number }>;
+}
+
+export interface PromoCodeStats {
+  total: number;
+  active: number;
+  inactive: number;
+  expired: number;
+  batches: number;
+  totalUses: number;
+  totalDiscount: number;
+  redemptions: PromoCodeRedemptionStats;
+}
+
+/**
+ * Festive collection as shown on the storefront
+ */
+export type FestiveCollectionType = 'eid' | 'winter' | 'summer' | 'wedding-season' | 'new-year' | 'custom';
+
+export interface FestiveCollection {
+  _id: string;
+  name: string;
+  type: FestiveCollectionType;
+  description?: string;
+  bannerImage?: { url?: string; publicId?: string };
+  publishDate: string;
+  unpublishDate: string;
+  seo?: { metaTitle?: string; metaDescription?: string; keywords?: string[] };
+  /** Active products only */
+  products: Product[];
+}
@@ -97,6 +97,27 @@ export interface ProductReview {
   ratingValue?: number;
 }
 
+/**
+ * Product Variant
+ * One colour x size combination with its own SKU, images, price and stock
+ */
+export interface ProductVariant {
+  _id: string;
+  color: string;
+  hexCode?: string;
+  size: string;
+  sku: string;
+  images?: string[];
+  /** Replaces pricing.basePrice when set */
+  priceOverride?: number | null;
+  stockQuantity: number;
+  /** Held by unpaid orders */
+  reservedQuantity?: number;
+  /** stockQuantity less reservedQuantity (server virtual) */
+  availableQuantity?: number;
+  isActive?: boolean;
+}
+
 /**
  * Complete Product Interface
  * Matches the backend Product model structure
@@ -196,6 +217,9 @@ export interface Product {
     image?: string;
     inStock?: boolean;
   }>;
+
+  /** Colour x size variants, each stocked separately */
+  variants?: ProductVariant[];
   
   /** Product rating and reviews */
   averageRating?: number;